@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+// Mail transport settings; MAIL_TRANSPORT picks the implementation in services/mail/transports.js
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT || 'log',
+  from: process.env.MAIL_FROM || 'Vehicle Booking System <no-reply@miningcompany.com>',
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  }
+};
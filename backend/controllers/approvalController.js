@@ -1,7 +1,15 @@
 const { body, validationResult } = require('express-validator');
-const { Approval, Booking, User, Vehicle } = require('../models');
+const { Approval, Booking, BookingSeries, User, Vehicle } = require('../models');
 const { Op } = require('sequelize');
-const { logActivity } = require('../middleware/audit');
+const { VehicleRepository } = require('../services/repositories');
+const ApprovalWorkflowService = require('../services/ApprovalWorkflowService');
+const ApprovalDelegationService = require('../services/ApprovalDelegationService');
+const BookingService = require('../services/BookingService');
+
+const vehicleRepository = new VehicleRepository();
+const bookingService = new BookingService();
+const approvalDelegationService = new ApprovalDelegationService();
+const approvalWorkflowService = new ApprovalWorkflowService(approvalDelegationService);
 
 const updateApproval = async (req, res) => {
   try {
@@ -50,169 +58,14 @@ const updateApproval = async (req, res) => {
       });
     }
 
-    // Check if user has permission to approve at this level
-    const userLevel = req.user.role === 'approver_l1' ? 1 : req.user.role === 'approver_l2' ? 2 : null;
-    
-    if (!userLevel || approval.level !== userLevel) {
-      return res.status(403).json({
-        error: 'You do not have permission to approve at this level'
-      });
-    }
-
-    // Check if the user was the originally specified approver for this level
-    if (approval.approver_id && approval.approver_id !== req.user.id) {
-      return res.status(403).json({
-        error: 'You are not the originally specified approver for this booking'
-      });
-    }
-
-    // Check if approval is still pending
-    if (approval.status !== 'pending') {
-      return res.status(400).json({
-        error: 'This approval has already been processed'
-      });
-    }
-
-    const oldValues = {
-      status: approval.status,
-      comments: approval.comments,
-      approved_at: approval.approved_at
-    };
-
-    // Update approval
-    await approval.update({
-      status,
-      comments,
-      approver_id: req.user.id,
-      approved_at: status === 'approved' ? new Date() : null
-    });
-
-    // Check if we need to update the booking status
-    if (status === 'approved') {
-      // Get all approvals for this booking
-      const allApprovals = await Approval.findAll({
-        where: { booking_id: approval.booking_id },
-        order: [['level', 'ASC']]
-      });
+    // Record the decision and advance the booking through its approval chain
+    await approvalWorkflowService.applyDecision(approval, { status, comments }, req.user);
 
-      // Check if this is Level 1 approval
-      if (approval.level === 1) {
-        // Level 1 approval: set booking status to in_progress
-        await approval.booking.update({ status: 'in_progress' });
-        
-        // Log booking status change
-        await logActivity(
-          req.user.id,
-          'UPDATE',
-          'booking',
-          approval.booking_id,
-          { status: 'pending' },
-          { status: 'in_progress' },
-          'Booking approved at Level 1 - status set to in_progress'
-        );
-      } else if (approval.level === 2) {
-        // Level 2 approval: check if all approvals are complete
-        const allApproved = allApprovals.every(a => a.status === 'approved');
-        
-        if (allApproved) {
-          // All approvals complete - mark booking as approved
-          await approval.booking.update({ status: 'approved' });
-          
-          // Log booking status change
-          await logActivity(
-            req.user.id,
-            'UPDATE',
-            'booking',
-            approval.booking_id,
-            { status: 'in_progress' },
-            { status: 'approved' },
-            'Booking fully approved - all approval levels complete'
-          );
-        }
-      }
-    } else if (status === 'rejected') {
-      // Check if this is a Level 2 rejection
-      if (approval.level === 2) {
-        // Level 2 rejection: cancel Level 1 approval and reject the booking
-        await approval.booking.update({ 
-          status: 'rejected',
-          rejection_reason: comments || 'Rejected during approval process'
-        });
-        
-        // Update Level 1 approval to cancelled (if it exists and is pending)
-        await Approval.update(
-          { 
-            status: 'cancelled',
-            comments: 'Cancelled due to Level 2 rejection'
-          },
-          { 
-            where: { 
-              booking_id: approval.booking_id,
-              level: 1,
-              status: 'pending'
-            }
-          }
-        );
-        
-        // Log booking status change
-        await logActivity(
-          req.user.id,
-          'UPDATE',
-          'booking',
-          approval.booking_id,
-          { status: 'pending' },
-          { status: 'rejected' },
-          `Booking rejected at Level 2 approval`
-        );
-      } else {
-        // Level 1 rejection: reject the booking and cancel Level 2 approval
-        await approval.booking.update({ 
-          status: 'rejected',
-          rejection_reason: comments || 'Rejected during approval process'
-        });
-        
-        // Update Level 2 approval to cancelled (if it exists and is pending)
-        await Approval.update(
-          { 
-            status: 'cancelled',
-            comments: 'Cancelled due to Level 1 rejection'
-          },
-          { 
-            where: { 
-              booking_id: approval.booking_id,
-              level: 2,
-              status: 'pending'
-            }
-          }
-        );
-        
-        // Log booking status change
-        await logActivity(
-          req.user.id,
-          'UPDATE',
-          'booking',
-          approval.booking_id,
-          { status: 'pending' },
-          { status: 'rejected' },
-          `Booking rejected at Level 1 approval`
-        );
-      }
-    }
+    // Booking status may have changed, so refresh the derived vehicle status
+    await vehicleRepository.syncStatus(approval.booking.vehicle_id);
 
-    // Log approval activity
-    await logActivity(
-      req.user.id,
-      'UPDATE',
-      'approval',
-      approval.id,
-      oldValues,
-      {
-        status,
-        comments,
-        approver_id: req.user.id
-      },
-      `Approval ${status} at level ${approval.level}`
-    );
+    // Push the new approval state to everyone watching this booking
+    await bookingService.publishBookingChange(approval.booking_id);
 
     // Fetch updated approval with relations
     const updatedApproval = await Approval.findByPk(approval.id, {
@@ -222,6 +75,11 @@ const updateApproval = async (req, res) => {
           as: 'approver',
           attributes: ['id', 'name', 'email']
         },
+        {
+          model: User,
+          as: 'onBehalfOf',
+          attributes: ['id', 'name', 'email']
+        },
         {
           model: Booking,
           as: 'booking',
@@ -247,6 +105,12 @@ const updateApproval = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     console.error('Update approval error:', error);
     res.status(500).json({
       error: 'Failed to update approval'
@@ -289,23 +153,43 @@ const getApprovals = async (req, res) => {
       whereClause.booking_id = booking_id;
     }
 
-    // Filter by user's approval level
-    const userLevel = req.user.role === 'approver_l1' ? 1 : 2;
-    
-    // If show_all is true, don't filter by level (show all approvals)
-    if (show_all === 'true') {
-      // Don't set level filter - show all approvals
-    } else {
-      whereClause.level = userLevel;
+    // Unless show_all is set, only show approvals the user's role can action
+    if (show_all !== 'true') {
+      const userLevel = req.user.role === 'approver_l1' ? 1 : 2;
+      whereClause[Op.or] = [
+        { required_role: req.user.role },
+        // Approvals created before chains were configurable
+        { required_role: null, level: userLevel },
+        // Approvals escalated to the user after an SLA breach
+        { escalated_to_id: req.user.id }
+      ];
+
+      // Plus approvals routed to the user by an active delegation
+      const delegators = await approvalDelegationService.findActiveDelegators(req.user.id);
+      if (delegators.length > 0) {
+        whereClause[Op.or].push(
+          { approver_id: delegators.map(d => d.id) },
+          { approver_id: null, required_role: [...new Set(delegators.map(d => d.role))] }
+        );
+      }
     }
 
-    // For Approver Level 2, check if they want to see all bookings or only approved by Level 1
     let includeClause = [
       {
         model: User,
         as: 'approver',
         attributes: ['id', 'name', 'email']
       },
+      {
+        model: User,
+        as: 'onBehalfOf',
+        attributes: ['id', 'name', 'email']
+      },
+      {
+        model: User,
+        as: 'escalatedTo',
+        attributes: ['id', 'name', 'email']
+      },
       {
         model: Booking,
         as: 'booking',
@@ -319,17 +203,23 @@ const getApprovals = async (req, res) => {
             model: Vehicle,
             as: 'vehicle',
             attributes: ['id', 'plate_number', 'type', 'make', 'model']
+          },
+          {
+            // Sibling levels, so clients can tell whether earlier levels are done
+            model: Approval,
+            as: 'approvals',
+            attributes: ['id', 'level', 'required_role', 'approver_id', 'escalated_to_id', 'status']
+          },
+          {
+            // One decision covers every occurrence of a recurring series
+            model: BookingSeries,
+            as: 'series',
+            attributes: ['id', 'frequency', 'interval', 'occurrence_count', 'until_date']
           }
         ]
       }
     ];
 
-    // If Approver Level 2 and show_all is false, only show Level 2 approvals (not filtered by Level 1 status)
-    if (req.user.role === 'approver_l2' && show_all !== 'true') {
-      // For Level 2 approvers, just show their Level 2 approvals
-      whereClause.level = 2;
-    }
-
     const { rows: approvals, count } = await Approval.findAndCountAll({
       where: whereClause,
       include: includeClause,
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { User } = require('../models');
 const { logActivity } = require('../middleware/audit');
+const { EMAIL_EVENTS } = require('../services/EmailService');
 
 const generateToken = (userId) => {
   return jwt.sign(
@@ -136,7 +137,8 @@ const login = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        department: user.department
+        department: user.department,
+        site_id: user.site_id
       },
       token
     });
@@ -168,6 +170,8 @@ const getProfile = async (req, res) => {
         email: user.email,
         role: user.role,
         department: user.department,
+        site_id: user.site_id,
+        email_opt_outs: user.email_opt_outs || [],
         status: user.status,
         created_at: user.created_at,
         updated_at: user.updated_at
@@ -191,7 +195,7 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    const { name, department } = req.body;
+    const { name, department, email_opt_outs } = req.body;
     const user = await User.findByPk(req.user.id);
 
     if (!user) {
@@ -202,13 +206,15 @@ const updateProfile = async (req, res) => {
 
     const oldValues = {
       name: user.name,
-      department: user.department
+      department: user.department,
+      email_opt_outs: user.email_opt_outs
     };
 
     // Update user
     await user.update({
       name: name || user.name,
-      department: department || user.department
+      department: department || user.department,
+      email_opt_outs: email_opt_outs ? [...new Set(email_opt_outs)] : user.email_opt_outs
     });
 
     // Log activity
@@ -218,7 +224,7 @@ const updateProfile = async (req, res) => {
       'user',
       user.id,
       oldValues,
-      { name: user.name, department: user.department },
+      { name: user.name, department: user.department, email_opt_outs: user.email_opt_outs },
       'Profile updated'
     );
 
@@ -229,7 +235,9 @@ const updateProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        department: user.department
+        department: user.department,
+        site_id: user.site_id,
+        email_opt_outs: user.email_opt_outs || []
       }
     });
   } catch (error) {
@@ -308,7 +316,9 @@ const loginValidation = [
 
 const updateProfileValidation = [
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-  body('department').optional().trim().isLength({ max: 100 }).withMessage('Department name too long')
+  body('department').optional().trim().isLength({ max: 100 }).withMessage('Department name too long'),
+  body('email_opt_outs').optional().isArray().withMessage('Email opt-outs must be a list'),
+  body('email_opt_outs.*').isIn(EMAIL_EVENTS).withMessage('Unknown email event')
 ];
 
 const changePasswordValidation = [
@@ -1,5 +1,7 @@
 const { body, validationResult, query } = require('express-validator');
 const BookingService = require('../services/BookingService');
+const { BOOKING_PRIORITIES, MAX_PASSENGERS } = BookingService;
+const { RECURRENCE_FREQUENCIES, SERIES_SCOPES, MAX_OCCURRENCES } = require('../services/BookingSeriesService');
 
 /**
  * Booking Controller
@@ -27,11 +29,11 @@ class BookingController {
       // Extract booking data
       const bookingData = this.extractBookingData(req.body);
       
-      // Create booking using service
-      const booking = await this.bookingService.createBooking(bookingData, req.user);
+      // Create booking (or a recurring series) using service
+      const booking = await this.bookingService.createBooking(bookingData, req.user, req.body.recurrence || null);
 
       res.status(201).json({
-        message: 'Booking created successfully',
+        message: booking.series_id ? 'Recurring booking series created successfully' : 'Booking created successfully',
         booking
       });
 
@@ -63,6 +65,37 @@ class BookingController {
     }
   }
 
+  /**
+   * Get the fleet schedule for a time window
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFleetSchedule(req, res) {
+    try {
+      // Validate request
+      const validationError = this.validateRequest(req);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      const { start_date, end_date, vehicle_type, location } = req.query;
+
+      // Get schedule using service
+      const schedule = await this.bookingService.getFleetSchedule(
+        { start_date, end_date, vehicle_type, location },
+        req.user
+      );
+
+      res.json({
+        message: 'Fleet schedule retrieved successfully',
+        ...schedule
+      });
+
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+
   /**
    * Get booking by ID
    * @param {Object} req - Express request object
@@ -102,7 +135,7 @@ class BookingController {
       const updateData = this.extractBookingData(req.body);
       
       // Update booking using service
-      const booking = await this.bookingService.updateBooking(id, updateData, req.user);
+      const booking = await this.bookingService.updateBooking(id, updateData, req.user, req.body.scope);
 
       res.json({
         message: 'Booking updated successfully',
@@ -121,11 +154,17 @@ class BookingController {
    */
   async cancelBooking(req, res) {
     try {
+      // Validate request
+      const validationError = this.validateRequest(req);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
       const { id } = req.params;
-      const { reason } = req.body;
+      const { reason, scope } = req.body;
       
       // Cancel booking using service
-      const booking = await this.bookingService.cancelBooking(id, reason, req.user);
+      const booking = await this.bookingService.cancelBooking(id, reason, req.user, scope);
 
       res.json({
         message: 'Booking cancelled successfully',
@@ -137,6 +176,64 @@ class BookingController {
     }
   }
 
+  /**
+   * Start a trip
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startTrip(req, res) {
+    try {
+      // Validate request
+      const validationError = this.validateRequest(req);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      const { id } = req.params;
+      const { start_mileage, actual_start_date } = req.body;
+
+      // Start trip using service
+      const booking = await this.bookingService.startTrip(id, { start_mileage, actual_start_date }, req.user);
+
+      res.json({
+        message: 'Trip started successfully',
+        booking
+      });
+
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+
+  /**
+   * Complete a trip
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async completeTrip(req, res) {
+    try {
+      // Validate request
+      const validationError = this.validateRequest(req);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      const { id } = req.params;
+      const { end_mileage } = req.body;
+
+      // Complete trip using service
+      const booking = await this.bookingService.completeTrip(id, { end_mileage }, req.user);
+
+      res.json({
+        message: 'Trip completed successfully',
+        booking
+      });
+
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+
   /**
    * Get booking activities
    * @param {Object} req - Express request object
@@ -184,19 +281,35 @@ class BookingController {
   }
 
   /**
-   * Export bookings to Excel (placeholder - to be implemented)
+   * Export bookings to Excel
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async exportBookings(req, res) {
     try {
-      // This is a placeholder - the actual implementation would be similar to exportBookingActivities
-      // but for multiple bookings instead of activities
-      res.status(501).json({
-        error: 'Not implemented',
-        message: 'Export bookings functionality is not yet implemented'
-      });
+      // Validate request
+      const validationError = this.validateRequest(req);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      // Extract query parameters
+      const filters = this.extractQueryFilters(req.query);
+
+      // Set response headers before the workbook starts streaming
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=bookings_${new Date().toISOString().split('T')[0]}.xlsx`);
+
+      // Stream export using service
+      await this.bookingService.exportBookings(filters, req.user, res);
+
     } catch (error) {
+      // Once streaming has started the status can't change, so just end the response
+      if (res.headersSent) {
+        console.error('Booking export stream error:', error);
+        return res.end();
+      }
+      res.removeHeader('Content-Disposition');
       this.handleError(res, error);
     }
   }
@@ -230,10 +343,17 @@ class BookingController {
       driver_id: body.driver_id,
       approver_l1_id: body.approver_l1_id,
       approver_l2_id: body.approver_l2_id,
+      approver_l3_id: body.approver_l3_id,
       employee_id: body.employee_id, // Keep employee_id for service validation
       user_id: body.employee_id, // Map employee_id to user_id for database
       start_date: body.start_date,
       end_date: body.end_date,
+      purpose: body.purpose,
+      destination: body.destination,
+      passengers: body.passengers,
+      priority: body.priority,
+      cost_center: body.cost_center,
+      site_id: body.site_id,
       notes: body.notes
     };
   }
@@ -251,7 +371,10 @@ class BookingController {
       vehicle_id: query.vehicle_id,
       user_id: query.user_id,
       start_date: query.start_date,
-      end_date: query.end_date
+      end_date: query.end_date,
+      priority: query.priority,
+      cost_center: query.cost_center,
+      site_id: query.site_id
     };
   }
 
@@ -263,6 +386,23 @@ class BookingController {
   handleError(res, error) {
     console.error('Booking controller error:', error);
 
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: 'Booking conflict',
+        message: error.message,
+        conflicts: error.conflicts || []
+      });
+    }
+
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error.message,
+        ...(error.violations && { violations: error.violations }),
+        ...(error.documents && { documents: error.documents })
+      });
+    }
+
     // Handle specific error types
     if (error.message.includes('not found')) {
       return res.status(404).json({
@@ -293,6 +433,14 @@ class BookingController {
   }
 }
 
+/**
+ * Validation condition for fields only admins fill in
+ * @param {*} value - Field value
+ * @param {Object} meta - express-validator meta with req
+ * @returns {boolean} True if the request is from an admin
+ */
+const isAdminRequest = (value, { req }) => req.user && req.user.role === 'admin';
+
 // Create controller instance
 const bookingController = new BookingController();
 
@@ -301,8 +449,11 @@ module.exports = {
   createBooking: bookingController.createBooking.bind(bookingController),
   getBookings: bookingController.getBookings.bind(bookingController),
   getBookingById: bookingController.getBookingById.bind(bookingController),
+  getFleetSchedule: bookingController.getFleetSchedule.bind(bookingController),
   updateBooking: bookingController.updateBooking.bind(bookingController),
   cancelBooking: bookingController.cancelBooking.bind(bookingController),
+  startTrip: bookingController.startTrip.bind(bookingController),
+  completeTrip: bookingController.completeTrip.bind(bookingController),
   getBookingActivities: bookingController.getBookingActivities.bind(bookingController),
   exportBookingActivities: bookingController.exportBookingActivities.bind(bookingController),
   exportBookings: bookingController.exportBookings.bind(bookingController),
@@ -313,30 +464,78 @@ module.exports = {
 // Validation rules
   createBookingValidation: [
     body('vehicle_id').isInt().withMessage('Vehicle ID must be a number'),
-    body('driver_id').isInt().withMessage('Driver ID must be a number'),
-    body('approver_l1_id').isInt().withMessage('First approver ID must be a number'),
-    body('approver_l2_id').isInt().withMessage('Second approver ID must be a number'),
-    body('employee_id').isInt().withMessage('Employee ID must be a number'),
+    // Employees book for themselves and get a driver after approval
+    body('driver_id').if(isAdminRequest).isInt().withMessage('Driver ID must be a number'),
+    body('approver_l1_id').optional({ nullable: true }).isInt().withMessage('First approver ID must be a number'),
+    body('approver_l2_id').optional({ nullable: true }).isInt().withMessage('Second approver ID must be a number'),
+    body('approver_l3_id').optional({ nullable: true }).isInt().withMessage('Third approver ID must be a number'),
+    body('employee_id').if(isAdminRequest).isInt().withMessage('Employee ID must be a number'),
+    // Defaults to the employee's site; only admins book for another site
+    body('site_id').if(isAdminRequest).optional({ values: 'null' }).isInt().withMessage('Site ID must be a number'),
     body('start_date').isISO8601().withMessage('Start date must be a valid date'),
     body('end_date').isISO8601().withMessage('End date must be a valid date'),
-    body('notes').optional().isString().withMessage('Notes must be a string')
+    body('purpose').isString().trim().isLength({ min: 3, max: 255 }).withMessage('Purpose must be between 3 and 255 characters'),
+    body('destination').optional({ values: 'falsy' }).isString().trim().isLength({ max: 255 }).withMessage('Destination must be at most 255 characters'),
+    body('passengers').optional({ values: 'null' }).isInt({ min: 1, max: MAX_PASSENGERS }).withMessage(`Passengers must be between 1 and ${MAX_PASSENGERS}`),
+    body('priority').optional().isIn(BOOKING_PRIORITIES).withMessage('Priority must be low, normal, high or urgent'),
+    body('cost_center').optional({ values: 'falsy' }).isString().trim().isLength({ max: 50 }).withMessage('Cost center must be at most 50 characters'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    body('recurrence').optional({ nullable: true }).isObject().withMessage('Recurrence must be an object'),
+    body('recurrence.frequency').if(body('recurrence').exists({ values: 'null' })).isIn(RECURRENCE_FREQUENCIES).withMessage('Recurrence frequency must be daily, weekly or monthly'),
+    body('recurrence.interval').optional().isInt({ min: 1, max: 12 }).withMessage('Recurrence interval must be between 1 and 12'),
+    body('recurrence.weekdays').optional().isArray({ max: 7 }).withMessage('Weekdays must be a list'),
+    body('recurrence.weekdays.*').isInt({ min: 0, max: 6 }).withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)'),
+    body('recurrence.until').optional({ nullable: true }).isISO8601().withMessage('Recurrence end date must be a valid date'),
+    body('recurrence.count').optional({ nullable: true }).isInt({ min: 2, max: MAX_OCCURRENCES }).withMessage(`Occurrences must be between 2 and ${MAX_OCCURRENCES}`),
+    body('recurrence.time_zone').optional().isString().isLength({ max: 64 }).withMessage('Time zone must be a time zone name')
   ],
 
   updateBookingValidation: [
     body('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
-    body('driver_id').optional().isInt().withMessage('Driver ID must be a number'),
+    body('driver_id').optional({ values: 'falsy' }).isInt().withMessage('Driver ID must be a number'),
     body('approver_l1_id').optional().isInt().withMessage('First approver ID must be a number'),
     body('approver_l2_id').optional().isInt().withMessage('Second approver ID must be a number'),
     body('employee_id').optional().isInt().withMessage('Employee ID must be a number'),
+    body('site_id').optional({ values: 'null' }).isInt().withMessage('Site ID must be a number'),
     body('start_date').optional().isISO8601().withMessage('Start date must be a valid date'),
     body('end_date').optional().isISO8601().withMessage('End date must be a valid date'),
-    body('notes').optional().isString().withMessage('Notes must be a string')
+    body('purpose').optional().isString().trim().isLength({ min: 3, max: 255 }).withMessage('Purpose must be between 3 and 255 characters'),
+    body('destination').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }).withMessage('Destination must be at most 255 characters'),
+    body('passengers').optional({ values: 'null' }).isInt({ min: 1, max: MAX_PASSENGERS }).withMessage(`Passengers must be between 1 and ${MAX_PASSENGERS}`),
+    body('priority').optional().isIn(BOOKING_PRIORITIES).withMessage('Priority must be low, normal, high or urgent'),
+    body('cost_center').optional({ values: 'null' }).isString().trim().isLength({ max: 50 }).withMessage('Cost center must be at most 50 characters'),
+    body('notes').optional().isString().withMessage('Notes must be a string'),
+    body('scope').optional().isIn(SERIES_SCOPES).withMessage('Scope must be this, following or all')
+  ],
+
+  cancelBookingValidation: [
+    body('reason').optional().isString().withMessage('Reason must be a string'),
+    body('scope').optional().isIn(SERIES_SCOPES).withMessage('Scope must be this, following or all')
+  ],
+
+  startTripValidation: [
+    body('start_mileage').isInt({ min: 0 }).withMessage('Start mileage must be a non-negative number'),
+    body('actual_start_date').optional().isISO8601().withMessage('Departure time must be a valid date')
+  ],
+
+  completeTripValidation: [
+    body('end_mileage').isInt({ min: 0 }).withMessage('End mileage must be a non-negative number')
   ],
 
   getBookingsValidation: [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
   query('status').optional().isIn(['pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled']).withMessage('Invalid status'),
-  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number')
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
+  query('priority').optional().isIn(BOOKING_PRIORITIES).withMessage('Invalid priority'),
+  query('cost_center').optional().isString().trim().isLength({ max: 50 }).withMessage('Cost center too long'),
+  query('site_id').optional().isInt().withMessage('Site ID must be a number')
+  ],
+
+  getFleetScheduleValidation: [
+    query('start_date').isISO8601().withMessage('Start date must be a valid date'),
+    query('end_date').isISO8601().withMessage('End date must be a valid date'),
+    query('vehicle_type').optional().isIn(['truck', 'van', 'car', 'bus', 'excavator', 'bulldozer', 'crane', 'other']).withMessage('Invalid vehicle type'),
+    query('location').optional().isString().trim().isLength({ max: 100 }).withMessage('Location too long')
   ]
 };
@@ -1,5 +1,8 @@
 const { Booking, Vehicle, User, Approval } = require('../models');
 const { Op } = require('sequelize');
+const FuelService = require('../services/FuelService');
+
+const fuelService = new FuelService();
 
 const getDashboardStats = async (req, res) => {
   try {
@@ -75,6 +78,10 @@ const getVehicleUtilization = async (req, res) => {
       attributes: ['id', 'plate_number', 'make', 'model', 'type', 'status']
     });
 
+    // Fuel consumption over the same period, shown alongside utilization
+    const fuelReport = await fuelService.getConsumptionReport({ start_date: startDate, end_date: endDate });
+    const fuelByVehicle = new Map(fuelReport.vehicles.map(entry => [entry.vehicle.id, entry.l_per_100km]));
+
     // Calculate utilization metrics for each vehicle
     const utilizationData = vehicles.map(vehicle => {
       const bookings = vehicle.bookings || [];
@@ -102,7 +109,8 @@ const getVehicleUtilization = async (req, res) => {
         status: vehicle.status,
         bookingCount: bookings.length,
         totalHours: Math.round(totalHours * 100) / 100,
-        utilizationPercentage: Math.round(utilizationPercentage * 100) / 100
+        utilizationPercentage: Math.round(utilizationPercentage * 100) / 100,
+        fuelConsumption: fuelByVehicle.get(vehicle.id) ?? null
       };
     });
 
@@ -127,7 +135,16 @@ const getVehicleUtilization = async (req, res) => {
           data: topUtilizedVehicles.map(v => v.utilizationPercentage),
           backgroundColor: 'rgba(54, 162, 235, 0.6)',
           borderColor: 'rgba(54, 162, 235, 1)',
-          borderWidth: 1
+          borderWidth: 1,
+          yAxisID: 'y'
+        },
+        {
+          label: 'Fuel L/100 km',
+          data: topUtilizedVehicles.map(v => v.fuelConsumption),
+          backgroundColor: 'rgba(255, 159, 64, 0.6)',
+          borderColor: 'rgba(255, 159, 64, 1)',
+          borderWidth: 1,
+          yAxisID: 'y1'
         }
       ]
     };
@@ -137,6 +154,7 @@ const getVehicleUtilization = async (req, res) => {
       fleetUtilization: Math.round(fleetUtilizationPercentage * 100) / 100,
       totalFleetHours: Math.round(totalFleetHours * 100) / 100,
       vehicleCount: vehicles.length,
+      fleetFuelConsumption: fuelReport.fleet.l_per_100km,
       topUtilizedVehicles,
       chartData,
       allVehicles: utilizationData
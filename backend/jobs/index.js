@@ -0,0 +1,85 @@
+const JobScheduler = require('../services/JobScheduler');
+const ApprovalEscalationService = require('../services/ApprovalEscalationService');
+const EmailService = require('../services/EmailService');
+const MaintenanceService = require('../services/MaintenanceService');
+const DriverService = require('../services/DriverService');
+const DriverLeaveService = require('../services/DriverLeaveService');
+const VehicleDocumentService = require('../services/VehicleDocumentService');
+
+const MINUTE_MS = 60 * 1000;
+
+const scheduler = new JobScheduler({
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || MINUTE_MS
+});
+
+const approvalEscalationService = new ApprovalEscalationService();
+const emailService = new EmailService();
+const maintenanceService = new MaintenanceService();
+const driverService = new DriverService();
+const driverLeaveService = new DriverLeaveService();
+const vehicleDocumentService = new VehicleDocumentService();
+
+// Escalate approvals that have been pending longer than their level's SLA
+scheduler.register('approval_escalation', async () => {
+  const escalated = await approvalEscalationService.escalateOverdueApprovals();
+  if (escalated.length > 0) {
+    console.log(`Escalated ${escalated.length} overdue approval(s)`);
+  }
+});
+scheduler.every(
+  'approval_escalation',
+  (parseInt(process.env.APPROVAL_ESCALATION_INTERVAL_MINUTES) || 15) * MINUTE_MS
+);
+
+// Tell admins when a maintenance plan falls overdue by date or odometer
+scheduler.register('maintenance_due', async () => {
+  const reported = await maintenanceService.notifyOverduePlans();
+  if (reported.length > 0) {
+    console.log(`Reported ${reported.length} overdue maintenance plan(s)`);
+  }
+});
+scheduler.every(
+  'maintenance_due',
+  (parseInt(process.env.MAINTENANCE_CHECK_INTERVAL_MINUTES) || 60) * MINUTE_MS
+);
+
+// Warn admins 30, 14 and 7 days before a driver's licence expires
+scheduler.register('license_expiry', async () => {
+  const warned = await driverService.notifyExpiringLicenses();
+  if (warned.length > 0) {
+    console.log(`Sent licence expiry warnings for ${warned.length} driver(s)`);
+  }
+});
+scheduler.every(
+  'license_expiry',
+  (parseInt(process.env.LICENSE_EXPIRY_CHECK_INTERVAL_MINUTES) || 24 * 60) * MINUTE_MS
+);
+
+// Warn admins 30, 14 and 7 days before a vehicle's required document expires
+scheduler.register('vehicle_document_expiry', async () => {
+  const warned = await vehicleDocumentService.notifyExpiringDocuments();
+  if (warned.length > 0) {
+    console.log(`Sent expiry warnings for ${warned.length} vehicle document(s)`);
+  }
+});
+scheduler.every(
+  'vehicle_document_expiry',
+  (parseInt(process.env.VEHICLE_DOCUMENT_CHECK_INTERVAL_MINUTES) || 24 * 60) * MINUTE_MS
+);
+
+// Put drivers on leave when approved leave starts, and back when it ends
+scheduler.register('driver_availability', async () => {
+  const changed = await driverLeaveService.syncDriverStatuses();
+  if (changed.length > 0) {
+    console.log(`Updated leave status for ${changed.length} driver(s)`);
+  }
+});
+scheduler.every(
+  'driver_availability',
+  (parseInt(process.env.DRIVER_AVAILABILITY_CHECK_INTERVAL_MINUTES) || 15) * MINUTE_MS
+);
+
+// Send queued emails; failed sends are retried with backoff
+scheduler.register(EmailService.SEND_EMAIL_JOB, (payload) => emailService.deliver(payload));
+
+module.exports = scheduler;
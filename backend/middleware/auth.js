@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 
@@ -36,6 +37,24 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Telematics units post positions with a shared key instead of a user token
+const authenticateDevice = (req, res, next) => {
+  const expected = process.env.TELEMATICS_API_KEY;
+  if (!expected) {
+    return res.status(503).json({ error: 'Telematics ingestion is not configured' });
+  }
+
+  const provided = req.headers['x-api-key'] || '';
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(String(provided)).digest();
+
+  if (!provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  next();
+};
+
 const authorizeRoles = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -61,6 +80,7 @@ const isAdminOrApprover = authorizeRoles('admin', 'approver_l1', 'approver_l2');
 
 module.exports = {
   authenticateToken,
+  authenticateDevice,
   authorizeRoles,
   isAdmin,
   isApprover,
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
+// Receipts, scans and photos
+const DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+/**
+ * Turn multer errors into 400 responses instead of falling through to the 500 handler
+ * @param {Function} middleware - Multer middleware
+ * @returns {Function} Express middleware
+ */
+const handleUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files cannot be larger than ${Math.round(MAX_FILE_SIZE / (1024 * 1024))} MB`
+          : error.message
+      });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    next(error);
+  });
+};
+
+/**
+ * Create upload middleware that stores files under a folder of the upload directory
+ * @param {string} folder - Folder name, e.g. 'fuel-receipts'
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.allowedTypes] - Accepted MIME types
+ * @returns {Object} { single(field), array(field, maxCount) } middleware factories
+ */
+const createUpload = (folder, { allowedTypes = DOCUMENT_TYPES } = {}) => {
+  const directory = path.join(UPLOAD_DIR, folder);
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        fs.mkdir(directory, { recursive: true }, (error) => cb(error, directory));
+      },
+      filename: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+      }
+    }),
+    limits: { fileSize: MAX_FILE_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (allowedTypes.includes(file.mimetype)) return cb(null, true);
+
+      const error = new Error('Only JPEG, PNG and WebP images or PDF files can be uploaded');
+      error.status = 400;
+      cb(error);
+    }
+  });
+
+  return {
+    single: (field) => handleUploadErrors(upload.single(field)),
+    array: (field, maxCount) => handleUploadErrors(upload.array(field, maxCount))
+  };
+};
+
+/**
+ * Path to store on a record for an uploaded file
+ * @param {Object} file - Multer file
+ * @returns {string} Path relative to the upload directory
+ */
+const toStoredPath = (file) => path.relative(UPLOAD_DIR, file.path).split(path.sep).join('/');
+
+/**
+ * Absolute path of a stored upload
+ * @param {string} storedPath - Path relative to the upload directory
+ * @returns {string|null} Absolute path, or null if it points outside the upload directory
+ */
+const resolveUpload = (storedPath) => {
+  const absolute = path.resolve(UPLOAD_DIR, storedPath);
+  return absolute.startsWith(UPLOAD_DIR + path.sep) ? absolute : null;
+};
+
+/**
+ * Delete a stored upload, ignoring files that are already gone
+ * @param {string} storedPath - Path relative to the upload directory
+ */
+const removeUpload = async (storedPath) => {
+  const absolute = storedPath && resolveUpload(storedPath);
+  if (!absolute) return;
+
+  await fs.promises.unlink(absolute).catch(() => {});
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  createUpload,
+  toStoredPath,
+  resolveUpload,
+  removeUpload
+};
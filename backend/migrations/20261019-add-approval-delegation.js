@@ -0,0 +1,28 @@
+/**
+ * Record the original approver when a delegate actions an approval on their behalf
+ */
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('approvals');
+
+    if (!table.on_behalf_of_id) {
+      await queryInterface.addColumn('approvals', 'on_behalf_of_id', {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const table = await queryInterface.describeTable('approvals');
+
+    if (table.on_behalf_of_id) {
+      await queryInterface.removeColumn('approvals', 'on_behalf_of_id');
+    }
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Record when an approval level breached its SLA and the extra approver it was escalated to
+ */
+
+const COLUMNS = (DataTypes) => ({
+  escalated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  escalated_to_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('approvals');
+
+    for (const [name, definition] of Object.entries(COLUMNS(DataTypes))) {
+      if (!table[name]) {
+        await queryInterface.addColumn('approvals', name, definition);
+      }
+    }
+  },
+
+  async down(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('approvals');
+
+    for (const name of Object.keys(COLUMNS(DataTypes))) {
+      if (table[name]) {
+        await queryInterface.removeColumn('approvals', name);
+      }
+    }
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Record the role allowed to action each approval level, taken from the approval policy
+ * Existing approvals keep a null role, which means approver_l1 at level 1 and approver_l2 above it
+ */
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('approvals');
+
+    if (!table.required_role) {
+      await queryInterface.addColumn('approvals', 'required_role', {
+        type: DataTypes.ENUM('approver_l1', 'approver_l2'),
+        allowNull: true
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const table = await queryInterface.describeTable('approvals');
+
+    if (table.required_role) {
+      await queryInterface.removeColumn('approvals', 'required_role');
+    }
+
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_approvals_required_role";');
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Add trip details to bookings: purpose, destination, passengers, priority and cost center
+ * Existing bookings keep a null purpose and get the default 'normal' priority
+ */
+
+const COLUMNS = (DataTypes) => ({
+  purpose: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  destination: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  passengers: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  priority: {
+    type: DataTypes.ENUM('low', 'normal', 'high', 'urgent'),
+    allowNull: false,
+    defaultValue: 'normal'
+  },
+  cost_center: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+});
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('bookings');
+
+    for (const [name, definition] of Object.entries(COLUMNS(DataTypes))) {
+      if (!table[name]) {
+        await queryInterface.addColumn('bookings', name, definition);
+      }
+    }
+  },
+
+  async down(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('bookings');
+
+    for (const name of Object.keys(COLUMNS(DataTypes))) {
+      if (table[name]) {
+        await queryInterface.removeColumn('bookings', name);
+      }
+    }
+
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_bookings_priority";');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Link bookings to the recurring series they belong to
+ * Existing bookings are one-off bookings with no series
+ */
+
+const COLUMNS = (DataTypes) => ({
+  series_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'booking_series',
+      key: 'id'
+    }
+  },
+  series_index: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+});
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('bookings');
+
+    for (const [name, definition] of Object.entries(COLUMNS(DataTypes))) {
+      if (!table[name]) {
+        await queryInterface.addColumn('bookings', name, definition);
+      }
+    }
+  },
+
+  async down(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('bookings');
+
+    for (const name of Object.keys(COLUMNS(DataTypes))) {
+      if (table[name]) {
+        await queryInterface.removeColumn('bookings', name);
+      }
+    }
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Track which licence expiry warning (30, 14 or 7 days) each driver has had
+ * Cleared whenever the licence expiry date changes
+ */
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('drivers');
+
+    if (!table.license_expiry_notified_days) {
+      await queryInterface.addColumn('drivers', 'license_expiry_notified_days', {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const table = await queryInterface.describeTable('drivers');
+
+    if (table.license_expiry_notified_days) {
+      await queryInterface.removeColumn('drivers', 'license_expiry_notified_days');
+    }
+  }
+};
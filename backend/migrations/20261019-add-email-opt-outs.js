@@ -0,0 +1,26 @@
+/**
+ * Let users opt out of booking emails per event type
+ * Existing users get an empty list, so they keep receiving every email
+ */
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('users');
+
+    if (!table.email_opt_outs) {
+      await queryInterface.addColumn('users', 'email_opt_outs', {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const table = await queryInterface.describeTable('users');
+
+    if (table.email_opt_outs) {
+      await queryInterface.removeColumn('users', 'email_opt_outs');
+    }
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Assign vehicles, drivers, users and bookings to sites, and mark the cross-site level on approvals
+ * Existing rows get a null site, which is treated as belonging to no particular site
+ */
+
+const TABLES = ['vehicles', 'drivers', 'users', 'bookings', 'approvals'];
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    for (const tableName of TABLES) {
+      const table = await queryInterface.describeTable(tableName);
+
+      if (!table.site_id) {
+        await queryInterface.addColumn(tableName, 'site_id', {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'sites',
+            key: 'id'
+          }
+        });
+      }
+    }
+  },
+
+  async down(queryInterface) {
+    for (const tableName of TABLES) {
+      const table = await queryInterface.describeTable(tableName);
+
+      if (table.site_id) {
+        await queryInterface.removeColumn(tableName, 'site_id');
+      }
+    }
+  }
+};
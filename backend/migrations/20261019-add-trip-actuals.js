@@ -0,0 +1,31 @@
+/**
+ * Record when a trip actually departs and returns on bookings
+ * Existing bookings have neither
+ */
+
+const COLUMNS = ['actual_start_date', 'actual_end_date'];
+
+module.exports = {
+  async up(queryInterface, DataTypes) {
+    const table = await queryInterface.describeTable('bookings');
+
+    for (const name of COLUMNS) {
+      if (!table[name]) {
+        await queryInterface.addColumn('bookings', name, {
+          type: DataTypes.DATE,
+          allowNull: true
+        });
+      }
+    }
+  },
+
+  async down(queryInterface) {
+    const table = await queryInterface.describeTable('bookings');
+
+    for (const name of COLUMNS) {
+      if (table[name]) {
+        await queryInterface.removeColumn('bookings', name);
+      }
+    }
+  }
+};
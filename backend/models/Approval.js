@@ -28,7 +28,27 @@ const Approval = sequelize.define('Approval', {
     allowNull: false, // 1 for first level, 2 for second level, etc.
     validate: {
       min: 1,
-      max: 3
+      max: 4 // Up to three policy levels plus a cross-site level
+    }
+  },
+  on_behalf_of_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Original approver when a delegate actioned this level
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  required_role: {
+    type: DataTypes.ENUM('approver_l1', 'approver_l2'),
+    allowNull: true // Role allowed to action this level, taken from the approval policy
+  },
+  site_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Set on the extra level a cross-site booking needs: the site lending the vehicle
+    references: {
+      model: 'sites',
+      key: 'id'
     }
   },
   status: {
@@ -36,6 +56,18 @@ const Approval = sequelize.define('Approval', {
     allowNull: false,
     defaultValue: 'pending'
   },
+  escalated_at: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the level breached its SLA and was escalated
+  },
+  escalated_to_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Extra approver added by escalation
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
   comments: {
     type: DataTypes.TEXT,
     allowNull: true
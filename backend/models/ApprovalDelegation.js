@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ApprovalDelegation = sequelize.define('ApprovalDelegation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  delegator_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false, // Approver who is away
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  delegate_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false, // Approver acting in their place
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  start_date: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  end_date: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'approval_delegations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['delegate_id', 'start_date', 'end_date']
+    }
+  ]
+});
+
+module.exports = ApprovalDelegation;
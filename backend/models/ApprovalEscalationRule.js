@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ApprovalEscalationRule = sequelize.define('ApprovalEscalationRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  level: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    validate: {
+      min: 1,
+      max: 3
+    }
+  },
+  sla_hours: {
+    type: DataTypes.FLOAT,
+    allowNull: false, // How long a level may stay pending before it is escalated
+    validate: {
+      min: 0.25
+    }
+  },
+  action: {
+    type: DataTypes.ENUM('reassign', 'add_approver'),
+    allowNull: false,
+    defaultValue: 'add_approver'
+  },
+  target_role: {
+    type: DataTypes.ENUM('approver_l1', 'approver_l2'),
+    allowNull: false
+  },
+  target_user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // null means any user with target_role
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'approval_escalation_rules',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = ApprovalEscalationRule;
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const APPROVER_ROLES = ['approver_l1', 'approver_l2'];
+
+const ApprovalPolicy = sequelize.define('ApprovalPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  department: {
+    type: DataTypes.STRING(100),
+    allowNull: true // null matches any department
+  },
+  vehicle_type: {
+    type: DataTypes.ENUM('truck', 'van', 'car', 'bus', 'excavator', 'bulldozer', 'crane', 'other'),
+    allowNull: true // null matches any vehicle type
+  },
+  min_duration_hours: {
+    type: DataTypes.FLOAT,
+    allowNull: true // Inclusive lower bound on trip duration
+  },
+  max_duration_hours: {
+    type: DataTypes.FLOAT,
+    allowNull: true // Exclusive upper bound on trip duration
+  },
+  approval_roles: {
+    type: DataTypes.JSON, // Role required at each level, e.g. ['approver_l1', 'approver_l2']
+    allowNull: false,
+    validate: {
+      isValidChain(value) {
+        if (!Array.isArray(value) || value.length < 1 || value.length > 3) {
+          throw new Error('Approval chain must have between 1 and 3 levels');
+        }
+        if (value.some(role => !APPROVER_ROLES.includes(role))) {
+          throw new Error('Approval chain roles must be approver_l1 or approver_l2');
+        }
+      }
+    }
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0 // Higher priority wins when several policies match
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'approval_policies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  validate: {
+    durationRange() {
+      if (this.min_duration_hours != null && this.max_duration_hours != null &&
+          this.max_duration_hours <= this.min_duration_hours) {
+        throw new Error('Maximum duration must be greater than minimum duration');
+      }
+    }
+  }
+});
+
+module.exports = ApprovalPolicy;
@@ -39,6 +39,18 @@ const Booking = sequelize.define('Booking', {
       key: 'id'
     }
   },
+  series_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Set for occurrences of a recurring booking
+    references: {
+      model: 'booking_series',
+      key: 'id'
+    }
+  },
+  series_index: {
+    type: DataTypes.INTEGER,
+    allowNull: true // 1-based position within the series
+  },
   start_date: {
     type: DataTypes.DATE,
     allowNull: false
@@ -55,6 +67,38 @@ const Booking = sequelize.define('Booking', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  actual_start_date: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the trip actually departs
+  },
+  actual_end_date: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the vehicle is returned
+  },
+  purpose: {
+    type: DataTypes.STRING(255),
+    allowNull: true // Required for new bookings; older bookings have none
+  },
+  destination: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  passengers: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  priority: {
+    type: DataTypes.ENUM('low', 'normal', 'high', 'urgent'),
+    allowNull: false,
+    defaultValue: 'normal'
+  },
+  cost_center: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
   status: {
     type: DataTypes.ENUM('pending', 'approved', 'rejected', 'in_progress', 'completed', 'cancelled'),
     allowNull: false,
@@ -64,6 +108,14 @@ const Booking = sequelize.define('Booking', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  site_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Requesting site, defaults to the employee's home site
+    references: {
+      model: 'sites',
+      key: 'id'
+    }
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -21,6 +21,10 @@ const Driver = sequelize.define('Driver', {
     allowNull: true,
     defaultValue: null
   },
+  license_expiry_notified_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Last expiry warning sent (30, 14 or 7 days before), reset when the expiry changes
+  },
   phone: {
     type: DataTypes.STRING(20),
     allowNull: true
@@ -56,6 +60,14 @@ const Driver = sequelize.define('Driver', {
     type: DataTypes.JSON, // Can drive multiple vehicle types
     allowNull: true
   },
+  site_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Site the driver works from
+    references: {
+      model: 'sites',
+      key: 'id'
+    }
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DriverHoursRule = sequelize.define('DriverHoursRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  rule_type: {
+    type: DataTypes.ENUM('daily_hours', 'weekly_hours', 'rest_hours'),
+    allowNull: false,
+    unique: true // Daily and weekly rules cap driving hours, the rest rule sets the minimum gap between bookings
+  },
+  limit_hours: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    validate: {
+      min: 0.5,
+      max: 168
+    }
+  },
+  enforcement: {
+    type: DataTypes.ENUM('reject', 'warn'),
+    allowNull: false,
+    defaultValue: 'reject'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'driver_hours_rules',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = DriverHoursRule;
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DriverLeave = sequelize.define('DriverLeave', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'drivers',
+      key: 'id'
+    }
+  },
+  leave_type: {
+    type: DataTypes.ENUM('annual', 'sick', 'training', 'personal', 'other'),
+    allowNull: false,
+    defaultValue: 'annual'
+  },
+  start_date: {
+    type: DataTypes.DATE,
+    allowNull: false // Start of the window the driver can't be assigned to bookings, once approved
+  },
+  end_date: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  requested_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Admin who approved or rejected the leave
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  review_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'driver_leaves',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = DriverLeave;
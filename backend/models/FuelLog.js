@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const FuelLog = sequelize.define('FuelLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  booking_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Set when the fill-up happened during a trip
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  filled_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  litres: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  odometer: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  is_full_tank: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true // Consumption is measured between full tanks
+  },
+  station: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  receipt_path: {
+    type: DataTypes.STRING(255),
+    allowNull: true // Relative to the upload directory
+  },
+  receipt_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'fuel_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['vehicle_id', 'filled_at'] }
+  ]
+});
+
+module.exports = FuelLog;
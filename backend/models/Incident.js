@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Incident = sequelize.define('Incident', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  booking_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false, // The booking's vehicle when reported
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // The booking's driver when reported, if one was assigned
+    references: {
+      model: 'drivers',
+      key: 'id'
+    }
+  },
+  incident_type: {
+    type: DataTypes.ENUM('damage', 'collision', 'near_miss', 'injury', 'other'),
+    allowNull: false
+  },
+  severity: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    allowNull: false
+  },
+  occurred_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  location: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  photos: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [] // [{ path, name }]
+  },
+  status: {
+    type: DataTypes.ENUM('reported', 'investigating', 'action_required', 'closed'),
+    allowNull: false,
+    defaultValue: 'reported'
+  },
+  investigation_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  corrective_action: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reported_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  investigated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  closed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  closed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'incidents',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['booking_id'] },
+    { fields: ['vehicle_id'] },
+    { fields: ['driver_id'] },
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = Incident;
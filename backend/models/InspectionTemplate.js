@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const InspectionTemplate = sequelize.define('InspectionTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  vehicle_type: {
+    type: DataTypes.ENUM('truck', 'van', 'car', 'bus', 'excavator', 'bulldozer', 'crane', 'other'),
+    allowNull: true // Null applies to vehicle types without a checklist of their own
+  },
+  inspection_type: {
+    type: DataTypes.ENUM('pre_trip', 'post_trip', 'both'),
+    allowNull: false,
+    defaultValue: 'both'
+  },
+  items: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [] // [{ label, critical }]
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'inspection_templates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = InspectionTemplate;
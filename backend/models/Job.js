@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false // Handler name registered with the JobScheduler
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  run_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3
+  },
+  locked_at: {
+    type: DataTypes.DATE,
+    allowNull: true // Set while a worker is running the job
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status', 'run_at']
+    },
+    {
+      fields: ['type', 'status']
+    }
+  ]
+});
+
+module.exports = Job;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const MaintenancePlan = sequelize.define('MaintenancePlan', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false // e.g. "Engine oil and filter"
+  },
+  interval_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Due every N days; a plan needs this, interval_km or both
+    validate: {
+      min: 1
+    }
+  },
+  interval_km: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Due every N km on the odometer
+    validate: {
+      min: 1
+    }
+  },
+  last_service_date: {
+    type: DataTypes.DATE,
+    allowNull: true // Intervals count from here (the plan's creation if never serviced)
+  },
+  last_service_mileage: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Odometer intervals count from here (the reading when the plan was created if never serviced)
+  },
+  next_due_date: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  next_due_mileage: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  overdue_notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true // Cleared when the plan is serviced, so admins are told once per overdue period
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'maintenance_plans',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = MaintenancePlan;
@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const MaintenanceRecord = sequelize.define('MaintenanceRecord', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  plan_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Set when the work services a recurring plan
+    references: {
+      model: 'maintenance_plans',
+      key: 'id'
+    }
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  service_type: {
+    type: DataTypes.ENUM('scheduled', 'repair', 'inspection', 'tyres', 'other'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'in_progress', 'completed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+  start_date: {
+    type: DataTypes.DATE,
+    allowNull: false // Start of the window the vehicle is unavailable for bookings
+  },
+  end_date: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  odometer: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Reading when the work was done
+  },
+  parts: {
+    type: DataTypes.JSON,
+    allowNull: true // [{ name, quantity, unit_cost }]
+  },
+  parts_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  labour_hours: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: true
+  },
+  labour_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  vendor: {
+    type: DataTypes.STRING(100),
+    allowNull: true // Workshop or mechanic
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'maintenance_records',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['vehicle_id', 'start_date']
+    }
+  ]
+});
+
+module.exports = MaintenanceRecord;
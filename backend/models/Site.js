@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const MIN_GEOFENCE_POINTS = 3;
+const MAX_GEOFENCE_POINTS = 200;
+
+const Site = sequelize.define('Site', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true // Short label shown in lists, e.g. 'RUH-N'
+  },
+  region: {
+    type: DataTypes.STRING(100),
+    allowNull: true // Sites in the same region are grouped together
+  },
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  geofence: {
+    type: DataTypes.JSON, // Polygon of { latitude, longitude } corners, in order; null for no geofence
+    allowNull: true,
+    validate: {
+      isValidPolygon(value) {
+        if (value === null) return;
+        if (!Array.isArray(value) || value.length < MIN_GEOFENCE_POINTS || value.length > MAX_GEOFENCE_POINTS) {
+          throw new Error(`Geofence must have between ${MIN_GEOFENCE_POINTS} and ${MAX_GEOFENCE_POINTS} points`);
+        }
+        const invalid = value.some(point =>
+          !point ||
+          typeof point.latitude !== 'number' || point.latitude < -90 || point.latitude > 90 ||
+          typeof point.longitude !== 'number' || point.longitude < -180 || point.longitude > 180
+        );
+        if (invalid) {
+          throw new Error('Geofence points must have a latitude between -90 and 90 and a longitude between -180 and 180');
+        }
+      }
+    }
+  },
+  manager_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Approver who signs off other sites borrowing this site's vehicles
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'sites',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = Site;
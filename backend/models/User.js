@@ -33,6 +33,19 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  site_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Home site; the user's bookings default to it
+    references: {
+      model: 'sites',
+      key: 'id'
+    }
+  },
+  email_opt_outs: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [] // Email events the user doesn't want to receive
+  },
   status: {
     type: DataTypes.ENUM('active', 'inactive'),
     defaultValue: 'active'
@@ -58,6 +58,14 @@ const Vehicle = sequelize.define('Vehicle', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  site_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Site the vehicle is based at
+    references: {
+      model: 'sites',
+      key: 'id'
+    }
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const VehicleDocument = sequelize.define('VehicleDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  document_type: {
+    type: DataTypes.ENUM('registration', 'insurance', 'roadworthiness', 'site_permit', 'other'),
+    allowNull: false
+  },
+  document_number: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  issue_date: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiry_date: {
+    type: DataTypes.DATE,
+    allowNull: true // Valid through the whole expiry date; no expiry means it never lapses
+  },
+  is_required: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true // Required documents block bookings once they lapse
+  },
+  expiry_notified_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Last expiry warning sent (30, 14 or 7 days before)
+  },
+  file_path: {
+    type: DataTypes.STRING(255),
+    allowNull: true // Relative to the upload directory
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'vehicle_documents',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['vehicle_id', 'document_type'] }
+  ]
+});
+
+module.exports = VehicleDocument;
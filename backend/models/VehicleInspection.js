@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const VehicleInspection = sequelize.define('VehicleInspection', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  booking_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  template_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Cleared if the checklist is deleted; the items are copied into results
+    references: {
+      model: 'inspection_templates',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  inspection_type: {
+    type: DataTypes.ENUM('pre_trip', 'post_trip'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('passed', 'defects', 'failed'),
+    allowNull: false // defects: only non-critical items failed; failed: a critical item failed
+  },
+  results: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [] // [{ label, critical, passed, notes }]
+  },
+  photos: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [] // [{ path, name }]
+  },
+  odometer: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  maintenance_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Repair opened because a critical item failed
+    references: {
+      model: 'maintenance_records',
+      key: 'id'
+    }
+  },
+  inspected_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  inspected_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'vehicle_inspections',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['booking_id', 'inspection_type'] },
+    { fields: ['vehicle_id'] }
+  ]
+});
+
+module.exports = VehicleInspection;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per GPS ping, kept narrow because telematics units report every few seconds
+const VehiclePosition = sequelize.define('VehiclePosition', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  vehicle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  booking_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // The trip underway when the ping was recorded, if any
+    references: {
+      model: 'bookings',
+      key: 'id'
+    }
+  },
+  recorded_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: false
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: false
+  },
+  speed: {
+    type: DataTypes.REAL,
+    allowNull: true // km/h
+  },
+  odometer: {
+    type: DataTypes.INTEGER,
+    allowNull: true // km
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'vehicle_positions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    // A unit resending a batch doesn't duplicate its pings
+    { unique: true, fields: ['vehicle_id', 'recorded_at'] },
+    { fields: ['booking_id', 'recorded_at'] }
+  ]
+});
+
+module.exports = VehiclePosition;
@@ -4,9 +4,26 @@ const sequelize = require('../config/database');
 const User = require('./User');
 const Vehicle = require('./Vehicle');
 const Driver = require('./Driver');
+const DriverHoursRule = require('./DriverHoursRule');
+const DriverLeave = require('./DriverLeave');
 const Booking = require('./Booking');
+const BookingSeries = require('./BookingSeries');
 const Approval = require('./Approval');
+const ApprovalPolicy = require('./ApprovalPolicy');
+const ApprovalDelegation = require('./ApprovalDelegation');
+const ApprovalEscalationRule = require('./ApprovalEscalationRule');
+const Notification = require('./Notification');
+const Job = require('./Job');
 const AuditLog = require('./AuditLog');
+const MaintenancePlan = require('./MaintenancePlan');
+const MaintenanceRecord = require('./MaintenanceRecord');
+const FuelLog = require('./FuelLog');
+const VehicleDocument = require('./VehicleDocument');
+const InspectionTemplate = require('./InspectionTemplate');
+const VehicleInspection = require('./VehicleInspection');
+const Incident = require('./Incident');
+const VehiclePosition = require('./VehiclePosition');
+const Site = require('./Site');
 
 // Define associations
 User.hasMany(Booking, { foreignKey: 'user_id', as: 'bookings' });
@@ -21,12 +38,91 @@ Booking.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
 Driver.hasMany(Booking, { foreignKey: 'driver_id', as: 'bookings' });
 Booking.belongsTo(Driver, { foreignKey: 'driver_id', as: 'driver' });
 
+Driver.hasMany(DriverLeave, { foreignKey: 'driver_id', as: 'leaves' });
+DriverLeave.belongsTo(Driver, { foreignKey: 'driver_id', as: 'driver' });
+DriverLeave.belongsTo(User, { foreignKey: 'requested_by', as: 'requestedBy' });
+DriverLeave.belongsTo(User, { foreignKey: 'reviewed_by', as: 'reviewedBy' });
+
+BookingSeries.hasMany(Booking, { foreignKey: 'series_id', as: 'occurrences' });
+Booking.belongsTo(BookingSeries, { foreignKey: 'series_id', as: 'series' });
+
 Booking.hasMany(Approval, { foreignKey: 'booking_id', as: 'approvals' });
 Approval.belongsTo(Booking, { foreignKey: 'booking_id', as: 'booking' });
 
 User.hasMany(Approval, { foreignKey: 'approver_id', as: 'approvals' });
 Approval.belongsTo(User, { foreignKey: 'approver_id', as: 'approver' });
 
+Approval.belongsTo(User, { foreignKey: 'on_behalf_of_id', as: 'onBehalfOf' });
+Approval.belongsTo(User, { foreignKey: 'escalated_to_id', as: 'escalatedTo' });
+
+ApprovalEscalationRule.belongsTo(User, { foreignKey: 'target_user_id', as: 'targetUser' });
+
+User.hasMany(Notification, { foreignKey: 'user_id', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+Notification.belongsTo(Booking, { foreignKey: 'booking_id', as: 'booking' });
+
+User.hasMany(ApprovalDelegation, { foreignKey: 'delegator_id', as: 'delegations' });
+ApprovalDelegation.belongsTo(User, { foreignKey: 'delegator_id', as: 'delegator' });
+ApprovalDelegation.belongsTo(User, { foreignKey: 'delegate_id', as: 'delegate' });
+
+Vehicle.hasMany(MaintenancePlan, { foreignKey: 'vehicle_id', as: 'maintenancePlans' });
+MaintenancePlan.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
+
+Vehicle.hasMany(MaintenanceRecord, { foreignKey: 'vehicle_id', as: 'maintenanceRecords' });
+MaintenanceRecord.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
+
+MaintenancePlan.hasMany(MaintenanceRecord, { foreignKey: 'plan_id', as: 'records' });
+MaintenanceRecord.belongsTo(MaintenancePlan, { foreignKey: 'plan_id', as: 'plan' });
+MaintenanceRecord.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+Vehicle.hasMany(FuelLog, { foreignKey: 'vehicle_id', as: 'fuelLogs' });
+FuelLog.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
+Booking.hasMany(FuelLog, { foreignKey: 'booking_id', as: 'fuelLogs' });
+FuelLog.belongsTo(Booking, { foreignKey: 'booking_id', as: 'booking' });
+FuelLog.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+Vehicle.hasMany(VehicleDocument, { foreignKey: 'vehicle_id', as: 'documents' });
+VehicleDocument.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
+VehicleDocument.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+InspectionTemplate.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' });
+
+Booking.hasMany(VehicleInspection, { foreignKey: 'booking_id', as: 'inspections' });
+VehicleInspection.belongsTo(Booking, { foreignKey: 'booking_id', as: 'booking' });
+Vehicle.hasMany(VehicleInspection, { foreignKey: 'vehicle_id', as: 'inspections' });
+VehicleInspection.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
+InspectionTemplate.hasMany(VehicleInspection, { foreignKey: 'template_id', as: 'inspections' });
+VehicleInspection.belongsTo(InspectionTemplate, { foreignKey: 'template_id', as: 'template' });
+VehicleInspection.belongsTo(MaintenanceRecord, { foreignKey: 'maintenance_id', as: 'maintenance' });
+VehicleInspection.belongsTo(User, { foreignKey: 'inspected_by', as: 'inspectedBy' });
+
+Booking.hasMany(Incident, { foreignKey: 'booking_id', as: 'incidents' });
+Incident.belongsTo(Booking, { foreignKey: 'booking_id', as: 'booking' });
+Vehicle.hasMany(Incident, { foreignKey: 'vehicle_id', as: 'incidents' });
+Incident.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
+Driver.hasMany(Incident, { foreignKey: 'driver_id', as: 'incidents' });
+Incident.belongsTo(Driver, { foreignKey: 'driver_id', as: 'driver' });
+Incident.belongsTo(User, { foreignKey: 'reported_by', as: 'reportedBy' });
+Incident.belongsTo(User, { foreignKey: 'investigated_by', as: 'investigatedBy' });
+Incident.belongsTo(User, { foreignKey: 'closed_by', as: 'closedBy' });
+
+Vehicle.hasMany(VehiclePosition, { foreignKey: 'vehicle_id', as: 'positions' });
+VehiclePosition.belongsTo(Vehicle, { foreignKey: 'vehicle_id', as: 'vehicle' });
+Booking.hasMany(VehiclePosition, { foreignKey: 'booking_id', as: 'positions' });
+VehiclePosition.belongsTo(Booking, { foreignKey: 'booking_id', as: 'booking' });
+
+Site.hasMany(Vehicle, { foreignKey: 'site_id', as: 'vehicles' });
+Vehicle.belongsTo(Site, { foreignKey: 'site_id', as: 'site' });
+Site.hasMany(Driver, { foreignKey: 'site_id', as: 'drivers' });
+Driver.belongsTo(Site, { foreignKey: 'site_id', as: 'site' });
+Site.hasMany(User, { foreignKey: 'site_id', as: 'users' });
+User.belongsTo(Site, { foreignKey: 'site_id', as: 'site' });
+Site.hasMany(Booking, { foreignKey: 'site_id', as: 'bookings' });
+Booking.belongsTo(Site, { foreignKey: 'site_id', as: 'site' });
+Approval.belongsTo(Site, { foreignKey: 'site_id', as: 'site' });
+// users.site_id already references sites, so the manager link has no constraint to keep sync free of a cycle
+Site.belongsTo(User, { foreignKey: 'manager_id', as: 'manager', constraints: false });
+
 User.hasMany(AuditLog, { foreignKey: 'user_id', as: 'audit_logs' });
 AuditLog.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 
@@ -35,9 +131,26 @@ module.exports = {
   User,
   Vehicle,
   Driver,
+  DriverHoursRule,
+  DriverLeave,
   Booking,
+  BookingSeries,
   Approval,
-  AuditLog
+  ApprovalPolicy,
+  ApprovalDelegation,
+  ApprovalEscalationRule,
+  Notification,
+  Job,
+  AuditLog,
+  MaintenancePlan,
+  MaintenanceRecord,
+  FuelLog,
+  VehicleDocument,
+  InspectionTemplate,
+  VehicleInspection,
+  Incident,
+  VehiclePosition,
+  Site
 };
 
 
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { auditLogger } = require('../middleware/audit');
+const { ApprovalPolicy, User, Vehicle } = require('../models');
+const ApprovalWorkflowService = require('../services/ApprovalWorkflowService');
+
+const approvalWorkflowService = new ApprovalWorkflowService();
+
+router.use(authenticateToken);
+
+const POLICY_FIELDS = [
+  'name',
+  'department',
+  'vehicle_type',
+  'min_duration_hours',
+  'max_duration_hours',
+  'approval_roles',
+  'priority',
+  'is_active'
+];
+
+/**
+ * Pick policy fields from a request body, treating empty strings as "any"
+ * @param {Object} body - Request body
+ * @returns {Object} Policy attributes
+ */
+const extractPolicyData = (body) => {
+  const data = {};
+  POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return data;
+};
+
+// Get all approval policies (Admin only)
+router.get('/', isAdmin, async (req, res) => {
+  try {
+    const policies = await ApprovalPolicy.findAll({
+      order: [['priority', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json({ policies });
+  } catch (error) {
+    console.error('Get approval policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval policies' });
+  }
+});
+
+// Resolve the approval chain a booking would get
+router.get('/resolve', async (req, res) => {
+  try {
+    const { vehicle_id, start_date, end_date } = req.query;
+
+    // Employees booking for themselves always get their own department's chain
+    const employee_id = req.user.role === 'admin' ? req.query.employee_id : req.user.id;
+
+    if (!employee_id || !vehicle_id || !start_date || !end_date) {
+      return res.status(400).json({
+        error: 'Employee, vehicle, start date and end date are required'
+      });
+    }
+
+    const [employee, vehicle] = await Promise.all([
+      User.findByPk(employee_id),
+      Vehicle.findByPk(vehicle_id)
+    ]);
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!vehicle) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    const { policy, chain } = await approvalWorkflowService.resolveChain({
+      department: employee.department,
+      vehicle_type: vehicle.type,
+      start_date,
+      end_date
+    });
+
+    res.json({
+      policy: policy ? { id: policy.id, name: policy.name } : null,
+      chain
+    });
+  } catch (error) {
+    console.error('Resolve approval chain error:', error);
+    res.status(500).json({ error: 'Failed to resolve approval chain' });
+  }
+});
+
+// Create approval policy (Admin only)
+router.post('/', isAdmin, auditLogger('CREATE', 'approval_policy'), async (req, res) => {
+  try {
+    const data = extractPolicyData(req.body);
+
+    if (!data.name || !data.approval_roles) {
+      return res.status(400).json({
+        error: 'Name and approval roles are required'
+      });
+    }
+
+    const policy = await ApprovalPolicy.create(data);
+
+    res.status(201).json({
+      message: 'Approval policy created successfully',
+      policy
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+
+    console.error('Create approval policy error:', error);
+    res.status(500).json({ error: 'Failed to create approval policy' });
+  }
+});
+
+// Update approval policy (Admin only)
+router.put('/:id', isAdmin, auditLogger('UPDATE', 'approval_policy'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const policy = await ApprovalPolicy.findByPk(id);
+    if (!policy) {
+      return res.status(404).json({ error: 'Approval policy not found' });
+    }
+
+    // Existing bookings keep the chain they were created with
+    await policy.update(extractPolicyData(req.body));
+
+    res.json({
+      message: 'Approval policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+
+    console.error('Update approval policy error:', error);
+    res.status(500).json({ error: 'Failed to update approval policy' });
+  }
+});
+
+// Delete approval policy (Admin only)
+router.delete('/:id', isAdmin, auditLogger('DELETE', 'approval_policy'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const policy = await ApprovalPolicy.findByPk(id);
+    if (!policy) {
+      return res.status(404).json({ error: 'Approval policy not found' });
+    }
+
+    await policy.destroy();
+
+    res.json({ message: 'Approval policy deleted successfully' });
+  } catch (error) {
+    console.error('Delete approval policy error:', error);
+    res.status(500).json({ error: 'Failed to delete approval policy' });
+  }
+});
+
+module.exports = router;
@@ -31,7 +31,8 @@ router.get('/verify-token', authenticateToken, (req, res) => {
       name: req.user.name,
       email: req.user.email,
       role: req.user.role,
-      department: req.user.department
+      department: req.user.department,
+      site_id: req.user.site_id
     }
   });
 });
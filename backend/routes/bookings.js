@@ -6,14 +6,21 @@ const {
   createBooking,
   getBookings,
   getBookingById,
+  getFleetSchedule,
   updateBooking,
   cancelBooking,
+  startTrip,
+  completeTrip,
   exportBookings,
   getBookingActivities,
   exportBookingActivities,
   createBookingValidation,
   updateBookingValidation,
-  getBookingsValidation
+  cancelBookingValidation,
+  startTripValidation,
+  completeTripValidation,
+  getBookingsValidation,
+  getFleetScheduleValidation
 } = require('../controllers/bookingController');
 
 // All routes require authentication
@@ -25,6 +32,9 @@ router.get('/', getBookingsValidation, getBookings);
 // Export bookings to Excel
 router.get('/export', getBookingsValidation, exportBookings);
 
+// Get vehicles and the bookings overlapping a window (fleet calendar)
+router.get('/calendar', getFleetScheduleValidation, getFleetSchedule);
+
 // Create new booking
 router.post('/', 
   createBookingValidation,
@@ -49,10 +59,23 @@ router.put('/:id',
 
 // Cancel booking
 router.patch('/:id/cancel',
+  cancelBookingValidation,
   auditLogger('CANCEL', 'booking'),
   cancelBooking
 );
 
+// Start trip (record departure odometer)
+router.post('/:id/start',
+  startTripValidation,
+  startTrip
+);
+
+// Complete trip (record return odometer)
+router.post('/:id/complete',
+  completeTripValidation,
+  completeTrip
+);
+
 module.exports = router;
 
 
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, isApproverOnly } = require('../middleware/auth');
+const { User } = require('../models');
+const ApprovalDelegationService = require('../services/ApprovalDelegationService');
+
+const approvalDelegationService = new ApprovalDelegationService();
+
+router.use(authenticateToken);
+router.use(isApproverOnly);
+
+const createDelegationValidation = [
+  body('delegate_id').isInt().withMessage('Delegate ID must be a number'),
+  body('start_date').isISO8601().withMessage('Start date must be a valid date'),
+  body('end_date').isISO8601().withMessage('End date must be a valid date'),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason too long')
+];
+
+// Get delegations given and received by the current user
+router.get('/', async (req, res) => {
+  try {
+    const { given, received } = await approvalDelegationService.getDelegations(req.user);
+
+    res.json({ given, received });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ error: 'Failed to fetch delegations' });
+  }
+});
+
+// Get approvers the current user is standing in for right now
+router.get('/acting-for', async (req, res) => {
+  try {
+    const delegators = await approvalDelegationService.findActiveDelegators(req.user.id);
+
+    res.json({
+      delegators: delegators.map(({ id, name, role }) => ({ id, name, role }))
+    });
+  } catch (error) {
+    console.error('Get acting-for error:', error);
+    res.status(500).json({ error: 'Failed to fetch delegations' });
+  }
+});
+
+// Get approvers that approvals can be delegated to
+router.get('/candidates', async (req, res) => {
+  try {
+    const users = await User.findAll({
+      where: {
+        id: { [Op.ne]: req.user.id },
+        role: ['approver_l1', 'approver_l2'],
+        status: 'active'
+      },
+      attributes: ['id', 'name', 'email', 'role', 'department'],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ users });
+  } catch (error) {
+    console.error('Get delegation candidates error:', error);
+    res.status(500).json({ error: 'Failed to fetch approvers' });
+  }
+});
+
+// Create delegation for the current user
+router.post('/', createDelegationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const delegation = await approvalDelegationService.createDelegation(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Delegation created successfully',
+      delegation
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Create delegation error:', error);
+    res.status(500).json({ error: 'Failed to create delegation' });
+  }
+});
+
+// Cancel one of the current user's delegations
+router.patch('/:id/cancel', async (req, res) => {
+  try {
+    const delegation = await approvalDelegationService.cancelDelegation(req.params.id, req.user);
+
+    res.json({
+      message: 'Delegation cancelled successfully',
+      delegation
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Cancel delegation error:', error);
+    res.status(500).json({ error: 'Failed to cancel delegation' });
+  }
+});
+
+module.exports = router;
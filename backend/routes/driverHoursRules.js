@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { auditLogger } = require('../middleware/audit');
+const { DriverHoursRule } = require('../models');
+const DriverComplianceService = require('../services/DriverComplianceService');
+
+router.use(authenticateToken);
+router.use(isAdmin);
+
+const RULE_FIELDS = [
+  'rule_type',
+  'limit_hours',
+  'enforcement',
+  'is_active'
+];
+
+/**
+ * Pick rule fields from a request body, treating empty strings as unset
+ * @param {Object} body - Request body
+ * @returns {Object} Rule attributes
+ */
+const extractRuleData = (body) => {
+  const data = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return data;
+};
+
+// Get all hours rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await DriverHoursRule.findAll({
+      order: [['rule_type', 'ASC']]
+    });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get driver hours rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch driver hours rules' });
+  }
+});
+
+// Create hours rule
+router.post('/', auditLogger('CREATE', 'driver_hours_rule'), async (req, res) => {
+  try {
+    const data = extractRuleData(req.body);
+
+    if (!data.rule_type || !data.limit_hours) {
+      return res.status(400).json({
+        error: 'Rule type and limit hours are required'
+      });
+    }
+
+    if (!DriverComplianceService.RULE_TYPES.includes(data.rule_type)) {
+      return res.status(400).json({ error: 'Invalid rule type' });
+    }
+
+    const rule = await DriverHoursRule.create(data);
+
+    res.status(201).json({
+      message: 'Driver hours rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'A rule of this type already exists' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+
+    console.error('Create driver hours rule error:', error);
+    res.status(500).json({ error: 'Failed to create driver hours rule' });
+  }
+});
+
+// Update hours rule
+router.put('/:id', auditLogger('UPDATE', 'driver_hours_rule'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await DriverHoursRule.findByPk(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Driver hours rule not found' });
+    }
+
+    // The type is what the rule is; replace the rule to change it
+    const { rule_type, ...data } = extractRuleData(req.body);
+
+    // Existing bookings are not re-checked; the new limit applies to the next assignment
+    await rule.update(data);
+
+    res.json({
+      message: 'Driver hours rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+
+    console.error('Update driver hours rule error:', error);
+    res.status(500).json({ error: 'Failed to update driver hours rule' });
+  }
+});
+
+// Delete hours rule
+router.delete('/:id', auditLogger('DELETE', 'driver_hours_rule'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await DriverHoursRule.findByPk(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Driver hours rule not found' });
+    }
+
+    await rule.destroy();
+
+    res.json({ message: 'Driver hours rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete driver hours rule error:', error);
+    res.status(500).json({ error: 'Failed to delete driver hours rule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const DriverLeaveService = require('../services/DriverLeaveService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const driverLeaveService = new DriverLeaveService();
+
+router.use(authenticateToken);
+router.use(isAdmin);
+
+const leaveValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('driver_id').isInt().withMessage('Driver ID must be a number'),
+    body('start_date').isISO8601().withMessage('Start date must be a valid date'),
+    body('end_date').isISO8601().withMessage('End date must be a valid date'),
+    body('reason').exists({ values: 'falsy' }).withMessage('Reason is required')
+  ]),
+  body('leave_type').optional().isIn(DriverLeaveService.LEAVE_TYPES).withMessage('Invalid leave type'),
+  body('start_date').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('end_date').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('reason').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Reason must be between 1 and 1000 characters')
+];
+
+const reviewValidation = [
+  body('review_notes').optional({ values: 'null' }).trim().isLength({ max: 1000 }).withMessage('Review notes too long')
+];
+
+// Get leave records
+router.get('/', [
+  query('driver_id').optional().isInt().withMessage('Driver ID must be a number'),
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']).withMessage('Invalid status'),
+  query('upcoming').optional().isBoolean().withMessage('Upcoming must be true or false')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const leaves = await driverLeaveService.getLeaves({
+      driver_id: req.query.driver_id,
+      status: req.query.status,
+      upcoming: req.query.upcoming === 'true'
+    });
+
+    res.json({ leaves });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch driver leave');
+  }
+});
+
+// Request leave for a driver
+router.post('/', leaveValidation(), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const leave = await driverLeaveService.requestLeave(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Leave requested successfully',
+      leave
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to request leave');
+  }
+});
+
+// Update pending or approved leave
+router.put('/:id', leaveValidation(true), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const { leave, affected_bookings } = await driverLeaveService.updateLeave(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Leave updated successfully',
+      leave,
+      affected_bookings
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update leave');
+  }
+});
+
+// Approve leave (the driver can no longer be assigned during it)
+router.post('/:id/approve', reviewValidation, async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const { leave, affected_bookings } = await driverLeaveService.approveLeave(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Leave approved successfully',
+      leave,
+      affected_bookings
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to approve leave');
+  }
+});
+
+// Reject leave
+router.post('/:id/reject', reviewValidation, async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const leave = await driverLeaveService.rejectLeave(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Leave rejected successfully',
+      leave
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reject leave');
+  }
+});
+
+// Cancel leave
+router.patch('/:id/cancel', async (req, res) => {
+  try {
+    const leave = await driverLeaveService.cancelLeave(req.params.id, req.user);
+
+    res.json({
+      message: 'Leave cancelled successfully',
+      leave
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel leave');
+  }
+});
+
+module.exports = router;
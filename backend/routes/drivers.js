@@ -2,23 +2,109 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, isAdmin } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/audit');
-const { Driver } = require('../models');
+const { Op } = require('sequelize');
+const { Driver, DriverLeave, Vehicle, Site } = require('../models');
+const DriverService = require('../services/DriverService');
+const DriverSuggestionService = require('../services/DriverSuggestionService');
+const DriverComplianceService = require('../services/DriverComplianceService');
+const DriverLeaveService = require('../services/DriverLeaveService');
+const SiteService = require('../services/SiteService');
+
+const driverService = new DriverService();
+const driverSuggestionService = new DriverSuggestionService(driverService);
+const driverComplianceService = new DriverComplianceService();
+const driverLeaveService = new DriverLeaveService();
+const siteService = new SiteService();
 
 router.use(authenticateToken);
 
+/**
+ * Check a driver's vehicle type qualifications
+ * @param {*} vehicleTypes - Submitted vehicle_types
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateVehicleTypes = (vehicleTypes) => {
+  if (vehicleTypes === undefined || vehicleTypes === null) return null;
+
+  if (!Array.isArray(vehicleTypes)) {
+    return 'Vehicle types must be a list';
+  }
+
+  const knownTypes = Vehicle.rawAttributes.type.values;
+  const unknown = vehicleTypes.filter(type => !knownTypes.includes(type));
+  return unknown.length > 0 ? `Unknown vehicle type: ${unknown.join(', ')}` : null;
+};
+
+/**
+ * Check a status set by hand; on leave follows the driver's approved leave instead
+ * @param {string} [status] - Submitted status
+ * @param {Object} [driver] - Driver being updated
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateManualStatus = (status, driver = null) => {
+  if (!status || (driver && status === driver.status)) return null;
+
+  if (status === 'on_leave') {
+    return 'Record leave for the driver instead; their status changes to on leave while approved leave is underway';
+  }
+  if (driver && driver.status === 'on_leave' && status !== 'inactive') {
+    return 'The driver is on approved leave. Cancel or shorten the leave to make them available';
+  }
+  return null;
+};
+
+/**
+ * Read the vehicle and time window from the query, sending a 400 if they are missing or invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { vehicle_id, start, end, exclude_booking_id }, or null if a response was sent
+ */
+const getWindowCriteria = (req, res) => {
+  const { vehicle_id, start, end, exclude_booking_id } = req.query;
+
+  if (!vehicle_id || !start || !end) {
+    res.status(400).json({ error: 'vehicle_id, start and end are required' });
+    return null;
+  }
+  if (isNaN(new Date(start).getTime()) || isNaN(new Date(end).getTime())) {
+    res.status(400).json({ error: 'start and end must be valid dates' });
+    return null;
+  }
+
+  return { vehicle_id, start, end, exclude_booking_id };
+};
+
 // Get all drivers
 router.get('/', async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, site_id } = req.query;
     
     let whereClause = {};
     if (status) {
       whereClause.status = status;
     }
+    if (site_id) {
+      whereClause.site_id = site_id;
+    }
     
+    // Upcoming leave shows each driver's availability at a glance
     const drivers = await Driver.findAll({
       where: whereClause,
-      order: [['name', 'ASC']]
+      include: [{
+        model: DriverLeave,
+        as: 'leaves',
+        required: false,
+        where: {
+          status: { [Op.in]: ['pending', 'approved'] },
+          end_date: { [Op.gt]: new Date() }
+        },
+        attributes: ['id', 'leave_type', 'status', 'start_date', 'end_date']
+      }, {
+        model: Site,
+        as: 'site',
+        attributes: ['id', 'name', 'code']
+      }],
+      order: [['name', 'ASC'], [{ model: DriverLeave, as: 'leaves' }, 'start_date', 'ASC']]
     });
     
     res.json({ drivers });
@@ -28,12 +114,88 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get drivers with expired or soon-expiring licences (Admin only)
+router.get('/license-alerts', isAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    const { expired, expiring } = await driverService.getLicenseAlerts({ days });
+
+    res.json({ days, expired, expiring });
+  } catch (error) {
+    console.error('Get license alerts error:', error);
+    res.status(500).json({ error: 'Failed to fetch license alerts' });
+  }
+});
+
+// Get drivers' leave and bookings day by day (Admin only)
+router.get('/availability', isAdmin, async (req, res) => {
+  try {
+    const { start } = req.query;
+    if (start && isNaN(new Date(start).getTime())) {
+      return res.status(400).json({ error: 'start must be a valid date' });
+    }
+
+    const days = Math.max(parseInt(req.query.days) || 14, 1);
+
+    const availability = await driverLeaveService.getAvailability({ start, days });
+
+    res.json(availability);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get driver availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch driver availability' });
+  }
+});
+
+// Get drivers who can drive a vehicle for a time window (Admin only)
+router.get('/eligible', isAdmin, async (req, res) => {
+  try {
+    const criteria = getWindowCriteria(req, res);
+    if (!criteria) return;
+
+    const { drivers, ineligible } = await driverService.getEligibleDrivers(criteria);
+
+    res.json({ drivers, ineligible });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get eligible drivers error:', error);
+    res.status(500).json({ error: 'Failed to fetch eligible drivers' });
+  }
+});
+
+// Rank the eligible drivers for a time window (Admin only)
+router.get('/suggestions', isAdmin, async (req, res) => {
+  try {
+    const criteria = getWindowCriteria(req, res);
+    if (!criteria) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), 20);
+
+    const { suggestions, ineligible } = await driverSuggestionService.suggestDrivers(criteria, limit);
+
+    res.json({ suggestions, ineligible });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get driver suggestions error:', error);
+    res.status(500).json({ error: 'Failed to suggest drivers' });
+  }
+});
+
 // Get driver by ID
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const driver = await Driver.findByPk(id);
+    const driver = await Driver.findByPk(id, {
+      include: [{ model: Site, as: 'site', attributes: ['id', 'name', 'code'] }]
+    });
     if (!driver) {
       return res.status(404).json({ error: 'Driver not found' });
     }
@@ -45,6 +207,23 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get a driver's hours and hours-of-service violations over the last N weeks (Admin only)
+router.get('/:id/compliance', isAdmin, async (req, res) => {
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 4, 1), 26);
+
+    const report = await driverComplianceService.getComplianceReport(req.params.id, { weeks });
+
+    res.json(report);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get driver compliance error:', error);
+    res.status(500).json({ error: 'Failed to fetch driver compliance report' });
+  }
+});
+
 // Create new driver (Admin only)
 router.post('/', isAdmin, auditLogger('CREATE', 'driver'), async (req, res) => {
   try {
@@ -54,7 +233,10 @@ router.post('/', isAdmin, auditLogger('CREATE', 'driver'), async (req, res) => {
       phone,
       email,
       status = 'available',
-      license_expiry = null
+      license_expiry = null,
+      experience_years = 0,
+      vehicle_types = [],
+      site_id = null
     } = req.body;
 
     // Validate required fields
@@ -64,6 +246,18 @@ router.post('/', isAdmin, auditLogger('CREATE', 'driver'), async (req, res) => {
       });
     }
 
+    const vehicleTypesError = validateVehicleTypes(vehicle_types);
+    if (vehicleTypesError) {
+      return res.status(400).json({ error: vehicleTypesError });
+    }
+
+    const statusError = validateManualStatus(status);
+    if (statusError) {
+      return res.status(400).json({ error: statusError });
+    }
+
+    await siteService.validateSite(site_id);
+
     // Check if license number already exists
     const existingDriver = await Driver.findOne({ 
       where: { license_number } 
@@ -81,7 +275,10 @@ router.post('/', isAdmin, auditLogger('CREATE', 'driver'), async (req, res) => {
       phone,
       email,
       status,
-      license_expiry
+      license_expiry,
+      experience_years,
+      vehicle_types,
+      site_id
     });
 
     res.status(201).json({ 
@@ -89,6 +286,9 @@ router.post('/', isAdmin, auditLogger('CREATE', 'driver'), async (req, res) => {
       driver 
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create driver error:', error);
     res.status(500).json({ error: 'Failed to create driver' });
   }
@@ -104,7 +304,10 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'driver'), async (req, res) =>
       phone,
       email,
       status,
-      license_expiry
+      license_expiry,
+      experience_years,
+      vehicle_types,
+      site_id
     } = req.body;
 
     const driver = await Driver.findByPk(id);
@@ -112,6 +315,21 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'driver'), async (req, res) =>
       return res.status(404).json({ error: 'Driver not found' });
     }
 
+    const vehicleTypesError = validateVehicleTypes(vehicle_types);
+    if (vehicleTypesError) {
+      return res.status(400).json({ error: vehicleTypesError });
+    }
+
+    const statusError = validateManualStatus(status, driver);
+    if (statusError) {
+      return res.status(400).json({ error: statusError });
+    }
+
+    // Moving to a site needs an active one; records left at a deactivated site can still be edited
+    if (site_id && String(site_id) !== String(driver.site_id)) {
+      await siteService.validateSite(site_id);
+    }
+
     // Check if license number already exists (if changed)
     if (license_number && license_number !== driver.license_number) {
       const existingDriver = await Driver.findOne({ 
@@ -125,20 +343,37 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'driver'), async (req, res) =>
       }
     }
 
+    // A renewed licence starts its expiry warnings over
+    const toTime = value => (value ? new Date(value).getTime() : null);
+    const expiryChanged = license_expiry !== undefined && toTime(license_expiry) !== toTime(driver.license_expiry);
+
     await driver.update({
       name,
       license_number,
       phone,
       email,
       status,
-      license_expiry
+      license_expiry,
+      experience_years,
+      vehicle_types,
+      site_id,
+      ...(expiryChanged && { license_expiry_notified_days: null })
     });
 
+    // A driver brought back from inactive may be on leave already
+    if (status && status !== 'inactive') {
+      await driverLeaveService.syncDriverStatus(driver.id);
+      await driver.reload();
+    }
+
     res.json({ 
       message: 'Driver updated successfully',
       driver 
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update driver error:', error);
     res.status(500).json({ error: 'Failed to update driver' });
   }
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { auditLogger } = require('../middleware/audit');
+const { ApprovalEscalationRule, User } = require('../models');
+
+router.use(authenticateToken);
+router.use(isAdmin);
+
+const RULE_FIELDS = [
+  'level',
+  'sla_hours',
+  'action',
+  'target_role',
+  'target_user_id',
+  'is_active'
+];
+
+/**
+ * Pick rule fields from a request body, treating empty strings as unset
+ * @param {Object} body - Request body
+ * @returns {Object} Rule attributes
+ */
+const extractRuleData = (body) => {
+  const data = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return data;
+};
+
+/**
+ * Check a rule's target user is an active approver with the target role
+ * @param {Object} rule - Rule attributes (merged with the existing rule on update)
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateRuleTarget = async (rule) => {
+  if (rule.action === 'add_approver' && !rule.target_user_id) {
+    return 'Adding an approver requires a target user';
+  }
+
+  if (rule.target_user_id) {
+    const targetUser = await User.findByPk(rule.target_user_id);
+    if (!targetUser || targetUser.status !== 'active') {
+      return 'Target user not found or inactive';
+    }
+    if (targetUser.role !== rule.target_role) {
+      return 'Target user must have the target role';
+    }
+  }
+
+  return null;
+};
+
+const includeTargetUser = [
+  { model: User, as: 'targetUser', attributes: ['id', 'name', 'email', 'role'] }
+];
+
+// Get all escalation rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await ApprovalEscalationRule.findAll({
+      include: includeTargetUser,
+      order: [['level', 'ASC']]
+    });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get escalation rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch escalation rules' });
+  }
+});
+
+// Create escalation rule
+router.post('/', auditLogger('CREATE', 'escalation_rule'), async (req, res) => {
+  try {
+    const data = extractRuleData(req.body);
+
+    if (!data.level || !data.sla_hours || !data.target_role) {
+      return res.status(400).json({
+        error: 'Level, SLA hours and target role are required'
+      });
+    }
+
+    const targetError = await validateRuleTarget({ action: 'add_approver', ...data });
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+
+    const rule = await ApprovalEscalationRule.create(data);
+
+    res.status(201).json({
+      message: 'Escalation rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'An escalation rule already exists for this level' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+
+    console.error('Create escalation rule error:', error);
+    res.status(500).json({ error: 'Failed to create escalation rule' });
+  }
+});
+
+// Update escalation rule
+router.put('/:id', auditLogger('UPDATE', 'escalation_rule'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await ApprovalEscalationRule.findByPk(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Escalation rule not found' });
+    }
+
+    const data = extractRuleData(req.body);
+
+    const targetError = await validateRuleTarget({ ...rule.get(), ...data });
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+
+    // Approvals that were already escalated are not escalated again
+    await rule.update(data);
+
+    res.json({
+      message: 'Escalation rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'An escalation rule already exists for this level' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+
+    console.error('Update escalation rule error:', error);
+    res.status(500).json({ error: 'Failed to update escalation rule' });
+  }
+});
+
+// Delete escalation rule
+router.delete('/:id', auditLogger('DELETE', 'escalation_rule'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await ApprovalEscalationRule.findByPk(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Escalation rule not found' });
+    }
+
+    await rule.destroy();
+
+    res.json({ message: 'Escalation rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete escalation rule error:', error);
+    res.status(500).json({ error: 'Failed to delete escalation rule' });
+  }
+});
+
+module.exports = router;
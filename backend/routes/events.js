@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { User } = require('../models');
+const { realtime } = require('../services/RealtimeService');
+
+// Get a short-lived ticket for opening the event stream
+router.post('/ticket', authenticateToken, (req, res) => {
+  res.json({ ticket: realtime.issueTicket(req.user) });
+});
+
+// Open the event stream (Server-Sent Events)
+router.get('/', async (req, res) => {
+  try {
+    const { ticket } = req.query;
+
+    if (!ticket) {
+      return res.status(401).json({ error: 'Event stream ticket required' });
+    }
+
+    const userId = realtime.redeemTicket(ticket);
+    const user = await User.findByPk(userId, {
+      attributes: { exclude: ['password'] }
+    });
+
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ error: 'Invalid event stream ticket' });
+    }
+
+    realtime.subscribe(res, user);
+  } catch (error) {
+    if (error.message === 'Invalid event stream ticket') {
+      return res.status(401).json({ error: 'Invalid event stream ticket' });
+    }
+
+    console.error('Open event stream error:', error);
+    res.status(500).json({ error: 'Failed to open event stream' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { createUpload, toStoredPath, resolveUpload, removeUpload } = require('../middleware/upload');
+const FuelService = require('../services/FuelService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const fuelService = new FuelService();
+const receiptUpload = createUpload('fuel-receipts');
+
+router.use(authenticateToken);
+router.use(isAdmin);
+
+const logValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('vehicle_id').isInt().withMessage('Vehicle ID must be a number'),
+    body('litres').exists({ values: 'falsy' }).withMessage('Litres are required'),
+    body('odometer').exists({ values: 'falsy' }).withMessage('Odometer reading is required')
+  ]),
+  body('booking_id').optional({ values: 'falsy' }).isInt().withMessage('Booking ID must be a number'),
+  body('filled_at').optional({ values: 'falsy' }).isISO8601().withMessage('Fill-up time must be a valid date'),
+  body('litres').optional().isFloat({ gt: 0, max: 10000 }).withMessage('Litres must be between 0 and 10000'),
+  body('cost').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Cost cannot be negative'),
+  body('odometer').optional().isInt({ min: 0 }).withMessage('Odometer must be a non-negative number'),
+  body('is_full_tank').optional().isBoolean().withMessage('Full tank must be true or false'),
+  body('station').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Station name too long'),
+  body('notes').optional({ values: 'null' }).isString().withMessage('Notes must be a string')
+];
+
+/**
+ * Delete the uploaded receipt, if any, when the request fails
+ * @param {Object} req - Express request object
+ */
+const removeReceipt = async (req) => {
+  if (req.file) await removeUpload(toStoredPath(req.file));
+};
+
+/**
+ * Receipt details for the service from the uploaded file
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { path, name }
+ */
+const getReceipt = (req) => (req.file ? { path: toStoredPath(req.file), name: req.file.originalname } : null);
+
+// Get fuel logs
+router.get('/', [
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
+  query('booking_id').optional().isInt().withMessage('Booking ID must be a number'),
+  query('start_date').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('end_date').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removeReceipt)) return;
+
+    const logs = await fuelService.getLogs(req.query);
+
+    res.json({ logs });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch fuel logs');
+  }
+});
+
+// Record a fill-up (multipart, with an optional receipt file)
+router.post('/', receiptUpload.single('receipt'), logValidation(), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removeReceipt)) return;
+
+    const log = await fuelService.createLog(req.body, getReceipt(req), req.user);
+
+    res.status(201).json({
+      message: 'Fuel log created successfully',
+      log
+    });
+  } catch (error) {
+    await removeReceipt(req);
+    sendError(res, error, 'Failed to create fuel log');
+  }
+});
+
+// Update a fill-up
+router.put('/:id', receiptUpload.single('receipt'), logValidation(true), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removeReceipt)) return;
+
+    const log = await fuelService.updateLog(req.params.id, req.body, getReceipt(req), req.user);
+
+    res.json({
+      message: 'Fuel log updated successfully',
+      log
+    });
+  } catch (error) {
+    await removeReceipt(req);
+    sendError(res, error, 'Failed to update fuel log');
+  }
+});
+
+// Delete a fill-up
+router.delete('/:id', async (req, res) => {
+  try {
+    await fuelService.deleteLog(req.params.id, req.user);
+
+    res.json({ message: 'Fuel log deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete fuel log');
+  }
+});
+
+// Download a fill-up's receipt
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    const log = await fuelService.getLogById(req.params.id);
+    const receiptPath = log.receipt_path && resolveUpload(log.receipt_path);
+
+    if (!receiptPath) {
+      return res.status(404).json({ error: 'No receipt uploaded for this fuel log' });
+    }
+
+    res.download(receiptPath, log.receipt_name || 'receipt', (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Receipt file not found' });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch receipt');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { createUpload, toStoredPath, resolveUpload, removeUpload } = require('../middleware/upload');
+const IncidentService = require('../services/IncidentService');
+const { INCIDENT_TYPES, SEVERITIES, INCIDENT_STATUSES } = require('../services/IncidentService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const incidentService = new IncidentService();
+const photoUpload = createUpload('incident-photos');
+
+const MAX_PHOTOS = 6;
+
+router.use(authenticateToken);
+
+const detailValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('incident_type').exists({ values: 'falsy' }).withMessage('Incident type is required'),
+    body('severity').exists({ values: 'falsy' }).withMessage('Severity is required'),
+    body('description').exists({ values: 'falsy' }).withMessage('Description is required')
+  ]),
+  body('incident_type').optional().isIn(INCIDENT_TYPES).withMessage('Invalid incident type'),
+  body('severity').optional().isIn(SEVERITIES).withMessage('Severity must be low, medium, high or critical'),
+  body('occurred_at').optional({ values: 'falsy' }).isISO8601().withMessage('Occurred at must be a valid date'),
+  body('location').optional({ values: 'null' }).isLength({ max: 255 }).withMessage('Location must be at most 255 characters'),
+  body('description').optional().trim().isLength({ min: 1, max: 5000 }).withMessage('Description must be 1-5000 characters')
+];
+
+/**
+ * Photo details for the service from the uploaded files
+ * @param {Object} req - Express request object
+ * @returns {Array<Object>} [{ path, name }]
+ */
+const getPhotos = (req) => (req.files || []).map(file => ({ path: toStoredPath(file), name: file.originalname }));
+
+/**
+ * Discard uploaded photos after a failed request
+ * @param {Object} req - Express request object
+ */
+const removePhotos = async (req) => {
+  for (const file of req.files || []) {
+    await removeUpload(toStoredPath(file));
+  }
+};
+
+// Get incidents across the fleet, e.g. a vehicle's or driver's history (Admin only)
+router.get('/', isAdmin, [
+  query('booking_id').optional().isInt().withMessage('Booking ID must be a number'),
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
+  query('driver_id').optional().isInt().withMessage('Driver ID must be a number'),
+  query('status').optional().isIn([...INCIDENT_STATUSES, 'open']).withMessage('Invalid incident status'),
+  query('severity').optional().isIn(SEVERITIES).withMessage('Invalid severity')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const incidents = await incidentService.getIncidents(req.query);
+
+    res.json({ incidents });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch incidents');
+  }
+});
+
+// Get a booking's incidents
+router.get('/bookings/:bookingId', async (req, res) => {
+  try {
+    const incidents = await incidentService.getBookingIncidents(req.params.bookingId, req.user);
+
+    res.json({ incidents });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch incidents');
+  }
+});
+
+// Report an incident on a booking (multipart, with optional photos)
+router.post('/bookings/:bookingId', photoUpload.array('photos', MAX_PHOTOS), detailValidation(), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const incident = await incidentService.reportIncident(req.params.bookingId, req.body, getPhotos(req), req.user);
+
+    res.status(201).json({
+      message: 'Incident reported successfully',
+      incident
+    });
+  } catch (error) {
+    await removePhotos(req);
+    sendError(res, error, 'Failed to report incident');
+  }
+});
+
+// Update an incident or move it through the investigation (Admin only, multipart with optional photos)
+router.put('/:id', isAdmin, photoUpload.array('photos', MAX_PHOTOS), [
+  ...detailValidation(true),
+  body('status').optional().isIn(INCIDENT_STATUSES).withMessage('Invalid incident status'),
+  body('investigation_notes').optional({ values: 'null' }).isString().withMessage('Investigation notes must be a string'),
+  body('corrective_action').optional({ values: 'null' }).isString().withMessage('Corrective action must be a string')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const incident = await incidentService.updateIncident(req.params.id, req.body, getPhotos(req), req.user);
+
+    res.json({
+      message: 'Incident updated successfully',
+      incident
+    });
+  } catch (error) {
+    await removePhotos(req);
+    sendError(res, error, 'Failed to update incident');
+  }
+});
+
+// Download an incident photo
+router.get('/:id/photos/:index', async (req, res) => {
+  try {
+    const incident = await incidentService.getIncidentById(req.params.id);
+    incidentService.validateAccess(incident.booking, req.user);
+
+    const photo = incident.photos[parseInt(req.params.index)];
+    const photoPath = photo && resolveUpload(photo.path);
+
+    if (!photoPath) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.download(photoPath, photo.name || 'photo', (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Photo file not found' });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch photo');
+  }
+});
+
+module.exports = router;
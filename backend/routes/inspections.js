@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { createUpload, toStoredPath, resolveUpload, removeUpload } = require('../middleware/upload');
+const InspectionService = require('../services/InspectionService');
+const { INSPECTION_TYPES } = require('../services/InspectionService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const inspectionService = new InspectionService();
+const photoUpload = createUpload('inspection-photos');
+
+const MAX_PHOTOS = 6;
+const VEHICLE_TYPES = ['truck', 'van', 'car', 'bus', 'excavator', 'bulldozer', 'crane', 'other'];
+
+router.use(authenticateToken);
+
+const templateValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('name').exists({ values: 'falsy' }).withMessage('Name is required'),
+    body('items').exists().withMessage('Checklist items are required')
+  ]),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('vehicle_type').optional({ values: 'falsy' }).isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+  body('inspection_type').optional().isIn([...INSPECTION_TYPES, 'both']).withMessage('Inspection type must be pre_trip, post_trip or both'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Checklist items must be a non-empty list'),
+  body('is_active').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+/**
+ * Photo details for the service from the uploaded files
+ * @param {Object} req - Express request object
+ * @returns {Array<Object>} [{ path, name }]
+ */
+const getPhotos = (req) => (req.files || []).map(file => ({ path: toStoredPath(file), name: file.originalname }));
+
+/**
+ * Discard uploaded photos after a failed request
+ * @param {Object} req - Express request object
+ */
+const removePhotos = async (req) => {
+  for (const file of req.files || []) {
+    await removeUpload(toStoredPath(file));
+  }
+};
+
+// Get checklist templates (Admin only)
+router.get('/templates', isAdmin, [
+  query('vehicle_type').optional().isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const templates = await inspectionService.getTemplates(req.query);
+
+    res.json({ templates });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch inspection checklists');
+  }
+});
+
+// Create a checklist template (Admin only)
+router.post('/templates', isAdmin, templateValidation(), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const template = await inspectionService.createTemplate(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Inspection checklist created successfully',
+      template
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create inspection checklist');
+  }
+});
+
+// Update a checklist template (Admin only)
+router.put('/templates/:id', isAdmin, templateValidation(true), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const template = await inspectionService.updateTemplate(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Inspection checklist updated successfully',
+      template
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update inspection checklist');
+  }
+});
+
+// Delete a checklist template (Admin only)
+router.delete('/templates/:id', isAdmin, async (req, res) => {
+  try {
+    await inspectionService.deleteTemplate(req.params.id, req.user);
+
+    res.json({ message: 'Inspection checklist deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete inspection checklist');
+  }
+});
+
+// Get inspections across the fleet (Admin only)
+router.get('/', isAdmin, [
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
+  query('booking_id').optional().isInt().withMessage('Booking ID must be a number'),
+  query('status').optional().isIn(['passed', 'defects', 'failed']).withMessage('Invalid inspection status')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const inspections = await inspectionService.getInspections(req.query);
+
+    res.json({ inspections });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch inspections');
+  }
+});
+
+// Get a booking's checklists and inspections
+router.get('/bookings/:bookingId', async (req, res) => {
+  try {
+    const result = await inspectionService.getBookingInspections(req.params.bookingId, req.user);
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch inspections');
+  }
+});
+
+// Record an inspection for a booking (multipart, with optional photos)
+router.post('/bookings/:bookingId', photoUpload.array('photos', MAX_PHOTOS), [
+  body('inspection_type').isIn(INSPECTION_TYPES).withMessage('Inspection type must be pre_trip or post_trip'),
+  body('results').exists({ values: 'falsy' }).withMessage('Checklist results are required'),
+  body('odometer').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Odometer must be a non-negative number'),
+  body('notes').optional({ values: 'null' }).isString().withMessage('Notes must be a string')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removePhotos)) return;
+
+    const inspection = await inspectionService.submitInspection(req.params.bookingId, req.body, getPhotos(req), req.user);
+
+    res.status(201).json({
+      message: inspection.status === 'failed'
+        ? 'Inspection recorded. A critical item failed, so the vehicle has been taken out of service for repair'
+        : 'Inspection recorded successfully',
+      inspection
+    });
+  } catch (error) {
+    await removePhotos(req);
+    sendError(res, error, 'Failed to record inspection');
+  }
+});
+
+// Download an inspection photo
+router.get('/:id/photos/:index', async (req, res) => {
+  try {
+    const inspection = await inspectionService.getInspectionById(req.params.id);
+    inspectionService.validateAccess(inspection.booking, req.user);
+
+    const photo = inspection.photos[parseInt(req.params.index)];
+    const photoPath = photo && resolveUpload(photo.path);
+
+    if (!photoPath) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    res.download(photoPath, photo.name || 'photo', (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Photo file not found' });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch photo');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const MaintenanceService = require('../services/MaintenanceService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const maintenanceService = new MaintenanceService();
+
+router.use(authenticateToken);
+router.use(isAdmin);
+
+const planValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('vehicle_id').isInt().withMessage('Vehicle ID must be a number'),
+    body('name').exists({ values: 'falsy' }).withMessage('Name is required')
+  ]),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('interval_days').optional({ values: 'falsy' }).isInt({ min: 1, max: 3650 }).withMessage('Interval in days must be between 1 and 3650'),
+  body('interval_km').optional({ values: 'falsy' }).isInt({ min: 1, max: 1000000 }).withMessage('Interval in km must be between 1 and 1000000'),
+  body('is_active').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+const costValidation = [
+  body('parts').optional().isArray({ max: 100 }).withMessage('Parts must be a list'),
+  body('parts.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('Each part needs a name'),
+  body('parts.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Part quantity must be positive'),
+  body('parts.*.unit_cost').optional().isFloat({ min: 0 }).withMessage('Part cost cannot be negative'),
+  body('parts_cost').optional().isFloat({ min: 0 }).withMessage('Parts cost cannot be negative'),
+  body('labour_hours').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Labour hours cannot be negative'),
+  body('labour_cost').optional().isFloat({ min: 0 }).withMessage('Labour cost cannot be negative')
+];
+
+const recordValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('vehicle_id').isInt().withMessage('Vehicle ID must be a number'),
+    body('title').exists({ values: 'falsy' }).withMessage('Title is required'),
+    body('start_date').isISO8601().withMessage('Start date must be a valid date'),
+    body('end_date').isISO8601().withMessage('End date must be a valid date')
+  ]),
+  body('plan_id').optional({ values: 'falsy' }).isInt().withMessage('Plan ID must be a number'),
+  body('title').optional().trim().isLength({ min: 1, max: 150 }).withMessage('Title must be between 1 and 150 characters'),
+  body('service_type').optional().isIn(MaintenanceService.SERVICE_TYPES).withMessage('Invalid service type'),
+  body('start_date').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('end_date').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('vendor').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Vendor too long'),
+  body('notes').optional({ values: 'null' }).isString().withMessage('Notes must be a string'),
+  ...costValidation
+];
+
+const completeValidation = [
+  body('odometer').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Odometer must be a non-negative number'),
+  body('completed_at').optional().isISO8601().withMessage('Completion time must be a valid date'),
+  body('next_service_date').optional({ values: 'falsy' }).isISO8601().withMessage('Next service date must be a valid date'),
+  body('notes').optional({ values: 'null' }).isString().withMessage('Notes must be a string'),
+  ...costValidation
+];
+
+// Get plans and vehicles that are overdue or due soon
+router.get('/due', async (req, res) => {
+  try {
+    const { overdue, due_soon } = await maintenanceService.getDueMaintenance();
+
+    res.json({ overdue, due_soon });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch due maintenance');
+  }
+});
+
+// Get maintenance plans
+router.get('/plans', [
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const plans = await maintenanceService.getPlans(req.query);
+
+    res.json({ plans });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch maintenance plans');
+  }
+});
+
+// Create maintenance plan
+router.post('/plans', planValidation(), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const plan = await maintenanceService.createPlan(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Maintenance plan created successfully',
+      plan
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create maintenance plan');
+  }
+});
+
+// Update maintenance plan
+router.put('/plans/:id', planValidation(true), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const plan = await maintenanceService.updatePlan(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Maintenance plan updated successfully',
+      plan
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update maintenance plan');
+  }
+});
+
+// Get maintenance records (service history and upcoming windows)
+router.get('/records', [
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
+  query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const records = await maintenanceService.getRecords(req.query);
+
+    res.json({ records });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch maintenance records');
+  }
+});
+
+// Schedule maintenance
+router.post('/records', recordValidation(), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const record = await maintenanceService.scheduleMaintenance(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Maintenance scheduled successfully',
+      record
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to schedule maintenance');
+  }
+});
+
+// Update scheduled or in-progress maintenance
+router.put('/records/:id', recordValidation(true), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const record = await maintenanceService.updateRecord(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Maintenance updated successfully',
+      record
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update maintenance');
+  }
+});
+
+// Start maintenance (vehicle goes into the workshop)
+router.post('/records/:id/start', async (req, res) => {
+  try {
+    const record = await maintenanceService.startMaintenance(req.params.id, req.user);
+
+    res.json({
+      message: 'Maintenance started successfully',
+      record
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to start maintenance');
+  }
+});
+
+// Complete maintenance (records costs and updates the vehicle's service dates)
+router.post('/records/:id/complete', completeValidation, async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const record = await maintenanceService.completeMaintenance(req.params.id, req.body, req.user);
+
+    res.json({
+      message: 'Maintenance completed successfully',
+      record
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to complete maintenance');
+  }
+});
+
+// Cancel maintenance
+router.patch('/records/:id/cancel', async (req, res) => {
+  try {
+    const record = await maintenanceService.cancelMaintenance(req.params.id, req.user);
+
+    res.json({
+      message: 'Maintenance cancelled successfully',
+      record
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel maintenance');
+  }
+});
+
+module.exports = router;
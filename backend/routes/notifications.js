@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const NotificationService = require('../services/NotificationService');
+
+const notificationService = new NotificationService();
+
+router.use(authenticateToken);
+
+// Get the current user's notifications
+router.get('/', async (req, res) => {
+  try {
+    const { unread_only, page = 1, limit = 20 } = req.query;
+
+    const result = await notificationService.getNotifications(req.user, {
+      unread_only: unread_only === 'true',
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Get the current user's unread notification count
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await notificationService.getUnreadCount(req.user);
+
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({ error: 'Failed to fetch unread notification count' });
+  }
+});
+
+// Mark all of the current user's notifications as read
+router.patch('/read-all', async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user);
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.params.id, req.user);
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+module.exports = router;
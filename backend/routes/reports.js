@@ -9,6 +9,12 @@ const {
   sequelize 
 } = require('../models');
 const { Op } = require('sequelize');
+const { query, validationResult } = require('express-validator');
+const FuelService = require('../services/FuelService');
+const IncidentService = require('../services/IncidentService');
+
+const fuelService = new FuelService();
+const incidentService = new IncidentService();
 
 router.use(authenticateToken);
 
@@ -70,6 +76,17 @@ router.get('/bookings', isAdmin, async (req, res) => {
 
     // Get bookings by department
     const bookingsByDepartment = await Booking.findAll({
+      attributes: [
+        'department',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      where: whereClause,
+      group: ['department'],
+      order: [[sequelize.fn('COUNT', sequelize.col('id')), 'DESC']]
+    });
+
+    // Get bookings by cost center
+    const bookingsByCostCenter = await Booking.findAll({
       attributes: [
         'cost_center',
         [sequelize.fn('COUNT', sequelize.col('id')), 'count']
@@ -79,6 +96,16 @@ router.get('/bookings', isAdmin, async (req, res) => {
       order: [[sequelize.fn('COUNT', sequelize.col('id')), 'DESC']]
     });
 
+    // Get bookings by priority
+    const bookingsByPriority = await Booking.findAll({
+      attributes: [
+        'priority',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      where: whereClause,
+      group: ['priority']
+    });
+
     res.json({
       summary: {
         total: totalBookings,
@@ -89,7 +116,9 @@ router.get('/bookings', isAdmin, async (req, res) => {
       },
       byStatus: bookingsByStatus,
       topVehicles,
-      byDepartment: bookingsByDepartment
+      byDepartment: bookingsByDepartment,
+      byCostCenter: bookingsByCostCenter,
+      byPriority: bookingsByPriority
     });
   } catch (error) {
     console.error('Booking analytics error:', error);
@@ -198,6 +227,70 @@ router.get('/drivers', isAdmin, async (req, res) => {
   }
 });
 
+// Get fuel consumption (L/100 km per vehicle, fleet averages and anomalous fill-ups)
+router.get('/fuel', isAdmin, [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
+  query('vehicle_type').optional().isString().withMessage('Vehicle type must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { startDate, endDate, vehicle_id, vehicle_type } = req.query;
+    const report = await fuelService.getConsumptionReport({
+      start_date: startDate,
+      end_date: endDate,
+      vehicle_id,
+      vehicle_type
+    });
+
+    res.json(report);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Fuel report error:', error);
+    res.status(500).json({ error: 'Failed to fetch fuel report' });
+  }
+});
+
+// Get incident counts by vehicle type, vehicle, driver, severity and status
+router.get('/incidents', isAdmin, [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+    const report = await incidentService.getIncidentReport({
+      start_date: startDate,
+      end_date: endDate
+    });
+
+    res.json(report);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Incident report error:', error);
+    res.status(500).json({ error: 'Failed to fetch incident report' });
+  }
+});
+
 // Export booking data to Excel (simplified - returns JSON)
 router.get('/export/bookings', isAdmin, async (req, res) => {
   try {
@@ -247,6 +340,7 @@ router.get('/export/bookings', isAdmin, async (req, res) => {
       destination: booking.destination,
       start_date: booking.start_date,
       end_date: booking.end_date,
+      passengers: booking.passengers,
       status: booking.status,
       priority: booking.priority,
       cost_center: booking.cost_center,
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { auditLogger } = require('../middleware/audit');
+const SiteService = require('../services/SiteService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const siteService = new SiteService();
+
+const DUPLICATE_SITE = { duplicateMessage: 'A site with this name or code already exists' };
+
+router.use(authenticateToken);
+
+const siteValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('name').exists({ values: 'falsy' }).withMessage('Name is required'),
+    body('code').exists({ values: 'falsy' }).withMessage('Code is required')
+  ]),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('code').optional().trim().matches(/^[A-Za-z0-9_-]{1,20}$/).withMessage('Code must be up to 20 letters, digits, dashes or underscores'),
+  body('region').optional({ values: 'falsy' }).trim().isLength({ max: 100 }).withMessage('Region too long'),
+  body('address').optional({ values: 'falsy' }).trim().isLength({ max: 255 }).withMessage('Address too long'),
+  body('geofence').optional({ values: 'null' }).isArray().withMessage('Geofence must be a list of points'),
+  body('manager_id').optional({ values: 'falsy' }).isInt().withMessage('Manager ID must be a number'),
+  body('is_active').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+// Get sites (everyone picks from them; inactive ones are for admins)
+router.get('/', [
+  query('include_inactive').optional().isBoolean().withMessage('Include inactive must be true or false')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const sites = await siteService.getSites({
+      region: req.query.region,
+      include_inactive: req.user.role === 'admin' && req.query.include_inactive === 'true'
+    });
+
+    res.json({ sites });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch sites');
+  }
+});
+
+// Find the site whose geofence contains a position
+router.get('/locate', [
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const site = await siteService.findSiteAt(parseFloat(req.query.latitude), parseFloat(req.query.longitude));
+
+    res.json({ site });
+  } catch (error) {
+    sendError(res, error, 'Failed to locate site');
+  }
+});
+
+// Get a site
+router.get('/:id', async (req, res) => {
+  try {
+    const site = await siteService.getSiteById(req.params.id);
+
+    res.json({ site });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch site');
+  }
+});
+
+// Create a site (Admin only)
+router.post('/', isAdmin, siteValidation(), auditLogger('CREATE', 'site'), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const site = await siteService.createSite(req.body);
+
+    res.status(201).json({
+      message: 'Site created successfully',
+      site
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create site', DUPLICATE_SITE);
+  }
+});
+
+// Update a site (Admin only)
+router.put('/:id', isAdmin, siteValidation(true), auditLogger('UPDATE', 'site'), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const site = await siteService.updateSite(req.params.id, req.body);
+
+    res.json({
+      message: 'Site updated successfully',
+      site
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update site', DUPLICATE_SITE);
+  }
+});
+
+// Delete a site with nothing assigned to it (Admin only)
+router.delete('/:id', isAdmin, auditLogger('DELETE', 'site'), async (req, res) => {
+  try {
+    await siteService.deleteSite(req.params.id);
+
+    res.json({ message: 'Site deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete site');
+  }
+});
+
+module.exports = router;
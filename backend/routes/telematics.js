@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, authenticateDevice, isAdmin } = require('../middleware/auth');
+const TelematicsService = require('../services/TelematicsService');
+const { MAX_BATCH_SIZE } = require('../services/TelematicsService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const telematicsService = new TelematicsService();
+
+// Ingest a batch of GPS positions (telematics units, with the X-API-Key header)
+router.post('/positions', authenticateDevice, [
+  body('positions').isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`Positions must be a list of 1-${MAX_BATCH_SIZE} pings`),
+  body('positions.*.vehicle_id').optional().isInt({ min: 1 }).withMessage('Vehicle ID must be a number'),
+  body('positions.*.plate_number').optional().isString().withMessage('Plate number must be a string'),
+  body('positions.*').custom(position => !!(position && (position.vehicle_id || position.plate_number)))
+    .withMessage('Each position needs a vehicle_id or plate_number'),
+  body('positions.*.recorded_at').isISO8601().withMessage('Recorded at must be a valid date'),
+  body('positions.*.latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('positions.*.longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('positions.*.speed').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Speed must be a non-negative number'),
+  body('positions.*.odometer').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Odometer must be a non-negative number')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const result = await telematicsService.ingestPositions(req.body.positions);
+
+    res.status(202).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to store positions');
+  }
+});
+
+// Get a booking's trip trace
+router.get('/bookings/:bookingId/trace', authenticateToken, async (req, res) => {
+  try {
+    const trace = await telematicsService.getBookingTrace(req.params.bookingId, req.user);
+
+    res.json(trace);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch trip trace');
+  }
+});
+
+// Get a vehicle's positions over a period (Admin only)
+router.get('/vehicles/:vehicleId/positions', authenticateToken, isAdmin, [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res)) return;
+
+    const result = await telematicsService.getVehiclePositions(req.params.vehicleId, req.query);
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch vehicle positions');
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, isAdmin } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/audit');
-const { User } = require('../models');
+const { User, Site } = require('../models');
+const SiteService = require('../services/SiteService');
+
+const siteService = new SiteService();
 
 router.use(authenticateToken);
 
 // Get all users (Admin only)
 router.get('/', isAdmin, async (req, res) => {
   try {
-    const { role, department, status } = req.query;
+    const { role, department, status, site_id } = req.query;
     
     let whereClause = {};
     if (role) {
@@ -21,10 +24,14 @@ router.get('/', isAdmin, async (req, res) => {
     if (status) {
       whereClause.status = status;
     }
+    if (site_id) {
+      whereClause.site_id = site_id;
+    }
     
     const users = await User.findAll({
       where: whereClause,
       attributes: { exclude: ['password'] }, // Don't return passwords
+      include: [{ model: Site, as: 'site', attributes: ['id', 'name', 'code'] }],
       order: [['name', 'ASC']]
     });
     
@@ -41,7 +48,8 @@ router.get('/:id', isAdmin, async (req, res) => {
     const { id } = req.params;
     
     const user = await User.findByPk(id, {
-      attributes: { exclude: ['password'] }
+      attributes: { exclude: ['password'] },
+      include: [{ model: Site, as: 'site', attributes: ['id', 'name', 'code'] }]
     });
     
     if (!user) {
@@ -65,6 +73,7 @@ router.post('/', isAdmin, auditLogger('CREATE', 'user'), async (req, res) => {
       role,
       department,
       phone,
+      site_id = null,
       status = 'active'
     } = req.body;
 
@@ -86,6 +95,8 @@ router.post('/', isAdmin, auditLogger('CREATE', 'user'), async (req, res) => {
       });
     }
 
+    await siteService.validateSite(site_id);
+
     const user = await User.create({
       name,
       email,
@@ -93,6 +104,7 @@ router.post('/', isAdmin, auditLogger('CREATE', 'user'), async (req, res) => {
       role,
       department,
       phone,
+      site_id,
       status
     });
 
@@ -104,6 +116,9 @@ router.post('/', isAdmin, auditLogger('CREATE', 'user'), async (req, res) => {
       user: userWithoutPassword
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create user error:', error);
     res.status(500).json({ error: 'Failed to create user' });
   }
@@ -120,6 +135,7 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'user'), async (req, res) => {
       role,
       department,
       phone,
+      site_id,
       status
     } = req.body;
 
@@ -141,12 +157,19 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'user'), async (req, res) => {
       }
     }
 
+    // Moving to a site needs an active one; records left at a deactivated site can still be edited
+    if (site_id && String(site_id) !== String(user.site_id)) {
+      await siteService.validateSite(site_id);
+    }
+
+    // The user's existing bookings keep the site they were made for
     const updateData = {
       name,
       email,
       role,
       department,
       phone,
+      site_id,
       status
     };
 
@@ -165,6 +188,9 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'user'), async (req, res) => {
       user: userWithoutPassword
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update user error:', error);
     res.status(500).json({ error: 'Failed to update user' });
   }
@@ -198,6 +224,9 @@ router.delete('/:id', isAdmin, auditLogger('DELETE', 'user'), async (req, res) =
       });
     }
 
+    // Sites they managed fall back to any approver with the cross-site role
+    await Site.update({ manager_id: null }, { where: { manager_id: user.id } });
+
     await user.destroy();
     
     res.json({ message: 'User deleted successfully' });
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { createUpload, toStoredPath, resolveUpload, removeUpload } = require('../middleware/upload');
+const VehicleDocumentService = require('../services/VehicleDocumentService');
+const { DOCUMENT_TYPES } = require('../services/VehicleDocumentService');
+const { sendValidationErrors, sendError } = require('../utils/errors');
+
+const documentService = new VehicleDocumentService();
+const documentUpload = createUpload('vehicle-documents');
+
+router.use(authenticateToken);
+router.use(isAdmin);
+
+const documentValidation = (isUpdate = false) => [
+  ...(isUpdate ? [] : [
+    body('vehicle_id').isInt().withMessage('Vehicle ID must be a number'),
+    body('document_type').exists({ values: 'falsy' }).withMessage('Document type is required'),
+    body('document_number').exists({ values: 'falsy' }).withMessage('Document number is required')
+  ]),
+  body('document_type').optional().isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+  body('document_number').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Document number must be 1-100 characters'),
+  body('issue_date').optional({ values: 'falsy' }).isISO8601().withMessage('Issue date must be a valid date'),
+  body('expiry_date').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
+  body('is_required').optional().isBoolean().withMessage('Required must be true or false').toBoolean(),
+  body('notes').optional({ values: 'null' }).isString().withMessage('Notes must be a string')
+];
+
+/**
+ * Delete the uploaded document file, if any, when the request fails
+ * @param {Object} req - Express request object
+ */
+const removeFile = async (req) => {
+  if (req.file) await removeUpload(toStoredPath(req.file));
+};
+
+/**
+ * File details for the service from the uploaded scan
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { path, name }
+ */
+const getFile = (req) => (req.file ? { path: toStoredPath(req.file), name: req.file.originalname } : null);
+
+// Get vehicle documents
+router.get('/', [
+  query('vehicle_id').optional().isInt().withMessage('Vehicle ID must be a number'),
+  query('document_type').optional().isIn(DOCUMENT_TYPES).withMessage('Invalid document type')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removeFile)) return;
+
+    const documents = await documentService.getDocuments(req.query);
+
+    res.json({ documents });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch vehicle documents');
+  }
+});
+
+// Required documents that have expired or expire within the lookahead
+router.get('/alerts', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removeFile)) return;
+
+    const alerts = await documentService.getExpiryAlerts({
+      days: req.query.days ? parseInt(req.query.days) : undefined
+    });
+
+    res.json(alerts);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch document expiry alerts');
+  }
+});
+
+// Record a document (multipart, with an optional scan)
+router.post('/', documentUpload.single('file'), documentValidation(), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removeFile)) return;
+
+    const document = await documentService.createDocument(req.body, getFile(req), req.user);
+
+    res.status(201).json({
+      message: 'Vehicle document created successfully',
+      document
+    });
+  } catch (error) {
+    await removeFile(req);
+    sendError(res, error, 'Failed to create vehicle document');
+  }
+});
+
+// Update a document
+router.put('/:id', documentUpload.single('file'), documentValidation(true), async (req, res) => {
+  try {
+    if (await sendValidationErrors(req, res, removeFile)) return;
+
+    const document = await documentService.updateDocument(req.params.id, req.body, getFile(req), req.user);
+
+    res.json({
+      message: 'Vehicle document updated successfully',
+      document
+    });
+  } catch (error) {
+    await removeFile(req);
+    sendError(res, error, 'Failed to update vehicle document');
+  }
+});
+
+// Delete a document
+router.delete('/:id', async (req, res) => {
+  try {
+    await documentService.deleteDocument(req.params.id, req.user);
+
+    res.json({ message: 'Vehicle document deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete vehicle document');
+  }
+});
+
+// Download a document's scan
+router.get('/:id/file', async (req, res) => {
+  try {
+    const document = await documentService.getDocumentById(req.params.id);
+    const filePath = document.file_path && resolveUpload(document.file_path);
+
+    if (!filePath) {
+      return res.status(404).json({ error: 'No file uploaded for this document' });
+    }
+
+    res.download(filePath, document.file_name || 'document', (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Document file not found' });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch document file');
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, isAdmin } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/audit');
-const { Vehicle } = require('../models');
+const { Vehicle, Site } = require('../models');
+const SiteService = require('../services/SiteService');
+
+const siteService = new SiteService();
 
 router.use(authenticateToken);
 
 // Get all vehicles
 router.get('/', async (req, res) => {
   try {
-    const { status, type } = req.query;
+    const { status, type, site_id } = req.query;
     
     let whereClause = {};
     if (status) {
@@ -18,9 +21,13 @@ router.get('/', async (req, res) => {
     if (type) {
       whereClause.type = type;
     }
+    if (site_id) {
+      whereClause.site_id = site_id;
+    }
     
     const vehicles = await Vehicle.findAll({
       where: whereClause,
+      include: [{ model: Site, as: 'site', attributes: ['id', 'name', 'code'] }],
       order: [['plate_number', 'ASC']]
     });
     
@@ -36,7 +43,9 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const vehicle = await Vehicle.findByPk(id);
+    const vehicle = await Vehicle.findByPk(id, {
+      include: [{ model: Site, as: 'site', attributes: ['id', 'name', 'code'] }]
+    });
     if (!vehicle) {
       return res.status(404).json({ error: 'Vehicle not found' });
     }
@@ -58,6 +67,7 @@ router.post('/', isAdmin, auditLogger('CREATE', 'vehicle'), async (req, res) =>
       year,
       fuel_type,
       capacity,
+      site_id,
       status = 'available'
     } = req.body;
 
@@ -79,6 +89,8 @@ router.post('/', isAdmin, auditLogger('CREATE', 'vehicle'), async (req, res) =>
       });
     }
 
+    await siteService.validateSite(site_id);
+
     const vehicle = await Vehicle.create({
       plate_number,
       type,
@@ -86,6 +98,7 @@ router.post('/', isAdmin, auditLogger('CREATE', 'vehicle'), async (req, res) =>
       year,
       fuel_type,
       capacity,
+      site_id: site_id || null,
       status
     });
 
@@ -94,6 +107,9 @@ router.post('/', isAdmin, auditLogger('CREATE', 'vehicle'), async (req, res) =>
       vehicle 
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create vehicle error:', error);
     res.status(500).json({ error: 'Failed to create vehicle' });
   }
@@ -110,6 +126,7 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'vehicle'), async (req, res) =
       year,
       fuel_type,
       capacity,
+      site_id,
       status
     } = req.body;
 
@@ -131,6 +148,12 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'vehicle'), async (req, res) =
       }
     }
 
+    // Moving to a site needs an active one; records left at a deactivated site can still be edited
+    if (site_id && String(site_id) !== String(vehicle.site_id)) {
+      await siteService.validateSite(site_id);
+    }
+
+    // Bookings already made keep their site; only new bookings see the vehicle at its new site
     await vehicle.update({
       plate_number,
       type,
@@ -138,6 +161,7 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'vehicle'), async (req, res) =
       year,
       fuel_type,
       capacity,
+      site_id,
       status
     });
 
@@ -146,6 +170,9 @@ router.put('/:id', isAdmin, auditLogger('UPDATE', 'vehicle'), async (req, res) =
       vehicle 
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update vehicle error:', error);
     res.status(500).json({ error: 'Failed to update vehicle' });
   }
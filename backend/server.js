@@ -6,12 +6,28 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { sequelize } = require('./models');
+const jobScheduler = require('./jobs');
+const { realtime } = require('./services/RealtimeService');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const vehicleRoutes = require('./routes/vehicles');
+const maintenanceRoutes = require('./routes/maintenance');
+const fuelLogRoutes = require('./routes/fuelLogs');
+const vehicleDocumentRoutes = require('./routes/vehicleDocuments');
+const inspectionRoutes = require('./routes/inspections');
+const incidentRoutes = require('./routes/incidents');
+const telematicsRoutes = require('./routes/telematics');
+const siteRoutes = require('./routes/sites');
 const driverRoutes = require('./routes/drivers');
+const driverHoursRuleRoutes = require('./routes/driverHoursRules');
+const driverLeaveRoutes = require('./routes/driverLeaves');
 const bookingRoutes = require('./routes/bookings');
 const approvalRoutes = require('./routes/approvals');
+const approvalPolicyRoutes = require('./routes/approvalPolicies');
+const delegationRoutes = require('./routes/delegations');
+const escalationRuleRoutes = require('./routes/escalationRules');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
 const dashboardRoutes = require('./routes/dashboard');
 const reportRoutes = require('./routes/reports');
 const auditLogRoutes = require('./routes/auditLogs');
@@ -64,9 +80,23 @@ if (process.env.NODE_ENV !== 'test') {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/fuel-logs', fuelLogRoutes);
+app.use('/api/vehicle-documents', vehicleDocumentRoutes);
+app.use('/api/inspections', inspectionRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/telematics', telematicsRoutes);
+app.use('/api/sites', siteRoutes);
 app.use('/api/drivers', driverRoutes);
+app.use('/api/driver-hours-rules', driverHoursRuleRoutes);
+app.use('/api/driver-leaves', driverLeaveRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/approvals', approvalRoutes);
+app.use('/api/approval-policies', approvalPolicyRoutes);
+app.use('/api/delegations', delegationRoutes);
+app.use('/api/escalation-rules', escalationRuleRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/audit-logs', auditLogRoutes);
@@ -136,6 +166,12 @@ const startServer = async () => {
       console.log('Database models synchronized.');
     }
     
+    // Start the job scheduler, which runs every registered background job (escalations, reminders, emails)
+    if (process.env.DISABLE_JOBS !== 'true') {
+      await jobScheduler.start();
+      console.log('Job scheduler started.');
+    }
+    
     // Start server
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
@@ -151,12 +187,16 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  jobScheduler.stop();
+  realtime.closeAll();
   await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  jobScheduler.stop();
+  realtime.closeAll();
   await sequelize.close();
   process.exit(0);
 });
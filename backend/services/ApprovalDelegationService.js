@@ -0,0 +1,215 @@
+const { Op } = require('sequelize');
+const { ApprovalDelegation, User } = require('../models');
+const { logActivity } = require('../middleware/audit');
+const { createServiceError } = require('../utils/errors');
+
+const APPROVER_ROLES = ['approver_l1', 'approver_l2'];
+
+/**
+ * Service layer for approver delegation (out-of-office substitution)
+ * A delegation lets another approver action the delegator's approvals during a time window
+ */
+class ApprovalDelegationService {
+  /**
+   * Get delegations given and received by a user
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { given, received }
+   */
+  async getDelegations(user) {
+    const include = [
+      { model: User, as: 'delegator', attributes: ['id', 'name', 'email', 'role'] },
+      { model: User, as: 'delegate', attributes: ['id', 'name', 'email', 'role'] }
+    ];
+
+    const [given, received] = await Promise.all([
+      ApprovalDelegation.findAll({
+        where: { delegator_id: user.id },
+        include,
+        order: [['start_date', 'DESC']]
+      }),
+      ApprovalDelegation.findAll({
+        where: {
+          delegate_id: user.id,
+          status: 'active',
+          end_date: { [Op.gt]: new Date() }
+        },
+        include,
+        order: [['start_date', 'ASC']]
+      })
+    ]);
+
+    return { given, received };
+  }
+
+  /**
+   * Find delegations a user can act under right now
+   * @param {string|number} delegateId - Delegate user ID
+   * @param {Date} [at] - Point in time to check
+   * @returns {Promise<Array>} Active delegations with delegator
+   */
+  async findActiveDelegations(delegateId, at = new Date()) {
+    return await ApprovalDelegation.findAll({
+      where: {
+        delegate_id: delegateId,
+        status: 'active',
+        start_date: { [Op.lte]: at },
+        end_date: { [Op.gt]: at }
+      },
+      include: [
+        { model: User, as: 'delegator', attributes: ['id', 'name', 'email', 'role', 'status'] }
+      ]
+    });
+  }
+
+  /**
+   * Get the approvers a user is currently standing in for
+   * @param {string|number} delegateId - Delegate user ID
+   * @returns {Promise<Array>} Delegator users
+   */
+  async findActiveDelegators(delegateId) {
+    const delegations = await this.findActiveDelegations(delegateId);
+
+    return delegations
+      .map(delegation => delegation.delegator)
+      .filter(delegator => delegator && delegator.status === 'active');
+  }
+
+  /**
+   * Get the users standing in for any of a set of approvers right now
+   * @param {Array<number>} delegatorIds - Approver user IDs
+   * @param {Date} [at] - Point in time to check
+   * @returns {Promise<Array<number>>} Delegate user IDs
+   */
+  async findActiveDelegateIds(delegatorIds, at = new Date()) {
+    const ids = delegatorIds.filter(Boolean);
+    if (ids.length === 0) return [];
+
+    const delegations = await ApprovalDelegation.findAll({
+      where: {
+        delegator_id: { [Op.in]: ids },
+        status: 'active',
+        start_date: { [Op.lte]: at },
+        end_date: { [Op.gt]: at }
+      },
+      include: [
+        { model: User, as: 'delegator', attributes: ['id', 'status'] },
+        { model: User, as: 'delegate', attributes: ['id', 'status'] }
+      ]
+    });
+
+    return delegations
+      .filter(delegation => delegation.delegator?.status === 'active' && delegation.delegate?.status === 'active')
+      .map(delegation => delegation.delegate_id);
+  }
+
+  /**
+   * Register a delegation window for the current user
+   * @param {Object} data - Delegation data (delegate_id, start_date, end_date, reason)
+   * @param {Object} user - Current user (the delegator)
+   * @returns {Promise<Object>} Created delegation
+   */
+  async createDelegation(data, user) {
+    if (!APPROVER_ROLES.includes(user.role)) {
+      throw createServiceError('Only approvers can delegate approvals', 403);
+    }
+
+    if (String(data.delegate_id) === String(user.id)) {
+      throw createServiceError('You cannot delegate approvals to yourself', 400);
+    }
+
+    const delegate = await User.findByPk(data.delegate_id);
+    if (!delegate) {
+      throw createServiceError('Delegate not found', 404);
+    }
+
+    if (!APPROVER_ROLES.includes(delegate.role) || delegate.status !== 'active') {
+      throw createServiceError('Delegate must be an active approver', 400);
+    }
+
+    const startDate = new Date(data.start_date);
+    const endDate = new Date(data.end_date);
+
+    if (endDate <= startDate) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+
+    if (endDate <= new Date()) {
+      throw createServiceError('Delegation window has already ended', 400);
+    }
+
+    const overlapping = await ApprovalDelegation.findOne({
+      where: {
+        delegator_id: user.id,
+        status: 'active',
+        start_date: { [Op.lt]: endDate },
+        end_date: { [Op.gt]: startDate }
+      }
+    });
+
+    if (overlapping) {
+      throw createServiceError('You already have a delegation during this period', 409);
+    }
+
+    const delegation = await ApprovalDelegation.create({
+      delegator_id: user.id,
+      delegate_id: delegate.id,
+      start_date: startDate,
+      end_date: endDate,
+      reason: data.reason || null
+    });
+
+    await logActivity(
+      user.id,
+      'CREATE',
+      'delegation',
+      delegation.id,
+      null,
+      {
+        delegate_id: delegate.id,
+        start_date: startDate,
+        end_date: endDate
+      },
+      `Approvals delegated to ${delegate.name} from ${startDate.toISOString()} to ${endDate.toISOString()}`
+    );
+
+    return delegation;
+  }
+
+  /**
+   * Cancel one of the current user's delegations
+   * @param {string|number} id - Delegation ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Cancelled delegation
+   */
+  async cancelDelegation(id, user) {
+    const delegation = await ApprovalDelegation.findByPk(id);
+
+    if (!delegation) {
+      throw createServiceError('Delegation not found', 404);
+    }
+
+    if (delegation.delegator_id !== user.id) {
+      throw createServiceError('You can only cancel your own delegations', 403);
+    }
+
+    if (delegation.status !== 'active') {
+      throw createServiceError('Delegation is already cancelled', 400);
+    }
+
+    await delegation.update({ status: 'cancelled' });
+
+    await logActivity(
+      user.id,
+      'CANCEL',
+      'delegation',
+      delegation.id,
+      { status: 'active' },
+      { status: 'cancelled' },
+      'Approval delegation cancelled'
+    );
+
+    return delegation;
+  }
+}
+
+module.exports = ApprovalDelegationService;
@@ -0,0 +1,159 @@
+const { Approval, ApprovalEscalationRule, Booking, User } = require('../models');
+const { logActivity } = require('../middleware/audit');
+const NotificationService = require('./NotificationService');
+const BookingService = require('./BookingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Service layer for approval SLA escalation
+ * A pending level that breaches its SLA is escalated once, following the rule configured for its level.
+ * Cross-site levels are left alone: they belong to the lending site, not to the level numbering the rules follow.
+ */
+class ApprovalEscalationService {
+  constructor(notificationService = null) {
+    this.notificationService = notificationService || new NotificationService();
+    this.bookingService = new BookingService();
+  }
+
+  /**
+   * Escalate every pending approval that has breached its SLA, other than cross-site levels
+   * @param {Date} [now] - Point in time to check against
+   * @returns {Promise<Array>} Escalated approvals
+   */
+  async escalateOverdueApprovals(now = new Date()) {
+    const rules = await ApprovalEscalationRule.findAll({
+      where: { is_active: true },
+      include: [{ model: User, as: 'targetUser', attributes: ['id', 'name', 'role', 'status'] }]
+    });
+    if (rules.length === 0) return [];
+
+    const rulesByLevel = new Map(rules.map(rule => [rule.level, rule]));
+
+    const approvals = await Approval.findAll({
+      where: {
+        status: 'pending',
+        escalated_at: null,
+        site_id: null,
+        level: Array.from(rulesByLevel.keys())
+      },
+      include: [
+        {
+          model: Booking,
+          as: 'booking',
+          where: { status: 'pending' },
+          include: [
+            { model: Approval, as: 'approvals', attributes: ['id', 'level', 'status', 'approved_at'] }
+          ]
+        }
+      ]
+    });
+
+    const escalated = [];
+    for (const approval of approvals) {
+      const rule = rulesByLevel.get(approval.level);
+      const pendingSince = this.getPendingSince(approval);
+
+      if (pendingSince && now - pendingSince >= rule.sla_hours * HOUR_MS) {
+        try {
+          await this.escalate(approval, rule, now);
+          escalated.push(approval);
+        } catch (error) {
+          // One bad rule or approval shouldn't hold up the rest
+          console.error(`Failed to escalate approval ${approval.id}:`, error);
+        }
+      }
+    }
+
+    return escalated;
+  }
+
+  /**
+   * Work out when a level became actionable
+   * Level 1 waits from creation; later levels wait from the previous level's approval
+   * @param {Object} approval - Approval record with booking and sibling approvals
+   * @returns {Date|null} Start of the wait, or null while earlier levels are still open
+   */
+  getPendingSince(approval) {
+    if (approval.level === 1) return new Date(approval.created_at);
+
+    const previous = approval.booking.approvals.find(a => a.level === approval.level - 1);
+    if (!previous || previous.status !== 'approved' || !previous.approved_at) return null;
+
+    return new Date(previous.approved_at);
+  }
+
+  /**
+   * Apply an escalation rule to an approval and notify the new approvers
+   * reassign: the level moves to the target role (and user, if set)
+   * add_approver: the target user may action the level alongside the original approver
+   * @param {Object} approval - Approval record with booking
+   * @param {Object} rule - Escalation rule for the approval's level
+   * @param {Date} [now] - Escalation time
+   */
+  async escalate(approval, rule, now = new Date()) {
+    if (approval.site_id) {
+      throw new Error(`Approval ${approval.id} is a cross-site approval and is not escalated`);
+    }
+
+    const targetUser = rule.targetUser && rule.targetUser.status === 'active' ? rule.targetUser : null;
+
+    if (rule.action === 'add_approver' && !targetUser) {
+      throw new Error(`Escalation target for level ${rule.level} is missing or inactive`);
+    }
+
+    const oldValues = {
+      approver_id: approval.approver_id,
+      required_role: approval.required_role
+    };
+
+    const updates = {
+      escalated_at: now,
+      escalated_to_id: targetUser ? targetUser.id : null
+    };
+
+    if (rule.action === 'reassign') {
+      updates.approver_id = targetUser ? targetUser.id : null;
+      updates.required_role = targetUser ? targetUser.role : rule.target_role;
+    }
+
+    await approval.update(updates);
+
+    const target = targetUser ? targetUser.name : `any ${rule.target_role.replace('_', ' ').toUpperCase()}`;
+    const verb = rule.action === 'reassign' ? 'reassigned to' : 'escalated to';
+    const description = `Level ${approval.level} approval ${verb} ${target} after exceeding the ${rule.sla_hours}h SLA`;
+
+    await logActivity(
+      null,
+      'ESCALATE',
+      'booking',
+      approval.booking_id,
+      oldValues,
+      {
+        level: approval.level,
+        action: rule.action,
+        approver_id: approval.approver_id,
+        required_role: approval.required_role,
+        escalated_to_id: approval.escalated_to_id
+      },
+      description
+    );
+
+    const notification = {
+      type: 'approval_escalated',
+      title: `Booking #${approval.booking_id} needs your approval`,
+      message: `${description}. The booking is waiting on a Level ${approval.level} decision.`,
+      booking_id: approval.booking_id
+    };
+
+    if (targetUser) {
+      await this.notificationService.notify([targetUser.id], notification);
+    } else {
+      await this.notificationService.notifyRole(rule.target_role, notification);
+    }
+
+    await this.bookingService.publishBookingChange(approval.booking_id);
+  }
+}
+
+module.exports = ApprovalEscalationService;
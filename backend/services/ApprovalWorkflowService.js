@@ -0,0 +1,362 @@
+const { Op } = require('sequelize');
+const { Approval, ApprovalPolicy, Booking } = require('../models');
+const { logActivity } = require('../middleware/audit');
+const { createServiceError } = require('../utils/errors');
+const ApprovalDelegationService = require('./ApprovalDelegationService');
+const NotificationService = require('./NotificationService');
+
+// Chain used when no approval policy matches a booking
+const DEFAULT_CHAIN = ['approver_l1', 'approver_l2'];
+
+/**
+ * Service layer for approval chains
+ * Resolves which approval levels a booking needs and moves bookings through them
+ */
+class ApprovalWorkflowService {
+  constructor(delegationService = null, notificationService = null) {
+    this.delegationService = delegationService || new ApprovalDelegationService();
+    this.notificationService = notificationService || new NotificationService();
+  }
+
+  /**
+   * Find the approval policy that applies to a booking
+   * @param {Object} criteria - Booking attributes
+   * @param {string} [criteria.department] - Requesting employee's department
+   * @param {string} [criteria.vehicle_type] - Type of the booked vehicle
+   * @param {string|Date} criteria.start_date - Start date
+   * @param {string|Date} criteria.end_date - End date
+   * @returns {Promise<Object|null>} Matching policy or null
+   */
+  async resolvePolicy({ department, vehicle_type, start_date, end_date }) {
+    const policies = await ApprovalPolicy.findAll({
+      where: {
+        is_active: true,
+        department: { [Op.or]: [null, department || null] },
+        vehicle_type: { [Op.or]: [null, vehicle_type || null] }
+      }
+    });
+
+    const durationHours = (new Date(end_date) - new Date(start_date)) / (1000 * 60 * 60);
+
+    const matching = policies.filter(policy =>
+      (policy.min_duration_hours == null || durationHours >= policy.min_duration_hours) &&
+      (policy.max_duration_hours == null || durationHours < policy.max_duration_hours)
+    );
+
+    // Highest priority wins; ties go to the most specific policy
+    matching.sort((a, b) =>
+      (b.priority - a.priority) || (this.specificity(b) - this.specificity(a)) || (a.id - b.id)
+    );
+
+    return matching[0] || null;
+  }
+
+  /**
+   * Resolve the approval chain (one role per level) for a booking
+   * @param {Object} criteria - Booking attributes, see resolvePolicy
+   * @returns {Promise<Object>} { policy, chain }
+   */
+  async resolveChain(criteria) {
+    const policy = await this.resolvePolicy(criteria);
+
+    return {
+      policy,
+      chain: policy ? policy.approval_roles : DEFAULT_CHAIN
+    };
+  }
+
+  /**
+   * Count how many criteria a policy constrains
+   * @param {Object} policy - Approval policy
+   * @returns {number} Number of non-null criteria
+   */
+  specificity(policy) {
+    return [
+      policy.department,
+      policy.vehicle_type,
+      policy.min_duration_hours,
+      policy.max_duration_hours
+    ].filter(value => value != null).length;
+  }
+
+  /**
+   * Create one approval record per level of the chain
+   * @param {string|number} bookingId - Booking ID
+   * @param {Array<string>} chain - Role required at each level
+   * @param {Array<string|number>} approverIds - Named approver per level (may be empty)
+   * @param {Object} [siteApproval] - Extra final level for a cross-site booking, see
+   *   SiteService.resolveCrossSiteApproval
+   * @param {Object} [options] - Sequelize options, e.g. { transaction }
+   * @returns {Promise<Array>} Created approvals, lowest level first
+   */
+  async createApprovalRecords(bookingId, chain, approverIds = [], siteApproval = null, options = {}) {
+    const approvals = [];
+    for (let index = 0; index < chain.length; index++) {
+      approvals.push(await Approval.create({
+        booking_id: bookingId,
+        approver_id: approverIds[index] || null,
+        level: index + 1,
+        required_role: chain[index],
+        status: 'pending'
+      }, options));
+    }
+
+    // The lending site signs off last, once the requester's own chain has approved
+    if (siteApproval) {
+      approvals.push(await Approval.create({
+        booking_id: bookingId,
+        approver_id: siteApproval.approver_id,
+        level: chain.length + 1,
+        required_role: siteApproval.required_role,
+        site_id: siteApproval.site_id,
+        status: 'pending'
+      }, options));
+    }
+
+    return approvals;
+  }
+
+  /**
+   * Role allowed to action an approval
+   * Approvals created before chains were configurable have no required_role
+   * @param {Object} approval - Approval record
+   * @returns {string} Role
+   */
+  getRequiredRole(approval) {
+    return approval.required_role || (approval.level === 1 ? 'approver_l1' : 'approver_l2');
+  }
+
+  /**
+   * Check whether a user can action an approval in their own right
+   * A user added by SLA escalation can action the level regardless of role
+   * @param {Object} approval - Approval record
+   * @param {Object} user - User to check
+   * @returns {boolean} True if the level is assigned to the user
+   */
+  isAssignedTo(approval, user) {
+    if (approval.escalated_to_id && approval.escalated_to_id === user.id) return true;
+
+    return this.getRequiredRole(approval) === user.role &&
+      (!approval.approver_id || approval.approver_id === user.id);
+  }
+
+  /**
+   * Work out whose behalf a user would action an approval on
+   * Delegates may action levels assigned to an approver who delegated to them
+   * @param {Object} approval - Approval record
+   * @param {Object} user - Current user
+   * @returns {Promise<Object|null>} Delegator being stood in for, or null when acting directly
+   * @throws {Error} With status 403 if the user can't action the approval
+   */
+  async resolveOnBehalfOf(approval, user) {
+    if (this.isAssignedTo(approval, user)) return null;
+
+    const delegators = await this.delegationService.findActiveDelegators(user.id);
+    const delegator = delegators.find(d => this.isAssignedTo(approval, d));
+    if (delegator) return delegator;
+
+    if (this.getRequiredRole(approval) !== user.role) {
+      throw createServiceError('You do not have permission to approve at this level', 403);
+    }
+
+    throw createServiceError('You are not the originally specified approver for this booking', 403);
+  }
+
+  /**
+   * Check whether any of a booking's approvals are routed to a user by an active delegation
+   * @param {Array<Object>} approvals - Approvals for the booking
+   * @param {Object} user - Current user
+   * @returns {Promise<boolean>} True if the user stands in for one of the approvers
+   */
+  async isDelegatedTo(approvals, user) {
+    const delegators = await this.delegationService.findActiveDelegators(user.id);
+    return approvals.some(approval => delegators.some(d => this.isAssignedTo(approval, d)));
+  }
+
+  /**
+   * Validate an approval can be actioned now
+   * @param {Object} approval - Approval record with booking
+   * @param {Array<Object>} approvals - All approvals for the booking
+   * @param {Object} user - Current user
+   * @param {string} status - Requested decision
+   * @param {Object} [onBehalfOf] - Delegator the user is standing in for
+   * @throws {Error} With HTTP status if the approval can't be actioned
+   */
+  validateCanAct(approval, approvals, user, status, onBehalfOf = null) {
+    // Each level needs a different person
+    const actorIds = [user.id, onBehalfOf && onBehalfOf.id].filter(Boolean);
+    const approvedElsewhere = approvals.some(a =>
+      a.id !== approval.id && a.status === 'approved' &&
+      (actorIds.includes(a.approver_id) || actorIds.includes(a.on_behalf_of_id))
+    );
+    if (approvedElsewhere) {
+      throw createServiceError('You have already approved this booking at another level', 403);
+    }
+
+    if (approval.status !== 'pending') {
+      throw createServiceError('This approval has already been processed', 400);
+    }
+
+    if (approval.booking.status !== 'pending') {
+      throw createServiceError(`Booking is already ${approval.booking.status}`, 400);
+    }
+
+    // Levels are approved in order; a later level may still reject early
+    const waitingOn = approvals.find(a => a.level < approval.level && a.status !== 'approved');
+    if (status === 'approved' && waitingOn) {
+      throw createServiceError(`Level ${waitingOn.level} approval must be completed first`, 400);
+    }
+  }
+
+  /**
+   * Work out the booking status implied by its approvals
+   * @param {Array<Object>} approvals - All approvals for the booking
+   * @returns {string} pending, approved or rejected
+   */
+  resolveBookingStatus(approvals) {
+    if (approvals.some(a => a.status === 'rejected')) return 'rejected';
+    if (approvals.length > 0 && approvals.every(a => a.status === 'approved')) return 'approved';
+    return 'pending';
+  }
+
+  /**
+   * Record an approval decision and advance the booking
+   * @param {Object} approval - Approval record with booking
+   * @param {Object} decision - Decision data
+   * @param {string} decision.status - approved or rejected
+   * @param {string} [decision.comments] - Approver comments
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { approval, bookingStatus, onBehalfOf }
+   */
+  async applyDecision(approval, { status, comments }, user) {
+    const approvals = await Approval.findAll({
+      where: { booking_id: approval.booking_id },
+      order: [['level', 'ASC']]
+    });
+
+    const onBehalfOf = await this.resolveOnBehalfOf(approval, user);
+    this.validateCanAct(approval, approvals, user, status, onBehalfOf);
+
+    const onBehalfOfNote = onBehalfOf ? ` on behalf of ${onBehalfOf.name}` : '';
+
+    const oldValues = {
+      status: approval.status,
+      comments: approval.comments,
+      approved_at: approval.approved_at
+    };
+
+    await approval.update({
+      status,
+      comments,
+      approver_id: user.id,
+      on_behalf_of_id: onBehalfOf ? onBehalfOf.id : null,
+      approved_at: status === 'approved' ? new Date() : null
+    });
+
+    if (status === 'rejected') {
+      // Remaining levels no longer need a decision
+      await Approval.update(
+        {
+          status: 'cancelled',
+          comments: `Cancelled due to Level ${approval.level} rejection`
+        },
+        {
+          where: {
+            booking_id: approval.booking_id,
+            status: 'pending'
+          }
+        }
+      );
+    }
+
+    const updatedApprovals = approvals.map(a => (a.id === approval.id ? approval : a));
+    const bookingStatus = this.resolveBookingStatus(updatedApprovals);
+    const booking = approval.booking;
+
+    if (bookingStatus !== booking.status) {
+      const previousStatus = booking.status;
+      await booking.update({
+        status: bookingStatus,
+        ...(bookingStatus === 'rejected' && {
+          rejection_reason: comments || 'Rejected during approval process'
+        })
+      });
+
+      // A series is approved or rejected as a whole through its lead occurrence
+      const seriesUpdated = await this.applySeriesOutcome(booking, bookingStatus);
+      const seriesNote = seriesUpdated > 0 ? ` (applied to ${seriesUpdated} more occurrence${seriesUpdated === 1 ? '' : 's'} of the series)` : '';
+
+      await logActivity(
+        user.id,
+        'UPDATE',
+        'booking',
+        approval.booking_id,
+        { status: previousStatus },
+        { status: bookingStatus, ...(onBehalfOf && { on_behalf_of: onBehalfOf.name }) },
+        bookingStatus === 'approved'
+          ? `Booking fully approved - all approval levels complete${onBehalfOfNote}${seriesNote}`
+          : `Booking rejected at Level ${approval.level} approval${onBehalfOfNote}${seriesNote}`
+      );
+    } else if (status === 'approved') {
+      const next = updatedApprovals.find(a => a.status === 'pending');
+      await logActivity(
+        user.id,
+        'APPROVE_LEVEL',
+        'booking',
+        approval.booking_id,
+        null,
+        { level: approval.level, ...(onBehalfOf && { on_behalf_of: onBehalfOf.name }) },
+        `Approved at Level ${approval.level} of ${approvals.length}${onBehalfOfNote} - awaiting Level ${next.level}`
+      );
+    }
+
+    await logActivity(
+      user.id,
+      'UPDATE',
+      'approval',
+      approval.id,
+      oldValues,
+      {
+        status,
+        comments,
+        approver_id: user.id,
+        on_behalf_of_id: onBehalfOf ? onBehalfOf.id : null
+      },
+      `Approval ${status} at level ${approval.level}${onBehalfOfNote}`
+    );
+
+    const nextApproval = updatedApprovals.find(a => a.status === 'pending') || null;
+    await this.notificationService.approvalDecided(booking, approval, bookingStatus, nextApproval, user);
+
+    return { approval, bookingStatus, onBehalfOf };
+  }
+
+  /**
+   * Carry a series lead's approval outcome over to the series' other pending occurrences
+   * @param {Object} lead - Booking holding the approvals, already updated
+   * @param {string} bookingStatus - Booking status after the decision
+   * @returns {Promise<number>} Number of other occurrences updated
+   */
+  async applySeriesOutcome(lead, bookingStatus) {
+    if (!lead.series_id || !['approved', 'rejected'].includes(bookingStatus)) return 0;
+
+    const [updated] = await Booking.update(
+      {
+        status: bookingStatus,
+        ...(bookingStatus === 'rejected' && { rejection_reason: lead.rejection_reason })
+      },
+      {
+        where: {
+          series_id: lead.series_id,
+          status: 'pending',
+          id: { [Op.ne]: lead.id }
+        }
+      }
+    );
+
+    return updated;
+  }
+}
+
+module.exports = ApprovalWorkflowService;
+module.exports.DEFAULT_CHAIN = DEFAULT_CHAIN;
@@ -0,0 +1,367 @@
+const ExcelJS = require('exceljs');
+const { User, Vehicle, Driver, Approval } = require('../models');
+const { BookingRepository } = require('./repositories');
+
+const BATCH_SIZE = 500;
+
+const STATUS_COLORS = {
+  pending: 'FFFFF3CD',
+  approved: 'FFD1E7DD',
+  rejected: 'FFF8D7DA',
+  in_progress: 'FFCFF4FC',
+  completed: 'FFCFE2FF',
+  cancelled: 'FFE2E3E5'
+};
+
+/**
+ * Service responsible for exporting the bookings list to Excel format
+ * Streams rows to the output so large exports don't have to fit in memory
+ */
+class BookingExportService {
+  constructor(bookingRepository = null) {
+    this.bookingRepository = bookingRepository || new BookingRepository();
+  }
+
+  /**
+   * Export bookings matching the list filters to an Excel stream
+   * @param {Object} filters - Booking list filters
+   * @param {Object} stream - Writable stream to write the workbook to
+   * @returns {Promise<void>} Resolves once the workbook has been written
+   */
+  async exportBookings(filters, stream) {
+    try {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream,
+        useStyles: true
+      });
+
+      // Added first so it's the first tab, but only written once all bookings are counted
+      const summarySheet = workbook.addWorksheet('Summary');
+      const bookingsSheet = workbook.addWorksheet('Bookings', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+      });
+
+      this.setupBookingColumns(bookingsSheet);
+      this.styleHeaderRow(bookingsSheet);
+      bookingsSheet.getRow(1).commit();
+
+      const summary = await this.writeBookingRows(bookingsSheet, filters);
+      bookingsSheet.commit();
+
+      this.writeSummarySheet(summarySheet, summary, filters);
+      summarySheet.commit();
+
+      await workbook.commit();
+    } catch (error) {
+      throw new Error(`Failed to export bookings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Walk matching bookings in batches and write one row per booking
+   * @param {Object} worksheet - ExcelJS streaming worksheet
+   * @param {Object} filters - Booking list filters
+   * @returns {Promise<Map>} Per-status summary totals
+   */
+  async writeBookingRows(worksheet, filters) {
+    const summary = new Map();
+    const lookupCache = {
+      vehicleMap: new Map(),
+      driverMap: new Map(),
+      userMap: new Map()
+    };
+    let beforeId = null;
+    let bookings;
+
+    do {
+      bookings = await this.bookingRepository.findBatch(filters, { beforeId, limit: BATCH_SIZE });
+      if (bookings.length === 0) break;
+
+      await this.extendLookupMaps(bookings, lookupCache);
+      const approvalMap = await this.fetchApprovals(bookings.map(b => b.id));
+
+      bookings.forEach(booking => {
+        const rowData = this.formatBookingRow(booking, lookupCache, approvalMap.get(booking.id) || []);
+        const row = worksheet.addRow(rowData);
+        this.styleStatusCell(row.getCell('status'), booking.status);
+        row.commit();
+
+        this.addToSummary(summary, booking);
+      });
+
+      beforeId = bookings[bookings.length - 1].id;
+    } while (bookings.length === BATCH_SIZE);
+
+    return summary;
+  }
+
+  /**
+   * Fetch any vehicles, drivers and users referenced by a batch that aren't cached yet
+   * @param {Array} bookings - Batch of bookings
+   * @param {Object} lookupCache - Object containing lookup maps, extended in place
+   */
+  async extendLookupMaps(bookings, lookupCache) {
+    const missing = (ids, map) => [...new Set(ids.filter(id => id && !map.has(id)))];
+
+    const vehicleIds = missing(bookings.map(b => b.vehicle_id), lookupCache.vehicleMap);
+    const driverIds = missing(bookings.map(b => b.driver_id), lookupCache.driverMap);
+    const userIds = missing(bookings.flatMap(b => [b.user_id, b.created_by]), lookupCache.userMap);
+
+    const [vehicles, drivers, users] = await Promise.all([
+      vehicleIds.length ? Vehicle.findAll({
+        where: { id: vehicleIds },
+        attributes: ['id', 'plate_number', 'make', 'model', 'type']
+      }) : [],
+      driverIds.length ? Driver.findAll({
+        where: { id: driverIds },
+        attributes: ['id', 'name', 'license_number']
+      }) : [],
+      userIds.length ? User.findAll({
+        where: { id: userIds },
+        attributes: ['id', 'name', 'email', 'department']
+      }) : []
+    ]);
+
+    vehicles.forEach(vehicle => lookupCache.vehicleMap.set(vehicle.id, vehicle));
+    drivers.forEach(driver => lookupCache.driverMap.set(driver.id, driver));
+    users.forEach(user => lookupCache.userMap.set(user.id, user));
+  }
+
+  /**
+   * Fetch approvals with approver names for a batch of bookings
+   * @param {Array} bookingIds - Array of booking IDs
+   * @returns {Promise<Map>} Map of booking ID to approvals ordered by level
+   */
+  async fetchApprovals(bookingIds) {
+    const approvals = await Approval.findAll({
+      where: { booking_id: bookingIds },
+      include: [
+        {
+          model: User,
+          as: 'approver',
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['level', 'ASC']]
+    });
+
+    const map = new Map();
+    approvals.forEach(approval => {
+      if (!map.has(approval.booking_id)) map.set(approval.booking_id, []);
+      map.get(approval.booking_id).push(approval);
+    });
+    return map;
+  }
+
+  /**
+   * Setup bookings worksheet columns
+   * @param {Object} worksheet - ExcelJS worksheet object
+   */
+  setupBookingColumns(worksheet) {
+    worksheet.columns = [
+      { header: 'Booking ID', key: 'id', width: 12 },
+      { header: 'Status', key: 'status', width: 14 },
+      { header: 'Employee', key: 'employee', width: 25 },
+      { header: 'Department', key: 'department', width: 18 },
+      { header: 'Vehicle', key: 'vehicle', width: 30 },
+      { header: 'Vehicle Type', key: 'vehicle_type', width: 14 },
+      { header: 'Driver', key: 'driver', width: 25 },
+      { header: 'Purpose', key: 'purpose', width: 35 },
+      { header: 'Destination', key: 'destination', width: 25 },
+      { header: 'Passengers', key: 'passengers', width: 12 },
+      { header: 'Priority', key: 'priority', width: 10 },
+      { header: 'Cost Center', key: 'cost_center', width: 14 },
+      { header: 'Start Date', key: 'start_date', width: 20 },
+      { header: 'End Date', key: 'end_date', width: 20 },
+      { header: 'Duration (h)', key: 'duration', width: 12 },
+      { header: 'Start Mileage', key: 'start_mileage', width: 14 },
+      { header: 'End Mileage', key: 'end_mileage', width: 14 },
+      { header: 'Distance (km)', key: 'distance', width: 14 },
+      { header: 'Approvals', key: 'approvals', width: 50 },
+      { header: 'Notes', key: 'notes', width: 40 },
+      { header: 'Created By', key: 'created_by', width: 25 },
+      { header: 'Created At', key: 'created_at', width: 20 }
+    ];
+  }
+
+  /**
+   * Format booking row for Excel
+   * @param {Object} booking - Raw booking object
+   * @param {Object} lookupMaps - Object containing lookup maps
+   * @param {Array} approvals - Approvals for this booking
+   * @returns {Object} Formatted row data
+   */
+  formatBookingRow(booking, lookupMaps, approvals) {
+    const vehicle = lookupMaps.vehicleMap.get(booking.vehicle_id);
+    const driver = lookupMaps.driverMap.get(booking.driver_id);
+    const employee = lookupMaps.userMap.get(booking.user_id);
+    const creator = lookupMaps.userMap.get(booking.created_by);
+    const hasDistance = booking.start_mileage != null && booking.end_mileage != null;
+
+    return {
+      id: booking.id,
+      status: this.formatStatus(booking.status),
+      employee: employee ? employee.name : `User ID: ${booking.user_id}`,
+      department: booking.department || (employee && employee.department) || 'N/A',
+      vehicle: vehicle ? `${vehicle.plate_number} (${vehicle.make} ${vehicle.model})` : `Vehicle ID: ${booking.vehicle_id}`,
+      vehicle_type: vehicle ? vehicle.type.toUpperCase() : 'N/A',
+      driver: driver ? `${driver.name} (${driver.license_number})` : 'Not assigned',
+      purpose: booking.purpose || '',
+      destination: booking.destination || '',
+      passengers: booking.passengers ?? '',
+      priority: booking.priority ? booking.priority.toUpperCase() : 'N/A',
+      cost_center: booking.cost_center || '',
+      start_date: new Date(booking.start_date).toLocaleString('en-GB'),
+      end_date: new Date(booking.end_date).toLocaleString('en-GB'),
+      duration: this.calculateHours(booking.start_date, booking.end_date),
+      start_mileage: booking.start_mileage ?? 'N/A',
+      end_mileage: booking.end_mileage ?? 'N/A',
+      distance: hasDistance ? booking.end_mileage - booking.start_mileage : 'N/A',
+      approvals: this.formatApprovals(approvals),
+      notes: booking.notes || '',
+      created_by: creator ? creator.name : 'N/A',
+      created_at: new Date(booking.created_at).toLocaleString('en-GB')
+    };
+  }
+
+  /**
+   * Format approvals as a single readable cell
+   * @param {Array} approvals - Approvals ordered by level
+   * @returns {string} Approval summary, e.g. "L1: John (APPROVED); L2: Sarah (PENDING)"
+   */
+  formatApprovals(approvals) {
+    if (approvals.length === 0) return 'None';
+
+    return approvals
+      .map(approval => {
+        const approver = approval.approver ? approval.approver.name : 'Unassigned';
+        return `L${approval.level}: ${approver} (${this.formatStatus(approval.status)})`;
+      })
+      .join('; ');
+  }
+
+  /**
+   * Add a booking to the per-status summary
+   * @param {Map} summary - Per-status summary totals
+   * @param {Object} booking - Raw booking object
+   */
+  addToSummary(summary, booking) {
+    if (!summary.has(booking.status)) {
+      summary.set(booking.status, { count: 0, hours: 0, distance: 0 });
+    }
+
+    const totals = summary.get(booking.status);
+    totals.count += 1;
+    totals.hours += this.calculateHours(booking.start_date, booking.end_date);
+    if (booking.start_mileage != null && booking.end_mileage != null) {
+      totals.distance += booking.end_mileage - booking.start_mileage;
+    }
+  }
+
+  /**
+   * Write the per-status summary sheet
+   * @param {Object} worksheet - ExcelJS streaming worksheet
+   * @param {Map} summary - Per-status summary totals
+   * @param {Object} filters - Filters the export was run with
+   */
+  writeSummarySheet(worksheet, summary, filters) {
+    worksheet.columns = [
+      { header: 'Status', key: 'status', width: 16 },
+      { header: 'Bookings', key: 'count', width: 12 },
+      { header: 'Share (%)', key: 'share', width: 12 },
+      { header: 'Booked Hours', key: 'hours', width: 14 },
+      { header: 'Distance (km)', key: 'distance', width: 14 }
+    ];
+    this.styleHeaderRow(worksheet);
+
+    const total = Array.from(summary.values()).reduce((sum, totals) => sum + totals.count, 0);
+
+    Object.keys(STATUS_COLORS).forEach(status => {
+      const totals = summary.get(status) || { count: 0, hours: 0, distance: 0 };
+      const row = worksheet.addRow({
+        status: this.formatStatus(status),
+        count: totals.count,
+        share: total > 0 ? Number(((totals.count / total) * 100).toFixed(1)) : 0,
+        hours: Number(totals.hours.toFixed(1)),
+        distance: totals.distance
+      });
+      this.styleStatusCell(row.getCell('status'), status);
+    });
+
+    const totalRow = worksheet.addRow({
+      status: 'TOTAL',
+      count: total,
+      share: total > 0 ? 100 : 0,
+      hours: Number(Array.from(summary.values()).reduce((sum, totals) => sum + totals.hours, 0).toFixed(1)),
+      distance: Array.from(summary.values()).reduce((sum, totals) => sum + totals.distance, 0)
+    });
+    totalRow.font = { bold: true };
+
+    worksheet.addRow([]);
+    worksheet.addRow(['Generated', new Date().toLocaleString('en-GB')]);
+    worksheet.addRow(['Filters', this.describeFilters(filters)]);
+  }
+
+  /**
+   * Describe the filters used for an export
+   * @param {Object} filters - Booking list filters
+   * @returns {string} Human-readable filter description
+   */
+  describeFilters(filters) {
+    const parts = ['status', 'priority', 'cost_center', 'site_id', 'vehicle_id', 'user_id', 'start_date', 'end_date']
+      .filter(key => filters[key])
+      .map(key => `${key.replace(/_/g, ' ')}: ${filters[key]}`);
+
+    return parts.length > 0 ? parts.join(', ') : 'None';
+  }
+
+  /**
+   * Calculate the number of hours between two dates
+   * @param {string|Date} startDate - Start date
+   * @param {string|Date} endDate - End date
+   * @returns {number} Hours, rounded to one decimal
+   */
+  calculateHours(startDate, endDate) {
+    const hours = (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60);
+    return Math.round(hours * 10) / 10;
+  }
+
+  /**
+   * Format a status value for display
+   * @param {string} status - Status value
+   * @returns {string} Formatted status
+   */
+  formatStatus(status) {
+    return status.replace('_', ' ').toUpperCase();
+  }
+
+  /**
+   * Colour a status cell
+   * @param {Object} cell - ExcelJS cell
+   * @param {string} status - Booking status
+   */
+  styleStatusCell(cell, status) {
+    if (!STATUS_COLORS[status]) return;
+
+    cell.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: STATUS_COLORS[status] }
+    };
+  }
+
+  /**
+   * Style the header row
+   * @param {Object} worksheet - ExcelJS worksheet object
+   */
+  styleHeaderRow(worksheet) {
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+  }
+}
+
+module.exports = BookingExportService;
@@ -0,0 +1,621 @@
+const { Op } = require('sequelize');
+const { sequelize, Booking, BookingSeries, Approval } = require('../models');
+const { logActivity } = require('../middleware/audit');
+const { createServiceError } = require('../utils/errors');
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Which occurrences an edit or cancellation applies to
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// Upper bound on generated occurrences (a weekday series for about nine months)
+const MAX_OCCURRENCES = 200;
+
+// Occurrences that can still be edited or cancelled
+const OPEN_STATUSES = ['pending', 'approved'];
+
+// Fields compared for the audit trail when occurrences are edited together
+const AUDITED_FIELDS = ['user_id', 'vehicle_id', 'driver_id', 'start_date', 'end_date', 'purpose', 'destination', 'passengers', 'priority', 'cost_center', 'notes'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Zone recurrence rules are read in when the client doesn't send one
+const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * Service layer for recurring bookings
+ * A series is a set of ordinary bookings sharing a series_id. Approvals are created once,
+ * on the earliest open occurrence (the series lead), and each decision applies to the whole series.
+ */
+class BookingSeriesService {
+  /**
+   * @param {Object} bookingService - BookingService used for validation, notifications and live updates
+   */
+  constructor(bookingService) {
+    this.bookingService = bookingService;
+  }
+
+  /**
+   * Expand a recurrence rule into occurrence windows
+   * Weekdays, month days and the end date are read in the rule's time zone, and occurrences keep the
+   * first booking's wall-clock time there and its duration
+   * @param {Object} first - First occurrence
+   * @param {string|Date} first.start_date - Start date
+   * @param {string|Date} first.end_date - End date
+   * @param {Object} recurrence - Recurrence rule
+   * @param {string} recurrence.frequency - daily, weekly or monthly
+   * @param {number} [recurrence.interval] - Every N days, weeks or months
+   * @param {Array<number>} [recurrence.weekdays] - Days of the week for weekly series (0 = Sunday)
+   * @param {string|Date} [recurrence.until] - Last day an occurrence may start on
+   * @param {number} [recurrence.count] - Number of occurrences
+   * @param {string} [recurrence.time_zone] - IANA time zone, e.g. Australia/Perth (default UTC)
+   * @returns {Array<Object>} Occurrences with start_date and end_date
+   * @throws {Error} With status 400 if the rule is invalid or produces too many occurrences
+   */
+  generateOccurrences({ start_date, end_date }, recurrence) {
+    const { frequency, interval = 1, weekdays, until, count, time_zone: timeZone = DEFAULT_TIME_ZONE } = recurrence;
+
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+      throw createServiceError('Recurrence frequency must be daily, weekly or monthly', 400);
+    }
+
+    if (!until && !count) {
+      throw createServiceError('Recurrence needs an end date or a number of occurrences', 400);
+    }
+
+    if (count > MAX_OCCURRENCES) {
+      throw createServiceError(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`, 400);
+    }
+
+    if (!this.isValidTimeZone(timeZone)) {
+      throw createServiceError(`Unknown time zone: ${timeZone}`, 400);
+    }
+
+    // Calendar arithmetic runs on wall-clock times held as UTC, so the server's own zone never applies
+    const start = this.toWallClock(new Date(start_date), timeZone);
+    const duration = new Date(end_date) - new Date(start_date);
+    const step = parseInt(interval) || 1;
+
+    let untilDate = null;
+    if (until) {
+      // A plain date is a calendar day in the rule's zone; a timestamp falls on whichever day it is there
+      untilDate = /^\d{4}-\d{2}-\d{2}$/.test(until)
+        ? new Date(`${until}T00:00:00Z`)
+        : this.toWallClock(new Date(until), timeZone);
+      untilDate.setUTCHours(23, 59, 59, 999);
+      if (untilDate < start) {
+        throw createServiceError('Recurrence end date must be on or after the first booking', 400);
+      }
+    }
+
+    const limit = count ? parseInt(count) : MAX_OCCURRENCES + 1;
+    const starts = [];
+    const push = (candidate) => {
+      if (candidate < start || (untilDate && candidate > untilDate)) return;
+      starts.push(candidate);
+    };
+    const finished = (candidate) => starts.length >= limit || (untilDate && candidate > untilDate);
+
+    if (frequency === 'daily') {
+      for (let n = 0; ; n++) {
+        const candidate = this.addDays(start, n * step);
+        if (finished(candidate)) break;
+        push(candidate);
+      }
+    } else if (frequency === 'weekly') {
+      const days = [...new Set((weekdays && weekdays.length ? weekdays : [start.getUTCDay()]).map(Number))].sort((a, b) => a - b);
+      const weekStart = this.addDays(start, -start.getUTCDay());
+
+      for (let week = 0; !finished(this.addDays(weekStart, week * step * 7)); week++) {
+        for (const day of days) {
+          const candidate = this.addDays(weekStart, week * step * 7 + day);
+          if (finished(candidate)) break;
+          push(candidate);
+        }
+      }
+    } else {
+      // Months without the start's day of the month (e.g. the 31st) are skipped
+      for (let n = 0; ; n++) {
+        const candidate = new Date(start);
+        candidate.setUTCDate(1);
+        candidate.setUTCMonth(start.getUTCMonth() + n * step);
+        if (finished(candidate)) break;
+
+        const daysInMonth = new Date(Date.UTC(candidate.getUTCFullYear(), candidate.getUTCMonth() + 1, 0)).getUTCDate();
+        if (start.getUTCDate() > daysInMonth) continue;
+
+        candidate.setUTCDate(start.getUTCDate());
+        push(candidate);
+      }
+    }
+
+    if (starts.length > MAX_OCCURRENCES) {
+      throw createServiceError(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`, 400);
+    }
+
+    if (starts.length < 2) {
+      throw createServiceError('Recurrence must produce at least two occurrences', 400);
+    }
+
+    const occurrences = starts.map(wallClock => {
+      const occurrenceStart = this.fromWallClock(wallClock, timeZone);
+      return {
+        start_date: occurrenceStart,
+        end_date: new Date(occurrenceStart.getTime() + duration)
+      };
+    });
+
+    for (let index = 1; index < occurrences.length; index++) {
+      if (occurrences[index - 1].end_date > occurrences[index].start_date) {
+        throw createServiceError('Each occurrence must end before the next one starts', 400);
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Add calendar days to a wall-clock time
+   * @param {Date} date - Wall-clock time held as UTC
+   * @param {number} days - Days to add
+   * @returns {Date} New wall-clock time
+   */
+  addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+  }
+
+  /**
+   * Check a time zone name is one the runtime knows
+   * @param {string} timeZone - IANA time zone
+   * @returns {boolean} True if valid
+   */
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a time zone's offset from UTC at an instant
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {number} Offset in milliseconds, positive east of UTC
+   */
+  getTimeZoneOffset(date, timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getUTCMilliseconds());
+  }
+
+  /**
+   * Express an instant as the wall-clock time in a zone, held as UTC
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} Wall-clock time
+   */
+  toWallClock(date, timeZone) {
+    return new Date(date.getTime() + this.getTimeZoneOffset(date, timeZone));
+  }
+
+  /**
+   * Find the instant a wall-clock time in a zone happens at
+   * The offset is looked up again at the first guess so daylight saving changes between them are honoured
+   * @param {Date} wallClock - Wall-clock time held as UTC
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} Instant
+   */
+  fromWallClock(wallClock, timeZone) {
+    const guess = new Date(wallClock.getTime() - this.getTimeZoneOffset(wallClock, timeZone));
+    return new Date(wallClock.getTime() - this.getTimeZoneOffset(guess, timeZone));
+  }
+
+  /**
+   * Check every occurrence against existing bookings and maintenance windows
+   * @param {Object} schedule - Vehicle and driver shared by the occurrences
+   * @param {Array<Object>} occurrences - Occurrence windows, with series_index when they already exist
+   * @param {Array<number>} [excludeBookingIds] - Bookings being moved
+   * @throws {Error} With status 409 listing each clash and the occurrence it belongs to
+   */
+  async validateOccurrenceConflicts(schedule, occurrences, excludeBookingIds = []) {
+    const conflicts = [];
+    const clashing = new Set();
+
+    for (let index = 0; index < occurrences.length; index++) {
+      const occurrence = occurrences[index];
+      const found = await this.bookingService.findScheduleConflicts(
+        { ...schedule, start_date: occurrence.start_date, end_date: occurrence.end_date },
+        excludeBookingIds
+      );
+
+      found.forEach(conflict => {
+        clashing.add(index);
+        conflicts.push({
+          ...conflict,
+          occurrence: occurrence.series_index || index + 1,
+          occurrence_start_date: occurrence.start_date
+        });
+      });
+    }
+
+    if (conflicts.length === 0) return;
+
+    throw createServiceError(
+      `${clashing.size} of ${occurrences.length} occurrences clash with existing bookings, maintenance or driver leave`,
+      409,
+      { conflicts }
+    );
+  }
+
+  /**
+   * Create a booking series
+   * The caller has already validated the vehicle, employee, driver, first window and approvers; the driver's
+   * licence and the vehicle's documents are checked here against the last occurrence
+   * @param {Object} bookingData - Booking data for the first occurrence, with user_id and created_by
+   * @param {Object} recurrence - Recurrence rule, see generateOccurrences
+   * @param {Array<string>} chain - Approval chain
+   * @param {Array<number>} approverIds - Named approver per level
+   * @param {Object} user - Current user
+   * @param {Object} [siteApproval] - Extra cross-site approval level
+   * @returns {Promise<Object>} { booking, series, occurrences, approvals } where booking is the series lead
+   */
+  async createSeries(bookingData, recurrence, chain, approverIds, user, siteApproval = null) {
+    const occurrences = this.generateOccurrences(bookingData, recurrence);
+
+    if (bookingData.driver_id) {
+      await this.bookingService.validateDriver(bookingData.driver_id, occurrences[occurrences.length - 1].end_date);
+    }
+
+    const vehicle = await this.bookingService.vehicleRepository.findById(bookingData.vehicle_id);
+    await this.bookingService.vehicleDocumentService.validateDocuments(vehicle, occurrences[occurrences.length - 1].end_date);
+
+    await this.validateOccurrenceConflicts(
+      { vehicle_id: bookingData.vehicle_id, driver_id: bookingData.driver_id },
+      occurrences
+    );
+
+    // The series, its occurrences and their approvals are saved together or not at all
+    const { series, bookings, approvals } = await sequelize.transaction(async (transaction) => {
+      const series = await BookingSeries.create({
+        user_id: bookingData.user_id,
+        created_by: user.id,
+        frequency: recurrence.frequency,
+        interval: recurrence.interval || 1,
+        weekdays: recurrence.frequency === 'weekly' ? (recurrence.weekdays || []) : null,
+        until_date: recurrence.until || null,
+        occurrence_count: occurrences.length
+      }, { transaction });
+
+      const bookings = [];
+      for (let index = 0; index < occurrences.length; index++) {
+        bookings.push(await this.bookingService.bookingRepository.create({
+          ...bookingData,
+          ...occurrences[index],
+          series_id: series.id,
+          series_index: index + 1
+        }, { transaction }));
+      }
+
+      const approvals = await this.bookingService.approvalWorkflowService.createApprovalRecords(
+        bookings[0].id, chain, approverIds, siteApproval, { transaction }
+      );
+
+      return { series, bookings, approvals };
+    });
+
+    const lead = bookings[0];
+
+    await logActivity(
+      user.id,
+      'CREATE',
+      'booking',
+      lead.id,
+      null,
+      { series_id: series.id, frequency: series.frequency, occurrences: bookings.length },
+      `Recurring series #${series.id} created with ${bookings.length} occurrences (${bookings.map(b => `#${b.id}`).join(', ')})`
+    );
+
+    return { booking: lead, series, occurrences: bookings, approvals };
+  }
+
+  /**
+   * Get a series with its occurrences for display
+   * @param {string|number} seriesId - Series ID
+   * @returns {Promise<Object|null>} Series data with occurrences and approval_booking_id
+   */
+  async getSeriesSummary(seriesId) {
+    const series = await BookingSeries.findByPk(seriesId, {
+      include: [
+        {
+          model: Booking,
+          as: 'occurrences',
+          attributes: ['id', 'series_index', 'start_date', 'end_date', 'status']
+        }
+      ],
+      order: [[{ model: Booking, as: 'occurrences' }, 'series_index', 'ASC']]
+    });
+
+    if (!series) return null;
+
+    const leadApproval = await Approval.findOne({
+      where: { booking_id: series.occurrences.map(occurrence => occurrence.id) },
+      attributes: ['booking_id']
+    });
+
+    return {
+      ...series.toJSON(),
+      approval_booking_id: leadApproval ? leadApproval.booking_id : null
+    };
+  }
+
+  /**
+   * Get the IDs of every booking in the same series (or just the booking itself)
+   * @param {Object} booking - Booking record
+   * @returns {Promise<Array<number>>} Booking IDs
+   */
+  async getSeriesBookingIds(booking) {
+    if (!booking.series_id) return [booking.id];
+
+    const bookings = await Booking.findAll({
+      where: { series_id: booking.series_id },
+      attributes: ['id']
+    });
+
+    return bookings.map(b => b.id);
+  }
+
+  /**
+   * Find the open occurrences an edit or cancellation applies to
+   * @param {Object} booking - Occurrence the user acted on
+   * @param {string} scope - this, following or all
+   * @returns {Promise<Array>} Occurrences ordered by position
+   */
+  async findScopeTargets(booking, scope) {
+    if (!booking.series_id || scope === 'this') return [booking];
+
+    const where = {
+      series_id: booking.series_id,
+      status: { [Op.in]: OPEN_STATUSES }
+    };
+
+    if (scope === 'following') {
+      where.series_index = { [Op.gte]: booking.series_index };
+    }
+
+    return await Booking.findAll({ where, order: [['series_index', 'ASC']] });
+  }
+
+  /**
+   * Apply an edit to several occurrences of a series
+   * Date changes are applied as a shift, so every occurrence moves by the same amount
+   * @param {Object} booking - Occurrence the user edited
+   * @param {Object} updateData - Update data
+   * @param {string} scope - following or all
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated occurrence the user edited
+   */
+  async updateOccurrences(booking, updateData, scope, user) {
+    const targets = await this.findScopeTargets(booking, scope);
+    targets.forEach(target => this.bookingService.validateBookingUpdateAccess(target, user));
+
+    const startShift = updateData.start_date ? new Date(updateData.start_date) - new Date(booking.start_date) : 0;
+    const endShift = updateData.end_date ? new Date(updateData.end_date) - new Date(booking.end_date) : 0;
+
+    const changes = targets.map(target => ({
+      target,
+      data: {
+        ...updateData,
+        start_date: new Date(new Date(target.start_date).getTime() + startShift),
+        end_date: new Date(new Date(target.end_date).getTime() + endShift)
+      }
+    }));
+
+    if (changes.some(({ data }) => data.end_date <= data.start_date)) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+
+    if (Math.abs(startShift) >= DAY_MS || Math.abs(endShift) >= DAY_MS) {
+      // Larger shifts could make occurrences overlap each other
+      for (let index = 1; index < changes.length; index++) {
+        if (changes[index - 1].data.end_date > changes[index].data.start_date) {
+          throw createServiceError('Each occurrence must end before the next one starts', 400);
+        }
+      }
+    }
+
+    // The driver's licence has to cover the last occurrence they will drive
+    const driverId = updateData.driver_id || booking.driver_id;
+    if (driverId && (updateData.driver_id || endShift > 0)) {
+      await this.bookingService.validateDriver(driverId, changes[changes.length - 1].data.end_date);
+    }
+
+    // So do the vehicle's required documents
+    const vehicleChanged = updateData.vehicle_id && updateData.vehicle_id !== booking.vehicle_id;
+    if (vehicleChanged || endShift > 0) {
+      const vehicle = await this.bookingService.vehicleRepository.findById(updateData.vehicle_id || booking.vehicle_id);
+      await this.bookingService.vehicleDocumentService.validateDocuments(vehicle, changes[changes.length - 1].data.end_date);
+    }
+
+    // Hours of service are checked across all the moved occurrences together
+    let complianceWarnings = [];
+    if (driverId && (updateData.driver_id || startShift !== 0 || endShift !== 0)) {
+      complianceWarnings = await this.bookingService.driverComplianceService.validateAssignment(
+        driverId,
+        changes.map(({ data }) => data),
+        targets.map(target => target.id)
+      );
+    }
+
+    await this.validateOccurrenceConflicts(
+      {
+        vehicle_id: updateData.vehicle_id || booking.vehicle_id,
+        driver_id: driverId
+      },
+      changes.map(({ target, data }) => ({ ...data, series_index: target.series_index })),
+      targets.map(target => target.id)
+    );
+
+    const scopeNote = scope === 'all' ? 'entire series' : 'this and following occurrences';
+    const vehicleIds = new Set();
+
+    for (const { target, data } of changes) {
+      const oldValues = {};
+      const newValues = {};
+      AUDITED_FIELDS.forEach(key => {
+        if (data[key] === undefined) return;
+        const before = target[key] instanceof Date ? target[key].getTime() : target[key];
+        const after = data[key] instanceof Date ? data[key].getTime() : data[key];
+        if (before !== after) {
+          oldValues[key] = target[key];
+          newValues[key] = data[key];
+        }
+      });
+
+      vehicleIds.add(target.vehicle_id);
+      await this.bookingService.bookingRepository.update(target.id, data);
+
+      if (Object.keys(newValues).length > 0) {
+        await logActivity(user.id, 'UPDATE', 'booking', target.id, oldValues, newValues, `Booking updated (${scopeNote})`);
+      }
+    }
+
+    if (updateData.vehicle_id) vehicleIds.add(updateData.vehicle_id);
+    for (const vehicleId of vehicleIds) {
+      await this.bookingService.vehicleRepository.syncStatus(vehicleId);
+    }
+
+    for (const { target } of changes) {
+      await this.bookingService.publishBookingChange(target.id);
+    }
+
+    const updated = await this.bookingService.bookingRepository.findByIdWithRelations(booking.id);
+    if (complianceWarnings.length > 0) {
+      updated.setDataValue('compliance_warnings', complianceWarnings);
+    }
+    return updated;
+  }
+
+  /**
+   * Cancel several occurrences of a series
+   * @param {Object} booking - Occurrence the user cancelled
+   * @param {string} reason - Cancellation reason
+   * @param {string} scope - following or all
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Cancelled occurrence the user acted on
+   */
+  async cancelOccurrences(booking, reason, scope, user) {
+    const targets = await this.findScopeTargets(booking, scope);
+    targets.forEach(target => this.bookingService.validateCancellationAccess(target, user));
+
+    const targetIds = targets.map(target => target.id);
+    const pendingApprovals = await Approval.findAll({
+      where: { booking_id: targetIds, status: 'pending' }
+    });
+
+    await Booking.update(
+      {
+        status: 'cancelled',
+        cancellation_reason: reason,
+        cancelled_at: new Date(),
+        cancelled_by: user.id
+      },
+      { where: { id: targetIds } }
+    );
+
+    const newLead = await this.handOffApprovals(booking.series_id, targetIds);
+    if (!newLead) {
+      await Approval.update(
+        { status: 'cancelled', comments: 'Booking cancelled' },
+        { where: { booking_id: targetIds, status: 'pending' } }
+      );
+    }
+
+    const scopeNote = scope === 'all' ? 'entire series' : 'this and following occurrences';
+    for (const target of targets) {
+      await logActivity(
+        user.id,
+        'CANCEL',
+        'booking',
+        target.id,
+        { status: target.status },
+        { status: 'cancelled', cancellation_reason: reason },
+        `Booking cancelled (${scopeNote})`
+      );
+    }
+
+    for (const vehicleId of new Set(targets.map(target => target.vehicle_id))) {
+      await this.bookingService.vehicleRepository.syncStatus(vehicleId);
+    }
+
+    // One notification for the series rather than one per occurrence
+    await this.bookingService.notificationService.bookingCancelled(
+      booking,
+      newLead ? [] : pendingApprovals,
+      `${targets.length} occurrence${targets.length === 1 ? '' : 's'} of the recurring series${reason ? ` - ${reason}` : ''}`,
+      user
+    );
+
+    for (const target of targets) {
+      await this.bookingService.publishBookingChange(target.id);
+    }
+
+    return await this.bookingService.bookingRepository.findByIdWithRelations(booking.id);
+  }
+
+  /**
+   * Move a series' approvals off cancelled occurrences onto the earliest open one
+   * @param {string|number} seriesId - Series ID
+   * @param {Array<number>} cancelledIds - Occurrences just cancelled
+   * @returns {Promise<Object|null>} New series lead, or null if the approvals stayed put
+   */
+  async handOffApprovals(seriesId, cancelledIds) {
+    if (!seriesId) return null;
+
+    const approvalCount = await Approval.count({ where: { booking_id: cancelledIds } });
+    if (approvalCount === 0) return null;
+
+    const lead = await Booking.findOne({
+      where: {
+        series_id: seriesId,
+        status: { [Op.in]: OPEN_STATUSES }
+      },
+      order: [['series_index', 'ASC']]
+    });
+    if (!lead) return null;
+
+    await Approval.update({ booking_id: lead.id }, { where: { booking_id: cancelledIds } });
+
+    await logActivity(
+      null,
+      'UPDATE',
+      'booking',
+      lead.id,
+      null,
+      { series_lead: true },
+      `Series approvals moved here from cancelled occurrence ${cancelledIds.map(id => `#${id}`).join(', ')}`
+    );
+
+    return lead;
+  }
+}
+
+module.exports = BookingSeriesService;
+module.exports.RECURRENCE_FREQUENCIES = RECURRENCE_FREQUENCIES;
+module.exports.SERIES_SCOPES = SERIES_SCOPES;
+module.exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
@@ -1,6 +1,24 @@
 const { Op } = require('sequelize');
-const { BookingRepository, VehicleRepository, UserRepository } = require('./repositories');
+const { BookingRepository, VehicleRepository, DriverRepository, UserRepository, MaintenanceRepository, DriverLeaveRepository } = require('./repositories');
 const BookingActivityExportService = require('./BookingActivityExportService');
+const BookingExportService = require('./BookingExportService');
+const ApprovalWorkflowService = require('./ApprovalWorkflowService');
+const NotificationService = require('./NotificationService');
+const BookingSeriesService = require('./BookingSeriesService');
+const DriverService = require('./DriverService');
+const DriverComplianceService = require('./DriverComplianceService');
+const VehicleDocumentService = require('./VehicleDocumentService');
+const InspectionService = require('./InspectionService');
+const SiteService = require('./SiteService');
+const { createServiceError } = require('../utils/errors');
+const { realtime } = require('./RealtimeService');
+
+// Longest window the fleet calendar can request at once (a month view plus padding)
+const MAX_SCHEDULE_RANGE_DAYS = 93;
+
+const BOOKING_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const MAX_PASSENGERS = 100;
 
 /**
  * Service layer for booking business logic
@@ -10,77 +28,126 @@ class BookingService {
   constructor() {
     this.bookingRepository = new BookingRepository();
     this.vehicleRepository = new VehicleRepository();
+    this.driverRepository = new DriverRepository();
     this.userRepository = new UserRepository();
+    this.maintenanceRepository = new MaintenanceRepository();
+    this.driverLeaveRepository = new DriverLeaveRepository();
     this.exportService = new BookingActivityExportService();
+    this.bookingExportService = new BookingExportService(this.bookingRepository);
+    this.notificationService = new NotificationService();
+    this.approvalWorkflowService = new ApprovalWorkflowService(null, this.notificationService);
+    this.driverService = new DriverService(this.notificationService);
+    this.driverComplianceService = new DriverComplianceService();
+    this.vehicleDocumentService = new VehicleDocumentService(this.notificationService);
+    this.inspectionService = new InspectionService(this.notificationService);
+    this.siteService = new SiteService();
+    this.seriesService = new BookingSeriesService(this);
   }
 
   /**
-   * Create a new booking
-   * @param {Object} bookingData - Booking data
+   * Create a new booking, or a recurring series of bookings
+   * @param {Object} bookingData - Booking data (the first occurrence for a series)
    * @param {Object} user - Current user
-   * @returns {Promise<Object>} Created booking
+   * @param {Object} [recurrence] - Recurrence rule, see BookingSeriesService.generateOccurrences
+   * @returns {Promise<Object>} Created booking (the series lead for a series)
    */
-  async createBooking(bookingData, user) {
+  async createBooking(bookingData, user, recurrence = null) {
     // Validate user permissions
-    this.validateAdminAccess(user);
+    this.validateCreateAccess(user);
 
-    // Validate vehicle availability
-    await this.validateVehicleAvailability(bookingData.vehicle_id);
+    // Employees request for themselves; approvers and the driver are settled by the workflow
+    if (user.role !== 'admin') {
+      bookingData = this.applySelfServiceDefaults(bookingData, user);
+    }
 
-    // Validate approvers exist
-    await this.validateApprovers(bookingData.approver_l1_id, bookingData.approver_l2_id);
+    // Validate vehicle can be scheduled
+    const vehicle = await this.validateVehicleAvailability(bookingData.vehicle_id);
 
     // Validate employee exists
-    await this.validateEmployee(bookingData.employee_id);
+    const employee = await this.validateEmployee(bookingData.employee_id);
+
+    // Bookings belong to the employee's site unless an admin books on behalf of another one
+    const siteId = bookingData.site_id
+      ? (await this.siteService.validateSite(bookingData.site_id)).id
+      : employee.site_id;
 
-    // Validate driver exists
-    await this.validateDriver(bookingData.driver_id);
+    // Validate driver exists, is qualified for the vehicle and licensed for the booking
+    // (assigned by an admin after approval for self-service requests); a series checks the licence against its last occurrence
+    if (user.role === 'admin') {
+      await this.validateDriver(bookingData.driver_id, recurrence ? null : bookingData.end_date, vehicle);
+    }
 
     // Validate date range
     this.validateDateRange(bookingData.start_date, bookingData.end_date);
 
+    this.validatePassengerCapacity(vehicle, bookingData.passengers);
+
+    // Validate the vehicle's required documents cover the booking (a series checks its last occurrence)
+    if (!recurrence) {
+      await this.vehicleDocumentService.validateDocuments(vehicle, bookingData.end_date);
+    }
+
+    // Validate vehicle and driver are free for the requested window (a series checks every occurrence)
+    if (!recurrence) {
+      await this.validateScheduleConflicts(bookingData);
+    }
+
+    // Resolve the approval chain from the employee's department, vehicle type and duration
+    const { chain } = await this.approvalWorkflowService.resolveChain({
+      department: employee.department,
+      vehicle_type: vehicle.type,
+      start_date: bookingData.start_date,
+      end_date: bookingData.end_date
+    });
+
+    // Validate any named approvers match the chain
+    const approverIds = [bookingData.approver_l1_id, bookingData.approver_l2_id, bookingData.approver_l3_id];
+    await this.validateApprovers(chain, approverIds);
+
+    // Borrowing a vehicle based at another site needs that site's sign-off as well
+    const siteApproval = await this.siteService.resolveCrossSiteApproval(siteId, vehicle, approverIds.slice(0, chain.length));
+
+    // Check the driver's hours of service across every occurrence; warnings go back with the booking
+    let complianceWarnings = [];
+    if (bookingData.driver_id) {
+      const windows = recurrence ? this.seriesService.generateOccurrences(bookingData, recurrence) : [bookingData];
+      complianceWarnings = await this.driverComplianceService.validateAssignment(bookingData.driver_id, windows);
+    }
+
     // Create booking with user_id
     const bookingDataWithUser = {
       ...bookingData,
       user_id: bookingData.employee_id, // Use employee_id as user_id
+      department: employee.department,
+      site_id: siteId || null,
       created_by: user.id // Track who created the booking
     };
     
-    const booking = await this.bookingRepository.create(bookingDataWithUser);
+    let booking;
+    let approvals;
 
-    // Create approval records
-    await this.createApprovalRecords(booking.id, bookingData.approver_l1_id, bookingData.approver_l2_id);
+    if (recurrence) {
+      // One set of approvals covers the whole series
+      ({ booking, approvals } = await this.seriesService.createSeries(bookingDataWithUser, recurrence, chain, approverIds, user, siteApproval));
+    } else {
+      booking = await this.bookingRepository.create(bookingDataWithUser);
 
-    // Update vehicle status
-    await this.vehicleRepository.updateStatus(bookingData.vehicle_id, 'in_use');
+      // Create approval records
+      approvals = await this.approvalWorkflowService.createApprovalRecords(booking.id, chain, approverIds, siteApproval);
+    }
 
-    return booking;
-  }
+    // Refresh derived vehicle status
+    await this.vehicleRepository.syncStatus(bookingData.vehicle_id);
 
-  /**
-   * Create approval records for a booking
-   * @param {string|number} bookingId - Booking ID
-   * @param {string|number} approverL1Id - First approver ID
-   * @param {string|number} approverL2Id - Second approver ID
-   */
-  async createApprovalRecords(bookingId, approverL1Id, approverL2Id) {
-    const { Approval } = require('../models');
-    
-    // Create Level 1 approval
-    await Approval.create({
-      booking_id: bookingId,
-      approver_id: approverL1Id,
-      level: 1,
-      status: 'pending'
-    });
+    await this.notificationService.bookingCreated(booking, approvals[0], user);
 
-    // Create Level 2 approval
-    await Approval.create({
-      booking_id: bookingId,
-      approver_id: approverL2Id,
-      level: 2,
-      status: 'pending'
-    });
+    await this.publishBookingChange(booking.id, 'booking_created');
+
+    if (complianceWarnings.length > 0) {
+      booking.setDataValue('compliance_warnings', complianceWarnings);
+    }
+
+    return booking;
   }
 
   /**
@@ -99,6 +166,10 @@ class BookingService {
     // Check if user has access to this booking
     await this.validateBookingAccess(booking, user);
 
+    if (booking.series_id) {
+      booking.setDataValue('series', await this.seriesService.getSeriesSummary(booking.series_id));
+    }
+
     return booking;
   }
 
@@ -115,14 +186,79 @@ class BookingService {
     return await this.bookingRepository.findAll(filteredOptions);
   }
 
+  /**
+   * Get the fleet schedule: vehicles and the bookings overlapping a window
+   * Other people's bookings are shown to non-admins as busy slots without details
+   * @param {Object} filters - Range options
+   * @param {string} filters.start_date - Window start
+   * @param {string} filters.end_date - Window end
+   * @param {string} [filters.vehicle_type] - Vehicle type
+   * @param {string} [filters.location] - Vehicle location
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { vehicles, bookings }
+   */
+  async getFleetSchedule(filters, user) {
+    const startDate = new Date(filters.start_date);
+    const endDate = new Date(filters.end_date);
+
+    if (endDate <= startDate) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+
+    if (endDate - startDate > MAX_SCHEDULE_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw createServiceError(`Range cannot be longer than ${MAX_SCHEDULE_RANGE_DAYS} days`, 400);
+    }
+
+    const vehicles = await this.vehicleRepository.findForSchedule({
+      type: filters.vehicle_type,
+      location: filters.location
+    });
+
+    if (vehicles.length === 0) {
+      return { vehicles, bookings: [], maintenance: [] };
+    }
+
+    const range = {
+      start_date: startDate,
+      end_date: endDate,
+      vehicle_ids: vehicles.map(vehicle => vehicle.id)
+    };
+    const [bookings, maintenance] = await Promise.all([
+      this.bookingRepository.findInRange(range),
+      this.maintenanceRepository.findInRange(range)
+    ]);
+
+    return {
+      vehicles,
+      bookings: bookings.map(booking => this.redactScheduleBooking(booking, user)),
+      maintenance
+    };
+  }
+
+  /**
+   * Strip a schedule entry down to a busy slot unless the user asked for it
+   * @param {Object} booking - Booking record
+   * @param {Object} user - Current user
+   * @returns {Object} Booking data for the calendar
+   */
+  redactScheduleBooking(booking, user) {
+    if (user.role === 'admin' || booking.user_id === user.id || booking.created_by === user.id) {
+      return booking.toJSON();
+    }
+
+    const { id, vehicle_id, start_date, end_date, status } = booking;
+    return { id, vehicle_id, start_date, end_date, status, restricted: true };
+  }
+
   /**
    * Update booking
    * @param {string|number} id - Booking ID
    * @param {Object} updateData - Update data
    * @param {Object} user - Current user
+   * @param {string} [scope] - For a series occurrence: this, following or all
    * @returns {Promise<Object>} Updated booking
    */
-  async updateBooking(id, updateData, user) {
+  async updateBooking(id, updateData, user, scope = 'this') {
     const booking = await this.bookingRepository.findById(id);
     
     if (!booking) {
@@ -132,9 +268,80 @@ class BookingService {
     // Validate user permissions
     this.validateBookingUpdateAccess(booking, user);
 
-    // Validate vehicle availability if changing vehicle
+    // Only admins reassign the employee, the driver or the site
+    if (user.role !== 'admin') {
+      const { driver_id, employee_id, user_id, site_id, ...ownFields } = updateData;
+      updateData = ownFields;
+    }
+
+    // An empty driver clears the assignment
+    if (updateData.driver_id === '') {
+      updateData.driver_id = null;
+    }
+
+    if (updateData.site_id) {
+      await this.siteService.validateSite(updateData.site_id);
+    }
+
+    // Validate vehicle can be scheduled if changing vehicle
     if (updateData.vehicle_id && updateData.vehicle_id !== booking.vehicle_id) {
-      await this.validateVehicleAvailability(updateData.vehicle_id);
+      const vehicle = await this.validateVehicleAvailability(updateData.vehicle_id);
+      await this.validateSiteApproval(booking, vehicle, updateData.site_id || booking.site_id, user);
+    }
+
+    // Re-check seating if the passenger count or the vehicle changes
+    if (updateData.passengers || (updateData.vehicle_id && updateData.vehicle_id !== booking.vehicle_id)) {
+      const vehicle = await this.vehicleRepository.findById(updateData.vehicle_id || booking.vehicle_id);
+      this.validatePassengerCapacity(vehicle, updateData.passengers || booking.passengers);
+    }
+
+    // Validate the driver exists, is qualified for the vehicle and is licensed for the booking if assigning
+    // or changing the driver, and that the current driver is qualified if changing the vehicle
+    const driverChanged = updateData.driver_id && updateData.driver_id !== booking.driver_id;
+    const vehicleChanged = updateData.vehicle_id && updateData.vehicle_id !== booking.vehicle_id;
+    if (driverChanged || (vehicleChanged && booking.driver_id)) {
+      const vehicle = await this.vehicleRepository.findById(updateData.vehicle_id || booking.vehicle_id);
+      await this.validateDriver(
+        updateData.driver_id || booking.driver_id,
+        driverChanged ? updateData.end_date || booking.end_date : null,
+        vehicle
+      );
+    }
+
+    if (booking.series_id && scope !== 'this') {
+      return await this.seriesService.updateOccurrences(booking, updateData, scope, user);
+    }
+
+    // Re-check the schedule if the vehicle, driver or time window changes
+    const schedule = {
+      vehicle_id: updateData.vehicle_id || booking.vehicle_id,
+      driver_id: updateData.driver_id !== undefined ? updateData.driver_id : booking.driver_id,
+      start_date: updateData.start_date || booking.start_date,
+      end_date: updateData.end_date || booking.end_date
+    };
+
+    if (this.hasScheduleChanged(booking, schedule)) {
+      if (new Date(schedule.end_date) <= new Date(schedule.start_date)) {
+        throw new Error('End date must be after start date');
+      }
+      await this.validateScheduleConflicts(schedule, booking.id);
+    }
+
+    // A booking that now ends later must still end before the driver's licence expires
+    if (updateData.end_date && schedule.driver_id && String(schedule.driver_id) === String(booking.driver_id)) {
+      await this.validateDriver(schedule.driver_id, schedule.end_date);
+    }
+
+    // A booking that moves vehicle or ends later must end before the vehicle's required documents expire
+    if (vehicleChanged || updateData.end_date) {
+      const vehicle = await this.vehicleRepository.findById(schedule.vehicle_id);
+      await this.vehicleDocumentService.validateDocuments(vehicle, schedule.end_date);
+    }
+
+    // Re-check the driver's hours of service if the driver or the time window changes
+    let complianceWarnings = [];
+    if (schedule.driver_id && this.hasScheduleChanged(booking, { ...schedule, vehicle_id: booking.vehicle_id })) {
+      complianceWarnings = await this.driverComplianceService.validateAssignment(schedule.driver_id, [schedule], [booking.id]);
     }
 
     // Capture old values for audit
@@ -144,6 +351,12 @@ class BookingService {
       driver_id: booking.driver_id,
       start_date: booking.start_date,
       end_date: booking.end_date,
+      purpose: booking.purpose,
+      destination: booking.destination,
+      passengers: booking.passengers,
+      priority: booking.priority,
+      cost_center: booking.cost_center,
+      site_id: booking.site_id,
       notes: booking.notes,
       status: booking.status
     };
@@ -176,10 +389,16 @@ class BookingService {
       );
     }
 
-    // Update vehicle status if needed
+    // Refresh derived vehicle status for the old and new vehicle
+    await this.vehicleRepository.syncStatus(booking.vehicle_id);
     if (updateData.vehicle_id && updateData.vehicle_id !== booking.vehicle_id) {
-      await this.vehicleRepository.updateStatus(booking.vehicle_id, 'available');
-      await this.vehicleRepository.updateStatus(updateData.vehicle_id, 'in_use');
+      await this.vehicleRepository.syncStatus(updateData.vehicle_id);
+    }
+
+    await this.publishBookingChange(id);
+
+    if (complianceWarnings.length > 0) {
+      updatedBooking.setDataValue('compliance_warnings', complianceWarnings);
     }
 
     return updatedBooking;
@@ -190,9 +409,10 @@ class BookingService {
    * @param {string|number} id - Booking ID
    * @param {string} reason - Cancellation reason
    * @param {Object} user - Current user
+   * @param {string} [scope] - For a series occurrence: this, following or all
    * @returns {Promise<Object>} Cancelled booking
    */
-  async cancelBooking(id, reason, user) {
+  async cancelBooking(id, reason, user, scope = 'this') {
     const booking = await this.bookingRepository.findById(id);
     
     if (!booking) {
@@ -202,6 +422,16 @@ class BookingService {
     // Validate cancellation permissions
     this.validateCancellationAccess(booking, user);
 
+    if (booking.series_id && scope !== 'this') {
+      return await this.seriesService.cancelOccurrences(booking, reason, scope, user);
+    }
+
+    // Approvers still waiting on a decision are told the booking is gone
+    const { Approval } = require('../models');
+    let pendingApprovals = await Approval.findAll({
+      where: { booking_id: id, status: 'pending' }
+    });
+
     // Update booking status
     const updatedBooking = await this.bookingRepository.update(id, {
       status: 'cancelled',
@@ -210,15 +440,190 @@ class BookingService {
       cancelled_by: user.id
     });
 
-    // Update pending approvals to cancelled
-    await this.updatePendingApprovalsToCancelled(id, 'Booking cancelled');
+    // The rest of a series still needs its approvals; otherwise close them
+    const newSeriesLead = await this.seriesService.handOffApprovals(booking.series_id, [booking.id]);
+    if (newSeriesLead) {
+      pendingApprovals = [];
+    } else {
+      // Update pending approvals to cancelled
+      await this.updatePendingApprovalsToCancelled(id, 'Booking cancelled');
+    }
+
+    // Refresh derived vehicle status
+    await this.vehicleRepository.syncStatus(booking.vehicle_id);
 
-    // Update vehicle status
-    await this.vehicleRepository.updateStatus(booking.vehicle_id, 'available');
+    await this.notificationService.bookingCancelled(booking, pendingApprovals, reason, user);
+
+    await this.publishBookingChange(id);
 
     return updatedBooking;
   }
 
+  /**
+   * Start a trip (vehicle check-out)
+   * @param {string|number} id - Booking ID
+   * @param {Object} tripData - Trip data (start_mileage, actual_start_date)
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated booking
+   */
+  async startTrip(id, tripData, user) {
+    const booking = await this.bookingRepository.findById(id);
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    // Validate trip permissions
+    this.validateTripAccess(booking, user);
+
+    if (booking.status !== 'approved') {
+      throw createServiceError('Only fully approved bookings can be started', 400);
+    }
+
+    if (!booking.driver_id) {
+      throw createServiceError('Assign a driver before starting the trip', 400);
+    }
+
+    const vehicle = await this.vehicleRepository.findById(booking.vehicle_id);
+    if (!vehicle) {
+      throw new Error('Vehicle not found');
+    }
+
+    if (vehicle.status !== 'available') {
+      throw createServiceError(`Vehicle is currently ${vehicle.status}`, 400);
+    }
+
+    // The vehicle's walk-around checklist has to pass first
+    await this.inspectionService.validateTripInspection(booking, vehicle, 'pre_trip');
+
+    const startMileage = parseInt(tripData.start_mileage);
+    if (startMileage < (vehicle.mileage || 0)) {
+      throw createServiceError(
+        `Start odometer reading (${startMileage} km) cannot be lower than the vehicle's recorded mileage (${vehicle.mileage} km)`,
+        400
+      );
+    }
+
+    const actualStartDate = tripData.actual_start_date ? new Date(tripData.actual_start_date) : new Date();
+    if (actualStartDate > new Date()) {
+      throw createServiceError('Departure time cannot be in the future', 400);
+    }
+
+    const updatedBooking = await this.bookingRepository.update(id, {
+      status: 'in_progress',
+      start_mileage: startMileage,
+      actual_start_date: actualStartDate
+    });
+
+    // Vehicle and driver are now out on the trip
+    await this.vehicleRepository.syncStatus(booking.vehicle_id);
+    await this.driverRepository.updateStatus(booking.driver_id, 'assigned');
+
+    const { logActivity } = require('../middleware/audit');
+    await logActivity(
+      user.id,
+      'START',
+      'booking',
+      booking.id,
+      { status: booking.status },
+      { status: 'in_progress', start_mileage: startMileage, actual_start_date: actualStartDate },
+      `Trip started (odometer: ${startMileage} km)`
+    );
+
+    await this.publishBookingChange(id);
+
+    return updatedBooking;
+  }
+
+  /**
+   * Complete a trip (vehicle check-in)
+   * @param {string|number} id - Booking ID
+   * @param {Object} tripData - Trip data (end_mileage)
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated booking
+   */
+  async completeTrip(id, tripData, user) {
+    const booking = await this.bookingRepository.findById(id);
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    // Validate trip permissions
+    this.validateTripAccess(booking, user);
+
+    if (booking.status !== 'in_progress' || !booking.actual_start_date) {
+      throw createServiceError('Only trips that have been started can be completed', 400);
+    }
+
+    const vehicle = await this.vehicleRepository.findById(booking.vehicle_id);
+    if (!vehicle) {
+      throw new Error('Vehicle not found');
+    }
+
+    await this.inspectionService.validateTripInspection(booking, vehicle, 'post_trip');
+
+    const endMileage = parseInt(tripData.end_mileage);
+    if (endMileage < booking.start_mileage) {
+      throw createServiceError(
+        `Return odometer reading (${endMileage} km) cannot be lower than the start reading (${booking.start_mileage} km)`,
+        400
+      );
+    }
+
+    if (endMileage < (vehicle.mileage || 0)) {
+      throw createServiceError(
+        `Return odometer reading (${endMileage} km) cannot be lower than the vehicle's recorded mileage (${vehicle.mileage} km)`,
+        400
+      );
+    }
+
+    const actualEndDate = new Date();
+    const updatedBooking = await this.bookingRepository.update(id, {
+      status: 'completed',
+      end_mileage: endMileage,
+      actual_end_date: actualEndDate
+    });
+
+    // Record the new odometer reading and release the vehicle and driver
+    await this.vehicleRepository.updateMileage(booking.vehicle_id, endMileage);
+    await this.vehicleRepository.syncStatus(booking.vehicle_id);
+    await this.releaseDriver(booking.driver_id);
+
+    const distance = endMileage - booking.start_mileage;
+    const { logActivity } = require('../middleware/audit');
+    await logActivity(
+      user.id,
+      'COMPLETE',
+      'booking',
+      booking.id,
+      { status: booking.status },
+      { status: 'completed', end_mileage: endMileage, actual_end_date: actualEndDate },
+      `Trip completed (odometer: ${endMileage} km, distance: ${distance} km)`
+    );
+
+    await this.notificationService.bookingCompleted(booking, distance, user);
+
+    await this.publishBookingChange(id);
+
+    return updatedBooking;
+  }
+
+  /**
+   * Make a driver available again after a trip
+   * @param {string|number} driverId - Driver ID
+   */
+  async releaseDriver(driverId) {
+    if (!driverId) return;
+
+    const driver = await this.driverRepository.findById(driverId);
+
+    // Leave on_leave/inactive drivers alone
+    if (driver && driver.status === 'assigned') {
+      await this.driverRepository.updateStatus(driverId, 'available');
+    }
+  }
+
   /**
    * Update pending approvals to cancelled status
    * @param {string|number} bookingId - Booking ID
@@ -273,6 +678,20 @@ class BookingService {
     return await this.exportService.exportActivities(bookingId);
   }
 
+  /**
+   * Export bookings matching the list filters
+   * @param {Object} filters - Filter options
+   * @param {Object} user - Current user
+   * @param {Object} stream - Writable stream to write the Excel file to
+   * @returns {Promise<void>} Resolves once the file has been written
+   */
+  async exportBookings(filters, user, stream) {
+    // Apply user-specific filters so employees only export their own bookings
+    const filteredOptions = this.applyUserFilters(filters, user);
+
+    await this.bookingExportService.exportBookings(filteredOptions, stream);
+  }
+
   // Validation methods
 
   /**
@@ -287,9 +706,45 @@ class BookingService {
   }
 
   /**
-   * Validate vehicle availability
+   * Validate the user can create bookings
+   * Admins book on behalf of anyone; employees submit requests for themselves
+   * @param {Object} user - Current user
+   * @throws {Error} If user can't create bookings
+   */
+  validateCreateAccess(user) {
+    if (!['admin', 'employee'].includes(user.role)) {
+      throw new Error('Access denied. Only employees and administrators can create bookings.');
+    }
+  }
+
+  /**
+   * Restrict a self-service request to the fields an employee controls
+   * The booking is for the requester at their own site, approvals go to whoever holds each role in the
+   * resolved chain, and the driver is assigned by an admin once the booking is approved
+   * @param {Object} bookingData - Submitted booking data
+   * @param {Object} user - Current user
+   * @returns {Object} Booking data to create
+   */
+  applySelfServiceDefaults(bookingData, user) {
+    return {
+      ...bookingData,
+      employee_id: user.id,
+      user_id: user.id,
+      driver_id: null,
+      site_id: null,
+      approver_l1_id: null,
+      approver_l2_id: null,
+      approver_l3_id: null
+    };
+  }
+
+  /**
+   * Validate vehicle can be scheduled
+   * Only maintenance and out-of-service block a vehicle outright; time-based
+   * availability is checked by validateScheduleConflicts
    * @param {string|number} vehicleId - Vehicle ID
-   * @throws {Error} If vehicle is not available
+   * @returns {Promise<Object>} Vehicle
+   * @throws {Error} If vehicle doesn't exist or is out of service
    */
   async validateVehicleAvailability(vehicleId) {
     const vehicle = await this.vehicleRepository.findById(vehicleId);
@@ -298,35 +753,190 @@ class BookingService {
       throw new Error('Vehicle not found');
     }
 
-    if (vehicle.status !== 'available') {
+    if (['maintenance', 'out_of_service'].includes(vehicle.status)) {
       throw new Error(`Vehicle is currently ${vehicle.status}`);
     }
+
+    return vehicle;
+  }
+
+  /**
+   * Validate the passengers fit the vehicle
+   * Vehicles without a numeric capacity (e.g. "20 tons") are not checked
+   * @param {Object} vehicle - Vehicle record
+   * @param {number} [passengers] - Requested passenger count
+   * @throws {Error} With status 400 if the vehicle seats fewer people
+   */
+  validatePassengerCapacity(vehicle, passengers) {
+    if (!vehicle || !passengers || !/passenger|seat/i.test(vehicle.capacity || '')) return;
+
+    const seats = parseInt(vehicle.capacity, 10);
+    if (seats && passengers > seats) {
+      throw createServiceError(`${vehicle.plate_number} seats ${seats} passengers, but ${passengers} were requested`, 400);
+    }
+  }
+
+  /**
+   * Validate the vehicle and driver have no overlapping active bookings, maintenance or leave
+   * @param {Object} schedule - Requested schedule
+   * @param {string|number} schedule.vehicle_id - Vehicle ID
+   * @param {string|number} [schedule.driver_id] - Driver ID
+   * @param {string|Date} schedule.start_date - Start date
+   * @param {string|Date} schedule.end_date - End date
+   * @param {string|number|Array} [excludeBookingId] - Booking(s) being updated
+   * @throws {Error} With status 409 and a conflicts list if anything overlaps
+   */
+  async validateScheduleConflicts(schedule, excludeBookingId = null) {
+    const conflicts = await this.findScheduleConflicts(schedule, excludeBookingId);
+
+    if (conflicts.length === 0) return;
+
+    const conflictingResources = [...new Set(conflicts.filter(c => c.booking_id).flatMap(c => c.resources))];
+    const reasons = [];
+    if (conflictingResources.length > 0) {
+      reasons.push(`The ${conflictingResources.join(' and ')} ${conflictingResources.length > 1 ? 'are' : 'is'} already booked during the requested time window`);
+    }
+    if (conflicts.some(c => c.maintenance_id)) {
+      reasons.push('The vehicle is scheduled for maintenance during the requested time window');
+    }
+    if (conflicts.some(c => c.leave_id)) {
+      reasons.push('The driver is on leave during the requested time window');
+    }
+
+    throw createServiceError(reasons.join('. '), 409, { conflicts });
   }
 
   /**
-   * Validate approvers exist
-   * @param {string|number} approverL1Id - First approver ID
-   * @param {string|number} approverL2Id - Second approver ID
-   * @throws {Error} If approvers don't exist
+   * Find active bookings, maintenance windows and approved driver leave that overlap a schedule, noting which resources clash
+   * @param {Object} schedule - Requested schedule, see validateScheduleConflicts
+   * @param {string|number|Array} [excludeBookingId] - Booking(s) being updated
+   * @returns {Promise<Array>} Conflicts with booking_id (or maintenance_id and title, or leave_id and leave_type), resources, status, start_date and end_date
    */
-  async validateApprovers(approverL1Id, approverL2Id) {
-    const [approverL1, approverL2] = await Promise.all([
-      this.userRepository.findById(approverL1Id),
-      this.userRepository.findById(approverL2Id)
+  async findScheduleConflicts(schedule, excludeBookingId = null) {
+    const [bookings, maintenance, leave] = await Promise.all([
+      this.bookingRepository.findConflicts({
+        vehicle_id: schedule.vehicle_id,
+        driver_id: schedule.driver_id,
+        start_date: schedule.start_date,
+        end_date: schedule.end_date,
+        exclude_booking_id: excludeBookingId
+      }),
+      this.maintenanceRepository.findConflicts(schedule),
+      this.driverLeaveRepository.findConflicts(schedule)
     ]);
 
-    if (!approverL1) {
-      throw new Error('First approver not found');
+    const maintenanceConflicts = maintenance.map(window => ({
+      maintenance_id: window.id,
+      title: window.title,
+      resources: ['vehicle'],
+      status: window.status,
+      start_date: window.start_date,
+      end_date: window.end_date
+    }));
+
+    const leaveConflicts = leave.map(window => ({
+      leave_id: window.id,
+      leave_type: window.leave_type,
+      resources: ['driver'],
+      status: window.status,
+      start_date: window.start_date,
+      end_date: window.end_date
+    }));
+
+    return bookings.map(conflict => {
+      const resources = [];
+      if (schedule.vehicle_id && String(conflict.vehicle_id) === String(schedule.vehicle_id)) {
+        resources.push('vehicle');
+      }
+      if (schedule.driver_id && String(conflict.driver_id) === String(schedule.driver_id)) {
+        resources.push('driver');
+      }
+
+      return {
+        booking_id: conflict.id,
+        resources,
+        status: conflict.status,
+        start_date: conflict.start_date,
+        end_date: conflict.end_date
+      };
+    }).concat(maintenanceConflicts, leaveConflicts);
+  }
+
+  /**
+   * Check whether a schedule differs from a booking's current schedule
+   * @param {Object} booking - Booking object
+   * @param {Object} schedule - Proposed schedule
+   * @returns {boolean} True if vehicle, driver or dates changed
+   */
+  hasScheduleChanged(booking, schedule) {
+    return String(schedule.vehicle_id) !== String(booking.vehicle_id) ||
+      String(schedule.driver_id) !== String(booking.driver_id) ||
+      new Date(schedule.start_date).getTime() !== new Date(booking.start_date).getTime() ||
+      new Date(schedule.end_date).getTime() !== new Date(booking.end_date).getTime();
+  }
+
+  /**
+   * Validate named approvers exist and hold the role their level requires
+   * Levels without a named approver can be actioned by anyone with the role
+   * @param {Array<string>} chain - Role required at each level
+   * @param {Array<string|number>} approverIds - Named approver per level
+   * @throws {Error} If an approver doesn't exist or has the wrong role
+   */
+  async validateApprovers(chain, approverIds) {
+    const namedIds = approverIds.slice(0, chain.length).filter(Boolean).map(String);
+    if (new Set(namedIds).size !== namedIds.length) {
+      throw createServiceError('Each approval level must have a different approver', 400);
     }
 
-    if (!approverL2) {
-      throw new Error('Second approver not found');
+    for (let index = 0; index < chain.length; index++) {
+      if (!approverIds[index]) continue;
+
+      const approver = await this.userRepository.findById(approverIds[index]);
+
+      if (!approver) {
+        throw new Error(`Level ${index + 1} approver not found`);
+      }
+
+      if (approver.role !== chain[index]) {
+        throw createServiceError(
+          `Level ${index + 1} approver must have the ${chain[index]} role`,
+          400
+        );
+      }
+    }
+  }
+
+  /**
+   * Check a booking moved to another vehicle still has the approvals it needs
+   * The cross-site level is only added when a booking is created, so requesters can't switch to another
+   * site's vehicle afterwards; admins manage the fleet and may
+   * @param {Object} booking - Booking being updated
+   * @param {Object} vehicle - New vehicle
+   * @param {number|null} siteId - Booking's site after the update
+   * @param {Object} user - Current user
+   * @throws {Error} With status 400 if the vehicle needs a cross-site approval the booking doesn't have
+   */
+  async validateSiteApproval(booking, vehicle, siteId, user) {
+    if (user.role === 'admin' || !this.siteService.isCrossSite(siteId, vehicle)) return;
+
+    // A series keeps its approvals on one occurrence
+    const { Approval } = require('../models');
+    const siteApproval = await Approval.findOne({
+      where: { booking_id: await this.seriesService.getSeriesBookingIds(booking), site_id: vehicle.site_id }
+    });
+
+    if (!siteApproval) {
+      throw createServiceError(
+        'This vehicle is based at another site and needs a cross-site approval. Cancel this booking and request the vehicle in a new one.',
+        400
+      );
     }
   }
 
   /**
    * Validate employee exists
    * @param {string|number} employeeId - Employee ID
+   * @returns {Promise<Object>} Employee
    * @throws {Error} If employee doesn't exist
    */
   async validateEmployee(employeeId) {
@@ -335,20 +945,31 @@ class BookingService {
     if (!employee) {
       throw new Error('Employee not found');
     }
+
+    return employee;
   }
 
   /**
-   * Validate driver exists
+   * Validate driver exists and is assignable, holds a licence valid until the booking ends and is qualified for the vehicle
    * @param {string|number} driverId - Driver ID
-   * @throws {Error} If driver doesn't exist
+   * @param {string|Date} [endDate] - Booking end
+   * @param {Object} [vehicle] - Booking vehicle
+   * @returns {Promise<Object>} Driver
+   * @throws {Error} If driver doesn't exist or is inactive, the licence expires first or the driver isn't qualified
    */
-  async validateDriver(driverId) {
+  async validateDriver(driverId, endDate, vehicle = null) {
     const { Driver } = require('../models');
     const driver = await Driver.findByPk(driverId);
     
     if (!driver) {
       throw new Error('Driver not found');
     }
+
+    this.driverService.validateStatus(driver);
+    this.driverService.validateLicense(driver, endDate);
+    this.driverService.validateQualification(driver, vehicle);
+
+    return driver;
   }
 
   /**
@@ -381,22 +1002,66 @@ class BookingService {
     if (user.role === 'admin') return;
     if (booking.user_id === user.id) return;
     
-    // Check if user is an approver for this booking
+    // Check if user is an approver for this booking (approvals for a series sit on one occurrence)
     if (['approver_l1', 'approver_l2'].includes(user.role)) {
       const { Approval } = require('../models');
+      const bookingIds = await this.seriesService.getSeriesBookingIds(booking);
       const approval = await Approval.findOne({
         where: {
-          booking_id: booking.id,
-          approver_id: user.id
+          booking_id: bookingIds,
+          [Op.or]: [
+            { approver_id: user.id },
+            // Open levels can be actioned by anyone with the required role
+            { approver_id: null, required_role: user.role },
+            { escalated_to_id: user.id }
+          ]
         }
       });
       
       if (approval) return; // User is an approver for this booking
+
+      // Delegates can view bookings routed to them by an active delegation
+      const approvals = await Approval.findAll({ where: { booking_id: bookingIds } });
+      if (await this.approvalWorkflowService.isDelegatedTo(approvals, user)) return;
     }
     
     throw new Error('Access denied. You can only view your own bookings or bookings you need to approve.');
   }
 
+  /**
+   * Check booking access without throwing
+   * @param {Object} booking - Booking object
+   * @param {Object} user - User to check
+   * @returns {Promise<boolean>} True if the user may view the booking
+   */
+  async canAccessBooking(booking, user) {
+    try {
+      await this.validateBookingAccess(booking, user);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Push a booking's current state, including approvals, to connected users who may view it
+   * @param {string|number} bookingId - Booking ID
+   * @param {string} [event] - booking_created or booking_updated
+   */
+  async publishBookingChange(bookingId, event = 'booking_updated') {
+    if (!realtime.hasSubscribers()) return;
+
+    try {
+      const booking = await this.bookingRepository.findByIdWithRelations(bookingId);
+      if (!booking) return;
+
+      await realtime.publish(event, { booking }, (user) => this.canAccessBooking(booking, user));
+    } catch (error) {
+      // Live updates are best effort; clients still see the change on their next fetch
+      console.error('Publish booking change error:', error);
+    }
+  }
+
   /**
    * Validate booking update access
    * @param {Object} booking - Booking object
@@ -428,6 +1093,19 @@ class BookingService {
     }
   }
 
+  /**
+   * Validate trip start/completion access
+   * @param {Object} booking - Booking object
+   * @param {Object} user - Current user
+   * @throws {Error} If user can't start or complete the trip
+   */
+  validateTripAccess(booking, user) {
+    if (user.role === 'admin') return;
+    if (booking.user_id === user.id) return;
+
+    throw new Error('Access denied. Only administrators or the requesting employee can start or complete a trip.');
+  }
+
   /**
    * Apply user-specific filters
    * @param {Object} filters - Original filters
@@ -447,3 +1125,5 @@ class BookingService {
 }
 
 module.exports = BookingService;
+module.exports.BOOKING_PRIORITIES = BOOKING_PRIORITIES;
+module.exports.MAX_PASSENGERS = MAX_PASSENGERS;
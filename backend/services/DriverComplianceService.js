@@ -0,0 +1,297 @@
+const { Op } = require('sequelize');
+const { Booking, Driver, DriverHoursRule } = require('../models');
+const { SCHEDULE_BLOCKING_STATUSES } = require('./repositories');
+const { createServiceError } = require('../utils/errors');
+
+const RULE_TYPES = ['daily_hours', 'weekly_hours', 'rest_hours'];
+
+// Bookings that count as driving time
+const WORKING_STATUSES = [...SCHEDULE_BLOCKING_STATUSES, 'completed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+// Bookings this far either side of a window can share its day, week or rest period
+const CONTEXT_MS = 8 * DAY_MS;
+
+const DEFAULT_REPORT_WEEKS = 4;
+
+/**
+ * Service layer for driver hours-of-service rules
+ * A booking counts as driving time from start to end (the actual times once a trip has run).
+ * Days and weeks are calendar days and Monday-to-Sunday weeks in UTC.
+ */
+class DriverComplianceService {
+  /**
+   * Get the active hours rules
+   * @returns {Promise<Array>} Rules
+   */
+  async getActiveRules() {
+    return await DriverHoursRule.findAll({ where: { is_active: true } });
+  }
+
+  /**
+   * Check a driver's hours with new or moved bookings
+   * @param {string|number} driverId - Driver ID
+   * @param {Array<Object>} windows - Proposed bookings with start_date and end_date
+   * @param {Array<number>} [excludeBookingIds] - Bookings the windows replace
+   * @returns {Promise<Array>} Violations of rules that only warn
+   * @throws {Error} With status 400 and a violations list if a rejecting rule is broken
+   */
+  async validateAssignment(driverId, windows, excludeBookingIds = []) {
+    const rules = await this.getActiveRules();
+    if (rules.length === 0 || windows.length === 0) return [];
+
+    const proposed = windows.map(window => ({
+      booking_id: null,
+      from: new Date(window.start_date).getTime(),
+      to: new Date(window.end_date).getTime()
+    }));
+
+    const from = Math.min(...proposed.map(period => period.from)) - CONTEXT_MS;
+    const to = Math.max(...proposed.map(period => period.to)) + CONTEXT_MS;
+    const existing = await this.findWorkedPeriods(driverId, new Date(from), new Date(to), excludeBookingIds);
+
+    const violations = this.evaluate(rules, [...existing, ...proposed], proposed);
+
+    const blocking = violations.filter(violation => violation.enforcement === 'reject');
+    if (blocking.length > 0) {
+      throw createServiceError(
+        `The driver would break hours-of-service rules: ${blocking.map(violation => violation.message).join('; ')}`,
+        400,
+        { violations }
+      );
+    }
+
+    return violations;
+  }
+
+  /**
+   * Report a driver's hours and rule violations over the last few weeks
+   * @param {string|number} driverId - Driver ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.weeks=4] - Number of calendar weeks, including the current one
+   * @param {Date} [options.now] - Point in time to report up to
+   * @returns {Promise<Object>} { driver, rules, period, weeks, violations }
+   */
+  async getComplianceReport(driverId, { weeks = DEFAULT_REPORT_WEEKS, now = new Date() } = {}) {
+    const driver = await Driver.findByPk(driverId);
+    if (!driver) {
+      throw createServiceError('Driver not found', 404);
+    }
+
+    const periodStart = this.getWeekStart(now.getTime()) - (weeks - 1) * WEEK_MS;
+    const periodEnd = this.getWeekStart(now.getTime()) + WEEK_MS;
+
+    const rules = await this.getActiveRules();
+    const periods = await this.findWorkedPeriods(driverId, new Date(periodStart), new Date(periodEnd));
+    const inPeriod = periods.filter(period => period.to > periodStart && period.from < periodEnd);
+
+    const violations = this.evaluate(rules, periods, inPeriod)
+      .filter(violation => new Date(violation.date).getTime() >= periodStart);
+
+    const dailyHours = this.sumHoursBy(periods, time => this.getDayStart(time), DAY_MS);
+    const weeklyHours = this.sumHoursBy(periods, time => this.getWeekStart(time), WEEK_MS);
+
+    const weekSummaries = [];
+    for (let weekStart = periodStart; weekStart < periodEnd; weekStart += WEEK_MS) {
+      const days = [];
+      for (let day = weekStart; day < weekStart + WEEK_MS; day += DAY_MS) {
+        days.push({ date: this.formatDate(day), hours: this.roundHours(dailyHours.get(day) || 0) });
+      }
+
+      weekSummaries.push({
+        week_start: this.formatDate(weekStart),
+        hours: this.roundHours(weeklyHours.get(weekStart) || 0),
+        bookings: inPeriod.filter(period => period.from < weekStart + WEEK_MS && period.to > weekStart).length,
+        days,
+        violations: violations.filter(violation => {
+          const time = new Date(violation.date).getTime();
+          return time >= weekStart && time < weekStart + WEEK_MS;
+        })
+      });
+    }
+
+    return {
+      driver,
+      rules,
+      period: { start: this.formatDate(periodStart), end: this.formatDate(periodEnd - DAY_MS) },
+      weeks: weekSummaries,
+      violations
+    };
+  }
+
+  /**
+   * Find the times a driver is busy with bookings overlapping a range
+   * @param {string|number} driverId - Driver ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {Array<number>} [excludeBookingIds] - Bookings to leave out
+   * @returns {Promise<Array>} Periods with booking_id, from and to (milliseconds), sorted by start
+   */
+  async findWorkedPeriods(driverId, from, to, excludeBookingIds = []) {
+    const where = {
+      driver_id: driverId,
+      status: { [Op.in]: WORKING_STATUSES },
+      start_date: { [Op.lt]: to },
+      end_date: { [Op.gt]: from }
+    };
+    if (excludeBookingIds.length > 0) {
+      where.id = { [Op.notIn]: excludeBookingIds };
+    }
+
+    const bookings = await Booking.findAll({
+      where,
+      attributes: ['id', 'start_date', 'end_date', 'actual_start_date', 'actual_end_date'],
+      order: [['start_date', 'ASC']]
+    });
+
+    return bookings.map(booking => ({
+      booking_id: booking.id,
+      from: new Date(booking.actual_start_date || booking.start_date).getTime(),
+      to: new Date(booking.actual_end_date || booking.end_date).getTime()
+    }));
+  }
+
+  /**
+   * Evaluate rules over a driver's periods, reporting only days, weeks and gaps a focus period touches
+   * @param {Array} rules - Active rules
+   * @param {Array} periods - All of the driver's periods in range, including the focus ones
+   * @param {Array} focus - Periods to report on
+   * @returns {Array} Violations with rule_type, enforcement, limit_hours, actual_hours, date, booking_ids and message
+   */
+  evaluate(rules, periods, focus) {
+    const violations = [];
+    const sorted = [...periods].sort((a, b) => a.from - b.from);
+
+    rules.forEach(rule => {
+      const base = {
+        rule_type: rule.rule_type,
+        enforcement: rule.enforcement,
+        limit_hours: rule.limit_hours
+      };
+
+      if (rule.rule_type === 'daily_hours' || rule.rule_type === 'weekly_hours') {
+        const daily = rule.rule_type === 'daily_hours';
+        const bucketOf = time => (daily ? this.getDayStart(time) : this.getWeekStart(time));
+        const size = daily ? DAY_MS : WEEK_MS;
+        const hours = this.sumHoursBy(sorted, bucketOf, size);
+        const focusBuckets = new Set(focus.flatMap(period => this.getBuckets(period, bucketOf, size)));
+
+        focusBuckets.forEach(bucket => {
+          const total = hours.get(bucket) || 0;
+          if (total <= rule.limit_hours) return;
+
+          const date = this.formatDate(bucket);
+          violations.push({
+            ...base,
+            actual_hours: this.roundHours(total),
+            date,
+            booking_ids: sorted
+              .filter(period => period.booking_id && period.from < bucket + size && period.to > bucket)
+              .map(period => period.booking_id),
+            message: `${this.roundHours(total)}h of driving ${daily ? `on ${date}` : `in the week of ${date}`}, over the ${rule.limit_hours}h ${daily ? 'daily' : 'weekly'} limit`
+          });
+        });
+      }
+
+      if (rule.rule_type === 'rest_hours') {
+        for (let index = 1; index < sorted.length; index++) {
+          const previous = sorted[index - 1];
+          const next = sorted[index];
+          if (!focus.includes(previous) && !focus.includes(next)) continue;
+
+          const rest = Math.max(0, next.from - previous.to) / HOUR_MS;
+          if (rest >= rule.limit_hours) continue;
+
+          violations.push({
+            ...base,
+            actual_hours: this.roundHours(rest),
+            date: this.formatDate(this.getDayStart(next.from)),
+            booking_ids: [previous.booking_id, next.booking_id].filter(Boolean),
+            message: `only ${this.roundHours(rest)}h of rest before the shift starting ${new Date(next.from).toISOString().slice(0, 16).replace('T', ' ')} UTC, under the ${rule.limit_hours}h minimum`
+          });
+        }
+      }
+    });
+
+    return violations.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Sum the hours of periods per day or week, splitting periods that cross a boundary
+   * @param {Array} periods - Periods
+   * @param {Function} bucketOf - Maps a time to the start of its day or week
+   * @param {number} size - Bucket length in milliseconds
+   * @returns {Map} Hours by bucket start
+   */
+  sumHoursBy(periods, bucketOf, size) {
+    const hours = new Map();
+
+    periods.forEach(period => {
+      this.getBuckets(period, bucketOf, size).forEach(bucket => {
+        const overlap = Math.min(period.to, bucket + size) - Math.max(period.from, bucket);
+        hours.set(bucket, (hours.get(bucket) || 0) + overlap / HOUR_MS);
+      });
+    });
+
+    return hours;
+  }
+
+  /**
+   * Get the days or weeks a period touches
+   * @param {Object} period - Period with from and to
+   * @param {Function} bucketOf - Maps a time to the start of its day or week
+   * @param {number} size - Bucket length in milliseconds
+   * @returns {Array<number>} Bucket starts
+   */
+  getBuckets(period, bucketOf, size) {
+    const buckets = [];
+    for (let bucket = bucketOf(period.from); bucket < period.to; bucket += size) {
+      buckets.push(bucket);
+    }
+    return buckets;
+  }
+
+  /**
+   * Start of a time's UTC day
+   * @param {number} time - Time in milliseconds
+   * @returns {number} Day start in milliseconds
+   */
+  getDayStart(time) {
+    return Math.floor(time / DAY_MS) * DAY_MS;
+  }
+
+  /**
+   * Start of a time's week, on Monday in UTC
+   * @param {number} time - Time in milliseconds
+   * @returns {number} Week start in milliseconds
+   */
+  getWeekStart(time) {
+    const dayStart = this.getDayStart(time);
+    const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * DAY_MS;
+  }
+
+  /**
+   * Format a time as a YYYY-MM-DD date
+   * @param {number} time - Time in milliseconds
+   * @returns {string} Date
+   */
+  formatDate(time) {
+    return new Date(time).toISOString().split('T')[0];
+  }
+
+  /**
+   * Round hours to one decimal place
+   * @param {number} hours - Hours
+   * @returns {number} Rounded hours
+   */
+  roundHours(hours) {
+    return Math.round(hours * 10) / 10;
+  }
+}
+
+module.exports = DriverComplianceService;
+module.exports.RULE_TYPES = RULE_TYPES;
@@ -0,0 +1,399 @@
+const { Op } = require('sequelize');
+const { Driver, DriverLeave, Booking, User } = require('../models');
+const { SCHEDULE_BLOCKING_STATUSES, DriverLeaveRepository } = require('./repositories');
+const { logActivity } = require('../middleware/audit');
+const { createServiceError } = require('../utils/errors');
+
+const LEAVE_TYPES = ['annual', 'sick', 'training', 'personal', 'other'];
+
+// Leave that still matters for planning
+const OPEN_STATUSES = ['pending', 'approved'];
+
+const LEAVE_FIELDS = ['leave_type', 'start_date', 'end_date', 'reason'];
+
+// Longest window the availability calendar can request at once
+const MAX_AVAILABILITY_DAYS = 62;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service layer for driver leave and availability
+ * Approved leave blocks bookings for its driver, and drives the driver's on_leave status:
+ * syncDriverStatuses puts drivers on leave while approved leave is underway and back afterwards
+ */
+class DriverLeaveService {
+  constructor() {
+    this.driverLeaveRepository = new DriverLeaveRepository();
+  }
+
+  /**
+   * Get leave records
+   * @param {Object} filters - Filter options
+   * @param {string|number} [filters.driver_id] - Driver ID
+   * @param {string} [filters.status] - Leave status
+   * @param {boolean} [filters.upcoming] - Only leave that hasn't ended yet
+   * @returns {Promise<Array>} Leave with driver and reviewer, soonest first
+   */
+  async getLeaves({ driver_id, status, upcoming } = {}) {
+    const where = {};
+    if (driver_id) where.driver_id = driver_id;
+    if (status) where.status = status;
+    if (upcoming) where.end_date = { [Op.gt]: new Date() };
+
+    return await DriverLeave.findAll({
+      where,
+      include: [
+        { model: Driver, as: 'driver', attributes: ['id', 'name', 'license_number', 'status'] },
+        { model: User, as: 'requestedBy', attributes: ['id', 'name'] },
+        { model: User, as: 'reviewedBy', attributes: ['id', 'name'] }
+      ],
+      order: [['start_date', upcoming ? 'ASC' : 'DESC']]
+    });
+  }
+
+  /**
+   * Record a leave request for a driver; it blocks bookings once approved
+   * @param {Object} data - Leave data with driver_id, leave_type, start_date, end_date and reason
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created leave
+   */
+  async requestLeave(data, user) {
+    const driver = await Driver.findByPk(data.driver_id);
+    if (!driver) {
+      throw createServiceError('Driver not found', 404);
+    }
+
+    const leaveData = this.pickFields(data, LEAVE_FIELDS);
+    this.validateWindow(leaveData.start_date, leaveData.end_date);
+    await this.validateNoOverlap(driver.id, leaveData.start_date, leaveData.end_date);
+
+    const leave = await DriverLeave.create({
+      ...leaveData,
+      driver_id: driver.id,
+      requested_by: user.id,
+      status: 'pending'
+    });
+
+    await logActivity(user.id, 'CREATE', 'driver_leave', leave.id, null, leave.toJSON(), `${leaveData.leave_type || 'annual'} leave requested for ${driver.name}`);
+
+    return leave;
+  }
+
+  /**
+   * Update pending or approved leave that hasn't ended
+   * Moving approved leave keeps it approved; the driver's status follows the new window
+   * @param {string|number} id - Leave ID
+   * @param {Object} data - Leave data
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { leave, affected_bookings }
+   */
+  async updateLeave(id, data, user) {
+    const leave = await this.findOpenLeave(id);
+    const oldValues = leave.toJSON();
+    const updateData = this.pickFields(data, LEAVE_FIELDS);
+
+    const startDate = updateData.start_date || leave.start_date;
+    const endDate = updateData.end_date || leave.end_date;
+    if (updateData.start_date || updateData.end_date) {
+      this.validateWindow(startDate, endDate);
+      await this.validateNoOverlap(leave.driver_id, startDate, endDate, leave.id);
+    }
+
+    await leave.update(updateData);
+    await this.syncDriverStatus(leave.driver_id);
+
+    await logActivity(user.id, 'UPDATE', 'driver_leave', leave.id, oldValues, leave.toJSON(), 'Driver leave updated');
+
+    return {
+      leave,
+      affected_bookings: leave.status === 'approved' ? await this.findAffectedBookings(leave) : []
+    };
+  }
+
+  /**
+   * Approve pending leave: the driver can no longer be assigned during it
+   * Bookings the driver already has in the window are kept and returned, so they can be reassigned
+   * @param {string|number} id - Leave ID
+   * @param {Object} data - Review data with optional review_notes
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { leave, affected_bookings }
+   */
+  async approveLeave(id, data, user) {
+    const leave = await this.review(id, 'approved', data, user);
+    await this.syncDriverStatus(leave.driver_id);
+
+    return { leave, affected_bookings: await this.findAffectedBookings(leave) };
+  }
+
+  /**
+   * Reject pending leave
+   * @param {string|number} id - Leave ID
+   * @param {Object} data - Review data with optional review_notes
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Rejected leave
+   */
+  async rejectLeave(id, data, user) {
+    return await this.review(id, 'rejected', data, user);
+  }
+
+  /**
+   * Cancel pending or approved leave, freeing the driver for the window
+   * @param {string|number} id - Leave ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Cancelled leave
+   */
+  async cancelLeave(id, user) {
+    const leave = await this.findOpenLeave(id);
+    const oldStatus = leave.status;
+
+    await leave.update({ status: 'cancelled' });
+    await this.syncDriverStatus(leave.driver_id);
+
+    await logActivity(user.id, 'CANCEL', 'driver_leave', leave.id, { status: oldStatus }, { status: 'cancelled' }, 'Driver leave cancelled');
+
+    return leave;
+  }
+
+  /**
+   * Approve or reject pending leave
+   * @param {string|number} id - Leave ID
+   * @param {string} status - 'approved' or 'rejected'
+   * @param {Object} data - Review data with optional review_notes
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Reviewed leave
+   */
+  async review(id, status, data, user) {
+    const leave = await this.findOpenLeave(id);
+    if (leave.status !== 'pending') {
+      throw createServiceError(`Leave is already ${leave.status}`, 400);
+    }
+
+    if (status === 'approved') {
+      await this.validateNoOverlap(leave.driver_id, leave.start_date, leave.end_date, leave.id);
+    }
+
+    await leave.update({
+      status,
+      reviewed_by: user.id,
+      reviewed_at: new Date(),
+      review_notes: data.review_notes || null
+    });
+
+    await logActivity(user.id, 'UPDATE', 'driver_leave', leave.id, { status: 'pending' }, { status, review_notes: leave.review_notes }, `Driver leave ${status}`);
+
+    return leave;
+  }
+
+  /**
+   * Get drivers' leave and bookings over a range of days, for the availability calendar
+   * @param {Object} [options] - Options
+   * @param {string|Date} [options.start] - Start of the first day, in the viewer's time zone (default today, UTC)
+   * @param {number} [options.days=14] - Number of days
+   * @returns {Promise<Object>} { start, end, drivers } where each entry has driver, leaves and bookings
+   */
+  async getAvailability({ start, days = 14 } = {}) {
+    if (days > MAX_AVAILABILITY_DAYS) {
+      throw createServiceError(`Availability can cover at most ${MAX_AVAILABILITY_DAYS} days`, 400);
+    }
+
+    const rangeStart = start ? new Date(start) : new Date();
+    if (!start) rangeStart.setUTCHours(0, 0, 0, 0);
+    const rangeEnd = new Date(rangeStart.getTime() + days * DAY_MS);
+
+    const overlapping = {
+      start_date: { [Op.lt]: rangeEnd },
+      end_date: { [Op.gt]: rangeStart }
+    };
+
+    const [drivers, leaves, bookings] = await Promise.all([
+      Driver.findAll({
+        where: { status: { [Op.ne]: 'inactive' } },
+        attributes: ['id', 'name', 'status'],
+        order: [['name', 'ASC']]
+      }),
+      DriverLeave.findAll({
+        where: { ...overlapping, status: { [Op.in]: OPEN_STATUSES } },
+        attributes: ['id', 'driver_id', 'leave_type', 'status', 'start_date', 'end_date', 'reason'],
+        order: [['start_date', 'ASC']]
+      }),
+      Booking.findAll({
+        where: { ...overlapping, driver_id: { [Op.ne]: null }, status: { [Op.in]: SCHEDULE_BLOCKING_STATUSES } },
+        attributes: ['id', 'driver_id', 'status', 'start_date', 'end_date', 'destination'],
+        order: [['start_date', 'ASC']]
+      })
+    ]);
+
+    return {
+      start: rangeStart,
+      end: rangeEnd,
+      drivers: drivers.map(driver => ({
+        driver,
+        leaves: leaves.filter(leave => leave.driver_id === driver.id),
+        bookings: bookings.filter(booking => booking.driver_id === driver.id)
+      }))
+    };
+  }
+
+  /**
+   * Bring every driver's status in line with their approved leave
+   * @returns {Promise<Array>} Drivers whose status changed
+   */
+  async syncDriverStatuses() {
+    const now = new Date();
+    const current = await this.driverLeaveRepository.findApprovedInRange({ start_date: now, end_date: new Date(now.getTime() + 1) });
+    const candidates = await Driver.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'on_leave' },
+          { id: { [Op.in]: current.map(leave => leave.driver_id) } }
+        ]
+      },
+      attributes: ['id']
+    });
+
+    const changed = [];
+    for (const { id } of candidates) {
+      const driver = await this.syncDriverStatus(id);
+      if (driver) changed.push(driver);
+    }
+    return changed;
+  }
+
+  /**
+   * Put a driver on leave while approved leave is underway, and back when it isn't
+   * Inactive drivers are left alone
+   * @param {string|number} driverId - Driver ID
+   * @returns {Promise<Object|null>} The driver if their status changed, otherwise null
+   */
+  async syncDriverStatus(driverId) {
+    const driver = await Driver.findByPk(driverId);
+    if (!driver || driver.status === 'inactive') return null;
+
+    const now = new Date();
+    const onLeave = (await this.driverLeaveRepository.findConflicts({
+      driver_id: driver.id,
+      start_date: now,
+      end_date: new Date(now.getTime() + 1)
+    })).length > 0;
+
+    let status = driver.status;
+    if (onLeave) {
+      status = 'on_leave';
+    } else if (driver.status === 'on_leave') {
+      // Back from leave; a trip already underway keeps them assigned
+      const trips = await Booking.count({ where: { driver_id: driver.id, status: 'in_progress' } });
+      status = trips > 0 ? 'assigned' : 'available';
+    }
+
+    if (status === driver.status) return null;
+
+    await driver.update({ status });
+    return driver;
+  }
+
+  /**
+   * Find the driver's active bookings during approved leave
+   * @param {Object} leave - Leave
+   * @returns {Promise<Array>} Bookings that need another driver
+   */
+  async findAffectedBookings(leave) {
+    return await Booking.findAll({
+      where: {
+        driver_id: leave.driver_id,
+        status: { [Op.in]: SCHEDULE_BLOCKING_STATUSES },
+        start_date: { [Op.lt]: leave.end_date },
+        end_date: { [Op.gt]: leave.start_date }
+      },
+      attributes: ['id', 'status', 'start_date', 'end_date', 'destination'],
+      order: [['start_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Check the window has a positive length and hasn't already ended
+   * @param {string|Date} startDate - Window start
+   * @param {string|Date} endDate - Window end
+   */
+  validateWindow(startDate, endDate) {
+    if (new Date(endDate) <= new Date(startDate)) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+    if (new Date(endDate) <= new Date()) {
+      throw createServiceError('Leave must end in the future', 400);
+    }
+  }
+
+  /**
+   * Check the driver has no other pending or approved leave overlapping a window
+   * @param {number} driverId - Driver ID
+   * @param {string|Date} startDate - Window start
+   * @param {string|Date} endDate - Window end
+   * @param {number} [excludeId] - Leave being updated
+   * @throws {Error} With status 409 and a conflicts list
+   */
+  async validateNoOverlap(driverId, startDate, endDate, excludeId = null) {
+    const where = {
+      driver_id: driverId,
+      status: { [Op.in]: OPEN_STATUSES },
+      start_date: { [Op.lt]: new Date(endDate) },
+      end_date: { [Op.gt]: new Date(startDate) }
+    };
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    const overlapping = await DriverLeave.findAll({ where, order: [['start_date', 'ASC']] });
+    if (overlapping.length === 0) return;
+
+    throw createServiceError(
+      'The driver already has leave during this window',
+      409,
+      {
+        conflicts: overlapping.map(other => ({
+          leave_id: other.id,
+          leave_type: other.leave_type,
+          resources: ['driver'],
+          status: other.status,
+          start_date: other.start_date,
+          end_date: other.end_date
+        }))
+      }
+    );
+  }
+
+  /**
+   * Find pending or approved leave or fail
+   * @param {string|number} id - Leave ID
+   * @returns {Promise<Object>} Leave
+   */
+  async findOpenLeave(id) {
+    const leave = await DriverLeave.findByPk(id);
+    if (!leave) {
+      throw createServiceError('Leave not found', 404);
+    }
+    if (!OPEN_STATUSES.includes(leave.status)) {
+      throw createServiceError(`Leave is already ${leave.status}`, 400);
+    }
+    return leave;
+  }
+
+  /**
+   * Pick known fields from request data, treating empty strings as unset
+   * @param {Object} data - Request data
+   * @param {Array<string>} fields - Allowed fields
+   * @returns {Object} Picked fields
+   */
+  pickFields(data, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field] === '' ? null : data[field];
+      }
+    });
+    return picked;
+  }
+}
+
+module.exports = DriverLeaveService;
+module.exports.LEAVE_TYPES = LEAVE_TYPES;
+module.exports.MAX_AVAILABILITY_DAYS = MAX_AVAILABILITY_DAYS;
@@ -0,0 +1,269 @@
+const { Op } = require('sequelize');
+const { Driver, Booking, Vehicle } = require('../models');
+const NotificationService = require('./NotificationService');
+const { SCHEDULE_BLOCKING_STATUSES, DriverLeaveRepository } = require('./repositories');
+const { createServiceError } = require('../utils/errors');
+
+// Admins are warned when a licence is this many days from expiring
+const LICENSE_WARNING_DAYS = [30, 14, 7];
+
+// Bookings that still need their driver
+const UPCOMING_BOOKING_STATUSES = ['pending', 'approved', 'in_progress'];
+
+// Drivers in these statuses can be put on bookings; on_leave only follows approved leave, which is checked per window
+const ASSIGNABLE_STATUSES = ['available', 'assigned', 'on_leave'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service layer for driver rules that bookings depend on
+ */
+class DriverService {
+  constructor(notificationService = null) {
+    this.notificationService = notificationService || new NotificationService();
+    this.driverLeaveRepository = new DriverLeaveRepository();
+  }
+
+  // Qualifications
+
+  /**
+   * Get the vehicle types a driver is qualified for
+   * @param {Object} driver - Driver with vehicle_types
+   * @returns {Array<string>} Vehicle types
+   */
+  getVehicleTypes(driver) {
+    const types = typeof driver.vehicle_types === 'string'
+      ? JSON.parse(driver.vehicle_types)
+      : driver.vehicle_types;
+    return Array.isArray(types) ? types : [];
+  }
+
+  /**
+   * Check that a driver's status lets them be put on bookings
+   * @param {Object} driver - Driver
+   * @throws {Error} With status 400 if the driver is inactive
+   */
+  validateStatus(driver) {
+    if (ASSIGNABLE_STATUSES.includes(driver.status)) return;
+
+    throw createServiceError(`${driver.name} is ${driver.status} and cannot be assigned to bookings`, 400, { driver_status: driver.status });
+  }
+
+  /**
+   * Check that a driver is qualified for a vehicle's type
+   * @param {Object} driver - Driver
+   * @param {Object} vehicle - Vehicle
+   * @throws {Error} With status 400 if the vehicle type isn't among the driver's qualifications
+   */
+  validateQualification(driver, vehicle) {
+    if (!vehicle || this.getVehicleTypes(driver).includes(vehicle.type)) return;
+
+    throw createServiceError(
+      `${driver.name} is not qualified to drive ${vehicle.type} vehicles like ${vehicle.plate_number}`,
+      400,
+      { vehicle_type: vehicle.type, qualified_types: this.getVehicleTypes(driver) }
+    );
+  }
+
+  /**
+   * Get the drivers who can be assigned to a vehicle for a time window
+   * A driver is eligible when they are qualified for the vehicle's type, their licence covers the
+   * window and they have no other active booking or approved leave overlapping it
+   * @param {Object} criteria - Eligibility criteria
+   * @param {string|number} criteria.vehicle_id - Vehicle ID
+   * @param {string|Date} criteria.start - Window start
+   * @param {string|Date} criteria.end - Window end
+   * @param {string|number} [criteria.exclude_booking_id] - Booking being edited
+   * @returns {Promise<Object>} { vehicle, drivers, ineligible } where ineligible entries have driver and reasons
+   */
+  async getEligibleDrivers({ vehicle_id, start, end, exclude_booking_id }) {
+    const vehicle = await Vehicle.findByPk(vehicle_id);
+    if (!vehicle) {
+      throw createServiceError('Vehicle not found', 404);
+    }
+
+    if (new Date(end) <= new Date(start)) {
+      throw createServiceError('End must be after start', 400);
+    }
+
+    const drivers = await Driver.findAll({
+      where: { status: { [Op.in]: ASSIGNABLE_STATUSES } },
+      order: [['name', 'ASC']]
+    });
+
+    const busyDriverIds = await this.findBusyDriverIds(start, end, exclude_booking_id);
+    const leave = await this.driverLeaveRepository.findApprovedInRange({ start_date: start, end_date: end });
+    const leaveByDriver = new Map(leave.map(window => [window.driver_id, window]));
+
+    const eligible = [];
+    const ineligible = [];
+
+    for (const driver of drivers) {
+      const reasons = [];
+      if (!this.getVehicleTypes(driver).includes(vehicle.type)) {
+        reasons.push(`not qualified for ${vehicle.type} vehicles`);
+      }
+      const validUntil = this.getLicenseValidUntil(driver);
+      if (validUntil && validUntil < new Date(end)) {
+        reasons.push(`licence expires ${validUntil.toISOString().split('T')[0]}`);
+      }
+      if (busyDriverIds.has(driver.id)) {
+        reasons.push('already booked during this time');
+      }
+      if (leaveByDriver.has(driver.id)) {
+        reasons.push(`on ${leaveByDriver.get(driver.id).leave_type} leave until ${new Date(leaveByDriver.get(driver.id).end_date).toISOString().split('T')[0]}`);
+      }
+
+      if (reasons.length === 0) {
+        eligible.push(driver);
+      } else {
+        ineligible.push({ driver, reasons });
+      }
+    }
+
+    return { vehicle, drivers: eligible, ineligible };
+  }
+
+  /**
+   * Find drivers with an active booking overlapping a time window
+   * @param {string|Date} start - Window start
+   * @param {string|Date} end - Window end
+   * @param {string|number} [excludeBookingId] - Booking to ignore
+   * @returns {Promise<Set<number>>} Driver IDs
+   */
+  async findBusyDriverIds(start, end, excludeBookingId = null) {
+    const where = {
+      driver_id: { [Op.ne]: null },
+      status: { [Op.in]: SCHEDULE_BLOCKING_STATUSES },
+      start_date: { [Op.lt]: new Date(end) },
+      end_date: { [Op.gt]: new Date(start) }
+    };
+    if (excludeBookingId) {
+      where.id = { [Op.ne]: excludeBookingId };
+    }
+
+    const bookings = await Booking.findAll({ where, attributes: ['driver_id'] });
+    return new Set(bookings.map(booking => booking.driver_id));
+  }
+
+  // Licence expiry
+
+  /**
+   * Last moment a licence is valid: the end of its expiry date
+   * @param {Object} driver - Driver with license_expiry
+   * @returns {Date|null} Expiry time, or null if no expiry is recorded
+   */
+  getLicenseValidUntil(driver) {
+    if (!driver.license_expiry) return null;
+
+    const validUntil = new Date(driver.license_expiry);
+    validUntil.setUTCHours(23, 59, 59, 999);
+    return validUntil;
+  }
+
+  /**
+   * Check that a driver's licence is valid until a booking ends
+   * @param {Object} driver - Driver
+   * @param {string|Date} endDate - Booking end
+   * @throws {Error} With status 400 if the licence expires first
+   */
+  validateLicense(driver, endDate) {
+    const validUntil = this.getLicenseValidUntil(driver);
+    if (!validUntil || !endDate || validUntil >= new Date(endDate)) return;
+
+    const expiry = validUntil.toISOString().split('T')[0];
+    throw createServiceError(
+      validUntil < new Date()
+        ? `${driver.name}'s licence expired on ${expiry}`
+        : `${driver.name}'s licence expires on ${expiry}, before the booking ends`,
+      400,
+      { license_expiry: driver.license_expiry }
+    );
+  }
+
+  /**
+   * Get drivers whose licences have expired or expire soon
+   * @param {Object} [options] - Options
+   * @param {number} [options.days=30] - How far ahead to look
+   * @returns {Promise<Object>} { expired, expiring } entries with driver, days_left and affected_bookings
+   */
+  async getLicenseAlerts({ days = 30 } = {}) {
+    const now = new Date();
+    const drivers = await Driver.findAll({
+      where: {
+        status: { [Op.ne]: 'inactive' },
+        license_expiry: { [Op.ne]: null, [Op.lte]: new Date(now.getTime() + days * DAY_MS) }
+      },
+      order: [['license_expiry', 'ASC']]
+    });
+
+    const entries = await Promise.all(drivers.map(async driver => ({
+      driver,
+      days_left: this.getDaysLeft(driver, now),
+      affected_bookings: await this.countBookingsAfterExpiry(driver)
+    })));
+
+    return {
+      expired: entries.filter(entry => entry.days_left < 0),
+      expiring: entries.filter(entry => entry.days_left >= 0)
+    };
+  }
+
+  /**
+   * Warn admins as licences reach 30, 14 and 7 days from expiry
+   * Each warning is sent once per driver until the expiry date changes
+   * @returns {Promise<Array>} Drivers warned about
+   */
+  async notifyExpiringLicenses() {
+    const { expiring } = await this.getLicenseAlerts({ days: Math.max(...LICENSE_WARNING_DAYS) });
+    const warned = [];
+
+    for (const { driver, days_left: daysLeft, affected_bookings: affected } of expiring) {
+      // The tightest threshold reached; a missed run skips straight to it
+      const threshold = Math.min(...LICENSE_WARNING_DAYS.filter(days => days >= daysLeft));
+      if (driver.license_expiry_notified_days != null && driver.license_expiry_notified_days <= threshold) continue;
+
+      const expiry = this.getLicenseValidUntil(driver).toISOString().split('T')[0];
+      await this.notificationService.notifyRole('admin', {
+        type: 'license_expiring',
+        title: `${driver.name}'s licence expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+        message: `Licence ${driver.license_number} expires on ${expiry}.` +
+          (affected > 0
+            ? ` ${affected} upcoming booking${affected === 1 ? ' ends' : 's end'} after that date and need${affected === 1 ? 's' : ''} another driver.`
+            : ' They cannot be assigned to bookings ending after that date.')
+      });
+      await driver.update({ license_expiry_notified_days: threshold });
+      warned.push(driver);
+    }
+
+    return warned;
+  }
+
+  /**
+   * Whole days until a licence expires (negative once expired)
+   * @param {Object} driver - Driver with license_expiry
+   * @param {Date} now - Current time
+   * @returns {number} Days left
+   */
+  getDaysLeft(driver, now) {
+    return Math.floor((this.getLicenseValidUntil(driver) - now) / DAY_MS);
+  }
+
+  /**
+   * Count the driver's upcoming bookings that end after their licence expires
+   * @param {Object} driver - Driver with license_expiry
+   * @returns {Promise<number>} Booking count
+   */
+  async countBookingsAfterExpiry(driver) {
+    return await Booking.count({
+      where: {
+        driver_id: driver.id,
+        status: { [Op.in]: UPCOMING_BOOKING_STATUSES },
+        end_date: { [Op.gt]: this.getLicenseValidUntil(driver) }
+      }
+    });
+  }
+}
+
+module.exports = DriverService;
+module.exports.LICENSE_WARNING_DAYS = LICENSE_WARNING_DAYS;
@@ -0,0 +1,211 @@
+const { Op } = require('sequelize');
+const { Booking } = require('../models');
+const DriverService = require('./DriverService');
+const { SCHEDULE_BLOCKING_STATUSES } = require('./repositories');
+
+// Bookings that count towards a driver's workload and rest
+const WORKING_STATUSES = [...SCHEDULE_BLOCKING_STATUSES, 'completed'];
+
+// Workload is balanced over this many days before the booking starts
+const WORKLOAD_DAYS = 30;
+
+// Rest between trips: below the minimum scores nothing, from the full amount up scores everything
+const MIN_REST_HOURS = 10;
+const FULL_REST_HOURS = 24;
+
+// Experience beyond this many years earns no extra points
+const FULL_EXPERIENCE_YEARS = 10;
+
+// Points each factor is worth, out of 100
+const WEIGHTS = {
+  rest: 40,
+  workload: 35,
+  experience: 25
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_LIMIT = 3;
+
+/**
+ * Ranks drivers for a booking
+ * Qualification, licence validity and overlapping bookings rule a driver out (see
+ * DriverService.getEligibleDrivers); the rest are scored on rest around the trip, their
+ * workload over the past 30 days and experience
+ */
+class DriverSuggestionService {
+  constructor(driverService = null) {
+    this.driverService = driverService || new DriverService();
+  }
+
+  /**
+   * Suggest drivers for a vehicle and time window, best first
+   * @param {Object} criteria - See DriverService.getEligibleDrivers
+   * @param {number} [limit=3] - Number of suggestions
+   * @returns {Promise<Object>} { suggestions, ineligible } where each suggestion has driver, score, breakdown and reasons
+   */
+  async suggestDrivers(criteria, limit = DEFAULT_LIMIT) {
+    const { drivers, ineligible } = await this.driverService.getEligibleDrivers(criteria);
+    if (drivers.length === 0) {
+      return { suggestions: [], ineligible };
+    }
+
+    const start = new Date(criteria.start);
+    const end = new Date(criteria.end);
+    const history = await this.findWorkHistory(drivers.map(driver => driver.id), start, end, criteria.exclude_booking_id);
+
+    const workloads = new Map(drivers.map(driver => [driver.id, this.getWorkloadHours(history.get(driver.id) || [], start)]));
+    const maxWorkload = Math.max(...workloads.values());
+
+    const suggestions = drivers.map(driver => {
+      const rest = this.scoreRest(history.get(driver.id) || [], start, end);
+      const workload = this.scoreWorkload(workloads.get(driver.id), maxWorkload);
+      const experience = this.scoreExperience(driver.experience_years);
+      const breakdown = { rest: rest.points, workload: workload.points, experience: experience.points };
+
+      return {
+        driver,
+        score: Math.round(rest.points + workload.points + experience.points),
+        breakdown,
+        reasons: [rest.reason, workload.reason, experience.reason]
+      };
+    });
+
+    // Ties go to the driver who has worked less, then by name
+    suggestions.sort((a, b) =>
+      b.score - a.score ||
+      workloads.get(a.driver.id) - workloads.get(b.driver.id) ||
+      a.driver.name.localeCompare(b.driver.name)
+    );
+
+    return { suggestions: suggestions.slice(0, limit), ineligible };
+  }
+
+  /**
+   * Find the drivers' bookings from the workload period up to a day after the window
+   * @param {Array<number>} driverIds - Driver IDs
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @param {string|number} [excludeBookingId] - Booking being edited
+   * @returns {Promise<Map>} Bookings by driver ID
+   */
+  async findWorkHistory(driverIds, start, end, excludeBookingId = null) {
+    const where = {
+      driver_id: { [Op.in]: driverIds },
+      status: { [Op.in]: WORKING_STATUSES },
+      start_date: { [Op.lt]: new Date(end.getTime() + FULL_REST_HOURS * HOUR_MS) },
+      end_date: { [Op.gt]: new Date(start.getTime() - WORKLOAD_DAYS * DAY_MS) }
+    };
+    if (excludeBookingId) {
+      where.id = { [Op.ne]: excludeBookingId };
+    }
+
+    const bookings = await Booking.findAll({
+      where,
+      attributes: ['id', 'driver_id', 'start_date', 'end_date', 'actual_start_date', 'actual_end_date', 'status']
+    });
+
+    const history = new Map();
+    bookings.forEach(booking => {
+      if (!history.has(booking.driver_id)) history.set(booking.driver_id, []);
+      history.get(booking.driver_id).push(booking);
+    });
+    return history;
+  }
+
+  /**
+   * Hours driven in the workload period before the window starts
+   * @param {Array} bookings - Driver's bookings
+   * @param {Date} start - Window start
+   * @returns {number} Hours
+   */
+  getWorkloadHours(bookings, start) {
+    const periodStart = start.getTime() - WORKLOAD_DAYS * DAY_MS;
+
+    return bookings.reduce((hours, booking) => {
+      const { from, to } = this.getWorkedPeriod(booking);
+      const overlap = Math.min(to, start.getTime()) - Math.max(from, periodStart);
+      return overlap > 0 ? hours + overlap / HOUR_MS : hours;
+    }, 0);
+  }
+
+  /**
+   * When a booking actually kept the driver busy, falling back to the planned times
+   * @param {Object} booking - Booking
+   * @returns {Object} { from, to } in milliseconds
+   */
+  getWorkedPeriod(booking) {
+    return {
+      from: new Date(booking.actual_start_date || booking.start_date).getTime(),
+      to: new Date(booking.actual_end_date || booking.end_date).getTime()
+    };
+  }
+
+  /**
+   * Score the shorter rest: since the driver's last trip, or before their next one
+   * @param {Array} bookings - Driver's bookings
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @returns {Object} { points, reason }
+   */
+  scoreRest(bookings, start, end) {
+    let restHours = Infinity;
+    let side = null;
+
+    bookings.forEach(booking => {
+      const { from, to } = this.getWorkedPeriod(booking);
+      if (to <= start.getTime() && (start.getTime() - to) / HOUR_MS < restHours) {
+        restHours = (start.getTime() - to) / HOUR_MS;
+        side = 'since their last trip';
+      } else if (from >= end.getTime() && (from - end.getTime()) / HOUR_MS < restHours) {
+        restHours = (from - end.getTime()) / HOUR_MS;
+        side = 'before their next trip';
+      }
+    });
+
+    if (restHours >= FULL_REST_HOURS) {
+      return { points: WEIGHTS.rest, reason: 'Well rested: no trips within a day of this booking' };
+    }
+
+    const share = Math.max(0, (restHours - MIN_REST_HOURS) / (FULL_REST_HOURS - MIN_REST_HOURS));
+    const hours = Math.floor(restHours);
+    return {
+      points: Math.round(WEIGHTS.rest * share),
+      reason: restHours < MIN_REST_HOURS
+        ? `Only ${hours}h rest ${side}, under the ${MIN_REST_HOURS}h minimum`
+        : `${hours}h rest ${side}`
+    };
+  }
+
+  /**
+   * Score workload against the busiest candidate, so the least used drivers rank first
+   * @param {number} hours - Driver's workload hours
+   * @param {number} maxHours - Busiest candidate's workload hours
+   * @returns {Object} { points, reason }
+   */
+  scoreWorkload(hours, maxHours) {
+    const share = maxHours > 0 ? 1 - hours / maxHours : 1;
+    return {
+      points: Math.round(WEIGHTS.workload * share),
+      reason: hours > 0
+        ? `${Math.round(hours)}h driven in the last ${WORKLOAD_DAYS} days${maxHours > hours ? ` (busiest candidate: ${Math.round(maxHours)}h)` : ''}`
+        : `No trips in the last ${WORKLOAD_DAYS} days`
+    };
+  }
+
+  /**
+   * Score years of experience
+   * @param {number} years - Driver's experience_years
+   * @returns {Object} { points, reason }
+   */
+  scoreExperience(years) {
+    const experience = Math.max(0, years || 0);
+    return {
+      points: Math.round(WEIGHTS.experience * Math.min(experience, FULL_EXPERIENCE_YEARS) / FULL_EXPERIENCE_YEARS),
+      reason: `${experience} year${experience === 1 ? '' : 's'} of experience`
+    };
+  }
+}
+
+module.exports = DriverSuggestionService;
@@ -0,0 +1,142 @@
+const { Job, User, Booking, Vehicle } = require('../models');
+const mailConfig = require('../config/mail');
+const { createTransport } = require('./mail/transports');
+const { templates } = require('./mail/templates');
+
+// Events users can opt out of, one template each
+const EMAIL_EVENTS = Object.keys(templates);
+
+// Notification types that also go out by email, and the email event they use
+const NOTIFICATION_EMAIL_EVENTS = {
+  booking_created: 'booking_created',
+  approval_required: 'approval_required',
+  approval_escalated: 'approval_required',
+  booking_approved: 'booking_approved',
+  booking_rejected: 'booking_rejected',
+  booking_cancelled: 'booking_cancelled'
+};
+
+const SEND_EMAIL_JOB = 'send_email';
+
+/**
+ * Service layer for email notifications
+ * Emails are rendered when queued and sent by the job scheduler, so a mail outage
+ * only delays delivery and never fails the booking action that triggered it
+ */
+class EmailService {
+  /**
+   * @param {Object} [transport] - Mail transport; defaults to the one named in the mail config
+   * @param {Object} [config] - Mail config
+   */
+  constructor(transport = null, config = mailConfig) {
+    this.config = config;
+    this.transport = transport;
+  }
+
+  /**
+   * Get the mail transport, creating it on first use
+   * @returns {Object} Transport with a send method
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(this.config);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Queue emails for a notification, if its type is sent by email
+   * @param {string} notificationType - Notification type
+   * @param {Array<number>} userIds - Recipients
+   * @param {number} bookingId - Related booking
+   * @param {string} [message] - Extra detail shown under the booking summary
+   * @returns {Promise<Array>} Queued jobs
+   */
+  async queueForNotification(notificationType, userIds, bookingId, message = null) {
+    const event = NOTIFICATION_EMAIL_EVENTS[notificationType];
+    if (!event || !bookingId) return [];
+
+    return await this.queue(event, userIds, bookingId, message);
+  }
+
+  /**
+   * Render and queue an email to each recipient who hasn't opted out of the event
+   * @param {string} event - Email event (see EMAIL_EVENTS)
+   * @param {Array<number>} userIds - Recipients
+   * @param {number} bookingId - Related booking
+   * @param {string} [message] - Extra detail shown under the booking summary
+   * @returns {Promise<Array>} Queued jobs
+   */
+  async queue(event, userIds, bookingId, message = null) {
+    const recipients = await User.findAll({
+      where: { id: userIds, status: 'active' },
+      attributes: ['id', 'name', 'email', 'email_opt_outs']
+    });
+
+    const subscribed = recipients.filter(user => !(user.email_opt_outs || []).includes(event));
+    if (subscribed.length === 0) return [];
+
+    const booking = await Booking.findByPk(bookingId, {
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'name'] },
+        { model: Vehicle, as: 'vehicle', attributes: ['id', 'plate_number', 'make', 'model'] }
+      ]
+    });
+    if (!booking) return [];
+
+    const jobs = [];
+    for (const recipient of subscribed) {
+      const { subject, html, text } = templates[event](this.buildContext(booking, recipient, message));
+
+      jobs.push(await Job.create({
+        type: SEND_EMAIL_JOB,
+        payload: { event, to: recipient.email, subject, html, text },
+        max_attempts: this.config.maxAttempts
+      }));
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Build the data a template renders
+   * @param {Object} booking - Booking with user and vehicle
+   * @param {Object} recipient - Recipient user
+   * @param {string} [message] - Extra detail
+   * @returns {Object} Template context
+   */
+  buildContext(booking, recipient, message) {
+    const vehicle = booking.vehicle
+      ? `${booking.vehicle.plate_number} (${booking.vehicle.make} ${booking.vehicle.model})`
+      : 'Unknown vehicle';
+
+    return {
+      recipient: recipient.name,
+      booking_id: booking.id,
+      vehicle,
+      requester: booking.user ? booking.user.name : 'Unknown',
+      start_date: booking.start_date,
+      end_date: booking.end_date,
+      message,
+      link: `${this.config.appUrl}/bookings/${booking.id}`
+    };
+  }
+
+  /**
+   * Send a queued email; throws so the scheduler retries on failure
+   * @param {Object} payload - Queued email (to, subject, html, text)
+   */
+  async deliver({ to, subject, html, text }) {
+    await this.getTransport().send({
+      from: this.config.from,
+      to,
+      subject,
+      html,
+      text
+    });
+  }
+}
+
+module.exports = EmailService;
+module.exports.EMAIL_EVENTS = EMAIL_EVENTS;
+module.exports.SEND_EMAIL_JOB = SEND_EMAIL_JOB;
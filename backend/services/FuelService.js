@@ -0,0 +1,521 @@
+const { Op } = require('sequelize');
+const { FuelLog, Vehicle, Booking, User } = require('../models');
+const { logActivity } = require('../middleware/audit');
+const { removeUpload } = require('../middleware/upload');
+const { createServiceError } = require('../utils/errors');
+
+// Fill-ups can be logged during or after a trip
+const FUEL_BOOKING_STATUSES = ['in_progress', 'completed'];
+
+// A segment is flagged when its consumption is this far off the vehicle's usual figure
+const ANOMALY_HIGH_FACTOR = 1.5;
+const ANOMALY_LOW_FACTOR = 0.5;
+
+// A vehicle's own median is used as its baseline once it has this many measured segments
+const MIN_BASELINE_SEGMENTS = 3;
+
+// History read before the report window, for the opening full tank and the baseline
+const BASELINE_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOG_FIELDS = ['booking_id', 'filled_at', 'litres', 'cost', 'odometer', 'is_full_tank', 'station', 'notes'];
+
+const VEHICLE_ATTRIBUTES = ['id', 'plate_number', 'make', 'model', 'type', 'fuel_type'];
+
+/**
+ * Service layer for fuel logs and consumption analytics
+ * Consumption is measured tank to tank: the litres put in since the previous full tank
+ * over the distance driven since then
+ */
+class FuelService {
+  /**
+   * Get fuel logs
+   * @param {Object} filters - Filter options
+   * @param {string|number} [filters.vehicle_id] - Vehicle ID
+   * @param {string|number} [filters.booking_id] - Booking ID
+   * @param {string} [filters.start_date] - Earliest fill-up
+   * @param {string} [filters.end_date] - Latest fill-up
+   * @returns {Promise<Array>} Fuel logs, most recent first
+   */
+  async getLogs({ vehicle_id, booking_id, start_date, end_date } = {}) {
+    const where = {};
+    if (vehicle_id) where.vehicle_id = vehicle_id;
+    if (booking_id) where.booking_id = booking_id;
+    if (start_date || end_date) {
+      where.filled_at = {
+        ...(start_date && { [Op.gte]: new Date(start_date) }),
+        ...(end_date && { [Op.lte]: new Date(end_date) })
+      };
+    }
+
+    return await FuelLog.findAll({
+      where,
+      include: [
+        { model: Vehicle, as: 'vehicle', attributes: VEHICLE_ATTRIBUTES },
+        { model: Booking, as: 'booking', attributes: ['id', 'purpose', 'start_date', 'end_date'] },
+        { model: User, as: 'createdBy', attributes: ['id', 'name'] }
+      ],
+      order: [['filled_at', 'DESC'], ['id', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a fuel log or fail
+   * @param {string|number} id - Fuel log ID
+   * @returns {Promise<Object>} Fuel log
+   */
+  async getLogById(id) {
+    const log = await FuelLog.findByPk(id);
+
+    if (!log) {
+      throw createServiceError('Fuel log not found', 404);
+    }
+
+    return log;
+  }
+
+  /**
+   * Record a fill-up
+   * @param {Object} data - Log data with vehicle_id, litres, odometer and optional booking_id
+   * @param {Object} [receipt] - Uploaded receipt ({ path, name })
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created log
+   */
+  async createLog(data, receipt, user) {
+    const vehicle = await Vehicle.findByPk(data.vehicle_id);
+    if (!vehicle) {
+      throw createServiceError('Vehicle not found', 404);
+    }
+
+    const logData = this.normaliseLog(this.pickFields(data, LOG_FIELDS));
+    logData.filled_at = logData.filled_at || new Date();
+
+    this.validateFilledAt(logData.filled_at);
+    await this.validateBooking(logData.booking_id, vehicle.id);
+    await this.validateOdometer(vehicle.id, logData.filled_at, logData.odometer);
+
+    const log = await FuelLog.create({
+      ...logData,
+      vehicle_id: vehicle.id,
+      created_by: user.id,
+      ...(receipt && { receipt_path: receipt.path, receipt_name: receipt.name })
+    });
+
+    await this.syncVehicleMileage(vehicle, log.odometer);
+    await logActivity(user.id, 'CREATE', 'fuel_log', log.id, null, log.toJSON(), `${log.litres} L of fuel logged for ${vehicle.plate_number}`);
+
+    return log;
+  }
+
+  /**
+   * Update a fill-up, replacing its receipt if a new one was uploaded
+   * @param {string|number} id - Fuel log ID
+   * @param {Object} data - Fields to update
+   * @param {Object} [receipt] - Uploaded receipt ({ path, name })
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated log
+   */
+  async updateLog(id, data, receipt, user) {
+    const log = await this.getLogById(id);
+    const oldValues = log.toJSON();
+    const changes = this.normaliseLog(this.pickFields(data, LOG_FIELDS));
+
+    const filledAt = changes.filled_at || log.filled_at;
+    const odometer = changes.odometer !== undefined ? changes.odometer : log.odometer;
+
+    this.validateFilledAt(filledAt);
+    if (changes.booking_id !== undefined) {
+      await this.validateBooking(changes.booking_id, log.vehicle_id);
+    }
+    if (changes.filled_at || changes.odometer !== undefined) {
+      await this.validateOdometer(log.vehicle_id, filledAt, odometer, log.id);
+    }
+
+    const oldReceipt = receipt ? log.receipt_path : null;
+    await log.update({
+      ...changes,
+      ...(receipt && { receipt_path: receipt.path, receipt_name: receipt.name })
+    });
+    await removeUpload(oldReceipt);
+
+    const vehicle = await Vehicle.findByPk(log.vehicle_id);
+    await this.syncVehicleMileage(vehicle, log.odometer);
+    await logActivity(user.id, 'UPDATE', 'fuel_log', log.id, oldValues, log.toJSON(), `Fuel log for ${vehicle.plate_number} updated`);
+
+    return log;
+  }
+
+  /**
+   * Delete a fill-up and its receipt
+   * @param {string|number} id - Fuel log ID
+   * @param {Object} user - Current user
+   */
+  async deleteLog(id, user) {
+    const log = await this.getLogById(id);
+    const oldValues = log.toJSON();
+
+    await log.destroy();
+    await removeUpload(log.receipt_path);
+
+    await logActivity(user.id, 'DELETE', 'fuel_log', log.id, oldValues, null, 'Fuel log deleted');
+  }
+
+  // Consumption
+
+  /**
+   * Fuel consumption report: litres per 100 km per vehicle, fleet averages and anomalous fill-ups
+   * @param {Object} filters - Filter options
+   * @param {string} [filters.start_date] - Window start (default 30 days ago)
+   * @param {string} [filters.end_date] - Window end (default now)
+   * @param {string|number} [filters.vehicle_id] - Only this vehicle
+   * @param {string} [filters.vehicle_type] - Only vehicles of this type
+   * @returns {Promise<Object>} { period, fleet, by_type, vehicles, anomalies }
+   */
+  async getConsumptionReport({ start_date, end_date, vehicle_id, vehicle_type } = {}) {
+    const endDate = end_date ? new Date(end_date) : new Date();
+    const startDate = start_date ? new Date(start_date) : new Date(endDate.getTime() - 30 * DAY_MS);
+
+    if (endDate <= startDate) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+
+    const vehicleWhere = {};
+    if (vehicle_id) vehicleWhere.id = vehicle_id;
+    if (vehicle_type) vehicleWhere.type = vehicle_type;
+
+    const logs = await FuelLog.findAll({
+      where: {
+        filled_at: {
+          [Op.gte]: new Date(startDate.getTime() - BASELINE_DAYS * DAY_MS),
+          [Op.lte]: endDate
+        }
+      },
+      include: [{ model: Vehicle, as: 'vehicle', attributes: VEHICLE_ATTRIBUTES, where: vehicleWhere }],
+      order: [['filled_at', 'ASC'], ['odometer', 'ASC'], ['id', 'ASC']]
+    });
+
+    const inPeriod = (date) => new Date(date) >= startDate && new Date(date) <= endDate;
+
+    // Group fill-ups and tank-to-tank segments by vehicle
+    const byVehicle = new Map();
+    logs.forEach(log => {
+      if (!byVehicle.has(log.vehicle_id)) {
+        byVehicle.set(log.vehicle_id, { vehicle: log.vehicle, logs: [] });
+      }
+      byVehicle.get(log.vehicle_id).logs.push(log);
+    });
+
+    const vehicles = [...byVehicle.values()].map(({ vehicle, logs: vehicleLogs }) => {
+      const segments = this.calculateSegments(vehicleLogs);
+      const periodLogs = vehicleLogs.filter(log => inPeriod(log.filled_at));
+      const periodSegments = segments.filter(segment => inPeriod(segment.filled_at));
+
+      return {
+        vehicle,
+        segments: periodSegments,
+        baseline: this.median(segments.filter(this.isMeasured).map(segment => segment.l_per_100km)),
+        baselineSegments: segments.filter(this.isMeasured).length,
+        ...this.summarise(periodLogs, periodSegments)
+      };
+    }).filter(entry => entry.fills > 0);
+
+    // Vehicles with too little history are compared against the type average
+    const byType = this.groupByType(vehicles);
+    const typeAverages = Object.fromEntries(byType.map(entry => [entry.type, entry.l_per_100km]));
+
+    const anomalies = [];
+    const vehicleReports = vehicles.map(entry => {
+      const expected = entry.baselineSegments >= MIN_BASELINE_SEGMENTS
+        ? entry.baseline
+        : typeAverages[entry.vehicle.type];
+
+      const flagged = entry.segments
+        .map(segment => this.detectAnomaly(segment, expected))
+        .filter(Boolean)
+        .map(anomaly => ({ ...anomaly, vehicle_id: entry.vehicle.id, plate_number: entry.vehicle.plate_number }));
+      anomalies.push(...flagged);
+
+      return {
+        vehicle: entry.vehicle,
+        fills: entry.fills,
+        litres: entry.litres,
+        cost: entry.cost,
+        distance: entry.distance,
+        l_per_100km: entry.l_per_100km,
+        cost_per_km: entry.cost_per_km,
+        expected_l_per_100km: expected != null ? this.round(expected) : null,
+        anomalies: flagged.length
+      };
+    });
+
+    const fleetSegments = vehicles.flatMap(entry => entry.segments);
+    const fleet = this.summarise(
+      logs.filter(log => inPeriod(log.filled_at)),
+      fleetSegments
+    );
+
+    return {
+      period: { start_date: startDate, end_date: endDate },
+      fleet: { ...fleet, vehicles: vehicleReports.length, anomalies: anomalies.length },
+      by_type: byType,
+      vehicles: vehicleReports.sort((a, b) => (b.l_per_100km || 0) - (a.l_per_100km || 0)),
+      anomalies: anomalies.sort((a, b) => new Date(b.filled_at) - new Date(a.filled_at))
+    };
+  }
+
+  /**
+   * Split a vehicle's fill-ups into tank-to-tank segments
+   * Partial fills count towards the next full tank; fills before the first full tank are skipped
+   * @param {Array} logs - The vehicle's logs in fill-up order
+   * @returns {Array} Segments ending at each full tank after the first
+   */
+  calculateSegments(logs) {
+    const segments = [];
+    let previousFull = null;
+    let litres = 0;
+
+    logs.forEach(log => {
+      if (!previousFull) {
+        if (log.is_full_tank) previousFull = log;
+        return;
+      }
+
+      litres += Number(log.litres);
+      if (!log.is_full_tank) return;
+
+      const distance = log.odometer - previousFull.odometer;
+      segments.push({
+        fuel_log_id: log.id,
+        previous_fuel_log_id: previousFull.id,
+        filled_at: log.filled_at,
+        odometer: log.odometer,
+        distance,
+        litres: this.round(litres),
+        l_per_100km: distance > 0 ? this.round((litres / distance) * 100) : null
+      });
+
+      previousFull = log;
+      litres = 0;
+    });
+
+    return segments;
+  }
+
+  /**
+   * Check a segment against the consumption expected for its vehicle
+   * @param {Object} segment - Tank-to-tank segment
+   * @param {number|null} expected - Expected litres per 100 km
+   * @returns {Object|null} Anomaly with a reason, or null if the segment looks plausible
+   */
+  detectAnomaly(segment, expected) {
+    let reason = null;
+
+    if (segment.distance <= 0) {
+      reason = `${segment.litres} L added without the odometer moving since the previous full tank`;
+    } else if (expected && segment.l_per_100km > expected * ANOMALY_HIGH_FACTOR) {
+      reason = `${segment.l_per_100km} L/100 km is well above the expected ${this.round(expected)} L/100 km`;
+    } else if (expected && segment.l_per_100km < expected * ANOMALY_LOW_FACTOR) {
+      reason = `${segment.l_per_100km} L/100 km is well below the expected ${this.round(expected)} L/100 km (a missed fill-up?)`;
+    }
+
+    return reason
+      ? { ...segment, expected_l_per_100km: expected ? this.round(expected) : null, reason }
+      : null;
+  }
+
+  /**
+   * Total up fill-ups and measured segments
+   * @param {Array} logs - Fill-ups in the period
+   * @param {Array} segments - Segments closing in the period
+   * @returns {Object} { fills, litres, cost, distance, l_per_100km, cost_per_km }
+   */
+  summarise(logs, segments) {
+    const measured = segments.filter(this.isMeasured);
+    const distance = measured.reduce((sum, segment) => sum + segment.distance, 0);
+    const measuredLitres = measured.reduce((sum, segment) => sum + segment.litres, 0);
+    const cost = logs.reduce((sum, log) => sum + Number(log.cost), 0);
+
+    return {
+      fills: logs.length,
+      litres: this.round(logs.reduce((sum, log) => sum + Number(log.litres), 0)),
+      cost: this.round(cost),
+      distance,
+      l_per_100km: distance > 0 ? this.round((measuredLitres / distance) * 100) : null,
+      cost_per_km: distance > 0 ? this.round(cost / distance) : null
+    };
+  }
+
+  /**
+   * Average consumption per vehicle type, weighted by distance
+   * @param {Array} vehicles - Per-vehicle entries with segments
+   * @returns {Array} [{ type, vehicles, distance, litres, l_per_100km }]
+   */
+  groupByType(vehicles) {
+    const types = {};
+
+    vehicles.forEach(entry => {
+      const type = entry.vehicle.type;
+      const totals = types[type] || (types[type] = { type, vehicles: 0, distance: 0, litres: 0 });
+      const measured = entry.segments.filter(this.isMeasured);
+
+      totals.vehicles += 1;
+      totals.distance += measured.reduce((sum, segment) => sum + segment.distance, 0);
+      totals.litres += measured.reduce((sum, segment) => sum + segment.litres, 0);
+    });
+
+    return Object.values(types).map(totals => ({
+      ...totals,
+      litres: this.round(totals.litres),
+      l_per_100km: totals.distance > 0 ? this.round((totals.litres / totals.distance) * 100) : null
+    }));
+  }
+
+  /**
+   * Whether a segment has a usable consumption figure
+   * @param {Object} segment - Segment
+   * @returns {boolean} True if the vehicle moved
+   */
+  isMeasured(segment) {
+    return segment.distance > 0;
+  }
+
+  // Validation helpers
+
+  /**
+   * Reject fill-ups in the future
+   * @param {Date} filledAt - Fill-up time
+   */
+  validateFilledAt(filledAt) {
+    if (new Date(filledAt) > new Date()) {
+      throw createServiceError('Fill-up time cannot be in the future', 400);
+    }
+  }
+
+  /**
+   * Check that a linked booking is a trip in the same vehicle
+   * @param {number|null} bookingId - Booking ID
+   * @param {number} vehicleId - Vehicle ID
+   */
+  async validateBooking(bookingId, vehicleId) {
+    if (!bookingId) return;
+
+    const booking = await Booking.findByPk(bookingId, { attributes: ['id', 'vehicle_id', 'status'] });
+    if (!booking) {
+      throw createServiceError('Booking not found', 404);
+    }
+
+    if (booking.vehicle_id !== vehicleId) {
+      throw createServiceError('The booking is for a different vehicle', 400);
+    }
+
+    if (!FUEL_BOOKING_STATUSES.includes(booking.status)) {
+      throw createServiceError('Fuel can only be logged against trips that have started', 400);
+    }
+  }
+
+  /**
+   * Keep odometer readings in order with the vehicle's other fill-ups
+   * @param {number} vehicleId - Vehicle ID
+   * @param {Date} filledAt - Fill-up time
+   * @param {number} odometer - Odometer reading
+   * @param {number} [excludeId] - Log being updated
+   */
+  async validateOdometer(vehicleId, filledAt, odometer, excludeId = null) {
+    const where = { vehicle_id: vehicleId };
+    if (excludeId) where.id = { [Op.ne]: excludeId };
+
+    const [previous, next] = await Promise.all([
+      FuelLog.findOne({
+        where: { ...where, filled_at: { [Op.lte]: filledAt } },
+        order: [['filled_at', 'DESC']]
+      }),
+      FuelLog.findOne({
+        where: { ...where, filled_at: { [Op.gt]: filledAt } },
+        order: [['filled_at', 'ASC']]
+      })
+    ]);
+
+    if (previous && odometer < previous.odometer) {
+      throw createServiceError(
+        `Odometer reading (${odometer} km) is lower than the previous fill-up's (${previous.odometer} km)`,
+        400
+      );
+    }
+
+    if (next && odometer > next.odometer) {
+      throw createServiceError(
+        `Odometer reading (${odometer} km) is higher than the next fill-up's (${next.odometer} km)`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Move the vehicle's mileage forward to a newer odometer reading
+   * @param {Object} vehicle - Vehicle
+   * @param {number} odometer - Odometer reading
+   */
+  async syncVehicleMileage(vehicle, odometer) {
+    if (odometer > (vehicle.mileage || 0)) {
+      await vehicle.update({ mileage: odometer });
+    }
+  }
+
+  /**
+   * Convert request values to column types; multipart forms send everything as strings
+   * @param {Object} data - Picked fields
+   * @returns {Object} Normalised fields
+   */
+  normaliseLog(data) {
+    const log = { ...data };
+
+    if (log.booking_id !== undefined) log.booking_id = log.booking_id ? parseInt(log.booking_id) : null;
+    if (log.filled_at !== undefined) log.filled_at = log.filled_at ? new Date(log.filled_at) : undefined;
+    if (log.litres !== undefined) log.litres = Number(log.litres);
+    if (log.cost !== undefined) log.cost = Number(log.cost) || 0;
+    if (log.odometer !== undefined) log.odometer = parseInt(log.odometer);
+    if (log.is_full_tank !== undefined) log.is_full_tank = log.is_full_tank === true || log.is_full_tank === 'true';
+    if (log.station !== undefined) log.station = log.station || null;
+    if (log.notes !== undefined) log.notes = log.notes || null;
+
+    return log;
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {Array<number>} values - Values
+   * @returns {number|null} Median, or null for an empty list
+   */
+  median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Round to two decimal places
+   * @param {number} value - Value
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Copy the given fields that are present in the data
+   * @param {Object} data - Request data
+   * @param {Array<string>} fields - Allowed fields
+   * @returns {Object} Picked fields
+   */
+  pickFields(data, fields) {
+    return fields.reduce((picked, field) => {
+      if (data[field] !== undefined) picked[field] = data[field];
+      return picked;
+    }, {});
+  }
+}
+
+module.exports = FuelService;
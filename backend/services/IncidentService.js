@@ -0,0 +1,361 @@
+const { Op } = require('sequelize');
+const { Incident, Booking, Vehicle, Driver, User } = require('../models');
+const NotificationService = require('./NotificationService');
+const { logActivity } = require('../middleware/audit');
+const { createServiceError } = require('../utils/errors');
+
+const INCIDENT_TYPES = ['damage', 'collision', 'near_miss', 'injury', 'other'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const INCIDENT_STATUSES = ['reported', 'investigating', 'action_required', 'closed'];
+
+// Investigation workflow: each status and the statuses it can move to. Closed incidents can be reopened.
+const STATUS_TRANSITIONS = {
+  reported: ['investigating', 'closed'],
+  investigating: ['action_required', 'closed'],
+  action_required: ['investigating', 'closed'],
+  closed: ['investigating']
+};
+
+// Bookings an incident can be reported against: the vehicle is with the employee or has just come back
+const REPORTABLE_STATUSES = ['approved', 'in_progress', 'completed'];
+
+const DETAIL_FIELDS = ['incident_type', 'severity', 'occurred_at', 'location', 'description'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INCIDENT_INCLUDES = [
+  { model: Booking, as: 'booking', attributes: ['id', 'user_id', 'purpose', 'start_date', 'end_date', 'status'] },
+  { model: Vehicle, as: 'vehicle', attributes: ['id', 'plate_number', 'make', 'model', 'type'] },
+  { model: Driver, as: 'driver', attributes: ['id', 'name'] },
+  { model: User, as: 'reportedBy', attributes: ['id', 'name'] },
+  { model: User, as: 'investigatedBy', attributes: ['id', 'name'] },
+  { model: User, as: 'closedBy', attributes: ['id', 'name'] }
+];
+
+/**
+ * Service layer for damage and incident reports
+ * An incident is reported against a booking and records the booking's vehicle and driver at the time.
+ * Admins take it through investigation to a corrective action before closing it.
+ */
+class IncidentService {
+  constructor(notificationService = null) {
+    this.notificationService = notificationService || new NotificationService();
+  }
+
+  /**
+   * Get incidents
+   * @param {Object} filters - Filter options
+   * @param {string|number} [filters.booking_id] - Booking ID
+   * @param {string|number} [filters.vehicle_id] - Vehicle ID
+   * @param {string|number} [filters.driver_id] - Driver ID
+   * @param {string} [filters.status] - Investigation status, or "open" for anything not closed
+   * @param {string} [filters.severity] - Severity
+   * @returns {Promise<Array>} Incidents, most recent first
+   */
+  async getIncidents({ booking_id, vehicle_id, driver_id, status, severity } = {}) {
+    const where = {};
+    if (booking_id) where.booking_id = booking_id;
+    if (vehicle_id) where.vehicle_id = vehicle_id;
+    if (driver_id) where.driver_id = driver_id;
+    if (status) where.status = status === 'open' ? { [Op.ne]: 'closed' } : status;
+    if (severity) where.severity = severity;
+
+    return await Incident.findAll({
+      where,
+      include: INCIDENT_INCLUDES,
+      order: [['occurred_at', 'DESC']],
+      limit: 200
+    });
+  }
+
+  /**
+   * Get an incident or fail
+   * @param {string|number} id - Incident ID
+   * @returns {Promise<Object>} Incident
+   */
+  async getIncidentById(id) {
+    const incident = await Incident.findByPk(id, { include: INCIDENT_INCLUDES });
+
+    if (!incident) {
+      throw createServiceError('Incident not found', 404);
+    }
+
+    return incident;
+  }
+
+  /**
+   * Get a booking's incidents
+   * @param {string|number} bookingId - Booking ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Array>} Incidents
+   */
+  async getBookingIncidents(bookingId, user) {
+    const booking = await this.findBooking(bookingId);
+    this.validateAccess(booking, user);
+
+    return await this.getIncidents({ booking_id: booking.id });
+  }
+
+  /**
+   * Report an incident against a booking
+   * The vehicle and driver are taken from the booking
+   * @param {string|number} bookingId - Booking ID
+   * @param {Object} data - incident_type, severity, occurred_at, location, description
+   * @param {Array<Object>} photos - Uploaded photos ({ path, name })
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created incident
+   */
+  async reportIncident(bookingId, data, photos, user) {
+    const booking = await this.findBooking(bookingId);
+    this.validateAccess(booking, user);
+
+    if (!REPORTABLE_STATUSES.includes(booking.status)) {
+      throw createServiceError('Incidents can only be reported on approved, in-progress or completed bookings', 400);
+    }
+
+    const occurredAt = data.occurred_at ? new Date(data.occurred_at) : new Date();
+    if (occurredAt > new Date()) {
+      throw createServiceError('An incident cannot be reported for a future time', 400);
+    }
+
+    const incident = await Incident.create({
+      booking_id: booking.id,
+      vehicle_id: booking.vehicle_id,
+      driver_id: booking.driver_id || null,
+      incident_type: data.incident_type,
+      severity: data.severity,
+      occurred_at: occurredAt,
+      location: data.location || null,
+      description: data.description,
+      photos: photos || [],
+      reported_by: user.id
+    });
+
+    await logActivity(
+      user.id,
+      'CREATE',
+      'incident',
+      incident.id,
+      null,
+      incident.toJSON(),
+      `${this.capitalise(incident.severity)} ${this.formatType(incident.incident_type)} reported for ${booking.vehicle.plate_number} on booking #${booking.id}`
+    );
+
+    await this.notificationService.notifyRole('admin', {
+      type: 'incident_reported',
+      title: `${this.capitalise(incident.severity)} ${this.formatType(incident.incident_type)} reported for ${booking.vehicle.plate_number}`,
+      message: incident.description,
+      booking_id: booking.id
+    }, { exclude: user.id });
+
+    return await this.getIncidentById(incident.id);
+  }
+
+  /**
+   * Update an incident's details or move it through the investigation workflow
+   * Moving to action_required or closed needs the corrective action taken
+   * @param {string|number} id - Incident ID
+   * @param {Object} data - Detail fields, status, investigation_notes and corrective_action
+   * @param {Array<Object>} photos - Further photos to attach ({ path, name })
+   * @param {Object} user - Current user (admin)
+   * @returns {Promise<Object>} Updated incident
+   */
+  async updateIncident(id, data, photos, user) {
+    const incident = await this.getIncidentById(id);
+    const oldValues = incident.toJSON();
+
+    const changes = this.pickFields(data, [...DETAIL_FIELDS, 'investigation_notes', 'corrective_action']);
+    if (changes.description === null) {
+      throw createServiceError('Description cannot be empty', 400);
+    }
+    if (changes.occurred_at) {
+      changes.occurred_at = new Date(changes.occurred_at);
+      if (changes.occurred_at > new Date()) {
+        throw createServiceError('An incident cannot be reported for a future time', 400);
+      }
+    }
+
+    const status = data.status && data.status !== incident.status ? data.status : null;
+    if (status) {
+      if (!STATUS_TRANSITIONS[incident.status].includes(status)) {
+        throw createServiceError(`A ${this.formatStatus(incident.status)} incident cannot move to ${this.formatStatus(status)}`, 400);
+      }
+
+      const correctiveAction = changes.corrective_action !== undefined ? changes.corrective_action : incident.corrective_action;
+      if (['action_required', 'closed'].includes(status) && !correctiveAction) {
+        throw createServiceError('Record the corrective action before moving the incident on', 400);
+      }
+
+      changes.status = status;
+      if (status === 'investigating' && !incident.investigated_by) {
+        changes.investigated_by = user.id;
+      }
+      if (status === 'closed') {
+        changes.closed_by = user.id;
+        changes.closed_at = new Date();
+      } else {
+        changes.closed_by = null;
+        changes.closed_at = null;
+      }
+    }
+
+    if (photos && photos.length > 0) {
+      changes.photos = [...incident.photos, ...photos];
+    }
+
+    await incident.update(changes);
+
+    const description = status
+      ? `Incident #${incident.id} moved from ${this.formatStatus(oldValues.status)} to ${this.formatStatus(status)}`
+      : `Incident #${incident.id} updated`;
+    await logActivity(user.id, 'UPDATE', 'incident', incident.id, oldValues, incident.toJSON(), description);
+
+    if (status && incident.reported_by) {
+      await this.notificationService.notify([incident.reported_by], {
+        type: 'incident_updated',
+        title: status === 'closed'
+          ? `The incident with ${incident.vehicle.plate_number} has been closed`
+          : `The incident with ${incident.vehicle.plate_number} is now ${this.formatStatus(status)}`,
+        message: status === 'closed' ? `Corrective action: ${incident.corrective_action}` : null,
+        booking_id: incident.booking_id
+      }, { exclude: user.id });
+    }
+
+    return await this.getIncidentById(incident.id);
+  }
+
+  /**
+   * Incident counts over a period, by vehicle type, vehicle, driver, severity and status
+   * @param {Object} [options] - Report options
+   * @param {string} [options.start_date] - Start of the period (default: 90 days before the end)
+   * @param {string} [options.end_date] - End of the period (default: now)
+   * @returns {Promise<Object>} { period, totals, by_vehicle_type, by_vehicle, by_driver, by_severity, by_status }
+   */
+  async getIncidentReport({ start_date, end_date } = {}) {
+    const endDate = end_date ? new Date(end_date) : new Date();
+    const startDate = start_date ? new Date(start_date) : new Date(endDate.getTime() - 90 * DAY_MS);
+
+    if (endDate <= startDate) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+
+    const incidents = await Incident.findAll({
+      where: { occurred_at: { [Op.between]: [startDate, endDate] } },
+      include: [
+        { model: Vehicle, as: 'vehicle', attributes: ['id', 'plate_number', 'make', 'model', 'type'] },
+        { model: Driver, as: 'driver', attributes: ['id', 'name'] }
+      ]
+    });
+
+    const countBy = (keyOf, describe) => {
+      const groups = new Map();
+      incidents.forEach(incident => {
+        const key = keyOf(incident);
+        if (!groups.has(key)) {
+          groups.set(key, { ...describe(incident), total: 0, open: 0, ...Object.fromEntries(SEVERITIES.map(severity => [severity, 0])) });
+        }
+        const group = groups.get(key);
+        group.total += 1;
+        group[incident.severity] += 1;
+        if (incident.status !== 'closed') group.open += 1;
+      });
+      return [...groups.values()].sort((a, b) => b.total - a.total);
+    };
+
+    const tally = (values, field) => Object.fromEntries(
+      values.map(value => [value, incidents.filter(incident => incident[field] === value).length])
+    );
+
+    return {
+      period: { start_date: startDate, end_date: endDate },
+      totals: {
+        incidents: incidents.length,
+        open: incidents.filter(incident => incident.status !== 'closed').length
+      },
+      by_vehicle_type: countBy(incident => incident.vehicle.type, incident => ({ vehicle_type: incident.vehicle.type })),
+      by_vehicle: countBy(incident => incident.vehicle_id, incident => ({ vehicle: incident.vehicle })),
+      by_driver: countBy(
+        incident => incident.driver_id || 'none',
+        incident => ({ driver: incident.driver ? { id: incident.driver.id, name: incident.driver.name } : null })
+      ),
+      by_severity: tally(SEVERITIES, 'severity'),
+      by_status: tally(INCIDENT_STATUSES, 'status')
+    };
+  }
+
+  /**
+   * Get a booking with its vehicle or fail
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise<Object>} Booking
+   */
+  async findBooking(bookingId) {
+    const booking = await Booking.findByPk(bookingId, {
+      include: [{ model: Vehicle, as: 'vehicle' }]
+    });
+
+    if (!booking) {
+      throw createServiceError('Booking not found', 404);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Only admins and the employee who made the booking report and view its incidents
+   * @param {Object} booking - Booking
+   * @param {Object} user - Current user
+   */
+  validateAccess(booking, user) {
+    if (user.role === 'admin' || booking.user_id === user.id) return;
+
+    throw createServiceError('Access denied. Only administrators or the requesting employee can view incidents for this booking.', 403);
+  }
+
+  /**
+   * Readable incident type, e.g. "near miss"
+   * @param {string} type - Incident type
+   * @returns {string} Label
+   */
+  formatType(type) {
+    return type.replace('_', ' ');
+  }
+
+  /**
+   * Readable investigation status, e.g. "action required"
+   * @param {string} status - Status
+   * @returns {string} Label
+   */
+  formatStatus(status) {
+    return status.replace('_', ' ');
+  }
+
+  /**
+   * Capitalise the first letter of a string
+   * @param {string} text - Text
+   * @returns {string} Capitalised text
+   */
+  capitalise(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Pick known fields from request data, treating empty strings as unset
+   * @param {Object} data - Request data
+   * @param {Array<string>} fields - Allowed fields
+   * @returns {Object} Picked fields
+   */
+  pickFields(data, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field] === '' ? null : data[field];
+      }
+    });
+    return picked;
+  }
+}
+
+module.exports = IncidentService;
+module.exports.INCIDENT_TYPES = INCIDENT_TYPES;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.INCIDENT_STATUSES = INCIDENT_STATUSES;
@@ -0,0 +1,469 @@
+const { Op } = require('sequelize');
+const { sequelize, InspectionTemplate, VehicleInspection, MaintenanceRecord, Booking, Vehicle, User } = require('../models');
+const NotificationService = require('./NotificationService');
+const { logActivity } = require('../middleware/audit');
+const { createServiceError } = require('../utils/errors');
+
+const INSPECTION_TYPES = ['pre_trip', 'post_trip'];
+
+const TEMPLATE_FIELDS = ['name', 'vehicle_type', 'inspection_type', 'is_active'];
+
+const INSPECTION_LABELS = {
+  pre_trip: 'pre-trip',
+  post_trip: 'post-trip'
+};
+
+// Bookings an inspection of each type can be recorded against
+const INSPECTABLE_STATUSES = {
+  pre_trip: 'approved',
+  post_trip: 'in_progress'
+};
+
+const MAX_ITEMS = 40;
+
+// Estimated window for the repair a failed inspection opens; the workshop adjusts it
+const REPAIR_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service layer for walk-around inspections
+ * Admins define checklists per vehicle type. When a checklist applies, a trip can only start after a
+ * pre-trip inspection without critical failures, and can only be completed after a post-trip inspection.
+ * A failed critical item takes the vehicle off the road with a repair in the workshop.
+ */
+class InspectionService {
+  constructor(notificationService = null) {
+    this.notificationService = notificationService || new NotificationService();
+  }
+
+  // Checklist templates
+
+  /**
+   * Get checklist templates
+   * @param {Object} [filters] - Filter options
+   * @param {string} [filters.vehicle_type] - Vehicle type
+   * @returns {Promise<Array>} Templates
+   */
+  async getTemplates({ vehicle_type } = {}) {
+    return await InspectionTemplate.findAll({
+      where: vehicle_type ? { vehicle_type } : {},
+      order: [['vehicle_type', 'ASC'], ['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Create a checklist template
+   * @param {Object} data - Template data with name, vehicle_type, inspection_type and items
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data, user) {
+    const template = await InspectionTemplate.create({
+      ...this.pickFields(data, TEMPLATE_FIELDS),
+      items: this.normalizeItems(data.items),
+      created_by: user.id
+    });
+
+    await logActivity(user.id, 'CREATE', 'inspection_template', template.id, null, template.toJSON(), `Inspection checklist "${template.name}" created`);
+
+    return template;
+  }
+
+  /**
+   * Update a checklist template
+   * Past inspections keep the items they were recorded against
+   * @param {string|number} id - Template ID
+   * @param {Object} data - Fields to update
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(id, data, user) {
+    const template = await this.getTemplateById(id);
+    const oldValues = template.toJSON();
+
+    await template.update({
+      ...this.pickFields(data, TEMPLATE_FIELDS),
+      ...(data.items !== undefined && { items: this.normalizeItems(data.items) })
+    });
+
+    await logActivity(user.id, 'UPDATE', 'inspection_template', template.id, oldValues, template.toJSON(), `Inspection checklist "${template.name}" updated`);
+
+    return template;
+  }
+
+  /**
+   * Delete a checklist template
+   * @param {string|number} id - Template ID
+   * @param {Object} user - Current user
+   */
+  async deleteTemplate(id, user) {
+    const template = await this.getTemplateById(id);
+    const oldValues = template.toJSON();
+
+    await template.destroy();
+
+    await logActivity(user.id, 'DELETE', 'inspection_template', template.id, oldValues, null, `Inspection checklist "${template.name}" deleted`);
+  }
+
+  /**
+   * Get a template or fail
+   * @param {string|number} id - Template ID
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplateById(id) {
+    const template = await InspectionTemplate.findByPk(id);
+
+    if (!template) {
+      throw createServiceError('Inspection checklist not found', 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Find the active checklist for a vehicle type and inspection
+   * A checklist for the vehicle's own type wins over one for all types; ties go to the latest edit
+   * @param {string} vehicleType - Vehicle type
+   * @param {string} inspectionType - pre_trip or post_trip
+   * @returns {Promise<Object|null>} Template, or null if no inspection is required
+   */
+  async findChecklist(vehicleType, inspectionType) {
+    const templates = await InspectionTemplate.findAll({
+      where: {
+        is_active: true,
+        inspection_type: { [Op.in]: [inspectionType, 'both'] },
+        [Op.or]: [{ vehicle_type: vehicleType }, { vehicle_type: null }]
+      },
+      order: [['updated_at', 'DESC']]
+    });
+
+    return templates.find(template => template.vehicle_type === vehicleType) || templates[0] || null;
+  }
+
+  // Inspections
+
+  /**
+   * Get inspections
+   * @param {Object} filters - Filter options
+   * @param {string|number} [filters.vehicle_id] - Vehicle ID
+   * @param {string|number} [filters.booking_id] - Booking ID
+   * @param {string} [filters.status] - passed, defects or failed
+   * @returns {Promise<Array>} Inspections, newest first
+   */
+  async getInspections({ vehicle_id, booking_id, status } = {}) {
+    const where = {};
+    if (vehicle_id) where.vehicle_id = vehicle_id;
+    if (booking_id) where.booking_id = booking_id;
+    if (status) where.status = status;
+
+    return await VehicleInspection.findAll({
+      where,
+      include: [
+        { model: Vehicle, as: 'vehicle', attributes: ['id', 'plate_number', 'make', 'model', 'type'] },
+        { model: User, as: 'inspectedBy', attributes: ['id', 'name'] }
+      ],
+      order: [['inspected_at', 'DESC']],
+      limit: 200
+    });
+  }
+
+  /**
+   * Get an inspection or fail
+   * @param {string|number} id - Inspection ID
+   * @returns {Promise<Object>} Inspection
+   */
+  async getInspectionById(id) {
+    const inspection = await VehicleInspection.findByPk(id, {
+      include: [{ model: Booking, as: 'booking', attributes: ['id', 'user_id'] }]
+    });
+
+    if (!inspection) {
+      throw createServiceError('Inspection not found', 404);
+    }
+
+    return inspection;
+  }
+
+  /**
+   * Get a booking's checklists, its inspections and which are still outstanding
+   * @param {string|number} bookingId - Booking ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { checklists: { pre_trip, post_trip }, inspections, outstanding: { pre_trip, post_trip } }
+   */
+  async getBookingInspections(bookingId, user) {
+    const booking = await this.findBooking(bookingId);
+    this.validateAccess(booking, user);
+
+    const [preTrip, postTrip, inspections] = await Promise.all([
+      this.findChecklist(booking.vehicle.type, 'pre_trip'),
+      this.findChecklist(booking.vehicle.type, 'post_trip'),
+      VehicleInspection.findAll({
+        where: { booking_id: booking.id },
+        include: [{ model: User, as: 'inspectedBy', attributes: ['id', 'name'] }],
+        order: [['inspected_at', 'DESC']]
+      })
+    ]);
+
+    const latest = type => inspections.find(inspection => inspection.inspection_type === type);
+
+    return {
+      checklists: { pre_trip: preTrip, post_trip: postTrip },
+      inspections,
+      outstanding: {
+        pre_trip: !!preTrip && (!latest('pre_trip') || latest('pre_trip').status === 'failed'),
+        post_trip: !!postTrip && !latest('post_trip')
+      }
+    };
+  }
+
+  /**
+   * Record a walk-around inspection against a booking's checklist
+   * A failed critical item puts the vehicle into maintenance with a repair underway
+   * @param {string|number} bookingId - Booking ID
+   * @param {Object} data - inspection_type, results ([{ passed, notes }] in checklist order), odometer, notes
+   * @param {Array<Object>} photos - Uploaded photos ({ path, name })
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created inspection
+   */
+  async submitInspection(bookingId, data, photos, user) {
+    const booking = await this.findBooking(bookingId);
+    this.validateAccess(booking, user);
+
+    const inspectionType = data.inspection_type;
+    const label = INSPECTION_LABELS[inspectionType];
+    if (booking.status !== INSPECTABLE_STATUSES[inspectionType]) {
+      throw createServiceError(
+        inspectionType === 'pre_trip'
+          ? 'Pre-trip inspections are recorded on approved bookings before the trip starts'
+          : 'Post-trip inspections are recorded on trips that are underway',
+        400
+      );
+    }
+
+    const checklist = await this.findChecklist(booking.vehicle.type, inspectionType);
+    if (!checklist) {
+      throw createServiceError(`There is no active ${label} checklist for ${booking.vehicle.type} vehicles`, 400);
+    }
+
+    const results = this.evaluateResults(checklist.items, data.results);
+    const failedCritical = results.filter(result => result.critical && !result.passed);
+    const status = failedCritical.length > 0
+      ? 'failed'
+      : results.some(result => !result.passed) ? 'defects' : 'passed';
+
+    const inspection = await sequelize.transaction(async (transaction) => {
+      const created = await VehicleInspection.create({
+        booking_id: booking.id,
+        vehicle_id: booking.vehicle_id,
+        template_id: checklist.id,
+        inspection_type: inspectionType,
+        status,
+        results,
+        photos: photos || [],
+        odometer: data.odometer !== undefined && data.odometer !== '' ? parseInt(data.odometer) : null,
+        notes: data.notes || null,
+        inspected_by: user.id,
+        inspected_at: new Date()
+      }, { transaction });
+
+      if (status === 'failed') {
+        const now = new Date();
+        const repair = await MaintenanceRecord.create({
+          vehicle_id: booking.vehicle_id,
+          created_by: user.id,
+          title: `Failed ${label} inspection: ${failedCritical.map(result => result.label).join(', ')}`.slice(0, 150),
+          service_type: 'repair',
+          status: 'in_progress',
+          start_date: now,
+          end_date: new Date(now.getTime() + REPAIR_WINDOW_MS),
+          notes: failedCritical.map(result => `${result.label}: ${result.notes}`).join('\n')
+        }, { transaction });
+
+        await Vehicle.update({ status: 'maintenance' }, { where: { id: booking.vehicle_id }, transaction });
+        await created.update({ maintenance_id: repair.id }, { transaction });
+      }
+
+      return created;
+    });
+
+    const failedLabels = results.filter(result => !result.passed).map(result => result.label);
+    await logActivity(
+      user.id,
+      'CREATE',
+      'vehicle_inspection',
+      inspection.id,
+      null,
+      inspection.toJSON(),
+      `${this.capitalise(label)} inspection of ${booking.vehicle.plate_number} for booking #${booking.id} ${status === 'passed' ? 'passed' : `failed on ${failedLabels.join(', ')}`}`
+    );
+
+    if (status !== 'passed') {
+      await this.notificationService.notifyRole('admin', {
+        type: status === 'failed' ? 'inspection_failed' : 'inspection_defects',
+        title: status === 'failed'
+          ? `${booking.vehicle.plate_number} failed its ${label} inspection and is in maintenance`
+          : `${booking.vehicle.plate_number} has defects from its ${label} inspection`,
+        message: results
+          .filter(result => !result.passed)
+          .map(result => `${result.label}${result.critical ? ' (critical)' : ''}: ${result.notes}`)
+          .join('\n'),
+        booking_id: booking.id
+      }, { exclude: user.id });
+    }
+
+    return inspection;
+  }
+
+  /**
+   * Check a booking has the inspection its checklist requires before the trip starts or completes
+   * @param {Object} booking - Booking
+   * @param {Object} vehicle - Booking vehicle
+   * @param {string} inspectionType - pre_trip before starting, post_trip before completing
+   * @throws {Error} With status 400 if the inspection is missing, or a pre-trip inspection failed
+   */
+  async validateTripInspection(booking, vehicle, inspectionType) {
+    const checklist = await this.findChecklist(vehicle.type, inspectionType);
+    if (!checklist) return;
+
+    const latest = await VehicleInspection.findOne({
+      where: { booking_id: booking.id, inspection_type: inspectionType },
+      order: [['inspected_at', 'DESC']]
+    });
+
+    if (!latest) {
+      throw createServiceError(
+        inspectionType === 'pre_trip'
+          ? 'Complete the pre-trip inspection before starting the trip'
+          : 'Complete the post-trip inspection before completing the trip',
+        400
+      );
+    }
+
+    if (inspectionType === 'pre_trip' && latest.status === 'failed') {
+      const failed = latest.results.filter(result => result.critical && !result.passed).map(result => result.label);
+      throw createServiceError(
+        `The pre-trip inspection failed on ${failed.join(', ')}. Pass a new inspection once the vehicle is repaired`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Match submitted results to the checklist items
+   * @param {Array} items - Checklist items ({ label, critical })
+   * @param {Array|string} submitted - Results in checklist order ({ passed, notes }), or their JSON
+   * @returns {Array} Results with label, critical, passed and notes
+   */
+  evaluateResults(items, submitted) {
+    let results = submitted;
+    if (typeof results === 'string') {
+      try {
+        results = JSON.parse(results);
+      } catch (error) {
+        throw createServiceError('Results must be a JSON array', 400);
+      }
+    }
+
+    if (!Array.isArray(results) || results.length !== items.length) {
+      throw createServiceError(`Record a result for each of the ${items.length} checklist items`, 400);
+    }
+
+    return items.map((item, index) => {
+      const result = results[index] || {};
+      const passed = result.passed === true || result.passed === 'true';
+      const notes = typeof result.notes === 'string' ? result.notes.trim() : '';
+
+      if (!passed && !notes) {
+        throw createServiceError(`Describe the fault found on "${item.label}"`, 400);
+      }
+
+      return { label: item.label, critical: !!item.critical, passed, notes: notes || null };
+    });
+  }
+
+  /**
+   * Validate and tidy checklist items
+   * @param {Array} items - Items ({ label, critical })
+   * @returns {Array} Items with trimmed labels
+   */
+  normalizeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createServiceError('A checklist needs at least one item', 400);
+    }
+
+    if (items.length > MAX_ITEMS) {
+      throw createServiceError(`A checklist can have at most ${MAX_ITEMS} items`, 400);
+    }
+
+    const normalized = items.map(item => ({
+      label: typeof item?.label === 'string' ? item.label.trim() : '',
+      critical: !!item?.critical
+    }));
+
+    if (normalized.some(item => !item.label || item.label.length > 100)) {
+      throw createServiceError('Each checklist item needs a label of up to 100 characters', 400);
+    }
+
+    const labels = normalized.map(item => item.label.toLowerCase());
+    if (new Set(labels).size !== labels.length) {
+      throw createServiceError('Checklist items must have different labels', 400);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Get a booking with its vehicle or fail
+   * @param {string|number} bookingId - Booking ID
+   * @returns {Promise<Object>} Booking
+   */
+  async findBooking(bookingId) {
+    const booking = await Booking.findByPk(bookingId, {
+      include: [{ model: Vehicle, as: 'vehicle' }]
+    });
+
+    if (!booking) {
+      throw createServiceError('Booking not found', 404);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Only admins and the employee who runs the trip record and view its inspections
+   * @param {Object} booking - Booking
+   * @param {Object} user - Current user
+   */
+  validateAccess(booking, user) {
+    if (user.role === 'admin' || booking.user_id === user.id) return;
+
+    throw createServiceError('Access denied. Only administrators or the requesting employee can inspect this vehicle.', 403);
+  }
+
+  /**
+   * Capitalise the first letter of a string
+   * @param {string} text - Text
+   * @returns {string} Capitalised text
+   */
+  capitalise(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Pick known fields from request data, treating empty strings as unset
+   * @param {Object} data - Request data
+   * @param {Array<string>} fields - Allowed fields
+   * @returns {Object} Picked fields
+   */
+  pickFields(data, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field] === '' ? null : data[field];
+      }
+    });
+    return picked;
+  }
+}
+
+module.exports = InspectionService;
+module.exports.INSPECTION_TYPES = INSPECTION_TYPES;
@@ -0,0 +1,216 @@
+const { Op } = require('sequelize');
+const { Job } = require('../models');
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+// Running jobs older than this are assumed to belong to a crashed process
+const DEFAULT_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const RETRY_BACKOFF_MS = 30 * 1000;
+
+/**
+ * In-process job scheduler backed by the jobs table
+ * Jobs survive restarts: due jobs are picked up on the next tick and jobs left
+ * running by a crashed process are released once their lock goes stale
+ */
+class JobScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs] - How often to look for due jobs
+   * @param {number} [options.lockTimeoutMs] - When a running job is considered abandoned
+   */
+  constructor({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS } = {}) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.handlers = new Map();
+    this.intervals = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Run a job type on a fixed interval
+   * The next run is scheduled when the previous one finishes
+   * @param {string} type - Registered job type
+   * @param {number} intervalMs - Interval between runs
+   */
+  every(type, intervalMs) {
+    this.intervals.set(type, intervalMs);
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type
+   * @param {Object} [payload] - Data passed to the handler
+   * @param {Object} [options]
+   * @param {Date} [options.runAt] - Earliest time to run
+   * @param {number} [options.maxAttempts] - Attempts before the job is marked failed
+   * @returns {Promise<Object>} Created job
+   */
+  async schedule(type, payload = null, { runAt = new Date(), maxAttempts } = {}) {
+    return await Job.create({
+      type,
+      payload,
+      run_at: runAt,
+      ...(maxAttempts && { max_attempts: maxAttempts })
+    });
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.ensureRecurringJobs();
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    await this.tick();
+  }
+
+  /**
+   * Stop polling; a job that is already running finishes on its own
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Make sure every interval job has a queued run
+   */
+  async ensureRecurringJobs() {
+    for (const type of this.intervals.keys()) {
+      const queued = await Job.count({
+        where: { type, status: ['pending', 'running'] }
+      });
+
+      if (queued === 0) {
+        await this.schedule(type);
+      }
+    }
+  }
+
+  /**
+   * Run all due jobs once
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async tick() {
+    // Skip if the previous tick is still working through jobs
+    if (this.ticking) return 0;
+    this.ticking = true;
+
+    let processed = 0;
+    try {
+      await this.releaseStaleJobs();
+
+      const dueJobs = await Job.findAll({
+        where: {
+          status: 'pending',
+          run_at: { [Op.lte]: new Date() },
+          type: Array.from(this.handlers.keys())
+        },
+        order: [['run_at', 'ASC']]
+      });
+
+      for (const job of dueJobs) {
+        if (await this.claim(job)) {
+          await this.run(job);
+          processed++;
+        }
+      }
+    } catch (error) {
+      console.error('Job scheduler error:', error);
+    } finally {
+      this.ticking = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Put jobs abandoned by a crashed process back in the queue
+   */
+  async releaseStaleJobs() {
+    await Job.update(
+      { status: 'pending', locked_at: null },
+      {
+        where: {
+          status: 'running',
+          locked_at: { [Op.lt]: new Date(Date.now() - this.lockTimeoutMs) }
+        }
+      }
+    );
+  }
+
+  /**
+   * Mark a job as running, unless another worker got there first
+   * @param {Object} job - Job record
+   * @returns {Promise<boolean>} True if this worker owns the job
+   */
+  async claim(job) {
+    const lockedAt = new Date();
+    const [claimed] = await Job.update(
+      { status: 'running', locked_at: lockedAt, attempts: job.attempts + 1 },
+      { where: { id: job.id, status: 'pending' } }
+    );
+
+    if (claimed === 1) {
+      job.set({ status: 'running', locked_at: lockedAt, attempts: job.attempts + 1 });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * Failed jobs are retried with a growing delay until max_attempts is reached
+   * @param {Object} job - Claimed job record
+   */
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      await handler(job.payload || {}, job);
+
+      await job.update({
+        status: 'completed',
+        completed_at: new Date(),
+        locked_at: null,
+        last_error: null
+      });
+    } catch (error) {
+      console.error(`Job ${job.type} #${job.id} failed:`, error);
+
+      const retry = job.attempts < job.max_attempts;
+      await job.update({
+        status: retry ? 'pending' : 'failed',
+        run_at: retry ? new Date(Date.now() + RETRY_BACKOFF_MS * job.attempts * job.attempts) : job.run_at,
+        locked_at: null,
+        last_error: error.message
+      });
+
+      if (retry) return;
+    }
+
+    if (this.intervals.has(job.type)) {
+      await this.schedule(job.type, job.payload, {
+        runAt: new Date(Date.now() + this.intervals.get(job.type))
+      });
+    }
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,628 @@
+const { Op } = require('sequelize');
+const { sequelize, MaintenancePlan, MaintenanceRecord, Vehicle, User } = require('../models');
+const { BookingRepository, VehicleRepository, MaintenanceRepository } = require('./repositories');
+const NotificationService = require('./NotificationService');
+const { logActivity } = require('../middleware/audit');
+const { createServiceError } = require('../utils/errors');
+
+const SERVICE_TYPES = ['scheduled', 'repair', 'inspection', 'tyres', 'other'];
+
+// Plans this close to their due date or mileage are listed as due soon
+const DUE_SOON_DAYS = 14;
+const DUE_SOON_KM = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLAN_FIELDS = ['name', 'interval_days', 'interval_km', 'is_active'];
+
+const RECORD_FIELDS = ['plan_id', 'title', 'service_type', 'start_date', 'end_date', 'vendor', 'notes'];
+
+const VEHICLE_ATTRIBUTES = ['id', 'plate_number', 'make', 'model', 'type', 'status', 'mileage', 'last_service_date', 'next_service_date'];
+
+/**
+ * Service layer for vehicle maintenance: recurring service plans and the service history
+ * A scheduled or in-progress maintenance window blocks bookings for its vehicle
+ */
+class MaintenanceService {
+  constructor(notificationService = null) {
+    this.bookingRepository = new BookingRepository();
+    this.vehicleRepository = new VehicleRepository();
+    this.maintenanceRepository = new MaintenanceRepository();
+    this.notificationService = notificationService || new NotificationService();
+  }
+
+  // Plans
+
+  /**
+   * Get maintenance plans
+   * @param {Object} filters - Filter options
+   * @param {string|number} [filters.vehicle_id] - Vehicle ID
+   * @returns {Promise<Array>} Plans with their vehicle, soonest due first
+   */
+  async getPlans({ vehicle_id } = {}) {
+    const where = {};
+    if (vehicle_id) where.vehicle_id = vehicle_id;
+
+    return await MaintenancePlan.findAll({
+      where,
+      include: [{ model: Vehicle, as: 'vehicle', attributes: VEHICLE_ATTRIBUTES }],
+      order: [['is_active', 'DESC'], ['next_due_date', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Create a recurring maintenance plan
+   * The first due date and mileage count from the vehicle's last service
+   * @param {Object} data - Plan data
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(data, user) {
+    const vehicle = await this.findVehicle(data.vehicle_id);
+    const planData = this.pickFields(data, PLAN_FIELDS);
+    this.validateIntervals(planData);
+
+    const plan = await MaintenancePlan.create({
+      ...planData,
+      vehicle_id: vehicle.id,
+      last_service_date: vehicle.last_service_date,
+      last_service_mileage: vehicle.mileage || 0,
+      ...this.calculateNextDue(planData, vehicle.last_service_date || new Date(), vehicle.mileage || 0)
+    });
+
+    await logActivity(user.id, 'CREATE', 'maintenance_plan', plan.id, null, plan.toJSON(), `Maintenance plan "${plan.name}" created for ${vehicle.plate_number}`);
+    await this.syncNextServiceDate(vehicle);
+
+    return plan;
+  }
+
+  /**
+   * Update a maintenance plan
+   * Changing an interval recalculates the next due date and mileage from the last service
+   * @param {string|number} id - Plan ID
+   * @param {Object} data - Plan data
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated plan
+   */
+  async updatePlan(id, data, user) {
+    const plan = await MaintenancePlan.findByPk(id);
+    if (!plan) {
+      throw createServiceError('Maintenance plan not found', 404);
+    }
+
+    const oldValues = plan.toJSON();
+    const updateData = this.pickFields(data, PLAN_FIELDS);
+    const merged = { ...oldValues, ...updateData };
+    this.validateIntervals(merged);
+
+    if (updateData.interval_days !== undefined || updateData.interval_km !== undefined) {
+      Object.assign(updateData, this.calculateNextDue(
+        merged,
+        plan.last_service_date || plan.created_at,
+        plan.last_service_mileage || 0
+      ));
+    }
+
+    await plan.update(updateData);
+
+    await logActivity(user.id, 'UPDATE', 'maintenance_plan', plan.id, oldValues, plan.toJSON(), `Maintenance plan "${plan.name}" updated`);
+    await this.syncNextServiceDate(await Vehicle.findByPk(plan.vehicle_id));
+
+    return plan;
+  }
+
+  /**
+   * Check a plan repeats by days, by odometer or both
+   * @param {Object} plan - Plan attributes
+   * @throws {Error} With status 400 if neither interval is set
+   */
+  validateIntervals(plan) {
+    if (!plan.interval_days && !plan.interval_km) {
+      throw createServiceError('A maintenance plan needs an interval in days, in kilometres or both', 400);
+    }
+  }
+
+  /**
+   * Calculate when a plan next falls due
+   * @param {Object} plan - Plan with interval_days and interval_km
+   * @param {Date|string} fromDate - Date of the last service
+   * @param {number} fromMileage - Odometer reading at the last service
+   * @returns {Object} { next_due_date, next_due_mileage }
+   */
+  calculateNextDue(plan, fromDate, fromMileage) {
+    return {
+      next_due_date: plan.interval_days
+        ? new Date(new Date(fromDate).getTime() + plan.interval_days * DAY_MS)
+        : null,
+      next_due_mileage: plan.interval_km ? fromMileage + plan.interval_km : null
+    };
+  }
+
+  // Service records
+
+  /**
+   * Get maintenance records
+   * @param {Object} filters - Filter options
+   * @param {string|number} [filters.vehicle_id] - Vehicle ID
+   * @param {string} [filters.status] - Record status
+   * @returns {Promise<Array>} Records, most recent window first
+   */
+  async getRecords({ vehicle_id, status } = {}) {
+    const where = {};
+    if (vehicle_id) where.vehicle_id = vehicle_id;
+    if (status) where.status = status;
+
+    return await MaintenanceRecord.findAll({
+      where,
+      include: [
+        { model: Vehicle, as: 'vehicle', attributes: ['id', 'plate_number', 'make', 'model'] },
+        { model: MaintenancePlan, as: 'plan', attributes: ['id', 'name'] },
+        { model: User, as: 'createdBy', attributes: ['id', 'name'] }
+      ],
+      order: [['start_date', 'DESC']]
+    });
+  }
+
+  /**
+   * Schedule maintenance, reserving the vehicle for the window
+   * @param {Object} data - Record data with vehicle_id, title, start_date and end_date
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created record
+   * @throws {Error} With status 409 and a conflicts list if the window overlaps bookings or other maintenance
+   */
+  async scheduleMaintenance(data, user) {
+    const vehicle = await this.findVehicle(data.vehicle_id);
+    const recordData = this.pickFields(data, RECORD_FIELDS);
+
+    if (recordData.plan_id) {
+      await this.findPlanForVehicle(recordData.plan_id, vehicle.id);
+    }
+
+    this.validateWindow(recordData.start_date, recordData.end_date);
+    await this.validateWindowConflicts(vehicle.id, recordData.start_date, recordData.end_date);
+
+    const record = await MaintenanceRecord.create({
+      ...recordData,
+      ...this.calculateCosts(data),
+      vehicle_id: vehicle.id,
+      created_by: user.id,
+      status: 'scheduled'
+    });
+
+    await logActivity(user.id, 'CREATE', 'maintenance', record.id, null, record.toJSON(), `Maintenance "${record.title}" scheduled for ${vehicle.plate_number}`);
+
+    return record;
+  }
+
+  /**
+   * Update a scheduled or in-progress maintenance record
+   * @param {string|number} id - Record ID
+   * @param {Object} data - Record data
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated record
+   */
+  async updateRecord(id, data, user) {
+    const record = await this.findOpenRecord(id);
+    const oldValues = record.toJSON();
+    const updateData = this.pickFields(data, RECORD_FIELDS);
+
+    if (updateData.plan_id) {
+      await this.findPlanForVehicle(updateData.plan_id, record.vehicle_id);
+    }
+
+    const startDate = updateData.start_date || record.start_date;
+    const endDate = updateData.end_date || record.end_date;
+    if (updateData.start_date || updateData.end_date) {
+      this.validateWindow(startDate, endDate, record.status === 'scheduled');
+      await this.validateWindowConflicts(record.vehicle_id, startDate, endDate, record.id);
+    }
+
+    await record.update({ ...updateData, ...this.calculateCosts(data, record) });
+
+    await logActivity(user.id, 'UPDATE', 'maintenance', record.id, oldValues, record.toJSON(), `Maintenance "${record.title}" updated`);
+
+    return record;
+  }
+
+  /**
+   * Start maintenance: the vehicle goes into the workshop
+   * @param {string|number} id - Record ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated record
+   */
+  async startMaintenance(id, user) {
+    const record = await this.findOpenRecord(id);
+    if (record.status !== 'scheduled') {
+      throw createServiceError('Only scheduled maintenance can be started', 400);
+    }
+
+    const vehicle = await Vehicle.findByPk(record.vehicle_id);
+    if (vehicle.status === 'in_use') {
+      throw createServiceError(`${vehicle.plate_number} is out on a trip. Complete the trip before starting maintenance`, 400);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await record.update({ status: 'in_progress' }, { transaction });
+      await vehicle.update({ status: 'maintenance' }, { transaction });
+    });
+
+    await logActivity(user.id, 'UPDATE', 'maintenance', record.id, { status: 'scheduled' }, { status: 'in_progress' }, `Maintenance "${record.title}" started; ${vehicle.plate_number} is in the workshop`);
+
+    return record;
+  }
+
+  /**
+   * Complete maintenance: record the work and costs, and update the vehicle's service dates
+   * Serviced plans restart their interval from this service
+   * @param {string|number} id - Record ID
+   * @param {Object} data - Completion data (odometer, parts, parts_cost, labour_hours, labour_cost, completed_at, notes)
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Completed record
+   */
+  async completeMaintenance(id, data, user) {
+    const record = await this.findOpenRecord(id);
+    const vehicle = await Vehicle.findByPk(record.vehicle_id);
+
+    const completedAt = data.completed_at ? new Date(data.completed_at) : new Date();
+    if (completedAt > new Date()) {
+      throw createServiceError('Completion time cannot be in the future', 400);
+    }
+
+    const odometer = data.odometer != null ? parseInt(data.odometer) : vehicle.mileage;
+    if (odometer < (vehicle.mileage || 0)) {
+      throw createServiceError(
+        `Odometer reading (${odometer} km) cannot be lower than the vehicle's recorded mileage (${vehicle.mileage} km)`,
+        400
+      );
+    }
+
+    const oldValues = record.toJSON();
+
+    await sequelize.transaction(async (transaction) => {
+      await record.update({
+        ...this.calculateCosts(data, record),
+        ...(data.notes !== undefined && { notes: data.notes }),
+        status: 'completed',
+        completed_at: completedAt,
+        odometer
+      }, { transaction });
+
+      if (record.plan_id) {
+        const plan = await MaintenancePlan.findByPk(record.plan_id, { transaction });
+        await plan.update({
+          last_service_date: completedAt,
+          last_service_mileage: odometer,
+          overdue_notified_at: null,
+          ...this.calculateNextDue(plan, completedAt, odometer)
+        }, { transaction });
+      }
+
+      await vehicle.update({
+        last_service_date: completedAt,
+        mileage: odometer
+      }, { transaction });
+    });
+
+    await this.syncNextServiceDate(vehicle, data.next_service_date);
+    await this.releaseVehicle(vehicle.id);
+
+    await logActivity(user.id, 'UPDATE', 'maintenance', record.id, { status: oldValues.status }, record.toJSON(), `Maintenance "${record.title}" completed for ${vehicle.plate_number}`);
+
+    return record;
+  }
+
+  /**
+   * Cancel scheduled or in-progress maintenance, freeing the window
+   * @param {string|number} id - Record ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Cancelled record
+   */
+  async cancelMaintenance(id, user) {
+    const record = await this.findOpenRecord(id);
+    const oldStatus = record.status;
+
+    await record.update({ status: 'cancelled' });
+    if (oldStatus === 'in_progress') {
+      await this.releaseVehicle(record.vehicle_id);
+    }
+
+    await logActivity(user.id, 'CANCEL', 'maintenance', record.id, { status: oldStatus }, { status: 'cancelled' }, `Maintenance "${record.title}" cancelled`);
+
+    return record;
+  }
+
+  /**
+   * Total up parts and labour
+   * Parts may be itemised ({ name, quantity, unit_cost }) or given as a single parts_cost
+   * @param {Object} data - Request data
+   * @param {Object} [record] - Existing record, whose costs are kept unless replaced
+   * @returns {Object} Cost fields to save
+   */
+  calculateCosts(data, record = null) {
+    const costs = {};
+
+    if (Array.isArray(data.parts)) {
+      costs.parts = data.parts.map(part => ({
+        name: part.name,
+        quantity: Number(part.quantity) || 1,
+        unit_cost: Number(part.unit_cost) || 0
+      }));
+      costs.parts_cost = this.roundCurrency(costs.parts.reduce((sum, part) => sum + part.quantity * part.unit_cost, 0));
+    } else if (data.parts_cost !== undefined) {
+      costs.parts_cost = this.roundCurrency(Number(data.parts_cost) || 0);
+    }
+
+    if (data.labour_hours !== undefined) costs.labour_hours = data.labour_hours;
+    if (data.labour_cost !== undefined) costs.labour_cost = this.roundCurrency(Number(data.labour_cost) || 0);
+
+    return record ? costs : { parts_cost: 0, labour_cost: 0, ...costs };
+  }
+
+  /**
+   * Round an amount to cents
+   * @param {number} amount - Amount
+   * @returns {number} Rounded amount
+   */
+  roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Due and overdue
+
+  /**
+   * Get plans that are overdue or due soon, and vehicles past a manually set service date
+   * @returns {Promise<Object>} { overdue, due_soon } entries with plan, vehicle, days_overdue and km_overdue
+   */
+  async getDueMaintenance() {
+    const now = new Date();
+    const plans = await MaintenancePlan.findAll({
+      where: { is_active: true },
+      include: [{ model: Vehicle, as: 'vehicle', attributes: VEHICLE_ATTRIBUTES }]
+    });
+
+    const overdue = [];
+    const dueSoon = [];
+
+    plans.forEach(plan => {
+      const entry = this.describeDue(plan, plan.vehicle, now);
+      if (entry.overdue) overdue.push(entry);
+      else if (entry.due_soon) dueSoon.push(entry);
+    });
+
+    // Vehicles without plans still have the next service date set on the vehicle itself
+    const plannedVehicleIds = [...new Set(plans.map(plan => plan.vehicle_id))];
+    const unplannedVehicles = await Vehicle.findAll({
+      where: {
+        next_service_date: { [Op.lt]: new Date(now.getTime() + DUE_SOON_DAYS * DAY_MS) },
+        ...(plannedVehicleIds.length && { id: { [Op.notIn]: plannedVehicleIds } })
+      },
+      attributes: VEHICLE_ATTRIBUTES
+    });
+
+    unplannedVehicles.forEach(vehicle => {
+      const entry = this.describeDue({ next_due_date: vehicle.next_service_date }, vehicle, now);
+      (entry.overdue ? overdue : dueSoon).push({ ...entry, plan: null });
+    });
+
+    const byUrgency = (a, b) => (b.days_overdue || 0) - (a.days_overdue || 0) || (b.km_overdue || 0) - (a.km_overdue || 0);
+
+    return {
+      overdue: overdue.sort(byUrgency),
+      due_soon: dueSoon.sort(byUrgency)
+    };
+  }
+
+  /**
+   * Work out how far past (or close to) its due date and mileage a plan is
+   * @param {Object} plan - Plan with next_due_date and next_due_mileage
+   * @param {Object} vehicle - Vehicle with mileage
+   * @param {Date} now - Current time
+   * @returns {Object} { plan, vehicle, days_overdue, km_overdue, overdue, due_soon }
+   */
+  describeDue(plan, vehicle, now) {
+    const daysOverdue = plan.next_due_date
+      ? Math.floor((now - new Date(plan.next_due_date)) / DAY_MS)
+      : null;
+    const kmOverdue = plan.next_due_mileage != null
+      ? (vehicle.mileage || 0) - plan.next_due_mileage
+      : null;
+
+    const overdue = (plan.next_due_date != null && new Date(plan.next_due_date) <= now) ||
+      (kmOverdue != null && kmOverdue >= 0);
+    const dueSoon = (daysOverdue != null && daysOverdue > -DUE_SOON_DAYS) ||
+      (kmOverdue != null && kmOverdue > -DUE_SOON_KM);
+
+    return {
+      plan: plan.id ? plan : null,
+      vehicle,
+      days_overdue: daysOverdue,
+      km_overdue: kmOverdue,
+      overdue,
+      due_soon: !overdue && dueSoon
+    };
+  }
+
+  /**
+   * Tell admins about plans that have become overdue since the last check
+   * Each plan is reported once until it is serviced again
+   * @returns {Promise<Array>} Plans reported
+   */
+  async notifyOverduePlans() {
+    const { overdue } = await this.getDueMaintenance();
+    const newlyOverdue = overdue.filter(entry => entry.plan && !entry.plan.overdue_notified_at);
+
+    for (const { plan, vehicle, days_overdue: daysOverdue, km_overdue: kmOverdue } of newlyOverdue) {
+      const reasons = [];
+      if (daysOverdue != null && daysOverdue >= 0) reasons.push(`${daysOverdue} day(s) past its due date`);
+      if (kmOverdue != null && kmOverdue >= 0) reasons.push(`${kmOverdue} km past its due mileage`);
+
+      await this.notificationService.notifyRole('admin', {
+        type: 'maintenance_overdue',
+        title: `${vehicle.plate_number}: ${plan.name} is overdue`,
+        message: `The ${plan.name} service for ${vehicle.plate_number} is ${reasons.join(' and ')}.`
+      });
+      await plan.update({ overdue_notified_at: new Date() });
+    }
+
+    return newlyOverdue.map(entry => entry.plan);
+  }
+
+  // Helpers
+
+  /**
+   * Set the vehicle's next service date to its soonest plan due date
+   * @param {Object} vehicle - Vehicle record
+   * @param {string|Date} [override] - Date given explicitly, used when no plan repeats by days
+   */
+  async syncNextServiceDate(vehicle, override = null) {
+    const nextPlan = await MaintenancePlan.findOne({
+      where: {
+        vehicle_id: vehicle.id,
+        is_active: true,
+        next_due_date: { [Op.ne]: null }
+      },
+      order: [['next_due_date', 'ASC']]
+    });
+
+    const nextServiceDate = nextPlan ? nextPlan.next_due_date : override;
+    if (nextServiceDate) {
+      await vehicle.update({ next_service_date: nextServiceDate });
+    }
+  }
+
+  /**
+   * Put a vehicle back into service once no maintenance is underway on it
+   * @param {string|number} vehicleId - Vehicle ID
+   */
+  async releaseVehicle(vehicleId) {
+    const underway = await MaintenanceRecord.count({
+      where: { vehicle_id: vehicleId, status: 'in_progress' }
+    });
+    if (underway > 0) return;
+
+    const vehicle = await Vehicle.findByPk(vehicleId);
+    if (vehicle.status === 'maintenance') {
+      await vehicle.update({ status: 'available' });
+      await this.vehicleRepository.syncStatus(vehicleId);
+    }
+  }
+
+  /**
+   * Check the window has a positive length and, for new work, doesn't start in the past
+   * @param {string|Date} startDate - Window start
+   * @param {string|Date} endDate - Window end
+   * @param {boolean} [mustBeFuture] - Reject windows ending before now
+   */
+  validateWindow(startDate, endDate, mustBeFuture = true) {
+    if (new Date(endDate) <= new Date(startDate)) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+    if (mustBeFuture && new Date(endDate) <= new Date()) {
+      throw createServiceError('Maintenance window must end in the future', 400);
+    }
+  }
+
+  /**
+   * Check the vehicle is free of bookings and other maintenance during a window
+   * @param {number} vehicleId - Vehicle ID
+   * @param {string|Date} startDate - Window start
+   * @param {string|Date} endDate - Window end
+   * @param {number} [excludeId] - Maintenance record being updated
+   * @throws {Error} With status 409 and a conflicts list
+   */
+  async validateWindowConflicts(vehicleId, startDate, endDate, excludeId = null) {
+    const window = { vehicle_id: vehicleId, start_date: startDate, end_date: endDate };
+    const [bookings, maintenance] = await Promise.all([
+      this.bookingRepository.findConflicts(window),
+      this.maintenanceRepository.findConflicts({ ...window, exclude_id: excludeId })
+    ]);
+
+    const conflicts = [
+      ...bookings.map(booking => ({
+        booking_id: booking.id,
+        resources: ['vehicle'],
+        status: booking.status,
+        start_date: booking.start_date,
+        end_date: booking.end_date
+      })),
+      ...maintenance.map(other => ({
+        maintenance_id: other.id,
+        title: other.title,
+        resources: ['vehicle'],
+        status: other.status,
+        start_date: other.start_date,
+        end_date: other.end_date
+      }))
+    ];
+
+    if (conflicts.length > 0) {
+      throw createServiceError(
+        'The vehicle has bookings or other maintenance during this window. Move them before scheduling maintenance',
+        409,
+        { conflicts }
+      );
+    }
+  }
+
+  /**
+   * Find a vehicle or fail
+   * @param {string|number} id - Vehicle ID
+   * @returns {Promise<Object>} Vehicle
+   */
+  async findVehicle(id) {
+    const vehicle = await Vehicle.findByPk(id);
+    if (!vehicle) {
+      throw createServiceError('Vehicle not found', 404);
+    }
+    return vehicle;
+  }
+
+  /**
+   * Find a plan belonging to a vehicle or fail
+   * @param {string|number} planId - Plan ID
+   * @param {number} vehicleId - Vehicle ID
+   * @returns {Promise<Object>} Plan
+   */
+  async findPlanForVehicle(planId, vehicleId) {
+    const plan = await MaintenancePlan.findByPk(planId);
+    if (!plan || plan.vehicle_id !== vehicleId) {
+      throw createServiceError('Maintenance plan not found for this vehicle', 400);
+    }
+    return plan;
+  }
+
+  /**
+   * Find a scheduled or in-progress record or fail
+   * @param {string|number} id - Record ID
+   * @returns {Promise<Object>} Record
+   */
+  async findOpenRecord(id) {
+    const record = await MaintenanceRecord.findByPk(id);
+    if (!record) {
+      throw createServiceError('Maintenance record not found', 404);
+    }
+    if (!['scheduled', 'in_progress'].includes(record.status)) {
+      throw createServiceError(`Maintenance is already ${record.status}`, 400);
+    }
+    return record;
+  }
+
+  /**
+   * Pick known fields from request data, treating empty strings as unset
+   * @param {Object} data - Request data
+   * @param {Array<string>} fields - Allowed fields
+   * @returns {Object} Picked fields
+   */
+  pickFields(data, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field] === '' ? null : data[field];
+      }
+    });
+    return picked;
+  }
+}
+
+module.exports = MaintenanceService;
+module.exports.SERVICE_TYPES = SERVICE_TYPES;
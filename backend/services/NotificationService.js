@@ -0,0 +1,328 @@
+const { Op } = require('sequelize');
+const { Notification, User, Booking } = require('../models');
+const { createServiceError } = require('../utils/errors');
+const EmailService = require('./EmailService');
+const ApprovalDelegationService = require('./ApprovalDelegationService');
+const { realtime } = require('./RealtimeService');
+
+/**
+ * Service layer for in-app notifications
+ * Booking event helpers never throw: a failed notification must not fail the booking action
+ */
+class NotificationService {
+  constructor(emailService = null, delegationService = null) {
+    this.emailService = emailService || new EmailService();
+    this.delegationService = delegationService || new ApprovalDelegationService();
+  }
+
+  /**
+   * Notify a set of users in-app, and by email for event types that have an email template
+   * @param {Array<number>} userIds - Recipients
+   * @param {Object} data - Notification data
+   * @param {string} data.type - Notification type, e.g. approval_escalated
+   * @param {string} data.title - Short title
+   * @param {string} [data.message] - Body text
+   * @param {number} [data.booking_id] - Related booking
+   * @param {Object} [options]
+   * @param {number} [options.exclude] - User who triggered the event and doesn't need telling
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notify(userIds, { type, title, message = null, booking_id = null }, { exclude = null } = {}) {
+    const recipients = [...new Set(userIds.filter(Boolean))].filter(id => id !== exclude);
+    if (recipients.length === 0) return [];
+
+    const notifications = await Notification.bulkCreate(
+      recipients.map(user_id => ({ user_id, type, title, message, booking_id }))
+    );
+
+    try {
+      await this.emailService.queueForNotification(type, recipients, booking_id, message);
+    } catch (error) {
+      // The in-app notification is already saved
+      console.error('Email queue error:', error);
+    }
+
+    for (const notification of notifications) {
+      await realtime.publish('notification', { notification }, async (user) => user.id === notification.user_id);
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Notify every active user with a role
+   * @param {string} role - User role
+   * @param {Object} data - Notification data, see notify
+   * @param {Object} [options] - See notify
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notifyRole(role, data, options = {}) {
+    const userIds = await this.findUserIdsByRole(role);
+    return await this.notify(userIds, data, options);
+  }
+
+  /**
+   * Get IDs of active users with a role
+   * @param {string} role - User role
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  async findUserIdsByRole(role) {
+    const users = await User.findAll({
+      where: { role, status: 'active' },
+      attributes: ['id']
+    });
+
+    return users.map(user => user.id);
+  }
+
+  /**
+   * Get the users who can action an approval level
+   * A named approver (plus any escalation target) or everyone with the level's role, and whoever is
+   * standing in for them under an active delegation
+   * @param {Object} approval - Approval record
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  async findApprovalRecipients(approval) {
+    const role = approval.required_role || (approval.level === 1 ? 'approver_l1' : 'approver_l2');
+    const userIds = approval.approver_id ? [approval.approver_id] : await this.findUserIdsByRole(role);
+    const approverIds = [...userIds, approval.escalated_to_id];
+    const delegateIds = await this.delegationService.findActiveDelegateIds(approverIds);
+
+    return [...approverIds, ...delegateIds];
+  }
+
+  /**
+   * Get the people who asked for a booking: the employee and whoever created it for them
+   * @param {Object} booking - Booking record
+   * @returns {Array<number>} User IDs
+   */
+  getRequesterIds(booking) {
+    return [booking.user_id, booking.created_by];
+  }
+
+  /**
+   * Notify requesters and first-level approvers of a new booking
+   * @param {Object} booking - Created booking
+   * @param {Object} firstApproval - Level 1 approval
+   * @param {Object} actor - User who created the booking
+   */
+  async bookingCreated(booking, firstApproval, actor) {
+    try {
+      await this.notify(this.getRequesterIds(booking), {
+        type: 'booking_created',
+        title: `Booking #${booking.id} submitted`,
+        message: `${actor.name} submitted a booking for ${this.formatPeriod(booking)}. It is awaiting approval.`,
+        booking_id: booking.id
+      }, { exclude: actor.id });
+
+      if (firstApproval) {
+        await this.notify(await this.findApprovalRecipients(firstApproval), {
+          type: 'approval_required',
+          title: `Booking #${booking.id} needs your approval`,
+          message: `A new booking for ${this.formatPeriod(booking)} is waiting on a Level 1 decision.`,
+          booking_id: booking.id
+        }, { exclude: actor.id });
+      }
+    } catch (error) {
+      console.error('Booking created notification error:', error);
+    }
+  }
+
+  /**
+   * Notify requesters and the next approvers after an approval decision
+   * @param {Object} booking - Booking record
+   * @param {Object} approval - Approval that was decided
+   * @param {string} bookingStatus - Booking status after the decision
+   * @param {Object|null} nextApproval - Next pending level, if any
+   * @param {Object} actor - User who made the decision
+   */
+  async approvalDecided(booking, approval, bookingStatus, nextApproval, actor) {
+    try {
+      const requesterIds = this.getRequesterIds(booking);
+
+      if (bookingStatus === 'approved') {
+        await this.notify(requesterIds, {
+          type: 'booking_approved',
+          title: `Booking #${booking.id} approved`,
+          message: `All approval levels are complete. The booking for ${this.formatPeriod(booking)} is confirmed.`,
+          booking_id: booking.id
+        }, { exclude: actor.id });
+
+        // Self-service requests are approved before a driver is chosen
+        if (!booking.driver_id) {
+          await this.notifyRole('admin', {
+            type: 'driver_assignment_required',
+            title: `Booking #${booking.id} needs a driver`,
+            message: `The booking for ${this.formatPeriod(booking)} is approved and is waiting for a driver to be assigned.`,
+            booking_id: booking.id
+          }, { exclude: actor.id });
+        }
+      } else if (bookingStatus === 'rejected') {
+        await this.notify(requesterIds, {
+          type: 'booking_rejected',
+          title: `Booking #${booking.id} rejected`,
+          message: `${actor.name} rejected the booking at Level ${approval.level}${approval.comments ? `: "${approval.comments}"` : '.'}`,
+          booking_id: booking.id
+        }, { exclude: actor.id });
+      } else if (nextApproval) {
+        await this.notify(requesterIds, {
+          type: 'approval_level_approved',
+          title: `Booking #${booking.id} approved at Level ${approval.level}`,
+          message: `${actor.name} approved Level ${approval.level}. Awaiting Level ${nextApproval.level}.`,
+          booking_id: booking.id
+        }, { exclude: actor.id });
+
+        await this.notify(await this.findApprovalRecipients(nextApproval), {
+          type: 'approval_required',
+          title: `Booking #${booking.id} needs your approval`,
+          message: `Level ${approval.level} was approved by ${actor.name}. The booking is waiting on a Level ${nextApproval.level} decision.`,
+          booking_id: booking.id
+        }, { exclude: actor.id });
+      }
+    } catch (error) {
+      console.error('Approval notification error:', error);
+    }
+  }
+
+  /**
+   * Notify requesters and open approvers that a booking was cancelled
+   * @param {Object} booking - Booking record (before cancellation)
+   * @param {Array<Object>} pendingApprovals - Approvals that were still waiting on a decision
+   * @param {string} reason - Cancellation reason
+   * @param {Object} actor - User who cancelled
+   */
+  async bookingCancelled(booking, pendingApprovals, reason, actor) {
+    try {
+      const approverIds = [];
+      for (const approval of pendingApprovals) {
+        approverIds.push(...await this.findApprovalRecipients(approval));
+      }
+
+      await this.notify([...this.getRequesterIds(booking), ...approverIds], {
+        type: 'booking_cancelled',
+        title: `Booking #${booking.id} cancelled`,
+        message: `${actor.name} cancelled the booking for ${this.formatPeriod(booking)}${reason ? `: "${reason}"` : '.'}`,
+        booking_id: booking.id
+      }, { exclude: actor.id });
+    } catch (error) {
+      console.error('Booking cancelled notification error:', error);
+    }
+  }
+
+  /**
+   * Notify requesters that a trip was completed
+   * @param {Object} booking - Booking record
+   * @param {number} distance - Distance driven in km
+   * @param {Object} actor - User who completed the trip
+   */
+  async bookingCompleted(booking, distance, actor) {
+    try {
+      await this.notify(this.getRequesterIds(booking), {
+        type: 'booking_completed',
+        title: `Booking #${booking.id} completed`,
+        message: `The trip was checked in by ${actor.name} (${distance} km driven).`,
+        booking_id: booking.id
+      }, { exclude: actor.id });
+    } catch (error) {
+      console.error('Booking completed notification error:', error);
+    }
+  }
+
+  /**
+   * Format a booking's time window for messages
+   * @param {Object} booking - Booking record
+   * @returns {string} Human readable period
+   */
+  formatPeriod(booking) {
+    return `${new Date(booking.start_date).toLocaleString()} - ${new Date(booking.end_date).toLocaleString()}`;
+  }
+
+  /**
+   * Get a user's notifications, newest first
+   * @param {Object} user - Current user
+   * @param {Object} filters - Filter options
+   * @param {boolean} [filters.unread_only] - Only unread notifications
+   * @param {number} [filters.page] - Page number
+   * @param {number} [filters.limit] - Items per page
+   * @returns {Promise<Object>} { notifications, unread_count, pagination }
+   */
+  async getNotifications(user, { unread_only = false, page = 1, limit = 20 } = {}) {
+    const where = { user_id: user.id };
+    if (unread_only) {
+      where.read_at = null;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const [{ rows, count }, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        include: [
+          { model: Booking, as: 'booking', attributes: ['id', 'status'] }
+        ],
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+      }),
+      this.getUnreadCount(user)
+    ]);
+
+    return {
+      notifications: rows,
+      unread_count: unreadCount,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {Object} user - Current user
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(user) {
+    return await Notification.count({
+      where: { user_id: user.id, read_at: null }
+    });
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {string|number} id - Notification ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated notification
+   */
+  async markRead(id, user) {
+    const notification = await Notification.findByPk(id);
+
+    if (!notification || notification.user_id !== user.id) {
+      throw createServiceError('Notification not found', 404);
+    }
+
+    if (!notification.read_at) {
+      await notification.update({ read_at: new Date() });
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark all of the user's notifications as read
+   * @param {Object} user - Current user
+   * @returns {Promise<number>} Number of notifications updated
+   */
+  async markAllRead(user) {
+    const [updated] = await Notification.update(
+      { read_at: new Date() },
+      { where: { user_id: user.id, read_at: { [Op.is]: null } } }
+    );
+
+    return updated;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// Stream tickets only need to live long enough to open the connection
+const TICKET_EXPIRY_MS = 60 * 1000;
+
+/**
+ * Server-Sent Events hub for pushing live changes to connected browsers
+ * Each subscriber is an open response stream tied to an authenticated user
+ */
+class RealtimeService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+    // Outstanding stream tickets: ticket -> { userId, expiresAt }
+    this.tickets = new Map();
+  }
+
+  /**
+   * Issue a short-lived, single-use ticket for opening an event stream
+   * EventSource can't send an Authorization header, so the ticket travels in the query string (and
+   * so into access logs) instead of the session token. It is a random value only this hub knows,
+   * not a token, so it opens one stream and is no use anywhere else.
+   * @param {Object} user - Authenticated user
+   * @returns {string} Opaque ticket
+   */
+  issueTicket(user) {
+    this.pruneTickets();
+
+    const ticket = crypto.randomBytes(32).toString('hex');
+    this.tickets.set(ticket, { userId: user.id, expiresAt: Date.now() + TICKET_EXPIRY_MS });
+    return ticket;
+  }
+
+  /**
+   * Redeem a stream ticket, which can't be used again afterwards
+   * @param {string} ticket - Ticket from issueTicket
+   * @returns {number} User ID
+   * @throws {Error} If the ticket is unknown, already used or expired
+   */
+  redeemTicket(ticket) {
+    const entry = this.tickets.get(String(ticket));
+    this.tickets.delete(String(ticket));
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      throw new Error('Invalid event stream ticket');
+    }
+    return entry.userId;
+  }
+
+  /**
+   * Forget tickets that expired without being redeemed
+   */
+  pruneTickets() {
+    const now = Date.now();
+    for (const [ticket, entry] of this.tickets) {
+      if (entry.expiresAt <= now) this.tickets.delete(ticket);
+    }
+  }
+
+  /**
+   * Register an open SSE response for a user
+   * @param {Object} res - Express response
+   * @param {Object} user - Authenticated user
+   */
+  subscribe(res, user) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, user };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    res.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+  }
+
+  /**
+   * Check whether anyone is listening, so publishers can skip building payloads
+   * @returns {boolean} True if at least one stream is open
+   */
+  hasSubscribers() {
+    return this.clients.size > 0;
+  }
+
+  /**
+   * Send an event to every subscriber allowed to see it
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @param {Function} [canSee] - async (user) => boolean; defaults to everyone
+   */
+  async publish(event, data, canSee = async () => true) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    for (const client of this.clients) {
+      try {
+        if (await canSee(client.user)) {
+          client.res.write(message);
+        }
+      } catch (error) {
+        console.error('Realtime publish error:', error);
+      }
+    }
+  }
+
+  /**
+   * Keep idle connections open through proxies
+   */
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    if (this.heartbeat.unref) this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * End every open stream (used on shutdown)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+module.exports = RealtimeService;
+// Shared hub: every publisher and the /api/events route must use the same instance
+module.exports.realtime = new RealtimeService();
@@ -0,0 +1,260 @@
+const { Op, fn, col } = require('sequelize');
+const { Site, User, Vehicle, Driver } = require('../models');
+const { createServiceError } = require('../utils/errors');
+
+const SITE_FIELDS = ['name', 'code', 'region', 'address', 'geofence', 'manager_id', 'is_active'];
+
+const MANAGER_ROLES = ['approver_l1', 'approver_l2'];
+
+// Role that signs off a cross-site booking when the lending site has no manager
+const DEFAULT_CROSS_SITE_ROLE = 'approver_l2';
+
+/**
+ * Service layer for sites and regions
+ * Vehicles, drivers and users belong to a site. Bookings default to the requester's site, and borrowing
+ * a vehicle based at another site adds an approval level for that site's manager.
+ */
+class SiteService {
+  /**
+   * Get sites with how many vehicles, drivers and users each has
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.region] - Only sites in this region
+   * @param {boolean} [filters.include_inactive] - Include inactive sites
+   * @returns {Promise<Array>} Sites ordered by region and name
+   */
+  async getSites({ region, include_inactive = false } = {}) {
+    const where = {};
+    if (region) where.region = region;
+    if (!include_inactive) where.is_active = true;
+
+    const sites = await Site.findAll({
+      where,
+      include: [{ model: User, as: 'manager', attributes: ['id', 'name', 'email', 'role'] }],
+      order: [['region', 'ASC'], ['name', 'ASC']]
+    });
+
+    const [vehicles, drivers, users] = await Promise.all(
+      [Vehicle, Driver, User].map(model => this.countBySite(model))
+    );
+
+    return sites.map(site => ({
+      ...site.toJSON(),
+      vehicle_count: vehicles[site.id] || 0,
+      driver_count: drivers[site.id] || 0,
+      user_count: users[site.id] || 0
+    }));
+  }
+
+  /**
+   * Get a site
+   * @param {string|number} id - Site ID
+   * @returns {Promise<Object>} Site with its manager
+   */
+  async getSiteById(id) {
+    const site = await Site.findByPk(id, {
+      include: [{ model: User, as: 'manager', attributes: ['id', 'name', 'email', 'role'] }]
+    });
+
+    if (!site) {
+      throw createServiceError('Site not found', 404);
+    }
+
+    return site;
+  }
+
+  /**
+   * Create a site
+   * @param {Object} data - Site attributes
+   * @returns {Promise<Object>} Created site
+   */
+  async createSite(data) {
+    const siteData = this.pickFields(data);
+
+    if (!siteData.name || !siteData.code) {
+      throw createServiceError('Name and code are required', 400);
+    }
+
+    await this.validateManager(siteData.manager_id);
+
+    const site = await Site.create(siteData);
+    return await this.getSiteById(site.id);
+  }
+
+  /**
+   * Update a site
+   * @param {string|number} id - Site ID
+   * @param {Object} data - Site attributes to change
+   * @returns {Promise<Object>} Updated site
+   */
+  async updateSite(id, data) {
+    const site = await this.getSiteById(id);
+    const siteData = this.pickFields(data);
+
+    if (siteData.manager_id !== undefined) {
+      await this.validateManager(siteData.manager_id);
+    }
+
+    // Bookings already waiting on a cross-site level keep the approver they were given
+    await site.update(siteData);
+    return await this.getSiteById(site.id);
+  }
+
+  /**
+   * Delete a site that nothing is assigned to
+   * @param {string|number} id - Site ID
+   * @throws {Error} With status 400 if vehicles, drivers or users are still assigned
+   */
+  async deleteSite(id) {
+    const site = await this.getSiteById(id);
+
+    const [vehicles, drivers, users] = await Promise.all(
+      [Vehicle, Driver, User].map(model => model.count({ where: { site_id: site.id } }))
+    );
+
+    if (vehicles + drivers + users > 0) {
+      throw createServiceError(
+        `Reassign this site's ${vehicles} vehicle(s), ${drivers} driver(s) and ${users} user(s) before deleting it, or deactivate it instead`,
+        400
+      );
+    }
+
+    await site.destroy();
+  }
+
+  /**
+   * Find the active site whose geofence contains a position
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Promise<Object|null>} Site, or null if the position is outside every geofence
+   */
+  async findSiteAt(latitude, longitude) {
+    const sites = await Site.findAll({
+      where: { is_active: true, geofence: { [Op.ne]: null } },
+      order: [['id', 'ASC']]
+    });
+
+    return sites.find(site => this.containsPoint(site.geofence, { latitude, longitude })) || null;
+  }
+
+  /**
+   * Check a site exists and is active, for assigning records to it
+   * @param {string|number|null} siteId - Site ID (null or empty for no site)
+   * @returns {Promise<Object|null>} Site, or null when none was given
+   * @throws {Error} With status 400 if the site doesn't exist or is inactive
+   */
+  async validateSite(siteId) {
+    if (!siteId) return null;
+
+    const site = await Site.findByPk(siteId);
+    if (!site || !site.is_active) {
+      throw createServiceError('Site not found or inactive', 400);
+    }
+
+    return site;
+  }
+
+  /**
+   * Work out the extra approval level a booking needs when it borrows another site's vehicle
+   * The lending site's manager signs it off; without a manager (or when the manager already approves
+   * another level) anyone with the level's role can
+   * @param {number|null} siteId - Booking's site
+   * @param {Object} vehicle - Booked vehicle
+   * @param {Array<string|number>} [approverIds] - Named approvers of the booking's other levels
+   * @returns {Promise<Object|null>} { site_id, required_role, approver_id }, or null if the vehicle is local
+   */
+  async resolveCrossSiteApproval(siteId, vehicle, approverIds = []) {
+    if (!this.isCrossSite(siteId, vehicle)) return null;
+
+    const site = await Site.findByPk(vehicle.site_id, {
+      include: [{ model: User, as: 'manager', attributes: ['id', 'role', 'status'] }]
+    });
+
+    const manager = site && site.manager && site.manager.status === 'active' && MANAGER_ROLES.includes(site.manager.role)
+      ? site.manager
+      : null;
+    const managerNamed = manager && approverIds.filter(Boolean).map(String).includes(String(manager.id));
+
+    return {
+      site_id: vehicle.site_id,
+      required_role: manager ? manager.role : DEFAULT_CROSS_SITE_ROLE,
+      approver_id: manager && !managerNamed ? manager.id : null
+    };
+  }
+
+  /**
+   * Check whether a vehicle is based at a different site to a booking
+   * Bookings or vehicles without a site are never cross-site
+   * @param {number|null} siteId - Booking's site
+   * @param {Object} vehicle - Vehicle
+   * @returns {boolean} True if the vehicle belongs to another site
+   */
+  isCrossSite(siteId, vehicle) {
+    return Boolean(siteId && vehicle.site_id && String(vehicle.site_id) !== String(siteId));
+  }
+
+  /**
+   * Check a site manager exists and is an approver
+   * @param {string|number|null} managerId - User ID
+   * @throws {Error} With status 400 if the user can't manage a site
+   */
+  async validateManager(managerId) {
+    if (!managerId) return;
+
+    const manager = await User.findByPk(managerId);
+    if (!manager || !MANAGER_ROLES.includes(manager.role)) {
+      throw createServiceError('Site manager must be a level 1 or level 2 approver', 400);
+    }
+  }
+
+  /**
+   * Ray-casting test for a position inside a polygon
+   * @param {Array<Object>} polygon - Corners as { latitude, longitude }
+   * @param {Object} point - { latitude, longitude }
+   * @returns {boolean} True if the point is inside
+   */
+  containsPoint(polygon, point) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+        point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+      if (crosses) inside = !inside;
+    }
+    return inside;
+  }
+
+  /**
+   * Count a model's rows per site
+   * @param {Object} model - Vehicle, Driver or User
+   * @returns {Promise<Object>} Count keyed by site ID
+   */
+  async countBySite(model) {
+    const rows = await model.findAll({
+      where: { site_id: { [Op.ne]: null } },
+      attributes: ['site_id', [fn('COUNT', col('id')), 'count']],
+      group: ['site_id'],
+      raw: true
+    });
+
+    return Object.fromEntries(rows.map(row => [row.site_id, parseInt(row.count)]));
+  }
+
+  /**
+   * Pick site fields from a request body, treating empty strings as unset
+   * @param {Object} data - Request body
+   * @returns {Object} Site attributes
+   */
+  pickFields(data) {
+    const picked = {};
+    SITE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field] === '' ? null : data[field];
+      }
+    });
+    if (picked.code) picked.code = String(picked.code).trim().toUpperCase();
+    return picked;
+  }
+}
+
+module.exports = SiteService;
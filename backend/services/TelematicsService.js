@@ -0,0 +1,313 @@
+const { Op } = require('sequelize');
+const { VehiclePosition, Booking, Vehicle } = require('../models');
+const { createServiceError } = require('../utils/errors');
+
+const MAX_BATCH_SIZE = 1000;
+
+// Allowance for unit clocks running ahead of the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Traces longer than this are thinned for display; distance is always measured on every ping
+const MAX_TRACE_POINTS = 2000;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Service layer for telematics GPS positions
+ * Units post batches of pings. Each ping is stored against its vehicle and, when it falls inside a trip
+ * that was underway (between the booking's actual start and end), against that booking, so a booking's
+ * trace can be drawn with the distance travelled.
+ */
+class TelematicsService {
+  /**
+   * Store a batch of position pings
+   * Pings already stored for the same vehicle and time are skipped, so units can safely resend a batch
+   * @param {Array<Object>} positions - Pings with vehicle_id or plate_number, recorded_at, latitude,
+   *   longitude and optional speed (km/h) and odometer (km)
+   * @returns {Promise<Object>} { received, stored, duplicates, rejected: [{ index, error }] }
+   */
+  async ingestPositions(positions) {
+    if (!Array.isArray(positions) || positions.length === 0) {
+      throw createServiceError('Send at least one position', 400);
+    }
+
+    if (positions.length > MAX_BATCH_SIZE) {
+      throw createServiceError(`A batch can have at most ${MAX_BATCH_SIZE} positions`, 400);
+    }
+
+    const vehicles = await this.findVehicles(positions);
+    const latest = new Date(Date.now() + CLOCK_SKEW_MS);
+
+    const rejected = [];
+    const rows = [];
+    positions.forEach((position, index) => {
+      const vehicle = position.vehicle_id
+        ? vehicles.byId.get(parseInt(position.vehicle_id))
+        : vehicles.byPlate.get(String(position.plate_number || '').toUpperCase());
+
+      if (!vehicle) {
+        rejected.push({ index, error: 'Unknown vehicle' });
+        return;
+      }
+
+      const recordedAt = new Date(position.recorded_at);
+      if (recordedAt > latest) {
+        rejected.push({ index, error: 'Position is timestamped in the future' });
+        return;
+      }
+
+      rows.push({
+        vehicle_id: vehicle.id,
+        booking_id: null,
+        recorded_at: recordedAt,
+        latitude: parseFloat(position.latitude),
+        longitude: parseFloat(position.longitude),
+        speed: this.toNumber(position.speed, parseFloat),
+        odometer: this.toNumber(position.odometer, parseInt)
+      });
+    });
+
+    if (rows.length > 0) {
+      await this.assignBookings(rows);
+    }
+
+    // Duplicates within the batch itself are dropped here, ones already stored by the unique index
+    const unique = [...new Map(rows.map(row => [`${row.vehicle_id}:${row.recorded_at.getTime()}`, row])).values()];
+    const created = unique.length > 0
+      ? await VehiclePosition.bulkCreate(unique, { ignoreDuplicates: true, returning: ['id'] })
+      : [];
+    const stored = created.filter(position => position.id).length;
+
+    return {
+      received: positions.length,
+      stored,
+      duplicates: rows.length - stored,
+      rejected
+    };
+  }
+
+  /**
+   * Get a booking's trip trace and how far the vehicle travelled
+   * @param {string|number} bookingId - Booking ID
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} { points: [{ recorded_at, latitude, longitude, speed }], summary }
+   */
+  async getBookingTrace(bookingId, user) {
+    const booking = await Booking.findByPk(bookingId);
+
+    if (!booking) {
+      throw createServiceError('Booking not found', 404);
+    }
+
+    if (user.role !== 'admin' && booking.user_id !== user.id) {
+      throw createServiceError('Access denied. Only administrators or the requesting employee can view this trip.', 403);
+    }
+
+    const positions = await VehiclePosition.findAll({
+      where: { booking_id: booking.id },
+      attributes: ['recorded_at', 'latitude', 'longitude', 'speed', 'odometer'],
+      order: [['recorded_at', 'ASC']],
+      raw: true
+    });
+
+    const points = positions.map(position => ({
+      recorded_at: position.recorded_at,
+      latitude: parseFloat(position.latitude),
+      longitude: parseFloat(position.longitude),
+      speed: position.speed,
+      odometer: position.odometer
+    }));
+
+    return {
+      points: this.thinPoints(points).map(({ odometer, ...point }) => point),
+      summary: this.summarise(points)
+    };
+  }
+
+  /**
+   * Get a vehicle's positions over a period
+   * @param {string|number} vehicleId - Vehicle ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.from] - Start of the period (default: 24 hours before the end)
+   * @param {string} [options.to] - End of the period (default: now)
+   * @returns {Promise<Object>} { vehicle, points, summary }
+   */
+  async getVehiclePositions(vehicleId, { from, to } = {}) {
+    const vehicle = await Vehicle.findByPk(vehicleId, { attributes: ['id', 'plate_number', 'make', 'model', 'type'] });
+
+    if (!vehicle) {
+      throw createServiceError('Vehicle not found', 404);
+    }
+
+    const endDate = to ? new Date(to) : new Date();
+    const startDate = from ? new Date(from) : new Date(endDate.getTime() - 24 * 60 * 60 * 1000);
+
+    if (endDate <= startDate) {
+      throw createServiceError('End date must be after start date', 400);
+    }
+
+    const positions = await VehiclePosition.findAll({
+      where: { vehicle_id: vehicle.id, recorded_at: { [Op.between]: [startDate, endDate] } },
+      attributes: ['recorded_at', 'latitude', 'longitude', 'speed', 'odometer', 'booking_id'],
+      order: [['recorded_at', 'ASC']],
+      raw: true
+    });
+
+    const points = positions.map(position => ({
+      ...position,
+      latitude: parseFloat(position.latitude),
+      longitude: parseFloat(position.longitude)
+    }));
+
+    return {
+      vehicle,
+      points: this.thinPoints(points),
+      summary: this.summarise(points)
+    };
+  }
+
+  /**
+   * Attach each ping to the trip its vehicle was on at the time
+   * @param {Array<Object>} rows - Position rows, updated in place
+   */
+  async assignBookings(rows) {
+    const times = rows.map(row => row.recorded_at.getTime());
+    const earliest = new Date(Math.min(...times));
+    const latest = new Date(Math.max(...times));
+
+    const trips = await Booking.findAll({
+      where: {
+        vehicle_id: { [Op.in]: [...new Set(rows.map(row => row.vehicle_id))] },
+        status: { [Op.in]: ['in_progress', 'completed'] },
+        actual_start_date: { [Op.ne]: null, [Op.lte]: latest },
+        [Op.or]: [
+          { actual_end_date: null },
+          { actual_end_date: { [Op.gte]: earliest } }
+        ]
+      },
+      attributes: ['id', 'vehicle_id', 'actual_start_date', 'actual_end_date']
+    });
+
+    rows.forEach(row => {
+      const trip = trips.find(booking =>
+        booking.vehicle_id === row.vehicle_id &&
+        booking.actual_start_date <= row.recorded_at &&
+        (!booking.actual_end_date || booking.actual_end_date >= row.recorded_at)
+      );
+      row.booking_id = trip ? trip.id : null;
+    });
+  }
+
+  /**
+   * Look up the vehicles a batch refers to, by ID or plate number
+   * @param {Array<Object>} positions - Pings
+   * @returns {Promise<Object>} { byId: Map, byPlate: Map }
+   */
+  async findVehicles(positions) {
+    const ids = [...new Set(positions.filter(position => position.vehicle_id).map(position => parseInt(position.vehicle_id)))];
+    const plates = [...new Set(positions
+      .filter(position => !position.vehicle_id && position.plate_number)
+      .map(position => String(position.plate_number).toUpperCase()))];
+
+    const conditions = [];
+    if (ids.length > 0) conditions.push({ id: { [Op.in]: ids } });
+    if (plates.length > 0) conditions.push({ plate_number: { [Op.in]: plates } });
+
+    const vehicles = conditions.length > 0
+      ? await Vehicle.findAll({ where: { [Op.or]: conditions }, attributes: ['id', 'plate_number'] })
+      : [];
+
+    return {
+      byId: new Map(vehicles.map(vehicle => [vehicle.id, vehicle])),
+      byPlate: new Map(vehicles.map(vehicle => [vehicle.plate_number.toUpperCase(), vehicle]))
+    };
+  }
+
+  /**
+   * Distance, duration and speeds for a run of pings in time order
+   * @param {Array<Object>} points - Pings with recorded_at, latitude, longitude, speed and odometer
+   * @returns {Object} { points, started_at, ended_at, duration_minutes, distance_km, odometer_distance_km,
+   *   max_speed, average_speed }
+   */
+  summarise(points) {
+    if (points.length === 0) {
+      return {
+        points: 0,
+        started_at: null,
+        ended_at: null,
+        duration_minutes: 0,
+        distance_km: 0,
+        odometer_distance_km: null,
+        max_speed: null,
+        average_speed: null
+      };
+    }
+
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+      distance += this.haversineKm(points[i - 1], points[i]);
+    }
+
+    const startedAt = new Date(points[0].recorded_at);
+    const endedAt = new Date(points[points.length - 1].recorded_at);
+    const hours = (endedAt - startedAt) / (60 * 60 * 1000);
+
+    const odometers = points.map(point => point.odometer).filter(odometer => odometer !== null && odometer !== undefined);
+    const speeds = points.map(point => point.speed).filter(speed => speed !== null && speed !== undefined);
+
+    return {
+      points: points.length,
+      started_at: startedAt,
+      ended_at: endedAt,
+      duration_minutes: Math.round(hours * 60),
+      distance_km: Math.round(distance * 10) / 10,
+      odometer_distance_km: odometers.length > 1 ? odometers[odometers.length - 1] - odometers[0] : null,
+      max_speed: speeds.length > 0 ? Math.round(Math.max(...speeds)) : null,
+      average_speed: hours > 0 ? Math.round(distance / hours) : null
+    };
+  }
+
+  /**
+   * Keep every nth ping so a trace stays drawable, always keeping the last one
+   * @param {Array<Object>} points - Pings in time order
+   * @returns {Array<Object>} At most MAX_TRACE_POINTS pings
+   */
+  thinPoints(points) {
+    if (points.length <= MAX_TRACE_POINTS) return points;
+
+    const step = Math.ceil(points.length / (MAX_TRACE_POINTS - 1));
+    const thinned = points.filter((point, index) => index % step === 0);
+    if (thinned[thinned.length - 1] !== points[points.length - 1]) {
+      thinned.push(points[points.length - 1]);
+    }
+    return thinned;
+  }
+
+  /**
+   * Great-circle distance between two positions
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @returns {number} Distance in km
+   */
+  haversineKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Parse an optional numeric value
+   * @param {*} value - Request value
+   * @param {Function} parse - parseInt or parseFloat
+   * @returns {number|null} Parsed value, or null if unset
+   */
+  toNumber(value, parse) {
+    return value === undefined || value === null || value === '' ? null : parse(value);
+  }
+}
+
+module.exports = TelematicsService;
+module.exports.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
@@ -0,0 +1,366 @@
+const { Op } = require('sequelize');
+const { VehicleDocument, Vehicle, Booking, User } = require('../models');
+const NotificationService = require('./NotificationService');
+const { SCHEDULE_BLOCKING_STATUSES } = require('./repositories');
+const { logActivity } = require('../middleware/audit');
+const { removeUpload } = require('../middleware/upload');
+const { createServiceError } = require('../utils/errors');
+
+const DOCUMENT_TYPES = ['registration', 'insurance', 'roadworthiness', 'site_permit', 'other'];
+
+const DOCUMENT_LABELS = {
+  registration: 'registration',
+  insurance: 'insurance',
+  roadworthiness: 'road-worthiness certificate',
+  site_permit: 'mine-site permit',
+  other: 'document'
+};
+
+// Admins are warned when a document is this many days from expiring
+const DOCUMENT_WARNING_DAYS = [30, 14, 7];
+
+const DOCUMENT_FIELDS = ['document_type', 'document_number', 'issue_date', 'expiry_date', 'is_required', 'notes'];
+
+const VEHICLE_ATTRIBUTES = ['id', 'plate_number', 'make', 'model', 'type', 'status'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service layer for vehicle documents: registration, insurance, road-worthiness and site permits
+ * A renewal is recorded as a new document of the same type, so a vehicle's cover for a type is its
+ * latest-expiring required document of that type. Bookings can't end after that cover lapses.
+ */
+class VehicleDocumentService {
+  constructor(notificationService = null) {
+    this.notificationService = notificationService || new NotificationService();
+  }
+
+  /**
+   * Get vehicle documents
+   * @param {Object} filters - Filter options
+   * @param {string|number} [filters.vehicle_id] - Vehicle ID
+   * @param {string} [filters.document_type] - Document type
+   * @returns {Promise<Array>} Documents with their vehicle, soonest expiry first
+   */
+  async getDocuments({ vehicle_id, document_type } = {}) {
+    const where = {};
+    if (vehicle_id) where.vehicle_id = vehicle_id;
+    if (document_type) where.document_type = document_type;
+
+    return await VehicleDocument.findAll({
+      where,
+      include: [
+        { model: Vehicle, as: 'vehicle', attributes: VEHICLE_ATTRIBUTES },
+        { model: User, as: 'createdBy', attributes: ['id', 'name'] }
+      ],
+      order: [['vehicle_id', 'ASC'], ['document_type', 'ASC'], ['expiry_date', 'DESC']]
+    });
+  }
+
+  /**
+   * Get a document or fail
+   * @param {string|number} id - Document ID
+   * @returns {Promise<Object>} Document
+   */
+  async getDocumentById(id) {
+    const document = await VehicleDocument.findByPk(id);
+
+    if (!document) {
+      throw createServiceError('Vehicle document not found', 404);
+    }
+
+    return document;
+  }
+
+  /**
+   * Record a vehicle document
+   * @param {Object} data - Document data with vehicle_id, document_type and document_number
+   * @param {Object} [file] - Uploaded scan ({ path, name })
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Created document
+   */
+  async createDocument(data, file, user) {
+    const vehicle = await Vehicle.findByPk(data.vehicle_id);
+    if (!vehicle) {
+      throw createServiceError('Vehicle not found', 404);
+    }
+
+    const documentData = this.pickFields(data, DOCUMENT_FIELDS);
+    this.validateDates(documentData.issue_date, documentData.expiry_date);
+
+    const document = await VehicleDocument.create({
+      ...documentData,
+      vehicle_id: vehicle.id,
+      created_by: user.id,
+      ...(file && { file_path: file.path, file_name: file.name })
+    });
+
+    await logActivity(user.id, 'CREATE', 'vehicle_document', document.id, null, document.toJSON(), `${this.getLabel(document)} ${document.document_number} recorded for ${vehicle.plate_number}`);
+
+    return document;
+  }
+
+  /**
+   * Update a document, replacing its file if a new one was uploaded
+   * @param {string|number} id - Document ID
+   * @param {Object} data - Fields to update
+   * @param {Object} [file] - Uploaded scan ({ path, name })
+   * @param {Object} user - Current user
+   * @returns {Promise<Object>} Updated document
+   */
+  async updateDocument(id, data, file, user) {
+    const document = await this.getDocumentById(id);
+    const oldValues = document.toJSON();
+    const changes = this.pickFields(data, DOCUMENT_FIELDS);
+
+    this.validateDates(
+      changes.issue_date !== undefined ? changes.issue_date : document.issue_date,
+      changes.expiry_date !== undefined ? changes.expiry_date : document.expiry_date
+    );
+
+    // A new expiry date starts the warnings over
+    const toTime = value => (value ? new Date(value).getTime() : null);
+    const expiryChanged = changes.expiry_date !== undefined && toTime(changes.expiry_date) !== toTime(document.expiry_date);
+
+    const oldFile = file ? document.file_path : null;
+    await document.update({
+      ...changes,
+      ...(expiryChanged && { expiry_notified_days: null }),
+      ...(file && { file_path: file.path, file_name: file.name })
+    });
+    await removeUpload(oldFile);
+
+    await logActivity(user.id, 'UPDATE', 'vehicle_document', document.id, oldValues, document.toJSON(), `${this.getLabel(document)} ${document.document_number} updated`);
+
+    return document;
+  }
+
+  /**
+   * Delete a document and its file
+   * @param {string|number} id - Document ID
+   * @param {Object} user - Current user
+   */
+  async deleteDocument(id, user) {
+    const document = await this.getDocumentById(id);
+    const oldValues = document.toJSON();
+
+    await document.destroy();
+    await removeUpload(document.file_path);
+
+    await logActivity(user.id, 'DELETE', 'vehicle_document', document.id, oldValues, null, `${this.getLabel(document)} ${document.document_number} deleted`);
+  }
+
+  // Compliance
+
+  /**
+   * Last moment a document is valid: the end of its expiry date
+   * @param {Object} document - Document with expiry_date
+   * @returns {Date|null} Expiry time, or null if it doesn't expire
+   */
+  getValidUntil(document) {
+    if (!document.expiry_date) return null;
+
+    const validUntil = new Date(document.expiry_date);
+    validUntil.setUTCHours(23, 59, 59, 999);
+    return validUntil;
+  }
+
+  /**
+   * Pick each vehicle's current required document per type: the one that stays valid longest
+   * @param {Array} documents - Required documents
+   * @returns {Array} Current documents
+   */
+  getCurrentDocuments(documents) {
+    const current = new Map();
+
+    documents.forEach(document => {
+      const key = `${document.vehicle_id}:${document.document_type}`;
+      const existing = current.get(key);
+      const validUntil = this.getValidUntil(document);
+      if (!existing || (existing.validUntil && (!validUntil || validUntil > existing.validUntil))) {
+        current.set(key, { document, validUntil });
+      }
+    });
+
+    return [...current.values()].map(entry => entry.document);
+  }
+
+  /**
+   * Find a vehicle's required documents that lapse before a booking ends
+   * @param {string|number} vehicleId - Vehicle ID
+   * @param {string|Date} endDate - Booking end
+   * @returns {Promise<Array>} Lapsing documents
+   */
+  async findLapsingDocuments(vehicleId, endDate) {
+    const documents = await VehicleDocument.findAll({
+      where: { vehicle_id: vehicleId, is_required: true }
+    });
+
+    return this.getCurrentDocuments(documents)
+      .filter(document => {
+        const validUntil = this.getValidUntil(document);
+        return validUntil && validUntil < new Date(endDate);
+      });
+  }
+
+  /**
+   * Check that a vehicle's required documents stay valid until a booking ends
+   * @param {Object} vehicle - Vehicle
+   * @param {string|Date} endDate - Booking end
+   * @throws {Error} With status 400 and a documents list if any lapse first
+   */
+  async validateDocuments(vehicle, endDate) {
+    if (!vehicle || !endDate) return;
+
+    const lapsing = await this.findLapsingDocuments(vehicle.id, endDate);
+    if (lapsing.length === 0) return;
+
+    const now = new Date();
+    const reasons = lapsing.map(document => {
+      const expiry = this.getValidUntil(document).toISOString().split('T')[0];
+      return `${this.getLabel(document)} ${this.getValidUntil(document) < now ? 'expired' : 'expires'} on ${expiry}`;
+    });
+
+    throw createServiceError(
+      `${vehicle.plate_number} can't be booked past its document expiry: ${reasons.join('; ')}`,
+      400,
+      {
+        documents: lapsing.map(document => ({
+          id: document.id,
+          document_type: document.document_type,
+          document_number: document.document_number,
+          expiry_date: document.expiry_date
+        }))
+      }
+    );
+  }
+
+  /**
+   * Get current required documents that have expired or expire soon
+   * @param {Object} [options] - Options
+   * @param {number} [options.days=30] - How far ahead to look
+   * @returns {Promise<Object>} { expired, expiring } entries with document (and its vehicle), days_left and affected_bookings
+   */
+  async getExpiryAlerts({ days = 30 } = {}) {
+    const now = new Date();
+    const documents = await VehicleDocument.findAll({
+      where: { is_required: true },
+      include: [{
+        model: Vehicle,
+        as: 'vehicle',
+        attributes: VEHICLE_ATTRIBUTES,
+        where: { status: { [Op.ne]: 'out_of_service' } }
+      }]
+    });
+
+    const horizon = new Date(now.getTime() + days * DAY_MS);
+    const due = this.getCurrentDocuments(documents)
+      .filter(document => document.expiry_date && new Date(document.expiry_date) <= horizon)
+      .sort((a, b) => new Date(a.expiry_date) - new Date(b.expiry_date));
+
+    const entries = await Promise.all(due.map(async document => ({
+      document,
+      days_left: Math.floor((this.getValidUntil(document) - now) / DAY_MS),
+      affected_bookings: await this.countBookingsAfterExpiry(document)
+    })));
+
+    return {
+      expired: entries.filter(entry => entry.days_left < 0),
+      expiring: entries.filter(entry => entry.days_left >= 0)
+    };
+  }
+
+  /**
+   * Warn admins as required documents reach 30, 14 and 7 days from expiry
+   * Each warning is sent once per document until its expiry date changes
+   * @returns {Promise<Array>} Documents warned about
+   */
+  async notifyExpiringDocuments() {
+    const { expiring } = await this.getExpiryAlerts({ days: Math.max(...DOCUMENT_WARNING_DAYS) });
+    const warned = [];
+
+    for (const { document, days_left: daysLeft, affected_bookings: affected } of expiring) {
+      // The tightest threshold reached; a missed run skips straight to it
+      const threshold = Math.min(...DOCUMENT_WARNING_DAYS.filter(days => days >= daysLeft));
+      if (document.expiry_notified_days != null && document.expiry_notified_days <= threshold) continue;
+
+      const expiry = this.getValidUntil(document).toISOString().split('T')[0];
+      await this.notificationService.notifyRole('admin', {
+        type: 'vehicle_document_expiring',
+        title: `${document.vehicle.plate_number}'s ${this.getLabel(document)} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+        message: `${this.capitalise(this.getLabel(document))} ${document.document_number} expires on ${expiry}.` +
+          (affected > 0
+            ? ` ${affected} upcoming booking${affected === 1 ? ' ends' : 's end'} after that date. Record the renewal to keep ${affected === 1 ? 'it' : 'them'} valid.`
+            : ' The vehicle cannot be booked past that date until the renewal is recorded.')
+      });
+      await document.update({ expiry_notified_days: threshold });
+      warned.push(document);
+    }
+
+    return warned;
+  }
+
+  /**
+   * Count the vehicle's upcoming bookings that end after a document expires
+   * @param {Object} document - Document with expiry_date
+   * @returns {Promise<number>} Booking count
+   */
+  async countBookingsAfterExpiry(document) {
+    return await Booking.count({
+      where: {
+        vehicle_id: document.vehicle_id,
+        status: { [Op.in]: SCHEDULE_BLOCKING_STATUSES },
+        end_date: { [Op.gt]: this.getValidUntil(document) }
+      }
+    });
+  }
+
+  /**
+   * Check an expiry date doesn't come before the issue date
+   * @param {string|Date} [issueDate] - Issue date
+   * @param {string|Date} [expiryDate] - Expiry date
+   */
+  validateDates(issueDate, expiryDate) {
+    if (issueDate && expiryDate && new Date(expiryDate) < new Date(issueDate)) {
+      throw createServiceError('Expiry date cannot be before the issue date', 400);
+    }
+  }
+
+  /**
+   * Readable name of a document's type
+   * @param {Object} document - Document
+   * @returns {string} Label
+   */
+  getLabel(document) {
+    return DOCUMENT_LABELS[document.document_type] || 'document';
+  }
+
+  /**
+   * Capitalise the first letter of a string
+   * @param {string} text - Text
+   * @returns {string} Capitalised text
+   */
+  capitalise(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Pick known fields from request data, treating empty strings as unset
+   * @param {Object} data - Request data
+   * @param {Array<string>} fields - Allowed fields
+   * @returns {Object} Picked fields
+   */
+  pickFields(data, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field] === '' ? null : data[field];
+      }
+    });
+    return picked;
+  }
+}
+
+module.exports = VehicleDocumentService;
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.DOCUMENT_WARNING_DAYS = DOCUMENT_WARNING_DAYS;
@@ -0,0 +1,130 @@
+/**
+ * Email templates, one per event
+ * Each template receives the booking context and returns { subject, html, text }
+ */
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format a date for emails
+ * @param {string|Date} value - Date
+ * @returns {string} Formatted date
+ */
+const formatDate = (value) => new Date(value).toLocaleString('en-GB', {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+/**
+ * Booking details shared by every template
+ * @param {Object} context - Template context
+ * @returns {Array<Array<string>>} Label/value pairs
+ */
+const bookingDetails = (context) => [
+  ['Booking', `#${context.booking_id}`],
+  ['Vehicle', context.vehicle],
+  ['Requested by', context.requester],
+  ['From', formatDate(context.start_date)],
+  ['Until', formatDate(context.end_date)]
+];
+
+/**
+ * Wrap an event's heading and body in the common layout
+ * @param {Object} context - Template context
+ * @param {Object} content - Event content
+ * @param {string} content.subject - Email subject
+ * @param {string} content.heading - Heading line
+ * @param {string} content.intro - Opening paragraph
+ * @param {string} content.action - Call to action label
+ * @returns {Object} { subject, html, text }
+ */
+const render = (context, { subject, heading, intro, action }) => {
+  const details = bookingDetails(context);
+  const note = context.message ? context.message : null;
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #212529;">
+    <h2 style="margin-bottom: 4px;">${escapeHtml(heading)}</h2>
+    <p>Hi ${escapeHtml(context.recipient)},</p>
+    <p>${escapeHtml(intro)}</p>
+    <table cellpadding="4" style="border-collapse: collapse;">
+      ${details.map(([label, value]) => `<tr><td style="color: #6c757d;">${escapeHtml(label)}</td><td><strong>${escapeHtml(value)}</strong></td></tr>`).join('\n      ')}
+    </table>
+    ${note ? `<p style="color: #6c757d;">${escapeHtml(note)}</p>` : ''}
+    <p>
+      <a href="${escapeHtml(context.link)}" style="background: #0d6efd; color: #fff; padding: 8px 16px; border-radius: 4px; text-decoration: none;">${escapeHtml(action)}</a>
+    </p>
+    <p style="color: #6c757d; font-size: 12px;">You can choose which emails you receive from your profile in the Vehicle Booking System.</p>
+  </body>
+</html>`;
+
+  const text = [
+    heading,
+    '',
+    `Hi ${context.recipient},`,
+    '',
+    intro,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    ...(note ? ['', note] : []),
+    '',
+    `${action}: ${context.link}`,
+    '',
+    'You can choose which emails you receive from your profile in the Vehicle Booking System.'
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+const templates = {
+  booking_created: (context) => render(context, {
+    subject: `Booking #${context.booking_id} submitted - ${context.vehicle}`,
+    heading: 'Booking submitted',
+    intro: 'A booking has been submitted on your behalf and is waiting for approval.',
+    action: 'View booking'
+  }),
+
+  approval_required: (context) => render(context, {
+    subject: `Approval needed: booking #${context.booking_id} - ${context.vehicle}`,
+    heading: 'Awaiting your approval',
+    intro: 'A booking is waiting for your decision.',
+    action: 'Review booking'
+  }),
+
+  booking_approved: (context) => render(context, {
+    subject: `Booking #${context.booking_id} approved - ${context.vehicle}`,
+    heading: 'Booking approved',
+    intro: 'Your booking has been approved at every level and is confirmed.',
+    action: 'View booking'
+  }),
+
+  booking_rejected: (context) => render(context, {
+    subject: `Booking #${context.booking_id} rejected - ${context.vehicle}`,
+    heading: 'Booking rejected',
+    intro: 'Your booking was rejected during approval.',
+    action: 'View booking'
+  }),
+
+  booking_cancelled: (context) => render(context, {
+    subject: `Booking #${context.booking_id} cancelled - ${context.vehicle}`,
+    heading: 'Booking cancelled',
+    intro: 'This booking has been cancelled.',
+    action: 'View booking'
+  })
+};
+
+module.exports = {
+  templates,
+  escapeHtml
+};
@@ -0,0 +1,71 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transports share one method: send({ from, to, subject, html, text })
+ * Pick one with createTransport so callers never depend on a specific delivery mechanism
+ */
+
+/**
+ * Delivers through an SMTP server (a real relay, or a local sink such as MailHog in development)
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - nodemailer SMTP options (host, port, secure, auth)
+   */
+  constructor(options) {
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    return await this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Writes a one-line summary to the console instead of sending
+ */
+class LogTransport {
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}`);
+    return { accepted: [message.to] };
+  }
+}
+
+/**
+ * Keeps sent messages in memory so tests can inspect them
+ */
+class MemoryTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push(message);
+    return { accepted: [message.to] };
+  }
+}
+
+/**
+ * Create the transport named in the mail config
+ * @param {Object} config - Mail config (see config/mail.js)
+ * @returns {Object} Transport with a send method
+ */
+const createTransport = (config) => {
+  switch (config.transport) {
+    case 'smtp':
+      return new SmtpTransport(config.smtp);
+    case 'memory':
+      return new MemoryTransport();
+    case 'log':
+      return new LogTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+  }
+};
+
+module.exports = {
+  createTransport,
+  SmtpTransport,
+  LogTransport,
+  MemoryTransport
+};
@@ -1,4 +1,14 @@
-const { Booking, Vehicle, Driver, User, Approval, AuditLog } = require('../models');
+const { Op } = require('sequelize');
+const { Booking, Vehicle, Driver, DriverLeave, User, Approval, AuditLog, MaintenanceRecord, Site } = require('../models');
+
+// Booking statuses that hold a vehicle/driver for their time window
+const SCHEDULE_BLOCKING_STATUSES = ['pending', 'approved', 'in_progress'];
+
+// Maintenance statuses that take a vehicle off the road for their window
+const MAINTENANCE_BLOCKING_STATUSES = ['scheduled', 'in_progress'];
+
+// Leave statuses that take a driver off the schedule for their window
+const LEAVE_BLOCKING_STATUSES = ['approved'];
 
 /**
  * Repository pattern for booking-related database operations
@@ -25,7 +35,7 @@ class BookingRepository {
         {
           model: Vehicle,
           as: 'vehicle',
-          attributes: ['id', 'plate_number', 'make', 'model', 'year', 'type', 'fuel_type', 'status']
+          attributes: ['id', 'plate_number', 'make', 'model', 'year', 'type', 'fuel_type', 'status', 'mileage', 'site_id']
         },
         {
           model: Driver,
@@ -37,6 +47,11 @@ class BookingRepository {
           as: 'user',
           attributes: ['id', 'name', 'email', 'role']
         },
+        {
+          model: Site,
+          as: 'site',
+          attributes: ['id', 'name', 'code', 'region']
+        },
         {
           model: Approval,
           as: 'approvals',
@@ -45,6 +60,21 @@ class BookingRepository {
               model: User,
               as: 'approver',
               attributes: ['id', 'name', 'email', 'role']
+            },
+            {
+              model: User,
+              as: 'onBehalfOf',
+              attributes: ['id', 'name', 'email', 'role']
+            },
+            {
+              model: User,
+              as: 'escalatedTo',
+              attributes: ['id', 'name', 'email', 'role']
+            },
+            {
+              model: Site,
+              as: 'site',
+              attributes: ['id', 'name', 'code']
             }
           ],
           order: [['level', 'ASC']]
@@ -63,22 +93,11 @@ class BookingRepository {
   async findAll(options = {}) {
     const {
       page = 1,
-      limit = 10,
-      status,
-      vehicle_id,
-      user_id,
-      start_date,
-      end_date
+      limit = 10
     } = options;
 
     const offset = (page - 1) * limit;
-    const where = {};
-
-    if (status) where.status = status;
-    if (vehicle_id) where.vehicle_id = vehicle_id;
-    if (user_id) where.user_id = user_id;
-    if (start_date) where.start_date = { [Op.gte]: start_date };
-    if (end_date) where.end_date = { [Op.lte]: end_date };
+    const where = this.buildWhereClause(options);
 
     const { count, rows } = await Booking.findAndCountAll({
       where,
@@ -97,6 +116,11 @@ class BookingRepository {
           model: User,
           as: 'user',
           attributes: ['id', 'name', 'email']
+        },
+        {
+          model: Site,
+          as: 'site',
+          attributes: ['id', 'name', 'code']
         }
       ],
       limit: parseInt(limit),
@@ -115,13 +139,69 @@ class BookingRepository {
     };
   }
 
+  /**
+   * Build the where clause for booking list filters
+   * @param {Object} filters - Filter options
+   * @returns {Object} Sequelize where clause
+   */
+  buildWhereClause(filters = {}) {
+    const {
+      status,
+      vehicle_id,
+      user_id,
+      start_date,
+      end_date,
+      priority,
+      cost_center,
+      site_id
+    } = filters;
+
+    const where = {};
+
+    if (status) where.status = status;
+    if (vehicle_id) where.vehicle_id = vehicle_id;
+    if (user_id) where.user_id = user_id;
+    if (priority) where.priority = priority;
+    if (cost_center) where.cost_center = cost_center;
+    if (site_id) where.site_id = site_id;
+    if (start_date) where.start_date = { [Op.gte]: start_date };
+    if (end_date) where.end_date = { [Op.lte]: end_date };
+
+    return where;
+  }
+
+  /**
+   * Get a batch of bookings matching list filters, newest first
+   * Uses keyset pagination on ID so large result sets can be walked cheaply
+   * @param {Object} filters - Filter options
+   * @param {Object} options - Batch options
+   * @param {number} [options.beforeId] - Only return bookings with a lower ID
+   * @param {number} [options.limit] - Batch size
+   * @returns {Promise<Array>} Array of bookings without relations
+   */
+  async findBatch(filters, { beforeId = null, limit = 500 } = {}) {
+    const where = this.buildWhereClause(filters);
+
+    if (beforeId) {
+      where.id = { [Op.lt]: beforeId };
+    }
+
+    return await Booking.findAll({
+      where,
+      order: [['id', 'DESC']],
+      limit,
+      raw: true
+    });
+  }
+
   /**
    * Create a new booking
    * @param {Object} bookingData - Booking data
+   * @param {Object} [options] - Sequelize options, e.g. { transaction }
    * @returns {Promise<Object>} Created booking
    */
-  async create(bookingData) {
-    return await Booking.create(bookingData);
+  async create(bookingData, options = {}) {
+    return await Booking.create(bookingData, options);
   }
 
   /**
@@ -157,6 +237,78 @@ class BookingRepository {
     return true;
   }
 
+  /**
+   * Find active bookings overlapping a time window for a vehicle and/or driver
+   * Two windows overlap when each one starts before the other ends
+   * @param {Object} criteria - Conflict criteria
+   * @param {string|number} [criteria.vehicle_id] - Vehicle ID
+   * @param {string|number} [criteria.driver_id] - Driver ID
+   * @param {string|Date} criteria.start_date - Window start
+   * @param {string|Date} criteria.end_date - Window end
+   * @param {string|number|Array} [criteria.exclude_booking_id] - Booking(s) to ignore (when updating)
+   * @returns {Promise<Array>} Array of conflicting bookings
+   */
+  async findConflicts({ vehicle_id, driver_id, start_date, end_date, exclude_booking_id }) {
+    const resources = [];
+    if (vehicle_id) resources.push({ vehicle_id });
+    if (driver_id) resources.push({ driver_id });
+
+    if (resources.length === 0) return [];
+
+    const where = {
+      status: { [Op.in]: SCHEDULE_BLOCKING_STATUSES },
+      start_date: { [Op.lt]: new Date(end_date) },
+      end_date: { [Op.gt]: new Date(start_date) },
+      [Op.or]: resources
+    };
+
+    if (Array.isArray(exclude_booking_id)) {
+      where.id = { [Op.notIn]: exclude_booking_id };
+    } else if (exclude_booking_id) {
+      where.id = { [Op.ne]: exclude_booking_id };
+    }
+
+    return await Booking.findAll({
+      where,
+      attributes: ['id', 'vehicle_id', 'driver_id', 'start_date', 'end_date', 'status'],
+      order: [['start_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Find bookings overlapping a time window, for the fleet calendar
+   * Rejected and cancelled bookings are left out as they no longer occupy the vehicle
+   * @param {Object} range - Range options
+   * @param {string|Date} range.start_date - Window start
+   * @param {string|Date} range.end_date - Window end
+   * @param {Array<number>} range.vehicle_ids - Vehicles to include
+   * @returns {Promise<Array>} Bookings ordered by start date
+   */
+  async findInRange({ start_date, end_date, vehicle_ids }) {
+    return await Booking.findAll({
+      where: {
+        vehicle_id: { [Op.in]: vehicle_ids },
+        status: { [Op.in]: [...SCHEDULE_BLOCKING_STATUSES, 'completed'] },
+        start_date: { [Op.lt]: new Date(end_date) },
+        end_date: { [Op.gt]: new Date(start_date) }
+      },
+      attributes: ['id', 'vehicle_id', 'driver_id', 'user_id', 'created_by', 'start_date', 'end_date', 'status', 'notes'],
+      include: [
+        {
+          model: Driver,
+          as: 'driver',
+          attributes: ['id', 'name']
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'department']
+        }
+      ],
+      order: [['start_date', 'ASC']]
+    });
+  }
+
   /**
    * Get booking activities
    * @param {string|number} bookingId - Booking ID
@@ -303,6 +455,9 @@ class BookingRepository {
         case 'REJECT':
           description = 'Booking rejected';
           break;
+        case 'ESCALATE':
+          description = activity.description || 'Approval escalated';
+          break;
         default:
           description = activity.description || activity.action;
       }
@@ -350,6 +505,25 @@ class VehicleRepository {
     });
   }
 
+  /**
+   * Find vehicles shown as rows on the fleet calendar
+   * @param {Object} filters - Filter options
+   * @param {string} [filters.type] - Vehicle type
+   * @param {string} [filters.location] - Vehicle location
+   * @returns {Promise<Array>} Vehicles ordered by plate number
+   */
+  async findForSchedule({ type, location } = {}) {
+    const where = {};
+    if (type) where.type = type;
+    if (location) where.location = location;
+
+    return await Vehicle.findAll({
+      where,
+      attributes: ['id', 'plate_number', 'make', 'model', 'type', 'location', 'status'],
+      order: [['plate_number', 'ASC']]
+    });
+  }
+
   /**
    * Update vehicle status
    * @param {string|number} id - Vehicle ID
@@ -365,6 +539,83 @@ class VehicleRepository {
     await vehicle.update({ status });
     return vehicle;
   }
+
+  /**
+   * Update vehicle mileage
+   * @param {string|number} id - Vehicle ID
+   * @param {number} mileage - New odometer reading
+   * @returns {Promise<Object>} Updated vehicle
+   */
+  async updateMileage(id, mileage) {
+    const vehicle = await Vehicle.findByPk(id);
+    if (!vehicle) {
+      throw new Error('Vehicle not found');
+    }
+
+    await vehicle.update({ mileage });
+    return vehicle;
+  }
+
+  /**
+   * Recalculate a vehicle's status from its bookings
+   * Status is derived state: a vehicle is in use while a trip is underway.
+   * Maintenance and out-of-service are set manually and are left untouched.
+   * @param {string|number} id - Vehicle ID
+   * @returns {Promise<Object|null>} Updated vehicle or null if not found
+   */
+  async syncStatus(id) {
+    const vehicle = await Vehicle.findByPk(id);
+    if (!vehicle) return null;
+
+    if (['maintenance', 'out_of_service'].includes(vehicle.status)) {
+      return vehicle;
+    }
+
+    const activeBookings = await Booking.count({
+      where: {
+        vehicle_id: id,
+        status: 'in_progress',
+        actual_start_date: { [Op.ne]: null }
+      }
+    });
+
+    const status = activeBookings > 0 ? 'in_use' : 'available';
+    if (vehicle.status !== status) {
+      await vehicle.update({ status });
+    }
+
+    return vehicle;
+  }
+}
+
+/**
+ * Repository pattern for driver-related database operations
+ */
+class DriverRepository {
+  /**
+   * Find driver by ID
+   * @param {string|number} id - Driver ID
+   * @returns {Promise<Object|null>} Driver object or null
+   */
+  async findById(id) {
+    return await Driver.findByPk(id);
+  }
+
+  /**
+   * Update driver status
+   * @param {string|number} id - Driver ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Updated driver
+   */
+  async updateStatus(id, status) {
+    const driver = await Driver.findByPk(id);
+    if (!driver) {
+      throw new Error('Driver not found');
+    }
+
+    await driver.update({ status });
+    return driver;
+  }
 }
 
 /**
@@ -408,8 +659,114 @@ class UserRepository {
   }
 }
 
+/**
+ * Repository pattern for maintenance window database operations
+ */
+class MaintenanceRepository {
+  /**
+   * Find maintenance windows that overlap a time window for a vehicle
+   * @param {Object} criteria - Conflict criteria
+   * @param {string|number} criteria.vehicle_id - Vehicle ID
+   * @param {string|Date} criteria.start_date - Window start
+   * @param {string|Date} criteria.end_date - Window end
+   * @param {string|number} [criteria.exclude_id] - Maintenance record being updated
+   * @returns {Promise<Array>} Overlapping maintenance records ordered by start date
+   */
+  async findConflicts({ vehicle_id, start_date, end_date, exclude_id }) {
+    if (!vehicle_id) return [];
+
+    const where = {
+      vehicle_id,
+      status: { [Op.in]: MAINTENANCE_BLOCKING_STATUSES },
+      start_date: { [Op.lt]: new Date(end_date) },
+      end_date: { [Op.gt]: new Date(start_date) }
+    };
+
+    if (exclude_id) {
+      where.id = { [Op.ne]: exclude_id };
+    }
+
+    return await MaintenanceRecord.findAll({
+      where,
+      attributes: ['id', 'vehicle_id', 'title', 'status', 'start_date', 'end_date'],
+      order: [['start_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Find maintenance windows overlapping a time window, for the fleet calendar
+   * @param {Object} range - Range options
+   * @param {string|Date} range.start_date - Window start
+   * @param {string|Date} range.end_date - Window end
+   * @param {Array<number>} range.vehicle_ids - Vehicles to include
+   * @returns {Promise<Array>} Maintenance records ordered by start date
+   */
+  async findInRange({ start_date, end_date, vehicle_ids }) {
+    return await MaintenanceRecord.findAll({
+      where: {
+        vehicle_id: { [Op.in]: vehicle_ids },
+        status: { [Op.in]: [...MAINTENANCE_BLOCKING_STATUSES, 'completed'] },
+        start_date: { [Op.lt]: new Date(end_date) },
+        end_date: { [Op.gt]: new Date(start_date) }
+      },
+      attributes: ['id', 'vehicle_id', 'title', 'service_type', 'status', 'start_date', 'end_date'],
+      order: [['start_date', 'ASC']]
+    });
+  }
+}
+
+/**
+ * Repository pattern for driver leave database operations
+ */
+class DriverLeaveRepository {
+  /**
+   * Find approved leave that overlaps a time window for a driver
+   * @param {Object} criteria - Conflict criteria
+   * @param {string|number} criteria.driver_id - Driver ID
+   * @param {string|Date} criteria.start_date - Window start
+   * @param {string|Date} criteria.end_date - Window end
+   * @returns {Promise<Array>} Overlapping leave ordered by start date
+   */
+  async findConflicts({ driver_id, start_date, end_date }) {
+    if (!driver_id) return [];
+
+    return await this.findApprovedInRange({ start_date, end_date, driver_ids: [driver_id] });
+  }
+
+  /**
+   * Find approved leave overlapping a time window
+   * @param {Object} range - Range options
+   * @param {string|Date} range.start_date - Window start
+   * @param {string|Date} range.end_date - Window end
+   * @param {Array<number>} [range.driver_ids] - Drivers to include (all if omitted)
+   * @returns {Promise<Array>} Leave ordered by start date
+   */
+  async findApprovedInRange({ start_date, end_date, driver_ids }) {
+    const where = {
+      status: { [Op.in]: LEAVE_BLOCKING_STATUSES },
+      start_date: { [Op.lt]: new Date(end_date) },
+      end_date: { [Op.gt]: new Date(start_date) }
+    };
+    if (driver_ids) {
+      where.driver_id = { [Op.in]: driver_ids };
+    }
+
+    return await DriverLeave.findAll({
+      where,
+      attributes: ['id', 'driver_id', 'leave_type', 'status', 'start_date', 'end_date'],
+      order: [['start_date', 'ASC']]
+    });
+  }
+}
+
 module.exports = {
+  SCHEDULE_BLOCKING_STATUSES,
+  MAINTENANCE_BLOCKING_STATUSES,
+  LEAVE_BLOCKING_STATUSES,
   BookingRepository,
   VehicleRepository,
-  UserRepository
+  DriverRepository,
+  UserRepository,
+  MaintenanceRepository,
+  DriverLeaveRepository
 };
@@ -0,0 +1,158 @@
+// Run the suite in a zone other than the ones the rules use, to show the server's zone never leaks in
+process.env.TZ = 'America/Los_Angeles';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const BookingSeriesService = require('../services/BookingSeriesService');
+const { MAX_OCCURRENCES } = require('../services/BookingSeriesService');
+
+const service = new BookingSeriesService({});
+
+const starts = (occurrences) => occurrences.map(occurrence => occurrence.start_date.toISOString());
+
+describe('BookingSeriesService.generateOccurrences', () => {
+  test('daily series ends after count occurrences and keeps the duration', () => {
+    const occurrences = service.generateOccurrences(
+      { start_date: '2026-03-02T01:00:00Z', end_date: '2026-03-02T03:30:00Z' },
+      { frequency: 'daily', interval: 2, count: 3 }
+    );
+
+    assert.deepEqual(starts(occurrences), [
+      '2026-03-02T01:00:00.000Z',
+      '2026-03-04T01:00:00.000Z',
+      '2026-03-06T01:00:00.000Z'
+    ]);
+    occurrences.forEach(({ start_date, end_date }) => assert.equal(end_date - start_date, 2.5 * 60 * 60 * 1000));
+  });
+
+  test('weekly weekdays and the until date are read in the rule time zone', () => {
+    // Monday 08:00 in Perth is Monday 00:00 UTC but Sunday afternoon on the server
+    const occurrences = service.generateOccurrences(
+      { start_date: '2026-11-02T00:00:00Z', end_date: '2026-11-02T02:00:00Z' },
+      { frequency: 'weekly', weekdays: [1, 3], until: '2026-11-11', time_zone: 'Australia/Perth' }
+    );
+
+    assert.deepEqual(starts(occurrences), [
+      '2026-11-02T00:00:00.000Z',
+      '2026-11-04T00:00:00.000Z',
+      '2026-11-09T00:00:00.000Z',
+      '2026-11-11T00:00:00.000Z'
+    ]);
+  });
+
+  test('a timestamp until falls on its calendar day in the rule time zone', () => {
+    // 2026-11-03T15:59:59Z is 23:59:59 on 3 November in Perth, so the 4th is excluded
+    const occurrences = service.generateOccurrences(
+      { start_date: '2026-11-02T00:00:00Z', end_date: '2026-11-02T02:00:00Z' },
+      { frequency: 'daily', until: '2026-11-03T15:59:59Z', time_zone: 'Australia/Perth' }
+    );
+
+    assert.deepEqual(starts(occurrences), ['2026-11-02T00:00:00.000Z', '2026-11-03T00:00:00.000Z']);
+  });
+
+  test('occurrences keep their local time across a daylight saving change', () => {
+    // Sydney moves from UTC+10 to UTC+11 on 4 October 2026; 09:00 local throughout
+    const occurrences = service.generateOccurrences(
+      { start_date: '2026-10-02T23:00:00Z', end_date: '2026-10-03T00:00:00Z' },
+      { frequency: 'daily', count: 3, time_zone: 'Australia/Sydney' }
+    );
+
+    assert.deepEqual(starts(occurrences), [
+      '2026-10-02T23:00:00.000Z',
+      '2026-10-03T22:00:00.000Z',
+      '2026-10-04T22:00:00.000Z'
+    ]);
+  });
+
+  test('monthly series skip months without the start day', () => {
+    const occurrences = service.generateOccurrences(
+      { start_date: '2026-01-31T10:00:00Z', end_date: '2026-01-31T11:00:00Z' },
+      { frequency: 'monthly', count: 3 }
+    );
+
+    assert.deepEqual(starts(occurrences), [
+      '2026-01-31T10:00:00.000Z',
+      '2026-03-31T10:00:00.000Z',
+      '2026-05-31T10:00:00.000Z'
+    ]);
+  });
+
+  test('count wins when it is reached before the until date', () => {
+    const occurrences = service.generateOccurrences(
+      { start_date: '2026-03-02T01:00:00Z', end_date: '2026-03-02T02:00:00Z' },
+      { frequency: 'daily', count: 2, until: '2026-03-31' }
+    );
+
+    assert.equal(occurrences.length, 2);
+  });
+
+  test('rejects rules that produce more than the occurrence cap', () => {
+    assert.throws(
+      () => service.generateOccurrences(
+        { start_date: '2026-01-01T08:00:00Z', end_date: '2026-01-01T09:00:00Z' },
+        { frequency: 'daily', until: '2027-12-31' }
+      ),
+      { status: 400, message: `A series cannot have more than ${MAX_OCCURRENCES} occurrences` }
+    );
+    assert.throws(
+      () => service.generateOccurrences(
+        { start_date: '2026-01-01T08:00:00Z', end_date: '2026-01-01T09:00:00Z' },
+        { frequency: 'daily', count: MAX_OCCURRENCES + 1 }
+      ),
+      { status: 400 }
+    );
+  });
+
+  test('allows exactly the occurrence cap', () => {
+    const occurrences = service.generateOccurrences(
+      { start_date: '2026-01-01T08:00:00Z', end_date: '2026-01-01T09:00:00Z' },
+      { frequency: 'daily', count: MAX_OCCURRENCES }
+    );
+
+    assert.equal(occurrences.length, MAX_OCCURRENCES);
+  });
+
+  test('rejects invalid rules', () => {
+    const first = { start_date: '2026-03-02T01:00:00Z', end_date: '2026-03-02T02:00:00Z' };
+
+    assert.throws(() => service.generateOccurrences(first, { frequency: 'yearly', count: 3 }), { status: 400 });
+    assert.throws(() => service.generateOccurrences(first, { frequency: 'daily' }), { message: 'Recurrence needs an end date or a number of occurrences' });
+    assert.throws(() => service.generateOccurrences(first, { frequency: 'daily', count: 3, time_zone: 'Mars/Base' }), { message: 'Unknown time zone: Mars/Base' });
+    assert.throws(() => service.generateOccurrences(first, { frequency: 'daily', until: '2026-03-01' }), { message: 'Recurrence end date must be on or after the first booking' });
+    assert.throws(() => service.generateOccurrences(first, { frequency: 'daily', until: '2026-03-02' }), { message: 'Recurrence must produce at least two occurrences' });
+  });
+
+  test('rejects occurrences that overlap the next one', () => {
+    assert.throws(
+      () => service.generateOccurrences(
+        { start_date: '2026-03-02T01:00:00Z', end_date: '2026-03-03T05:00:00Z' },
+        { frequency: 'daily', count: 3 }
+      ),
+      { message: 'Each occurrence must end before the next one starts' }
+    );
+  });
+});
+
+describe('BookingSeriesService wall-clock helpers', () => {
+  test('toWallClock and fromWallClock round-trip an instant', () => {
+    const instant = new Date('2026-04-05T15:30:00Z');
+
+    for (const timeZone of ['UTC', 'Australia/Sydney', 'America/New_York', 'Asia/Kolkata']) {
+      const wallClock = service.toWallClock(instant, timeZone);
+      assert.equal(service.fromWallClock(wallClock, timeZone).getTime(), instant.getTime(), timeZone);
+    }
+  });
+
+  test('getTimeZoneOffset follows daylight saving', () => {
+    const hour = 60 * 60 * 1000;
+
+    assert.equal(service.getTimeZoneOffset(new Date('2026-07-01T00:00:00Z'), 'Australia/Sydney'), 10 * hour);
+    assert.equal(service.getTimeZoneOffset(new Date('2026-12-01T00:00:00Z'), 'Australia/Sydney'), 11 * hour);
+    assert.equal(service.getTimeZoneOffset(new Date('2026-07-01T00:00:00Z'), 'America/New_York'), -4 * hour);
+  });
+
+  test('addDays moves whole calendar days on the wall clock', () => {
+    assert.equal(service.addDays(new Date('2026-02-27T09:00:00Z'), 2).toISOString(), '2026-03-01T09:00:00.000Z');
+    assert.equal(service.addDays(new Date('2026-03-01T09:00:00Z'), -1).toISOString(), '2026-02-28T09:00:00.000Z');
+  });
+});
@@ -0,0 +1,109 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const DriverComplianceService = require('../services/DriverComplianceService');
+
+const service = new DriverComplianceService();
+
+const period = (booking_id, from, to) => ({
+  booking_id,
+  from: new Date(from).getTime(),
+  to: new Date(to).getTime()
+});
+
+const rule = (rule_type, limit_hours, enforcement = 'reject') => ({ rule_type, limit_hours, enforcement });
+
+describe('DriverComplianceService.evaluate', () => {
+  test('splits a shift across midnight between its two days', () => {
+    // 4h on the 20th and 4h on the 21st, plus 8h later on the 21st
+    const overnight = period(1, '2026-10-20T20:00:00Z', '2026-10-21T04:00:00Z');
+    const dayShift = period(2, '2026-10-21T08:00:00Z', '2026-10-21T16:00:00Z');
+
+    const violations = service.evaluate([rule('daily_hours', 10)], [overnight, dayShift], [overnight, dayShift]);
+
+    assert.equal(violations.length, 1);
+    assert.deepEqual(
+      { date: violations[0].date, actual_hours: violations[0].actual_hours, booking_ids: violations[0].booking_ids },
+      { date: '2026-10-21', actual_hours: 12, booking_ids: [1, 2] }
+    );
+    assert.equal(violations[0].message, '12h of driving on 2026-10-21, over the 10h daily limit');
+  });
+
+  test('allows a day exactly at the limit', () => {
+    const shift = period(1, '2026-10-21T06:00:00Z', '2026-10-21T16:00:00Z');
+
+    assert.deepEqual(service.evaluate([rule('daily_hours', 10)], [shift], [shift]), []);
+  });
+
+  test('only reports days the focus periods touch', () => {
+    const longDay = period(1, '2026-10-20T04:00:00Z', '2026-10-20T18:00:00Z');
+    const proposed = period(null, '2026-10-22T08:00:00Z', '2026-10-22T12:00:00Z');
+
+    assert.deepEqual(service.evaluate([rule('daily_hours', 10)], [longDay, proposed], [proposed]), []);
+    assert.equal(service.evaluate([rule('daily_hours', 10)], [longDay, proposed], [longDay]).length, 1);
+  });
+
+  test('splits a shift across Sunday midnight between its two weeks', () => {
+    // 2026-10-25 is a Sunday; the week of 19 October gets 2h of the overnight shift and the next week 6h
+    const weekdays = [19, 20, 21, 22, 23].map(day => period(day, `2026-10-${day}T08:00:00Z`, `2026-10-${day}T17:00:00Z`));
+    const overnight = period(25, '2026-10-25T22:00:00Z', '2026-10-26T06:00:00Z');
+    const periods = [...weekdays, overnight];
+
+    const violations = service.evaluate([rule('weekly_hours', 46, 'warn')], periods, [overnight]);
+
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].date, '2026-10-19');
+    assert.equal(violations[0].actual_hours, 47);
+    assert.equal(violations[0].enforcement, 'warn');
+    assert.deepEqual(violations[0].booking_ids, [19, 20, 21, 22, 23, 25]);
+    assert.equal(violations[0].message, '47h of driving in the week of 2026-10-19, over the 46h weekly limit');
+
+    assert.deepEqual(service.evaluate([rule('weekly_hours', 47)], periods, [overnight]), []);
+  });
+
+  test('measures rest across a day and week boundary', () => {
+    // Sunday 22:00 to Monday 06:00 is 8h of rest, dated on the day the next shift starts
+    const sunday = period(1, '2026-10-25T14:00:00Z', '2026-10-25T22:00:00Z');
+    const monday = period(null, '2026-10-26T06:00:00Z', '2026-10-26T14:00:00Z');
+
+    const violations = service.evaluate([rule('rest_hours', 11)], [monday, sunday], [monday]);
+
+    assert.equal(violations.length, 1);
+    assert.deepEqual(
+      { date: violations[0].date, actual_hours: violations[0].actual_hours, booking_ids: violations[0].booking_ids },
+      { date: '2026-10-26', actual_hours: 8, booking_ids: [1] }
+    );
+    assert.equal(violations[0].message, 'only 8h of rest before the shift starting 2026-10-26 06:00 UTC, under the 11h minimum');
+
+    assert.deepEqual(service.evaluate([rule('rest_hours', 8)], [monday, sunday], [monday]), []);
+  });
+
+  test('counts overlapping periods as no rest', () => {
+    const first = period(1, '2026-10-21T08:00:00Z', '2026-10-21T12:00:00Z');
+    const second = period(2, '2026-10-21T11:00:00Z', '2026-10-21T15:00:00Z');
+
+    const [violation] = service.evaluate([rule('rest_hours', 11)], [first, second], [second]);
+
+    assert.equal(violation.actual_hours, 0);
+    assert.deepEqual(violation.booking_ids, [1, 2]);
+  });
+
+  test('ignores rest gaps between periods outside the focus', () => {
+    const first = period(1, '2026-10-20T08:00:00Z', '2026-10-20T18:00:00Z');
+    const second = period(2, '2026-10-21T00:00:00Z', '2026-10-21T08:00:00Z');
+    const proposed = period(null, '2026-10-23T08:00:00Z', '2026-10-23T12:00:00Z');
+
+    assert.deepEqual(service.evaluate([rule('rest_hours', 11)], [first, second, proposed], [proposed]), []);
+  });
+
+  test('sorts violations from several rules by date', () => {
+    const first = period(1, '2026-10-20T04:00:00Z', '2026-10-20T20:00:00Z');
+    const second = period(2, '2026-10-21T02:00:00Z', '2026-10-21T06:00:00Z');
+
+    const violations = service.evaluate([rule('rest_hours', 11), rule('daily_hours', 12)], [first, second], [first, second]);
+
+    assert.deepEqual(
+      violations.map(violation => [violation.rule_type, violation.date]),
+      [['daily_hours', '2026-10-20'], ['rest_hours', '2026-10-21']]
+    );
+  });
+});
@@ -0,0 +1,66 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const SiteService = require('../services/SiteService');
+
+const service = new SiteService();
+
+const polygon = (corners) => corners.map(([latitude, longitude]) => ({ latitude, longitude }));
+const point = (latitude, longitude) => ({ latitude, longitude });
+
+describe('SiteService.containsPoint', () => {
+  const square = polygon([[0, 0], [0, 10], [10, 10], [10, 0]]);
+
+  test('finds points inside and outside a square', () => {
+    assert.equal(service.containsPoint(square, point(5, 5)), true);
+    assert.equal(service.containsPoint(square, point(0.001, 9.999)), true);
+    assert.equal(service.containsPoint(square, point(5, 11)), false);
+    assert.equal(service.containsPoint(square, point(-1, 5)), false);
+    assert.equal(service.containsPoint(square, point(15, 15)), false);
+  });
+
+  test('gives the same answer whatever the winding or closing corner', () => {
+    const reversed = [...square].reverse();
+    const closed = [...square, square[0]];
+
+    for (const fence of [reversed, closed]) {
+      assert.equal(service.containsPoint(fence, point(5, 5)), true);
+      assert.equal(service.containsPoint(fence, point(5, 11)), false);
+    }
+  });
+
+  test('leaves out the notch of a concave polygon', () => {
+    // A U shape open to the north, with the notch between longitudes 4 and 6
+    const u = polygon([[0, 0], [0, 10], [10, 10], [10, 6], [3, 6], [3, 4], [10, 4], [10, 0]]);
+
+    assert.equal(service.containsPoint(u, point(6, 5)), false);
+    assert.equal(service.containsPoint(u, point(6, 2)), true);
+    assert.equal(service.containsPoint(u, point(6, 8)), true);
+    assert.equal(service.containsPoint(u, point(1, 5)), true);
+  });
+
+  test('is not fooled by a ray passing through corners', () => {
+    const diamond = polygon([[1, 0], [0, 1], [-1, 0], [0, -1]]);
+
+    assert.equal(service.containsPoint(diamond, point(0, 0)), true);
+    assert.equal(service.containsPoint(diamond, point(0, -2)), false);
+    assert.equal(service.containsPoint(diamond, point(0, 2)), false);
+    assert.equal(service.containsPoint(diamond, point(1, -0.5)), false);
+  });
+
+  test('works with real coordinates west and south of zero', () => {
+    // Roughly the Sydney CBD
+    const sydney = polygon([[-33.85, 151.2], [-33.85, 151.22], [-33.88, 151.22], [-33.88, 151.2]]);
+    // Roughly Manhattan below Central Park
+    const manhattan = polygon([[40.70, -74.02], [40.76, -73.98], [40.75, -73.96], [40.70, -73.99]]);
+
+    assert.equal(service.containsPoint(sydney, point(-33.8688, 151.2093)), true);
+    assert.equal(service.containsPoint(sydney, point(33.8688, 151.2093)), false);
+    assert.equal(service.containsPoint(manhattan, point(40.73, -73.99)), true);
+    assert.equal(service.containsPoint(manhattan, point(40.73, 73.99)), false);
+  });
+
+  test('never contains anything with fewer than three corners', () => {
+    assert.equal(service.containsPoint([], point(0, 0)), false);
+    assert.equal(service.containsPoint(polygon([[0, 0], [10, 10]]), point(5, 5)), false);
+  });
+});
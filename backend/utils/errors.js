@@ -0,0 +1,69 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Create an error carrying an HTTP status for the controller layer
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {Object} details - Extra properties to attach to the error
+ * @returns {Error} Error object
+ */
+const createServiceError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  return Object.assign(error, details);
+};
+
+/**
+ * Send express-validator errors for a request, if any
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} [cleanup] - async (req) => void, e.g. to discard uploaded files
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const sendValidationErrors = async (req, res, cleanup = null) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  if (cleanup) await cleanup(req);
+  res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+  return true;
+};
+
+/**
+ * Send an error from a route handler
+ * Service errors keep their status (and any schedule conflicts), model validation errors are a 400,
+ * duplicates a 409, and anything else is logged and answered with a generic 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error object
+ * @param {string} fallback - Message for unexpected errors
+ * @param {Object} [options]
+ * @param {string} [options.duplicateMessage] - Message for unique constraint violations
+ */
+const sendError = (res, error, fallback, { duplicateMessage = 'This record already exists' } = {}) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.conflicts && { conflicts: error.conflicts })
+    });
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({ error: error.errors[0].message });
+  }
+
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({ error: duplicateMessage });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+module.exports = {
+  createServiceError,
+  sendValidationErrors,
+  sendError
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../models');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Find model columns that an existing table still lacks
+ * @param {Object} queryInterface - Sequelize query interface
+ * @returns {Promise<Array<string>>} Missing columns as table.column
+ */
+const findMissingColumns = async (queryInterface) => {
+  const missing = [];
+
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    const table = await queryInterface.describeTable(tableName);
+
+    Object.values(model.rawAttributes)
+      .filter(attribute => !(attribute.type instanceof DataTypes.VIRTUAL) && !table[attribute.field])
+      .forEach(attribute => missing.push(`${tableName}.${attribute.field}`));
+  }
+
+  return missing;
+};
+
+/**
+ * Apply schema changes to an existing database
+ * `sequelize.sync` creates missing tables but never alters existing ones, so column changes ship as
+ * migrations in backend/migrations. Each migration checks the current schema first, so running them
+ * again (or against a database created by `npm run seed`) is safe. Afterwards every model column must
+ * exist, so a column added without a migration fails here rather than on the first query that uses it.
+ *
+ * Usage: node utils/migrate.js            Run every migration's up step, in file name order
+ *        node utils/migrate.js down NAME  Revert one migration
+ */
+const migrate = async () => {
+  const [direction = 'up', name] = process.argv.slice(2);
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await sequelize.authenticate();
+
+    if (direction === 'down') {
+      if (!name) {
+        throw new Error('Name the migration to revert, e.g. node utils/migrate.js down 20261019-add-booking-details');
+      }
+      const migration = require(path.join(MIGRATIONS_DIR, name.replace(/\.js$/, '')));
+      await migration.down(queryInterface, DataTypes);
+      console.log(`Reverted ${name}`);
+    } else {
+      // New tables come from the models; migrations only alter tables that already exist
+      await sequelize.sync({ force: false });
+
+      const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.js')).sort();
+      for (const file of files) {
+        await require(path.join(MIGRATIONS_DIR, file)).up(queryInterface, DataTypes);
+        console.log(`Applied ${file}`);
+      }
+
+      const missing = await findMissingColumns(queryInterface);
+      if (missing.length > 0) {
+        throw new Error(`No migration adds these columns: ${missing.join(', ')}`);
+      }
+    }
+
+    console.log('Migrations completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error running migrations:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
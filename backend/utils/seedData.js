@@ -1,4 +1,4 @@
-const { sequelize, User, Vehicle, Driver } = require('../models');
+const { sequelize, Site, User, Vehicle, Driver, ApprovalPolicy, ApprovalEscalationRule, DriverHoursRule, DriverLeave, VehicleDocument, InspectionTemplate } = require('../models');
 require('dotenv').config();
 
 const seedData = async () => {
@@ -7,6 +7,36 @@ const seedData = async () => {
     await sequelize.sync({ force: true });
     console.log('Database synced successfully');
 
+    // Create sites; managers are set once the users exist
+    const [depot, pit] = await Site.bulkCreate([
+      {
+        name: 'Main Depot',
+        code: 'DEPOT',
+        region: 'North',
+        address: 'Depot Road, Kalgoorlie',
+        geofence: [
+          { latitude: -30.7440, longitude: 121.4600 },
+          { latitude: -30.7440, longitude: 121.4720 },
+          { latitude: -30.7540, longitude: 121.4720 },
+          { latitude: -30.7540, longitude: 121.4600 }
+        ]
+      },
+      {
+        name: 'Pit A',
+        code: 'PIT-A',
+        region: 'North',
+        address: 'Haul Road 3, Kalgoorlie',
+        geofence: [
+          { latitude: -30.7680, longitude: 121.4950 },
+          { latitude: -30.7680, longitude: 121.5150 },
+          { latitude: -30.7830, longitude: 121.5150 },
+          { latitude: -30.7830, longitude: 121.4950 }
+        ]
+      }
+    ], { returning: true });
+
+    console.log('Created 2 sites');
+
     // Create users (using individual creates to trigger password hashing hooks)
     const userPromises = [
       User.create({
@@ -14,35 +44,48 @@ const seedData = async () => {
         email: 'admin@miningcompany.com',
         password: 'admin123',
         role: 'admin',
-        department: 'IT'
+        department: 'IT',
+        site_id: depot.id
       }),
       User.create({
         name: 'John Supervisor',
         email: 'john.supervisor@miningcompany.com',
         password: 'approver123',
         role: 'approver_l1',
-        department: 'Operations'
+        department: 'Operations',
+        site_id: depot.id
+      }),
+      User.create({
+        name: 'Tom Foreman',
+        email: 'tom.foreman@miningcompany.com',
+        password: 'approver123',
+        role: 'approver_l1',
+        department: 'Mining',
+        site_id: pit.id
       }),
       User.create({
         name: 'Sarah Manager',
         email: 'sarah.manager@miningcompany.com',
         password: 'approver123',
         role: 'approver_l2',
-        department: 'Management'
+        department: 'Management',
+        site_id: depot.id
       }),
       User.create({
         name: 'Mike Employee',
         email: 'mike.employee@miningcompany.com',
         password: 'employee123',
         role: 'employee',
-        department: 'Mining'
+        department: 'Mining',
+        site_id: pit.id
       }),
       User.create({
         name: 'Lisa Worker',
         email: 'lisa.worker@miningcompany.com',
         password: 'employee123',
         role: 'employee',
-        department: 'Maintenance'
+        department: 'Maintenance',
+        site_id: depot.id
       })
     ];
 
@@ -50,6 +93,10 @@ const seedData = async () => {
 
     console.log(`Created ${users.length} users`);
 
+    // Sarah signs off other sites borrowing depot vehicles, Tom the pit's
+    await depot.update({ manager_id: users.find(user => user.email.startsWith('sarah.manager')).id });
+    await pit.update({ manager_id: users.find(user => user.email.startsWith('tom.foreman')).id });
+
     // Create vehicles
     const vehicles = await Vehicle.bulkCreate([
       {
@@ -61,7 +108,8 @@ const seedData = async () => {
         capacity: '3.5 tons',
         fuel_type: 'diesel',
         status: 'available',
-        location: 'Main Depot'
+        location: 'Main Depot',
+        site_id: depot.id
       },
       {
         plate_number: 'MIN-002',
@@ -72,7 +120,8 @@ const seedData = async () => {
         capacity: '20 tons',
         fuel_type: 'diesel',
         status: 'available',
-        location: 'Site A'
+        location: 'Site A',
+        site_id: pit.id
       },
       {
         plate_number: 'MIN-003',
@@ -83,7 +132,8 @@ const seedData = async () => {
         capacity: '8 passengers',
         fuel_type: 'petrol',
         status: 'available',
-        location: 'Main Depot'
+        location: 'Main Depot',
+        site_id: depot.id
       },
       {
         plate_number: 'MIN-004',
@@ -94,7 +144,8 @@ const seedData = async () => {
         capacity: '25 tons',
         fuel_type: 'diesel',
         status: 'maintenance',
-        location: 'Workshop'
+        location: 'Workshop',
+        site_id: depot.id
       },
       {
         plate_number: 'MIN-005',
@@ -105,7 +156,8 @@ const seedData = async () => {
         capacity: '7 passengers',
         fuel_type: 'petrol',
         status: 'available',
-        location: 'Main Depot'
+        location: 'Main Depot',
+        site_id: depot.id
       }
     ]);
 
@@ -121,7 +173,8 @@ const seedData = async () => {
         email: 'david.thompson@miningcompany.com',
         status: 'available',
         experience_years: 10,
-        vehicle_types: ['truck', 'van', 'car']
+        vehicle_types: ['truck', 'van', 'car'],
+        site_id: depot.id
       },
       {
         name: 'Robert Miller',
@@ -131,7 +184,8 @@ const seedData = async () => {
         email: 'robert.miller@miningcompany.com',
         status: 'available',
         experience_years: 15,
-        vehicle_types: ['excavator', 'bulldozer', 'crane']
+        vehicle_types: ['excavator', 'bulldozer', 'crane'],
+        site_id: pit.id
       },
       {
         name: 'Jennifer Davis',
@@ -141,7 +195,8 @@ const seedData = async () => {
         email: 'jennifer.davis@miningcompany.com',
         status: 'available',
         experience_years: 8,
-        vehicle_types: ['truck', 'van', 'car', 'bus']
+        vehicle_types: ['truck', 'van', 'car', 'bus'],
+        site_id: depot.id
       },
       {
         name: 'Carlos Rodriguez',
@@ -151,16 +206,126 @@ const seedData = async () => {
         email: 'carlos.rodriguez@miningcompany.com',
         status: 'on_leave',
         experience_years: 12,
-        vehicle_types: ['excavator', 'bulldozer']
+        vehicle_types: ['excavator', 'bulldozer'],
+        site_id: pit.id
       }
     ]);
 
     console.log(`Created ${drivers.length} drivers`);
 
+    // Carlos is on approved leave for the coming week
+    const admin = users.find(user => user.role === 'admin');
+    const leaveStart = new Date();
+    leaveStart.setHours(0, 0, 0, 0);
+    await DriverLeave.create({
+      driver_id: drivers.find(driver => driver.status === 'on_leave').id,
+      leave_type: 'annual',
+      start_date: leaveStart,
+      end_date: new Date(leaveStart.getTime() + 7 * 24 * 60 * 60 * 1000),
+      reason: 'Family holiday',
+      status: 'approved',
+      requested_by: admin.id,
+      reviewed_by: admin.id,
+      reviewed_at: new Date()
+    });
+
+    console.log('Created 1 driver leave record');
+
+    // Registration and insurance for every vehicle; MIN-002's insurance is due for renewal soon
+    const yearFromNow = new Date(leaveStart.getTime() + 365 * 24 * 60 * 60 * 1000);
+    const documents = await VehicleDocument.bulkCreate(vehicles.flatMap((vehicle, index) => [
+      {
+        vehicle_id: vehicle.id,
+        document_type: 'registration',
+        document_number: `REG-${vehicle.plate_number}`,
+        issue_date: leaveStart,
+        expiry_date: yearFromNow,
+        created_by: admin.id
+      },
+      {
+        vehicle_id: vehicle.id,
+        document_type: 'insurance',
+        document_number: `INS-2024-${String(index + 1).padStart(4, '0')}`,
+        issue_date: leaveStart,
+        expiry_date: vehicle.plate_number === 'MIN-002'
+          ? new Date(leaveStart.getTime() + 20 * 24 * 60 * 60 * 1000)
+          : yearFromNow,
+        created_by: admin.id
+      }
+    ]));
+
+    console.log(`Created ${documents.length} vehicle documents`);
+
+    // Create approval policies (bookings matching none use the default L1 -> L2 chain)
+    const policies = await ApprovalPolicy.bulkCreate([
+      {
+        name: 'Mining department',
+        department: 'Mining',
+        approval_roles: ['approver_l1', 'approver_l1', 'approver_l2'],
+        priority: 10
+      },
+      {
+        name: 'IT short trips',
+        department: 'IT',
+        max_duration_hours: 4,
+        approval_roles: ['approver_l1'],
+        priority: 5
+      }
+    ]);
+
+    console.log(`Created ${policies.length} approval policies`);
+
+    // Create escalation rules for approvals that sit pending past their SLA
+    const manager = users.find(user => user.role === 'approver_l2');
+    const escalationRules = await ApprovalEscalationRule.bulkCreate([
+      {
+        level: 1,
+        sla_hours: 24,
+        action: 'add_approver',
+        target_role: 'approver_l2',
+        target_user_id: manager.id
+      },
+      {
+        level: 2,
+        sla_hours: 48,
+        action: 'reassign',
+        target_role: 'approver_l2'
+      }
+    ]);
+
+    console.log(`Created ${escalationRules.length} escalation rules`);
+
+    // Create hours-of-service rules from the site safety policy
+    const hoursRules = await DriverHoursRule.bulkCreate([
+      { rule_type: 'daily_hours', limit_hours: 12, enforcement: 'reject' },
+      { rule_type: 'weekly_hours', limit_hours: 60, enforcement: 'warn' },
+      { rule_type: 'rest_hours', limit_hours: 10, enforcement: 'reject' }
+    ]);
+
+    console.log(`Created ${hoursRules.length} driver hours rules`);
+
+    // Walk-around checklist before leaving the pit and after returning, for every vehicle type
+    await InspectionTemplate.create({
+      name: 'Standard walk-around',
+      vehicle_type: null,
+      inspection_type: 'both',
+      items: [
+        { label: 'Tyres and wheel nuts', critical: true },
+        { label: 'Brakes', critical: true },
+        { label: 'Lights and indicators', critical: false },
+        { label: 'Fluid levels and leaks', critical: false },
+        { label: 'Fire extinguisher', critical: true }
+      ],
+      created_by: admin.id
+    });
+
+    console.log('Created 1 inspection checklist');
+
     console.log('\n=== SEED DATA COMPLETED ===');
     console.log('\nDefault Login Credentials:');
     console.log('Admin: admin@miningcompany.com / admin123');
     console.log('Approver L1: john.supervisor@miningcompany.com / approver123');
+    console.log('Approver L1: tom.foreman@miningcompany.com / approver123');
     console.log('Approver L2: sarah.manager@miningcompany.com / approver123');
     console.log('Employee: mike.employee@miningcompany.com / employee123');
     console.log('Employee: lisa.worker@miningcompany.com / employee123');
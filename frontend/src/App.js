@@ -13,6 +13,7 @@ import BookingForm from './components/BookingForm';
 import BookingList from './components/BookingList';
 import BookingDetail from './components/BookingDetail';
 import BookingEdit from './components/BookingEdit';
+import FleetCalendar from './components/FleetCalendar';
 
 // Admin Components
 import ApprovalManagement from './components/ApprovalManagement';
@@ -22,6 +23,8 @@ import UserProfile from './components/UserProfile';
 import Reports from './components/Reports';
 import AuditLogs from './components/AuditLogs';
 import UserManagement from './components/UserManagement';
+import SiteManagement from './components/SiteManagement';
+import ApprovalPolicyManagement from './components/ApprovalPolicyManagement';
 
 // Bootstrap CSS
 import 'bootstrap/dist/css/bootstrap.min.css';
@@ -54,6 +57,13 @@ function App() {
               </ProtectedRoute>
             } />
             
+            <Route path="/fleet-calendar" element={
+              <ProtectedRoute>
+                <NavigationBar />
+                <FleetCalendar />
+              </ProtectedRoute>
+            } />
+            
             <Route path="/bookings/create" element={
               <ProtectedRoute requiredRole={['employee', 'admin']}>
                 <NavigationBar />
@@ -103,6 +113,20 @@ function App() {
               </ProtectedRoute>
             } />
             
+            <Route path="/admin/sites" element={
+              <ProtectedRoute requiredRole="admin">
+                <NavigationBar />
+                <SiteManagement />
+              </ProtectedRoute>
+            } />
+            
+            <Route path="/admin/approval-policies" element={
+              <ProtectedRoute requiredRole="admin">
+                <NavigationBar />
+                <ApprovalPolicyManagement />
+              </ProtectedRoute>
+            } />
+            
             <Route path="/admin/reports" element={
               <ProtectedRoute requiredRole="admin">
                 <NavigationBar />
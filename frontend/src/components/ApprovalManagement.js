@@ -4,9 +4,13 @@ import { useAuth } from '../contexts/AuthContext';
 import { bookingAPI } from '../services/api';
 import { useNavigate } from 'react-router-dom';
 import { formatDate } from '../utils/dateUtils';
+import { formatRecurrence } from '../utils/recurrence';
+import { canApproveBooking, canRejectBooking } from '../utils/bookingPermissions';
+import { mergeBookingIntoApprovals } from '../utils/liveUpdates';
+import useLiveEvent from '../hooks/useLiveEvent';
 
 const ApprovalManagement = () => {
-  const { user } = useAuth();
+  const { user, actingFor } = useAuth();
   const navigate = useNavigate();
   const [approvals, setApprovals] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -35,6 +39,16 @@ const ApprovalManagement = () => {
     fetchApprovals();
   }, [showAll, pagination.page, pagination.limit]);
 
+  // Keep rows in step with decisions made by other approvers
+  useLiveEvent('booking_updated', ({ booking }) => {
+    setApprovals(prev => mergeBookingIntoApprovals(prev, booking));
+  });
+
+  // New bookings may bring approvals this user can action
+  useLiveEvent('booking_created', () => {
+    fetchApprovals({ quiet: true });
+  });
+
   const handlePageChange = (newPage) => {
     setPagination(prev => ({
       ...prev,
@@ -50,9 +64,9 @@ const ApprovalManagement = () => {
     }));
   };
 
-  const fetchApprovals = async () => {
+  const fetchApprovals = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       setError('');
       
       const params = {
@@ -171,10 +185,8 @@ const ApprovalManagement = () => {
   };
 
   const canApprove = (approval) => {
-    // Can only approve if booking status is pending
-    if (approval.booking?.status !== 'pending') return false;
-    
-    return approval.status === 'pending';
+    // Pending levels assigned to this user; approving also waits on earlier levels
+    return canRejectBooking(approval, user, actingFor);
   };
 
   if (loading) {
@@ -293,6 +305,14 @@ const ApprovalManagement = () => {
                                 <br />
                                 <strong>End:</strong> {formatDate(approval.booking?.end_date)}
                               </small>
+                              {approval.booking?.series && (
+                                <div>
+                                  <Badge bg="secondary" title="Your decision applies to every occurrence">
+                                    <i className="fas fa-redo me-1"></i>
+                                    {formatRecurrence(approval.booking.series)}
+                                  </Badge>
+                                </div>
+                              )}
                             </div>
                           </td>
                           <td>
@@ -308,6 +328,7 @@ const ApprovalManagement = () => {
                                   <Button
                                     size="sm"
                                     variant="success"
+                                    disabled={!canApproveBooking(approval, user, actingFor)}
                                     onClick={() => openApprovalModal(approval, 'approve')}
                                     title="Approve"
                                   >
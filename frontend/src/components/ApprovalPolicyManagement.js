@@ -0,0 +1,511 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Modal } from 'react-bootstrap';
+import { approvalPolicyAPI } from '../services/api';
+import { formatApprovalRole } from '../utils/bookingPermissions';
+import EscalationRuleSettings from './EscalationRuleSettings';
+
+const emptyForm = {
+  name: '',
+  department: '',
+  vehicle_type: '',
+  min_duration_hours: '',
+  max_duration_hours: '',
+  approval_roles: ['approver_l1', 'approver_l2'],
+  priority: '0',
+  is_active: true
+};
+
+const ApprovalPolicyManagement = () => {
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Modal state
+  const [showModal, setShowModal] = useState(false);
+  const [editingPolicy, setEditingPolicy] = useState(null);
+  const [modalMode, setModalMode] = useState('add');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Form state
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+
+  const vehicleTypeOptions = [
+    'truck', 'van', 'car', 'bus', 'excavator', 'bulldozer', 'crane', 'other'
+  ];
+
+  const roleOptions = ['approver_l1', 'approver_l2'];
+
+  useEffect(() => {
+    fetchPolicies();
+  }, []);
+
+  const fetchPolicies = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await approvalPolicyAPI.getPolicies();
+      setPolicies(response.data.policies);
+    } catch (error) {
+      console.error('Error fetching approval policies:', error);
+      setError('Failed to load approval policies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAddModal = () => {
+    setFormData(emptyForm);
+    setErrors({});
+    setModalMode('add');
+    setEditingPolicy(null);
+    setShowModal(true);
+  };
+
+  const openEditModal = (policy) => {
+    setFormData({
+      name: policy.name || '',
+      department: policy.department || '',
+      vehicle_type: policy.vehicle_type || '',
+      min_duration_hours: policy.min_duration_hours?.toString() || '',
+      max_duration_hours: policy.max_duration_hours?.toString() || '',
+      approval_roles: policy.approval_roles || [],
+      priority: policy.priority?.toString() || '0',
+      is_active: policy.is_active
+    });
+    setErrors({});
+    setModalMode('edit');
+    setEditingPolicy(policy);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingPolicy(null);
+    setFormData(emptyForm);
+    setErrors({});
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const handleRoleChange = (index, role) => {
+    setFormData(prev => ({
+      ...prev,
+      approval_roles: prev.approval_roles.map((r, i) => (i === index ? role : r))
+    }));
+  };
+
+  const addLevel = () => {
+    setFormData(prev => ({
+      ...prev,
+      approval_roles: [...prev.approval_roles, 'approver_l2']
+    }));
+  };
+
+  const removeLevel = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      approval_roles: prev.approval_roles.filter((_, i) => i !== index)
+    }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (formData.approval_roles.length < 1 || formData.approval_roles.length > 3) {
+      newErrors.approval_roles = 'An approval chain needs between 1 and 3 levels';
+    }
+
+    if (formData.min_duration_hours && formData.max_duration_hours &&
+        parseFloat(formData.max_duration_hours) <= parseFloat(formData.min_duration_hours)) {
+      newErrors.max_duration_hours = 'Maximum duration must be greater than minimum duration';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      const policyData = {
+        ...formData,
+        department: formData.department.trim() || null,
+        vehicle_type: formData.vehicle_type || null,
+        min_duration_hours: formData.min_duration_hours ? parseFloat(formData.min_duration_hours) : null,
+        max_duration_hours: formData.max_duration_hours ? parseFloat(formData.max_duration_hours) : null,
+        priority: parseInt(formData.priority) || 0
+      };
+
+      if (modalMode === 'add') {
+        await approvalPolicyAPI.createPolicy(policyData);
+        setSuccess('Approval policy added successfully!');
+      } else {
+        await approvalPolicyAPI.updatePolicy(editingPolicy.id, policyData);
+        setSuccess('Approval policy updated successfully!');
+      }
+
+      closeModal();
+      fetchPolicies();
+
+    } catch (error) {
+      console.error('Error saving approval policy:', error);
+      if (error.response?.data?.error) {
+        setError(error.response.data.error);
+      } else {
+        setError('Failed to save approval policy');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Are you sure you want to delete approval policy ${policy.name}?`)) {
+      return;
+    }
+
+    try {
+      await approvalPolicyAPI.deletePolicy(policy.id);
+      setSuccess('Approval policy deleted successfully!');
+      fetchPolicies();
+    } catch (error) {
+      console.error('Error deleting approval policy:', error);
+      setError('Failed to delete approval policy');
+    }
+  };
+
+  const formatDurationRange = (policy) => {
+    const { min_duration_hours: min, max_duration_hours: max } = policy;
+    if (min == null && max == null) return 'Any';
+    if (min == null) return `Under ${max}h`;
+    if (max == null) return `${min}h or more`;
+    return `${min}h - ${max}h`;
+  };
+
+  if (loading) {
+    return (
+      <Container className="mt-4">
+        <div className="text-center">
+          <Spinner animation="border" />
+          <p className="mt-2">Loading approval policies...</p>
+        </div>
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="mt-4">
+      <Row>
+        <Col>
+          <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center">
+              <h3 className="mb-0">
+                <i className="fas fa-sitemap me-2"></i>
+                Approval Policies
+              </h3>
+              <Button variant="primary" onClick={openAddModal}>
+                <i className="fas fa-plus me-2"></i>
+                Add Policy
+              </Button>
+            </Card.Header>
+            <Card.Body>
+              <p className="text-muted">
+                The highest priority active policy matching a booking decides its approval chain.
+                Bookings that match no policy need Approver L1 then Approver L2.
+              </p>
+
+              {error && (
+                <Alert variant="danger" dismissible onClose={() => setError('')}>
+                  <i className="fas fa-exclamation-circle me-2"></i>
+                  {error}
+                </Alert>
+              )}
+
+              {success && (
+                <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+                  <i className="fas fa-check-circle me-2"></i>
+                  {success}
+                </Alert>
+              )}
+
+              {policies.length === 0 ? (
+                <div className="text-center py-4">
+                  <i className="fas fa-sitemap fa-3x text-muted mb-3"></i>
+                  <h5>No approval policies found</h5>
+                  <p className="text-muted">
+                    All bookings currently use the default two-level approval chain.
+                  </p>
+                </div>
+              ) : (
+                <div className="table-responsive">
+                  <Table striped hover>
+                    <thead>
+                      <tr>
+                        <th>Name</th>
+                        <th>Department</th>
+                        <th>Vehicle Type</th>
+                        <th>Duration</th>
+                        <th>Approval Chain</th>
+                        <th>Priority</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {policies.map(policy => (
+                        <tr key={policy.id}>
+                          <td>
+                            <strong>{policy.name}</strong>
+                          </td>
+                          <td>{policy.department || 'Any'}</td>
+                          <td>{policy.vehicle_type || 'Any'}</td>
+                          <td>{formatDurationRange(policy)}</td>
+                          <td>
+                            {policy.approval_roles?.map((role, index) => (
+                              <Badge key={index} bg="info" className="me-1 mb-1">
+                                {index + 1}. {formatApprovalRole(role)}
+                              </Badge>
+                            ))}
+                          </td>
+                          <td>{policy.priority}</td>
+                          <td>
+                            <Badge bg={policy.is_active ? 'success' : 'secondary'}>
+                              {policy.is_active ? 'ACTIVE' : 'INACTIVE'}
+                            </Badge>
+                          </td>
+                          <td>
+                            <div className="d-flex gap-1">
+                              <Button
+                                size="sm"
+                                variant="outline-primary"
+                                onClick={() => openEditModal(policy)}
+                                title="Edit Policy"
+                              >
+                                <i className="fas fa-edit"></i>
+                              </Button>
+                              <Button
+                                size="sm"
+                                variant="outline-danger"
+                                onClick={() => handleDelete(policy)}
+                                title="Delete Policy"
+                              >
+                                <i className="fas fa-trash"></i>
+                              </Button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+              )}
+            </Card.Body>
+          </Card>
+
+          <EscalationRuleSettings />
+        </Col>
+      </Row>
+
+      {/* Add/Edit Policy Modal */}
+      <Modal show={showModal} onHide={closeModal} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            <i className={`fas fa-${modalMode === 'add' ? 'plus' : 'edit'} me-2`}></i>
+            {modalMode === 'add' ? 'Add Approval Policy' : 'Edit Approval Policy'}
+          </Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            <Row>
+              <Col md={8}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name <span className="text-danger">*</span></Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    isInvalid={!!errors.name}
+                    required
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {errors.name}
+                  </Form.Control.Feedback>
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Priority</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="priority"
+                    value={formData.priority}
+                    onChange={handleInputChange}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Department</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="department"
+                    value={formData.department}
+                    onChange={handleInputChange}
+                    placeholder="Any department"
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Vehicle Type</Form.Label>
+                  <Form.Select
+                    name="vehicle_type"
+                    value={formData.vehicle_type}
+                    onChange={handleInputChange}
+                  >
+                    <option value="">Any vehicle type</option>
+                    {vehicleTypeOptions.map(type => (
+                      <option key={type} value={type}>
+                        {type.charAt(0).toUpperCase() + type.slice(1)}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Minimum Duration (hours)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="min_duration_hours"
+                    value={formData.min_duration_hours}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="0.5"
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Maximum Duration (hours)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="max_duration_hours"
+                    value={formData.max_duration_hours}
+                    onChange={handleInputChange}
+                    isInvalid={!!errors.max_duration_hours}
+                    min="0"
+                    step="0.5"
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {errors.max_duration_hours}
+                  </Form.Control.Feedback>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Approval Chain <span className="text-danger">*</span></Form.Label>
+              {formData.approval_roles.map((role, index) => (
+                <div key={index} className="d-flex align-items-center gap-2 mb-2">
+                  <span className="text-muted" style={{ minWidth: '4rem' }}>Level {index + 1}</span>
+                  <Form.Select
+                    value={role}
+                    onChange={(e) => handleRoleChange(index, e.target.value)}
+                  >
+                    {roleOptions.map(option => (
+                      <option key={option} value={option}>
+                        {formatApprovalRole(option)}
+                      </option>
+                    ))}
+                  </Form.Select>
+                  <Button
+                    variant="outline-danger"
+                    onClick={() => removeLevel(index)}
+                    disabled={formData.approval_roles.length <= 1}
+                    title="Remove Level"
+                  >
+                    <i className="fas fa-trash"></i>
+                  </Button>
+                </div>
+              ))}
+              {errors.approval_roles && (
+                <div className="text-danger small">{errors.approval_roles}</div>
+              )}
+              {formData.approval_roles.length < 3 && (
+                <Button variant="outline-secondary" size="sm" onClick={addLevel}>
+                  <i className="fas fa-plus me-2"></i>
+                  Add Level
+                </Button>
+              )}
+            </Form.Group>
+
+            <Form.Check
+              type="checkbox"
+              id="policy-is-active"
+              name="is_active"
+              label="Active"
+              checked={formData.is_active}
+              onChange={handleInputChange}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeModal}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={submitting}>
+              {submitting ? (
+                <>
+                  <Spinner animation="border" size="sm" className="me-2" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <i className="fas fa-save me-2"></i>
+                  {modalMode === 'add' ? 'Add Policy' : 'Update Policy'}
+                </>
+              )}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default ApprovalPolicyManagement;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Alert, Form, Button, Spinner } from 'react-bootstrap';
+import { driverAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import { formatIneligibleDrivers } from '../utils/bookingConflicts';
+
+const AssignDriverModal = ({
+  show,
+  onHide,
+  booking,
+  onConfirm,
+  loading = false
+}) => {
+  const [drivers, setDrivers] = useState([]);
+  const [ineligibleDrivers, setIneligibleDrivers] = useState([]);
+  const [driverId, setDriverId] = useState('');
+  const [loadingDrivers, setLoadingDrivers] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!show || !booking) return;
+
+    // Only offer drivers qualified for the vehicle, licensed and free for the whole booking
+    const fetchDrivers = async () => {
+      try {
+        setLoadingDrivers(true);
+        const response = await driverAPI.getEligibleDrivers({
+          vehicle_id: booking.vehicle_id,
+          start: booking.start_date,
+          end: booking.end_date,
+          exclude_booking_id: booking.id
+        });
+        setDrivers(response.data.drivers);
+        setIneligibleDrivers(response.data.ineligible);
+      } catch (error) {
+        console.error('Error fetching drivers:', error);
+        setError('Failed to load available drivers');
+      } finally {
+        setLoadingDrivers(false);
+      }
+    };
+
+    setDriverId(booking?.driver_id ? String(booking.driver_id) : '');
+    setError('');
+    fetchDrivers();
+  }, [show, booking]);
+
+  const handleConfirm = () => {
+    if (!driverId) {
+      return; // Nothing to assign
+    }
+    onConfirm(parseInt(driverId));
+  };
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className="fas fa-user-tie text-primary me-2"></i>
+          Assign Driver
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <Alert variant="danger">
+            <i className="fas fa-exclamation-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {booking && (
+          <>
+            <dl className="row">
+              <dt className="col-sm-4">Vehicle</dt>
+              <dd className="col-sm-8">
+                : {booking.vehicle?.plate_number} - {booking.vehicle?.make} {booking.vehicle?.model}
+              </dd>
+
+              <dt className="col-sm-4">Period</dt>
+              <dd className="col-sm-8">
+                : {formatDateTime(booking.start_date)} - {formatDateTime(booking.end_date)}
+              </dd>
+            </dl>
+
+            <Form.Group>
+              <Form.Label>
+                <strong>Driver <span className="text-danger">*</span></strong>
+              </Form.Label>
+              {loadingDrivers ? (
+                <div>
+                  <Spinner animation="border" size="sm" />
+                </div>
+              ) : (
+                <Form.Select value={driverId} onChange={(e) => setDriverId(e.target.value)}>
+                  <option value="">Select a driver...</option>
+                  {drivers.map(driver => (
+                    <option key={driver.id} value={driver.id}>
+                      {driver.name} - {driver.license_number}
+                    </option>
+                  ))}
+                </Form.Select>
+              )}
+              <Form.Text className="text-muted" title={formatIneligibleDrivers(ineligibleDrivers)}>
+                Only drivers qualified for this vehicle, licensed and free for the whole period are listed
+                {ineligibleDrivers.length > 0 && ` (${ineligibleDrivers.length} hidden)`}.
+              </Form.Text>
+            </Form.Group>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide} disabled={loading}>
+          <i className="fas fa-times me-2"></i>
+          Cancel
+        </Button>
+        <Button variant="primary" onClick={handleConfirm} disabled={loading || !driverId}>
+          {loading ? (
+            <>
+              <i className="fas fa-spinner fa-spin me-2"></i>
+              Saving...
+            </>
+          ) : (
+            <>
+              <i className="fas fa-user-check me-2"></i>
+              Assign Driver
+            </>
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default AssignDriverModal;
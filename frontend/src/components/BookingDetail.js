@@ -2,21 +2,35 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Badge, Button, Alert, Spinner, Modal, Form } from 'react-bootstrap';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { canEditBooking, canCancelBooking, canApproveBooking, canRejectBooking, isApprover } from '../utils/bookingPermissions';
+import { canEditBooking, canCancelBooking, canApproveBooking, canRejectBooking, canStartTrip, canCompleteTrip, findActionableApproval, getApprovalRole, formatApprovalRole, isApprover } from '../utils/bookingPermissions';
 import CancelBookingModal from './CancelBookingModal';
+import TripModal from './TripModal';
+import AssignDriverModal from './AssignDriverModal';
+import InspectionModal from './InspectionModal';
+import BookingInspections from './BookingInspections';
+import IncidentReportModal from './IncidentReportModal';
+import IncidentReviewModal from './IncidentReviewModal';
+import BookingIncidents from './BookingIncidents';
+import TripTrace from './TripTrace';
+import { formatConflictError } from '../utils/bookingConflicts';
+import { formatComplianceWarnings } from '../utils/driverCompliance';
 import { formatDate, formatDateTime } from '../utils/dateUtils';
-import { bookingAPI } from '../services/api';
+import { formatRecurrence } from '../utils/recurrence';
+import { getPriorityVariant } from '../utils/bookingDetails';
+import { formatSite } from '../utils/sites';
+import { bookingAPI, inspectionAPI, incidentAPI } from '../services/api';
 
 const BookingDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, actingFor } = useAuth();
   const [booking, setBooking] = useState(null);
   const [activities, setActivities] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingActivities, setLoadingActivities] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [warning, setWarning] = useState('');
 
   // Cancel modal state
   const [showCancelModal, setShowCancelModal] = useState(false);
@@ -29,6 +43,23 @@ const BookingDetail = () => {
   const [approvalProcessing, setApprovalProcessing] = useState(false);
   const [currentApproval, setCurrentApproval] = useState(null);
 
+  // Trip modal state
+  const [tripMode, setTripMode] = useState(''); // 'start' or 'complete'
+  const [tripProcessing, setTripProcessing] = useState(false);
+
+  // Walk-around inspections, for admins and the employee running the trip
+  const [inspectionInfo, setInspectionInfo] = useState(null);
+  const [inspectionModal, setInspectionModal] = useState(null); // { type, thenTrip }
+
+  // Incident reports, for the same people; admins investigate them
+  const [incidents, setIncidents] = useState(null);
+  const [showIncidentModal, setShowIncidentModal] = useState(false);
+  const [reviewIncident, setReviewIncident] = useState(null);
+
+  // Driver assignment (self-service requests get a driver after approval)
+  const [showAssignDriverModal, setShowAssignDriverModal] = useState(false);
+  const [assigningDriver, setAssigningDriver] = useState(false);
+
   // Export state
   const [exporting, setExporting] = useState(false);
 
@@ -59,6 +90,42 @@ const BookingDetail = () => {
     }
   };
 
+  const canInspect = !!booking && (user?.role === 'admin' || booking.user?.id === user?.id);
+
+  useEffect(() => {
+    if (canInspect) {
+      fetchInspections();
+      fetchIncidents();
+    }
+  }, [booking?.id, booking?.status, canInspect]);
+
+  const fetchInspections = async () => {
+    try {
+      const response = await inspectionAPI.getBookingInspections(id);
+      setInspectionInfo(response.data);
+    } catch (error) {
+      console.error('Error fetching inspections:', error);
+      setInspectionInfo(null);
+    }
+  };
+
+  const fetchIncidents = async () => {
+    try {
+      const response = await incidentAPI.getBookingIncidents(id);
+      setIncidents(response.data.incidents);
+    } catch (error) {
+      console.error('Error fetching incidents:', error);
+      setIncidents(null);
+    }
+  };
+
+  const handleIncidentSaved = async (incident, message) => {
+    setShowIncidentModal(false);
+    setReviewIncident(null);
+    setSuccess(message);
+    await fetchIncidents();
+  };
+
   const fetchActivities = async () => {
     try {
       setLoadingActivities(true);
@@ -105,14 +172,8 @@ const BookingDetail = () => {
 
   const getCurrentApproval = () => {
     if (!booking || !user) return null;
-    const userLevel = user.role === 'approver_l1' ? 1 : 2;
-    return booking.approvals?.find(a => a.level === userLevel);
-  };
-
-  const getCurrentApprovalForUser = () => {
-    if (!booking || !user) return null;
-    const userLevel = user.role === 'approver_l1' ? 1 : 2;
-    return booking.approvals?.find(a => a.level === userLevel);
+    const approval = findActionableApproval(booking.approvals, user, actingFor);
+    return approval ? { ...approval, booking } : null;
   };
 
   const openApprovalModal = (action) => {
@@ -168,11 +229,11 @@ const BookingDetail = () => {
     }
   };
 
-  const handleCancelBooking = async (reason) => {
+  const handleCancelBooking = async (reason, scope) => {
     try {
       setCancelling(true);
-      await bookingAPI.cancelBooking(booking.id, reason);
-      setSuccess('Booking cancelled successfully');
+      const response = await bookingAPI.cancelBooking(booking.id, reason, scope);
+      setSuccess(response.data.message || 'Booking cancelled successfully');
       setShowCancelModal(false);
       await fetchBooking(); // Refresh booking data
     } catch (error) {
@@ -187,6 +248,79 @@ const BookingDetail = () => {
     setShowCancelModal(false);
   };
 
+  // A trip whose checklist hasn't been passed goes through the inspection first
+  const openTrip = (mode) => {
+    const inspectionType = mode === 'start' ? 'pre_trip' : 'post_trip';
+    if (inspectionInfo?.outstanding[inspectionType]) {
+      setInspectionModal({ type: inspectionType, thenTrip: mode });
+    } else {
+      setTripMode(mode);
+    }
+  };
+
+  const handleInspectionSaved = async (inspection, message) => {
+    const { thenTrip } = inspectionModal;
+    setInspectionModal(null);
+    await fetchInspections();
+
+    if (inspection.status === 'failed') {
+      setWarning(message);
+      await fetchBooking(); // The vehicle is now in maintenance
+    } else {
+      setSuccess(message);
+    }
+
+    // A failed pre-trip inspection stops the trip; a trip that came back faulty can still be completed
+    if (thenTrip && (inspection.status !== 'failed' || inspection.inspection_type === 'post_trip')) {
+      setTripMode(thenTrip);
+    }
+  };
+
+  const handleTripConfirm = async (mileage) => {
+    try {
+      setTripProcessing(true);
+      if (tripMode === 'start') {
+        await bookingAPI.startTrip(booking.id, { start_mileage: mileage });
+        setSuccess('Trip started successfully');
+      } else {
+        await bookingAPI.completeTrip(booking.id, { end_mileage: mileage });
+        setSuccess('Trip completed successfully');
+      }
+      setTripMode('');
+      await fetchBooking(); // Refresh booking data
+      if (user?.role === 'admin') {
+        fetchActivities();
+      }
+    } catch (error) {
+      console.error(`Error trying to ${tripMode} trip:`, error);
+      setError(error.response?.data?.message || `Failed to ${tripMode} trip`);
+    } finally {
+      setTripProcessing(false);
+    }
+  };
+
+  const handleAssignDriver = async (driverId) => {
+    try {
+      setAssigningDriver(true);
+      const response = await bookingAPI.updateBooking(booking.id, { driver_id: driverId });
+      const complianceWarning = formatComplianceWarnings(response.data.booking);
+      setSuccess(`Driver assigned successfully${complianceWarning ? `. ${complianceWarning}` : ''}`);
+      setShowAssignDriverModal(false);
+      await fetchBooking(); // Refresh booking data
+      fetchActivities();
+    } catch (error) {
+      console.error('Error assigning driver:', error);
+      setShowAssignDriverModal(false);
+      if (error.response?.status === 409) {
+        setError(formatConflictError(error.response.data));
+      } else {
+        setError(error.response?.data?.message || 'Failed to assign driver');
+      }
+    } finally {
+      setAssigningDriver(false);
+    }
+  };
+
   const handleExportActivities = async () => {
     try {
       setExporting(true);
@@ -216,6 +350,20 @@ const BookingDetail = () => {
   };
 
   const renderApprovalStatus = () => {
+    const seriesApprovalId = booking.series?.approval_booking_id;
+    if ((!booking.approvals || booking.approvals.length === 0) && seriesApprovalId && seriesApprovalId !== booking.id) {
+      return (
+        <Alert variant="info">
+          <i className="fas fa-info-circle me-2"></i>
+          Approvals for this recurring series are recorded on{' '}
+          <Alert.Link onClick={() => navigate(`/bookings/${seriesApprovalId}`)}>
+            booking #{seriesApprovalId}
+          </Alert.Link>
+          {' '}and apply to every pending occurrence.
+        </Alert>
+      );
+    }
+
     if (!booking.approvals || booking.approvals.length === 0) {
       return (
         <Alert variant="info">
@@ -238,9 +386,25 @@ const BookingDetail = () => {
             </div>
             <div className="flex-grow-1">
               <strong>Level {approval.level}</strong>
+              <small className="text-muted ms-1">({formatApprovalRole(getApprovalRole(approval))})</small>
+              {approval.site && (
+                <Badge bg="secondary" className="ms-2" title={`Cross-site approval for ${formatSite(approval.site)}`}>
+                  <i className="fas fa-exchange-alt me-1"></i>
+                  {approval.site.code}
+                </Badge>
+              )}
               {approval.approver && (
                 <span className="text-muted"> - {approval.approver.name}</span>
               )}
+              {approval.onBehalfOf && (
+                <span className="text-muted"> on behalf of {approval.onBehalfOf.name}</span>
+              )}
+              {approval.escalated_at && (
+                <Badge bg="danger" className="ms-2" title={`Escalated ${formatDateTime(approval.escalated_at)}`}>
+                  <i className="fas fa-level-up-alt me-1"></i>
+                  ESCALATED{approval.escalatedTo ? ` TO ${approval.escalatedTo.name.toUpperCase()}` : ''}
+                </Badge>
+              )}
               <div>
                 <Badge bg={
                   approval.status === 'approved' ? 'success' : 
@@ -337,6 +501,13 @@ const BookingDetail = () => {
             </Alert>
           )}
 
+          {warning && (
+            <Alert variant="warning" dismissible onClose={() => setWarning('')}>
+              <i className="fas fa-exclamation-triangle me-2"></i>
+              {warning}
+            </Alert>
+          )}
+
           {error && (
             <Alert variant="danger" dismissible onClose={() => setError('')}>
               <i className="fas fa-exclamation-circle me-2"></i>
@@ -378,7 +549,7 @@ const BookingDetail = () => {
                     <Button
                       variant="success"
                       className="me-2"
-                      disabled={!canApproveBooking(getCurrentApprovalForUser(), user)}
+                      disabled={!canApproveBooking(getCurrentApproval(), user, actingFor)}
                       onClick={() => openApprovalModal('approve')}
                     >
                       <i className="fas fa-check me-2"></i>
@@ -387,7 +558,7 @@ const BookingDetail = () => {
                     <Button
                       variant="danger"
                       className="me-2"
-                      disabled={!canRejectBooking(getCurrentApprovalForUser(), user)}
+                      disabled={!canRejectBooking(getCurrentApproval(), user, actingFor)}
                       onClick={() => openApprovalModal('reject')}
                     >
                       <i className="fas fa-times me-2"></i>
@@ -395,6 +566,36 @@ const BookingDetail = () => {
                     </Button>
                   </>
                 )}
+                {user?.role === 'admin' && ['pending', 'approved'].includes(booking.status) && (
+                  <Button
+                    variant={booking.driver ? 'outline-primary' : 'primary'}
+                    className="me-2"
+                    onClick={() => setShowAssignDriverModal(true)}
+                  >
+                    <i className="fas fa-user-tie me-2"></i>
+                    {booking.driver ? 'Change Driver' : 'Assign Driver'}
+                  </Button>
+                )}
+                {canStartTrip(booking, user) && (
+                  <Button
+                    variant="success"
+                    className="me-2"
+                    onClick={() => openTrip('start')}
+                  >
+                    <i className="fas fa-play me-2"></i>
+                    Start Trip
+                  </Button>
+                )}
+                {canCompleteTrip(booking, user) && (
+                  <Button
+                    variant="info"
+                    className="me-2"
+                    onClick={() => openTrip('complete')}
+                  >
+                    <i className="fas fa-flag-checkered me-2"></i>
+                    Complete Trip
+                  </Button>
+                )}
                 {user?.role === 'admin' && (
                   <Button
                     variant="danger"
@@ -435,17 +636,27 @@ const BookingDetail = () => {
                         <dt className="col-sm-4">Fuel Type</dt>
                         <dd className="col-sm-8">: {booking.vehicle?.fuel_type}</dd>
                         
-                        {booking.driver && (
-                          <>
-                            <dt className="col-sm-4">Driver</dt>
-                            <dd className="col-sm-8">
-                              : {booking.driver.name}
-                              <br />
-                              <small className="text-muted">
-                                &nbsp;&nbsp;License: {booking.driver.license_number}
-                              </small>
-                            </dd>
-                          </>
+                        <dt className="col-sm-4">Site</dt>
+                        <dd className="col-sm-8">
+                          : {formatSite(booking.site)}
+                          {booking.site_id && booking.vehicle?.site_id && booking.vehicle.site_id !== booking.site_id && (
+                            <Badge bg="warning" text="dark" className="ms-2">CROSS-SITE VEHICLE</Badge>
+                          )}
+                        </dd>
+                        
+                        <dt className="col-sm-4">Driver</dt>
+                        {booking.driver ? (
+                          <dd className="col-sm-8">
+                            : {booking.driver.name}
+                            <br />
+                            <small className="text-muted">
+                              &nbsp;&nbsp;License: {booking.driver.license_number}
+                            </small>
+                          </dd>
+                        ) : (
+                          <dd className="col-sm-8">
+                            : <span className="text-muted">Assigned after approval</span>
+                          </dd>
                         )}
                       </dl>
                     </Card.Body>
@@ -471,6 +682,30 @@ const BookingDetail = () => {
                         <dt className="col-sm-4">Duration</dt>
                         <dd className="col-sm-8">: {formatDuration(booking.start_date, booking.end_date)}</dd>
                         
+                        {booking.actual_start_date && (
+                          <>
+                            <dt className="col-sm-4">Departed</dt>
+                            <dd className="col-sm-8">
+                              : {formatDateTime(booking.actual_start_date)}
+                              <br />
+                              <small className="text-muted">&nbsp;&nbsp;Odometer: {booking.start_mileage} km</small>
+                            </dd>
+                          </>
+                        )}
+
+                        {booking.actual_end_date && (
+                          <>
+                            <dt className="col-sm-4">Returned</dt>
+                            <dd className="col-sm-8">
+                              : {formatDateTime(booking.actual_end_date)}
+                              <br />
+                              <small className="text-muted">
+                                &nbsp;&nbsp;Odometer: {booking.end_mileage} km ({booking.end_mileage - booking.start_mileage} km travelled)
+                              </small>
+                            </dd>
+                          </>
+                        )}
+                        
                         <dt className="col-sm-4">Created</dt>
                         <dd className="col-sm-8">: {formatDate(booking.created_at)}</dd>
                         
@@ -527,6 +762,41 @@ const BookingDetail = () => {
                           </>
                         )}
                         
+                        {booking.purpose && (
+                          <>
+                            <dt className="col-sm-4">Purpose</dt>
+                            <dd className="col-sm-8">: {booking.purpose}</dd>
+                          </>
+                        )}
+
+                        {booking.destination && (
+                          <>
+                            <dt className="col-sm-4">Destination</dt>
+                            <dd className="col-sm-8">: {booking.destination}</dd>
+                          </>
+                        )}
+
+                        {booking.passengers && (
+                          <>
+                            <dt className="col-sm-4">Passengers</dt>
+                            <dd className="col-sm-8">: {booking.passengers}</dd>
+                          </>
+                        )}
+
+                        <dt className="col-sm-4">Priority</dt>
+                        <dd className="col-sm-8">
+                          : <Badge bg={getPriorityVariant(booking.priority)} text={booking.priority === 'normal' ? 'dark' : undefined}>
+                            {(booking.priority || 'normal').toUpperCase()}
+                          </Badge>
+                        </dd>
+
+                        {booking.cost_center && (
+                          <>
+                            <dt className="col-sm-4">Cost Center</dt>
+                            <dd className="col-sm-8">: {booking.cost_center}</dd>
+                          </>
+                        )}
+
                         {booking.notes && (
                           <>
                             <dt className="col-sm-4">Notes</dt>
@@ -592,6 +862,99 @@ const BookingDetail = () => {
                 </Col>
               </Row>
 
+              {inspectionInfo && (inspectionInfo.inspections.length > 0 || inspectionInfo.checklists.pre_trip || inspectionInfo.checklists.post_trip) && (
+                <Row className="mt-3">
+                  <Col md={12}>
+                    <BookingInspections
+                      info={inspectionInfo}
+                      booking={booking}
+                      onInspect={(type) => setInspectionModal({ type, thenTrip: null })}
+                      onError={setError}
+                    />
+                  </Col>
+                </Row>
+              )}
+
+              {canInspect && ['in_progress', 'completed'].includes(booking.status) && (
+                <Row className="mt-3">
+                  <Col md={12}>
+                    <TripTrace booking={booking} />
+                  </Col>
+                </Row>
+              )}
+
+              {incidents && (
+                <Row className="mt-3">
+                  <Col md={12}>
+                    <BookingIncidents
+                      incidents={incidents}
+                      booking={booking}
+                      onReport={() => setShowIncidentModal(true)}
+                      onReview={user?.role === 'admin' ? setReviewIncident : undefined}
+                      onError={setWarning}
+                    />
+                  </Col>
+                </Row>
+              )}
+
+              {booking.series && (
+                <Row className="mt-3">
+                  <Col md={12}>
+                    <Card>
+                      <Card.Header>
+                        <h5 className="mb-0">
+                          <i className="fas fa-redo me-2"></i>
+                          Recurring Series
+                        </h5>
+                        <small className="text-muted">{formatRecurrence(booking.series)}</small>
+                      </Card.Header>
+                      <Card.Body style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                        <div className="table-responsive">
+                          <table className="table table-sm mb-0">
+                            <thead>
+                              <tr>
+                                <th>#</th>
+                                <th>Booking</th>
+                                <th>Start</th>
+                                <th>End</th>
+                                <th>Status</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {booking.series.occurrences.map(occurrence => (
+                                <tr
+                                  key={occurrence.id}
+                                  className={occurrence.id === booking.id ? 'table-active' : ''}
+                                >
+                                  <td>{occurrence.series_index}</td>
+                                  <td>
+                                    {occurrence.id === booking.id ? (
+                                      <strong>#{occurrence.id}</strong>
+                                    ) : (
+                                      <Button
+                                        variant="link"
+                                        size="sm"
+                                        className="p-0"
+                                        onClick={() => navigate(`/bookings/${occurrence.id}`)}
+                                      >
+                                        #{occurrence.id}
+                                      </Button>
+                                    )}
+                                  </td>
+                                  <td>{formatDateTime(occurrence.start_date)}</td>
+                                  <td>{formatDateTime(occurrence.end_date)}</td>
+                                  <td>{getStatusBadge(occurrence.status)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                </Row>
+              )}
+
               {/* Activity Log Section - Admin Only */}
               {user?.role === 'admin' && (
                 <Row className="mt-3">
@@ -652,7 +1015,16 @@ const BookingDetail = () => {
                                   {activity.action === 'REJECT' && (
                                     <i className="fas fa-times-circle text-danger"></i>
                                   )}
-                                  {!['CREATE', 'UPDATE', 'CANCEL', 'APPROVE', 'REJECT'].includes(activity.action) && (
+                                  {activity.action === 'START' && (
+                                    <i className="fas fa-play-circle text-success"></i>
+                                  )}
+                                  {activity.action === 'COMPLETE' && (
+                                    <i className="fas fa-flag-checkered text-primary"></i>
+                                  )}
+                                  {activity.action === 'ESCALATE' && (
+                                    <i className="fas fa-level-up-alt text-danger"></i>
+                                  )}
+                                  {!['CREATE', 'UPDATE', 'CANCEL', 'APPROVE', 'REJECT', 'START', 'COMPLETE', 'ESCALATE'].includes(activity.action) && (
                                     <i className="fas fa-circle text-secondary"></i>
                                   )}
                                 </div>
@@ -662,10 +1034,14 @@ const BookingDetail = () => {
                                       <div className="activity-description">
                                         <strong>{activity.description}</strong>
                                       </div>
-                                      {activity.user && (
+                                      {activity.user ? (
                                         <div className="text-muted small mt-1">
                                           by <strong>{activity.user.name}</strong> ({activity.user.role.replace('_', ' ').toUpperCase()})
                                         </div>
+                                      ) : (
+                                        <div className="text-muted small mt-1">
+                                          by <strong>System</strong>
+                                        </div>
                                       )}
                                     </div>
                                     <div className="text-muted small">
@@ -810,6 +1186,44 @@ const BookingDetail = () => {
         onConfirm={handleCancelBooking}
         loading={cancelling}
       />
+
+      {/* Walk-around Inspection Modal */}
+      <InspectionModal
+        show={!!inspectionModal}
+        booking={booking}
+        inspectionType={inspectionModal?.type}
+        checklist={inspectionModal && inspectionInfo?.checklists[inspectionModal.type]}
+        onHide={() => setInspectionModal(null)}
+        onSaved={handleInspectionSaved}
+      />
+
+      {/* Incident Modals */}
+      <IncidentReportModal
+        show={showIncidentModal}
+        booking={booking}
+        onHide={() => setShowIncidentModal(false)}
+        onSaved={handleIncidentSaved}
+      />
+      <IncidentReviewModal incident={reviewIncident} onHide={() => setReviewIncident(null)} onSaved={handleIncidentSaved} />
+
+      {/* Trip Start/Complete Modal */}
+      <TripModal
+        show={!!tripMode}
+        onHide={() => setTripMode('')}
+        booking={booking}
+        mode={tripMode}
+        onConfirm={handleTripConfirm}
+        loading={tripProcessing}
+      />
+
+      {/* Driver Assignment Modal */}
+      <AssignDriverModal
+        show={showAssignDriverModal}
+        onHide={() => setShowAssignDriverModal(false)}
+        booking={booking}
+        onConfirm={handleAssignDriver}
+        loading={assigningDriver}
+      />
     </Container>
   );
 };
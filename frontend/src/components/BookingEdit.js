@@ -3,6 +3,12 @@ import { Container, Row, Col, Card, Form, Button, Alert, Spinner } from 'react-b
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { vehicleAPI, bookingAPI, driverAPI, usersAPI } from '../services/api';
+import { isSchedulableVehicle, formatConflictError, formatIneligibleDrivers } from '../utils/bookingConflicts';
+import { getApprovalRole, formatApprovalRole } from '../utils/bookingPermissions';
+import { SERIES_SCOPE_OPTIONS } from '../utils/recurrence';
+import { EMPTY_TRIP_DETAILS, buildTripDetails, validateTripDetails } from '../utils/bookingDetails';
+import { formatComplianceWarnings } from '../utils/driverCompliance';
+import BookingTripFields from './BookingTripFields';
 
 const BookingEdit = () => {
   const { id } = useParams();
@@ -12,23 +18,26 @@ const BookingEdit = () => {
   const [submitting, setSubmitting] = useState(false);
   const [vehicles, setVehicles] = useState([]);
   const [drivers, setDrivers] = useState([]);
-  const [approvers, setApprovers] = useState([]);
+  const [ineligibleDrivers, setIneligibleDrivers] = useState([]);
   const [employees, setEmployees] = useState([]);
   const [booking, setBooking] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [warning, setWarning] = useState('');
 
   const [formData, setFormData] = useState({
     vehicle_id: '',
     driver_id: '',
-    approver_l1_id: '',
-    approver_l2_id: '',
     employee_id: '',
     start_date: '',
     end_date: '',
+    ...EMPTY_TRIP_DETAILS,
     notes: ''
   });
 
+  // Which occurrences of a recurring series the changes apply to
+  const [scope, setScope] = useState('this');
+
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
@@ -39,17 +48,17 @@ const BookingEdit = () => {
     try {
       setLoading(true);
       
-      // Fetch booking details and available vehicles in parallel
+      // Fetch booking details and schedulable vehicles in parallel
       const [bookingResponse, vehiclesResponse] = await Promise.all([
         bookingAPI.getBookingById(id),
-        vehicleAPI.getVehicles({ status: 'available' })
+        vehicleAPI.getVehicles()
       ]);
 
       const bookingData = bookingResponse.data.booking;
       setBooking(bookingData);
       
-      // Include the currently selected vehicle even if it's not "available"
-      const availableVehicles = vehiclesResponse.data.vehicles;
+      // Include the currently selected vehicle even if it can't be scheduled right now
+      const availableVehicles = vehiclesResponse.data.vehicles.filter(isSchedulableVehicle);
       const currentVehicle = bookingData.vehicle;
       
       // Add current vehicle to the list if it's not already there
@@ -70,26 +79,16 @@ const BookingEdit = () => {
         vehicle_id: bookingData.vehicle_id.toString(),
         driver_id: bookingData.driver_id ? bookingData.driver_id.toString() : '',
         employee_id: bookingData.user_id ? bookingData.user_id.toString() : '',
-        approver_l1_id: '',
-        approver_l2_id: '',
         start_date: formatDateForInput(bookingData.start_date),
         end_date: formatDateForInput(bookingData.end_date),
+        purpose: bookingData.purpose || '',
+        destination: bookingData.destination || '',
+        passengers: bookingData.passengers ? bookingData.passengers.toString() : '',
+        priority: bookingData.priority || 'normal',
+        cost_center: bookingData.cost_center || '',
         notes: bookingData.notes || ''
       };
 
-      // Extract approver IDs from approvals array
-      if (bookingData.approvals && bookingData.approvals.length > 0) {
-        const l1Approval = bookingData.approvals.find(a => a.level === 1);
-        const l2Approval = bookingData.approvals.find(a => a.level === 2);
-        
-        if (l1Approval && l1Approval.approver_id) {
-          initialFormData.approver_l1_id = l1Approval.approver_id.toString();
-        }
-        if (l2Approval && l2Approval.approver_id) {
-          initialFormData.approver_l2_id = l2Approval.approver_id.toString();
-        }
-      }
-
       console.log('Booking Data:', bookingData);
       console.log('Initial Form Data:', initialFormData);
 
@@ -97,11 +96,7 @@ const BookingEdit = () => {
 
       // Fetch additional data if admin
       if (isAdmin) {
-        await Promise.all([
-          fetchDrivers(),
-          fetchApprovers(),
-          fetchEmployees()
-        ]);
+        await fetchEmployees();
       }
 
     } catch (error) {
@@ -118,47 +113,41 @@ const BookingEdit = () => {
     }
   };
 
-  const fetchDrivers = async () => {
-    try {
-      const response = await driverAPI.getDrivers({ status: 'available' });
-      const availableDrivers = response.data.drivers;
-      
-      // Include the currently selected driver even if it's not "available"
-      const currentDriver = booking?.driver;
-      if (currentDriver) {
-        const driversList = availableDrivers.some(d => d.id === currentDriver.id) 
-          ? availableDrivers 
-          : [currentDriver, ...availableDrivers];
-        setDrivers(driversList);
-      } else {
-        setDrivers(availableDrivers);
-      }
-    } catch (error) {
-      console.error('Error fetching drivers:', error);
-      setError('Failed to load available drivers');
-    }
-  };
+  const { vehicle_id, start_date, end_date } = formData;
 
-  const fetchApprovers = async () => {
-    try {
-      // Fetch L1 and L2 approvers
-      const l1Response = await usersAPI.getUsers({ role: 'approver_l1' });
-      const l2Response = await usersAPI.getUsers({ role: 'approver_l2' });
-      
-      const allApprovers = [
-        ...l1Response.data.users,
-        ...l2Response.data.users
-      ];
-      
-      console.log('All Approvers:', allApprovers);
-      console.log('Current Form Data:', formData);
-      
-      setApprovers(allApprovers);
-    } catch (error) {
-      console.error('Error fetching approvers:', error);
-      setError('Failed to load approvers');
+  // Only offer drivers qualified for the vehicle and free for the whole window, ignoring this booking
+  useEffect(() => {
+    const hasWindow = vehicle_id && start_date && end_date && new Date(end_date) > new Date(start_date);
+    if (!isAdmin || !hasWindow) {
+      setDrivers([]);
+      setIneligibleDrivers([]);
+      return;
     }
-  };
+
+    const fetchEligibleDrivers = async () => {
+      try {
+        const response = await driverAPI.getEligibleDrivers({
+          vehicle_id,
+          start: new Date(start_date).toISOString(),
+          end: new Date(end_date).toISOString(),
+          exclude_booking_id: id
+        });
+        const eligible = response.data.drivers;
+        setDrivers(eligible);
+        setIneligibleDrivers(response.data.ineligible);
+        setFormData(prev => (
+          prev.driver_id && !eligible.some(driver => String(driver.id) === prev.driver_id)
+            ? { ...prev, driver_id: '' }
+            : prev
+        ));
+      } catch (error) {
+        console.error('Error fetching eligible drivers:', error);
+        setError('Failed to load available drivers');
+      }
+    };
+
+    fetchEligibleDrivers();
+  }, [isAdmin, id, vehicle_id, start_date, end_date]);
 
   const fetchEmployees = async () => {
     try {
@@ -198,7 +187,12 @@ const BookingEdit = () => {
   };
 
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = validateTripDetails(formData);
+
+    // Bookings made before trip details existed can be saved without a purpose
+    if (!formData.purpose.trim() && !booking?.purpose) {
+      delete newErrors.purpose;
+    }
 
     if (!formData.vehicle_id) {
       newErrors.vehicle_id = 'Please select a vehicle';
@@ -209,18 +203,10 @@ const BookingEdit = () => {
       if (!formData.employee_id) {
         newErrors.employee_id = 'Please select an employee';
       }
-      if (!formData.driver_id) {
+      // Self-service requests are approved before a driver is assigned
+      if (!formData.driver_id && booking?.driver_id) {
         newErrors.driver_id = 'Please select a driver';
       }
-      if (!formData.approver_l1_id) {
-        newErrors.approver_l1_id = 'Please select first approver';
-      }
-      if (!formData.approver_l2_id) {
-        newErrors.approver_l2_id = 'Please select second approver';
-      }
-      if (formData.approver_l1_id === formData.approver_l2_id && formData.approver_l1_id) {
-        newErrors.approver_l2_id = 'Second approver must be different from first approver';
-      }
     }
 
     if (!formData.start_date) {
@@ -255,32 +241,38 @@ const BookingEdit = () => {
       setSubmitting(true);
       setError('');
       
+      const { purpose, ...tripDetails } = buildTripDetails(formData);
       const updateData = {
+        ...tripDetails,
+        ...(purpose && { purpose }),
         vehicle_id: parseInt(formData.vehicle_id),
         start_date: formData.start_date,
         end_date: formData.end_date,
         notes: formData.notes,
+        ...(booking?.series_id && { scope }),
         ...(isAdmin && {
           employee_id: parseInt(formData.employee_id),
-          driver_id: parseInt(formData.driver_id),
-          approver_l1_id: parseInt(formData.approver_l1_id),
-          approver_l2_id: parseInt(formData.approver_l2_id)
+          ...(formData.driver_id && { driver_id: parseInt(formData.driver_id) })
         })
       };
 
-      await bookingAPI.updateBooking(id, updateData);
+      const response = await bookingAPI.updateBooking(id, updateData);
+      const complianceWarning = formatComplianceWarnings(response.data.booking);
+      setWarning(complianceWarning);
       
       setSuccess('Booking updated successfully!');
       
-      // Redirect to booking details after 2 seconds
+      // Redirect to booking details after 2 seconds (longer to read any warning)
       setTimeout(() => {
         navigate(`/bookings/${id}`);
-      }, 2000);
+      }, complianceWarning ? 6000 : 2000);
 
     } catch (error) {
       console.error('Error updating booking:', error);
-      if (error.response?.data?.error) {
-        setError(error.response.data.error);
+      if (error.response?.status === 409) {
+        setError(formatConflictError(error.response.data));
+      } else if (error.response?.data?.error) {
+        setError(error.response.data.message || error.response.data.error);
         if (error.response.data.details) {
           setError(error.response.data.details.map(d => d.msg).join(', '));
         }
@@ -367,6 +359,13 @@ const BookingEdit = () => {
                 </Alert>
               )}
 
+              {warning && (
+                <Alert variant="warning" dismissible onClose={() => setWarning('')}>
+                  <i className="fas fa-exclamation-triangle me-2"></i>
+                  {warning}
+                </Alert>
+              )}
+
               <Form onSubmit={handleSubmit}>
                 <Row>
                   <Col md={12}>
@@ -425,15 +424,15 @@ const BookingEdit = () => {
                     <Row>
                       <Col md={12}>
                         <Form.Group className="mb-3">
-                          <Form.Label>Driver <span className="text-danger">*</span></Form.Label>
+                          <Form.Label>Driver {booking?.driver_id && <span className="text-danger">*</span>}</Form.Label>
                           <Form.Select
                             name="driver_id"
                             value={formData.driver_id}
                             onChange={handleInputChange}
                             isInvalid={!!errors.driver_id}
-                            required
+                            required={!!booking?.driver_id}
                           >
-                            <option value="">Select a driver...</option>
+                            <option value="">{booking?.driver_id ? 'Select a driver...' : 'Assign after approval'}</option>
                             {drivers.map(driver => (
                               <option key={driver.id} value={driver.id}>
                                 {driver.name} - {driver.license_number}
@@ -443,59 +442,34 @@ const BookingEdit = () => {
                           <Form.Control.Feedback type="invalid">
                             {errors.driver_id}
                           </Form.Control.Feedback>
+                          {ineligibleDrivers.length > 0 && (
+                            <Form.Text className="text-muted" title={formatIneligibleDrivers(ineligibleDrivers)}>
+                              {ineligibleDrivers.length} driver{ineligibleDrivers.length === 1 ? ' is' : 's are'} hidden as unqualified for this vehicle, unlicensed or already booked.
+                            </Form.Text>
+                          )}
                         </Form.Group>
                       </Col>
                     </Row>
 
-                    <Row>
-                      <Col md={6}>
-                        <Form.Group className="mb-3">
-                          <Form.Label>First Approver <span className="text-danger">*</span></Form.Label>
-                          <Form.Select
-                            name="approver_l1_id"
-                            value={formData.approver_l1_id}
-                            onChange={handleInputChange}
-                            isInvalid={!!errors.approver_l1_id}
-                            required
-                          >
-                            <option value="">Select first approver...</option>
-                            {approvers.filter(approver => approver.role === 'approver_l1').map(approver => (
-                              <option key={approver.id} value={approver.id}>
-                                {approver.name} ({approver.department || 'No Department'})
-                              </option>
-                            ))}
-                          </Form.Select>
-                          <Form.Control.Feedback type="invalid">
-                            {errors.approver_l1_id}
-                          </Form.Control.Feedback>
-                        </Form.Group>
-                      </Col>
-                      <Col md={6}>
-                        <Form.Group className="mb-3">
-                          <Form.Label>Second Approver <span className="text-danger">*</span></Form.Label>
-                          <Form.Select
-                            name="approver_l2_id"
-                            value={formData.approver_l2_id}
-                            onChange={handleInputChange}
-                            isInvalid={!!errors.approver_l2_id}
-                            required
-                          >
-                            <option value="">Select second approver...</option>
-                            {approvers.filter(approver => approver.role === 'approver_l2').map(approver => (
-                              <option key={approver.id} value={approver.id}>
-                                {approver.name} ({approver.department || 'No Department'})
-                              </option>
-                            ))}
-                          </Form.Select>
-                          <Form.Control.Feedback type="invalid">
-                            {errors.approver_l2_id}
-                          </Form.Control.Feedback>
-                        </Form.Group>
-                      </Col>
-                    </Row>
+                    {/* The approval chain is fixed when the booking is created */}
+                    <Form.Group className="mb-3">
+                      <Form.Label>Approval Chain</Form.Label>
+                      <div>
+                        {[...(booking?.approvals || [])].sort((a, b) => a.level - b.level).map(approval => (
+                          <div key={approval.id} className="text-muted">
+                            <small>
+                              Level {approval.level} ({formatApprovalRole(getApprovalRole(approval))}):{' '}
+                              {approval.approver?.name || 'Any approver'} - {approval.status}
+                            </small>
+                          </div>
+                        ))}
+                      </div>
+                    </Form.Group>
                   </>
                 )}
 
+                <BookingTripFields formData={formData} errors={errors} onChange={handleInputChange} />
+
                 <Row>
                   <Col md={6}>
                     <Form.Group className="mb-3">
@@ -548,6 +522,20 @@ const BookingEdit = () => {
                   </Form.Text>
                 </Form.Group>
 
+                {booking?.series_id && (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Apply changes to</Form.Label>
+                    <Form.Select value={scope} onChange={(e) => setScope(e.target.value)}>
+                      {SERIES_SCOPE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </Form.Select>
+                    <Form.Text className="text-muted">
+                      Date changes shift each selected occurrence by the same amount. Started or finished occurrences are left alone.
+                    </Form.Text>
+                  </Form.Group>
+                )}
+
                 <div className="d-grid gap-2 d-md-flex justify-content-md-end">
                   <Button
                     variant="secondary"
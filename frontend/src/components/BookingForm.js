@@ -1,66 +1,178 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
-import { useNavigate } from 'react-router-dom';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner, InputGroup, ListGroup, Badge } from 'react-bootstrap';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { vehicleAPI, bookingAPI, driverAPI, usersAPI } from '../services/api';
+import { vehicleAPI, bookingAPI, driverAPI, usersAPI, approvalPolicyAPI, sitesAPI } from '../services/api';
+import { isSchedulableVehicle, formatConflictError, formatIneligibleDrivers } from '../utils/bookingConflicts';
+import { formatApprovalRole } from '../utils/bookingPermissions';
+import { toDateTimeLocal } from '../utils/dateUtils';
+import { WEEKDAY_LABELS, MAX_OCCURRENCES } from '../utils/recurrence';
+import { EMPTY_TRIP_DETAILS, buildTripDetails, validateTripDetails } from '../utils/bookingDetails';
+import { formatComplianceWarnings } from '../utils/driverCompliance';
+import { formatSite } from '../utils/sites';
+import BookingTripFields from './BookingTripFields';
+import SiteSelect from './SiteSelect';
+
+// Shown until the booking details are complete enough to resolve a policy
+const DEFAULT_APPROVAL_CHAIN = ['approver_l1', 'approver_l2'];
+const ORDINALS = ['First', 'Second', 'Third'];
 
 const BookingForm = () => {
   const navigate = useNavigate();
-  const { isAdmin } = useAuth();
+  const [searchParams] = useSearchParams();
+  const { isAdmin, user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [vehicles, setVehicles] = useState([]);
   const [drivers, setDrivers] = useState([]);
+  const [ineligibleDrivers, setIneligibleDrivers] = useState([]);
+  const [driverSuggestions, setDriverSuggestions] = useState([]);
   const [approvers, setApprovers] = useState([]);
   const [employees, setEmployees] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [approvalChain, setApprovalChain] = useState(DEFAULT_APPROVAL_CHAIN);
+  const [approvalPolicy, setApprovalPolicy] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [warning, setWarning] = useState('');
 
-  const [formData, setFormData] = useState({
-    vehicle_id: '',
+  // The fleet calendar links here with the clicked vehicle and slot
+  const [formData, setFormData] = useState(() => ({
+    vehicle_id: searchParams.get('vehicle_id') || '',
     driver_id: '',
     approver_l1_id: '',
     approver_l2_id: '',
+    approver_l3_id: '',
     employee_id: '',
-    start_date: '',
-    end_date: '',
+    site_id: '',
+    start_date: toDateTimeLocal(searchParams.get('start_date')),
+    end_date: toDateTimeLocal(searchParams.get('end_date')),
+    ...EMPTY_TRIP_DETAILS,
     notes: ''
+  }));
+
+  // Repeat settings; the first occurrence is the start and end date above
+  const [recurrence, setRecurrence] = useState({
+    enabled: false,
+    frequency: 'weekly',
+    interval: 1,
+    weekdays: [],
+    end_type: 'until',
+    until: '',
+    count: 10
   });
 
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
     fetchVehicles();
+    fetchSites();
     if (isAdmin) {
-      fetchDrivers();
       fetchApprovers();
       fetchEmployees();
     }
   }, [isAdmin]);
 
+  const { employee_id, vehicle_id, start_date, end_date } = formData;
+
+  // Bookings are for the employee's own site; admins start from the chosen employee's site
+  useEffect(() => {
+    if (!isAdmin) return;
+    const employee = employees.find(e => String(e.id) === String(employee_id));
+    setFormData(prev => ({ ...prev, site_id: employee?.site_id ? String(employee.site_id) : '' }));
+  }, [isAdmin, employee_id, employees]);
+
+  const bookingSiteId = isAdmin ? formData.site_id : user?.site_id;
+  const bookingSite = sites.find(site => String(site.id) === String(bookingSiteId));
+  const selectedVehicle = vehicles.find(vehicle => String(vehicle.id) === String(vehicle_id));
+  const isCrossSite = Boolean(bookingSiteId && selectedVehicle?.site_id &&
+    String(selectedVehicle.site_id) !== String(bookingSiteId));
+
+  useEffect(() => {
+    // Employees always book for themselves, so the chain comes from their own department
+    if ((isAdmin && !employee_id) || !vehicle_id || !start_date || !end_date) return;
+    if (new Date(end_date) <= new Date(start_date)) return;
+
+    const resolveApprovalChain = async () => {
+      try {
+        const response = await approvalPolicyAPI.resolveChain({
+          ...(isAdmin && { employee_id }),
+          vehicle_id,
+          start_date: new Date(start_date).toISOString(),
+          end_date: new Date(end_date).toISOString()
+        });
+        setApprovalChain(response.data.chain);
+        setApprovalPolicy(response.data.policy);
+      } catch (error) {
+        console.error('Error resolving approval chain:', error);
+      }
+    };
+
+    resolveApprovalChain();
+  }, [isAdmin, employee_id, vehicle_id, start_date, end_date]);
+
   const fetchVehicles = async () => {
     try {
       setLoading(true);
-      const response = await vehicleAPI.getVehicles({ status: 'available' });
-      setVehicles(response.data.vehicles);
+      // Availability is decided by the booking window, so only hide vehicles that can't be scheduled at all
+      const response = await vehicleAPI.getVehicles();
+      setVehicles(response.data.vehicles.filter(isSchedulableVehicle));
     } catch (error) {
       console.error('Error fetching vehicles:', error);
-      setError('Failed to load available vehicles');
+      setError('Failed to load vehicles');
     } finally {
       setLoading(false);
     }
   };
 
-  const fetchDrivers = async () => {
+  const fetchSites = async () => {
     try {
-      const response = await driverAPI.getDrivers({ status: 'available' });
-      setDrivers(response.data.drivers);
+      const response = await sitesAPI.getSites();
+      setSites(response.data.sites);
     } catch (error) {
-      console.error('Error fetching drivers:', error);
-      setError('Failed to load available drivers');
+      console.error('Error fetching sites:', error);
     }
   };
 
+  // Only offer drivers qualified for the vehicle and free for the whole window
+  useEffect(() => {
+    const hasWindow = vehicle_id && start_date && end_date && new Date(end_date) > new Date(start_date);
+    if (!isAdmin || !hasWindow) {
+      setDrivers([]);
+      setIneligibleDrivers([]);
+      setDriverSuggestions([]);
+      return;
+    }
+
+    const fetchEligibleDrivers = async () => {
+      try {
+        const criteria = {
+          vehicle_id,
+          start: new Date(start_date).toISOString(),
+          end: new Date(end_date).toISOString()
+        };
+        const [response, suggestionsResponse] = await Promise.all([
+          driverAPI.getEligibleDrivers(criteria),
+          driverAPI.getDriverSuggestions(criteria)
+        ]);
+        const eligible = response.data.drivers;
+        setDrivers(eligible);
+        setIneligibleDrivers(response.data.ineligible);
+        setDriverSuggestions(suggestionsResponse.data.suggestions);
+        setFormData(prev => (
+          prev.driver_id && !eligible.some(driver => String(driver.id) === prev.driver_id)
+            ? { ...prev, driver_id: '' }
+            : prev
+        ));
+      } catch (error) {
+        console.error('Error fetching eligible drivers:', error);
+        setError('Failed to load available drivers');
+      }
+    };
+
+    fetchEligibleDrivers();
+  }, [isAdmin, vehicle_id, start_date, end_date]);
+
   const fetchApprovers = async () => {
     try {
       // Fetch L1 approvers
@@ -105,8 +217,52 @@ const BookingForm = () => {
     }
   };
 
+  const handleRecurrenceChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRecurrence(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors.recurrence) {
+      setErrors(prev => ({
+        ...prev,
+        recurrence: ''
+      }));
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    setRecurrence(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter(d => d !== day)
+        : [...prev.weekdays, day]
+    }));
+  };
+
+  const buildRecurrence = () => {
+    if (!recurrence.enabled) return null;
+
+    return {
+      frequency: recurrence.frequency,
+      interval: parseInt(recurrence.interval) || 1,
+      // Weekdays and the end date are read in the browser's time zone
+      time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      ...(recurrence.frequency === 'weekly' && {
+        // Default to the weekday of the first occurrence
+        weekdays: recurrence.weekdays.length
+          ? recurrence.weekdays
+          : [new Date(formData.start_date).getDay()]
+      }),
+      ...(recurrence.end_type === 'until'
+        ? { until: new Date(`${recurrence.until}T23:59:59`).toISOString() }
+        : { count: parseInt(recurrence.count) })
+    };
+  };
+
   const validateForm = () => {
-    const newErrors = {};
+    const newErrors = validateTripDetails(formData);
 
     if (!formData.vehicle_id) {
       newErrors.vehicle_id = 'Please select a vehicle';
@@ -120,18 +276,15 @@ const BookingForm = () => {
       if (!formData.driver_id) {
         newErrors.driver_id = 'Please select a driver';
       }
-      if (!formData.approver_l1_id) {
-        newErrors.approver_l1_id = 'Please select first approver';
-      }
-      if (!formData.approver_l2_id) {
-        newErrors.approver_l2_id = 'Please select second approver';
-      }
-      if (formData.approver_l1_id === formData.approver_l2_id && formData.approver_l1_id) {
-        newErrors.approver_l2_id = 'Second approver must be different from first approver';
-      }
-    } else {
-      // Non-admin users cannot create bookings
-      newErrors.general = 'Only administrators can create bookings. Please contact your admin to request a booking.';
+      // Approvers are optional; a level left open can be actioned by anyone with its role
+      const chosen = [];
+      approvalChain.forEach((role, index) => {
+        const field = `approver_l${index + 1}_id`;
+        if (formData[field] && chosen.includes(formData[field])) {
+          newErrors[field] = 'Each level must have a different approver';
+        }
+        chosen.push(formData[field]);
+      });
     }
 
     if (!formData.start_date) {
@@ -156,6 +309,21 @@ const BookingForm = () => {
       }
     }
 
+    if (recurrence.enabled) {
+      if (recurrence.end_type === 'until') {
+        if (!recurrence.until) {
+          newErrors.recurrence = 'Choose when the series ends';
+        } else if (formData.start_date && new Date(`${recurrence.until}T23:59:59`) < new Date(formData.start_date)) {
+          newErrors.recurrence = 'The series must end on or after the first booking';
+        }
+      } else {
+        const count = parseInt(recurrence.count);
+        if (!count || count < 2 || count > MAX_OCCURRENCES) {
+          newErrors.recurrence = `Number of occurrences must be between 2 and ${MAX_OCCURRENCES}`;
+        }
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -173,18 +341,31 @@ const BookingForm = () => {
       
       const bookingData = {
         ...formData,
+        ...buildTripDetails(formData),
         vehicle_id: parseInt(formData.vehicle_id),
+        recurrence: buildRecurrence(),
         ...(isAdmin && {
           employee_id: parseInt(formData.employee_id),
+          site_id: formData.site_id ? parseInt(formData.site_id) : null,
           driver_id: parseInt(formData.driver_id),
-          approver_l1_id: parseInt(formData.approver_l1_id),
-          approver_l2_id: parseInt(formData.approver_l2_id)
+          ...Object.fromEntries(approvalChain.map((role, index) => {
+            const field = `approver_l${index + 1}_id`;
+            return [field, formData[field] ? parseInt(formData[field]) : null];
+          }))
         })
       };
 
-      await bookingAPI.createBooking(bookingData);
+      const response = await bookingAPI.createBooking(bookingData);
+      const complianceWarning = formatComplianceWarnings(response.data.booking);
+      setWarning(complianceWarning);
       
-      setSuccess('Booking created successfully! Your request is pending approval.');
+      if (recurrence.enabled) {
+        setSuccess('Recurring booking created! The whole series is pending approval.');
+      } else {
+        setSuccess(isAdmin
+          ? 'Booking created successfully! Your request is pending approval.'
+          : 'Booking request submitted! A driver will be assigned once it is approved.');
+      }
       
       // Reset form
       setFormData({
@@ -192,21 +373,27 @@ const BookingForm = () => {
         driver_id: '',
         approver_l1_id: '',
         approver_l2_id: '',
+        approver_l3_id: '',
         employee_id: '',
+        site_id: '',
         start_date: '',
         end_date: '',
+        ...EMPTY_TRIP_DETAILS,
         notes: ''
       });
+      setRecurrence(prev => ({ ...prev, enabled: false }));
 
-      // Redirect to bookings list after 2 seconds
+      // Redirect to bookings list after 2 seconds (longer to read any warning)
       setTimeout(() => {
         navigate('/bookings');
-      }, 2000);
+      }, complianceWarning ? 6000 : 2000);
 
     } catch (error) {
       console.error('Error creating booking:', error);
-      if (error.response?.data?.error) {
-        setError(error.response.data.error);
+      if (error.response?.status === 409) {
+        setError(formatConflictError(error.response.data));
+      } else if (error.response?.data?.error) {
+        setError(error.response.data.message || error.response.data.error);
         if (error.response.data.details) {
           setError(error.response.data.details.map(d => d.msg).join(', '));
         }
@@ -235,24 +422,6 @@ const BookingForm = () => {
     );
   }
 
-  // Only admins can create bookings
-  if (!isAdmin) {
-    return (
-      <Container className="mt-4">
-        <Alert variant="warning">
-          <i className="fas fa-exclamation-triangle me-2"></i>
-          <strong>Access Restricted</strong>
-          <br />
-          Only administrators can create bookings. Please contact your admin to request a booking.
-        </Alert>
-        <Button variant="secondary" onClick={() => navigate('/bookings')}>
-          <i className="fas fa-arrow-left me-2"></i>
-          Back to Bookings
-        </Button>
-      </Container>
-    );
-  }
-
   return (
     <Container className="mt-4">
       <Row className="justify-content-center">
@@ -261,7 +430,7 @@ const BookingForm = () => {
             <Card.Header>
               <h3 className="mb-0">
                 <i className="fas fa-plus-circle me-2"></i>
-                Create New Booking
+                {isAdmin ? 'Create New Booking' : 'Request a Vehicle'}
               </h3>
             </Card.Header>
             <Card.Body>
@@ -277,6 +446,13 @@ const BookingForm = () => {
                 </Alert>
               )}
 
+              {warning && (
+                <Alert variant="warning" dismissible onClose={() => setWarning('')}>
+                  <i className="fas fa-exclamation-triangle me-2"></i>
+                  {warning}
+                </Alert>
+              )}
+
               <Form onSubmit={handleSubmit}>
                 <Row>
                   <Col md={12}>
@@ -292,13 +468,20 @@ const BookingForm = () => {
                         <option value="">Select a vehicle...</option>
                         {vehicles.map(vehicle => (
                           <option key={vehicle.id} value={vehicle.id}>
-                            {vehicle.plate_number} - {vehicle.make} {vehicle.model} ({vehicle.type})
+                            {vehicle.plate_number} - {vehicle.make} {vehicle.model} ({vehicle.type}){vehicle.site ? ` · ${vehicle.site.code}` : ''}
                           </option>
                         ))}
                       </Form.Select>
                       <Form.Control.Feedback type="invalid">
                         {errors.vehicle_id}
                       </Form.Control.Feedback>
+                      {isCrossSite && (
+                        <Alert variant="warning" className="mt-2 mb-0 py-2">
+                          <i className="fas fa-exchange-alt me-2"></i>
+                          {selectedVehicle.plate_number} is based at {formatSite(selectedVehicle.site)}.
+                          Booking it for {bookingSite ? bookingSite.name : 'another site'} adds a final cross-site approval from that site.
+                        </Alert>
+                      )}
                     </Form.Group>
                   </Col>
                 </Row>
@@ -307,7 +490,7 @@ const BookingForm = () => {
                 {isAdmin && (
                   <>
                     <Row>
-                      <Col md={12}>
+                      <Col md={6}>
                         <Form.Group className="mb-3">
                           <Form.Label>Employee <span className="text-danger">*</span></Form.Label>
                           <Form.Select
@@ -329,6 +512,20 @@ const BookingForm = () => {
                           </Form.Control.Feedback>
                         </Form.Group>
                       </Col>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Site</Form.Label>
+                          <SiteSelect
+                            sites={sites}
+                            value={formData.site_id}
+                            onChange={handleInputChange}
+                            emptyLabel="Employee's site"
+                          />
+                          <Form.Text className="text-muted">
+                            Defaults to the employee's site
+                          </Form.Text>
+                        </Form.Group>
+                      </Col>
                     </Row>
 
                     <Row>
@@ -342,7 +539,9 @@ const BookingForm = () => {
                             isInvalid={!!errors.driver_id}
                             required
                           >
-                            <option value="">Select a driver...</option>
+                            <option value="">
+                              {vehicle_id && start_date && end_date ? 'Select a driver...' : 'Choose the vehicle and dates first'}
+                            </option>
                             {drivers.map(driver => (
                               <option key={driver.id} value={driver.id}>
                                 {driver.name} - {driver.license_number}
@@ -352,59 +551,117 @@ const BookingForm = () => {
                           <Form.Control.Feedback type="invalid">
                             {errors.driver_id}
                           </Form.Control.Feedback>
+                          {ineligibleDrivers.length > 0 && (
+                            <Form.Text className="text-muted" title={formatIneligibleDrivers(ineligibleDrivers)}>
+                              {ineligibleDrivers.length} driver{ineligibleDrivers.length === 1 ? ' is' : 's are'} hidden as unqualified for this vehicle, unlicensed or already booked.
+                            </Form.Text>
+                          )}
                         </Form.Group>
+
+                        {driverSuggestions.length > 0 && (
+                          <div className="mb-3">
+                            <small className="text-muted d-block mb-1">
+                              <i className="fas fa-magic me-1"></i>
+                              Suggested drivers, ranked on rest between trips, workload over the last 30 days and experience
+                            </small>
+                            <ListGroup>
+                              {driverSuggestions.map((suggestion, index) => {
+                                const selected = formData.driver_id === String(suggestion.driver.id);
+                                return (
+                                  <ListGroup.Item key={suggestion.driver.id} className="d-flex justify-content-between align-items-start">
+                                    <div>
+                                      <strong>#{index + 1} {suggestion.driver.name}</strong>
+                                      <Badge bg={index === 0 ? 'success' : 'secondary'} className="ms-2">{suggestion.score} / 100</Badge>
+                                      <ul className="small text-muted mb-0 ps-3">
+                                        {suggestion.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                                      </ul>
+                                    </div>
+                                    <Button
+                                      size="sm"
+                                      variant={selected ? 'success' : 'outline-primary'}
+                                      disabled={selected}
+                                      onClick={() => handleInputChange({ target: { name: 'driver_id', value: String(suggestion.driver.id) } })}
+                                    >
+                                      {selected ? (
+                                        <><i className="fas fa-check me-1"></i>Assigned</>
+                                      ) : (
+                                        <><i className="fas fa-user-check me-1"></i>Assign</>
+                                      )}
+                                    </Button>
+                                  </ListGroup.Item>
+                                );
+                              })}
+                            </ListGroup>
+                          </div>
+                        )}
                       </Col>
                     </Row>
 
+                    <h6 className="mt-2">
+                      Approval Chain
+                      <small className="text-muted ms-2">
+                        {approvalPolicy ? `Policy: ${approvalPolicy.name}` : 'Default policy'}
+                      </small>
+                    </h6>
                     <Row>
-                      <Col md={6}>
-                        <Form.Group className="mb-3">
-                          <Form.Label>First Approver <span className="text-danger">*</span></Form.Label>
-                          <Form.Select
-                            name="approver_l1_id"
-                            value={formData.approver_l1_id}
-                            onChange={handleInputChange}
-                            isInvalid={!!errors.approver_l1_id}
-                            required
-                          >
-                            <option value="">Select first approver...</option>
-                            {approvers.filter(approver => approver.role === 'approver_l1').map(approver => (
-                              <option key={approver.id} value={approver.id}>
-                                {approver.name} ({approver.department || 'No Department'})
-                              </option>
-                            ))}
-                          </Form.Select>
-                          <Form.Control.Feedback type="invalid">
-                            {errors.approver_l1_id}
-                          </Form.Control.Feedback>
-                        </Form.Group>
-                      </Col>
-                      <Col md={6}>
-                        <Form.Group className="mb-3">
-                          <Form.Label>Second Approver <span className="text-danger">*</span></Form.Label>
-                          <Form.Select
-                            name="approver_l2_id"
-                            value={formData.approver_l2_id}
-                            onChange={handleInputChange}
-                            isInvalid={!!errors.approver_l2_id}
-                            required
-                          >
-                            <option value="">Select second approver...</option>
-                            {approvers.filter(approver => approver.role === 'approver_l2').map(approver => (
-                              <option key={approver.id} value={approver.id}>
-                                {approver.name} ({approver.department || 'No Department'})
-                              </option>
-                            ))}
-                          </Form.Select>
-                          <Form.Control.Feedback type="invalid">
-                            {errors.approver_l2_id}
-                          </Form.Control.Feedback>
-                        </Form.Group>
-                      </Col>
+                      {approvalChain.map((role, index) => {
+                        const field = `approver_l${index + 1}_id`;
+                        return (
+                          <Col md={12 / approvalChain.length} key={field}>
+                            <Form.Group className="mb-3">
+                              <Form.Label>
+                                {ORDINALS[index]} Approver <small className="text-muted">({formatApprovalRole(role)})</small>
+                              </Form.Label>
+                              <Form.Select
+                                name={field}
+                                value={formData[field]}
+                                onChange={handleInputChange}
+                                isInvalid={!!errors[field]}
+                              >
+                                <option value="">Any {formatApprovalRole(role)}</option>
+                                {approvers.filter(approver => approver.role === role).map(approver => (
+                                  <option key={approver.id} value={approver.id}>
+                                    {approver.name} ({approver.department || 'No Department'})
+                                  </option>
+                                ))}
+                              </Form.Select>
+                              <Form.Control.Feedback type="invalid">
+                                {errors[field]}
+                              </Form.Control.Feedback>
+                            </Form.Group>
+                          </Col>
+                        );
+                      })}
                     </Row>
                   </>
                 )}
 
+                {/* Employee mode: approvers follow the department's chain and the driver comes later */}
+                {!isAdmin && (
+                  <Alert variant="info">
+                    <div className="mb-1">
+                      <i className="fas fa-route me-2"></i>
+                      <strong>Approval chain:</strong>{' '}
+                      {[...approvalChain.map(formatApprovalRole), ...(isCrossSite ? ['Cross-site approval'] : [])].join(' → ')}
+                      <small className="text-muted ms-2">
+                        {approvalPolicy ? `(Policy: ${approvalPolicy.name})` : '(Default policy)'}
+                      </small>
+                    </div>
+                    {bookingSite && (
+                      <div className="mb-1">
+                        <i className="fas fa-map-marker-alt me-2"></i>
+                        <strong>Site:</strong> {formatSite(bookingSite)}
+                      </div>
+                    )}
+                    <div>
+                      <i className="fas fa-user-tie me-2"></i>
+                      A driver will be assigned by the fleet manager once your request is approved.
+                    </div>
+                  </Alert>
+                )}
+
+                <BookingTripFields formData={formData} errors={errors} onChange={handleInputChange} />
+
                 <Row>
                   <Col md={6}>
                     <Form.Group className="mb-3">
@@ -442,6 +699,136 @@ const BookingForm = () => {
                   </Col>
                 </Row>
 
+                <Form.Group className="mb-3">
+                  <Form.Check
+                    type="switch"
+                    id="recurrence-enabled"
+                    name="enabled"
+                    label="Repeat this booking"
+                    checked={recurrence.enabled}
+                    onChange={handleRecurrenceChange}
+                  />
+                </Form.Group>
+
+                {recurrence.enabled && (
+                  <Card body className="mb-3 bg-light">
+                    <Row>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Repeats</Form.Label>
+                          <Form.Select name="frequency" value={recurrence.frequency} onChange={handleRecurrenceChange}>
+                            <option value="daily">Daily</option>
+                            <option value="weekly">Weekly</option>
+                            <option value="monthly">Monthly</option>
+                          </Form.Select>
+                        </Form.Group>
+                      </Col>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>
+                            Every ({recurrence.frequency === 'daily' ? 'days' : recurrence.frequency === 'weekly' ? 'weeks' : 'months'})
+                          </Form.Label>
+                          <Form.Control
+                            type="number"
+                            name="interval"
+                            min={1}
+                            max={12}
+                            value={recurrence.interval}
+                            onChange={handleRecurrenceChange}
+                          />
+                        </Form.Group>
+                      </Col>
+                    </Row>
+
+                    {recurrence.frequency === 'weekly' && (
+                      <Form.Group className="mb-3">
+                        <Form.Label>On</Form.Label>
+                        <div>
+                          {WEEKDAY_LABELS.map((label, day) => (
+                            <Form.Check
+                              inline
+                              key={label}
+                              type="checkbox"
+                              id={`recurrence-weekday-${day}`}
+                              label={label}
+                              checked={recurrence.weekdays.includes(day)}
+                              onChange={() => toggleWeekday(day)}
+                            />
+                          ))}
+                        </div>
+                        <Form.Text className="text-muted">
+                          Leave empty to repeat on the start date's weekday.
+                        </Form.Text>
+                      </Form.Group>
+                    )}
+
+                    {recurrence.frequency === 'monthly' && (
+                      <p className="text-muted small">
+                        Repeats on the same day of the month as the start date. Months without that day are skipped.
+                      </p>
+                    )}
+
+                    <Form.Label>Ends</Form.Label>
+                    <Row className="align-items-center mb-2">
+                      <Col xs={5}>
+                        <Form.Check
+                          type="radio"
+                          id="recurrence-end-until"
+                          name="end_type"
+                          value="until"
+                          label="On date"
+                          checked={recurrence.end_type === 'until'}
+                          onChange={handleRecurrenceChange}
+                        />
+                      </Col>
+                      <Col xs={7}>
+                        <Form.Control
+                          type="date"
+                          name="until"
+                          value={recurrence.until}
+                          onChange={handleRecurrenceChange}
+                          disabled={recurrence.end_type !== 'until'}
+                          min={formData.start_date ? formData.start_date.slice(0, 10) : undefined}
+                        />
+                      </Col>
+                    </Row>
+                    <Row className="align-items-center">
+                      <Col xs={5}>
+                        <Form.Check
+                          type="radio"
+                          id="recurrence-end-count"
+                          name="end_type"
+                          value="count"
+                          label="After"
+                          checked={recurrence.end_type === 'count'}
+                          onChange={handleRecurrenceChange}
+                        />
+                      </Col>
+                      <Col xs={7}>
+                        <InputGroup>
+                          <Form.Control
+                            type="number"
+                            name="count"
+                            min={2}
+                            max={MAX_OCCURRENCES}
+                            value={recurrence.count}
+                            onChange={handleRecurrenceChange}
+                            disabled={recurrence.end_type !== 'count'}
+                          />
+                          <InputGroup.Text>occurrences</InputGroup.Text>
+                        </InputGroup>
+                      </Col>
+                    </Row>
+
+                    {errors.recurrence && (
+                      <div className="text-danger small mt-2">{errors.recurrence}</div>
+                    )}
+                    <Form.Text className="text-muted d-block mt-2">
+                      Every occurrence is checked for clashes, and one approval covers the whole series.
+                    </Form.Text>
+                  </Card>
+                )}
+
                 <Form.Group className="mb-3">
                   <Form.Label>Additional Notes</Form.Label>
                   <Form.Control
@@ -474,12 +861,12 @@ const BookingForm = () => {
                     {submitting ? (
                       <>
                         <Spinner size="sm" className="me-2" />
-                        Creating Booking...
+                        {isAdmin ? 'Creating Booking...' : 'Submitting Request...'}
                       </>
                     ) : (
                       <>
                         <i className="fas fa-save me-2"></i>
-                        Create Booking
+                        {isAdmin ? 'Create Booking' : 'Submit Request'}
                       </>
                     )}
                   </Button>
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Card, Button } from 'react-bootstrap';
+import IncidentTable from './IncidentTable';
+
+// Bookings an incident can be reported against, matching the server
+const REPORTABLE_STATUSES = ['approved', 'in_progress', 'completed'];
+
+/**
+ * Incidents card for booking details: damage and incidents reported with the booking's vehicle
+ * @param {Object} props
+ * @param {Array} props.incidents - The booking's incidents
+ * @param {Object} props.booking - Booking
+ * @param {Function} props.onReport - Opens the incident report form
+ * @param {Function} [props.onReview] - Opens an incident for investigation (admins only)
+ * @param {Function} props.onError - Reports an error to the page
+ */
+const BookingIncidents = ({ incidents, booking, onReport, onReview, onError }) => {
+  const canReport = REPORTABLE_STATUSES.includes(booking.status);
+
+  return (
+    <Card>
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="fas fa-car-crash me-2"></i>
+          Incidents
+        </h5>
+        {canReport && (
+          <Button size="sm" variant="outline-danger" onClick={onReport}>
+            <i className="fas fa-exclamation-triangle me-1"></i>
+            Report Incident
+          </Button>
+        )}
+      </Card.Header>
+      <Card.Body className={incidents.length > 0 ? 'p-0' : undefined}>
+        {incidents.length === 0 ? (
+          <p className="text-muted mb-0">No incidents reported.</p>
+        ) : (
+          <IncidentTable incidents={incidents} onReview={onReview} onError={onError} />
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default BookingIncidents;
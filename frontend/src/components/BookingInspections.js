@@ -0,0 +1,134 @@
+import React from 'react';
+import { Card, Table, Button, Badge } from 'react-bootstrap';
+import { inspectionAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import { openBlobResponse } from '../utils/fileDownload';
+import { getInspectionStatus } from '../utils/inspections';
+
+/**
+ * Inspections card for booking details: the walk-around checks recorded before and after the trip
+ * @param {Object} props
+ * @param {Object} props.info - Booking inspections ({ checklists, inspections, outstanding })
+ * @param {Object} props.booking - Booking
+ * @param {Function} props.onInspect - Opens the checklist for pre_trip or post_trip
+ * @param {Function} props.onError - Reports an error to the page
+ */
+const BookingInspections = ({ info, booking, onInspect, onError }) => {
+  const { checklists, inspections, outstanding } = info;
+
+  const canInspectPreTrip = !!checklists.pre_trip && booking.status === 'approved';
+  const canInspectPostTrip = !!checklists.post_trip && booking.status === 'in_progress';
+
+  const handleViewPhoto = async (inspection, index) => {
+    try {
+      const response = await inspectionAPI.getPhoto(inspection.id, index);
+      openBlobResponse(response);
+    } catch (error) {
+      console.error('Error fetching inspection photo:', error);
+      onError('Failed to open photo');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="fas fa-clipboard-check me-2"></i>
+          Inspections
+        </h5>
+        <div className="d-flex gap-2">
+          {canInspectPreTrip && (
+            <Button size="sm" variant={outstanding.pre_trip ? 'warning' : 'outline-secondary'} onClick={() => onInspect('pre_trip')}>
+              <i className="fas fa-clipboard-list me-1"></i>
+              Pre-trip Inspection
+            </Button>
+          )}
+          {canInspectPostTrip && (
+            <Button size="sm" variant={outstanding.post_trip ? 'warning' : 'outline-secondary'} onClick={() => onInspect('post_trip')}>
+              <i className="fas fa-clipboard-list me-1"></i>
+              Post-trip Inspection
+            </Button>
+          )}
+        </div>
+      </Card.Header>
+      <Card.Body className={inspections.length > 0 ? 'p-0' : undefined}>
+        {inspections.length === 0 ? (
+          <p className="text-muted mb-0">
+            {outstanding.pre_trip
+              ? 'A pre-trip inspection is needed before the trip can start.'
+              : outstanding.post_trip
+                ? 'A post-trip inspection is needed before the trip can be completed.'
+                : 'No inspections recorded.'}
+          </p>
+        ) : (
+          <Table responsive size="sm" className="mb-0">
+            <thead>
+              <tr>
+                <th>Inspection</th>
+                <th>Result</th>
+                <th>Faults</th>
+                <th>Inspected</th>
+                <th>Photos</th>
+              </tr>
+            </thead>
+            <tbody>
+              {inspections.map(inspection => {
+                const status = getInspectionStatus(inspection.status);
+                const faults = inspection.results.filter(result => !result.passed);
+                return (
+                  <tr key={inspection.id}>
+                    <td>{inspection.inspection_type === 'pre_trip' ? 'Pre-trip' : 'Post-trip'}</td>
+                    <td>
+                      <Badge bg={status.variant}>{status.label}</Badge>
+                      {inspection.maintenance_id && (
+                        <div className="small text-danger">Vehicle sent for repair</div>
+                      )}
+                    </td>
+                    <td>
+                      {faults.length === 0 ? (
+                        <span className="text-muted">None</span>
+                      ) : (
+                        faults.map(result => (
+                          <div key={result.label} className="small">
+                            <strong className={result.critical ? 'text-danger' : undefined}>{result.label}</strong>: {result.notes}
+                          </div>
+                        ))
+                      )}
+                      {inspection.notes && <div className="small text-muted">{inspection.notes}</div>}
+                    </td>
+                    <td className="small">
+                      {formatDateTime(inspection.inspected_at)}
+                      {inspection.inspectedBy && <div className="text-muted">{inspection.inspectedBy.name}</div>}
+                      {inspection.odometer != null && <div className="text-muted">{inspection.odometer.toLocaleString()} km</div>}
+                    </td>
+                    <td>
+                      {inspection.photos.length === 0 ? (
+                        <span className="text-muted">-</span>
+                      ) : (
+                        <div className="d-flex gap-1 flex-wrap">
+                          {inspection.photos.map((photo, index) => (
+                            <Button
+                              key={photo.path}
+                              size="sm"
+                              variant="outline-secondary"
+                              onClick={() => handleViewPhoto(inspection, index)}
+                              title={photo.name}
+                            >
+                              <i className="fas fa-camera"></i>
+                            </Button>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default BookingInspections;
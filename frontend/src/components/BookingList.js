@@ -2,10 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Pagination } from 'react-bootstrap';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { bookingAPI, vehicleAPI, usersAPI } from '../services/api';
+import { bookingAPI, vehicleAPI, usersAPI, sitesAPI } from '../services/api';
 import { canEditBooking, canCancelBooking } from '../utils/bookingPermissions';
 import CancelBookingModal from './CancelBookingModal';
+import SiteSelect from './SiteSelect';
 import { formatDate } from '../utils/dateUtils';
+import { PRIORITY_OPTIONS, getPriorityVariant } from '../utils/bookingDetails';
+import { mergeBooking } from '../utils/liveUpdates';
+import useLiveEvent from '../hooks/useLiveEvent';
 
 const BookingList = () => {
   const navigate = useNavigate();
@@ -16,6 +20,7 @@ const BookingList = () => {
   const [departments, setDepartments] = useState([]);
   const [employees, setEmployees] = useState([]);
   const [approvers, setApprovers] = useState([]);
+  const [sites, setSites] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   
@@ -39,6 +44,9 @@ const BookingList = () => {
     end_date: '',
     employee_id: '',
     approver_id: '',
+    priority: '',
+    cost_center: '',
+    site_id: '',
     page: currentPage
   });
 
@@ -59,6 +67,16 @@ const BookingList = () => {
     fetchBookings();
   }, [filters, pagination.limit, setSearchParams]);
 
+  // Patch rows in place when a booking changes elsewhere
+  useLiveEvent('booking_updated', ({ booking }) => {
+    setBookings(prev => mergeBooking(prev, booking));
+  });
+
+  // New bookings may belong on the current page
+  useLiveEvent('booking_created', () => {
+    fetchBookings({ quiet: true });
+  });
+
   useEffect(() => {
     // Fetch additional data for admin users
     if (user?.role === 'admin') {
@@ -66,12 +84,13 @@ const BookingList = () => {
       fetchDepartments();
       fetchEmployees();
       fetchApprovers();
+      fetchSites();
     }
   }, [user?.role]);
 
-  const fetchBookings = async () => {
+  const fetchBookings = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       setError('');
       
       const params = {
@@ -86,6 +105,9 @@ const BookingList = () => {
       if (filters.end_date) params.end_date = filters.end_date;
       if (filters.employee_id) params.employee_id = filters.employee_id;
       if (filters.approver_id) params.approver_id = filters.approver_id;
+      if (filters.priority) params.priority = filters.priority;
+      if (filters.cost_center) params.cost_center = filters.cost_center;
+      if (filters.site_id) params.site_id = filters.site_id;
 
       const response = await bookingAPI.getBookings(params);
       setBookings(response.data.bookings);
@@ -140,6 +162,15 @@ const BookingList = () => {
     }
   };
 
+  const fetchSites = async () => {
+    try {
+      const response = await sitesAPI.getSites();
+      setSites(response.data.sites);
+    } catch (error) {
+      console.error('Error fetching sites:', error);
+    }
+  };
+
   const exportToExcel = async () => {
     try {
       setExporting(true);
@@ -154,6 +185,9 @@ const BookingList = () => {
       if (filters.end_date) exportParams.end_date = filters.end_date;
       if (filters.employee_id) exportParams.employee_id = filters.employee_id;
       if (filters.approver_id) exportParams.approver_id = filters.approver_id;
+      if (filters.priority) exportParams.priority = filters.priority;
+      if (filters.cost_center) exportParams.cost_center = filters.cost_center;
+      if (filters.site_id) exportParams.site_id = filters.site_id;
 
       console.log('Exporting with params:', exportParams);
 
@@ -252,12 +286,12 @@ const BookingList = () => {
     setShowCancelModal(true);
   };
 
-  const handleCancelConfirm = async (reason) => {
+  const handleCancelConfirm = async (reason, scope) => {
     if (!selectedBooking) return;
 
     try {
       setCancelling(true);
-      await bookingAPI.cancelBooking(selectedBooking.id, reason);
+      await bookingAPI.cancelBooking(selectedBooking.id, reason, scope);
       setShowCancelModal(false);
       setSelectedBooking(null);
       fetchBookings(); // Refresh the list
@@ -480,7 +514,18 @@ const BookingList = () => {
                       </Form.Select>
                     </Form.Group>
                   </Col>
-                  <Col md={6}>
+                  <Col md={3}>
+                    <Form.Group>
+                      <Form.Label>Site</Form.Label>
+                      <SiteSelect
+                        sites={sites}
+                        value={filters.site_id}
+                        onChange={handleFilterChange}
+                        emptyLabel="All Sites"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={3}>
                     <Form.Group>
                       <Form.Label>&nbsp;</Form.Label>
                       <div>
@@ -495,6 +540,9 @@ const BookingList = () => {
                               end_date: '', 
                               employee_id: '', 
                               approver_id: '', 
+                              priority: '',
+                              cost_center: '',
+                              site_id: '',
                               page: 1 
                             });
                             setPagination(prev => ({ ...prev, page: 1 }));
@@ -534,7 +582,34 @@ const BookingList = () => {
                       />
                     </Form.Group>
                   </Col>
-                  <Col md={6}>
+                  <Col md={2}>
+                    <Form.Group>
+                      <Form.Label>Priority</Form.Label>
+                      <Form.Select
+                        name="priority"
+                        value={filters.priority}
+                        onChange={handleFilterChange}
+                      >
+                        <option value="">All Priorities</option>
+                        {PRIORITY_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={2}>
+                    <Form.Group>
+                      <Form.Label>Cost Center</Form.Label>
+                      <Form.Control
+                        type="text"
+                        name="cost_center"
+                        value={filters.cost_center}
+                        onChange={handleFilterChange}
+                        placeholder="Any"
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={2}>
                     <Form.Group>
                       <Form.Label>&nbsp;</Form.Label>
                       <div>
@@ -549,6 +624,9 @@ const BookingList = () => {
                               end_date: '', 
                               employee_id: '', 
                               approver_id: '', 
+                              priority: '',
+                              cost_center: '',
+                              site_id: '',
                               page: 1 
                             });
                             setPagination(prev => ({ ...prev, page: 1 }));
@@ -584,8 +662,8 @@ const BookingList = () => {
                       : 'You haven\'t created any bookings yet.'
                     }
                   </p>
-                  {/* Show Create First Booking button only for Admins */}
-                  {user?.role === 'admin' && (
+                  {/* Show Create First Booking button for Employees and Admins */}
+                  {(user?.role === 'employee' || user?.role === 'admin') && (
                     <Button 
                       variant="primary" 
                       onClick={() => navigate('/bookings/create')}
@@ -602,6 +680,7 @@ const BookingList = () => {
                         <tr>
                           <th>Booking ID</th>
                           <th>Vehicle</th>
+                          <th>Purpose</th>
                           <th>Start Date</th>
                           <th>End Date</th>
                           {user?.role === 'admin' && <th>Duration</th>}
@@ -622,8 +701,26 @@ const BookingList = () => {
                                 <small className="text-muted">
                                   {booking.vehicle?.make} {booking.vehicle?.model}
                                 </small>
+                                {booking.site && (
+                                  <div>
+                                    <small className="text-muted">
+                                      <i className="fas fa-map-marker-alt me-1"></i>
+                                      {booking.site.code}
+                                    </small>
+                                  </div>
+                                )}
                               </div>
                             </td>
+                            <td>
+                              <div className="text-truncate" style={{ maxWidth: '220px' }} title={booking.purpose || ''}>
+                                {booking.purpose || <span className="text-muted">-</span>}
+                              </div>
+                              {booking.priority && booking.priority !== 'normal' && (
+                                <Badge bg={getPriorityVariant(booking.priority)}>
+                                  {booking.priority.toUpperCase()}
+                                </Badge>
+                              )}
+                            </td>
                             <td>{formatDate(booking.start_date)}</td>
                             <td>{formatDate(booking.end_date)}</td>
                             {user?.role === 'admin' && (
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Row, Col, Form } from 'react-bootstrap';
+import { PRIORITY_OPTIONS } from '../utils/bookingDetails';
+
+/**
+ * Purpose, destination, passengers, priority and cost center inputs shared by the booking create and edit forms
+ */
+const BookingTripFields = ({ formData, errors, onChange }) => (
+  <>
+    <Form.Group className="mb-3">
+      <Form.Label>Purpose <span className="text-danger">*</span></Form.Label>
+      <Form.Control
+        type="text"
+        name="purpose"
+        value={formData.purpose}
+        onChange={onChange}
+        placeholder="e.g. Site inspection at Pit 3"
+        maxLength={255}
+        isInvalid={!!errors.purpose}
+        required
+      />
+      <Form.Control.Feedback type="invalid">
+        {errors.purpose}
+      </Form.Control.Feedback>
+    </Form.Group>
+
+    <Row>
+      <Col md={8}>
+        <Form.Group className="mb-3">
+          <Form.Label>Destination</Form.Label>
+          <Form.Control
+            type="text"
+            name="destination"
+            value={formData.destination}
+            onChange={onChange}
+            placeholder="Where is the vehicle going?"
+            maxLength={255}
+          />
+        </Form.Group>
+      </Col>
+      <Col md={4}>
+        <Form.Group className="mb-3">
+          <Form.Label>Passengers</Form.Label>
+          <Form.Control
+            type="number"
+            name="passengers"
+            value={formData.passengers}
+            onChange={onChange}
+            min={1}
+            max={100}
+            isInvalid={!!errors.passengers}
+          />
+          <Form.Control.Feedback type="invalid">
+            {errors.passengers}
+          </Form.Control.Feedback>
+        </Form.Group>
+      </Col>
+    </Row>
+
+    <Row>
+      <Col md={6}>
+        <Form.Group className="mb-3">
+          <Form.Label>Priority</Form.Label>
+          <Form.Select name="priority" value={formData.priority} onChange={onChange}>
+            {PRIORITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+      <Col md={6}>
+        <Form.Group className="mb-3">
+          <Form.Label>Cost Center</Form.Label>
+          <Form.Control
+            type="text"
+            name="cost_center"
+            value={formData.cost_center}
+            onChange={onChange}
+            placeholder="e.g. CC-1040"
+            maxLength={50}
+          />
+        </Form.Group>
+      </Col>
+    </Row>
+  </>
+);
+
+export default BookingTripFields;
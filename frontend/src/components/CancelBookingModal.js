@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { formatDate } from '../utils/dateUtils';
+import { SERIES_SCOPE_OPTIONS } from '../utils/recurrence';
 import { Modal, Alert, Row, Col, Form, Button, Badge } from 'react-bootstrap';
 
 const CancelBookingModal = ({ 
@@ -10,9 +11,11 @@ const CancelBookingModal = ({
   loading = false 
 }) => {
   const [cancelReason, setCancelReason] = useState('');
+  const [scope, setScope] = useState('this');
 
   const handleClose = () => {
     setCancelReason('');
+    setScope('this');
     onHide();
   };
 
@@ -20,8 +23,9 @@ const CancelBookingModal = ({
     if (!cancelReason.trim()) {
       return; // Don't proceed if no reason provided
     }
-    onConfirm(cancelReason);
+    onConfirm(cancelReason, booking?.series_id ? scope : undefined);
     setCancelReason('');
+    setScope('this');
   };
 
   const getStatusBadge = (status) => {
@@ -91,6 +95,26 @@ const CancelBookingModal = ({
             </Row>
             
             <hr />
+
+            {booking.series_id && (
+              <Form.Group className="mb-3">
+                <Form.Label>
+                  <strong>This booking is part of a recurring series. Cancel:</strong>
+                </Form.Label>
+                {SERIES_SCOPE_OPTIONS.map(option => (
+                  <Form.Check
+                    key={option.value}
+                    type="radio"
+                    id={`cancel-scope-${option.value}`}
+                    name="cancel-scope"
+                    label={option.label}
+                    value={option.value}
+                    checked={scope === option.value}
+                    onChange={(e) => setScope(e.target.value)}
+                  />
+                ))}
+              </Form.Group>
+            )}
             
                           <Form.Group>
                 <Form.Label>
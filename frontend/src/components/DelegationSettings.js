@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Row, Col, Form, Button, Alert, Spinner, Table, Badge } from 'react-bootstrap';
+import { delegationAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import { formatApprovalRole } from '../utils/bookingPermissions';
+
+/**
+ * Out-of-office card for approvers: delegate approvals to another approver for a time window
+ */
+const DelegationSettings = () => {
+  const [given, setGiven] = useState([]);
+  const [received, setReceived] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [formData, setFormData] = useState({
+    delegate_id: '',
+    start_date: '',
+    end_date: '',
+    reason: ''
+  });
+
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    fetchDelegations();
+    fetchCandidates();
+  }, []);
+
+  const fetchDelegations = async () => {
+    try {
+      setLoading(true);
+      const response = await delegationAPI.getDelegations();
+      setGiven(response.data.given);
+      setReceived(response.data.received);
+    } catch (error) {
+      console.error('Error fetching delegations:', error);
+      setError('Failed to load delegations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCandidates = async () => {
+    try {
+      const response = await delegationAPI.getCandidates();
+      setCandidates(response.data.users);
+    } catch (error) {
+      console.error('Error fetching approvers:', error);
+      setError('Failed to load approvers');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.delegate_id) {
+      newErrors.delegate_id = 'Please select a delegate';
+    }
+
+    if (!formData.start_date) {
+      newErrors.start_date = 'Start date is required';
+    }
+
+    if (!formData.end_date) {
+      newErrors.end_date = 'End date is required';
+    } else if (formData.start_date && new Date(formData.end_date) <= new Date(formData.start_date)) {
+      newErrors.end_date = 'End date must be after start date';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      await delegationAPI.createDelegation({
+        delegate_id: parseInt(formData.delegate_id),
+        start_date: new Date(formData.start_date).toISOString(),
+        end_date: new Date(formData.end_date).toISOString(),
+        reason: formData.reason
+      });
+
+      setSuccess('Delegation saved. Your approvals will be routed to the delegate during this period.');
+      setFormData({
+        delegate_id: '',
+        start_date: '',
+        end_date: '',
+        reason: ''
+      });
+      fetchDelegations();
+    } catch (error) {
+      console.error('Error creating delegation:', error);
+      setError(error.response?.data?.error || 'Failed to save delegation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (delegation) => {
+    if (!window.confirm(`Cancel delegation to ${delegation.delegate?.name}?`)) {
+      return;
+    }
+
+    try {
+      await delegationAPI.cancelDelegation(delegation.id);
+      setSuccess('Delegation cancelled');
+      fetchDelegations();
+    } catch (error) {
+      console.error('Error cancelling delegation:', error);
+      setError(error.response?.data?.error || 'Failed to cancel delegation');
+    }
+  };
+
+  const getDelegationBadge = (delegation) => {
+    const now = new Date();
+    if (delegation.status === 'cancelled') {
+      return <Badge bg="secondary">CANCELLED</Badge>;
+    }
+    if (new Date(delegation.end_date) <= now) {
+      return <Badge bg="secondary">ENDED</Badge>;
+    }
+    if (new Date(delegation.start_date) <= now) {
+      return <Badge bg="success">ACTIVE</Badge>;
+    }
+    return <Badge bg="info">SCHEDULED</Badge>;
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h4 className="mb-0">
+          <i className="fas fa-user-clock me-2"></i>
+          Out of Office
+        </h4>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            <i className="fas fa-exclamation-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+            <i className="fas fa-check-circle me-2"></i>
+            {success}
+          </Alert>
+        )}
+
+        {received.length > 0 && (
+          <Alert variant="info">
+            <i className="fas fa-info-circle me-2"></i>
+            You are standing in for{' '}
+            {received.map(d => `${d.delegator?.name} (${formatDateTime(d.start_date)} - ${formatDateTime(d.end_date)})`).join(', ')}.
+          </Alert>
+        )}
+
+        <p className="text-muted">
+          While you are away, approvals assigned to you can be actioned by the delegate.
+          The audit trail records that they acted on your behalf.
+        </p>
+
+        <Form onSubmit={handleSubmit}>
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Delegate</Form.Label>
+                <Form.Select
+                  name="delegate_id"
+                  value={formData.delegate_id}
+                  onChange={handleInputChange}
+                  isInvalid={!!errors.delegate_id}
+                >
+                  <option value="">Select an approver...</option>
+                  {candidates.map(candidate => (
+                    <option key={candidate.id} value={candidate.id}>
+                      {candidate.name} ({formatApprovalRole(candidate.role)})
+                    </option>
+                  ))}
+                </Form.Select>
+                <Form.Control.Feedback type="invalid">
+                  {errors.delegate_id}
+                </Form.Control.Feedback>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Reason</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="reason"
+                  value={formData.reason}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Site visit, annual leave"
+                  maxLength={255}
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>From</Form.Label>
+                <Form.Control
+                  type="datetime-local"
+                  name="start_date"
+                  value={formData.start_date}
+                  onChange={handleInputChange}
+                  isInvalid={!!errors.start_date}
+                />
+                <Form.Control.Feedback type="invalid">
+                  {errors.start_date}
+                </Form.Control.Feedback>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Until</Form.Label>
+                <Form.Control
+                  type="datetime-local"
+                  name="end_date"
+                  value={formData.end_date}
+                  onChange={handleInputChange}
+                  isInvalid={!!errors.end_date}
+                  min={formData.start_date}
+                />
+                <Form.Control.Feedback type="invalid">
+                  {errors.end_date}
+                </Form.Control.Feedback>
+              </Form.Group>
+            </Col>
+          </Row>
+          <Button type="submit" variant="primary" disabled={submitting}>
+            {submitting ? (
+              <>
+                <Spinner size="sm" className="me-2" />
+                Saving...
+              </>
+            ) : (
+              <>
+                <i className="fas fa-save me-2"></i>
+                Delegate Approvals
+              </>
+            )}
+          </Button>
+        </Form>
+
+        <h6 className="mt-4">My Delegations</h6>
+        {loading ? (
+          <div className="text-center">
+            <Spinner animation="border" size="sm" />
+          </div>
+        ) : given.length === 0 ? (
+          <p className="text-muted mb-0">You have not delegated your approvals.</p>
+        ) : (
+          <Table size="sm" responsive className="mb-0">
+            <thead>
+              <tr>
+                <th>Delegate</th>
+                <th>From</th>
+                <th>Until</th>
+                <th>Reason</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {given.map(delegation => (
+                <tr key={delegation.id}>
+                  <td>{delegation.delegate?.name}</td>
+                  <td>{formatDateTime(delegation.start_date)}</td>
+                  <td>{formatDateTime(delegation.end_date)}</td>
+                  <td>{delegation.reason || '-'}</td>
+                  <td>{getDelegationBadge(delegation)}</td>
+                  <td>
+                    {delegation.status === 'active' && new Date(delegation.end_date) > new Date() && (
+                      <Button
+                        size="sm"
+                        variant="outline-danger"
+                        onClick={() => handleCancel(delegation)}
+                        title="Cancel Delegation"
+                      >
+                        <i className="fas fa-times"></i>
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DelegationSettings;
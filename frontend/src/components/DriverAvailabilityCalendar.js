@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, ButtonGroup, Alert, Spinner, OverlayTrigger, Tooltip } from 'react-bootstrap';
+import { driverAPI } from '../services/api';
+import { formatDate, formatDateTime } from '../utils/dateUtils';
+import { formatLeaveType } from '../utils/driverAvailability';
+
+const DAYS = 14;
+
+/**
+ * Start of today in local time
+ * @returns {Date} Midnight today
+ */
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Add days to a date, keeping local midnight across daylight saving changes
+ * @param {Date} date - Date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+/**
+ * Availability tab for driver management: each driver's leave and bookings over the next two weeks
+ * @param {Object} props
+ * @param {number} props.refreshKey - Changes whenever drivers or leave were saved
+ */
+const DriverAvailabilityCalendar = ({ refreshKey }) => {
+  const [start, setStart] = useState(startOfToday);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchAvailability = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await driverAPI.getAvailability({ start: start.toISOString(), days: DAYS });
+      setRows(response.data.drivers);
+    } catch (error) {
+      console.error('Error fetching driver availability:', error);
+      setError('Failed to load driver availability');
+    } finally {
+      setLoading(false);
+    }
+  }, [start]);
+
+  useEffect(() => {
+    fetchAvailability();
+  }, [fetchAvailability, refreshKey]);
+
+  const days = Array.from({ length: DAYS }, (_, index) => addDays(start, index));
+
+  const overlapsDay = (entry, day) =>
+    new Date(entry.start_date) < addDays(day, 1) && new Date(entry.end_date) > day;
+
+  const renderCell = ({ driver, leaves, bookings }, day) => {
+    const leave = leaves.find(entry => overlapsDay(entry, day));
+    const trips = bookings.filter(entry => overlapsDay(entry, day));
+
+    if (leave) {
+      const pending = leave.status === 'pending';
+      return (
+        <OverlayTrigger
+          placement="top"
+          overlay={
+            <Tooltip id={`leave-${driver.id}-${day.getTime()}`}>
+              {formatLeaveType(leave.leave_type)} leave{pending ? ' (pending approval)' : ''}: {leave.reason}
+              <br />
+              {formatDateTime(leave.start_date)} - {formatDateTime(leave.end_date)}
+            </Tooltip>
+          }
+        >
+          <td className={`text-center ${pending ? 'bg-warning-subtle' : 'bg-danger-subtle'}`}>
+            <i className={`fas ${pending ? 'fa-question' : 'fa-umbrella-beach'} small`}></i>
+          </td>
+        </OverlayTrigger>
+      );
+    }
+
+    if (trips.length > 0) {
+      return (
+        <OverlayTrigger
+          placement="top"
+          overlay={
+            <Tooltip id={`trips-${driver.id}-${day.getTime()}`}>
+              {trips.map(trip => (
+                <div key={trip.id}>#{trip.id} {trip.destination}: {formatDateTime(trip.start_date)} - {formatDateTime(trip.end_date)}</div>
+              ))}
+            </Tooltip>
+          }
+        >
+          <td className="text-center bg-primary-subtle small">{trips.length}</td>
+        </OverlayTrigger>
+      );
+    }
+
+    return <td></td>;
+  };
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          <i className="fas fa-exclamation-circle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <div>
+            <i className="fas fa-calendar-alt me-2"></i>
+            Availability {formatDate(days[0])} - {formatDate(days[days.length - 1])}
+          </div>
+          <ButtonGroup size="sm">
+            <Button variant="outline-secondary" onClick={() => setStart(addDays(start, -DAYS))}>
+              <i className="fas fa-chevron-left"></i>
+            </Button>
+            <Button variant="outline-secondary" onClick={() => setStart(startOfToday())}>
+              Today
+            </Button>
+            <Button variant="outline-secondary" onClick={() => setStart(addDays(start, DAYS))}>
+              <i className="fas fa-chevron-right"></i>
+            </Button>
+          </ButtonGroup>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : rows.length === 0 ? (
+            <p className="text-muted text-center py-3 mb-0">No active drivers.</p>
+          ) : (
+            <Table responsive bordered size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>Driver</th>
+                  {days.map(day => (
+                    <th key={day.getTime()} className="text-center small">
+                      {day.toLocaleDateString(undefined, { weekday: 'short' })}
+                      <div className="fw-normal">{day.getDate()}/{day.getMonth() + 1}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.driver.id}>
+                    <td className="text-nowrap">{row.driver.name}</td>
+                    {days.map(day => (
+                      <React.Fragment key={day.getTime()}>{renderCell(row, day)}</React.Fragment>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+        <Card.Footer className="small text-muted">
+          <span className="badge bg-danger-subtle text-dark me-2"><i className="fas fa-umbrella-beach"></i></span>Approved leave
+          <span className="badge bg-warning-subtle text-dark ms-3 me-2"><i className="fas fa-question"></i></span>Leave pending approval
+          <span className="badge bg-primary-subtle text-dark ms-3 me-2">n</span>Bookings that day
+        </Card.Footer>
+      </Card>
+    </>
+  );
+};
+
+export default DriverAvailabilityCalendar;
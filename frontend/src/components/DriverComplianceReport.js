@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Table, Button, Badge, Form, Alert, Spinner, InputGroup } from 'react-bootstrap';
+import { driverAPI } from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+import { formatRuleType } from '../utils/driverCompliance';
+
+const WEEK_OPTIONS = [1, 2, 4, 8, 12];
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Modal with a driver's booked hours per day and week and any hours-of-service violations
+ * @param {Object} props
+ * @param {Object|null} props.driver - Driver to report on; the modal is shown while set
+ * @param {Function} props.onHide - Closes the modal
+ */
+const DriverComplianceReport = ({ driver, onHide }) => {
+  const [report, setReport] = useState(null);
+  const [weeks, setWeeks] = useState(4);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    if (!driver) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await driverAPI.getCompliance(driver.id, { weeks });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching compliance report:', error);
+      setError('Failed to load compliance report');
+    } finally {
+      setLoading(false);
+    }
+  }, [driver, weeks]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleHide = () => {
+    setReport(null);
+    onHide();
+  };
+
+  return (
+    <Modal show={!!driver} onHide={handleHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className="fas fa-business-time me-2"></i>
+          Hours Compliance: {driver?.name}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <div className="text-muted small">
+            {report && `${formatDate(report.period.start)} – ${formatDate(report.period.end)} (UTC)`}
+          </div>
+          <InputGroup size="sm" style={{ width: 'auto' }}>
+            <InputGroup.Text>Last</InputGroup.Text>
+            <Form.Select value={weeks} onChange={(e) => setWeeks(parseInt(e.target.value))}>
+              {WEEK_OPTIONS.map(option => (
+                <option key={option} value={option}>{option} week{option === 1 ? '' : 's'}</option>
+              ))}
+            </Form.Select>
+          </InputGroup>
+        </div>
+
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            <i className="fas fa-exclamation-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {loading || !report ? (
+          <div className="text-center py-4">
+            <Spinner animation="border" />
+          </div>
+        ) : (
+          <>
+            {report.rules.length === 0 ? (
+              <Alert variant="info">No hours rules are active, so nothing is checked.</Alert>
+            ) : (
+              <div className="mb-3">
+                {report.rules.map(rule => (
+                  <Badge key={rule.id} bg="light" text="dark" className="me-2 border">
+                    {formatRuleType(rule.rule_type)}: {rule.limit_hours}h ({rule.enforcement === 'reject' ? 'rejects' : 'warns'})
+                  </Badge>
+                ))}
+              </div>
+            )}
+
+            <Table responsive size="sm" className="mb-4">
+              <thead>
+                <tr>
+                  <th>Week of</th>
+                  {DAY_NAMES.map(day => <th key={day} className="text-end">{day}</th>)}
+                  <th className="text-end">Total</th>
+                  <th className="text-end">Bookings</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.weeks.map(week => (
+                  <tr key={week.week_start} className={week.violations.length > 0 ? 'table-warning' : ''}>
+                    <td>{formatDate(week.week_start)}</td>
+                    {week.days.map(day => (
+                      <td key={day.date} className={`text-end ${day.hours === 0 ? 'text-muted' : ''}`}>
+                        {day.hours > 0 ? `${day.hours}h` : '–'}
+                      </td>
+                    ))}
+                    <td className="text-end fw-bold">{week.hours}h</td>
+                    <td className="text-end">{week.bookings}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            <h6>
+              Violations
+              <Badge bg={report.violations.length > 0 ? 'danger' : 'success'} className="ms-2">
+                {report.violations.length}
+              </Badge>
+            </h6>
+            {report.violations.length === 0 ? (
+              <p className="text-muted mb-0">No rules were broken in this period.</p>
+            ) : (
+              <Table responsive size="sm" className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Rule</th>
+                    <th>Details</th>
+                    <th>Bookings</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.violations.map((violation, index) => (
+                    <tr key={`${violation.rule_type}-${violation.date}-${index}`}>
+                      <td>{formatDate(violation.date)}</td>
+                      <td>
+                        {formatRuleType(violation.rule_type)}
+                        {violation.enforcement === 'warn' && <Badge bg="warning" text="dark" className="ms-2">WARN</Badge>}
+                      </td>
+                      <td>{violation.message}</td>
+                      <td>{violation.booking_ids.map(id => `#${id}`).join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={handleHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default DriverComplianceReport;
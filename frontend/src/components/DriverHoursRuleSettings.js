@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Badge, Form, Alert, Spinner } from 'react-bootstrap';
+import { driverHoursRuleAPI } from '../services/api';
+import { RULE_TYPE_OPTIONS } from '../utils/driverCompliance';
+
+const emptyRule = {
+  limit_hours: '',
+  enforcement: 'reject',
+  is_active: true
+};
+
+/**
+ * Hours rules tab for driver management: daily and weekly driving limits and the minimum rest between shifts
+ */
+const DriverHoursRuleSettings = () => {
+  const [rules, setRules] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingType, setSavingType] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await driverHoursRuleAPI.getRules();
+      const byType = {};
+      const draftsByType = {};
+      response.data.rules.forEach(rule => {
+        byType[rule.rule_type] = rule;
+      });
+      RULE_TYPE_OPTIONS.forEach(({ value }) => {
+        const rule = byType[value];
+        draftsByType[value] = rule ? {
+          limit_hours: rule.limit_hours?.toString() || '',
+          enforcement: rule.enforcement,
+          is_active: rule.is_active
+        } : emptyRule;
+      });
+      setRules(byType);
+      setDrafts(draftsByType);
+    } catch (error) {
+      console.error('Error fetching driver hours rules:', error);
+      setError('Failed to load driver hours rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (ruleType, e) => {
+    const { name, value, type, checked } = e.target;
+    setDrafts(prev => ({
+      ...prev,
+      [ruleType]: { ...prev[ruleType], [name]: type === 'checkbox' ? checked : value }
+    }));
+  };
+
+  const handleSave = async ({ value: ruleType, label }) => {
+    const draft = drafts[ruleType];
+
+    if (!draft.limit_hours || parseFloat(draft.limit_hours) <= 0) {
+      setError(`${label}: hours must be greater than zero`);
+      return;
+    }
+
+    try {
+      setSavingType(ruleType);
+      setError('');
+
+      const ruleData = {
+        rule_type: ruleType,
+        limit_hours: parseFloat(draft.limit_hours),
+        enforcement: draft.enforcement,
+        is_active: draft.is_active
+      };
+
+      if (rules[ruleType]) {
+        await driverHoursRuleAPI.updateRule(rules[ruleType].id, ruleData);
+      } else {
+        await driverHoursRuleAPI.createRule(ruleData);
+      }
+
+      setSuccess(`${label} rule saved`);
+      fetchRules();
+    } catch (error) {
+      console.error('Error saving driver hours rule:', error);
+      setError(error.response?.data?.error || 'Failed to save driver hours rule');
+    } finally {
+      setSavingType(null);
+    }
+  };
+
+  const handleDelete = async ({ value: ruleType, label }) => {
+    if (!window.confirm(`Remove the ${label.toLowerCase()} rule?`)) {
+      return;
+    }
+
+    try {
+      await driverHoursRuleAPI.deleteRule(rules[ruleType].id);
+      setSuccess(`${label} rule removed`);
+      fetchRules();
+    } catch (error) {
+      console.error('Error deleting driver hours rule:', error);
+      setError('Failed to delete driver hours rule');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <i className="fas fa-business-time me-2"></i>
+        Hours of Service
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted">
+          Checked whenever a driver is assigned or a driver's booking is moved. A rejecting rule blocks
+          the assignment; a warning rule lets it through and reports the breach. Days and weeks
+          (Monday to Sunday) are counted in UTC.
+        </p>
+
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            <i className="fas fa-exclamation-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+            <i className="fas fa-check-circle me-2"></i>
+            {success}
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="text-center">
+            <Spinner animation="border" size="sm" />
+          </div>
+        ) : (
+          <div className="table-responsive">
+            <Table hover>
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Hours</th>
+                  <th>When Broken</th>
+                  <th>Active</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {RULE_TYPE_OPTIONS.map(option => {
+                  const draft = drafts[option.value] || emptyRule;
+                  return (
+                    <tr key={option.value}>
+                      <td>
+                        <strong>{option.label}</strong>
+                        <div className="small text-muted">{option.help}</div>
+                        {!rules[option.value] && (
+                          <Badge bg="secondary">NOT SET</Badge>
+                        )}
+                      </td>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          type="number"
+                          name="limit_hours"
+                          value={draft.limit_hours}
+                          onChange={(e) => handleChange(option.value, e)}
+                          min="0.5"
+                          max="168"
+                          step="0.5"
+                        />
+                      </td>
+                      <td>
+                        <Form.Select
+                          size="sm"
+                          name="enforcement"
+                          value={draft.enforcement}
+                          onChange={(e) => handleChange(option.value, e)}
+                        >
+                          <option value="reject">Reject assignment</option>
+                          <option value="warn">Warn only</option>
+                        </Form.Select>
+                      </td>
+                      <td>
+                        <Form.Check
+                          type="switch"
+                          id={`hours-rule-active-${option.value}`}
+                          name="is_active"
+                          checked={draft.is_active}
+                          onChange={(e) => handleChange(option.value, e)}
+                        />
+                      </td>
+                      <td>
+                        <div className="d-flex gap-1">
+                          <Button
+                            size="sm"
+                            variant="outline-primary"
+                            onClick={() => handleSave(option)}
+                            disabled={savingType === option.value}
+                            title="Save Rule"
+                          >
+                            {savingType === option.value ? (
+                              <Spinner animation="border" size="sm" />
+                            ) : (
+                              <i className="fas fa-save"></i>
+                            )}
+                          </Button>
+                          {rules[option.value] && (
+                            <Button
+                              size="sm"
+                              variant="outline-danger"
+                              onClick={() => handleDelete(option)}
+                              title="Remove Rule"
+                            >
+                              <i className="fas fa-trash"></i>
+                            </Button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DriverHoursRuleSettings;
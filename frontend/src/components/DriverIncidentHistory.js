@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Modal, Alert, Spinner } from 'react-bootstrap';
+import { incidentAPI } from '../services/api';
+import IncidentTable from './IncidentTable';
+import IncidentReviewModal from './IncidentReviewModal';
+
+/**
+ * Modal with every incident reported on a driver's trips
+ * @param {Object} props
+ * @param {Object|null} props.driver - Driver to show; the modal is shown while set
+ * @param {Function} props.onHide - Closes the modal
+ */
+const DriverIncidentHistory = ({ driver, onHide }) => {
+  const [incidents, setIncidents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [reviewIncident, setReviewIncident] = useState(null);
+
+  const fetchIncidents = useCallback(async () => {
+    if (!driver) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await incidentAPI.getIncidents({ driver_id: driver.id });
+      setIncidents(response.data.incidents);
+    } catch (error) {
+      console.error('Error fetching driver incidents:', error);
+      setError('Failed to load incident history');
+    } finally {
+      setLoading(false);
+    }
+  }, [driver]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  const handleHide = () => {
+    setIncidents([]);
+    onHide();
+  };
+
+  const handleSaved = () => {
+    setReviewIncident(null);
+    fetchIncidents();
+  };
+
+  const openCount = incidents.filter(incident => incident.status !== 'closed').length;
+
+  return (
+    <>
+      <Modal show={!!driver && !reviewIncident} onHide={handleHide} size="xl">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            <i className="fas fa-car-crash me-2"></i>
+            Incident History: {driver?.name}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError('')}>
+              <i className="fas fa-exclamation-circle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : incidents.length === 0 ? (
+            <p className="text-muted text-center py-3 mb-0">No incidents have been reported on this driver's trips.</p>
+          ) : (
+            <>
+              <p className="text-muted small">
+                {incidents.length} incident{incidents.length === 1 ? '' : 's'}, {openCount} still open.
+              </p>
+              <IncidentTable
+                incidents={incidents}
+                showVehicle
+                showBooking
+                onReview={setReviewIncident}
+                onError={setError}
+              />
+            </>
+          )}
+        </Modal.Body>
+      </Modal>
+
+      <IncidentReviewModal incident={reviewIncident} onHide={() => setReviewIncident(null)} onSaved={handleSaved} />
+    </>
+  );
+};
+
+export default DriverIncidentHistory;
@@ -0,0 +1,406 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, Alert, Spinner, Modal, Row, Col } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { driverLeaveAPI } from '../services/api';
+import { formatDateTime, toDateTimeLocal } from '../utils/dateUtils';
+import { formatConflictError } from '../utils/bookingConflicts';
+import { LEAVE_TYPE_OPTIONS, formatLeaveType, getLeaveStatusVariant } from '../utils/driverAvailability';
+
+const emptyLeave = {
+  driver_id: '',
+  leave_type: 'annual',
+  start_date: '',
+  end_date: '',
+  reason: ''
+};
+
+/**
+ * Leave tab for driver management: leave requests, their review and the bookings approved leave affects
+ * @param {Object} props
+ * @param {Array} props.drivers - Drivers leave can be recorded for
+ * @param {Function} props.onLeaveChanged - Called after leave is saved, approved or cancelled
+ */
+const DriverLeaveManagement = ({ drivers, onLeaveChanged }) => {
+  const [leaves, setLeaves] = useState([]);
+  const [filters, setFilters] = useState({ status: '', upcoming: true });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [affectedBookings, setAffectedBookings] = useState([]);
+
+  const [editingLeave, setEditingLeave] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyLeave);
+  const [reviewing, setReviewing] = useState(null); // { leave, action }
+  const [reviewNotes, setReviewNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchLeaves = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const params = {};
+      if (filters.status) params.status = filters.status;
+      if (filters.upcoming) params.upcoming = true;
+
+      const response = await driverLeaveAPI.getLeaves(params);
+      setLeaves(response.data.leaves);
+    } catch (error) {
+      console.error('Error fetching driver leave:', error);
+      setError('Failed to load driver leave');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchLeaves();
+  }, [fetchLeaves]);
+
+  const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFilters(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const afterChange = (message, affected = []) => {
+    setSuccess(message);
+    setAffectedBookings(affected);
+    fetchLeaves();
+    onLeaveChanged();
+  };
+
+  const showError = (error, fallback) => {
+    if (error.response?.status === 409) {
+      setError(formatConflictError({ message: error.response.data.error, conflicts: error.response.data.conflicts }));
+    } else {
+      setError(error.response?.data?.error || fallback);
+    }
+  };
+
+  const openForm = (leave = null) => {
+    setEditingLeave(leave);
+    setFormData(leave ? {
+      driver_id: leave.driver_id.toString(),
+      leave_type: leave.leave_type,
+      start_date: toDateTimeLocal(leave.start_date),
+      end_date: toDateTimeLocal(leave.end_date),
+      reason: leave.reason
+    } : emptyLeave);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingLeave(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.driver_id || !formData.start_date || !formData.end_date || !formData.reason.trim()) {
+      setError('Driver, dates and reason are required');
+      return;
+    }
+    if (new Date(formData.end_date) <= new Date(formData.start_date)) {
+      setError('End date must be after start date');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      const leaveData = {
+        leave_type: formData.leave_type,
+        start_date: new Date(formData.start_date).toISOString(),
+        end_date: new Date(formData.end_date).toISOString(),
+        reason: formData.reason.trim()
+      };
+
+      if (editingLeave) {
+        const response = await driverLeaveAPI.updateLeave(editingLeave.id, leaveData);
+        afterChange('Leave updated successfully', response.data.affected_bookings);
+      } else {
+        await driverLeaveAPI.requestLeave({ ...leaveData, driver_id: parseInt(formData.driver_id) });
+        afterChange('Leave requested. Approve it to block the driver from bookings');
+      }
+      closeForm();
+    } catch (error) {
+      console.error('Error saving leave:', error);
+      showError(error, 'Failed to save leave');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openReview = (leave, action) => {
+    setReviewing({ leave, action });
+    setReviewNotes('');
+  };
+
+  const handleReview = async () => {
+    const { leave, action } = reviewing;
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      if (action === 'approve') {
+        const response = await driverLeaveAPI.approveLeave(leave.id, { review_notes: reviewNotes });
+        afterChange(`Leave approved for ${leave.driver?.name}`, response.data.affected_bookings);
+      } else {
+        await driverLeaveAPI.rejectLeave(leave.id, { review_notes: reviewNotes });
+        afterChange(`Leave rejected for ${leave.driver?.name}`);
+      }
+      setReviewing(null);
+    } catch (error) {
+      console.error('Error reviewing leave:', error);
+      setReviewing(null);
+      showError(error, `Failed to ${action} leave`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (leave) => {
+    if (!window.confirm(`Cancel ${leave.driver?.name}'s ${formatLeaveType(leave.leave_type).toLowerCase()} leave?`)) {
+      return;
+    }
+
+    try {
+      await driverLeaveAPI.cancelLeave(leave.id);
+      afterChange('Leave cancelled');
+    } catch (error) {
+      console.error('Error cancelling leave:', error);
+      showError(error, 'Failed to cancel leave');
+    }
+  };
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          <i className="fas fa-exclamation-circle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+          <i className="fas fa-check-circle me-2"></i>
+          {success}
+        </Alert>
+      )}
+
+      {affectedBookings.length > 0 && (
+        <Alert variant="warning" dismissible onClose={() => setAffectedBookings([])}>
+          <i className="fas fa-exclamation-triangle me-2"></i>
+          The driver is still assigned to {affectedBookings.length} booking{affectedBookings.length === 1 ? '' : 's'} during this leave
+          and {affectedBookings.length === 1 ? 'it needs' : 'they need'} another driver:
+          <ul className="mb-0 mt-2">
+            {affectedBookings.map(booking => (
+              <li key={booking.id}>
+                <Link to={`/bookings/${booking.id}`}>#{booking.id}</Link> {booking.destination} ({formatDateTime(booking.start_date)} - {formatDateTime(booking.end_date)})
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <div>
+            <i className="fas fa-umbrella-beach me-2"></i>
+            Driver Leave
+          </div>
+          <Button size="sm" variant="primary" onClick={() => openForm()}>
+            <i className="fas fa-plus me-1"></i>
+            Record Leave
+          </Button>
+        </Card.Header>
+        <Card.Body>
+          <Row className="mb-3 align-items-end">
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>Status</Form.Label>
+                <Form.Select name="status" value={filters.status} onChange={handleFilterChange}>
+                  <option value="">All Statuses</option>
+                  <option value="pending">Pending</option>
+                  <option value="approved">Approved</option>
+                  <option value="rejected">Rejected</option>
+                  <option value="cancelled">Cancelled</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Check
+                type="switch"
+                id="leave-upcoming"
+                name="upcoming"
+                label="Current and upcoming only"
+                checked={filters.upcoming}
+                onChange={handleFilterChange}
+              />
+            </Col>
+          </Row>
+
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : leaves.length === 0 ? (
+            <p className="text-muted text-center py-3 mb-0">No leave found.</p>
+          ) : (
+            <div className="table-responsive">
+              <Table hover className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Driver</th>
+                    <th>Type</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Reason</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {leaves.map(leave => (
+                    <tr key={leave.id}>
+                      <td><strong>{leave.driver?.name}</strong></td>
+                      <td>{formatLeaveType(leave.leave_type)}</td>
+                      <td>{formatDateTime(leave.start_date)}</td>
+                      <td>{formatDateTime(leave.end_date)}</td>
+                      <td>
+                        {leave.reason}
+                        {leave.review_notes && (
+                          <div className="small text-muted">
+                            {leave.reviewedBy?.name}: {leave.review_notes}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <Badge bg={getLeaveStatusVariant(leave.status)}>{leave.status.toUpperCase()}</Badge>
+                      </td>
+                      <td>
+                        {['pending', 'approved'].includes(leave.status) && (
+                          <div className="d-flex gap-1">
+                            {leave.status === 'pending' && (
+                              <>
+                                <Button size="sm" variant="outline-success" onClick={() => openReview(leave, 'approve')} title="Approve Leave">
+                                  <i className="fas fa-check"></i>
+                                </Button>
+                                <Button size="sm" variant="outline-danger" onClick={() => openReview(leave, 'reject')} title="Reject Leave">
+                                  <i className="fas fa-times"></i>
+                                </Button>
+                              </>
+                            )}
+                            <Button size="sm" variant="outline-primary" onClick={() => openForm(leave)} title="Edit Leave">
+                              <i className="fas fa-edit"></i>
+                            </Button>
+                            <Button size="sm" variant="outline-secondary" onClick={() => handleCancel(leave)} title="Cancel Leave">
+                              <i className="fas fa-ban"></i>
+                            </Button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Record/Edit Leave Modal */}
+      <Modal show={showForm} onHide={closeForm}>
+        <Modal.Header closeButton>
+          <Modal.Title>{editingLeave ? 'Edit Leave' : 'Record Leave'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Driver *</Form.Label>
+              <Form.Select name="driver_id" value={formData.driver_id} onChange={handleInputChange} disabled={!!editingLeave}>
+                <option value="">Select a driver...</option>
+                {drivers.filter(driver => driver.status !== 'inactive').map(driver => (
+                  <option key={driver.id} value={driver.id}>{driver.name}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Type</Form.Label>
+              <Form.Select name="leave_type" value={formData.leave_type} onChange={handleInputChange}>
+                {LEAVE_TYPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>From *</Form.Label>
+                  <Form.Control type="datetime-local" name="start_date" value={formData.start_date} onChange={handleInputChange} />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>To *</Form.Label>
+                  <Form.Control type="datetime-local" name="end_date" value={formData.end_date} onChange={handleInputChange} />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Group>
+              <Form.Label>Reason *</Form.Label>
+              <Form.Control as="textarea" rows={2} name="reason" value={formData.reason} onChange={handleInputChange} maxLength={1000} />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeForm}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              {submitting ? <Spinner size="sm" /> : editingLeave ? 'Save' : 'Record Leave'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Approve/Reject Leave Modal */}
+      <Modal show={!!reviewing} onHide={() => setReviewing(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>{reviewing?.action === 'approve' ? 'Approve' : 'Reject'} Leave</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {reviewing && (
+            <p>
+              {reviewing.leave.driver?.name}: {formatLeaveType(reviewing.leave.leave_type).toLowerCase()} leave
+              from {formatDateTime(reviewing.leave.start_date)} to {formatDateTime(reviewing.leave.end_date)}.
+              {reviewing.action === 'approve' && ' The driver cannot be assigned to bookings during this time.'}
+            </p>
+          )}
+          <Form.Group>
+            <Form.Label>Notes</Form.Label>
+            <Form.Control as="textarea" rows={2} value={reviewNotes} onChange={(e) => setReviewNotes(e.target.value)} maxLength={1000} />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReviewing(null)}>
+            Cancel
+          </Button>
+          <Button variant={reviewing?.action === 'approve' ? 'success' : 'danger'} onClick={handleReview} disabled={submitting}>
+            {submitting ? <Spinner size="sm" /> : reviewing?.action === 'approve' ? 'Approve' : 'Reject'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+};
+
+export default DriverLeaveManagement;
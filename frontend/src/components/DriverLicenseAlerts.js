@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Form, Alert, Spinner, InputGroup } from 'react-bootstrap';
+import { driverAPI } from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+
+const LOOKAHEAD_OPTIONS = [7, 14, 30, 60, 90];
+
+/**
+ * License alerts tab for driver management: drivers whose licences have expired or expire soon
+ * @param {Object} props
+ * @param {Function} props.onEditDriver - Opens the driver form, to record a renewed licence
+ * @param {number} props.refreshKey - Changes whenever a driver was saved
+ */
+const DriverLicenseAlerts = ({ onEditDriver, refreshKey }) => {
+  const [alerts, setAlerts] = useState({ expired: [], expiring: [] });
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await driverAPI.getLicenseAlerts({ days });
+      setAlerts(response.data);
+    } catch (error) {
+      console.error('Error fetching license alerts:', error);
+      setError('Failed to load license alerts');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts, refreshKey]);
+
+  const describeExpiry = (daysLeft) => {
+    if (daysLeft < 0) {
+      return `expired ${-daysLeft} day${daysLeft === -1 ? '' : 's'} ago`;
+    }
+    return daysLeft === 0 ? 'expires today' : `expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  };
+
+  const renderRows = (entries, expired) => entries.map(({ driver, days_left: daysLeft, affected_bookings: affected }) => (
+    <tr key={driver.id}>
+      <td>
+        <strong>{driver.name}</strong>
+        {driver.phone && <div className="small text-muted">{driver.phone}</div>}
+      </td>
+      <td>{driver.license_number}</td>
+      <td>
+        {formatDate(driver.license_expiry)}
+        <div className="small text-muted">{describeExpiry(daysLeft)}</div>
+      </td>
+      <td>
+        <Badge bg={expired ? 'danger' : 'warning'}>{expired ? 'EXPIRED' : 'EXPIRING'}</Badge>
+      </td>
+      <td>
+        {affected > 0 ? (
+          <span className="text-danger fw-bold">{affected} need{affected === 1 ? 's' : ''} another driver</span>
+        ) : (
+          <span className="text-muted">None</span>
+        )}
+      </td>
+      <td>
+        <Button size="sm" variant="outline-primary" onClick={() => onEditDriver(driver)}>
+          <i className="fas fa-id-card me-1"></i>
+          Renew
+        </Button>
+      </td>
+    </tr>
+  ));
+
+  const total = alerts.expired.length + alerts.expiring.length;
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          <i className="fas fa-exclamation-circle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <div>
+            <i className="fas fa-id-card me-2 text-danger"></i>
+            Expired and Expiring Licenses
+            {alerts.expired.length > 0 && <Badge bg="danger" className="ms-2">{alerts.expired.length} expired</Badge>}
+          </div>
+          <InputGroup size="sm" style={{ width: 'auto' }}>
+            <InputGroup.Text>Expiring within</InputGroup.Text>
+            <Form.Select value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+              {LOOKAHEAD_OPTIONS.map(option => (
+                <option key={option} value={option}>{option} days</option>
+              ))}
+            </Form.Select>
+          </InputGroup>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : total === 0 ? (
+            <p className="text-muted text-center py-3 mb-0">No driver licenses are expired or expiring in the next {days} days.</p>
+          ) : (
+            <Table responsive hover className="mb-0">
+              <thead>
+                <tr>
+                  <th>Driver</th>
+                  <th>License Number</th>
+                  <th>Expiry</th>
+                  <th>Status</th>
+                  <th>Upcoming Bookings After Expiry</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {renderRows(alerts.expired, true)}
+                {renderRows(alerts.expiring, false)}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+};
+
+export default DriverLicenseAlerts;
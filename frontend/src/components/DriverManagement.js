@@ -1,13 +1,28 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Modal } from 'react-bootstrap';
-import { driverAPI } from '../services/api';
+import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Modal, Tabs, Tab } from 'react-bootstrap';
+import { driverAPI, sitesAPI } from '../services/api';
+import DriverLicenseAlerts from './DriverLicenseAlerts';
+import DriverHoursRuleSettings from './DriverHoursRuleSettings';
+import DriverComplianceReport from './DriverComplianceReport';
+import DriverIncidentHistory from './DriverIncidentHistory';
+import DriverLeaveManagement from './DriverLeaveManagement';
+import DriverAvailabilityCalendar from './DriverAvailabilityCalendar';
+import SiteSelect from './SiteSelect';
 import { formatDate } from '../utils/dateUtils';
+import { describeUpcomingLeave } from '../utils/driverAvailability';
+import { formatSite } from '../utils/sites';
 
 const DriverManagement = () => {
   const [drivers, setDrivers] = useState([]);
+  const [sites, setSites] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [activeTab, setActiveTab] = useState('drivers');
+  const [alertsRefreshKey, setAlertsRefreshKey] = useState(0);
+  const [availabilityRefreshKey, setAvailabilityRefreshKey] = useState(0);
+  const [complianceDriver, setComplianceDriver] = useState(null);
+  const [incidentDriver, setIncidentDriver] = useState(null);
   
   // Modal state
   const [showModal, setShowModal] = useState(false);
@@ -24,11 +39,13 @@ const DriverManagement = () => {
     email: '',
     status: 'available',
     experience_years: '',
-    vehicle_types: []
+    vehicle_types: [],
+    site_id: ''
   });
 
   const [filters, setFilters] = useState({
-    status: ''
+    status: '',
+    site_id: ''
   });
 
   const [errors, setErrors] = useState({});
@@ -41,6 +58,12 @@ const DriverManagement = () => {
     fetchDrivers();
   }, [filters]);
 
+  useEffect(() => {
+    sitesAPI.getSites()
+      .then(response => setSites(response.data.sites))
+      .catch(err => console.error('Error fetching sites:', err));
+  }, []);
+
   const fetchDrivers = async () => {
     try {
       setLoading(true);
@@ -48,6 +71,7 @@ const DriverManagement = () => {
       
       const params = {};
       if (filters.status) params.status = filters.status;
+      if (filters.site_id) params.site_id = filters.site_id;
 
       const response = await driverAPI.getDrivers(params);
       setDrivers(response.data.drivers);
@@ -76,7 +100,8 @@ const DriverManagement = () => {
       email: '',
       status: 'available',
       experience_years: '',
-      vehicle_types: []
+      vehicle_types: [],
+      site_id: ''
     });
     setErrors({});
   };
@@ -101,7 +126,8 @@ const DriverManagement = () => {
       email: driver.email || '',
       status: driver.status || 'available',
       experience_years: driver.experience_years?.toString() || '',
-      vehicle_types: driver.vehicle_types || []
+      vehicle_types: driver.vehicle_types || [],
+      site_id: driver.site_id ? String(driver.site_id) : ''
     });
     setModalMode('edit');
     setEditingDriver(driver);
@@ -183,7 +209,8 @@ const DriverManagement = () => {
       const driverData = {
         ...formData,
         experience_years: parseInt(formData.experience_years) || 0,
-        license_expiry: formData.license_expiry || null
+        license_expiry: formData.license_expiry || null,
+        site_id: formData.site_id || null
       };
 
       if (modalMode === 'add') {
@@ -196,6 +223,8 @@ const DriverManagement = () => {
       
       closeModal();
       fetchDrivers();
+      setAlertsRefreshKey(key => key + 1);
+      setAvailabilityRefreshKey(key => key + 1);
 
     } catch (error) {
       console.error('Error saving driver:', error);
@@ -239,7 +268,29 @@ const DriverManagement = () => {
     );
   };
 
+  const handleLeaveChanged = () => {
+    // Approved leave that has started changes the driver's status
+    fetchDrivers();
+    setAvailabilityRefreshKey(key => key + 1);
+  };
+
+  const renderAvailability = (driver) => {
+    const leave = describeUpcomingLeave(driver);
+    if (!leave) {
+      return <span className="text-muted small">No leave planned</span>;
+    }
+    return <Badge bg={leave.variant} className="text-wrap text-start">{leave.text}</Badge>;
+  };
+
+  const isLicenseExpired = (expiryDate) => {
+    if (!expiryDate) return false;
+    const expiry = new Date(expiryDate);
+    expiry.setHours(23, 59, 59, 999);
+    return expiry < new Date();
+  };
+
   const isLicenseExpiringSoon = (expiryDate) => {
+    if (!expiryDate) return false;
     const expiry = new Date(expiryDate);
     const now = new Date();
     const thirtyDaysFromNow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
@@ -273,40 +324,6 @@ const DriverManagement = () => {
               </Button>
             </Card.Header>
             <Card.Body>
-              {/* Filters */}
-              <Row className="mb-3">
-                <Col md={4}>
-                  <Form.Group>
-                    <Form.Label>Status</Form.Label>
-                    <Form.Select
-                      name="status"
-                      value={filters.status}
-                      onChange={handleFilterChange}
-                    >
-                      <option value="">All Statuses</option>
-                      <option value="available">Available</option>
-                      <option value="assigned">Assigned</option>
-                      <option value="on_leave">On Leave</option>
-                      <option value="inactive">Inactive</option>
-                    </Form.Select>
-                  </Form.Group>
-                </Col>
-                <Col md={4}>
-                  <Form.Group>
-                    <Form.Label>&nbsp;</Form.Label>
-                    <div>
-                      <Button 
-                        variant="outline-secondary" 
-                        onClick={() => setFilters({ status: '' })}
-                      >
-                        <i className="fas fa-times me-2"></i>
-                        Clear Filters
-                      </Button>
-                    </div>
-                  </Form.Group>
-                </Col>
-              </Row>
-
               {error && (
                 <Alert variant="danger" dismissible onClose={() => setError('')}>
                   <i className="fas fa-exclamation-circle me-2"></i>
@@ -321,115 +338,209 @@ const DriverManagement = () => {
                 </Alert>
               )}
 
-              {drivers.length === 0 ? (
-                <div className="text-center py-4">
-                  <i className="fas fa-user-tie fa-3x text-muted mb-3"></i>
-                  <h5>No drivers found</h5>
-                  <p className="text-muted">
-                    Start by adding your first driver to the system.
-                  </p>
-                </div>
-              ) : (
-                <div className="table-responsive">
-                  <Table striped hover>
-                    <thead>
-                      <tr>
-                        <th>Name</th>
-                        <th>License Number</th>
-                        <th>License Expiry</th>
-                        <th>Contact</th>
-                        <th>Experience</th>
-                        <th>Vehicle Types</th>
-                        <th>Status</th>
-                        <th>Actions</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {drivers.map(driver => (
-                        <tr key={driver.id}>
-                          <td>
-                            <strong>{driver.name}</strong>
-                          </td>
-                          <td>
-                            <div>
-                              <strong>{driver.license_number}</strong>
-                              {isLicenseExpiringSoon(driver.license_expiry) && (
+              <Tabs activeKey={activeTab} onSelect={(key) => setActiveTab(key)} className="mb-3" mountOnEnter>
+                <Tab eventKey="drivers" title="Drivers">
+                  {/* Filters */}
+                  <Row className="mb-3">
+                    <Col md={4}>
+                      <Form.Group>
+                        <Form.Label>Status</Form.Label>
+                        <Form.Select
+                          name="status"
+                          value={filters.status}
+                          onChange={handleFilterChange}
+                        >
+                          <option value="">All Statuses</option>
+                          <option value="available">Available</option>
+                          <option value="assigned">Assigned</option>
+                          <option value="on_leave">On Leave</option>
+                          <option value="inactive">Inactive</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group>
+                        <Form.Label>Site</Form.Label>
+                        <SiteSelect
+                          sites={sites}
+                          value={filters.site_id}
+                          onChange={handleFilterChange}
+                          emptyLabel="All Sites"
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group>
+                        <Form.Label>&nbsp;</Form.Label>
+                        <div>
+                          <Button 
+                            variant="outline-secondary" 
+                            onClick={() => setFilters({ status: '', site_id: '' })}
+                          >
+                            <i className="fas fa-times me-2"></i>
+                            Clear Filters
+                          </Button>
+                        </div>
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  {drivers.length === 0 ? (
+                    <div className="text-center py-4">
+                      <i className="fas fa-user-tie fa-3x text-muted mb-3"></i>
+                      <h5>No drivers found</h5>
+                      <p className="text-muted">
+                        Start by adding your first driver to the system.
+                      </p>
+                    </div>
+                  ) : (
+                    <div className="table-responsive">
+                      <Table striped hover>
+                        <thead>
+                          <tr>
+                            <th>Name</th>
+                            <th>License Number</th>
+                            <th>License Expiry</th>
+                            <th>Contact</th>
+                            <th>Experience</th>
+                            <th>Vehicle Types</th>
+                            <th>Status</th>
+                            <th>Availability</th>
+                            <th>Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {drivers.map(driver => (
+                            <tr key={driver.id}>
+                              <td>
+                                <strong>{driver.name}</strong>
+                                {driver.site && (
+                                  <div>
+                                    <small className="text-muted">{formatSite(driver.site)}</small>
+                                  </div>
+                                )}
+                              </td>
+                              <td>
                                 <div>
-                                  <Badge bg="warning" className="mt-1">
-                                    <i className="fas fa-exclamation-triangle me-1"></i>
-                                    Expiring Soon
-                                  </Badge>
+                                  <strong>{driver.license_number}</strong>
+                                  {isLicenseExpired(driver.license_expiry) ? (
+                                    <div>
+                                      <Badge bg="danger" className="mt-1">
+                                        <i className="fas fa-ban me-1"></i>
+                                        Expired
+                                      </Badge>
+                                    </div>
+                                  ) : isLicenseExpiringSoon(driver.license_expiry) && (
+                                    <div>
+                                      <Badge bg="warning" className="mt-1">
+                                        <i className="fas fa-exclamation-triangle me-1"></i>
+                                        Expiring Soon
+                                      </Badge>
+                                    </div>
+                                  )}
                                 </div>
-                              )}
-                            </div>
-                          </td>
-                          <td>
-                            <span className={isLicenseExpiringSoon(driver.license_expiry) ? 'text-warning fw-bold' : ''}>
-                              {formatDate(driver.license_expiry)}
-                            </span>
-                          </td>
-                          <td>
-                            <div>
-                              {driver.phone && (
+                              </td>
+                              <td>
+                                <span className={isLicenseExpired(driver.license_expiry) ? 'text-danger fw-bold' : isLicenseExpiringSoon(driver.license_expiry) ? 'text-warning fw-bold' : ''}>
+                                  {formatDate(driver.license_expiry)}
+                                </span>
+                              </td>
+                              <td>
                                 <div>
-                                  <i className="fas fa-phone me-1"></i>
-                                  {driver.phone}
+                                  {driver.phone && (
+                                    <div>
+                                      <i className="fas fa-phone me-1"></i>
+                                      {driver.phone}
+                                    </div>
+                                  )}
+                                  {driver.email && (
+                                    <div>
+                                      <i className="fas fa-envelope me-1"></i>
+                                      <small>{driver.email}</small>
+                                    </div>
+                                  )}
                                 </div>
-                              )}
-                              {driver.email && (
+                              </td>
+                              <td>
+                                <Badge bg="info">
+                                  {driver.experience_years} years
+                                </Badge>
+                              </td>
+                              <td>
                                 <div>
-                                  <i className="fas fa-envelope me-1"></i>
-                                  <small>{driver.email}</small>
+                                  {driver.vehicle_types?.map(type => (
+                                    <Badge key={type} bg="secondary" className="me-1 mb-1">
+                                      {type}
+                                    </Badge>
+                                  ))}
                                 </div>
-                              )}
-                            </div>
-                          </td>
-                          <td>
-                            <Badge bg="info">
-                              {driver.experience_years} years
-                            </Badge>
-                          </td>
-                          <td>
-                            <div>
-                              {driver.vehicle_types?.map(type => (
-                                <Badge key={type} bg="secondary" className="me-1 mb-1">
-                                  {type}
-                                </Badge>
-                              ))}
-                            </div>
-                          </td>
-                          <td>{getStatusBadge(driver.status)}</td>
-                          <td>
-                            <div className="d-flex gap-1">
-                              <Button
-                                size="sm"
-                                variant="outline-primary"
-                                onClick={() => openEditModal(driver)}
-                                title="Edit Driver"
-                              >
-                                <i className="fas fa-edit"></i>
-                              </Button>
-                              <Button
-                                size="sm"
-                                variant="outline-danger"
-                                onClick={() => handleDelete(driver)}
-                                title="Delete Driver"
-                              >
-                                <i className="fas fa-trash"></i>
-                              </Button>
-                            </div>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </Table>
-                </div>
-              )}
+                              </td>
+                              <td>{getStatusBadge(driver.status)}</td>
+                              <td>{renderAvailability(driver)}</td>
+                              <td>
+                                <div className="d-flex gap-1">
+                                  <Button
+                                    size="sm"
+                                    variant="outline-primary"
+                                    onClick={() => openEditModal(driver)}
+                                    title="Edit Driver"
+                                  >
+                                    <i className="fas fa-edit"></i>
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    variant="outline-secondary"
+                                    onClick={() => setComplianceDriver(driver)}
+                                    title="Hours Compliance"
+                                  >
+                                    <i className="fas fa-business-time"></i>
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    variant="outline-secondary"
+                                    onClick={() => setIncidentDriver(driver)}
+                                    title="Incident History"
+                                  >
+                                    <i className="fas fa-car-crash"></i>
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    variant="outline-danger"
+                                    onClick={() => handleDelete(driver)}
+                                    title="Delete Driver"
+                                  >
+                                    <i className="fas fa-trash"></i>
+                                  </Button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </Table>
+                    </div>
+                  )}
+                </Tab>
+                <Tab eventKey="license-alerts" title="License Alerts">
+                  <DriverLicenseAlerts onEditDriver={openEditModal} refreshKey={alertsRefreshKey} />
+                </Tab>
+                <Tab eventKey="leave" title="Leave">
+                  <DriverLeaveManagement drivers={drivers} onLeaveChanged={handleLeaveChanged} />
+                </Tab>
+                <Tab eventKey="availability" title="Availability">
+                  <DriverAvailabilityCalendar refreshKey={availabilityRefreshKey} />
+                </Tab>
+                <Tab eventKey="hours-rules" title="Hours Rules">
+                  <DriverHoursRuleSettings />
+                </Tab>
+              </Tabs>
             </Card.Body>
           </Card>
         </Col>
       </Row>
 
+      <DriverComplianceReport driver={complianceDriver} onHide={() => setComplianceDriver(null)} />
+      <DriverIncidentHistory driver={incidentDriver} onHide={() => setIncidentDriver(null)} />
+
       {/* Add/Edit Driver Modal */}
       <Modal show={showModal} onHide={closeModal} size="lg">
         <Modal.Header closeButton>
@@ -551,11 +662,31 @@ const DriverManagement = () => {
                     value={formData.status}
                     onChange={handleInputChange}
                   >
-                    <option value="available">Available</option>
-                    <option value="assigned">Assigned</option>
-                    <option value="on_leave">On Leave</option>
+                    {editingDriver?.status === 'on_leave' ? (
+                      <option value="on_leave">On Leave</option>
+                    ) : (
+                      <>
+                        <option value="available">Available</option>
+                        <option value="assigned">Assigned</option>
+                      </>
+                    )}
                     <option value="inactive">Inactive</option>
                   </Form.Select>
+                  <Form.Text className="text-muted">
+                    {editingDriver?.status === 'on_leave'
+                      ? 'The driver is on approved leave. Cancel or shorten the leave in the Leave tab to make them available.'
+                      : 'Drivers go on leave automatically while approved leave is underway.'}
+                  </Form.Text>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Site</Form.Label>
+                  <SiteSelect
+                    sites={sites}
+                    value={formData.site_id}
+                    onChange={handleInputChange}
+                  />
                 </Form.Group>
               </Col>
             </Row>
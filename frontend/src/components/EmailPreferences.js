@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const EMAIL_EVENTS = [
+  { key: 'booking_created', label: 'Booking submitted for me' },
+  { key: 'approval_required', label: 'Booking awaiting my approval' },
+  { key: 'booking_approved', label: 'My booking approved' },
+  { key: 'booking_rejected', label: 'My booking rejected' },
+  { key: 'booking_cancelled', label: 'Booking cancelled' }
+];
+
+/**
+ * Profile card for choosing which booking events are sent by email
+ */
+const EmailPreferences = () => {
+  const { updateProfile } = useAuth();
+  const [optOuts, setOptOuts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getProfile();
+      setOptOuts(response.data.user.email_opt_outs || []);
+    } catch (error) {
+      console.error('Error fetching email preferences:', error);
+      setError('Failed to load email preferences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = (event, enabled) => {
+    setOptOuts(prev => (enabled ? prev.filter(e => e !== event) : [...prev, event]));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+
+      const result = await updateProfile({ email_opt_outs: optOuts });
+
+      if (result.success) {
+        setSuccess('Email preferences saved');
+      } else {
+        setError(result.error || 'Failed to save email preferences');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h4 className="mb-0">
+          <i className="fas fa-envelope me-2"></i>
+          Email Notifications
+        </h4>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            <i className="fas fa-exclamation-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+            <i className="fas fa-check-circle me-2"></i>
+            {success}
+          </Alert>
+        )}
+
+        <p className="text-muted">
+          Choose which events are also sent to your email. In-app notifications are always shown.
+        </p>
+
+        {loading ? (
+          <div className="text-center">
+            <Spinner animation="border" size="sm" />
+          </div>
+        ) : (
+          <>
+            {EMAIL_EVENTS.map(({ key, label }) => (
+              <Form.Check
+                key={key}
+                type="switch"
+                id={`email-event-${key}`}
+                label={label}
+                checked={!optOuts.includes(key)}
+                onChange={(e) => handleToggle(key, e.target.checked)}
+                className="mb-2"
+              />
+            ))}
+            <Button variant="primary" className="mt-2" onClick={handleSave} disabled={saving}>
+              {saving ? (
+                <>
+                  <Spinner size="sm" className="me-2" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <i className="fas fa-save me-2"></i>
+                  Save Preferences
+                </>
+              )}
+            </Button>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default EmailPreferences;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Badge, Form, Alert, Spinner } from 'react-bootstrap';
+import { escalationRuleAPI, usersAPI } from '../services/api';
+import { formatApprovalRole } from '../utils/bookingPermissions';
+
+const LEVELS = [1, 2, 3];
+
+const emptyRule = {
+  sla_hours: '',
+  action: 'reassign',
+  target_role: 'approver_l2',
+  target_user_id: '',
+  is_active: true
+};
+
+/**
+ * Admin card for per-level approval SLAs and what happens when they are breached
+ */
+const EscalationRuleSettings = () => {
+  const [rules, setRules] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [approvers, setApprovers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingLevel, setSavingLevel] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const roleOptions = ['approver_l1', 'approver_l2'];
+
+  useEffect(() => {
+    fetchRules();
+    fetchApprovers();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const response = await escalationRuleAPI.getRules();
+      const byLevel = {};
+      const draftsByLevel = {};
+      response.data.rules.forEach(rule => {
+        byLevel[rule.level] = rule;
+      });
+      LEVELS.forEach(level => {
+        const rule = byLevel[level];
+        draftsByLevel[level] = rule ? {
+          sla_hours: rule.sla_hours?.toString() || '',
+          action: rule.action,
+          target_role: rule.target_role,
+          target_user_id: rule.target_user_id?.toString() || '',
+          is_active: rule.is_active
+        } : emptyRule;
+      });
+      setRules(byLevel);
+      setDrafts(draftsByLevel);
+    } catch (error) {
+      console.error('Error fetching escalation rules:', error);
+      setError('Failed to load escalation rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchApprovers = async () => {
+    try {
+      const [l1Response, l2Response] = await Promise.all([
+        usersAPI.getUsers({ role: 'approver_l1', status: 'active' }),
+        usersAPI.getUsers({ role: 'approver_l2', status: 'active' })
+      ]);
+      setApprovers([...l1Response.data.users, ...l2Response.data.users]);
+    } catch (error) {
+      console.error('Error fetching approvers:', error);
+    }
+  };
+
+  const handleChange = (level, e) => {
+    const { name, value, type, checked } = e.target;
+    setDrafts(prev => {
+      const draft = { ...prev[level], [name]: type === 'checkbox' ? checked : value };
+      // A named target has to hold the target role
+      if (name === 'target_role') {
+        draft.target_user_id = '';
+      }
+      return { ...prev, [level]: draft };
+    });
+  };
+
+  const handleSave = async (level) => {
+    const draft = drafts[level];
+
+    if (!draft.sla_hours || parseFloat(draft.sla_hours) <= 0) {
+      setError(`Level ${level}: SLA hours must be greater than zero`);
+      return;
+    }
+
+    if (draft.action === 'add_approver' && !draft.target_user_id) {
+      setError(`Level ${level}: adding an approver requires a target user`);
+      return;
+    }
+
+    try {
+      setSavingLevel(level);
+      setError('');
+
+      const ruleData = {
+        level,
+        sla_hours: parseFloat(draft.sla_hours),
+        action: draft.action,
+        target_role: draft.target_role,
+        target_user_id: draft.target_user_id ? parseInt(draft.target_user_id) : null,
+        is_active: draft.is_active
+      };
+
+      if (rules[level]) {
+        await escalationRuleAPI.updateRule(rules[level].id, ruleData);
+      } else {
+        await escalationRuleAPI.createRule(ruleData);
+      }
+
+      setSuccess(`Level ${level} escalation rule saved`);
+      fetchRules();
+    } catch (error) {
+      console.error('Error saving escalation rule:', error);
+      setError(error.response?.data?.error || 'Failed to save escalation rule');
+    } finally {
+      setSavingLevel(null);
+    }
+  };
+
+  const handleDelete = async (level) => {
+    if (!window.confirm(`Remove the Level ${level} escalation rule?`)) {
+      return;
+    }
+
+    try {
+      await escalationRuleAPI.deleteRule(rules[level].id);
+      setSuccess(`Level ${level} escalation rule removed`);
+      fetchRules();
+    } catch (error) {
+      console.error('Error deleting escalation rule:', error);
+      setError('Failed to delete escalation rule');
+    }
+  };
+
+  return (
+    <Card className="mt-4">
+      <Card.Header>
+        <h4 className="mb-0">
+          <i className="fas fa-hourglass-half me-2"></i>
+          Approval Escalation
+        </h4>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted">
+          When a level stays pending longer than its SLA it is escalated once: either reassigned
+          to the target, or the target user is added as an extra approver. Targets are notified.
+        </p>
+
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            <i className="fas fa-exclamation-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+            <i className="fas fa-check-circle me-2"></i>
+            {success}
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="text-center">
+            <Spinner animation="border" size="sm" />
+          </div>
+        ) : (
+          <div className="table-responsive">
+            <Table hover>
+              <thead>
+                <tr>
+                  <th>Level</th>
+                  <th>SLA (hours)</th>
+                  <th>Action</th>
+                  <th>Target Role</th>
+                  <th>Target User</th>
+                  <th>Active</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {LEVELS.map(level => {
+                  const draft = drafts[level] || emptyRule;
+                  return (
+                    <tr key={level}>
+                      <td>
+                        <strong>Level {level}</strong>
+                        {!rules[level] && (
+                          <div><Badge bg="secondary">NOT SET</Badge></div>
+                        )}
+                      </td>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          type="number"
+                          name="sla_hours"
+                          value={draft.sla_hours}
+                          onChange={(e) => handleChange(level, e)}
+                          min="0.25"
+                          step="0.25"
+                        />
+                      </td>
+                      <td>
+                        <Form.Select
+                          size="sm"
+                          name="action"
+                          value={draft.action}
+                          onChange={(e) => handleChange(level, e)}
+                        >
+                          <option value="reassign">Reassign</option>
+                          <option value="add_approver">Add approver</option>
+                        </Form.Select>
+                      </td>
+                      <td>
+                        <Form.Select
+                          size="sm"
+                          name="target_role"
+                          value={draft.target_role}
+                          onChange={(e) => handleChange(level, e)}
+                        >
+                          {roleOptions.map(role => (
+                            <option key={role} value={role}>
+                              {formatApprovalRole(role)}
+                            </option>
+                          ))}
+                        </Form.Select>
+                      </td>
+                      <td>
+                        <Form.Select
+                          size="sm"
+                          name="target_user_id"
+                          value={draft.target_user_id}
+                          onChange={(e) => handleChange(level, e)}
+                        >
+                          <option value="">
+                            {draft.action === 'add_approver' ? 'Select a user...' : `Any ${formatApprovalRole(draft.target_role)}`}
+                          </option>
+                          {approvers
+                            .filter(approver => approver.role === draft.target_role)
+                            .map(approver => (
+                              <option key={approver.id} value={approver.id}>
+                                {approver.name}
+                              </option>
+                            ))}
+                        </Form.Select>
+                      </td>
+                      <td>
+                        <Form.Check
+                          type="switch"
+                          id={`escalation-active-${level}`}
+                          name="is_active"
+                          checked={draft.is_active}
+                          onChange={(e) => handleChange(level, e)}
+                        />
+                      </td>
+                      <td>
+                        <div className="d-flex gap-1">
+                          <Button
+                            size="sm"
+                            variant="outline-primary"
+                            onClick={() => handleSave(level)}
+                            disabled={savingLevel === level}
+                            title="Save Rule"
+                          >
+                            {savingLevel === level ? (
+                              <Spinner animation="border" size="sm" />
+                            ) : (
+                              <i className="fas fa-save"></i>
+                            )}
+                          </Button>
+                          {rules[level] && (
+                            <Button
+                              size="sm"
+                              variant="outline-danger"
+                              onClick={() => handleDelete(level)}
+                              title="Remove Rule"
+                            >
+                              <i className="fas fa-trash"></i>
+                            </Button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default EscalationRuleSettings;
@@ -0,0 +1,468 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Container, Row, Col, Card, Form, Button, ButtonGroup, Alert, Spinner, Badge, OverlayTrigger, Tooltip } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { bookingAPI, vehicleAPI } from '../services/api';
+import { formatDate, formatDateTime } from '../utils/dateUtils';
+import useLiveEvent from '../hooks/useLiveEvent';
+
+const VEHICLE_TYPES = ['truck', 'van', 'car', 'bus', 'excavator', 'bulldozer', 'crane', 'other'];
+
+// Same colours as the status badges in the booking list
+const STATUS_VARIANTS = {
+  pending: 'warning',
+  approved: 'success',
+  in_progress: 'info',
+  completed: 'primary'
+};
+
+// Statuses that make a slot unavailable for a new booking
+const BLOCKING_STATUSES = ['pending', 'approved', 'in_progress'];
+
+// Maintenance windows that still block bookings
+const MAINTENANCE_BLOCKING_STATUSES = ['scheduled', 'in_progress'];
+
+// Working hours used when booking a whole day from the week and month views
+const WORKDAY_START_HOUR = 8;
+const WORKDAY_END_HOUR = 17;
+
+const LABEL_WIDTH = 200;
+const ROW_HEIGHT = 44;
+// Equal-width columns so bar percentages line up with the grid
+const COLUMN_STYLE = { flex: '1 1 0', minWidth: 0 };
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+/**
+ * Work out the visible window and its columns for a view
+ * @param {string} view - day, week or month
+ * @param {Date} anchor - Any date inside the window
+ * @returns {Object} { start, end, columns } where each column has start, end and label
+ */
+const getRange = (view, anchor) => {
+  const day = startOfDay(anchor);
+
+  if (view === 'day') {
+    const columns = Array.from({ length: 24 }, (_, hour) => {
+      const start = new Date(day);
+      start.setHours(hour);
+      const end = new Date(start);
+      end.setHours(hour + 1);
+      return { start, end, label: String(hour).padStart(2, '0') };
+    });
+    return { start: day, end: addDays(day, 1), columns };
+  }
+
+  let start;
+  let length;
+  if (view === 'week') {
+    // Weeks start on Monday
+    start = addDays(day, -((day.getDay() + 6) % 7));
+    length = 7;
+  } else {
+    start = new Date(day.getFullYear(), day.getMonth(), 1);
+    length = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+  }
+
+  const columns = Array.from({ length }, (_, index) => {
+    const columnStart = addDays(start, index);
+    return {
+      start: columnStart,
+      end: addDays(columnStart, 1),
+      label: view === 'week'
+        ? `${WEEKDAYS[columnStart.getDay()]} ${columnStart.getDate()}`
+        : String(columnStart.getDate())
+    };
+  });
+
+  return { start, end: addDays(start, length), columns };
+};
+
+const formatRangeTitle = (view, range) => {
+  if (view === 'day') return `${WEEKDAYS[range.start.getDay()]} ${formatDate(range.start)}`;
+  if (view === 'week') return `${formatDate(range.start)} - ${formatDate(addDays(range.end, -1))}`;
+  return range.start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+/**
+ * Fleet calendar: one row per vehicle with bookings drawn as bars across the window
+ * Admins can click a free slot to start a booking for that vehicle and time
+ */
+const FleetCalendar = () => {
+  const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+  const [view, setView] = useState('week');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [filters, setFilters] = useState({ vehicle_type: '', location: '' });
+  const [vehicles, setVehicles] = useState([]);
+  const [bookings, setBookings] = useState([]);
+  const [maintenance, setMaintenance] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const range = useMemo(() => getRange(view, anchor), [view, anchor]);
+
+  const fetchSchedule = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) setLoading(true);
+      const response = await bookingAPI.getCalendar({
+        start_date: range.start.toISOString(),
+        end_date: range.end.toISOString(),
+        ...(filters.vehicle_type && { vehicle_type: filters.vehicle_type }),
+        ...(filters.location && { location: filters.location })
+      });
+      setVehicles(response.data.vehicles);
+      setBookings(response.data.bookings);
+      setMaintenance(response.data.maintenance || []);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching fleet schedule:', error);
+      setError(error.response?.data?.message || 'Failed to load fleet schedule');
+    } finally {
+      if (!quiet) setLoading(false);
+    }
+  }, [range, filters]);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  useEffect(() => {
+    const fetchLocations = async () => {
+      try {
+        const response = await vehicleAPI.getVehicles();
+        const names = response.data.vehicles.map(vehicle => vehicle.location).filter(Boolean);
+        setLocations([...new Set(names)].sort());
+      } catch (error) {
+        console.error('Error fetching vehicle locations:', error);
+      }
+    };
+
+    fetchLocations();
+  }, []);
+
+  // Any booking change can move a bar, so refetch the visible window
+  useLiveEvent('booking_created', () => fetchSchedule({ quiet: true }));
+  useLiveEvent('booking_updated', () => fetchSchedule({ quiet: true }));
+
+  const bookingsByVehicle = useMemo(() => {
+    const grouped = {};
+    bookings.forEach(booking => {
+      (grouped[booking.vehicle_id] = grouped[booking.vehicle_id] || []).push(booking);
+    });
+    return grouped;
+  }, [bookings]);
+
+  const maintenanceByVehicle = useMemo(() => {
+    const grouped = {};
+    maintenance.forEach(record => {
+      (grouped[record.vehicle_id] = grouped[record.vehicle_id] || []).push(record);
+    });
+    return grouped;
+  }, [maintenance]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleNavigate = (direction) => {
+    if (direction === 0) {
+      setAnchor(new Date());
+      return;
+    }
+
+    if (view === 'day') {
+      setAnchor(prev => addDays(prev, direction));
+    } else if (view === 'week') {
+      setAnchor(prev => addDays(prev, direction * 7));
+    } else {
+      setAnchor(prev => new Date(prev.getFullYear(), prev.getMonth() + direction, 1));
+    }
+  };
+
+  /**
+   * Get the booking window a column represents: the hour in day view, the working day otherwise
+   */
+  const getSlot = (column) => {
+    if (view === 'day') {
+      return { start: column.start, end: column.end };
+    }
+
+    const start = new Date(column.start);
+    start.setHours(WORKDAY_START_HOUR);
+    const end = new Date(column.start);
+    end.setHours(WORKDAY_END_HOUR);
+    return { start, end };
+  };
+
+  const isSlotFree = (vehicle, slot) => {
+    if (slot.start < new Date()) return false;
+
+    const overlaps = (entry) =>
+      new Date(entry.start_date) < slot.end && new Date(entry.end_date) > slot.start;
+
+    return !(bookingsByVehicle[vehicle.id] || []).some(booking =>
+      BLOCKING_STATUSES.includes(booking.status) && overlaps(booking)
+    ) && !(maintenanceByVehicle[vehicle.id] || []).some(record =>
+      MAINTENANCE_BLOCKING_STATUSES.includes(record.status) && overlaps(record)
+    );
+  };
+
+  const handleSlotClick = (vehicle, column) => {
+    const slot = getSlot(column);
+    if (!isAdmin || !isSlotFree(vehicle, slot)) return;
+
+    const params = new URLSearchParams({
+      vehicle_id: vehicle.id,
+      start_date: slot.start.toISOString(),
+      end_date: slot.end.toISOString()
+    });
+    navigate(`/bookings/create?${params.toString()}`);
+  };
+
+  const getBarStyle = (booking) => {
+    const span = range.end - range.start;
+    const start = Math.max(new Date(booking.start_date), range.start);
+    const end = Math.min(new Date(booking.end_date), range.end);
+
+    return {
+      position: 'absolute',
+      top: 6,
+      height: ROW_HEIGHT - 12,
+      left: `${((start - range.start) / span) * 100}%`,
+      width: `${Math.max(((end - start) / span) * 100, 0.5)}%`,
+      overflow: 'hidden',
+      whiteSpace: 'nowrap',
+      fontSize: '0.75rem',
+      lineHeight: `${ROW_HEIGHT - 12}px`,
+      padding: '0 4px',
+      borderRadius: 4,
+      cursor: booking.restricted ? 'default' : 'pointer',
+      zIndex: 1
+    };
+  };
+
+  const renderBar = (booking) => {
+    const variant = STATUS_VARIANTS[booking.status] || 'secondary';
+    const label = booking.restricted
+      ? 'Booked'
+      : `#${booking.id} ${booking.user?.name || ''}`;
+
+    const tooltip = (
+      <Tooltip id={`booking-tooltip-${booking.id}`}>
+        <div><strong>{booking.restricted ? 'Booked' : `Booking #${booking.id}`}</strong></div>
+        <div>{booking.status.replace('_', ' ').toUpperCase()}</div>
+        <div>{formatDateTime(booking.start_date)} - {formatDateTime(booking.end_date)}</div>
+        {!booking.restricted && (
+          <>
+            {booking.user && <div>Employee: {booking.user.name}</div>}
+            {booking.driver && <div>Driver: {booking.driver.name}</div>}
+          </>
+        )}
+      </Tooltip>
+    );
+
+    return (
+      <OverlayTrigger key={booking.id} placement="top" overlay={tooltip}>
+        <div
+          className={`bg-${variant} text-${variant === 'warning' || variant === 'info' ? 'dark' : 'white'}`}
+          style={getBarStyle(booking)}
+          onClick={(e) => {
+            e.stopPropagation();
+            if (!booking.restricted) navigate(`/bookings/${booking.id}`);
+          }}
+        >
+          {label}
+        </div>
+      </OverlayTrigger>
+    );
+  };
+
+  const renderMaintenanceBar = (record) => {
+    const tooltip = (
+      <Tooltip id={`maintenance-tooltip-${record.id}`}>
+        <div><strong>Maintenance: {record.title}</strong></div>
+        <div>{record.status.replace('_', ' ').toUpperCase()}</div>
+        <div>{formatDateTime(record.start_date)} - {formatDateTime(record.end_date)}</div>
+      </Tooltip>
+    );
+
+    return (
+      <OverlayTrigger key={`maintenance-${record.id}`} placement="top" overlay={tooltip}>
+        <div
+          className="bg-dark text-white"
+          style={{ ...getBarStyle(record), cursor: 'default', opacity: record.status === 'completed' ? 0.5 : 1 }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <i className="fas fa-wrench me-1"></i>
+          {record.title}
+        </div>
+      </OverlayTrigger>
+    );
+  };
+
+  const renderRow = (vehicle) => (
+    <div key={vehicle.id} className="d-flex border-bottom">
+      <div
+        className="px-2 border-end bg-light"
+        style={{ width: LABEL_WIDTH, minWidth: LABEL_WIDTH, height: ROW_HEIGHT, lineHeight: 1.2, paddingTop: 4 }}
+      >
+        <div className="fw-bold small">{vehicle.plate_number}</div>
+        <div className="text-muted small text-truncate">
+          {vehicle.make} {vehicle.model}{vehicle.location ? ` · ${vehicle.location}` : ''}
+        </div>
+      </div>
+      <div className="flex-grow-1 position-relative d-flex" style={{ height: ROW_HEIGHT }}>
+        {range.columns.map((column, index) => {
+          const clickable = isAdmin && isSlotFree(vehicle, getSlot(column));
+          return (
+            <div
+              key={index}
+              className="border-end"
+              style={{ ...COLUMN_STYLE, cursor: clickable ? 'pointer' : 'default' }}
+              title={clickable ? 'Book this slot' : undefined}
+              onClick={() => handleSlotClick(vehicle, column)}
+            />
+          );
+        })}
+        {(bookingsByVehicle[vehicle.id] || []).map(renderBar)}
+        {(maintenanceByVehicle[vehicle.id] || []).map(renderMaintenanceBar)}
+      </div>
+    </div>
+  );
+
+  return (
+    <Container fluid>
+      <Row className="mb-4">
+        <Col>
+          <h2>
+            <i className="fas fa-stream me-2"></i>
+            Fleet Calendar
+          </h2>
+          <p className="text-muted mb-0">
+            See when each vehicle is booked.
+            {isAdmin && ' Click an empty slot to book that vehicle.'}
+          </p>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          <i className="fas fa-exclamation-circle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Body>
+          <Row className="align-items-end g-2">
+            <Col md="auto">
+              <ButtonGroup>
+                <Button variant="outline-secondary" onClick={() => handleNavigate(-1)} title="Previous">
+                  <i className="fas fa-chevron-left"></i>
+                </Button>
+                <Button variant="outline-secondary" onClick={() => handleNavigate(0)}>
+                  Today
+                </Button>
+                <Button variant="outline-secondary" onClick={() => handleNavigate(1)} title="Next">
+                  <i className="fas fa-chevron-right"></i>
+                </Button>
+              </ButtonGroup>
+            </Col>
+            <Col md="auto">
+              <h5 className="mb-0 px-2">{formatRangeTitle(view, range)}</h5>
+            </Col>
+            <Col md="auto" className="ms-md-auto">
+              <ButtonGroup>
+                {['day', 'week', 'month'].map(option => (
+                  <Button
+                    key={option}
+                    variant={view === option ? 'primary' : 'outline-primary'}
+                    onClick={() => setView(option)}
+                  >
+                    {option.charAt(0).toUpperCase() + option.slice(1)}
+                  </Button>
+                ))}
+              </ButtonGroup>
+            </Col>
+            <Col md={2}>
+              <Form.Select name="vehicle_type" value={filters.vehicle_type} onChange={handleFilterChange}>
+                <option value="">All Types</option>
+                {VEHICLE_TYPES.map(type => (
+                  <option key={type} value={type}>
+                    {type.charAt(0).toUpperCase() + type.slice(1)}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Select name="location" value={filters.location} onChange={handleFilterChange}>
+                <option value="">All Locations</option>
+                {locations.map(location => (
+                  <option key={location} value={location}>{location}</option>
+                ))}
+              </Form.Select>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header className="d-flex flex-wrap gap-2">
+          {Object.entries(STATUS_VARIANTS).map(([status, variant]) => (
+            <Badge key={status} bg={variant}>
+              {status.replace('_', ' ').toUpperCase()}
+            </Badge>
+          ))}
+          <Badge bg="dark">
+            <i className="fas fa-wrench me-1"></i>
+            MAINTENANCE
+          </Badge>
+        </Card.Header>
+        <Card.Body className="p-0" style={{ overflowX: 'auto' }}>
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" />
+            </div>
+          ) : vehicles.length === 0 ? (
+            <p className="text-muted text-center py-5 mb-0">No vehicles match these filters.</p>
+          ) : (
+            <div style={{ minWidth: LABEL_WIDTH + range.columns.length * 32 }}>
+              <div className="d-flex border-bottom bg-light small fw-bold">
+                <div className="px-2 border-end" style={{ width: LABEL_WIDTH, minWidth: LABEL_WIDTH }}>
+                  Vehicle
+                </div>
+                <div className="flex-grow-1 d-flex">
+                  {range.columns.map((column, index) => (
+                    <div key={index} className="border-end text-center text-truncate" style={COLUMN_STYLE}>
+                      {column.label}
+                    </div>
+                  ))}
+                </div>
+              </div>
+              {vehicles.map(renderRow)}
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default FleetCalendar;
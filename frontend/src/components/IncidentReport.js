@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Row, Col, Card, Table, Badge, Alert, Spinner } from 'react-bootstrap';
+import { reportsAPI } from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+import { SEVERITY_OPTIONS } from '../utils/incidents';
+
+/**
+ * Incidents report: counts by vehicle type and driver over the selected period, broken down by severity
+ * @param {Object} props
+ * @param {string} props.startDate - Start date (YYYY-MM-DD), or empty for the last 90 days
+ * @param {string} props.endDate - End date (YYYY-MM-DD), or empty for today
+ */
+const IncidentReport = ({ startDate, endDate }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = {};
+      if (startDate) params.startDate = startDate;
+      if (endDate) params.endDate = `${endDate}T23:59:59`;
+
+      const response = await reportsAPI.getIncidentReport(params);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Incident report error:', error);
+      setError(error.response?.data?.error || 'Failed to load incident report');
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const renderTable = (rows, label, renderName) => (
+    <Table striped hover size="sm" className="mb-0">
+      <thead>
+        <tr>
+          <th>{label}</th>
+          <th>Total</th>
+          <th>Open</th>
+          {SEVERITY_OPTIONS.map(option => (
+            <th key={option.value}>{option.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, index) => (
+          <tr key={index}>
+            <td>{renderName(row)}</td>
+            <td><strong>{row.total}</strong></td>
+            <td>{row.open > 0 ? <Badge bg="warning">{row.open}</Badge> : 0}</td>
+            {SEVERITY_OPTIONS.map(option => (
+              <td key={option.value}>
+                {row[option.value] > 0 ? <Badge bg={option.variant}>{row[option.value]}</Badge> : <span className="text-muted">0</span>}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+
+  return (
+    <Card>
+      <Card.Header>
+        <Row className="align-items-center">
+          <Col>
+            <h5>🚨 Incidents Report</h5>
+          </Col>
+          {report && (
+            <Col xs="auto" className="small text-muted">
+              {formatDate(report.period.start_date)} – {formatDate(report.period.end_date)}
+            </Col>
+          )}
+        </Row>
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {loading || !report ? (
+          !error && (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          )
+        ) : (
+          <>
+            <Row className="mb-4 text-center">
+              <Col md={3} sm={6} className="mb-3">
+                <h4 className="text-primary mb-1">{report.totals.incidents}</h4>
+                <small className="text-muted">Incidents</small>
+              </Col>
+              <Col md={3} sm={6} className="mb-3">
+                <h4 className={`mb-1 ${report.totals.open ? 'text-warning' : 'text-muted'}`}>{report.totals.open}</h4>
+                <small className="text-muted">Still Open</small>
+              </Col>
+              <Col md={3} sm={6} className="mb-3">
+                <h4 className={`mb-1 ${report.by_severity.high ? 'text-warning' : 'text-muted'}`}>{report.by_severity.high}</h4>
+                <small className="text-muted">High Severity</small>
+              </Col>
+              <Col md={3} sm={6} className="mb-3">
+                <h4 className={`mb-1 ${report.by_severity.critical ? 'text-danger' : 'text-muted'}`}>{report.by_severity.critical}</h4>
+                <small className="text-muted">Critical</small>
+              </Col>
+            </Row>
+
+            {report.totals.incidents === 0 ? (
+              <p className="text-muted text-center mb-0">No incidents were reported in this period.</p>
+            ) : (
+              <Row>
+                <Col lg={6} className="mb-3">
+                  <h6 className="mb-3">By Vehicle Type</h6>
+                  <div className="table-responsive">
+                    {renderTable(report.by_vehicle_type, 'Vehicle Type', row => (
+                      <span className="text-capitalize">{row.vehicle_type}</span>
+                    ))}
+                  </div>
+                </Col>
+                <Col lg={6} className="mb-3">
+                  <h6 className="mb-3">By Driver</h6>
+                  <div className="table-responsive">
+                    {renderTable(report.by_driver, 'Driver', row => (
+                      row.driver ? row.driver.name : <span className="text-muted">No driver assigned</span>
+                    ))}
+                  </div>
+                </Col>
+                <Col md={12}>
+                  <h6 className="mb-3">By Vehicle</h6>
+                  <div className="table-responsive">
+                    {renderTable(report.by_vehicle, 'Vehicle', row => (
+                      <>
+                        <strong>{row.vehicle.plate_number}</strong>
+                        <br />
+                        <small className="text-muted">{row.vehicle.make} {row.vehicle.model}</small>
+                      </>
+                    ))}
+                  </div>
+                </Col>
+              </Row>
+            )}
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default IncidentReport;
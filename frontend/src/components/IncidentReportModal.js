@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Alert, Form, Button, Row, Col, Spinner } from 'react-bootstrap';
+import { incidentAPI } from '../services/api';
+import { toDateTimeLocal } from '../utils/dateUtils';
+import { INCIDENT_TYPE_OPTIONS, SEVERITY_OPTIONS } from '../utils/incidents';
+
+const MAX_PHOTOS = 6;
+
+/**
+ * Report damage or an incident with a booking's vehicle
+ * @param {Object} props
+ * @param {boolean} props.show - Whether the modal is open
+ * @param {Object} props.booking - Booking the incident happened on, with its vehicle and driver
+ * @param {Function} props.onHide - Closes the modal
+ * @param {Function} props.onSaved - Called with the reported incident and the server message
+ */
+const IncidentReportModal = ({ show, booking, onHide, onSaved }) => {
+  const [formData, setFormData] = useState({});
+  const [photos, setPhotos] = useState([]);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+
+    setFormData({
+      incident_type: 'damage',
+      severity: 'low',
+      occurred_at: toDateTimeLocal(new Date()),
+      location: '',
+      description: ''
+    });
+    setPhotos([]);
+    setError('');
+  }, [show]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePhotos = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length > MAX_PHOTOS) {
+      setError(`Attach up to ${MAX_PHOTOS} photos`);
+      e.target.value = '';
+      return;
+    }
+    setPhotos(files);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const data = new FormData();
+    data.append('incident_type', formData.incident_type);
+    data.append('severity', formData.severity);
+    if (formData.occurred_at) data.append('occurred_at', new Date(formData.occurred_at).toISOString());
+    data.append('location', formData.location.trim());
+    data.append('description', formData.description.trim());
+    photos.forEach(photo => data.append('photos', photo));
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      const response = await incidentAPI.reportIncident(booking.id, data);
+      onSaved(response.data.incident, response.data.message);
+    } catch (error) {
+      console.error('Error reporting incident:', error);
+      const responseData = error.response?.data;
+      setError(responseData?.details?.[0]?.msg || responseData?.error || 'Failed to report incident');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            <i className="fas fa-car-crash me-2"></i>
+            Report Incident
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {booking && (
+            <Alert variant="info">
+              <i className="fas fa-info-circle me-2"></i>
+              The report is filed against {booking.vehicle?.plate_number}
+              {booking.driver ? ` and driver ${booking.driver.name}` : ''} for booking #{booking.id}. Fleet
+              administrators are notified and will follow it up.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError('')}>
+              {error}
+            </Alert>
+          )}
+
+          <Row>
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>Type *</Form.Label>
+                <Form.Select name="incident_type" value={formData.incident_type || ''} onChange={handleChange} required>
+                  {INCIDENT_TYPE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>Severity *</Form.Label>
+                <Form.Select name="severity" value={formData.severity || ''} onChange={handleChange} required>
+                  {SEVERITY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>When *</Form.Label>
+                <Form.Control
+                  type="datetime-local"
+                  name="occurred_at"
+                  value={formData.occurred_at || ''}
+                  max={toDateTimeLocal(new Date())}
+                  onChange={handleChange}
+                  required
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Form.Group className="mb-3">
+            <Form.Label>Location</Form.Label>
+            <Form.Control
+              name="location"
+              value={formData.location || ''}
+              onChange={handleChange}
+              maxLength={255}
+              placeholder="e.g. North pit haul road, bay 3"
+            />
+          </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Label>What happened *</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={4}
+              name="description"
+              value={formData.description || ''}
+              onChange={handleChange}
+              maxLength={5000}
+              required
+            />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Photos</Form.Label>
+            <Form.Control
+              type="file"
+              multiple
+              accept="image/jpeg,image/png,image/webp"
+              onChange={handlePhotos}
+            />
+            <Form.Text className="text-muted">Up to {MAX_PHOTOS} photos of the damage or scene.</Form.Text>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={submitting}>Cancel</Button>
+          <Button type="submit" variant="danger" disabled={submitting}>
+            {submitting && <Spinner size="sm" className="me-2" />}
+            Report Incident
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default IncidentReportModal;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Alert, Form, Button, Row, Col, Badge, Spinner } from 'react-bootstrap';
+import { incidentAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import {
+  SEVERITY_OPTIONS,
+  INCIDENT_STATUS_OPTIONS,
+  INCIDENT_STATUS_TRANSITIONS,
+  formatIncidentType,
+  getIncidentStatus
+} from '../utils/incidents';
+
+const MAX_PHOTOS = 6;
+
+/**
+ * Investigate an incident: record findings and the corrective action, and move it through the workflow
+ * @param {Object} props
+ * @param {Object|null} props.incident - Incident under review; the modal is shown while set
+ * @param {Function} props.onHide - Closes the modal
+ * @param {Function} props.onSaved - Called with the updated incident and the server message
+ */
+const IncidentReviewModal = ({ incident, onHide, onSaved }) => {
+  const [formData, setFormData] = useState({});
+  const [photos, setPhotos] = useState([]);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!incident) return;
+
+    setFormData({
+      status: incident.status,
+      severity: incident.severity,
+      investigation_notes: incident.investigation_notes || '',
+      corrective_action: incident.corrective_action || ''
+    });
+    setPhotos([]);
+    setError('');
+  }, [incident]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePhotos = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length > MAX_PHOTOS) {
+      setError(`Attach up to ${MAX_PHOTOS} photos`);
+      e.target.value = '';
+      return;
+    }
+    setPhotos(files);
+  };
+
+  const needsCorrectiveAction = ['action_required', 'closed'].includes(formData.status);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (needsCorrectiveAction && !formData.corrective_action.trim()) {
+      setError('Record the corrective action before moving the incident on');
+      return;
+    }
+
+    const data = new FormData();
+    data.append('status', formData.status);
+    data.append('severity', formData.severity);
+    data.append('investigation_notes', formData.investigation_notes.trim());
+    data.append('corrective_action', formData.corrective_action.trim());
+    photos.forEach(photo => data.append('photos', photo));
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      const response = await incidentAPI.updateIncident(incident.id, data);
+      onSaved(response.data.incident, response.data.message);
+    } catch (error) {
+      console.error('Error updating incident:', error);
+      const responseData = error.response?.data;
+      setError(responseData?.details?.[0]?.msg || responseData?.error || 'Failed to update incident');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const statusOptions = incident
+    ? INCIDENT_STATUS_OPTIONS.filter(option =>
+      option.value === incident.status || INCIDENT_STATUS_TRANSITIONS[incident.status].includes(option.value))
+    : [];
+  const currentStatus = incident && getIncidentStatus(incident.status);
+
+  return (
+    <Modal show={!!incident} onHide={onHide} size="lg">
+      {incident && (
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>
+              <i className="fas fa-search me-2"></i>
+              Incident #{incident.id}
+              <Badge bg={currentStatus.variant} className="ms-2 fs-6">{currentStatus.label}</Badge>
+            </Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {error && (
+              <Alert variant="danger" dismissible onClose={() => setError('')}>
+                {error}
+              </Alert>
+            )}
+
+            <div className="border rounded p-3 mb-3 bg-light">
+              <div className="d-flex justify-content-between">
+                <strong>
+                  {formatIncidentType(incident.incident_type)} with {incident.vehicle?.plate_number}
+                </strong>
+                <span className="small text-muted">Booking #{incident.booking_id}</span>
+              </div>
+              <div className="small text-muted">
+                {formatDateTime(incident.occurred_at)}
+                {incident.location && ` · ${incident.location}`}
+                {` · Driver: ${incident.driver?.name || 'none'}`}
+                {incident.reportedBy && ` · Reported by ${incident.reportedBy.name}`}
+              </div>
+              <p className="mb-0 mt-2" style={{ whiteSpace: 'pre-wrap' }}>{incident.description}</p>
+            </div>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Status</Form.Label>
+                  <Form.Select name="status" value={formData.status || ''} onChange={handleChange}>
+                    {statusOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                  {incident.status === 'closed' && (
+                    <Form.Text className="text-muted">Move back to investigating to reopen the incident.</Form.Text>
+                  )}
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Severity</Form.Label>
+                  <Form.Select name="severity" value={formData.severity || ''} onChange={handleChange}>
+                    {SEVERITY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Group className="mb-3">
+              <Form.Label>Investigation Notes</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                name="investigation_notes"
+                value={formData.investigation_notes || ''}
+                onChange={handleChange}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Corrective Action{needsCorrectiveAction && ' *'}</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                name="corrective_action"
+                value={formData.corrective_action || ''}
+                onChange={handleChange}
+                placeholder="e.g. Driver refresher training booked; reversing camera fitted"
+                required={needsCorrectiveAction}
+              />
+            </Form.Group>
+            <Form.Group>
+              <Form.Label>Add Photos</Form.Label>
+              <Form.Control
+                type="file"
+                multiple
+                accept="image/jpeg,image/png,image/webp"
+                onChange={handlePhotos}
+              />
+              <Form.Text className="text-muted">
+                {incident.photos.length} photo{incident.photos.length === 1 ? '' : 's'} attached. Add up to {MAX_PHOTOS} more,
+                e.g. of the repair.
+              </Form.Text>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={onHide} disabled={submitting}>Cancel</Button>
+            <Button type="submit" variant="primary" disabled={submitting}>
+              {submitting && <Spinner size="sm" className="me-2" />}
+              Save
+            </Button>
+          </Modal.Footer>
+        </Form>
+      )}
+    </Modal>
+  );
+};
+
+export default IncidentReviewModal;
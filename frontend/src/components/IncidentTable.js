@@ -0,0 +1,115 @@
+import React from 'react';
+import { Table, Button, Badge } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { incidentAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import { openBlobResponse } from '../utils/fileDownload';
+import { formatIncidentType, getSeverity, getIncidentStatus } from '../utils/incidents';
+
+/**
+ * Table of incident reports, shared by the booking, vehicle and driver histories
+ * @param {Object} props
+ * @param {Array} props.incidents - Incidents with their vehicle, driver and reporter
+ * @param {boolean} [props.showVehicle] - Show the vehicle column
+ * @param {boolean} [props.showDriver] - Show the driver column
+ * @param {boolean} [props.showBooking] - Link each incident to its booking
+ * @param {Function} [props.onReview] - Opens an incident for investigation; omitted for read-only lists
+ * @param {Function} props.onError - Reports an error to the page
+ */
+const IncidentTable = ({ incidents, showVehicle, showDriver, showBooking, onReview, onError }) => {
+  const handleViewPhoto = async (incident, index) => {
+    try {
+      const response = await incidentAPI.getPhoto(incident.id, index);
+      openBlobResponse(response);
+    } catch (error) {
+      console.error('Error fetching incident photo:', error);
+      onError('Failed to open photo');
+    }
+  };
+
+  return (
+    <Table responsive hover size="sm" className="mb-0">
+      <thead>
+        <tr>
+          <th>Occurred</th>
+          {showVehicle && <th>Vehicle</th>}
+          {showDriver && <th>Driver</th>}
+          <th>Incident</th>
+          <th>Severity</th>
+          <th>Status</th>
+          <th>Corrective Action</th>
+          <th>Photos</th>
+          {onReview && <th></th>}
+        </tr>
+      </thead>
+      <tbody>
+        {incidents.map(incident => {
+          const severity = getSeverity(incident.severity);
+          const status = getIncidentStatus(incident.status);
+          return (
+            <tr key={incident.id}>
+              <td className="small">
+                {formatDateTime(incident.occurred_at)}
+                {incident.location && <div className="text-muted">{incident.location}</div>}
+                {showBooking && (
+                  <div>
+                    <Link to={`/bookings/${incident.booking_id}`}>Booking #{incident.booking_id}</Link>
+                  </div>
+                )}
+              </td>
+              {showVehicle && (
+                <td>
+                  <strong>{incident.vehicle?.plate_number}</strong>
+                  <div className="small text-muted text-capitalize">{incident.vehicle?.type}</div>
+                </td>
+              )}
+              {showDriver && <td>{incident.driver?.name || <span className="text-muted">No driver</span>}</td>}
+              <td>
+                <strong>{formatIncidentType(incident.incident_type)}</strong>
+                <div className="small">{incident.description}</div>
+                {incident.reportedBy && <div className="small text-muted">Reported by {incident.reportedBy.name}</div>}
+              </td>
+              <td><Badge bg={severity.variant}>{severity.label}</Badge></td>
+              <td>
+                <Badge bg={status.variant}>{status.label}</Badge>
+                {incident.closed_at && <div className="small text-muted">{formatDateTime(incident.closed_at)}</div>}
+              </td>
+              <td className="small">
+                {incident.corrective_action || <span className="text-muted">-</span>}
+                {incident.investigation_notes && <div className="text-muted">{incident.investigation_notes}</div>}
+              </td>
+              <td>
+                {incident.photos.length === 0 ? (
+                  <span className="text-muted">-</span>
+                ) : (
+                  <div className="d-flex gap-1 flex-wrap">
+                    {incident.photos.map((photo, index) => (
+                      <Button
+                        key={photo.path}
+                        size="sm"
+                        variant="outline-secondary"
+                        onClick={() => handleViewPhoto(incident, index)}
+                        title={photo.name}
+                      >
+                        <i className="fas fa-camera"></i>
+                      </Button>
+                    ))}
+                  </div>
+                )}
+              </td>
+              {onReview && (
+                <td>
+                  <Button size="sm" variant="outline-primary" onClick={() => onReview(incident)} title="Investigate">
+                    <i className="fas fa-search"></i>
+                  </Button>
+                </td>
+              )}
+            </tr>
+          );
+        })}
+      </tbody>
+    </Table>
+  );
+};
+
+export default IncidentTable;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Alert, Form, Button, ButtonGroup, ToggleButton, Badge, Spinner } from 'react-bootstrap';
+import { inspectionAPI } from '../services/api';
+
+const MAX_PHOTOS = 6;
+
+/**
+ * Walk-around inspection against a checklist, before a trip starts or after it returns
+ * @param {Object} props
+ * @param {boolean} props.show - Whether the modal is open
+ * @param {Object} props.booking - Booking being inspected, with its vehicle
+ * @param {string} props.inspectionType - pre_trip or post_trip
+ * @param {Object} props.checklist - Checklist template with items
+ * @param {Function} props.onHide - Closes the modal
+ * @param {Function} props.onSaved - Called with the recorded inspection and the server message
+ */
+const InspectionModal = ({ show, booking, inspectionType, checklist, onHide, onSaved }) => {
+  const [results, setResults] = useState([]);
+  const [odometer, setOdometer] = useState('');
+  const [notes, setNotes] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isPreTrip = inspectionType === 'pre_trip';
+  const items = checklist?.items || [];
+
+  useEffect(() => {
+    if (!show) return;
+
+    setResults((checklist?.items || []).map(() => ({ passed: null, notes: '' })));
+    setOdometer('');
+    setNotes('');
+    setPhotos([]);
+    setError('');
+  }, [show, checklist]);
+
+  const updateResult = (index, changes) => {
+    setResults(prev => prev.map((result, resultIndex) => (resultIndex === index ? { ...result, ...changes } : result)));
+  };
+
+  const handlePhotos = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length > MAX_PHOTOS) {
+      setError(`Attach up to ${MAX_PHOTOS} photos`);
+      e.target.value = '';
+      return;
+    }
+    setPhotos(files);
+  };
+
+  const failedCritical = results.filter((result, index) => result.passed === false && items[index]?.critical);
+  const isComplete = results.length === items.length &&
+    results.every(result => result.passed === true || (result.passed === false && result.notes.trim()));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isComplete) {
+      setError('Mark every item as passed or failed, and describe each fault');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('inspection_type', inspectionType);
+    formData.append('results', JSON.stringify(results.map(result => ({
+      passed: result.passed,
+      notes: result.notes.trim()
+    }))));
+    if (odometer) formData.append('odometer', odometer);
+    formData.append('notes', notes.trim());
+    photos.forEach(photo => formData.append('photos', photo));
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      const response = await inspectionAPI.submitInspection(booking.id, formData);
+      onSaved(response.data.inspection, response.data.message);
+    } catch (error) {
+      console.error('Error recording inspection:', error);
+      const responseData = error.response?.data;
+      setError(responseData?.details?.[0]?.msg || responseData?.error || 'Failed to record inspection');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            <i className="fas fa-clipboard-check me-2"></i>
+            {isPreTrip ? 'Pre-trip' : 'Post-trip'} Inspection
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {booking && checklist && (
+            <>
+              <Alert variant="info">
+                <i className="fas fa-info-circle me-2"></i>
+                Walk around {booking.vehicle?.plate_number} {isPreTrip ? 'before it leaves' : 'now it is back'} and
+                check each item on the {checklist.name} checklist. A failed <strong>critical</strong> item takes the
+                vehicle into maintenance{isPreTrip ? ' and stops the trip from starting' : ''}.
+              </Alert>
+
+              {error && (
+                <Alert variant="danger" dismissible onClose={() => setError('')}>
+                  {error}
+                </Alert>
+              )}
+
+              {items.map((item, index) => {
+                const result = results[index] || { passed: null, notes: '' };
+                return (
+                  <div key={item.label} className="border rounded p-2 mb-2">
+                    <div className="d-flex justify-content-between align-items-center">
+                      <div>
+                        <strong>{item.label}</strong>
+                        {item.critical && <Badge bg="danger" className="ms-2">CRITICAL</Badge>}
+                      </div>
+                      <ButtonGroup size="sm">
+                        <ToggleButton
+                          id={`inspection-item-${index}-pass`}
+                          type="radio"
+                          variant="outline-success"
+                          name={`inspection-item-${index}`}
+                          value="pass"
+                          checked={result.passed === true}
+                          onChange={() => updateResult(index, { passed: true })}
+                        >
+                          <i className="fas fa-check me-1"></i>
+                          Pass
+                        </ToggleButton>
+                        <ToggleButton
+                          id={`inspection-item-${index}-fail`}
+                          type="radio"
+                          variant="outline-danger"
+                          name={`inspection-item-${index}`}
+                          value="fail"
+                          checked={result.passed === false}
+                          onChange={() => updateResult(index, { passed: false })}
+                        >
+                          <i className="fas fa-times me-1"></i>
+                          Fail
+                        </ToggleButton>
+                      </ButtonGroup>
+                    </div>
+                    {result.passed === false && (
+                      <Form.Control
+                        size="sm"
+                        className="mt-2"
+                        placeholder="Describe the fault *"
+                        value={result.notes}
+                        onChange={(e) => updateResult(index, { notes: e.target.value })}
+                        required
+                      />
+                    )}
+                  </div>
+                );
+              })}
+
+              {failedCritical.length > 0 && (
+                <Alert variant="danger" className="mt-3">
+                  <i className="fas fa-exclamation-triangle me-2"></i>
+                  A critical item has failed. Submitting puts {booking.vehicle?.plate_number} into maintenance with a repair underway.
+                </Alert>
+              )}
+
+              <Form.Group className="mt-3 mb-3">
+                <Form.Label>Odometer (km)</Form.Label>
+                <Form.Control
+                  type="number"
+                  min="0"
+                  value={odometer}
+                  onChange={(e) => setOdometer(e.target.value)}
+                />
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label>Photos</Form.Label>
+                <Form.Control
+                  type="file"
+                  multiple
+                  accept="image/jpeg,image/png,image/webp"
+                  onChange={handlePhotos}
+                />
+                <Form.Text className="text-muted">Up to {MAX_PHOTOS} photos of any damage or faults.</Form.Text>
+              </Form.Group>
+              <Form.Group>
+                <Form.Label>Notes</Form.Label>
+                <Form.Control as="textarea" rows={2} value={notes} onChange={(e) => setNotes(e.target.value)} />
+              </Form.Group>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={submitting}>Cancel</Button>
+          <Button type="submit" variant={failedCritical.length > 0 ? 'danger' : 'primary'} disabled={submitting || !isComplete}>
+            {submitting && <Spinner size="sm" className="me-2" />}
+            Submit Inspection
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default InspectionModal;
@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Badge, Form, Alert, Spinner, Modal, InputGroup } from 'react-bootstrap';
+import { inspectionAPI } from '../services/api';
+import { INSPECTION_TYPE_OPTIONS, formatInspectionType } from '../utils/inspections';
+
+const VEHICLE_TYPES = ['truck', 'van', 'car', 'bus', 'excavator', 'bulldozer', 'crane', 'other'];
+
+const emptyTemplate = {
+  name: '',
+  vehicle_type: '',
+  inspection_type: 'both',
+  is_active: true,
+  items: [{ label: '', critical: false }]
+};
+
+/**
+ * Checklists tab for vehicle management: walk-around inspection items per vehicle type
+ */
+const InspectionTemplateSettings = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [templateModal, setTemplateModal] = useState(null); // { template, data }
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await inspectionAPI.getTemplates();
+      setTemplates(response.data.templates);
+    } catch (error) {
+      console.error('Error fetching inspection checklists:', error);
+      setError('Failed to load inspection checklists');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openTemplateModal = (template = null) => {
+    setTemplateModal({
+      template,
+      data: template ? {
+        name: template.name,
+        vehicle_type: template.vehicle_type || '',
+        inspection_type: template.inspection_type,
+        is_active: template.is_active,
+        items: template.items.map(item => ({ ...item }))
+      } : { ...emptyTemplate, items: [...emptyTemplate.items] }
+    });
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setTemplateModal(prev => ({ ...prev, data: { ...prev.data, [name]: type === 'checkbox' ? checked : value } }));
+  };
+
+  const updateItems = (update) => {
+    setTemplateModal(prev => ({ ...prev, data: { ...prev.data, items: update(prev.data.items) } }));
+  };
+
+  const handleItemChange = (index, field, value) => {
+    updateItems(items => items.map((item, itemIndex) => (itemIndex === index ? { ...item, [field]: value } : item)));
+  };
+
+  const moveItem = (index, offset) => {
+    updateItems(items => {
+      const moved = [...items];
+      [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+      return moved;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { template, data } = templateModal;
+
+    const items = data.items
+      .map(item => ({ label: item.label.trim(), critical: item.critical }))
+      .filter(item => item.label);
+    if (items.length === 0) {
+      setError('Add at least one checklist item');
+      return;
+    }
+
+    const templateData = {
+      name: data.name.trim(),
+      vehicle_type: data.vehicle_type || null,
+      inspection_type: data.inspection_type,
+      is_active: data.is_active,
+      items
+    };
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      if (template) {
+        await inspectionAPI.updateTemplate(template.id, templateData);
+      } else {
+        await inspectionAPI.createTemplate(templateData);
+      }
+
+      setTemplateModal(null);
+      setSuccess(`Checklist "${templateData.name}" saved`);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error saving inspection checklist:', error);
+      const responseData = error.response?.data;
+      setError(responseData?.details?.[0]?.msg || responseData?.error || 'Failed to save inspection checklist');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" checklist? Past inspections keep their results.`)) {
+      return;
+    }
+
+    try {
+      await inspectionAPI.deleteTemplate(template.id);
+      setSuccess(`Checklist "${template.name}" deleted`);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error deleting inspection checklist:', error);
+      setError('Failed to delete inspection checklist');
+    }
+  };
+
+  return (
+    <>
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <div>
+            <i className="fas fa-clipboard-check me-2"></i>
+            Inspection Checklists
+          </div>
+          <Button size="sm" variant="primary" onClick={() => openTemplateModal()}>
+            <i className="fas fa-plus me-1"></i>
+            Add Checklist
+          </Button>
+        </Card.Header>
+        <Card.Body>
+          <p className="text-muted">
+            When a checklist applies to a vehicle, its trips can only start after a pre-trip inspection and only be
+            completed after a post-trip inspection. A failed critical item takes the vehicle into maintenance with a
+            repair underway and blocks the trip until a new inspection passes. A checklist for the vehicle's own type
+            is used before one for all types.
+          </p>
+
+          {error && !templateModal && (
+            <Alert variant="danger" dismissible onClose={() => setError('')}>
+              <i className="fas fa-exclamation-circle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          {success && (
+            <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+              <i className="fas fa-check-circle me-2"></i>
+              {success}
+            </Alert>
+          )}
+
+          {loading ? (
+            <div className="text-center">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : templates.length === 0 ? (
+            <p className="text-muted text-center mb-0">No checklists yet. Trips start and complete without inspections.</p>
+          ) : (
+            <div className="table-responsive">
+              <Table hover>
+                <thead>
+                  <tr>
+                    <th>Checklist</th>
+                    <th>Vehicle Type</th>
+                    <th>When</th>
+                    <th>Items</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {templates.map(template => (
+                    <tr key={template.id}>
+                      <td><strong>{template.name}</strong></td>
+                      <td className="text-capitalize">{template.vehicle_type || 'All types'}</td>
+                      <td>{formatInspectionType(template.inspection_type)}</td>
+                      <td>
+                        {template.items.length}
+                        {template.items.some(item => item.critical) && (
+                          <span className="small text-muted ms-2">
+                            ({template.items.filter(item => item.critical).length} critical)
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <Badge bg={template.is_active ? 'success' : 'secondary'}>
+                          {template.is_active ? 'ACTIVE' : 'INACTIVE'}
+                        </Badge>
+                      </td>
+                      <td>
+                        <div className="d-flex gap-1">
+                          <Button size="sm" variant="outline-primary" onClick={() => openTemplateModal(template)} title="Edit">
+                            <i className="fas fa-edit"></i>
+                          </Button>
+                          <Button size="sm" variant="outline-danger" onClick={() => handleDelete(template)} title="Delete">
+                            <i className="fas fa-trash"></i>
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Add/Edit Checklist Modal */}
+      <Modal show={!!templateModal} onHide={() => setTemplateModal(null)} size="lg">
+        {templateModal && (
+          <Form onSubmit={handleSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{templateModal.template ? 'Edit Checklist' : 'Add Checklist'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {error && (
+                <Alert variant="danger" dismissible onClose={() => setError('')}>
+                  {error}
+                </Alert>
+              )}
+              <Form.Group className="mb-3">
+                <Form.Label>Name *</Form.Label>
+                <Form.Control name="name" value={templateModal.data.name} onChange={handleChange} maxLength={100} required />
+              </Form.Group>
+              <div className="d-flex gap-3 mb-3">
+                <Form.Group className="flex-fill">
+                  <Form.Label>Vehicle Type</Form.Label>
+                  <Form.Select name="vehicle_type" value={templateModal.data.vehicle_type} onChange={handleChange}>
+                    <option value="">All types</option>
+                    {VEHICLE_TYPES.map(type => (
+                      <option key={type} value={type} className="text-capitalize">{type}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+                <Form.Group className="flex-fill">
+                  <Form.Label>When</Form.Label>
+                  <Form.Select name="inspection_type" value={templateModal.data.inspection_type} onChange={handleChange}>
+                    {INSPECTION_TYPE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </div>
+
+              <Form.Label>Items *</Form.Label>
+              {templateModal.data.items.map((item, index) => (
+                <InputGroup key={index} className="mb-2">
+                  <Form.Control
+                    placeholder="e.g. Brakes"
+                    value={item.label}
+                    onChange={(e) => handleItemChange(index, 'label', e.target.value)}
+                    maxLength={100}
+                  />
+                  <InputGroup.Text>
+                    <Form.Check
+                      type="checkbox"
+                      id={`checklist-item-critical-${index}`}
+                      label="Critical"
+                      checked={item.critical}
+                      onChange={(e) => handleItemChange(index, 'critical', e.target.checked)}
+                    />
+                  </InputGroup.Text>
+                  <Button variant="outline-secondary" onClick={() => moveItem(index, -1)} disabled={index === 0} title="Move Up">
+                    <i className="fas fa-arrow-up"></i>
+                  </Button>
+                  <Button
+                    variant="outline-secondary"
+                    onClick={() => moveItem(index, 1)}
+                    disabled={index === templateModal.data.items.length - 1}
+                    title="Move Down"
+                  >
+                    <i className="fas fa-arrow-down"></i>
+                  </Button>
+                  <Button
+                    variant="outline-danger"
+                    onClick={() => updateItems(items => items.filter((_, itemIndex) => itemIndex !== index))}
+                    disabled={templateModal.data.items.length === 1}
+                    title="Remove"
+                  >
+                    <i className="fas fa-times"></i>
+                  </Button>
+                </InputGroup>
+              ))}
+              <Button
+                size="sm"
+                variant="outline-primary"
+                className="mb-3"
+                onClick={() => updateItems(items => [...items, { label: '', critical: false }])}
+              >
+                <i className="fas fa-plus me-1"></i>
+                Add Item
+              </Button>
+
+              <Form.Check
+                type="switch"
+                id="checklist-active"
+                name="is_active"
+                label="Active"
+                checked={templateModal.data.is_active}
+                onChange={handleChange}
+              />
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setTemplateModal(null)}>Cancel</Button>
+              <Button type="submit" variant="primary" disabled={submitting}>
+                {submitting && <Spinner size="sm" className="me-2" />}
+                {templateModal.template ? 'Save Changes' : 'Add Checklist'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default InspectionTemplateSettings;
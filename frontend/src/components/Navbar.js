@@ -2,6 +2,7 @@ import React from 'react';
 import { Navbar, Nav, NavDropdown, Container } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const NavigationBar = () => {
   const { user, logout, isAdmin, isApproverOnly } = useAuth();
@@ -44,6 +45,13 @@ const NavigationBar = () => {
               </LinkContainer>
             )}
             
+            <LinkContainer to="/fleet-calendar">
+              <Nav.Link>
+                <i className="fas fa-stream me-1"></i>
+                Fleet Calendar
+              </Nav.Link>
+            </LinkContainer>
+
             {/* Show New Booking for Employees and Admins, hide for pure Approvers */}
             {(user?.role === 'employee' || user?.role === 'admin') && (
               <LinkContainer to="/bookings/create">
@@ -74,6 +82,18 @@ const NavigationBar = () => {
                     Users
                   </NavDropdown.Item>
                 </LinkContainer>
+                <LinkContainer to="/admin/sites">
+                  <NavDropdown.Item>
+                    <i className="fas fa-map-marked-alt me-2"></i>
+                    Sites
+                  </NavDropdown.Item>
+                </LinkContainer>
+                <LinkContainer to="/admin/approval-policies">
+                  <NavDropdown.Item>
+                    <i className="fas fa-sitemap me-2"></i>
+                    Approval Policies
+                  </NavDropdown.Item>
+                </LinkContainer>
                 <NavDropdown.Divider />
                 <LinkContainer to="/admin/reports">
                   <NavDropdown.Item>
@@ -92,6 +112,7 @@ const NavigationBar = () => {
           </Nav>
           
           <Nav>
+            <NotificationBell />
             <NavDropdown 
               title={
                 <span>
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { NavDropdown, Badge, Spinner, Button } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { notificationAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+import useLiveEvent from '../hooks/useLiveEvent';
+
+// How often to refresh the unread badge
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Navbar bell with an unread badge and a dropdown of recent notifications
+ */
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationAPI.getUnreadCount();
+      setUnreadCount(response.data.count);
+    } catch (error) {
+      console.error('Error fetching unread notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchUnreadCount]);
+
+  // New notifications arrive over the live stream; polling covers dropped connections
+  useLiveEvent('notification', ({ notification }) => {
+    setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)].slice(0, 10));
+    setUnreadCount(prev => prev + 1);
+  });
+
+  const fetchNotifications = async () => {
+    try {
+      setLoading(true);
+      const response = await notificationAPI.getNotifications({ limit: 10 });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unread_count);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = (isOpen) => {
+    if (isOpen) {
+      fetchNotifications();
+    }
+  };
+
+  const handleSelect = async (notification) => {
+    if (!notification.read_at) {
+      try {
+        await notificationAPI.markRead(notification.id);
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+
+    if (notification.booking_id) {
+      navigate(`/bookings/${notification.booking_id}`);
+    }
+  };
+
+  const handleMarkAllRead = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    try {
+      await notificationAPI.markAllRead();
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(n => ({ ...n, read_at: n.read_at || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <NavDropdown
+      title={
+        <span className="position-relative">
+          <i className="fas fa-bell"></i>
+          {unreadCount > 0 && (
+            <Badge pill bg="danger" className="ms-1">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </Badge>
+          )}
+        </span>
+      }
+      id="notifications-nav-dropdown"
+      align="end"
+      onToggle={handleToggle}
+    >
+      <div className="d-flex justify-content-between align-items-center px-3 py-1" style={{ minWidth: '22rem' }}>
+        <strong>Notifications</strong>
+        {unreadCount > 0 && (
+          <Button variant="link" size="sm" className="p-0" onClick={handleMarkAllRead}>
+            Mark all read
+          </Button>
+        )}
+      </div>
+      <NavDropdown.Divider />
+
+      {loading ? (
+        <div className="text-center py-2">
+          <Spinner animation="border" size="sm" />
+        </div>
+      ) : notifications.length === 0 ? (
+        <NavDropdown.ItemText>
+          <small className="text-muted">No notifications</small>
+        </NavDropdown.ItemText>
+      ) : (
+        notifications.map(notification => (
+          <NavDropdown.Item
+            key={notification.id}
+            onClick={() => handleSelect(notification)}
+            className={notification.read_at ? 'text-muted' : ''}
+            style={{ whiteSpace: 'normal', maxWidth: '22rem' }}
+          >
+            <div className={notification.read_at ? '' : 'fw-bold'}>
+              {!notification.read_at && <i className="fas fa-circle text-primary me-2" style={{ fontSize: '0.5rem' }}></i>}
+              {notification.title}
+            </div>
+            {notification.message && (
+              <small className="d-block">{notification.message}</small>
+            )}
+            <small className="text-muted">{formatDateTime(notification.created_at)}</small>
+          </NavDropdown.Item>
+        ))
+      )}
+    </NavDropdown>
+  );
+};
+
+export default NotificationBell;
@@ -11,6 +11,7 @@ import {
   Legend,
 } from 'chart.js';
 import { dashboardAPI } from '../services/api';
+import IncidentReport from './IncidentReport';
 
 ChartJS.register(
   CategoryScale,
@@ -28,6 +29,7 @@ const Reports = () => {
     startDate: '',
     endDate: ''
   });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
   const [utilizationData, setUtilizationData] = useState(null);
   const [utilizationPeriod, setUtilizationPeriod] = useState('30');
 
@@ -48,6 +50,7 @@ const Reports = () => {
   };
 
   const handleApplyFilters = () => {
+    setAppliedFilters({ ...filters });
     fetchVehicleUtilization();
   };
 
@@ -261,6 +264,13 @@ const Reports = () => {
           </Card>
         </Col>
       </Row>
+
+      {/* Incidents */}
+      <Row className="mb-4">
+        <Col md={12}>
+          <IncidentReport startDate={appliedFilters.startDate} endDate={appliedFilters.endDate} />
+        </Col>
+      </Row>
     </Container>
   );
 };
@@ -0,0 +1,421 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Form, Button, Table, Badge, Alert, Spinner, Modal } from 'react-bootstrap';
+import { sitesAPI, usersAPI } from '../services/api';
+import { formatSite, geofenceToText, parseGeofence } from '../utils/sites';
+
+const EMPTY_FORM = {
+  name: '',
+  code: '',
+  region: '',
+  address: '',
+  manager_id: '',
+  is_active: true,
+  geofence: ''
+};
+
+const SiteManagement = () => {
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [sites, setSites] = useState([]);
+  const [approvers, setApprovers] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingSite, setEditingSite] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [position, setPosition] = useState({ latitude: '', longitude: '' });
+  const [located, setLocated] = useState(undefined);
+
+  useEffect(() => {
+    fetchSites();
+    fetchApprovers();
+  }, []);
+
+  const fetchSites = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await sitesAPI.getSites({ include_inactive: true });
+      setSites(response.data.sites);
+    } catch (err) {
+      setError('Failed to fetch sites');
+      console.error('Sites error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchApprovers = async () => {
+    try {
+      const response = await usersAPI.getUsers({ status: 'active' });
+      setApprovers(response.data.users.filter(user => ['approver_l1', 'approver_l2'].includes(user.role)));
+    } catch (err) {
+      console.error('Approvers error:', err);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleAddNew = () => {
+    setEditingSite(null);
+    setFormData(EMPTY_FORM);
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleEdit = (site) => {
+    setEditingSite(site);
+    setFormData({
+      name: site.name,
+      code: site.code,
+      region: site.region || '',
+      address: site.address || '',
+      manager_id: site.manager_id || '',
+      is_active: site.is_active,
+      geofence: geofenceToText(site.geofence)
+    });
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    const { geofence, error: geofenceError } = parseGeofence(formData.geofence);
+    if (geofenceError) {
+      setFormError(geofenceError);
+      return;
+    }
+
+    const siteData = {
+      ...formData,
+      manager_id: formData.manager_id || null,
+      geofence
+    };
+
+    setSaving(true);
+    try {
+      if (editingSite) {
+        await sitesAPI.updateSite(editingSite.id, siteData);
+        setSuccess('Site updated successfully');
+      } else {
+        await sitesAPI.createSite(siteData);
+        setSuccess('Site created successfully');
+      }
+
+      setShowModal(false);
+      setEditingSite(null);
+      fetchSites();
+    } catch (err) {
+      const details = err.response?.data?.details;
+      setFormError(details ? details.map(detail => detail.msg).join(', ') : err.response?.data?.error || 'Failed to save site');
+      console.error('Save site error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (site) => {
+    if (!window.confirm(`Are you sure you want to delete ${site.name}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    try {
+      await sitesAPI.deleteSite(site.id);
+      setSuccess('Site deleted successfully');
+      fetchSites();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete site');
+      console.error('Delete site error:', err);
+    }
+  };
+
+  const handleLocate = async (e) => {
+    e.preventDefault();
+    setLocated(undefined);
+    try {
+      const response = await sitesAPI.locateSite(position.latitude, position.longitude);
+      setLocated(response.data.site);
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || 'Failed to locate site');
+      console.error('Locate site error:', err);
+    }
+  };
+
+  return (
+    <Container className="mt-4">
+      <Row className="mb-4">
+        <Col>
+          <h2>🗺️ Site Management</h2>
+          <p className="text-muted">Sites and regions that vehicles, drivers and users belong to</p>
+        </Col>
+        <Col xs="auto">
+          <Button variant="primary" onClick={handleAddNew}>
+            <i className="fas fa-plus me-2"></i>
+            Add New Site
+          </Button>
+        </Col>
+      </Row>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h5>📋 Sites</h5>
+        </Card.Header>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : sites.length === 0 ? (
+            <p className="text-muted mb-0">No sites yet. Add one to start assigning vehicles, drivers and users.</p>
+          ) : (
+            <div className="table-responsive">
+              <Table striped hover>
+                <thead>
+                  <tr>
+                    <th>Site</th>
+                    <th>Region</th>
+                    <th>Manager</th>
+                    <th>Geofence</th>
+                    <th>Vehicles</th>
+                    <th>Drivers</th>
+                    <th>Users</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sites.map((site) => (
+                    <tr key={site.id}>
+                      <td>
+                        <strong>{formatSite(site)}</strong>
+                        {site.address && <div><small className="text-muted">{site.address}</small></div>}
+                      </td>
+                      <td>{site.region || '-'}</td>
+                      <td>{site.manager ? site.manager.name : <small className="text-muted">Any level 2 approver</small>}</td>
+                      <td>
+                        {site.geofence
+                          ? <Badge bg="info">{site.geofence.length} corners</Badge>
+                          : <small className="text-muted">None</small>}
+                      </td>
+                      <td>{site.vehicle_count}</td>
+                      <td>{site.driver_count}</td>
+                      <td>{site.user_count}</td>
+                      <td>
+                        <Badge bg={site.is_active ? 'success' : 'secondary'}>
+                          {site.is_active ? 'active' : 'inactive'}
+                        </Badge>
+                      </td>
+                      <td>
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-2"
+                          onClick={() => handleEdit(site)}
+                        >
+                          <i className="fas fa-edit"></i>
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => handleDelete(site)}
+                        >
+                          <i className="fas fa-trash"></i>
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header>
+          <h5>📍 Find Site by Position</h5>
+        </Card.Header>
+        <Card.Body>
+          <Form onSubmit={handleLocate}>
+            <Row className="align-items-end">
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>Latitude</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="any"
+                    value={position.latitude}
+                    onChange={(e) => setPosition(prev => ({ ...prev, latitude: e.target.value }))}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>Longitude</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="any"
+                    value={position.longitude}
+                    onChange={(e) => setPosition(prev => ({ ...prev, longitude: e.target.value }))}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Button variant="outline-primary" type="submit">Locate</Button>
+              </Col>
+            </Row>
+          </Form>
+          {located !== undefined && (
+            <p className="mt-3 mb-0">
+              {located
+                ? <>Inside the geofence of <strong>{formatSite(located)}</strong></>
+                : <span className="text-muted">Outside every site's geofence</span>}
+            </p>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Site Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {editingSite ? 'Edit Site' : 'Add New Site'}
+          </Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <Row>
+              <Col md={8}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name *</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Code *</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="code"
+                    value={formData.code}
+                    onChange={handleInputChange}
+                    placeholder="e.g., PIT-A"
+                    maxLength={20}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Region</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="region"
+                    value={formData.region}
+                    onChange={handleInputChange}
+                    placeholder="e.g., North"
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Manager</Form.Label>
+                  <Form.Select
+                    name="manager_id"
+                    value={formData.manager_id}
+                    onChange={handleInputChange}
+                  >
+                    <option value="">No manager (any level 2 approver)</option>
+                    {approvers.map(approver => (
+                      <option key={approver.id} value={approver.id}>
+                        {approver.name} ({approver.role === 'approver_l1' ? 'Level 1' : 'Level 2'})
+                      </option>
+                    ))}
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    Approves bookings from other sites for this site's vehicles
+                  </Form.Text>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Address</Form.Label>
+              <Form.Control
+                type="text"
+                name="address"
+                value={formData.address}
+                onChange={handleInputChange}
+              />
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Geofence</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={5}
+                name="geofence"
+                value={formData.geofence}
+                onChange={handleInputChange}
+                placeholder={'-30.7440, 121.4600\n-30.7440, 121.4720\n-30.7540, 121.4720'}
+                style={{ fontFamily: 'monospace' }}
+              />
+              <Form.Text className="text-muted">
+                One "latitude, longitude" corner per line, in order around the boundary. Leave blank for no geofence.
+              </Form.Text>
+            </Form.Group>
+
+            <Form.Check
+              type="switch"
+              id="site-active"
+              name="is_active"
+              label="Active (inactive sites can't be assigned)"
+              checked={formData.is_active}
+              onChange={handleInputChange}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              type="submit"
+              disabled={saving}
+            >
+              {saving ? <Spinner animation="border" size="sm" /> : 'Save Site'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default SiteManagement;
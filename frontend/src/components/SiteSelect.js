@@ -0,0 +1,22 @@
+import React from 'react';
+import { Form } from 'react-bootstrap';
+import { formatSite, groupSitesByRegion } from '../utils/sites';
+
+/**
+ * Site picker with the sites grouped by region
+ * The value is the site ID as a string, or '' for the empty option
+ */
+const SiteSelect = ({ sites, value, onChange, name = 'site_id', emptyLabel = 'No site', ...props }) => (
+  <Form.Select name={name} value={value ?? ''} onChange={onChange} {...props}>
+    <option value="">{emptyLabel}</option>
+    {groupSitesByRegion(sites).map(({ region, sites: regionSites }) => (
+      <optgroup key={region || 'none'} label={region || 'No region'}>
+        {regionSites.map(site => (
+          <option key={site.id} value={site.id}>{formatSite(site)}</option>
+        ))}
+      </optgroup>
+    ))}
+  </Form.Select>
+);
+
+export default SiteSelect;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { formatDateTime } from '../utils/dateUtils';
+import { Modal, Alert, Form, Button } from 'react-bootstrap';
+
+const TripModal = ({ 
+  show, 
+  onHide, 
+  booking, 
+  mode, // 'start' or 'complete'
+  onConfirm, 
+  loading = false 
+}) => {
+  const [mileage, setMileage] = useState('');
+
+  const isStart = mode === 'start';
+  const minimumMileage = isStart
+    ? (booking?.vehicle?.mileage || 0)
+    : Math.max(booking?.start_mileage || 0, booking?.vehicle?.mileage || 0);
+
+  useEffect(() => {
+    if (show) {
+      setMileage(minimumMileage ? String(minimumMileage) : '');
+    }
+  }, [show, minimumMileage]);
+
+  const handleClose = () => {
+    setMileage('');
+    onHide();
+  };
+
+  const isValid = mileage !== '' && parseInt(mileage) >= minimumMileage;
+
+  const handleConfirm = () => {
+    if (!isValid) {
+      return; // Don't proceed without a plausible odometer reading
+    }
+    onConfirm(parseInt(mileage));
+  };
+
+  return (
+    <Modal show={show} onHide={handleClose}>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className={`fas fa-${isStart ? 'play text-success' : 'flag-checkered text-primary'} me-2`}></i>
+          {isStart ? 'Start Trip' : 'Complete Trip'}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {booking && (
+          <div>
+            <Alert variant="info">
+              <i className="fas fa-info-circle me-2"></i>
+              {isStart
+                ? 'Record the odometer reading as the vehicle leaves. The departure time will be set to now.'
+                : 'Record the odometer reading on return. The vehicle and driver will be released.'}
+            </Alert>
+
+            <dl className="row">
+              <dt className="col-sm-5">Vehicle</dt>
+              <dd className="col-sm-7">
+                : {booking.vehicle?.plate_number} - {booking.vehicle?.make} {booking.vehicle?.model}
+              </dd>
+
+              <dt className="col-sm-5">Recorded Mileage</dt>
+              <dd className="col-sm-7">: {booking.vehicle?.mileage ?? 0} km</dd>
+
+              {!isStart && (
+                <>
+                  <dt className="col-sm-5">Departed</dt>
+                  <dd className="col-sm-7">: {formatDateTime(booking.actual_start_date)}</dd>
+
+                  <dt className="col-sm-5">Start Odometer</dt>
+                  <dd className="col-sm-7">: {booking.start_mileage} km</dd>
+                </>
+              )}
+            </dl>
+
+            <Form.Group>
+              <Form.Label>
+                <strong>{isStart ? 'Start' : 'Return'} Odometer (km) <span className="text-danger">*</span></strong>
+              </Form.Label>
+              <Form.Control
+                type="number"
+                min={minimumMileage}
+                value={mileage}
+                onChange={(e) => setMileage(e.target.value)}
+                isInvalid={mileage !== '' && !isValid}
+                required
+              />
+              <Form.Control.Feedback type="invalid">
+                Odometer reading cannot be lower than {minimumMileage} km
+              </Form.Control.Feedback>
+              {!isStart && isValid && booking.start_mileage != null && (
+                <Form.Text className="text-muted">
+                  Distance travelled: {parseInt(mileage) - booking.start_mileage} km
+                </Form.Text>
+              )}
+            </Form.Group>
+          </div>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={handleClose} disabled={loading}>
+          <i className="fas fa-times me-2"></i>
+          Cancel
+        </Button>
+        <Button variant={isStart ? 'success' : 'primary'} onClick={handleConfirm} disabled={loading || !isValid}>
+          {loading ? (
+            <>
+              <i className="fas fa-spinner fa-spin me-2"></i>
+              Saving...
+            </>
+          ) : (
+            <>
+              <i className={`fas fa-${isStart ? 'play' : 'flag-checkered'} me-2`}></i>
+              {isStart ? 'Start Trip' : 'Complete Trip'}
+            </>
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default TripModal;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Card, Row, Col, Spinner } from 'react-bootstrap';
+import { telematicsAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const WIDTH = 600;
+const HEIGHT = 300;
+const PADDING = 16;
+
+// How often the trace of a trip that is underway is refreshed
+const REFRESH_MS = 60 * 1000;
+
+/**
+ * Project GPS points onto the SVG, keeping the map's proportions
+ * @param {Array} points - Points with latitude and longitude
+ * @returns {Array} [x, y] pairs
+ */
+const projectPoints = (points) => {
+  const latitudes = points.map(point => point.latitude);
+  const longitudes = points.map(point => point.longitude);
+  const minLat = Math.min(...latitudes);
+  const maxLat = Math.max(...latitudes);
+  const minLon = Math.min(...longitudes);
+  const maxLon = Math.max(...longitudes);
+
+  // Degrees of longitude shrink away from the equator
+  const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = (maxLon - minLon) * lonScale || 1e-6;
+  const spanY = (maxLat - minLat) || 1e-6;
+  const scale = Math.min((WIDTH - 2 * PADDING) / spanX, (HEIGHT - 2 * PADDING) / spanY);
+  const offsetX = (WIDTH - spanX * scale) / 2;
+  const offsetY = (HEIGHT - spanY * scale) / 2;
+
+  return points.map(point => [
+    offsetX + (point.longitude - minLon) * lonScale * scale,
+    offsetY + (maxLat - point.latitude) * scale
+  ]);
+};
+
+/**
+ * Trip trace card for booking details: the route recorded by the vehicle's GPS unit and the distance travelled
+ * @param {Object} props
+ * @param {Object} props.booking - Booking with a trip underway or completed
+ */
+const TripTrace = ({ booking }) => {
+  const [trace, setTrace] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchTrace = useCallback(async () => {
+    try {
+      const response = await telematicsAPI.getBookingTrace(booking.id);
+      setTrace(response.data);
+    } catch (error) {
+      console.error('Error fetching trip trace:', error);
+      setTrace(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [booking.id]);
+
+  useEffect(() => {
+    fetchTrace();
+
+    if (booking.status !== 'in_progress') return undefined;
+    const interval = setInterval(fetchTrace, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [fetchTrace, booking.status]);
+
+  const coordinates = useMemo(() => (trace?.points.length ? projectPoints(trace.points) : []), [trace]);
+
+  const summary = trace?.summary;
+  const last = trace?.points[trace.points.length - 1];
+
+  return (
+    <Card>
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="fas fa-route me-2"></i>
+          Trip Trace
+        </h5>
+        {last && (
+          <a
+            href={`https://www.openstreetmap.org/?mlat=${last.latitude}&mlon=${last.longitude}#map=15/${last.latitude}/${last.longitude}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="small"
+          >
+            <i className="fas fa-map-marker-alt me-1"></i>
+            {booking.status === 'in_progress' ? 'Current position' : 'Last position'}
+          </a>
+        )}
+      </Card.Header>
+      <Card.Body>
+        {loading ? (
+          <div className="text-center">
+            <Spinner animation="border" size="sm" />
+          </div>
+        ) : !summary || summary.points === 0 ? (
+          <p className="text-muted mb-0">No GPS positions have been recorded for this trip.</p>
+        ) : (
+          <>
+            <Row className="mb-3 text-center">
+              <Col sm={3} xs={6} className="mb-2">
+                <h4 className="text-primary mb-1">{summary.distance_km} km</h4>
+                <small className="text-muted">GPS Distance</small>
+              </Col>
+              <Col sm={3} xs={6} className="mb-2">
+                <h4 className="text-info mb-1">
+                  {summary.odometer_distance_km !== null ? `${summary.odometer_distance_km} km` : '-'}
+                </h4>
+                <small className="text-muted">Odometer Distance</small>
+              </Col>
+              <Col sm={3} xs={6} className="mb-2">
+                <h4 className="text-success mb-1">{Math.floor(summary.duration_minutes / 60)}h {summary.duration_minutes % 60}m</h4>
+                <small className="text-muted">Tracked Time</small>
+              </Col>
+              <Col sm={3} xs={6} className="mb-2">
+                <h4 className="text-warning mb-1">
+                  {summary.average_speed !== null ? summary.average_speed : '-'}
+                  {summary.max_speed !== null && ` / ${summary.max_speed}`}
+                </h4>
+                <small className="text-muted">Avg / Max km/h</small>
+              </Col>
+            </Row>
+
+            <svg
+              viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+              className="w-100 border rounded bg-light"
+              role="img"
+              aria-label="Trip route"
+            >
+              <polyline
+                points={coordinates.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}
+                fill="none"
+                stroke="#0d6efd"
+                strokeWidth="3"
+                strokeLinejoin="round"
+                strokeLinecap="round"
+              />
+              <circle cx={coordinates[0][0]} cy={coordinates[0][1]} r="6" fill="#198754">
+                <title>Start {formatDateTime(summary.started_at)}</title>
+              </circle>
+              <circle cx={coordinates[coordinates.length - 1][0]} cy={coordinates[coordinates.length - 1][1]} r="6" fill="#dc3545">
+                <title>{booking.status === 'in_progress' ? 'Latest' : 'End'} {formatDateTime(summary.ended_at)}</title>
+              </circle>
+            </svg>
+
+            <div className="d-flex justify-content-between small text-muted mt-2">
+              <span><i className="fas fa-circle text-success me-1"></i>{formatDateTime(summary.started_at)}</span>
+              <span>{summary.points.toLocaleString()} positions</span>
+              <span><i className="fas fa-circle text-danger me-1"></i>{formatDateTime(summary.ended_at)}</span>
+            </div>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default TripTrace;
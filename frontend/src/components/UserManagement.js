@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Form, Button, Table, Badge, Alert, Spinner, Modal } from 'react-bootstrap';
-import { usersAPI } from '../services/api';
+import { usersAPI, sitesAPI } from '../services/api';
 import { formatDate } from '../utils/dateUtils';
+import { formatSite } from '../utils/sites';
+import SiteSelect from './SiteSelect';
 
 const UserManagement = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [users, setUsers] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [siteFilter, setSiteFilter] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [formData, setFormData] = useState({
@@ -16,18 +20,25 @@ const UserManagement = () => {
     password: '',
     role: 'employee',
     department: '',
-    phone: ''
+    phone: '',
+    site_id: ''
   });
 
   useEffect(() => {
     fetchUsers();
+  }, [siteFilter]);
+
+  useEffect(() => {
+    sitesAPI.getSites()
+      .then(response => setSites(response.data.sites))
+      .catch(err => console.error('Sites error:', err));
   }, []);
 
   const fetchUsers = async () => {
     setLoading(true);
     setError('');
     try {
-      const response = await usersAPI.getUsers();
+      const response = await usersAPI.getUsers(siteFilter ? { site_id: siteFilter } : {});
       setUsers(response.data.users);
     } catch (err) {
       setError('Failed to fetch users');
@@ -80,7 +91,7 @@ const UserManagement = () => {
     try {
       if (editingUser) {
         // Update existing user
-        const updateData = { ...formData };
+        const updateData = { ...formData, site_id: formData.site_id || null };
         if (!updateData.password) {
           delete updateData.password; // Don't update password if empty
         }
@@ -88,7 +99,7 @@ const UserManagement = () => {
         setSuccess('User updated successfully');
       } else {
         // Create new user
-        await usersAPI.createUser(formData);
+        await usersAPI.createUser({ ...formData, site_id: formData.site_id || null });
         setSuccess('User created successfully');
       }
       
@@ -100,7 +111,8 @@ const UserManagement = () => {
         password: '',
         role: 'employee',
         department: '',
-        phone: ''
+        phone: '',
+        site_id: ''
       });
       fetchUsers();
     } catch (err) {
@@ -119,7 +131,8 @@ const UserManagement = () => {
       password: '', // Don't show password
       role: user.role,
       department: user.department || '',
-      phone: user.phone || ''
+      phone: user.phone || '',
+      site_id: user.site_id ? String(user.site_id) : ''
     });
     setShowModal(true);
   };
@@ -151,7 +164,8 @@ const UserManagement = () => {
       password: '',
       role: 'employee',
       department: '',
-      phone: ''
+      phone: '',
+      site_id: ''
     });
     setShowModal(true);
   };
@@ -191,7 +205,20 @@ const UserManagement = () => {
       {/* Users Table */}
       <Card>
         <Card.Header>
-          <h5>📋 System Users</h5>
+          <Row className="align-items-center">
+            <Col>
+              <h5>📋 System Users</h5>
+            </Col>
+            <Col xs="auto">
+              <SiteSelect
+                sites={sites}
+                value={siteFilter}
+                onChange={(e) => setSiteFilter(e.target.value)}
+                emptyLabel="All Sites"
+                size="sm"
+              />
+            </Col>
+          </Row>
         </Card.Header>
         <Card.Body>
           {loading ? (
@@ -207,6 +234,7 @@ const UserManagement = () => {
                     <th>Email</th>
                     <th>Role</th>
                     <th>Department</th>
+                    <th>Site</th>
                     <th>Phone</th>
                     <th>Status</th>
                     <th>Created</th>
@@ -222,6 +250,7 @@ const UserManagement = () => {
                       <td>{user.email}</td>
                       <td>{getRoleBadge(user.role)}</td>
                       <td>{user.department || '-'}</td>
+                      <td>{user.site ? formatSite(user.site) : '-'}</td>
                       <td>{user.phone || '-'}</td>
                       <td>{getStatusBadge(user.status)}</td>
                       <td>
@@ -350,6 +379,18 @@ const UserManagement = () => {
                 </Form.Group>
               </Col>
             </Row>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Site</Form.Label>
+              <SiteSelect
+                sites={sites}
+                value={formData.site_id}
+                onChange={handleInputChange}
+              />
+              <Form.Text className="text-muted">
+                The user's bookings are made for this site
+              </Form.Text>
+            </Form.Group>
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={() => setShowModal(false)}>
@@ -3,9 +3,11 @@ import { Container, Row, Col, Card, Form, Button, Alert, Spinner, Badge } from '
 import { useAuth } from '../contexts/AuthContext';
 import { authAPI } from '../services/api';
 import { formatDate } from '../utils/dateUtils';
+import DelegationSettings from './DelegationSettings';
+import EmailPreferences from './EmailPreferences';
 
 const UserProfile = () => {
-  const { user, updateProfile } = useAuth();
+  const { user, updateProfile, isApproverOnly } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -294,6 +296,12 @@ const UserProfile = () => {
             </Card.Body>
           </Card>
 
+          {/* Email Notifications Card */}
+          <EmailPreferences />
+
+          {/* Out of Office Card (approvers only) */}
+          {isApproverOnly && <DelegationSettings />}
+
           {/* Security Settings Card */}
           <Card>
             <Card.Header className="d-flex justify-content-between align-items-center">
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, InputGroup } from 'react-bootstrap';
+import { vehicleDocumentAPI } from '../services/api';
+import { formatDocumentType, formatDocumentDate, describeExpiry } from '../utils/vehicleDocuments';
+
+const LOOKAHEAD_OPTIONS = [7, 14, 30, 60, 90];
+
+/**
+ * Compliance tab for vehicle management: required documents that have expired or expire soon
+ * @param {Object} props
+ * @param {Function} props.onRenewDocument - Opens the document form to record a renewal, with the vehicle and type
+ * @param {number} props.refreshKey - Changes whenever a document was saved
+ */
+const VehicleComplianceDashboard = ({ onRenewDocument, refreshKey }) => {
+  const [alerts, setAlerts] = useState({ expired: [], expiring: [] });
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await vehicleDocumentAPI.getAlerts({ days });
+      setAlerts(response.data);
+    } catch (error) {
+      console.error('Error fetching document alerts:', error);
+      setError('Failed to load document alerts');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts, refreshKey]);
+
+  const renderRows = (entries, expired) => entries.map(({ document, days_left: daysLeft, affected_bookings: affected }) => (
+    <tr key={document.id}>
+      <td>
+        <strong>{document.vehicle?.plate_number}</strong>
+        <div className="small text-muted">{document.vehicle?.make} {document.vehicle?.model}</div>
+      </td>
+      <td>{formatDocumentType(document.document_type)}</td>
+      <td>{document.document_number}</td>
+      <td>
+        {formatDocumentDate(document.expiry_date)}
+        <div className="small text-muted">{describeExpiry(daysLeft)}</div>
+      </td>
+      <td>
+        <Badge bg={expired ? 'danger' : 'warning'}>{expired ? 'EXPIRED' : 'EXPIRING'}</Badge>
+      </td>
+      <td>
+        {affected > 0 ? (
+          <span className="text-danger fw-bold">{affected} booking{affected === 1 ? '' : 's'} affected</span>
+        ) : (
+          <span className="text-muted">None</span>
+        )}
+      </td>
+      <td>
+        <Button
+          size="sm"
+          variant="outline-primary"
+          onClick={() => onRenewDocument({ vehicle_id: document.vehicle_id.toString(), document_type: document.document_type })}
+        >
+          <i className="fas fa-redo me-1"></i>
+          Renew
+        </Button>
+      </td>
+    </tr>
+  ));
+
+  const affectedVehicles = new Set(
+    [...alerts.expired, ...alerts.expiring].map(entry => entry.document.vehicle_id)
+  ).size;
+  const total = alerts.expired.length + alerts.expiring.length;
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          <i className="fas fa-exclamation-circle me-2"></i>
+          {error}
+        </Alert>
+      )}
+
+      <Row className="mb-3 text-center">
+        <Col sm={4} className="mb-2">
+          <h4 className={`mb-1 ${alerts.expired.length ? 'text-danger' : 'text-muted'}`}>{alerts.expired.length}</h4>
+          <small className="text-muted">Expired</small>
+        </Col>
+        <Col sm={4} className="mb-2">
+          <h4 className={`mb-1 ${alerts.expiring.length ? 'text-warning' : 'text-muted'}`}>{alerts.expiring.length}</h4>
+          <small className="text-muted">Expiring within {days} days</small>
+        </Col>
+        <Col sm={4} className="mb-2">
+          <h4 className="text-primary mb-1">{affectedVehicles}</h4>
+          <small className="text-muted">Vehicles affected</small>
+        </Col>
+      </Row>
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <div>
+            <i className="fas fa-file-contract me-2 text-danger"></i>
+            Expired and Expiring Documents
+          </div>
+          <InputGroup size="sm" style={{ width: 'auto' }}>
+            <InputGroup.Text>Expiring within</InputGroup.Text>
+            <Form.Select value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+              {LOOKAHEAD_OPTIONS.map(option => (
+                <option key={option} value={option}>{option} days</option>
+              ))}
+            </Form.Select>
+          </InputGroup>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" />
+            </div>
+          ) : total === 0 ? (
+            <p className="text-muted text-center py-3 mb-0">No required documents are expired or expiring in the next {days} days.</p>
+          ) : (
+            <Table responsive hover className="mb-0">
+              <thead>
+                <tr>
+                  <th>Vehicle</th>
+                  <th>Document</th>
+                  <th>Number</th>
+                  <th>Expiry</th>
+                  <th>Status</th>
+                  <th>Upcoming Bookings After Expiry</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {renderRows(alerts.expired, true)}
+                {renderRows(alerts.expiring, false)}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+        <Card.Footer className="small text-muted">
+          Vehicles can't be booked past a required document's expiry until its renewal is recorded.
+        </Card.Footer>
+      </Card>
+    </>
+  );
+};
+
+export default VehicleComplianceDashboard;
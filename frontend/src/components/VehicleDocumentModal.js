@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { Row, Col, Button, Form, Alert, Spinner, Modal } from 'react-bootstrap';
+import { vehicleDocumentAPI } from '../services/api';
+import { DOCUMENT_TYPE_OPTIONS, formatDocumentType, toDateInput } from '../utils/vehicleDocuments';
+
+const emptyDocument = {
+  vehicle_id: '',
+  document_type: 'registration',
+  document_number: '',
+  issue_date: '',
+  expiry_date: '',
+  is_required: true,
+  notes: ''
+};
+
+/**
+ * Add or edit a vehicle document, with an optional scan
+ * @param {Object} props
+ * @param {boolean} props.show - Whether the modal is open
+ * @param {Object} [props.document] - Document to edit; a new one is recorded if missing
+ * @param {Object} [props.defaults] - Starting values for a new document, e.g. the vehicle and type being renewed
+ * @param {Array} props.vehicles - Fleet vehicles for the picker
+ * @param {Function} props.onHide - Closes the modal
+ * @param {Function} props.onSaved - Called with a success message after saving
+ */
+const VehicleDocumentModal = ({ show, document, defaults, vehicles, onHide, onSaved }) => {
+  const [data, setData] = useState(emptyDocument);
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+
+    setError('');
+    setFile(null);
+    setData(document ? {
+      vehicle_id: document.vehicle_id.toString(),
+      document_type: document.document_type,
+      document_number: document.document_number,
+      issue_date: toDateInput(document.issue_date),
+      expiry_date: toDateInput(document.expiry_date),
+      is_required: document.is_required,
+      notes: document.notes || ''
+    } : { ...emptyDocument, ...defaults });
+  }, [show, document, defaults]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (data.issue_date && data.expiry_date && data.expiry_date < data.issue_date) {
+      setError('Expiry date cannot be before the issue date');
+      return;
+    }
+
+    const formData = new FormData();
+    if (!document) formData.append('vehicle_id', data.vehicle_id);
+    formData.append('document_type', data.document_type);
+    formData.append('document_number', data.document_number.trim());
+    formData.append('issue_date', data.issue_date);
+    formData.append('expiry_date', data.expiry_date);
+    formData.append('is_required', data.is_required ? 'true' : 'false');
+    formData.append('notes', data.notes.trim());
+    if (file) formData.append('file', file);
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      if (document) {
+        await vehicleDocumentAPI.updateDocument(document.id, formData);
+      } else {
+        await vehicleDocumentAPI.createDocument(formData);
+      }
+
+      onSaved(document ? 'Document updated' : `${formatDocumentType(data.document_type)} document recorded`);
+    } catch (error) {
+      console.error('Error saving vehicle document:', error);
+      const responseData = error.response?.data;
+      setError(responseData?.details?.[0]?.msg || responseData?.error || 'Failed to save document');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>{document ? 'Edit Document' : 'Add Document'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && (
+            <Alert variant="danger" dismissible onClose={() => setError('')}>
+              {error}
+            </Alert>
+          )}
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Vehicle *</Form.Label>
+                <Form.Select
+                  name="vehicle_id"
+                  value={data.vehicle_id}
+                  onChange={handleChange}
+                  disabled={!!document}
+                  required
+                >
+                  <option value="">Select vehicle</option>
+                  {vehicles.map(vehicle => (
+                    <option key={vehicle.id} value={vehicle.id}>
+                      {vehicle.plate_number} - {vehicle.make} {vehicle.model}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3">
+                <Form.Label>Type *</Form.Label>
+                <Form.Select name="document_type" value={data.document_type} onChange={handleChange} required>
+                  {DOCUMENT_TYPE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+          </Row>
+          <Row>
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>Document Number *</Form.Label>
+                <Form.Control
+                  name="document_number"
+                  value={data.document_number}
+                  onChange={handleChange}
+                  maxLength={100}
+                  required
+                />
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>Issue Date</Form.Label>
+                <Form.Control type="date" name="issue_date" value={data.issue_date} onChange={handleChange} />
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>Expiry Date</Form.Label>
+                <Form.Control type="date" name="expiry_date" value={data.expiry_date} onChange={handleChange} />
+                <Form.Text className="text-muted">Valid through this date. Leave empty if it doesn't expire.</Form.Text>
+              </Form.Group>
+            </Col>
+          </Row>
+          <Form.Check
+            type="switch"
+            id="vehicle-document-required"
+            name="is_required"
+            label="Required to operate the vehicle"
+            checked={data.is_required}
+            onChange={handleChange}
+            className="mb-1"
+          />
+          <Form.Text className="text-muted d-block mb-3">
+            Bookings can't end after a required document expires. Record a renewal as a new document of the same type.
+          </Form.Text>
+          <Form.Group className="mb-3">
+            <Form.Label>Scan</Form.Label>
+            <Form.Control
+              type="file"
+              accept="image/jpeg,image/png,image/webp,application/pdf"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+            />
+            {document?.file_name && (
+              <Form.Text className="text-muted">
+                Current file: {document.file_name}. Choosing a file replaces it.
+              </Form.Text>
+            )}
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Notes</Form.Label>
+            <Form.Control as="textarea" rows={2} name="notes" value={data.notes} onChange={handleChange} />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>Cancel</Button>
+          <Button type="submit" variant="primary" disabled={submitting}>
+            {submitting && <Spinner size="sm" className="me-2" />}
+            {document ? 'Save Changes' : 'Add Document'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default VehicleDocumentModal;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Row, Col, Table, Button, Badge, Form, Alert, Spinner } from 'react-bootstrap';
+import { vehicleDocumentAPI } from '../services/api';
+import { openBlobResponse } from '../utils/fileDownload';
+import {
+  DOCUMENT_TYPE_OPTIONS,
+  formatDocumentType,
+  formatDocumentDate,
+  getDaysLeft,
+  describeExpiry
+} from '../utils/vehicleDocuments';
+
+// Matches the earliest expiry warning admins get
+const EXPIRING_DAYS = 30;
+
+/**
+ * Documents tab for vehicle management: registration, insurance, road-worthiness and permits per vehicle
+ * @param {Object} props
+ * @param {Array} props.vehicles - Fleet vehicles for the filter
+ * @param {Function} props.onAddDocument - Opens the document form for a new document, with optional defaults
+ * @param {Function} props.onEditDocument - Opens the document form for an existing document
+ * @param {number} props.refreshKey - Changes whenever a document was saved
+ */
+const VehicleDocuments = ({ vehicles, onAddDocument, onEditDocument, refreshKey }) => {
+  const [documents, setDocuments] = useState([]);
+  const [filters, setFilters] = useState({ vehicle_id: '', document_type: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchDocuments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = {};
+      if (filters.vehicle_id) params.vehicle_id = filters.vehicle_id;
+      if (filters.document_type) params.document_type = filters.document_type;
+
+      const response = await vehicleDocumentAPI.getDocuments(params);
+      setDocuments(response.data.documents);
+    } catch (error) {
+      console.error('Error fetching vehicle documents:', error);
+      setError(error.response?.data?.error || 'Failed to load vehicle documents');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments, refreshKey]);
+
+  // A renewal supersedes older documents of the same type: the one valid longest is current
+  const currentIds = useMemo(() => {
+    const current = {};
+    documents.forEach(document => {
+      const key = `${document.vehicle_id}:${document.document_type}`;
+      const existing = current[key];
+      if (!existing || (existing.expiry_date && (!document.expiry_date || document.expiry_date > existing.expiry_date))) {
+        current[key] = document;
+      }
+    });
+    return new Set(Object.values(current).map(document => document.id));
+  }, [documents]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Delete ${formatDocumentType(document.document_type).toLowerCase()} ${document.document_number} for ${document.vehicle?.plate_number}?`)) return;
+
+    try {
+      setError('');
+      await vehicleDocumentAPI.deleteDocument(document.id);
+      setSuccess('Document deleted');
+      setTimeout(() => setSuccess(''), 3000);
+      await fetchDocuments();
+    } catch (error) {
+      console.error('Error deleting vehicle document:', error);
+      setError(error.response?.data?.error || 'Failed to delete document');
+    }
+  };
+
+  const handleViewFile = async (document) => {
+    try {
+      const response = await vehicleDocumentAPI.getFile(document.id);
+      openBlobResponse(response);
+    } catch (error) {
+      console.error('Error fetching document file:', error);
+      setError('Failed to open document file');
+    }
+  };
+
+  const renderStatus = (document) => {
+    if (!currentIds.has(document.id)) return <Badge bg="secondary">SUPERSEDED</Badge>;
+
+    const daysLeft = getDaysLeft(document.expiry_date);
+    if (daysLeft !== null && daysLeft < 0) return <Badge bg="danger">EXPIRED</Badge>;
+    if (daysLeft !== null && daysLeft <= EXPIRING_DAYS) return <Badge bg="warning">EXPIRING</Badge>;
+    return <Badge bg="success">VALID</Badge>;
+  };
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Row className="mb-3 align-items-end">
+        <Col md={4}>
+          <Form.Group>
+            <Form.Label>Vehicle</Form.Label>
+            <Form.Select name="vehicle_id" value={filters.vehicle_id} onChange={handleFilterChange}>
+              <option value="">All Vehicles</option>
+              {vehicles.map(vehicle => (
+                <option key={vehicle.id} value={vehicle.id}>
+                  {vehicle.plate_number} - {vehicle.make} {vehicle.model}
+                </option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col md={3}>
+          <Form.Group>
+            <Form.Label>Type</Form.Label>
+            <Form.Select name="document_type" value={filters.document_type} onChange={handleFilterChange}>
+              <option value="">All Types</option>
+              {DOCUMENT_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col md={5} className="d-flex justify-content-end">
+          <Button variant="primary" onClick={() => onAddDocument({ vehicle_id: filters.vehicle_id, document_type: filters.document_type || 'registration' })}>
+            <i className="fas fa-file-alt me-2"></i>
+            Add Document
+          </Button>
+        </Col>
+      </Row>
+
+      {loading ? (
+        <div className="text-center py-4">
+          <Spinner animation="border" />
+        </div>
+      ) : documents.length === 0 ? (
+        <p className="text-muted text-center py-3 mb-0">No documents recorded.</p>
+      ) : (
+        <Table responsive hover className="mb-0">
+          <thead>
+            <tr>
+              <th>Vehicle</th>
+              <th>Type</th>
+              <th>Number</th>
+              <th>Issued</th>
+              <th>Expiry</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {documents.map(document => {
+              const daysLeft = getDaysLeft(document.expiry_date);
+              return (
+                <tr key={document.id} className={currentIds.has(document.id) ? undefined : 'text-muted'}>
+                  <td><strong>{document.vehicle?.plate_number}</strong></td>
+                  <td>
+                    {formatDocumentType(document.document_type)}
+                    {!document.is_required && <Badge bg="light" text="dark" className="ms-2">OPTIONAL</Badge>}
+                  </td>
+                  <td>{document.document_number}</td>
+                  <td>{formatDocumentDate(document.issue_date) || '-'}</td>
+                  <td>
+                    {document.expiry_date ? (
+                      <>
+                        {formatDocumentDate(document.expiry_date)}
+                        {currentIds.has(document.id) && (
+                          <div className="small text-muted">{describeExpiry(daysLeft)}</div>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-muted">No expiry</span>
+                    )}
+                  </td>
+                  <td>{renderStatus(document)}</td>
+                  <td>
+                    <div className="d-flex gap-1">
+                      {document.file_path && (
+                        <Button size="sm" variant="outline-secondary" onClick={() => handleViewFile(document)} title="View File">
+                          <i className="fas fa-file-download"></i>
+                        </Button>
+                      )}
+                      {currentIds.has(document.id) && document.expiry_date && (
+                        <Button
+                          size="sm"
+                          variant="outline-success"
+                          onClick={() => onAddDocument({ vehicle_id: document.vehicle_id.toString(), document_type: document.document_type })}
+                          title="Record Renewal"
+                        >
+                          <i className="fas fa-redo"></i>
+                        </Button>
+                      )}
+                      <Button size="sm" variant="outline-primary" onClick={() => onEditDocument(document)} title="Edit">
+                        <i className="fas fa-edit"></i>
+                      </Button>
+                      <Button size="sm" variant="outline-danger" onClick={() => handleDelete(document)} title="Delete">
+                        <i className="fas fa-trash"></i>
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+      )}
+    </>
+  );
+};
+
+export default VehicleDocuments;
@@ -0,0 +1,587 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Modal } from 'react-bootstrap';
+import { fuelAPI, reportsAPI, bookingAPI } from '../services/api';
+import { formatDate, formatDateTime, toDateTimeLocal } from '../utils/dateUtils';
+import { openBlobResponse } from '../utils/fileDownload';
+
+const emptyLog = {
+  vehicle_id: '',
+  booking_id: '',
+  filled_at: '',
+  litres: '',
+  cost: '',
+  odometer: '',
+  is_full_tank: true,
+  station: '',
+  notes: ''
+};
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+const formatNumber = (value, digits = 2) => (value != null ? Number(value).toFixed(digits) : '-');
+
+/**
+ * Fuel tab for vehicle management: fill-ups with receipts and consumption per vehicle
+ * @param {Object} props
+ * @param {Array} props.vehicles - Fleet vehicles for the pickers
+ * @param {Function} props.onVehiclesChanged - Called when a fill-up moved a vehicle's mileage
+ */
+const VehicleFuelLogs = ({ vehicles, onVehiclesChanged }) => {
+  const [logs, setLogs] = useState([]);
+  const [report, setReport] = useState(null);
+  const [filters, setFilters] = useState(() => ({
+    vehicle_id: '',
+    start_date: toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+    end_date: toDateInput(new Date())
+  }));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [logModal, setLogModal] = useState(null); // { log, data, receipt }
+  const [trips, setTrips] = useState([]);
+
+  const fetchFuel = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const startDate = new Date(`${filters.start_date}T00:00:00`).toISOString();
+      const endDate = new Date(`${filters.end_date}T23:59:59`).toISOString();
+      const [logsResponse, reportResponse] = await Promise.all([
+        fuelAPI.getLogs({
+          start_date: startDate,
+          end_date: endDate,
+          ...(filters.vehicle_id && { vehicle_id: filters.vehicle_id })
+        }),
+        reportsAPI.getFuelReport({
+          startDate,
+          endDate,
+          ...(filters.vehicle_id && { vehicle_id: filters.vehicle_id })
+        })
+      ]);
+
+      setLogs(logsResponse.data.logs);
+      setReport(reportResponse.data);
+    } catch (error) {
+      console.error('Error fetching fuel logs:', error);
+      setError(error.response?.data?.error || 'Failed to load fuel logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchFuel();
+  }, [fetchFuel]);
+
+  // Trips in the selected vehicle that a fill-up can be linked to
+  const modalVehicleId = logModal?.data.vehicle_id;
+  useEffect(() => {
+    if (!modalVehicleId) {
+      setTrips([]);
+      return;
+    }
+
+    const fetchTrips = async () => {
+      try {
+        const [inProgress, completed] = await Promise.all([
+          bookingAPI.getBookings({ vehicle_id: modalVehicleId, status: 'in_progress', limit: 10 }),
+          bookingAPI.getBookings({ vehicle_id: modalVehicleId, status: 'completed', limit: 20 })
+        ]);
+        setTrips([...inProgress.data.bookings, ...completed.data.bookings]);
+      } catch (error) {
+        console.error('Error fetching trips:', error);
+        setTrips([]);
+      }
+    };
+
+    fetchTrips();
+  }, [modalVehicleId]);
+
+  const anomaliesByLog = useMemo(() => {
+    const byLog = {};
+    (report?.anomalies || []).forEach(anomaly => {
+      byLog[anomaly.fuel_log_id] = anomaly;
+    });
+    return byLog;
+  }, [report]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const openLogModal = (log = null) => {
+    setLogModal({
+      log,
+      receipt: null,
+      data: log ? {
+        vehicle_id: log.vehicle_id.toString(),
+        booking_id: log.booking_id?.toString() || '',
+        filled_at: toDateTimeLocal(log.filled_at),
+        litres: log.litres?.toString() || '',
+        cost: log.cost?.toString() || '',
+        odometer: log.odometer?.toString() || '',
+        is_full_tank: log.is_full_tank,
+        station: log.station || '',
+        notes: log.notes || ''
+      } : { ...emptyLog, vehicle_id: filters.vehicle_id, filled_at: toDateTimeLocal(new Date()) }
+    });
+  };
+
+  const handleLogChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setLogModal(prev => {
+      const data = { ...prev.data, [name]: type === 'checkbox' ? checked : value };
+      // Trips belong to one vehicle
+      if (name === 'vehicle_id') data.booking_id = '';
+      return { ...prev, data };
+    });
+  };
+
+  const handleLogSubmit = async (e) => {
+    e.preventDefault();
+    const { log, data, receipt } = logModal;
+
+    const formData = new FormData();
+    if (!log) formData.append('vehicle_id', data.vehicle_id);
+    formData.append('booking_id', data.booking_id);
+    formData.append('filled_at', new Date(data.filled_at).toISOString());
+    formData.append('litres', data.litres);
+    formData.append('cost', data.cost || '0');
+    formData.append('odometer', data.odometer);
+    formData.append('is_full_tank', data.is_full_tank ? 'true' : 'false');
+    formData.append('station', data.station.trim());
+    formData.append('notes', data.notes.trim());
+    if (receipt) formData.append('receipt', receipt);
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      if (log) {
+        await fuelAPI.updateLog(log.id, formData);
+      } else {
+        await fuelAPI.createLog(formData);
+      }
+
+      setLogModal(null);
+      setSuccess(log ? 'Fuel log updated' : 'Fill-up recorded');
+      setTimeout(() => setSuccess(''), 3000);
+      await fetchFuel();
+      onVehiclesChanged();
+    } catch (error) {
+      console.error('Error saving fuel log:', error);
+      const data = error.response?.data;
+      setError(data?.details?.[0]?.msg || data?.error || 'Failed to save fuel log');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (log) => {
+    if (!window.confirm(`Delete the ${log.litres} L fill-up for ${log.vehicle?.plate_number}?`)) return;
+
+    try {
+      setError('');
+      await fuelAPI.deleteLog(log.id);
+      setSuccess('Fuel log deleted');
+      setTimeout(() => setSuccess(''), 3000);
+      await fetchFuel();
+    } catch (error) {
+      console.error('Error deleting fuel log:', error);
+      setError(error.response?.data?.error || 'Failed to delete fuel log');
+    }
+  };
+
+  const handleViewReceipt = async (log) => {
+    try {
+      const response = await fuelAPI.getReceipt(log.id);
+      openBlobResponse(response);
+    } catch (error) {
+      console.error('Error fetching receipt:', error);
+      setError('Failed to open receipt');
+    }
+  };
+
+  const renderVehicleOptions = () => vehicles.map(vehicle => (
+    <option key={vehicle.id} value={vehicle.id}>
+      {vehicle.plate_number} - {vehicle.make} {vehicle.model}
+    </option>
+  ));
+
+  const fleet = report?.fleet;
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Row className="mb-3 align-items-end">
+        <Col md={4}>
+          <Form.Group>
+            <Form.Label>Vehicle</Form.Label>
+            <Form.Select name="vehicle_id" value={filters.vehicle_id} onChange={handleFilterChange}>
+              <option value="">All Vehicles</option>
+              {renderVehicleOptions()}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col md={3}>
+          <Form.Group>
+            <Form.Label>From</Form.Label>
+            <Form.Control type="date" name="start_date" value={filters.start_date} onChange={handleFilterChange} />
+          </Form.Group>
+        </Col>
+        <Col md={3}>
+          <Form.Group>
+            <Form.Label>To</Form.Label>
+            <Form.Control type="date" name="end_date" value={filters.end_date} onChange={handleFilterChange} />
+          </Form.Group>
+        </Col>
+        <Col md={2} className="d-flex justify-content-end">
+          <Button variant="primary" onClick={() => openLogModal()}>
+            <i className="fas fa-gas-pump me-2"></i>
+            Log Fuel
+          </Button>
+        </Col>
+      </Row>
+
+      {loading ? (
+        <div className="text-center py-4">
+          <Spinner animation="border" />
+        </div>
+      ) : (
+        <>
+          {fleet && (
+            <Row className="mb-3 text-center">
+              <Col md={2} sm={4} className="mb-2">
+                <h4 className="text-primary mb-1">{formatNumber(fleet.litres, 0)}</h4>
+                <small className="text-muted">Litres</small>
+              </Col>
+              <Col md={2} sm={4} className="mb-2">
+                <h4 className="text-success mb-1">{formatNumber(fleet.cost)}</h4>
+                <small className="text-muted">Fuel Cost</small>
+              </Col>
+              <Col md={2} sm={4} className="mb-2">
+                <h4 className="text-info mb-1">{fleet.distance.toLocaleString()}</h4>
+                <small className="text-muted">Measured km</small>
+              </Col>
+              <Col md={2} sm={4} className="mb-2">
+                <h4 className="text-warning mb-1">{formatNumber(fleet.l_per_100km)}</h4>
+                <small className="text-muted">Fleet L/100 km</small>
+              </Col>
+              <Col md={2} sm={4} className="mb-2">
+                <h4 className="text-secondary mb-1">{formatNumber(fleet.cost_per_km)}</h4>
+                <small className="text-muted">Cost per km</small>
+              </Col>
+              <Col md={2} sm={4} className="mb-2">
+                <h4 className={`mb-1 ${fleet.anomalies ? 'text-danger' : 'text-muted'}`}>{fleet.anomalies}</h4>
+                <small className="text-muted">Anomalies</small>
+              </Col>
+            </Row>
+          )}
+
+          {report?.anomalies.length > 0 && (
+            <Alert variant="warning">
+              <div className="fw-bold mb-1">
+                <i className="fas fa-exclamation-triangle me-2"></i>
+                Implausible fill-ups
+              </div>
+              <ul className="mb-0">
+                {report.anomalies.map(anomaly => (
+                  <li key={anomaly.fuel_log_id}>
+                    <strong>{anomaly.plate_number}</strong> {formatDate(anomaly.filled_at)} ({anomaly.odometer.toLocaleString()} km): {anomaly.reason}
+                  </li>
+                ))}
+              </ul>
+            </Alert>
+          )}
+
+          <Card className="mb-3">
+            <Card.Header>
+              <i className="fas fa-tachometer-alt me-2"></i>
+              Consumption by Vehicle
+            </Card.Header>
+            <Card.Body className="p-0">
+              {!report?.vehicles.length ? (
+                <p className="text-muted text-center py-3 mb-0">No fill-ups in this period.</p>
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Vehicle</th>
+                      <th>Fill-ups</th>
+                      <th>Litres</th>
+                      <th>Cost</th>
+                      <th>Measured km</th>
+                      <th>L/100 km</th>
+                      <th>Expected</th>
+                      <th>Cost per km</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.vehicles.map(entry => (
+                      <tr key={entry.vehicle.id}>
+                        <td>
+                          <strong>{entry.vehicle.plate_number}</strong>
+                          <div className="small text-muted">{entry.vehicle.make} {entry.vehicle.model}</div>
+                        </td>
+                        <td>{entry.fills}</td>
+                        <td>{formatNumber(entry.litres)}</td>
+                        <td>{formatNumber(entry.cost)}</td>
+                        <td>{entry.distance.toLocaleString()}</td>
+                        <td>
+                          {formatNumber(entry.l_per_100km)}
+                          {entry.anomalies > 0 && (
+                            <Badge bg="warning" text="dark" className="ms-2">{entry.anomalies} flagged</Badge>
+                          )}
+                        </td>
+                        <td>{formatNumber(entry.expected_l_per_100km)}</td>
+                        <td>{formatNumber(entry.cost_per_km)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+            {report?.by_type.length > 0 && (
+              <Card.Footer className="small text-muted">
+                Fleet averages by type:{' '}
+                {report.by_type.map(entry => `${entry.type} ${formatNumber(entry.l_per_100km)} L/100 km`).join(' · ')}
+              </Card.Footer>
+            )}
+          </Card>
+
+          <Card>
+            <Card.Header>
+              <i className="fas fa-gas-pump me-2"></i>
+              Fill-ups
+            </Card.Header>
+            <Card.Body className="p-0">
+              {logs.length === 0 ? (
+                <p className="text-muted text-center py-3 mb-0">No fill-ups in this period.</p>
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Vehicle</th>
+                      <th>Litres</th>
+                      <th>Cost</th>
+                      <th>Odometer</th>
+                      <th>Station</th>
+                      <th>Trip</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {logs.map(log => {
+                      const anomaly = anomaliesByLog[log.id];
+                      return (
+                        <tr key={log.id} className={anomaly ? 'table-warning' : undefined}>
+                          <td>{formatDateTime(log.filled_at)}</td>
+                          <td><strong>{log.vehicle?.plate_number}</strong></td>
+                          <td>
+                            {formatNumber(log.litres)}
+                            {!log.is_full_tank && <Badge bg="secondary" className="ms-2">PARTIAL</Badge>}
+                            {anomaly && (
+                              <i className="fas fa-exclamation-triangle text-danger ms-2" title={anomaly.reason}></i>
+                            )}
+                          </td>
+                          <td>{formatNumber(log.cost)}</td>
+                          <td>{log.odometer.toLocaleString()} km</td>
+                          <td>{log.station || '-'}</td>
+                          <td>{log.booking ? `#${log.booking.id}` : '-'}</td>
+                          <td>
+                            <div className="d-flex gap-1">
+                              {log.receipt_path && (
+                                <Button size="sm" variant="outline-secondary" onClick={() => handleViewReceipt(log)} title="View Receipt">
+                                  <i className="fas fa-receipt"></i>
+                                </Button>
+                              )}
+                              <Button size="sm" variant="outline-primary" onClick={() => openLogModal(log)} title="Edit">
+                                <i className="fas fa-edit"></i>
+                              </Button>
+                              <Button size="sm" variant="outline-danger" onClick={() => handleDelete(log)} title="Delete">
+                                <i className="fas fa-trash"></i>
+                              </Button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </>
+      )}
+
+      {/* Add/Edit Fuel Log Modal */}
+      <Modal show={!!logModal} onHide={() => setLogModal(null)} size="lg">
+        {logModal && (
+          <Form onSubmit={handleLogSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{logModal.log ? 'Edit Fill-up' : 'Log Fuel'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Vehicle *</Form.Label>
+                    <Form.Select
+                      name="vehicle_id"
+                      value={logModal.data.vehicle_id}
+                      onChange={handleLogChange}
+                      disabled={!!logModal.log}
+                      required
+                    >
+                      <option value="">Select vehicle</option>
+                      {renderVehicleOptions()}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Trip</Form.Label>
+                    <Form.Select name="booking_id" value={logModal.data.booking_id} onChange={handleLogChange}>
+                      <option value="">Not during a trip</option>
+                      {trips.map(trip => (
+                        <option key={trip.id} value={trip.id}>
+                          #{trip.id} {formatDate(trip.start_date)}{trip.purpose ? ` - ${trip.purpose}` : ''}
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Filled At *</Form.Label>
+                    <Form.Control
+                      type="datetime-local"
+                      name="filled_at"
+                      value={logModal.data.filled_at}
+                      onChange={handleLogChange}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Odometer (km) *</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="odometer"
+                      value={logModal.data.odometer}
+                      onChange={handleLogChange}
+                      min="0"
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Litres *</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="litres"
+                      value={logModal.data.litres}
+                      onChange={handleLogChange}
+                      min="0.01"
+                      step="0.01"
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Cost</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="cost"
+                      value={logModal.data.cost}
+                      onChange={handleLogChange}
+                      min="0"
+                      step="0.01"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Station</Form.Label>
+                    <Form.Control
+                      name="station"
+                      value={logModal.data.station}
+                      onChange={handleLogChange}
+                      maxLength={100}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Check
+                type="switch"
+                id="fuel-full-tank"
+                name="is_full_tank"
+                label="Filled to full tank"
+                checked={logModal.data.is_full_tank}
+                onChange={handleLogChange}
+                className="mb-1"
+              />
+              <Form.Text className="text-muted d-block mb-3">
+                Consumption is measured between full tanks; partial fill-ups count towards the next full one.
+              </Form.Text>
+              <Form.Group className="mb-3">
+                <Form.Label>Receipt</Form.Label>
+                <Form.Control
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,application/pdf"
+                  onChange={(e) => setLogModal(prev => ({ ...prev, receipt: e.target.files[0] || null }))}
+                />
+                {logModal.log?.receipt_name && (
+                  <Form.Text className="text-muted">
+                    Current receipt: {logModal.log.receipt_name}. Choosing a file replaces it.
+                  </Form.Text>
+                )}
+              </Form.Group>
+              <Form.Group>
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  name="notes"
+                  value={logModal.data.notes}
+                  onChange={handleLogChange}
+                />
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setLogModal(null)}>Cancel</Button>
+              <Button type="submit" variant="primary" disabled={submitting}>
+                {submitting && <Spinner size="sm" className="me-2" />}
+                {logModal.log ? 'Save Changes' : 'Log Fuel'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default VehicleFuelLogs;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Row, Col, Form, Alert, Spinner } from 'react-bootstrap';
+import { incidentAPI } from '../services/api';
+import { SEVERITY_OPTIONS, INCIDENT_STATUS_OPTIONS } from '../utils/incidents';
+import IncidentTable from './IncidentTable';
+import IncidentReviewModal from './IncidentReviewModal';
+
+/**
+ * Incidents tab for vehicle management: each vehicle's damage and incident history, and open investigations
+ * @param {Object} props
+ * @param {Array} props.vehicles - Fleet vehicles for the filter
+ */
+const VehicleIncidents = ({ vehicles }) => {
+  const [incidents, setIncidents] = useState([]);
+  const [filters, setFilters] = useState({ vehicle_id: '', status: 'open', severity: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [reviewIncident, setReviewIncident] = useState(null);
+
+  const fetchIncidents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = {};
+      if (filters.vehicle_id) params.vehicle_id = filters.vehicle_id;
+      if (filters.status) params.status = filters.status;
+      if (filters.severity) params.severity = filters.severity;
+
+      const response = await incidentAPI.getIncidents(params);
+      setIncidents(response.data.incidents);
+    } catch (error) {
+      console.error('Error fetching incidents:', error);
+      setError(error.response?.data?.error || 'Failed to load incidents');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaved = (incident, message) => {
+    setReviewIncident(null);
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+    fetchIncidents();
+  };
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Row className="mb-3 align-items-end">
+        <Col md={4}>
+          <Form.Group>
+            <Form.Label>Vehicle</Form.Label>
+            <Form.Select name="vehicle_id" value={filters.vehicle_id} onChange={handleFilterChange}>
+              <option value="">All Vehicles</option>
+              {vehicles.map(vehicle => (
+                <option key={vehicle.id} value={vehicle.id}>
+                  {vehicle.plate_number} - {vehicle.make} {vehicle.model}
+                </option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col md={3}>
+          <Form.Group>
+            <Form.Label>Status</Form.Label>
+            <Form.Select name="status" value={filters.status} onChange={handleFilterChange}>
+              <option value="open">Open</option>
+              <option value="">All Statuses</option>
+              {INCIDENT_STATUS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col md={3}>
+          <Form.Group>
+            <Form.Label>Severity</Form.Label>
+            <Form.Select name="severity" value={filters.severity} onChange={handleFilterChange}>
+              <option value="">All Severities</option>
+              {SEVERITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+      </Row>
+
+      {loading ? (
+        <div className="text-center py-4">
+          <Spinner animation="border" />
+        </div>
+      ) : incidents.length === 0 ? (
+        <p className="text-muted text-center py-3 mb-0">No incidents match these filters.</p>
+      ) : (
+        <IncidentTable
+          incidents={incidents}
+          showVehicle
+          showDriver
+          showBooking
+          onReview={setReviewIncident}
+          onError={setError}
+        />
+      )}
+
+      <IncidentReviewModal incident={reviewIncident} onHide={() => setReviewIncident(null)} onSaved={handleSaved} />
+    </>
+  );
+};
+
+export default VehicleIncidents;
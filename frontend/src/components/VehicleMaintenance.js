@@ -0,0 +1,944 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Modal, InputGroup } from 'react-bootstrap';
+import { maintenanceAPI } from '../services/api';
+import { formatDate, formatDateTime, toDateTimeLocal } from '../utils/dateUtils';
+import { formatConflictError } from '../utils/bookingConflicts';
+
+const SERVICE_TYPES = ['scheduled', 'repair', 'inspection', 'tyres', 'other'];
+
+const STATUS_VARIANTS = {
+  scheduled: 'warning',
+  in_progress: 'info',
+  completed: 'success',
+  cancelled: 'secondary'
+};
+
+const emptyPlan = {
+  vehicle_id: '',
+  name: '',
+  interval_days: '',
+  interval_km: '',
+  is_active: true
+};
+
+const emptyRecord = {
+  vehicle_id: '',
+  plan_id: '',
+  title: '',
+  service_type: 'scheduled',
+  start_date: '',
+  end_date: '',
+  vendor: '',
+  notes: ''
+};
+
+const emptyPart = { name: '', quantity: '1', unit_cost: '' };
+
+const emptyCompletion = {
+  odometer: '',
+  parts: [],
+  labour_hours: '',
+  labour_cost: '',
+  next_service_date: '',
+  notes: ''
+};
+
+const formatCurrency = (amount) => (amount != null ? Number(amount).toFixed(2) : '-');
+
+/**
+ * Build an error message from a maintenance API error, listing any schedule conflicts
+ * @param {Object} error - Axios error
+ * @param {string} fallback - Message when the response has none
+ * @returns {string} Error message
+ */
+const getErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  if (error.response?.status === 409) {
+    return formatConflictError({ message: data.error, conflicts: data.conflicts });
+  }
+  return data?.details?.[0]?.msg || data?.error || fallback;
+};
+
+/**
+ * Maintenance tab for vehicle management: overdue list, service plans and the service history
+ * @param {Object} props
+ * @param {Array} props.vehicles - Fleet vehicles for the pickers
+ * @param {Function} props.onVehiclesChanged - Called when maintenance changed a vehicle's status or mileage
+ */
+const VehicleMaintenance = ({ vehicles, onVehiclesChanged }) => {
+  const [due, setDue] = useState({ overdue: [], due_soon: [] });
+  const [plans, setPlans] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [vehicleFilter, setVehicleFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [planModal, setPlanModal] = useState(null); // { plan, data }
+  const [recordModal, setRecordModal] = useState(null); // { record, data }
+  const [completeModal, setCompleteModal] = useState(null); // { record, data }
+
+  const fetchMaintenance = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = vehicleFilter ? { vehicle_id: vehicleFilter } : {};
+      const [dueResponse, plansResponse, recordsResponse] = await Promise.all([
+        maintenanceAPI.getDue(),
+        maintenanceAPI.getPlans(params),
+        maintenanceAPI.getRecords(params)
+      ]);
+
+      setDue(dueResponse.data);
+      setPlans(plansResponse.data.plans);
+      setRecords(recordsResponse.data.records);
+    } catch (error) {
+      console.error('Error fetching maintenance:', error);
+      setError('Failed to load maintenance');
+    } finally {
+      setLoading(false);
+    }
+  }, [vehicleFilter]);
+
+  useEffect(() => {
+    fetchMaintenance();
+  }, [fetchMaintenance]);
+
+  const handleSuccess = async (message, vehicleChanged = false) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+    await fetchMaintenance();
+    if (vehicleChanged) onVehiclesChanged();
+  };
+
+  const describeDue = (entry) => {
+    const parts = [];
+    if (entry.days_overdue != null) {
+      parts.push(entry.days_overdue >= 0
+        ? `${entry.days_overdue} day${entry.days_overdue === 1 ? '' : 's'} overdue`
+        : `due in ${-entry.days_overdue} day${entry.days_overdue === -1 ? '' : 's'}`);
+    }
+    if (entry.km_overdue != null) {
+      parts.push(entry.km_overdue >= 0
+        ? `${entry.km_overdue.toLocaleString()} km over`
+        : `${(-entry.km_overdue).toLocaleString()} km to go`);
+    }
+    return parts.join(' · ');
+  };
+
+  // Plans
+
+  const openPlanModal = (plan = null) => {
+    setPlanModal({
+      plan,
+      data: plan ? {
+        vehicle_id: plan.vehicle_id.toString(),
+        name: plan.name,
+        interval_days: plan.interval_days?.toString() || '',
+        interval_km: plan.interval_km?.toString() || '',
+        is_active: plan.is_active
+      } : { ...emptyPlan, vehicle_id: vehicleFilter }
+    });
+  };
+
+  const handlePlanChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPlanModal(prev => ({ ...prev, data: { ...prev.data, [name]: type === 'checkbox' ? checked : value } }));
+  };
+
+  const handlePlanSubmit = async (e) => {
+    e.preventDefault();
+    const { plan, data } = planModal;
+
+    if (!data.interval_days && !data.interval_km) {
+      setError('A plan needs an interval in days, kilometres or both');
+      return;
+    }
+
+    const planData = {
+      name: data.name.trim(),
+      interval_days: data.interval_days ? parseInt(data.interval_days) : null,
+      interval_km: data.interval_km ? parseInt(data.interval_km) : null,
+      is_active: data.is_active
+    };
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      if (plan) {
+        await maintenanceAPI.updatePlan(plan.id, planData);
+      } else {
+        await maintenanceAPI.createPlan({ ...planData, vehicle_id: parseInt(data.vehicle_id) });
+      }
+
+      setPlanModal(null);
+      await handleSuccess(plan ? 'Maintenance plan updated' : 'Maintenance plan created');
+    } catch (error) {
+      console.error('Error saving maintenance plan:', error);
+      setError(getErrorMessage(error, 'Failed to save maintenance plan'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Records
+
+  const openRecordModal = (record = null, defaults = {}) => {
+    setRecordModal({
+      record,
+      data: record ? {
+        vehicle_id: record.vehicle_id.toString(),
+        plan_id: record.plan_id?.toString() || '',
+        title: record.title,
+        service_type: record.service_type,
+        start_date: toDateTimeLocal(record.start_date),
+        end_date: toDateTimeLocal(record.end_date),
+        vendor: record.vendor || '',
+        notes: record.notes || ''
+      } : { ...emptyRecord, vehicle_id: vehicleFilter, ...defaults }
+    });
+  };
+
+  const scheduleFromDue = (entry) => {
+    openRecordModal(null, {
+      vehicle_id: entry.vehicle.id.toString(),
+      plan_id: entry.plan?.id.toString() || '',
+      title: entry.plan?.name || 'Scheduled service'
+    });
+  };
+
+  const handleRecordChange = (e) => {
+    const { name, value } = e.target;
+    setRecordModal(prev => {
+      const data = { ...prev.data, [name]: value };
+      // Plans belong to one vehicle
+      if (name === 'vehicle_id') data.plan_id = '';
+      return { ...prev, data };
+    });
+  };
+
+  const handleRecordSubmit = async (e) => {
+    e.preventDefault();
+    const { record, data } = recordModal;
+
+    if (new Date(data.end_date) <= new Date(data.start_date)) {
+      setError('End date must be after start date');
+      return;
+    }
+
+    const recordData = {
+      plan_id: data.plan_id ? parseInt(data.plan_id) : null,
+      title: data.title.trim(),
+      service_type: data.service_type,
+      start_date: new Date(data.start_date).toISOString(),
+      end_date: new Date(data.end_date).toISOString(),
+      vendor: data.vendor.trim() || null,
+      notes: data.notes.trim() || null
+    };
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      if (record) {
+        await maintenanceAPI.updateRecord(record.id, recordData);
+      } else {
+        await maintenanceAPI.scheduleMaintenance({ ...recordData, vehicle_id: parseInt(data.vehicle_id) });
+      }
+
+      setRecordModal(null);
+      await handleSuccess(record ? 'Maintenance updated' : 'Maintenance scheduled');
+    } catch (error) {
+      console.error('Error saving maintenance:', error);
+      setError(getErrorMessage(error, 'Failed to save maintenance'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStart = async (record) => {
+    try {
+      setError('');
+      await maintenanceAPI.startMaintenance(record.id);
+      await handleSuccess(`Maintenance "${record.title}" started`, true);
+    } catch (error) {
+      console.error('Error starting maintenance:', error);
+      setError(getErrorMessage(error, 'Failed to start maintenance'));
+    }
+  };
+
+  const handleCancel = async (record) => {
+    if (!window.confirm(`Cancel maintenance "${record.title}"?`)) return;
+
+    try {
+      setError('');
+      await maintenanceAPI.cancelMaintenance(record.id);
+      await handleSuccess(`Maintenance "${record.title}" cancelled`, true);
+    } catch (error) {
+      console.error('Error cancelling maintenance:', error);
+      setError(getErrorMessage(error, 'Failed to cancel maintenance'));
+    }
+  };
+
+  // Completion
+
+  const openCompleteModal = (record) => {
+    const vehicle = vehicles.find(v => v.id === record.vehicle_id);
+    setCompleteModal({
+      record,
+      data: { ...emptyCompletion, odometer: vehicle?.mileage?.toString() || '' }
+    });
+  };
+
+  const handleCompletionChange = (e) => {
+    const { name, value } = e.target;
+    setCompleteModal(prev => ({ ...prev, data: { ...prev.data, [name]: value } }));
+  };
+
+  const handlePartChange = (index, e) => {
+    const { name, value } = e.target;
+    setCompleteModal(prev => ({
+      ...prev,
+      data: {
+        ...prev.data,
+        parts: prev.data.parts.map((part, i) => (i === index ? { ...part, [name]: value } : part))
+      }
+    }));
+  };
+
+  const addPart = () => {
+    setCompleteModal(prev => ({ ...prev, data: { ...prev.data, parts: [...prev.data.parts, emptyPart] } }));
+  };
+
+  const removePart = (index) => {
+    setCompleteModal(prev => ({
+      ...prev,
+      data: { ...prev.data, parts: prev.data.parts.filter((_, i) => i !== index) }
+    }));
+  };
+
+  const getPartsTotal = (parts) =>
+    parts.reduce((sum, part) => sum + (parseFloat(part.quantity) || 0) * (parseFloat(part.unit_cost) || 0), 0);
+
+  const handleCompleteSubmit = async (e) => {
+    e.preventDefault();
+    const { record, data } = completeModal;
+    const parts = data.parts.filter(part => part.name.trim());
+
+    const completionData = {
+      odometer: data.odometer !== '' ? parseInt(data.odometer) : null,
+      parts: parts.map(part => ({
+        name: part.name.trim(),
+        quantity: parseFloat(part.quantity) || 1,
+        unit_cost: parseFloat(part.unit_cost) || 0
+      })),
+      labour_hours: data.labour_hours !== '' ? parseFloat(data.labour_hours) : null,
+      labour_cost: data.labour_cost !== '' ? parseFloat(data.labour_cost) : 0,
+      ...(data.next_service_date && { next_service_date: data.next_service_date }),
+      ...(data.notes.trim() && { notes: data.notes.trim() })
+    };
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await maintenanceAPI.completeMaintenance(record.id, completionData);
+      setCompleteModal(null);
+      await handleSuccess(`Maintenance "${record.title}" completed`, true);
+    } catch (error) {
+      console.error('Error completing maintenance:', error);
+      setError(getErrorMessage(error, 'Failed to complete maintenance'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderVehicleOptions = () => vehicles.map(vehicle => (
+    <option key={vehicle.id} value={vehicle.id}>
+      {vehicle.plate_number} - {vehicle.make} {vehicle.model}
+    </option>
+  ));
+
+  const renderDueRows = (entries, overdue) => entries.map(entry => (
+    <tr key={`${entry.vehicle.id}-${entry.plan?.id || 'vehicle'}`}>
+      <td><strong>{entry.vehicle.plate_number}</strong> {entry.vehicle.make} {entry.vehicle.model}</td>
+      <td>{entry.plan?.name || <span className="text-muted">Next service date</span>}</td>
+      <td>
+        {formatDate(entry.plan ? entry.plan.next_due_date : entry.vehicle.next_service_date) || '-'}
+        {entry.plan?.next_due_mileage != null && (
+          <div className="small text-muted">{entry.plan.next_due_mileage.toLocaleString()} km</div>
+        )}
+      </td>
+      <td>
+        <Badge bg={overdue ? 'danger' : 'warning'}>{overdue ? 'OVERDUE' : 'DUE SOON'}</Badge>
+        <div className="small text-muted">{describeDue(entry)}</div>
+      </td>
+      <td>
+        <Button size="sm" variant="outline-primary" onClick={() => scheduleFromDue(entry)}>
+          <i className="fas fa-calendar-plus me-1"></i>
+          Schedule
+        </Button>
+      </td>
+    </tr>
+  ));
+
+  const recordVehiclePlans = recordModal
+    ? plans.filter(plan => plan.vehicle_id.toString() === recordModal.data.vehicle_id)
+    : [];
+
+  return (
+    <>
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Row className="mb-3 align-items-end">
+        <Col md={4}>
+          <Form.Group>
+            <Form.Label>Vehicle</Form.Label>
+            <Form.Select value={vehicleFilter} onChange={(e) => setVehicleFilter(e.target.value)}>
+              <option value="">All Vehicles</option>
+              {renderVehicleOptions()}
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col md={8} className="d-flex justify-content-end gap-2">
+          <Button variant="outline-primary" onClick={() => openPlanModal()}>
+            <i className="fas fa-redo me-2"></i>
+            Add Plan
+          </Button>
+          <Button variant="primary" onClick={() => openRecordModal()}>
+            <i className="fas fa-wrench me-2"></i>
+            Schedule Maintenance
+          </Button>
+        </Col>
+      </Row>
+
+      {loading ? (
+        <div className="text-center py-4">
+          <Spinner animation="border" />
+        </div>
+      ) : (
+        <>
+          <Card className="mb-3">
+            <Card.Header>
+              <i className="fas fa-exclamation-triangle me-2 text-danger"></i>
+              Overdue and Due Soon
+              {due.overdue.length > 0 && <Badge bg="danger" className="ms-2">{due.overdue.length} overdue</Badge>}
+            </Card.Header>
+            <Card.Body className="p-0">
+              {due.overdue.length + due.due_soon.length === 0 ? (
+                <p className="text-muted text-center py-3 mb-0">No maintenance is overdue or due in the next two weeks.</p>
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Vehicle</th>
+                      <th>Plan</th>
+                      <th>Due</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {renderDueRows(due.overdue, true)}
+                    {renderDueRows(due.due_soon, false)}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+
+          <Card className="mb-3">
+            <Card.Header>
+              <i className="fas fa-redo me-2"></i>
+              Service Plans
+            </Card.Header>
+            <Card.Body className="p-0">
+              {plans.length === 0 ? (
+                <p className="text-muted text-center py-3 mb-0">No service plans yet.</p>
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Vehicle</th>
+                      <th>Plan</th>
+                      <th>Interval</th>
+                      <th>Last Service</th>
+                      <th>Next Due</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plans.map(plan => (
+                      <tr key={plan.id}>
+                        <td><strong>{plan.vehicle?.plate_number}</strong></td>
+                        <td>{plan.name}</td>
+                        <td>
+                          {[
+                            plan.interval_days && `${plan.interval_days} days`,
+                            plan.interval_km && `${plan.interval_km.toLocaleString()} km`
+                          ].filter(Boolean).join(' / ')}
+                        </td>
+                        <td>
+                          {formatDate(plan.last_service_date) || '-'}
+                          <div className="small text-muted">{plan.last_service_mileage?.toLocaleString()} km</div>
+                        </td>
+                        <td>
+                          {formatDate(plan.next_due_date) || '-'}
+                          {plan.next_due_mileage != null && (
+                            <div className="small text-muted">{plan.next_due_mileage.toLocaleString()} km</div>
+                          )}
+                        </td>
+                        <td>
+                          <Badge bg={plan.is_active ? 'success' : 'secondary'}>
+                            {plan.is_active ? 'ACTIVE' : 'INACTIVE'}
+                          </Badge>
+                        </td>
+                        <td>
+                          <Button size="sm" variant="outline-primary" onClick={() => openPlanModal(plan)} title="Edit Plan">
+                            <i className="fas fa-edit"></i>
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+
+          <Card>
+            <Card.Header>
+              <i className="fas fa-history me-2"></i>
+              Service History
+            </Card.Header>
+            <Card.Body className="p-0">
+              {records.length === 0 ? (
+                <p className="text-muted text-center py-3 mb-0">No maintenance recorded yet.</p>
+              ) : (
+                <Table responsive hover className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Vehicle</th>
+                      <th>Maintenance</th>
+                      <th>Window</th>
+                      <th>Status</th>
+                      <th>Odometer</th>
+                      <th>Cost</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {records.map(record => (
+                      <tr key={record.id}>
+                        <td><strong>{record.vehicle?.plate_number}</strong></td>
+                        <td>
+                          {record.title}
+                          <div className="small text-muted">
+                            {record.service_type}
+                            {record.plan && ` · ${record.plan.name}`}
+                            {record.vendor && ` · ${record.vendor}`}
+                          </div>
+                        </td>
+                        <td className="small">
+                          {formatDateTime(record.start_date)}
+                          <br />
+                          {formatDateTime(record.end_date)}
+                        </td>
+                        <td>
+                          <Badge bg={STATUS_VARIANTS[record.status] || 'secondary'}>
+                            {record.status.replace('_', ' ').toUpperCase()}
+                          </Badge>
+                        </td>
+                        <td>{record.odometer != null ? `${record.odometer.toLocaleString()} km` : '-'}</td>
+                        <td>
+                          {record.status === 'completed' ? (
+                            <>
+                              {formatCurrency(Number(record.parts_cost) + Number(record.labour_cost))}
+                              <div className="small text-muted">
+                                Parts {formatCurrency(record.parts_cost)} · Labour {formatCurrency(record.labour_cost)}
+                              </div>
+                            </>
+                          ) : '-'}
+                        </td>
+                        <td>
+                          <div className="d-flex gap-1">
+                            {record.status === 'scheduled' && (
+                              <>
+                                <Button size="sm" variant="outline-primary" onClick={() => openRecordModal(record)} title="Edit">
+                                  <i className="fas fa-edit"></i>
+                                </Button>
+                                <Button size="sm" variant="outline-info" onClick={() => handleStart(record)} title="Start">
+                                  <i className="fas fa-play"></i>
+                                </Button>
+                              </>
+                            )}
+                            {['scheduled', 'in_progress'].includes(record.status) && (
+                              <>
+                                <Button size="sm" variant="outline-success" onClick={() => openCompleteModal(record)} title="Complete">
+                                  <i className="fas fa-check"></i>
+                                </Button>
+                                <Button size="sm" variant="outline-danger" onClick={() => handleCancel(record)} title="Cancel">
+                                  <i className="fas fa-times"></i>
+                                </Button>
+                              </>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </>
+      )}
+
+      {/* Plan Modal */}
+      <Modal show={!!planModal} onHide={() => setPlanModal(null)}>
+        {planModal && (
+          <Form onSubmit={handlePlanSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{planModal.plan ? 'Edit Service Plan' : 'Add Service Plan'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Form.Group className="mb-3">
+                <Form.Label>Vehicle *</Form.Label>
+                <Form.Select
+                  name="vehicle_id"
+                  value={planModal.data.vehicle_id}
+                  onChange={handlePlanChange}
+                  disabled={!!planModal.plan}
+                  required
+                >
+                  <option value="">Select vehicle</option>
+                  {renderVehicleOptions()}
+                </Form.Select>
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label>Name *</Form.Label>
+                <Form.Control
+                  name="name"
+                  value={planModal.data.name}
+                  onChange={handlePlanChange}
+                  placeholder="e.g., Oil change"
+                  maxLength={100}
+                  required
+                />
+              </Form.Group>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Every (days)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="interval_days"
+                      value={planModal.data.interval_days}
+                      onChange={handlePlanChange}
+                      min="1"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Every (km)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="interval_km"
+                      value={planModal.data.interval_km}
+                      onChange={handlePlanChange}
+                      min="1"
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Text className="text-muted d-block mb-3">
+                The plan is due at whichever interval is reached first, counted from the last service.
+              </Form.Text>
+              <Form.Check
+                type="switch"
+                id="plan-active"
+                name="is_active"
+                label="Active"
+                checked={planModal.data.is_active}
+                onChange={handlePlanChange}
+              />
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setPlanModal(null)}>Cancel</Button>
+              <Button type="submit" variant="primary" disabled={submitting}>
+                {submitting && <Spinner size="sm" className="me-2" />}
+                Save Plan
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+
+      {/* Schedule/Edit Maintenance Modal */}
+      <Modal show={!!recordModal} onHide={() => setRecordModal(null)} size="lg">
+        {recordModal && (
+          <Form onSubmit={handleRecordSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{recordModal.record ? 'Edit Maintenance' : 'Schedule Maintenance'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Vehicle *</Form.Label>
+                    <Form.Select
+                      name="vehicle_id"
+                      value={recordModal.data.vehicle_id}
+                      onChange={handleRecordChange}
+                      disabled={!!recordModal.record}
+                      required
+                    >
+                      <option value="">Select vehicle</option>
+                      {renderVehicleOptions()}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Service Plan</Form.Label>
+                    <Form.Select name="plan_id" value={recordModal.data.plan_id} onChange={handleRecordChange}>
+                      <option value="">None (one-off)</option>
+                      {recordVehiclePlans.map(plan => (
+                        <option key={plan.id} value={plan.id}>{plan.name}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={8}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Title *</Form.Label>
+                    <Form.Control
+                      name="title"
+                      value={recordModal.data.title}
+                      onChange={handleRecordChange}
+                      maxLength={150}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Type</Form.Label>
+                    <Form.Select name="service_type" value={recordModal.data.service_type} onChange={handleRecordChange}>
+                      {SERVICE_TYPES.map(type => (
+                        <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Start *</Form.Label>
+                    <Form.Control
+                      type="datetime-local"
+                      name="start_date"
+                      value={recordModal.data.start_date}
+                      onChange={handleRecordChange}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>End *</Form.Label>
+                    <Form.Control
+                      type="datetime-local"
+                      name="end_date"
+                      value={recordModal.data.end_date}
+                      onChange={handleRecordChange}
+                      required
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Group className="mb-3">
+                <Form.Label>Vendor</Form.Label>
+                <Form.Control
+                  name="vendor"
+                  value={recordModal.data.vendor}
+                  onChange={handleRecordChange}
+                  placeholder="Workshop or service provider"
+                  maxLength={100}
+                />
+              </Form.Group>
+              <Form.Group>
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  name="notes"
+                  value={recordModal.data.notes}
+                  onChange={handleRecordChange}
+                />
+              </Form.Group>
+              <Form.Text className="text-muted">
+                The vehicle cannot be booked during this window.
+              </Form.Text>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setRecordModal(null)}>Cancel</Button>
+              <Button type="submit" variant="primary" disabled={submitting}>
+                {submitting && <Spinner size="sm" className="me-2" />}
+                {recordModal.record ? 'Save Changes' : 'Schedule'}
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+
+      {/* Complete Maintenance Modal */}
+      <Modal show={!!completeModal} onHide={() => setCompleteModal(null)} size="lg">
+        {completeModal && (
+          <Form onSubmit={handleCompleteSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>Complete "{completeModal.record.title}"</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Odometer (km)</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="odometer"
+                      value={completeModal.data.odometer}
+                      onChange={handleCompletionChange}
+                      min="0"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Next Service Date</Form.Label>
+                    <Form.Control
+                      type="date"
+                      name="next_service_date"
+                      value={completeModal.data.next_service_date}
+                      onChange={handleCompletionChange}
+                    />
+                    <Form.Text className="text-muted">Leave blank to use the service plans.</Form.Text>
+                  </Form.Group>
+                </Col>
+              </Row>
+
+              <Form.Label>Parts</Form.Label>
+              {completeModal.data.parts.map((part, index) => (
+                <Row key={index} className="mb-2 g-2">
+                  <Col md={6}>
+                    <Form.Control name="name" value={part.name} onChange={(e) => handlePartChange(index, e)} placeholder="Part" />
+                  </Col>
+                  <Col md={2}>
+                    <Form.Control
+                      type="number"
+                      name="quantity"
+                      value={part.quantity}
+                      onChange={(e) => handlePartChange(index, e)}
+                      min="0"
+                      step="any"
+                      placeholder="Qty"
+                    />
+                  </Col>
+                  <Col md={3}>
+                    <InputGroup>
+                      <InputGroup.Text>Unit</InputGroup.Text>
+                      <Form.Control
+                        type="number"
+                        name="unit_cost"
+                        value={part.unit_cost}
+                        onChange={(e) => handlePartChange(index, e)}
+                        min="0"
+                        step="0.01"
+                      />
+                    </InputGroup>
+                  </Col>
+                  <Col md={1}>
+                    <Button variant="outline-danger" onClick={() => removePart(index)} title="Remove Part">
+                      <i className="fas fa-trash"></i>
+                    </Button>
+                  </Col>
+                </Row>
+              ))}
+              <div className="d-flex justify-content-between align-items-center mb-3">
+                <Button size="sm" variant="outline-secondary" onClick={addPart}>
+                  <i className="fas fa-plus me-1"></i>
+                  Add Part
+                </Button>
+                <span className="text-muted">Parts total: {formatCurrency(getPartsTotal(completeModal.data.parts))}</span>
+              </div>
+
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Labour Hours</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="labour_hours"
+                      value={completeModal.data.labour_hours}
+                      onChange={handleCompletionChange}
+                      min="0"
+                      step="0.25"
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Labour Cost</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="labour_cost"
+                      value={completeModal.data.labour_cost}
+                      onChange={handleCompletionChange}
+                      min="0"
+                      step="0.01"
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Group>
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  name="notes"
+                  value={completeModal.data.notes}
+                  onChange={handleCompletionChange}
+                />
+              </Form.Group>
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setCompleteModal(null)}>Cancel</Button>
+              <Button type="submit" variant="success" disabled={submitting}>
+                {submitting && <Spinner size="sm" className="me-2" />}
+                Complete Maintenance
+              </Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default VehicleMaintenance;
@@ -1,12 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Modal } from 'react-bootstrap';
-import { vehicleAPI } from '../services/api';
+import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert, Spinner, Modal, Tabs, Tab } from 'react-bootstrap';
+import { vehicleAPI, sitesAPI } from '../services/api';
+import VehicleMaintenance from './VehicleMaintenance';
+import VehicleFuelLogs from './VehicleFuelLogs';
+import VehicleDocuments from './VehicleDocuments';
+import VehicleComplianceDashboard from './VehicleComplianceDashboard';
+import VehicleDocumentModal from './VehicleDocumentModal';
+import InspectionTemplateSettings from './InspectionTemplateSettings';
+import VehicleIncidents from './VehicleIncidents';
+import SiteSelect from './SiteSelect';
+import { formatSite } from '../utils/sites';
 
 const VehicleManagement = () => {
   const [vehicles, setVehicles] = useState([]);
+  const [sites, setSites] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [activeTab, setActiveTab] = useState('vehicles');
+
+  // Document form shared by the documents and compliance tabs: { document } to edit or { defaults } to add
+  const [documentModal, setDocumentModal] = useState(null);
+  const [documentsRefreshKey, setDocumentsRefreshKey] = useState(0);
   
   // Modal state
   const [showModal, setShowModal] = useState(false);
@@ -25,13 +40,15 @@ const VehicleManagement = () => {
     fuel_type: '',
     status: 'available',
     location: '',
+    site_id: '',
     mileage: 0
   });
 
   const [filters, setFilters] = useState({
     type: '',
     status: '',
-    fuel_type: ''
+    fuel_type: '',
+    site_id: ''
   });
 
   const [errors, setErrors] = useState({});
@@ -40,15 +57,22 @@ const VehicleManagement = () => {
     fetchVehicles();
   }, [filters]);
 
-  const fetchVehicles = async () => {
+  useEffect(() => {
+    sitesAPI.getSites()
+      .then(response => setSites(response.data.sites))
+      .catch(err => console.error('Error fetching sites:', err));
+  }, []);
+
+  const fetchVehicles = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       setError('');
       
       const params = {};
       if (filters.type) params.type = filters.type;
       if (filters.status) params.status = filters.status;
       if (filters.fuel_type) params.fuel_type = filters.fuel_type;
+      if (filters.site_id) params.site_id = filters.site_id;
 
       const response = await vehicleAPI.getVehicles(params);
       setVehicles(response.data.vehicles);
@@ -56,7 +80,7 @@ const VehicleManagement = () => {
       console.error('Error fetching vehicles:', error);
       setError('Failed to load vehicles');
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
     }
   };
 
@@ -79,6 +103,7 @@ const VehicleManagement = () => {
       fuel_type: '',
       status: 'available',
       location: '',
+      site_id: '',
       mileage: 0
     });
     setErrors({});
@@ -102,6 +127,7 @@ const VehicleManagement = () => {
       fuel_type: vehicle.fuel_type || '',
       status: vehicle.status || 'available',
       location: vehicle.location || '',
+      site_id: vehicle.site_id ? String(vehicle.site_id) : '',
       mileage: vehicle.mileage || 0
     });
     setModalMode('edit');
@@ -177,6 +203,7 @@ const VehicleManagement = () => {
       const vehicleData = {
         ...formData,
         year: parseInt(formData.year),
+        site_id: formData.site_id || null,
         mileage: parseInt(formData.mileage) || 0
       };
 
@@ -203,6 +230,13 @@ const VehicleManagement = () => {
     }
   };
 
+  const handleDocumentSaved = (message) => {
+    setDocumentModal(null);
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+    setDocumentsRefreshKey(key => key + 1);
+  };
+
   const handleDelete = async (vehicle) => {
     if (!window.confirm(`Are you sure you want to delete vehicle ${vehicle.plate_number}?`)) {
       return;
@@ -278,168 +312,217 @@ const VehicleManagement = () => {
               </Button>
             </Card.Header>
             <Card.Body>
-              {/* Filters */}
-              <Row className="mb-3">
-                <Col md={3}>
-                  <Form.Group>
-                    <Form.Label>Type</Form.Label>
-                    <Form.Select
-                      name="type"
-                      value={filters.type}
-                      onChange={handleFilterChange}
-                    >
-                      <option value="">All Types</option>
-                      <option value="truck">Truck</option>
-                      <option value="van">Van</option>
-                      <option value="car">Car</option>
-                      <option value="bus">Bus</option>
-                      <option value="excavator">Excavator</option>
-                      <option value="bulldozer">Bulldozer</option>
-                      <option value="crane">Crane</option>
-                      <option value="other">Other</option>
-                    </Form.Select>
-                  </Form.Group>
-                </Col>
-                <Col md={3}>
-                  <Form.Group>
-                    <Form.Label>Status</Form.Label>
-                    <Form.Select
-                      name="status"
-                      value={filters.status}
-                      onChange={handleFilterChange}
-                    >
-                      <option value="">All Statuses</option>
-                      <option value="available">Available</option>
-                      <option value="in_use">In Use</option>
-                      <option value="maintenance">Maintenance</option>
-                      <option value="out_of_service">Out of Service</option>
-                    </Form.Select>
-                  </Form.Group>
-                </Col>
-                <Col md={3}>
-                  <Form.Group>
-                    <Form.Label>Fuel Type</Form.Label>
-                    <Form.Select
-                      name="fuel_type"
-                      value={filters.fuel_type}
-                      onChange={handleFilterChange}
-                    >
-                      <option value="">All Fuel Types</option>
-                      <option value="petrol">Petrol</option>
-                      <option value="diesel">Diesel</option>
-                      <option value="electric">Electric</option>
-                      <option value="hybrid">Hybrid</option>
-                    </Form.Select>
-                  </Form.Group>
-                </Col>
-                <Col md={3}>
-                  <Form.Group>
-                    <Form.Label>&nbsp;</Form.Label>
-                    <div>
-                      <Button 
-                        variant="outline-secondary" 
-                        onClick={() => setFilters({ type: '', status: '', fuel_type: '' })}
-                      >
-                        <i className="fas fa-times me-2"></i>
-                        Clear
-                      </Button>
+              <Tabs activeKey={activeTab} onSelect={(key) => setActiveTab(key)} className="mb-3" mountOnEnter>
+                <Tab eventKey="vehicles" title="Vehicles">
+                  {/* Filters */}
+                  <Row className="mb-3">
+                    <Col md={3}>
+                      <Form.Group>
+                        <Form.Label>Type</Form.Label>
+                        <Form.Select
+                          name="type"
+                          value={filters.type}
+                          onChange={handleFilterChange}
+                        >
+                          <option value="">All Types</option>
+                          <option value="truck">Truck</option>
+                          <option value="van">Van</option>
+                          <option value="car">Car</option>
+                          <option value="bus">Bus</option>
+                          <option value="excavator">Excavator</option>
+                          <option value="bulldozer">Bulldozer</option>
+                          <option value="crane">Crane</option>
+                          <option value="other">Other</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col md={2}>
+                      <Form.Group>
+                        <Form.Label>Status</Form.Label>
+                        <Form.Select
+                          name="status"
+                          value={filters.status}
+                          onChange={handleFilterChange}
+                        >
+                          <option value="">All Statuses</option>
+                          <option value="available">Available</option>
+                          <option value="in_use">In Use</option>
+                          <option value="maintenance">Maintenance</option>
+                          <option value="out_of_service">Out of Service</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col md={2}>
+                      <Form.Group>
+                        <Form.Label>Fuel Type</Form.Label>
+                        <Form.Select
+                          name="fuel_type"
+                          value={filters.fuel_type}
+                          onChange={handleFilterChange}
+                        >
+                          <option value="">All Fuel Types</option>
+                          <option value="petrol">Petrol</option>
+                          <option value="diesel">Diesel</option>
+                          <option value="electric">Electric</option>
+                          <option value="hybrid">Hybrid</option>
+                        </Form.Select>
+                      </Form.Group>
+                    </Col>
+                    <Col md={3}>
+                      <Form.Group>
+                        <Form.Label>Site</Form.Label>
+                        <SiteSelect
+                          sites={sites}
+                          value={filters.site_id}
+                          onChange={handleFilterChange}
+                          emptyLabel="All Sites"
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={2}>
+                      <Form.Group>
+                        <Form.Label>&nbsp;</Form.Label>
+                        <div>
+                          <Button 
+                            variant="outline-secondary" 
+                            onClick={() => setFilters({ type: '', status: '', fuel_type: '', site_id: '' })}
+                          >
+                            <i className="fas fa-times me-2"></i>
+                            Clear
+                          </Button>
+                        </div>
+                      </Form.Group>
+                    </Col>
+                  </Row>
+
+                  {error && (
+                    <Alert variant="danger" dismissible onClose={() => setError('')}>
+                      <i className="fas fa-exclamation-circle me-2"></i>
+                      {error}
+                    </Alert>
+                  )}
+
+                  {success && (
+                    <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+                      <i className="fas fa-check-circle me-2"></i>
+                      {success}
+                    </Alert>
+                  )}
+
+                  {vehicles.length === 0 ? (
+                    <div className="text-center py-4">
+                      <i className="fas fa-truck fa-3x text-muted mb-3"></i>
+                      <h5>No vehicles found</h5>
+                      <p className="text-muted">
+                        {Object.values(filters).some(f => f) 
+                          ? 'No vehicles match your current filters.'
+                          : 'Start by adding your first vehicle to the fleet.'
+                        }
+                      </p>
                     </div>
-                  </Form.Group>
-                </Col>
-              </Row>
-
-              {error && (
-                <Alert variant="danger" dismissible onClose={() => setError('')}>
-                  <i className="fas fa-exclamation-circle me-2"></i>
-                  {error}
-                </Alert>
-              )}
-
-              {success && (
-                <Alert variant="success" dismissible onClose={() => setSuccess('')}>
-                  <i className="fas fa-check-circle me-2"></i>
-                  {success}
-                </Alert>
-              )}
-
-              {vehicles.length === 0 ? (
-                <div className="text-center py-4">
-                  <i className="fas fa-truck fa-3x text-muted mb-3"></i>
-                  <h5>No vehicles found</h5>
-                  <p className="text-muted">
-                    {Object.values(filters).some(f => f) 
-                      ? 'No vehicles match your current filters.'
-                      : 'Start by adding your first vehicle to the fleet.'
-                    }
-                  </p>
-                </div>
-              ) : (
-                <div className="table-responsive">
-                  <Table striped hover>
-                    <thead>
-                      <tr>
-                        <th>Plate Number</th>
-                        <th>Vehicle</th>
-                        <th>Type</th>
-                        <th>Capacity</th>
-                        <th>Fuel</th>
-                        <th>Status</th>
-                        <th>Location</th>
-                        <th>Mileage</th>
-                        <th>Actions</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {vehicles.map(vehicle => (
-                        <tr key={vehicle.id}>
-                          <td>
-                            <strong>{vehicle.plate_number}</strong>
-                          </td>
-                          <td>
-                            <div>
-                              <strong>{vehicle.make} {vehicle.model}</strong>
-                              <br />
-                              <small className="text-muted">
-                                {vehicle.year}
-                              </small>
-                            </div>
-                          </td>
-                          <td>{getTypeBadge(vehicle.type)}</td>
-                          <td>{vehicle.capacity || 'Not specified'}</td>
-                          <td>
-                            <Badge bg="info">
-                              {vehicle.fuel_type?.toUpperCase()}
-                            </Badge>
-                          </td>
-                          <td>{getStatusBadge(vehicle.status)}</td>
-                          <td>{vehicle.location || 'Not specified'}</td>
-                          <td>{vehicle.mileage?.toLocaleString()} km</td>
-                          <td>
-                            <div className="d-flex gap-1">
-                              <Button
-                                size="sm"
-                                variant="outline-primary"
-                                onClick={() => openEditModal(vehicle)}
-                                title="Edit Vehicle"
-                              >
-                                <i className="fas fa-edit"></i>
-                              </Button>
-                              <Button
-                                size="sm"
-                                variant="outline-danger"
-                                onClick={() => handleDelete(vehicle)}
-                                title="Delete Vehicle"
-                              >
-                                <i className="fas fa-trash"></i>
-                              </Button>
-                            </div>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </Table>
-                </div>
-              )}
+                  ) : (
+                    <div className="table-responsive">
+                      <Table striped hover>
+                        <thead>
+                          <tr>
+                            <th>Plate Number</th>
+                            <th>Vehicle</th>
+                            <th>Type</th>
+                            <th>Capacity</th>
+                            <th>Fuel</th>
+                            <th>Status</th>
+                            <th>Site</th>
+                            <th>Location</th>
+                            <th>Mileage</th>
+                            <th>Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {vehicles.map(vehicle => (
+                            <tr key={vehicle.id}>
+                              <td>
+                                <strong>{vehicle.plate_number}</strong>
+                              </td>
+                              <td>
+                                <div>
+                                  <strong>{vehicle.make} {vehicle.model}</strong>
+                                  <br />
+                                  <small className="text-muted">
+                                    {vehicle.year}
+                                  </small>
+                                </div>
+                              </td>
+                              <td>{getTypeBadge(vehicle.type)}</td>
+                              <td>{vehicle.capacity || 'Not specified'}</td>
+                              <td>
+                                <Badge bg="info">
+                                  {vehicle.fuel_type?.toUpperCase()}
+                                </Badge>
+                              </td>
+                              <td>{getStatusBadge(vehicle.status)}</td>
+                              <td>{vehicle.site ? formatSite(vehicle.site) : '-'}</td>
+                              <td>{vehicle.location || 'Not specified'}</td>
+                              <td>{vehicle.mileage?.toLocaleString()} km</td>
+                              <td>
+                                <div className="d-flex gap-1">
+                                  <Button
+                                    size="sm"
+                                    variant="outline-primary"
+                                    onClick={() => openEditModal(vehicle)}
+                                    title="Edit Vehicle"
+                                  >
+                                    <i className="fas fa-edit"></i>
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    variant="outline-danger"
+                                    onClick={() => handleDelete(vehicle)}
+                                    title="Delete Vehicle"
+                                  >
+                                    <i className="fas fa-trash"></i>
+                                  </Button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </Table>
+                    </div>
+                  )}
+                </Tab>
+                <Tab eventKey="maintenance" title="Maintenance">
+                  <VehicleMaintenance
+                    vehicles={vehicles}
+                    onVehiclesChanged={() => fetchVehicles({ quiet: true })}
+                  />
+                </Tab>
+                <Tab eventKey="fuel" title="Fuel">
+                  <VehicleFuelLogs
+                    vehicles={vehicles}
+                    onVehiclesChanged={() => fetchVehicles({ quiet: true })}
+                  />
+                </Tab>
+                <Tab eventKey="documents" title="Documents">
+                  <VehicleDocuments
+                    vehicles={vehicles}
+                    onAddDocument={(defaults) => setDocumentModal({ defaults })}
+                    onEditDocument={(document) => setDocumentModal({ document })}
+                    refreshKey={documentsRefreshKey}
+                  />
+                </Tab>
+                <Tab eventKey="compliance" title="Compliance">
+                  <VehicleComplianceDashboard
+                    onRenewDocument={(defaults) => setDocumentModal({ defaults })}
+                    refreshKey={documentsRefreshKey}
+                  />
+                </Tab>
+                <Tab eventKey="incidents" title="Incidents">
+                  <VehicleIncidents vehicles={vehicles} />
+                </Tab>
+                <Tab eventKey="checklists" title="Checklists">
+                  <InspectionTemplateSettings />
+                </Tab>
+              </Tabs>
             </Card.Body>
           </Card>
         </Col>
@@ -621,16 +704,33 @@ const VehicleManagement = () => {
               </Col>
             </Row>
 
-            <Form.Group className="mb-3">
-              <Form.Label>Location</Form.Label>
-              <Form.Control
-                type="text"
-                name="location"
-                value={formData.location}
-                onChange={handleInputChange}
-                placeholder="e.g., Main Depot, Site A"
-              />
-            </Form.Group>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Site</Form.Label>
+                  <SiteSelect
+                    sites={sites}
+                    value={formData.site_id}
+                    onChange={handleInputChange}
+                  />
+                  <Form.Text className="text-muted">
+                    Bookings from other sites need this site's approval
+                  </Form.Text>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Location</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="location"
+                    value={formData.location}
+                    onChange={handleInputChange}
+                    placeholder="e.g., Main Depot, Site A"
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={closeModal}>
@@ -656,6 +756,15 @@ const VehicleManagement = () => {
           </Modal.Footer>
         </Form>
       </Modal>
+
+      <VehicleDocumentModal
+        show={!!documentModal}
+        document={documentModal?.document}
+        defaults={documentModal?.defaults}
+        vehicles={vehicles}
+        onHide={() => setDocumentModal(null)}
+        onSaved={handleDocumentSaved}
+      />
     </Container>
   );
 };
@@ -67,11 +67,16 @@ const VehicleUtilizationChart = () => {
       },
       title: {
         display: true,
-        text: `Top Vehicle Utilization (Last ${period} Days)`,
+        text: `Top Vehicle Utilization and Fuel Consumption (Last ${period} Days)`,
       },
       tooltip: {
         callbacks: {
           label: function(context) {
+            if (context.dataset.yAxisID === 'y1') {
+              return context.parsed.y != null
+                ? `Fuel: ${context.parsed.y.toFixed(2)} L/100 km`
+                : 'Fuel: no full-tank readings';
+            }
             return `Utilization: ${context.parsed.y.toFixed(2)}%`;
           }
         }
@@ -86,6 +91,17 @@ const VehicleUtilizationChart = () => {
           text: 'Utilization Percentage (%)'
         }
       },
+      y1: {
+        beginAtZero: true,
+        position: 'right',
+        grid: {
+          drawOnChartArea: false
+        },
+        title: {
+          display: true,
+          text: 'Fuel Consumption (L/100 km)'
+        }
+      },
       x: {
         title: {
           display: true,
@@ -188,6 +204,11 @@ const VehicleUtilizationChart = () => {
         <div className="mb-4" style={{ height: '400px' }}>
           <Bar data={utilizationData.chartData} options={chartOptions} />
         </div>
+        {utilizationData.fleetFuelConsumption != null && (
+          <p className="text-center text-muted small">
+            Fleet average fuel consumption: {utilizationData.fleetFuelConsumption} L/100 km
+          </p>
+        )}
 
         {/* View Detailed Report Button */}
         <div className="text-center">
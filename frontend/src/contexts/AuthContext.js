@@ -1,5 +1,5 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { authAPI, delegationAPI } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -15,6 +15,8 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
+  // Approvers the current user is standing in for through an active delegation
+  const [actingFor, setActingFor] = useState([]);
 
   useEffect(() => {
     const initAuth = async () => {
@@ -33,6 +35,27 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, [token]);
 
+  const isApproverRole = ['approver_l1', 'approver_l2'].includes(user?.role);
+
+  const refreshActingFor = useCallback(async () => {
+    if (!isApproverRole) {
+      setActingFor([]);
+      return;
+    }
+
+    try {
+      const response = await delegationAPI.getActingFor();
+      setActingFor(response.data.delegators);
+    } catch (error) {
+      console.error('Failed to load delegations:', error);
+      setActingFor([]);
+    }
+  }, [isApproverRole]);
+
+  useEffect(() => {
+    refreshActingFor();
+  }, [refreshActingFor, user?.id]);
+
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
@@ -100,6 +123,8 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     updateProfile,
+    actingFor,
+    refreshActingFor,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'admin',
     isApprover: ['approver_l1', 'approver_l2', 'admin'].includes(user?.role),
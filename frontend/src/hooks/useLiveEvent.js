@@ -0,0 +1,18 @@
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../services/realtime';
+
+/**
+ * Subscribe a component to a live server event for as long as it is mounted
+ * @param {string} eventName - e.g. booking_created, booking_updated, notification
+ * @param {Function} handler - Called with the event payload; may change between renders
+ */
+const useLiveEvent = (eventName, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    return subscribe(eventName, (data) => handlerRef.current(data));
+  }, [eventName]);
+};
+
+export default useLiveEvent;
@@ -4,12 +4,14 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { bookingAPI, vehicleAPI } from '../services/api';
 import VehicleUtilizationChart from '../components/VehicleUtilizationChart';
-import { canEditBooking, canCancelBooking, canApproveBooking, canRejectBooking } from '../utils/bookingPermissions';
+import { canEditBooking, canCancelBooking, canApproveBooking, canRejectBooking, isAssignedApprover } from '../utils/bookingPermissions';
 import CancelBookingModal from '../components/CancelBookingModal';
 import { formatDate } from '../utils/dateUtils';
+import { mergeBooking, mergeBookingIntoApprovals } from '../utils/liveUpdates';
+import useLiveEvent from '../hooks/useLiveEvent';
 
 const Dashboard = () => {
-  const { user, isAdmin, isApprover, isApproverOnly } = useAuth();
+  const { user, actingFor, isAdmin, isApprover, isApproverOnly } = useAuth();
   const navigate = useNavigate();
   const [stats, setStats] = useState({
     totalBookings: 0,
@@ -51,7 +53,29 @@ const Dashboard = () => {
 
   useEffect(() => {
     fetchDashboardData();
-  }, [approvalPagination.page, approvalPagination.limit, approvalFilter]);
+  }, [approvalPagination.page, approvalPagination.limit, approvalFilter, actingFor]);
+
+  useLiveEvent('booking_updated', ({ booking }) => {
+    if (isApproverOnly) {
+      setRecentApprovals(prev => {
+        const updated = mergeBookingIntoApprovals(prev, booking);
+        setStats(current => ({
+          ...current,
+          pendingApprovals: updated.filter(a => a.status === 'pending').length,
+          approvedApprovals: updated.filter(a => a.status === 'approved').length
+        }));
+        return updated;
+      });
+    } else {
+      setRecentBookings(prev => mergeBooking(prev, booking));
+      // Booking counts depend on every booking, so refresh them quietly
+      fetchDashboardData({ quiet: true });
+    }
+  });
+
+  useLiveEvent('booking_created', () => {
+    fetchDashboardData({ quiet: true });
+  });
 
   const handleApprovalPageChange = (newPage) => {
     setApprovalPagination(prev => ({
@@ -68,16 +92,16 @@ const Dashboard = () => {
     }));
   };
 
-  const fetchDashboardData = async () => {
+  const fetchDashboardData = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       
       if (isApproverOnly) {
-        // Fetch all approval data for approvers (both Level 1 and Level 2 for logic)
+        // Fetch all approval data for approvers, then keep the levels assigned to this user
         const params = {
           page: approvalPagination.page,
           limit: approvalPagination.limit,
-          show_all: 'true' // Always show all approvals for proper Level 2 logic
+          show_all: 'true' // Levels are filtered client-side by isAssignedApprover
         };
 
         const approvalsResponse = await fetch(`${process.env.REACT_APP_API_URL || 'http://localhost:5001/api'}/approvals?${new URLSearchParams(params)}`, {
@@ -90,14 +114,8 @@ const Dashboard = () => {
           const allApprovals = await approvalsResponse.json();
           const approvals = allApprovals.approvals;
           
-          // For Level 2 approvers, filter to only show Level 2 approvals in the table
-          // For Level 1 approvers, filter to only show Level 1 approvals in the table
-          // But keep all approvals for the canApprove logic (for Level 2)
-          const displayApprovals = user?.role === 'approver_l2' 
-            ? approvals.filter(a => a.level === 2)
-            : user?.role === 'approver_l1'
-            ? approvals.filter(a => a.level === 1)
-            : approvals;
+          // Only show the approval levels assigned to this approver
+          const displayApprovals = approvals.filter(a => isAssignedApprover(a, user, actingFor));
           
           setRecentApprovals(displayApprovals);
           setApprovalPagination({
@@ -117,12 +135,6 @@ const Dashboard = () => {
             pendingApprovals: displayApprovals.filter(a => a.status === 'pending').length,
             approvedApprovals: displayApprovals.filter(a => a.status === 'approved').length
           });
-          
-          // Store all approvals for Level 2 canApprove logic (to check Level 1 status)
-          if (user?.role === 'approver_l2') {
-            // Store all approvals in a ref or state for canApprove function
-            window.allApprovalsForLevel2 = approvals;
-          }
         }
       } else if (!isAdmin) {
         // Fetch booking data for non-approvers (but not admin)
@@ -276,35 +288,6 @@ const Dashboard = () => {
     }
   };
 
-  const canApprove = (approval) => {
-    // Can only approve if booking status is pending
-    if (approval.booking?.status !== 'pending') return false;
-    
-    // For Level 1 approvers, can approve if status is pending
-    if (user?.role === 'approver_l1') {
-      return approval.status === 'pending';
-    }
-    
-    // For Level 2 approvers, can approve if status is pending AND Level 1 has approved
-    if (user?.role === 'approver_l2') {
-      if (approval.status !== 'pending') return false;
-      
-      // Check if Level 1 has approved this booking
-      // Use the stored all approvals to check Level 1 status
-      const allApprovals = window.allApprovalsForLevel2 || [];
-      const level1Approval = allApprovals.find(a => 
-        a.booking_id === approval.booking_id && 
-        a.level === 1 && 
-        a.status === 'approved'
-      );
-      
-      // Enable approve button if Level 1 has approved
-      return !!level1Approval;
-    }
-    
-    return false;
-  };
-
   const formatDuration = (startDate, endDate) => {
     const start = new Date(startDate);
     const end = new Date(endDate);
@@ -521,7 +504,7 @@ const Dashboard = () => {
                             <th>Schedule</th>
                             <th>Duration</th>
                             <th>Book Status</th>
-                            {user?.role === 'approver_l2' && <th>Level 1 Status</th>}
+                            <th>Previous Level</th>
                             <th>Actions</th>
                           </tr>
                         </thead>
@@ -555,22 +538,18 @@ const Dashboard = () => {
                                 </Badge>
                               </td>
                               <td>{getStatusBadge(approval.booking?.status)}</td>
-                              {user?.role === 'approver_l2' && (
-                                <td>
-                                  {(() => {
-                                    const allApprovals = window.allApprovalsForLevel2 || [];
-                                    const level1Approval = allApprovals.find(a => 
-                                      a.booking_id === approval.booking_id && 
-                                      a.level === 1
-                                    );
-                                    if (level1Approval) {
-                                      return getStatusBadge(level1Approval.status);
-                                    } else {
-                                      return <Badge bg="secondary">Not Assigned</Badge>;
-                                    }
-                                  })()}
-                                </td>
-                              )}
+                              <td>
+                                {(() => {
+                                  const previousApproval = approval.booking?.approvals?.find(a =>
+                                    a.level === approval.level - 1
+                                  );
+                                  if (previousApproval) {
+                                    return getStatusBadge(previousApproval.status);
+                                  } else {
+                                    return <Badge bg="secondary">First Level</Badge>;
+                                  }
+                                })()}
+                              </td>
                               <td>
                                 <div className="d-flex gap-1">
                                   <Link 
@@ -583,7 +562,7 @@ const Dashboard = () => {
                                   <Button
                                     size="sm"
                                     variant="success"
-                                    disabled={!canApproveBooking(approval, user)}
+                                    disabled={!canApproveBooking(approval, user, actingFor)}
                                     onClick={() => openApprovalModal(approval, 'approve')}
                                     title="Approve"
                                   >
@@ -592,7 +571,7 @@ const Dashboard = () => {
                                   <Button
                                     size="sm"
                                     variant="danger"
-                                    disabled={!canRejectBooking(approval, user)}
+                                    disabled={!canRejectBooking(approval, user, actingFor)}
                                     onClick={() => openApprovalModal(approval, 'reject')}
                                     title="Reject"
                                   >
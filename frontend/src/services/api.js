@@ -51,10 +51,13 @@ export const authAPI = {
 export const bookingAPI = {
   getBookings: (params) => api.get('/bookings', { params }),
   getBookingById: (id) => api.get(`/bookings/${id}`),
+  getCalendar: (params) => api.get('/bookings/calendar', { params }),
   getBookingActivities: (id) => api.get(`/bookings/${id}/activities`),
   createBooking: (bookingData) => api.post('/bookings', bookingData),
   updateBooking: (id, bookingData) => api.put(`/bookings/${id}`, bookingData),
-  cancelBooking: (id, reason) => api.patch(`/bookings/${id}/cancel`, { reason }),
+  cancelBooking: (id, reason, scope) => api.patch(`/bookings/${id}/cancel`, { reason, scope }),
+  startTrip: (id, tripData) => api.post(`/bookings/${id}/start`, tripData),
+  completeTrip: (id, tripData) => api.post(`/bookings/${id}/complete`, tripData),
   exportBookings: (params) => api.get('/bookings/export', { 
     params,
     responseType: 'blob'
@@ -77,11 +80,126 @@ export const vehicleAPI = {
 export const driverAPI = {
   getDrivers: (params) => api.get('/drivers', { params }),
   getDriverById: (id) => api.get(`/drivers/${id}`),
+  getEligibleDrivers: (params) => api.get('/drivers/eligible', { params }),
+  getDriverSuggestions: (params) => api.get('/drivers/suggestions', { params }),
+  getLicenseAlerts: (params) => api.get('/drivers/license-alerts', { params }),
+  getCompliance: (id, params) => api.get(`/drivers/${id}/compliance`, { params }),
+  getAvailability: (params) => api.get('/drivers/availability', { params }),
   createDriver: (driverData) => api.post('/drivers', driverData),
   updateDriver: (id, driverData) => api.put(`/drivers/${id}`, driverData),
   deleteDriver: (id) => api.delete(`/drivers/${id}`),
 };
 
+// Driver hours rules API
+export const driverHoursRuleAPI = {
+  getRules: () => api.get('/driver-hours-rules'),
+  createRule: (ruleData) => api.post('/driver-hours-rules', ruleData),
+  updateRule: (id, ruleData) => api.put(`/driver-hours-rules/${id}`, ruleData),
+  deleteRule: (id) => api.delete(`/driver-hours-rules/${id}`),
+};
+
+// Driver leave API
+export const driverLeaveAPI = {
+  getLeaves: (params) => api.get('/driver-leaves', { params }),
+  requestLeave: (leaveData) => api.post('/driver-leaves', leaveData),
+  updateLeave: (id, leaveData) => api.put(`/driver-leaves/${id}`, leaveData),
+  approveLeave: (id, reviewData) => api.post(`/driver-leaves/${id}/approve`, reviewData),
+  rejectLeave: (id, reviewData) => api.post(`/driver-leaves/${id}/reject`, reviewData),
+  cancelLeave: (id) => api.patch(`/driver-leaves/${id}/cancel`),
+};
+
+// Maintenance API
+export const maintenanceAPI = {
+  getDue: () => api.get('/maintenance/due'),
+  getPlans: (params) => api.get('/maintenance/plans', { params }),
+  createPlan: (planData) => api.post('/maintenance/plans', planData),
+  updatePlan: (id, planData) => api.put(`/maintenance/plans/${id}`, planData),
+  getRecords: (params) => api.get('/maintenance/records', { params }),
+  scheduleMaintenance: (recordData) => api.post('/maintenance/records', recordData),
+  updateRecord: (id, recordData) => api.put(`/maintenance/records/${id}`, recordData),
+  startMaintenance: (id) => api.post(`/maintenance/records/${id}/start`),
+  completeMaintenance: (id, completionData) => api.post(`/maintenance/records/${id}/complete`, completionData),
+  cancelMaintenance: (id) => api.patch(`/maintenance/records/${id}/cancel`),
+};
+
+// Fuel logs API (multipart, for the receipt upload)
+export const fuelAPI = {
+  getLogs: (params) => api.get('/fuel-logs', { params }),
+  createLog: (formData) => api.post('/fuel-logs', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  updateLog: (id, formData) => api.put(`/fuel-logs/${id}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  deleteLog: (id) => api.delete(`/fuel-logs/${id}`),
+  getReceipt: (id) => api.get(`/fuel-logs/${id}/receipt`, {
+    responseType: 'blob'
+  }),
+};
+
+// Vehicle documents API (Admin only)
+export const vehicleDocumentAPI = {
+  getDocuments: (params) => api.get('/vehicle-documents', { params }),
+  getAlerts: (params) => api.get('/vehicle-documents/alerts', { params }),
+  createDocument: (formData) => api.post('/vehicle-documents', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  updateDocument: (id, formData) => api.put(`/vehicle-documents/${id}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  deleteDocument: (id) => api.delete(`/vehicle-documents/${id}`),
+  getFile: (id) => api.get(`/vehicle-documents/${id}/file`, {
+    responseType: 'blob'
+  }),
+};
+
+// Vehicle inspections API (checklist templates are admin only)
+export const inspectionAPI = {
+  getTemplates: (params) => api.get('/inspections/templates', { params }),
+  createTemplate: (templateData) => api.post('/inspections/templates', templateData),
+  updateTemplate: (id, templateData) => api.put(`/inspections/templates/${id}`, templateData),
+  deleteTemplate: (id) => api.delete(`/inspections/templates/${id}`),
+  getInspections: (params) => api.get('/inspections', { params }),
+  getBookingInspections: (bookingId) => api.get(`/inspections/bookings/${bookingId}`),
+  submitInspection: (bookingId, formData) => api.post(`/inspections/bookings/${bookingId}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  getPhoto: (id, index) => api.get(`/inspections/${id}/photos/${index}`, {
+    responseType: 'blob'
+  }),
+};
+
+// Incidents API
+export const incidentAPI = {
+  getIncidents: (params) => api.get('/incidents', { params }),
+  getBookingIncidents: (bookingId) => api.get(`/incidents/bookings/${bookingId}`),
+  reportIncident: (bookingId, formData) => api.post(`/incidents/bookings/${bookingId}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  updateIncident: (id, formData) => api.put(`/incidents/${id}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  getPhoto: (id, index) => api.get(`/incidents/${id}/photos/${index}`, {
+    responseType: 'blob'
+  }),
+};
+
+// Telematics API
+export const telematicsAPI = {
+  getBookingTrace: (bookingId) => api.get(`/telematics/bookings/${bookingId}/trace`),
+  getVehiclePositions: (vehicleId, params) => api.get(`/telematics/vehicles/${vehicleId}/positions`, { params }),
+};
+
+// Sites API
+export const sitesAPI = {
+  getSites: (params) => api.get('/sites', { params }),
+  getSiteById: (id) => api.get(`/sites/${id}`),
+  locateSite: (latitude, longitude) => api.get('/sites/locate', { params: { latitude, longitude } }),
+  createSite: (siteData) => api.post('/sites', siteData),
+  updateSite: (id, siteData) => api.put(`/sites/${id}`, siteData),
+  deleteSite: (id) => api.delete(`/sites/${id}`),
+};
+
 // Users API
 export const usersAPI = {
   getUsers: (params) => api.get('/users', { params }),
@@ -91,6 +209,46 @@ export const usersAPI = {
   deleteUser: (id) => api.delete(`/users/${id}`),
 };
 
+// Approval Policy API
+export const approvalPolicyAPI = {
+  getPolicies: () => api.get('/approval-policies'),
+  resolveChain: (params) => api.get('/approval-policies/resolve', { params }),
+  createPolicy: (policyData) => api.post('/approval-policies', policyData),
+  updatePolicy: (id, policyData) => api.put(`/approval-policies/${id}`, policyData),
+  deletePolicy: (id) => api.delete(`/approval-policies/${id}`),
+};
+
+// Escalation rules API
+export const escalationRuleAPI = {
+  getRules: () => api.get('/escalation-rules'),
+  createRule: (ruleData) => api.post('/escalation-rules', ruleData),
+  updateRule: (id, ruleData) => api.put(`/escalation-rules/${id}`, ruleData),
+  deleteRule: (id) => api.delete(`/escalation-rules/${id}`),
+};
+
+// Notifications API
+export const notificationAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (id) => api.patch(`/notifications/${id}/read`),
+  markAllRead: () => api.patch('/notifications/read-all'),
+};
+
+// Live events API
+export const eventsAPI = {
+  getTicket: () => api.post('/events/ticket'),
+  getStreamUrl: (ticket) => `${API_BASE_URL}/events?ticket=${encodeURIComponent(ticket)}`,
+};
+
+// Delegation API
+export const delegationAPI = {
+  getDelegations: () => api.get('/delegations'),
+  getActingFor: () => api.get('/delegations/acting-for'),
+  getCandidates: () => api.get('/delegations/candidates'),
+  createDelegation: (delegationData) => api.post('/delegations', delegationData),
+  cancelDelegation: (id) => api.patch(`/delegations/${id}/cancel`),
+};
+
 // Dashboard API
 export const dashboardAPI = {
   getStats: () => api.get('/dashboard/stats'),
@@ -100,6 +258,8 @@ export const dashboardAPI = {
 
 // Reports API
 export const reportsAPI = {
+  getFuelReport: (params) => api.get('/reports/fuel', { params }),
+  getIncidentReport: (params) => api.get('/reports/incidents', { params }),
   exportBookings: (params) => api.get('/reports/export/bookings', { 
     params,
     responseType: 'blob'
@@ -0,0 +1,100 @@
+import { eventsAPI } from './api';
+
+// Wait before reopening a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Shared Server-Sent Events connection
+ * One stream is opened while anything is subscribed and closed when the last subscriber leaves
+ */
+const handlers = new Map();
+let source = null;
+let boundEvents = new Set();
+let connecting = false;
+let reconnectTimer = null;
+
+const dispatch = (eventName) => (message) => {
+  let data;
+  try {
+    data = JSON.parse(message.data);
+  } catch (error) {
+    console.error('Invalid live event payload:', error);
+    return;
+  }
+  (handlers.get(eventName) || new Set()).forEach(handler => handler(data));
+};
+
+// Attach a stream listener once per event name; it reads the current handlers on each message
+const bind = (eventName) => {
+  if (source && !boundEvents.has(eventName)) {
+    source.addEventListener(eventName, dispatch(eventName));
+    boundEvents.add(eventName);
+  }
+};
+
+const connect = async () => {
+  if (source || connecting || !localStorage.getItem('token')) return;
+  connecting = true;
+
+  try {
+    // Stream tickets expire quickly, so each (re)connect asks for a fresh one
+    const response = await eventsAPI.getTicket();
+    if (handlers.size === 0) return;
+
+    source = new EventSource(eventsAPI.getStreamUrl(response.data.ticket));
+    boundEvents = new Set();
+    handlers.forEach((_, eventName) => bind(eventName));
+    source.onerror = () => {
+      disconnect();
+      scheduleReconnect();
+    };
+  } catch (error) {
+    console.error('Failed to open live updates:', error);
+    scheduleReconnect();
+  } finally {
+    connecting = false;
+  }
+};
+
+const disconnect = () => {
+  if (source) {
+    source.close();
+    source = null;
+  }
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || handlers.size === 0) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, RECONNECT_DELAY_MS);
+};
+
+/**
+ * Listen for a live event
+ * @param {string} eventName - e.g. booking_created, booking_updated, notification
+ * @param {Function} handler - Called with the parsed event payload
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (eventName, handler) => {
+  if (!handlers.has(eventName)) {
+    handlers.set(eventName, new Set());
+  }
+  handlers.get(eventName).add(handler);
+  bind(eventName);
+  connect();
+
+  return () => {
+    const eventHandlers = handlers.get(eventName);
+    if (eventHandlers) {
+      eventHandlers.delete(handler);
+      if (eventHandlers.size === 0) handlers.delete(eventName);
+    }
+    if (handlers.size === 0) {
+      disconnect();
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+  };
+};
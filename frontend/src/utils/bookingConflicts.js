@@ -0,0 +1,53 @@
+import { formatDateTime } from './dateUtils';
+
+/**
+ * Utility functions for booking schedule conflicts
+ */
+
+/**
+ * Vehicle statuses that can never be scheduled
+ */
+export const UNSCHEDULABLE_VEHICLE_STATUSES = ['maintenance', 'out_of_service'];
+
+/**
+ * Check if a vehicle can be offered for a new booking
+ * @param {Object} vehicle - The vehicle object
+ * @returns {boolean} - True if the vehicle may be booked
+ */
+export const isSchedulableVehicle = (vehicle) => {
+  return !!vehicle && !UNSCHEDULABLE_VEHICLE_STATUSES.includes(vehicle.status);
+};
+
+/**
+ * Build a readable error message from a 409 booking conflict response
+ * @param {Object} data - Response body with message and conflicts
+ * @returns {string} - Error message listing the conflicting bookings, maintenance windows and driver leave
+ */
+export const formatConflictError = (data) => {
+  if (!data?.conflicts?.length) {
+    return data?.message || 'The requested time window conflicts with another booking';
+  }
+
+  // Recurring series report which occurrence each clash belongs to
+  const details = data.conflicts.map(conflict =>
+    `${conflict.occurrence ? `occurrence ${conflict.occurrence} (${formatDateTime(conflict.occurrence_start_date)}) with ` : ''}` +
+    (conflict.maintenance_id
+      ? `maintenance "${conflict.title}" (${formatDateTime(conflict.start_date)} - ${formatDateTime(conflict.end_date)})`
+      : conflict.leave_id
+      ? `driver ${conflict.leave_type} leave (${formatDateTime(conflict.start_date)} - ${formatDateTime(conflict.end_date)})`
+      : `#${conflict.booking_id} (${conflict.resources.join(', ')}: ${formatDateTime(conflict.start_date)} - ${formatDateTime(conflict.end_date)})`)
+  );
+
+  return `${data.message}. Conflicts: ${details.join('; ')}`;
+};
+
+/**
+ * List the drivers left out of an eligible drivers response and why
+ * @param {Array} ineligible - Entries with driver and reasons
+ * @returns {string} - One "name: reasons" line per driver
+ */
+export const formatIneligibleDrivers = (ineligible) => {
+  return ineligible
+    .map(({ driver, reasons }) => `${driver.name}: ${reasons.join(', ')}`)
+    .join('\n');
+};
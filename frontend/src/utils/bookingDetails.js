@@ -0,0 +1,68 @@
+/**
+ * Utility functions for a booking's trip details (purpose, destination, passengers, priority, cost center)
+ */
+
+export const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' }
+];
+
+const PRIORITY_VARIANTS = {
+  low: 'secondary',
+  normal: 'light',
+  high: 'warning',
+  urgent: 'danger'
+};
+
+/**
+ * Get the badge colour for a priority
+ * @param {string} priority - Booking priority
+ * @returns {string} - Bootstrap variant
+ */
+export const getPriorityVariant = (priority) => PRIORITY_VARIANTS[priority] || 'light';
+
+/**
+ * Empty trip details for a new booking form
+ */
+export const EMPTY_TRIP_DETAILS = {
+  purpose: '',
+  destination: '',
+  passengers: '',
+  priority: 'normal',
+  cost_center: ''
+};
+
+/**
+ * Convert trip detail form values to the API payload
+ * Blank optional fields are sent as null so they clear the stored value
+ * @param {Object} formData - Form values
+ * @returns {Object} - Trip details payload
+ */
+export const buildTripDetails = (formData) => ({
+  purpose: formData.purpose.trim(),
+  destination: formData.destination.trim() || null,
+  passengers: formData.passengers ? parseInt(formData.passengers) : null,
+  priority: formData.priority,
+  cost_center: formData.cost_center.trim() || null
+});
+
+/**
+ * Validate trip detail form values
+ * @param {Object} formData - Form values
+ * @returns {Object} - Field errors
+ */
+export const validateTripDetails = (formData) => {
+  const errors = {};
+
+  if (formData.purpose.trim().length < 3) {
+    errors.purpose = 'Please describe the purpose of the trip';
+  }
+
+  if (formData.passengers && (parseInt(formData.passengers) < 1 || parseInt(formData.passengers) > 100)) {
+    errors.passengers = 'Passengers must be between 1 and 100';
+  }
+
+  return errors;
+};
@@ -30,57 +30,116 @@ export const canCancelBooking = (booking, user) => {
 };
 
 /**
- * Check if a user can approve a booking
+ * Check if a user can start the trip for a booking
+ * @param {Object} booking - The booking object
+ * @param {Object} user - The current user object
+ * @returns {boolean} - True if user can start the trip
+ */
+export const canStartTrip = (booking, user) => {
+  if (!booking || !user) return false;
+  const isOwner = booking.user?.id === user.id;
+  // Self-service requests need a driver assigned before they can leave
+  return (user.role === 'admin' || isOwner) && booking.status === 'approved' && !!booking.driver_id;
+};
+
+/**
+ * Check if a user can complete the trip for a booking
+ * @param {Object} booking - The booking object
+ * @param {Object} user - The current user object
+ * @returns {boolean} - True if user can complete the trip
+ */
+export const canCompleteTrip = (booking, user) => {
+  if (!booking || !user) return false;
+  const isOwner = booking.user?.id === user.id;
+  return (user.role === 'admin' || isOwner) && booking.status === 'in_progress' && !!booking.actual_start_date;
+};
+
+/**
+ * Get the role allowed to action an approval level
+ * Approvals created before chains were configurable have no required_role
+ * @param {Object} approval - The approval object
+ * @returns {string} - Approver role
+ */
+export const getApprovalRole = (approval) => {
+  return approval.required_role || (approval.level === 1 ? 'approver_l1' : 'approver_l2');
+};
+
+/**
+ * Get a display label for an approver role
+ * @param {string} role - Approver role
+ * @returns {string} - Human readable role
+ */
+export const formatApprovalRole = (role) => {
+  return role === 'approver_l1' ? 'Approver L1' : role === 'approver_l2' ? 'Approver L2' : role;
+};
+
+/**
+ * Check if an approval level is assigned to a user
+ * Levels without a named approver are open to anyone with the required role;
+ * a user added by SLA escalation can action the level regardless of role
  * @param {Object} approval - The approval object
  * @param {Object} user - The current user object
- * @returns {boolean} - True if user can approve the booking
+ * @param {Array} actingFor - Approvers the user is standing in for via delegation
+ * @returns {boolean} - True if the user may action the approval
  */
-export const canApproveBooking = (approval, user) => {
+export const isAssignedApprover = (approval, user, actingFor = []) => {
   if (!approval || !user) return false;
-  
-  // Can only approve if booking status is pending
-  if (approval.booking?.status !== 'pending') return false;
-  
-  const userLevel = user.role === 'approver_l1' ? 1 : 2;
-  const userApproval = approval.booking?.approvals?.find(a => a.level === userLevel);
-  
-  if (!userApproval || userApproval.status !== 'pending') return false;
-  
-  // For Level 1 approvers, can approve if status is pending
-  if (user.role === 'approver_l1') {
-    return true;
-  }
-  
-  // For Level 2 approvers, can approve if status is pending AND Level 1 has approved
-  if (user.role === 'approver_l2') {
-    const level1Approval = approval.booking?.approvals?.find(a => 
-      a.level === 1 && 
-      a.status === 'approved'
-    );
-    
-    return !!level1Approval;
+  if (approval.escalated_to_id && approval.escalated_to_id === user.id) return true;
+  return [user, ...actingFor].some(approver =>
+    getApprovalRole(approval) === approver.role &&
+    (!approval.approver_id || approval.approver_id === approver.id)
+  );
+};
+
+/**
+ * Find the pending approval level a user can action
+ * @param {Array} approvals - All approvals for a booking
+ * @param {Object} user - The current user object
+ * @param {Array} actingFor - Approvers the user is standing in for via delegation
+ * @returns {Object|undefined} - The lowest pending approval assigned to the user
+ */
+export const findActionableApproval = (approvals, user, actingFor = []) => {
+  return [...(approvals || [])]
+    .sort((a, b) => a.level - b.level)
+    .find(a => a.status === 'pending' && isAssignedApprover(a, user, actingFor));
+};
+
+/**
+ * Check if a user can approve a booking
+ * @param {Object} approval - The approval object, with its booking and sibling approvals
+ * @param {Object} user - The current user object
+ * @param {Array} actingFor - Approvers the user is standing in for via delegation
+ * @returns {boolean} - True if user can approve the booking
+ */
+export const canApproveBooking = (approval, user, actingFor = []) => {
+  if (!canRejectBooking(approval, user, actingFor)) return false;
+
+  // Each level needs a different person
+  const approvals = approval.booking?.approvals || [];
+  if (approvals.some(a => a.id !== approval.id && a.status === 'approved' && a.approver_id === user.id)) {
+    return false;
   }
-  
-  return false;
+
+  // Earlier levels must be approved first
+  return approvals
+    .filter(a => a.level < approval.level)
+    .every(a => a.status === 'approved');
 };
 
 /**
  * Check if a user can reject a booking
- * @param {Object} approval - The approval object
+ * @param {Object} approval - The approval object, with its booking
  * @param {Object} user - The current user object
+ * @param {Array} actingFor - Approvers the user is standing in for via delegation
  * @returns {boolean} - True if user can reject the booking
  */
-export const canRejectBooking = (approval, user) => {
+export const canRejectBooking = (approval, user, actingFor = []) => {
   if (!approval || !user) return false;
   
   // Can only reject if booking status is pending
   if (approval.booking?.status !== 'pending') return false;
   
-  const userLevel = user.role === 'approver_l1' ? 1 : 2;
-  const userApproval = approval.booking?.approvals?.find(a => a.level === userLevel);
-  
-  // Can reject if approval exists and is pending
-  return userApproval && userApproval.status === 'pending';
+  return approval.status === 'pending' && isAssignedApprover(approval, user, actingFor);
 };
 
 /**
@@ -53,5 +53,22 @@ export const formatDateRange = (startDate, endDate) => {
   return `${start} - ${end}`;
 };
 
+/**
+ * Format date as a datetime-local input value (yyyy-mm-ddTHH:mm, local time)
+ * @param {string|Date} dateString - Date string or Date object
+ * @returns {string} Input value
+ */
+export const toDateTimeLocal = (dateString) => {
+  if (!dateString) return '';
 
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return '';
 
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const year = date.getFullYear();
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+
+  return `${year}-${month}-${day}T${hours}:${minutes}`;
+};
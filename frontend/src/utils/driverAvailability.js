@@ -0,0 +1,50 @@
+import { formatDate } from './dateUtils';
+
+/**
+ * Utility functions for driver leave and availability
+ */
+
+export const LEAVE_TYPE_OPTIONS = [
+  { value: 'annual', label: 'Annual' },
+  { value: 'sick', label: 'Sick' },
+  { value: 'training', label: 'Training' },
+  { value: 'personal', label: 'Personal' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Get the label for a leave type
+ * @param {string} leaveType - Leave type
+ * @returns {string} - Label
+ */
+export const formatLeaveType = (leaveType) =>
+  LEAVE_TYPE_OPTIONS.find(option => option.value === leaveType)?.label || leaveType;
+
+/**
+ * Get the badge variant for a leave status
+ * @param {string} status - Leave status
+ * @returns {string} - Bootstrap variant
+ */
+export const getLeaveStatusVariant = (status) => ({
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'danger',
+  cancelled: 'secondary'
+}[status] || 'secondary');
+
+/**
+ * Describe a driver's availability from their upcoming leave (as listed with the driver)
+ * @param {Object} driver - Driver with leaves, soonest first
+ * @returns {Object|null} - { text, variant } for the next leave, or null if none is planned
+ */
+export const describeUpcomingLeave = (driver) => {
+  const now = new Date();
+  const leave = driver.leaves?.find(entry => new Date(entry.end_date) > now);
+  if (!leave) return null;
+
+  const pending = leave.status === 'pending' ? ' (pending)' : '';
+  if (new Date(leave.start_date) <= now) {
+    return { text: `On ${leave.leave_type} leave until ${formatDate(leave.end_date)}${pending}`, variant: pending ? 'warning' : 'info' };
+  }
+  return { text: `${formatLeaveType(leave.leave_type)} leave ${formatDate(leave.start_date)} - ${formatDate(leave.end_date)}${pending}`, variant: pending ? 'warning' : 'secondary' };
+};
@@ -0,0 +1,29 @@
+/**
+ * Utility functions for driver hours-of-service rules
+ */
+
+export const RULE_TYPE_OPTIONS = [
+  { value: 'daily_hours', label: 'Daily driving limit', help: 'Most hours a driver may be booked on one day' },
+  { value: 'weekly_hours', label: 'Weekly driving limit', help: 'Most hours a driver may be booked Monday to Sunday' },
+  { value: 'rest_hours', label: 'Rest between shifts', help: 'Fewest hours between the end of one booking and the start of the next' }
+];
+
+/**
+ * Get the label for a rule type
+ * @param {string} ruleType - Rule type
+ * @returns {string} - Label
+ */
+export const formatRuleType = (ruleType) =>
+  RULE_TYPE_OPTIONS.find(option => option.value === ruleType)?.label || ruleType;
+
+/**
+ * Build a message from the hours-of-service warnings returned with a saved booking
+ * @param {Object} booking - Booking from a create or update response
+ * @returns {string} - Warning message, or an empty string if there are none
+ */
+export const formatComplianceWarnings = (booking) => {
+  const warnings = booking?.compliance_warnings || [];
+  if (warnings.length === 0) return '';
+
+  return `Hours-of-service warning: ${warnings.map(warning => warning.message).join('; ')}`;
+};
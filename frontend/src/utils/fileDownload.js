@@ -0,0 +1,15 @@
+/**
+ * Utility functions for files returned by the API
+ */
+
+/**
+ * Open a downloaded file (e.g. a receipt or scan) in a new tab
+ * @param {Object} response - Axios response requested with responseType 'blob'
+ */
+export const openBlobResponse = (response) => {
+  const blob = new Blob([response.data], { type: response.headers['content-type'] });
+  const url = window.URL.createObjectURL(blob);
+  window.open(url, '_blank', 'noopener');
+  // Give the new tab time to load the file before releasing it
+  setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+};
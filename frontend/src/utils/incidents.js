@@ -0,0 +1,61 @@
+/**
+ * Utility functions for incident reports
+ */
+
+export const INCIDENT_TYPE_OPTIONS = [
+  { value: 'damage', label: 'Damage' },
+  { value: 'collision', label: 'Collision' },
+  { value: 'near_miss', label: 'Near miss' },
+  { value: 'injury', label: 'Injury' },
+  { value: 'other', label: 'Other' }
+];
+
+export const SEVERITY_OPTIONS = [
+  { value: 'low', label: 'Low', variant: 'secondary' },
+  { value: 'medium', label: 'Medium', variant: 'info' },
+  { value: 'high', label: 'High', variant: 'warning' },
+  { value: 'critical', label: 'Critical', variant: 'danger' }
+];
+
+export const INCIDENT_STATUS_OPTIONS = [
+  { value: 'reported', label: 'Reported', variant: 'danger' },
+  { value: 'investigating', label: 'Investigating', variant: 'warning' },
+  { value: 'action_required', label: 'Action required', variant: 'primary' },
+  { value: 'closed', label: 'Closed', variant: 'success' }
+];
+
+// Statuses an incident can move to from each status, matching the server's workflow
+export const INCIDENT_STATUS_TRANSITIONS = {
+  reported: ['investigating', 'closed'],
+  investigating: ['action_required', 'closed'],
+  action_required: ['investigating', 'closed'],
+  closed: ['investigating']
+};
+
+/**
+ * Get the label for an incident type
+ * @param {string} type - Incident type
+ * @returns {string} - Label
+ */
+export const formatIncidentType = (type) =>
+  INCIDENT_TYPE_OPTIONS.find(option => option.value === type)?.label || type;
+
+/**
+ * Get the badge variant and label for a severity
+ * @param {string} severity - low, medium, high or critical
+ * @returns {Object} - { variant, label }
+ */
+export const getSeverity = (severity) => {
+  const option = SEVERITY_OPTIONS.find(item => item.value === severity);
+  return option ? { variant: option.variant, label: option.label.toUpperCase() } : { variant: 'secondary', label: severity?.toUpperCase() };
+};
+
+/**
+ * Get the badge variant and label for an investigation status
+ * @param {string} status - reported, investigating, action_required or closed
+ * @returns {Object} - { variant, label }
+ */
+export const getIncidentStatus = (status) => {
+  const option = INCIDENT_STATUS_OPTIONS.find(item => item.value === status);
+  return option ? { variant: option.variant, label: option.label.toUpperCase() } : { variant: 'secondary', label: status?.toUpperCase() };
+};
@@ -0,0 +1,28 @@
+/**
+ * Utility functions for vehicle inspections
+ */
+
+export const INSPECTION_TYPE_OPTIONS = [
+  { value: 'pre_trip', label: 'Pre-trip' },
+  { value: 'post_trip', label: 'Post-trip' },
+  { value: 'both', label: 'Pre-trip and post-trip' }
+];
+
+/**
+ * Get the label for an inspection type
+ * @param {string} inspectionType - pre_trip, post_trip or both
+ * @returns {string} - Label
+ */
+export const formatInspectionType = (inspectionType) =>
+  INSPECTION_TYPE_OPTIONS.find(option => option.value === inspectionType)?.label || inspectionType;
+
+/**
+ * Get the badge variant and label for an inspection outcome
+ * @param {string} status - passed, defects or failed
+ * @returns {Object} - { variant, label }
+ */
+export const getInspectionStatus = (status) => ({
+  passed: { variant: 'success', label: 'PASSED' },
+  defects: { variant: 'warning', label: 'DEFECTS' },
+  failed: { variant: 'danger', label: 'FAILED' }
+}[status] || { variant: 'secondary', label: status?.toUpperCase() });
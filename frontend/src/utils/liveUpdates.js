@@ -0,0 +1,36 @@
+/**
+ * Helpers for patching page state with bookings pushed over the live event stream
+ */
+
+/**
+ * Replace a booking in a list with its latest state
+ * @param {Array} bookings - Bookings currently shown
+ * @param {Object} booking - Latest booking from the server
+ * @returns {Array} - Updated bookings
+ */
+export const mergeBooking = (bookings, booking) => {
+  return bookings.map(b => (b.id === booking.id ? { ...b, ...booking } : b));
+};
+
+/**
+ * Apply a booking's latest state to the approval rows that belong to it
+ * @param {Array} approvals - Approvals currently shown (each with its booking)
+ * @param {Object} booking - Latest booking from the server, with approvals
+ * @returns {Array} - Updated approvals
+ */
+export const mergeBookingIntoApprovals = (approvals, booking) => {
+  return approvals.map(approval => {
+    if (approval.booking_id !== booking.id) return approval;
+
+    const latest = (booking.approvals || []).find(a => a.id === approval.id) || {};
+    return {
+      ...approval,
+      ...latest,
+      booking: {
+        ...approval.booking,
+        status: booking.status,
+        approvals: booking.approvals
+      }
+    };
+  });
+};
@@ -0,0 +1,53 @@
+import { formatDate } from './dateUtils';
+
+/**
+ * Utility functions for recurring booking series
+ */
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const MAX_OCCURRENCES = 200;
+
+const UNIT_LABELS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+/**
+ * Options for which occurrences of a series an edit or cancellation applies to
+ */
+export const SERIES_SCOPE_OPTIONS = [
+  { value: 'this', label: 'This occurrence' },
+  { value: 'following', label: 'This and following occurrences' },
+  { value: 'all', label: 'Entire series' }
+];
+
+/**
+ * Describe a series' recurrence rule
+ * @param {Object} series - Series with frequency, interval, weekdays, until_date and occurrence_count
+ * @returns {string} - e.g. "Weekly on Mon, Tue, Wed · 60 occurrences"
+ */
+export const formatRecurrence = (series) => {
+  if (!series) return '';
+
+  const interval = series.interval || 1;
+  const unit = UNIT_LABELS[series.frequency];
+  let text = interval === 1
+    ? series.frequency.charAt(0).toUpperCase() + series.frequency.slice(1)
+    : `Every ${interval} ${unit}s`;
+
+  if (series.frequency === 'weekly' && series.weekdays?.length) {
+    text += ` on ${[...series.weekdays].sort((a, b) => a - b).map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+
+  if (series.until_date) {
+    text += ` until ${formatDate(series.until_date)}`;
+  }
+
+  if (series.occurrence_count) {
+    text += ` · ${series.occurrence_count} occurrences`;
+  }
+
+  return text;
+};
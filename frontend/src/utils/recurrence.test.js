@@ -0,0 +1,17 @@
+import { formatRecurrence } from './recurrence';
+
+describe('formatRecurrence', () => {
+  test('describes a weekly series with sorted weekdays and its occurrence count', () => {
+    expect(formatRecurrence({ frequency: 'weekly', interval: 1, weekdays: [3, 1, 5], occurrence_count: 12 }))
+      .toBe('Weekly on Mon, Wed, Fri · 12 occurrences');
+  });
+
+  test('describes an interval and an end date', () => {
+    expect(formatRecurrence({ frequency: 'daily', interval: 2, until_date: '2026-11-30T12:00:00' }))
+      .toBe('Every 2 days until 30/11/2026');
+  });
+
+  test('returns an empty string without a series', () => {
+    expect(formatRecurrence(null)).toBe('');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Utility functions for sites and their geofences
+ */
+
+/**
+ * Label a site for lists and selects
+ * @param {Object} site - Site with name and code
+ * @returns {string} e.g. "Main Depot (DEPOT)"
+ */
+export const formatSite = (site) => (site ? `${site.name} (${site.code})` : '-');
+
+/**
+ * Group sites by region for select option groups, regions in name order
+ * @param {Array<Object>} sites - Sites
+ * @returns {Array<Object>} [{ region, sites }], sites without a region last
+ */
+export const groupSitesByRegion = (sites) => {
+  const groups = new Map();
+  sites.forEach(site => {
+    const region = site.region || '';
+    if (!groups.has(region)) groups.set(region, []);
+    groups.get(region).push(site);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === '' ? 1 : b === '' ? -1 : a.localeCompare(b)))
+    .map(([region, regionSites]) => ({ region, sites: regionSites }));
+};
+
+/**
+ * Write a geofence as one "latitude, longitude" line per corner for editing
+ * @param {Array<Object>|null} geofence - Polygon corners
+ * @returns {string} Text for a textarea
+ */
+export const geofenceToText = (geofence) => (
+  (geofence || []).map(point => `${point.latitude}, ${point.longitude}`).join('\n')
+);
+
+/**
+ * Read a geofence typed as one "latitude, longitude" line per corner
+ * @param {string} text - Textarea contents
+ * @returns {Object} { geofence } with null for an empty geofence, or { error }
+ */
+export const parseGeofence = (text) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return { geofence: null };
+
+  const geofence = [];
+  for (let index = 0; index < lines.length; index++) {
+    const [latitude, longitude] = lines[index].split(/[,\s]+/).map(Number);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: `Geofence line ${index + 1} must be "latitude, longitude"` };
+    }
+    geofence.push({ latitude, longitude });
+  }
+
+  if (geofence.length < 3) {
+    return { error: 'A geofence needs at least 3 corners' };
+  }
+
+  return { geofence };
+};
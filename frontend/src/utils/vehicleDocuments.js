@@ -0,0 +1,62 @@
+import { formatDate } from './dateUtils';
+
+/**
+ * Utility functions for vehicle documents
+ * Issue and expiry dates are calendar dates, stored as midnight UTC
+ */
+
+export const DOCUMENT_TYPE_OPTIONS = [
+  { value: 'registration', label: 'Registration' },
+  { value: 'insurance', label: 'Insurance' },
+  { value: 'roadworthiness', label: 'Road-worthiness' },
+  { value: 'site_permit', label: 'Mine-site Permit' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Get the label for a document type
+ * @param {string} documentType - Document type
+ * @returns {string} - Label
+ */
+export const formatDocumentType = (documentType) =>
+  DOCUMENT_TYPE_OPTIONS.find(option => option.value === documentType)?.label || documentType;
+
+/**
+ * Get the calendar date of a stored document date, for date inputs
+ * @param {string} date - Stored date
+ * @returns {string} - YYYY-MM-DD, or an empty string
+ */
+export const toDateInput = (date) => (date ? date.split('T')[0] : '');
+
+/**
+ * Format a stored document date without shifting it into the local timezone
+ * @param {string} date - Stored date
+ * @returns {string} - Formatted date
+ */
+export const formatDocumentDate = (date) => (date ? formatDate(`${toDateInput(date)}T00:00:00`) : '');
+
+/**
+ * Whole days until a document's expiry date, negative once it has passed
+ * @param {string} expiryDate - Expiry date
+ * @returns {number|null} - Days left, or null if the document doesn't expire
+ */
+export const getDaysLeft = (expiryDate) => {
+  if (!expiryDate) return null;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const expiry = new Date(`${toDateInput(expiryDate)}T00:00:00`);
+  return Math.round((expiry - today) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Describe how far away a document's expiry is
+ * @param {number} daysLeft - Days until expiry
+ * @returns {string} - Description
+ */
+export const describeExpiry = (daysLeft) => {
+  if (daysLeft < 0) {
+    return `expired ${-daysLeft} day${daysLeft === -1 ? '' : 's'} ago`;
+  }
+  return daysLeft === 0 ? 'expires today' : `expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+};